@@ -0,0 +1,67 @@
+const request = require('supertest');
+
+// Import setup first to set environment variables
+require('./setup');
+
+let app;
+
+beforeAll(() => {
+  process.env.AUTH_MODE = 'token';
+  delete require.cache[require.resolve('../server.js')];
+  app = require('../server.js');
+});
+
+afterAll(async () => {
+  delete process.env.AUTH_MODE;
+  await new Promise(resolve => setTimeout(resolve, 100));
+});
+
+describe('AUTH_MODE=token', () => {
+  const mutatingRequests = [
+    ['put', '/games/1', { title: 'Changed' }],
+    ['delete', '/games/1', null],
+    ['post', '/games/create', { title: 'New game' }],
+    ['post', '/collections', { title: 'New collection' }],
+    ['delete', '/skins/some-skin', null],
+    ['put', '/settings', { language: 'it' }],
+    ['post', '/reload-games', null],
+    ['post', '/streaming/launch', { gameId: 1 }],
+  ];
+
+  test.each(mutatingRequests)('%s %s should return 401 without a token', async (method, url, body) => {
+    let req = request(app)[method](url);
+    if (body) req = req.send(body);
+    const response = await req.expect(401);
+    expect(response.body).toHaveProperty('error', 'Unauthorized');
+  });
+
+  test('GET /launcher should return 401 without a token', async () => {
+    await request(app).get('/launcher?gameId=1').expect(401);
+  });
+
+  test('should return 401 for reads without a token', async () => {
+    await request(app).get('/libraries/library/games').expect(401);
+  });
+
+  test('should return 401 for an invalid token', async () => {
+    await request(app)
+      .post('/reload-games')
+      .set('X-Auth-Token', 'invalid-token')
+      .expect(401);
+  });
+
+  test('should accept the API token', async () => {
+    await request(app)
+      .get('/libraries/library/games')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    await request(app)
+      .post('/reload-games')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+  });
+
+  test('should keep public endpoints reachable', async () => {
+    await request(app).get('/settings').expect(200);
+  });
+});
@@ -0,0 +1,160 @@
+const request = require('supertest');
+
+// Import setup first to set environment variables
+require('./setup');
+
+let app;
+const tokens = {};
+
+beforeAll(async () => {
+  delete require.cache[require.resolve('../server.js')];
+  app = require('../server.js');
+
+  // First account is always an admin and can be created without a token
+  await request(app).post('/users').send({ userName: 'parent', password: 'parent-pass' }).expect(201);
+  await request(app)
+    .post('/users')
+    .set('X-Auth-Token', 'test-token')
+    .send({ userName: 'teen', password: 'player-pass', role: 'player' })
+    .expect(201);
+  await request(app)
+    .post('/users')
+    .set('X-Auth-Token', 'test-token')
+    .send({ userName: 'child', password: 'child-pass', role: 'kid', maxAge: 12 })
+    .expect(201);
+
+  for (const [name, password] of [['parent', 'parent-pass'], ['teen', 'player-pass'], ['child', 'child-pass']]) {
+    const login = await request(app).post('/auth/login').send({ userName: name, password }).expect(200);
+    tokens[name] = login.body.token;
+  }
+
+  // Game 1: PEGI 18, game 2: PEGI 7, game 3: unrated
+  await request(app)
+    .put('/games/1')
+    .set('X-Auth-Token', tokens.parent)
+    .send({ ageRatings: [{ category: 2, rating: 12 }] })
+    .expect(200);
+  await request(app)
+    .put('/games/2')
+    .set('X-Auth-Token', tokens.parent)
+    .send({ ageRatings: [{ category: 2, rating: 9 }] })
+    .expect(200);
+});
+
+afterAll(async () => {
+  await new Promise(resolve => setTimeout(resolve, 100));
+});
+
+describe('roles', () => {
+  test('should assign admin to the first account', async () => {
+    const me = await request(app).get('/auth/me').set('X-Auth-Token', tokens.parent).expect(200);
+    expect(me.body).toHaveProperty('role', 'admin');
+  });
+
+  test('should forbid players from deleting games, uploading scripts and changing settings', async () => {
+    await request(app).delete('/games/1').set('X-Auth-Token', tokens.teen).expect(403);
+    await request(app).post('/games/1/upload-executable').set('X-Auth-Token', tokens.teen).expect(403);
+    await request(app).put('/settings').set('X-Auth-Token', tokens.teen).send({ language: 'it' }).expect(403);
+    await request(app).delete('/skins/00000000-0000-4000-8000-000000000000').set('X-Auth-Token', tokens.teen).expect(403);
+  });
+
+  test('should keep whole-library metadata refreshes to admins', async () => {
+    const forbidden = await request(app)
+      .post('/jobs/metadata-refresh')
+      .set('X-Auth-Token', tokens.teen)
+      .send({ scope: 'all' })
+      .expect(403);
+    expect(forbidden.body).toEqual({ error: 'Forbidden', detail: 'Missing permission: settings:manage' });
+    // Narrower scopes only need the library permission (this collection does not exist)
+    await request(app)
+      .post('/jobs/metadata-refresh')
+      .set('X-Auth-Token', tokens.teen)
+      .send({ scope: 'collection', collectionId: 424242 })
+      .expect(404);
+  });
+
+  test('should let players edit metadata', async () => {
+    await request(app)
+      .put('/games/2')
+      .set('X-Auth-Token', tokens.teen)
+      .send({ stars: 4 })
+      .expect(200);
+  });
+
+  test('should forbid kids from editing collections and tags', async () => {
+    const response = await request(app)
+      .post('/collections')
+      .set('X-Auth-Token', tokens.child)
+      .send({ title: 'Mine' })
+      .expect(403);
+    expect(response.body).toHaveProperty('error', 'Forbidden');
+    await request(app).post('/categories').set('X-Auth-Token', tokens.child).send({ title: 'x' }).expect(403);
+  });
+
+  test('should forbid non-admins from managing users', async () => {
+    await request(app).get('/users').set('X-Auth-Token', tokens.teen).expect(403);
+  });
+});
+
+describe('kid age filter', () => {
+  test('should only list games at or below the age threshold', async () => {
+    const response = await request(app)
+      .get('/libraries/library/games')
+      .set('X-Auth-Token', tokens.child)
+      .expect(200);
+    expect(response.body.games.map((g) => g.id)).toEqual([2]);
+
+    const adultView = await request(app)
+      .get('/libraries/library/games')
+      .set('X-Auth-Token', tokens.parent)
+      .expect(200);
+    expect(adultView.body.games.length).toBeGreaterThan(1);
+  });
+
+  test('should hide restricted games by id', async () => {
+    await request(app).get('/games/1').set('X-Auth-Token', tokens.child).expect(404);
+    await request(app).get('/games/2').set('X-Auth-Token', tokens.child).expect(200);
+  });
+
+  test('should refuse to launch restricted games', async () => {
+    const response = await request(app)
+      .get('/launcher?gameId=1')
+      .set('X-Auth-Token', tokens.child)
+      .expect(403);
+    expect(response.body).toHaveProperty('detail', 'Game is not allowed for this profile');
+  });
+
+  test('should filter recommended sections', async () => {
+    const response = await request(app)
+      .get('/recommended')
+      .set('X-Auth-Token', tokens.child)
+      .expect(200);
+    for (const section of response.body.sections) {
+      for (const game of section.games) {
+        expect(game.id).toBe(2);
+      }
+    }
+  });
+
+  test('should include unrated games when allowed in settings', async () => {
+    await request(app)
+      .put('/settings')
+      .set('X-Auth-Token', tokens.parent)
+      .send({ kidAllowUnrated: true })
+      .expect(200);
+    const response = await request(app)
+      .get('/libraries/library/games')
+      .set('X-Auth-Token', tokens.child)
+      .expect(200);
+    expect(response.body.games.map((g) => g.id)).toContain(3);
+    expect(response.body.games.map((g) => g.id)).not.toContain(1);
+  });
+
+  test('should validate kidMaxAge', async () => {
+    await request(app)
+      .put('/settings')
+      .set('X-Auth-Token', tokens.parent)
+      .send({ kidMaxAge: 'old' })
+      .expect(400);
+  });
+});
@@ -50,3 +50,91 @@ describe('POST /auth/logout', () => {
     expect(response.body).toHaveProperty('status', 'success');
   });
 });
+
+describe('user accounts', () => {
+  let token;
+  let userId;
+
+  test('should not create the first user for a tunnelled caller without a token', async () => {
+    await request(app)
+      .post('/users')
+      .set('CF-Connecting-IP', '203.0.113.7')
+      .send({ userName: 'mallory', password: 'secret-pass' })
+      .expect(401);
+  });
+
+  test('should create the first user without a token', async () => {
+    const response = await request(app)
+      .post('/users')
+      .send({ userName: 'alice', password: 'secret-pass' })
+      .expect(201);
+
+    expect(response.body.user).toMatchObject({ userName: 'alice' });
+    expect(response.body.user).not.toHaveProperty('passwordHash');
+    userId = response.body.user.userId;
+  });
+
+  test('should require a token to create further users', async () => {
+    await request(app)
+      .post('/users')
+      .send({ userName: 'bob', password: 'secret-pass' })
+      .expect(401);
+  });
+
+  test('should reject duplicate user names', async () => {
+    const response = await request(app)
+      .post('/users')
+      .set('X-Auth-Token', 'test-token')
+      .send({ userName: 'Alice', password: 'secret-pass' })
+      .expect(409);
+    expect(response.body).toHaveProperty('error', 'User already exists');
+  });
+
+  test('should reject invalid credentials', async () => {
+    const response = await request(app)
+      .post('/auth/login')
+      .send({ userName: 'alice', password: 'wrong-pass' })
+      .expect(401);
+    expect(response.body).toHaveProperty('error', 'Invalid credentials');
+  });
+
+  test('should log in and resolve the session token in /auth/me', async () => {
+    const login = await request(app)
+      .post('/auth/login')
+      .send({ userName: 'alice', password: 'secret-pass' })
+      .expect(200);
+    token = login.body.token;
+    expect(typeof token).toBe('string');
+    expect(login.body.user).toMatchObject({ userId, userName: 'alice', isDev: false });
+
+    const me = await request(app)
+      .get('/auth/me')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(me.body).toMatchObject({ userId, userName: 'alice', isDev: false });
+  });
+
+  test('should list users for an authenticated caller', async () => {
+    const response = await request(app)
+      .get('/users')
+      .set('X-Auth-Token', token)
+      .expect(200);
+    expect(response.body.users.map((u) => u.userName)).toContain('alice');
+  });
+
+  test('should revoke the session token on logout', async () => {
+    await request(app).post('/auth/logout').set('X-Auth-Token', token).expect(200);
+    await request(app).get('/auth/me').set('X-Auth-Token', token).expect(401);
+  });
+
+  test('should delete a user', async () => {
+    await request(app)
+      .delete(`/users/${userId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    await request(app)
+      .delete(`/users/${userId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(404);
+  });
+});
@@ -0,0 +1,134 @@
+const request = require('supertest');
+const fs = require('fs');
+const path = require('path');
+
+// Import setup first to set environment variables
+const { testMetadataPath } = require('../setup');
+
+let app;
+
+beforeAll(() => {
+  delete require.cache[require.resolve('../../server.js')];
+  app = require('../../server.js');
+});
+
+describe('Backups', () => {
+  test('GET /backups should list snapshots and the schedule', async () => {
+    const response = await request(app)
+      .get('/backups')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(Array.isArray(response.body.backups)).toBe(true);
+    expect(response.body.schedule).toEqual({ intervalHours: 24, keepDaily: 3, keepWeekly: 2 });
+  });
+
+  test('POST /backups then restore should undo a bad change and reload games', async () => {
+    const created = await request(app)
+      .post('/games/create')
+      .set('X-Auth-Token', 'test-token')
+      .send({ title: 'Backup Restore Game' })
+      .expect(200);
+    const gameId = created.body.gameId;
+
+    const backup = await request(app)
+      .post('/backups')
+      .set('X-Auth-Token', 'test-token')
+      .expect(201);
+    expect(backup.body.backup).toMatchObject({ reason: 'manual' });
+    expect(backup.body.backup.roots).toEqual(expect.arrayContaining(['settings.json', 'content']));
+    expect(fs.existsSync(path.join(testMetadataPath, 'backups', `${backup.body.backup.id}.zip`))).toBe(true);
+
+    await request(app)
+      .delete(`/games/${gameId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    await request(app).get(`/games/${gameId}`).set('X-Auth-Token', 'test-token').expect(404);
+
+    const restored = await request(app)
+      .post(`/backups/${backup.body.backup.id}/restore`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(restored.body.status).toBe('restored');
+    expect(restored.body.preRestore.reason).toBe('pre-restore');
+    expect(restored.body.reloaded.count).toBeGreaterThan(0);
+
+    const game = await request(app)
+      .get(`/games/${gameId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(game.body.title).toBe('Backup Restore Game');
+
+    const list = await request(app)
+      .get('/backups')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(list.body.backups.map((b) => b.reason)).toEqual(['pre-restore', 'manual']);
+
+    await request(app)
+      .delete(`/backups/${restored.body.preRestore.id}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+  });
+
+  test('restore should serve the restored play history', async () => {
+    const { addImportedPlaySession } = require('../../utils/playSessions');
+    const created = await request(app)
+      .post('/games/create')
+      .set('X-Auth-Token', 'test-token')
+      .send({ title: 'Backup Sessions Game' })
+      .expect(200);
+    const gameId = created.body.gameId;
+    const before = addImportedPlaySession(testMetadataPath, gameId, {
+      sessionId: 'before-backup',
+      endedAt: '2024-01-01T12:00:00.000Z',
+      duration: 600,
+      source: 'test',
+    });
+
+    const backup = await request(app)
+      .post('/backups')
+      .set('X-Auth-Token', 'test-token')
+      .expect(201);
+
+    const after = addImportedPlaySession(testMetadataPath, gameId, {
+      sessionId: 'after-backup',
+      endedAt: '2024-06-01T12:00:00.000Z',
+      duration: 600,
+      source: 'test',
+    });
+    const played = await request(app)
+      .get(`/games/${gameId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(played.body.lastPlayed).toBe(after.startedAt);
+
+    const restored = await request(app)
+      .post(`/backups/${backup.body.backup.id}/restore`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    const game = await request(app)
+      .get(`/games/${gameId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(game.body.lastPlayed).toBe(before.startedAt);
+
+    for (const id of [backup.body.backup.id, restored.body.preRestore.id]) {
+      await request(app).delete(`/backups/${id}`).set('X-Auth-Token', 'test-token').expect(200);
+    }
+  });
+
+  test('should return 404 for unknown backups', async () => {
+    await request(app)
+      .post('/backups/2020-01-01T00-00-00-000Z/restore')
+      .set('X-Auth-Token', 'test-token')
+      .expect(404);
+    await request(app)
+      .post('/backups/..%2Fsettings/restore')
+      .set('X-Auth-Token', 'test-token')
+      .expect(404);
+    await request(app)
+      .delete('/backups/2020-01-01T00-00-00-000Z')
+      .set('X-Auth-Token', 'test-token')
+      .expect(404);
+  });
+});
@@ -727,3 +727,120 @@ describe("deleteCollectionIfUnused", () => {
     expect(fs.existsSync(metaPath)).toBe(true);
   });
 });
+
+describe("Smart collections", () => {
+  const tag = `smartfixture${Date.now()}`;
+  const gameIds = {};
+  const recentRules = {
+    match: "all",
+    rules: [
+      { field: "title", op: "contains", value: tag },
+      { field: "year", op: ">=", value: 2001 },
+    ],
+  };
+
+  beforeAll(async () => {
+    for (const [name, year] of [["old", 1999], ["mid", 2001], ["new", 2005]]) {
+      const created = await request(app)
+        .post("/games/create")
+        .set("X-Auth-Token", "test-token")
+        .send({ title: `${tag} ${name}` })
+        .expect(200);
+      gameIds[name] = created.body.gameId;
+      await request(app).put(`/games/${gameIds[name]}`).set("X-Auth-Token", "test-token").send({ year }).expect(200);
+    }
+  });
+
+  async function createSmartCollection(smart) {
+    const response = await request(app)
+      .post("/collections")
+      .set("X-Auth-Token", "test-token")
+      .send({ title: "Smart " + Date.now() + Math.random(), smart })
+      .expect(200);
+    return response.body.collection;
+  }
+
+  test("should create a smart collection whose games follow its rules", async () => {
+    const collection = await createSmartCollection(recentRules);
+    expect(collection.smart).toBe(true);
+    expect(collection.smartRules).toMatchObject({ match: "all", sort: "releaseDate" });
+
+    const games = await request(app)
+      .get(`/collections/${collection.id}/games`)
+      .set("X-Auth-Token", "test-token")
+      .expect(200);
+    expect(games.body.games.map((g) => g.id)).toEqual([gameIds.mid, gameIds.new]);
+
+    const list = await request(app).get("/collections").set("X-Auth-Token", "test-token").expect(200);
+    const listed = list.body.collections.find((c) => c.id === collection.id);
+    expect(listed.smart).toBe(true);
+    expect(listed.gameIds).toEqual([String(gameIds.mid), String(gameIds.new)]);
+  });
+
+  test("should recompute membership when games change", async () => {
+    const collection = await createSmartCollection({
+      rules: [{ field: "title", op: "=", value: `${tag} old` }, { field: "year", op: ">", value: 2010 }],
+    });
+    let single = await request(app).get(`/collections/${collection.id}`).set("X-Auth-Token", "test-token").expect(200);
+    expect(single.body.gameCount).toBe(0);
+
+    await request(app).put(`/games/${gameIds.old}`).set("X-Auth-Token", "test-token").send({ year: 2024 }).expect(200);
+    single = await request(app).get(`/collections/${collection.id}`).set("X-Auth-Token", "test-token").expect(200);
+    expect(single.body.gameCount).toBe(1);
+    await request(app).put(`/games/${gameIds.old}`).set("X-Auth-Token", "test-token").send({ year: 1999 }).expect(200);
+  });
+
+  test("should reject manual ordering and allow editing rules", async () => {
+    const collection = await createSmartCollection(recentRules);
+    const order = await request(app)
+      .put(`/collections/${collection.id}/games/order`)
+      .set("X-Auth-Token", "test-token")
+      .send({ gameIds: [gameIds.old] })
+      .expect(409);
+    expect(order.body).toHaveProperty("error", "Smart collection membership is read-only");
+
+    const updated = await request(app)
+      .put(`/collections/${collection.id}`)
+      .set("X-Auth-Token", "test-token")
+      .send({ smart: { match: "any", rules: [{ field: "title", op: "contains", value: `${tag} old` }] } })
+      .expect(200);
+    expect(updated.body.collection.smartRules.match).toBe("any");
+    expect(updated.body.collection.gameCount).toBe(1);
+  });
+
+  test("should reject rules on a manual collection and invalid rules", async () => {
+    const manual = await request(app)
+      .post("/collections")
+      .set("X-Auth-Token", "test-token")
+      .send({ title: "Manual " + Date.now() })
+      .expect(200);
+    await request(app)
+      .put(`/collections/${manual.body.collection.id}`)
+      .set("X-Auth-Token", "test-token")
+      .send({ smart: recentRules })
+      .expect(400);
+
+    const invalid = await request(app)
+      .post("/collections")
+      .set("X-Auth-Token", "test-token")
+      .send({ title: "Invalid smart " + Date.now(), smart: { rules: [{ field: "year", op: "contains", value: 1 }] } })
+      .expect(400);
+    expect(invalid.body.error).toContain("rules[0].op");
+  });
+
+  test("should preview a rule set without saving it", async () => {
+    const response = await request(app)
+      .post("/collections/preview")
+      .set("X-Auth-Token", "test-token")
+      .send({ smart: { rules: [{ field: "title", op: "contains", value: tag }, { field: "year", op: "<", value: 2001 }] } })
+      .expect(200);
+    expect(response.body.games.map((g) => g.id)).toEqual([gameIds.old]);
+    expect(response.body.gameCount).toBe(1);
+
+    await request(app)
+      .post("/collections/preview")
+      .set("X-Auth-Token", "test-token")
+      .send({})
+      .expect(400);
+  });
+});
@@ -0,0 +1,82 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Import setup first to set environment variables
+require('../setup');
+
+let app;
+let romsPath;
+
+beforeAll(() => {
+  delete require.cache[require.resolve('../../server.js')];
+  app = require('../../server.js');
+  romsPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mhg-es-route-'));
+});
+
+afterAll(() => {
+  fs.rmSync(romsPath, { recursive: true, force: true });
+});
+
+describe('EmulationStation sync', () => {
+  test('PUT /emulationstation/systems validates systems', async () => {
+    const invalid = await request(app)
+      .put('/emulationstation/systems')
+      .set('X-Auth-Token', 'test-token')
+      .send({ systems: [{ romsPath: 'roms' }] })
+      .expect(400);
+    expect(invalid.body).toHaveProperty('error', 'systems[0]: romsPath must be an absolute folder path');
+
+    const saved = await request(app)
+      .put('/emulationstation/systems')
+      .set('X-Auth-Token', 'test-token')
+      .send({ systems: [{ id: 'snes', romsPath, platformId: 19 }] })
+      .expect(200);
+    expect(saved.body.systems).toEqual([
+      { id: 'snes', romsPath, gamelistPath: path.join(romsPath, 'gamelist.xml'), platformId: 19, emulator: null },
+    ]);
+  });
+
+  test('POST /emulationstation/import and /export sync gamelist.xml', async () => {
+    fs.writeFileSync(path.join(romsPath, 'gamelist.xml'), `<gameList>
+  <game><path>./Earthbound (USA).sfc</path><name>EarthBound</name><rating>0.8</rating></game>
+</gameList>`);
+
+    const invalid = await request(app)
+      .post('/emulationstation/import')
+      .set('X-Auth-Token', 'test-token')
+      .send({ onConflict: 'newest' })
+      .expect(400);
+    expect(invalid.body).toHaveProperty('error', 'onConflict must be one of library, gamelist, skip');
+
+    await request(app)
+      .post('/emulationstation/import')
+      .set('X-Auth-Token', 'test-token')
+      .send({ systemId: 'n64' })
+      .expect(404);
+
+    const imported = await request(app)
+      .post('/emulationstation/import')
+      .set('X-Auth-Token', 'test-token')
+      .send({ systemId: 'snes' })
+      .expect(200);
+    expect(imported.body.added).toEqual([expect.objectContaining({ title: 'EarthBound', gameId: expect.any(Number) })]);
+    expect(imported.body.reloaded).not.toBeNull();
+    const { gameId } = imported.body.added[0];
+
+    const game = await request(app)
+      .get(`/games/${gameId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(game.body).toMatchObject({ title: 'EarthBound', stars: 4 });
+
+    const exported = await request(app)
+      .post('/emulationstation/export')
+      .set('X-Auth-Token', 'test-token')
+      .send({})
+      .expect(200);
+    expect(exported.body.files).toEqual([{ systemId: 'snes', path: path.join(romsPath, 'gamelist.xml'), games: 1 }]);
+    expect(fs.readFileSync(path.join(romsPath, 'gamelist.xml'), 'utf8')).toContain('<name>EarthBound</name>');
+  });
+});
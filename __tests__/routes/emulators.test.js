@@ -0,0 +1,91 @@
+const request = require('supertest');
+
+// Import setup first to set environment variables
+require('../setup');
+
+let app;
+
+beforeAll(() => {
+  delete require.cache[require.resolve('../../server.js')];
+  app = require('../../server.js');
+});
+
+describe('Emulators', () => {
+  const snes = {
+    name: 'RetroArch SNES',
+    command: '/usr/bin/retroarch',
+    args: ['-L', '/cores/snes9x_libretro.so', '--config', '{config}', '{rom}'],
+    config: '/home/player/.config/retroarch/retroarch.cfg',
+    platformIds: [19, 58],
+  };
+
+  test('POST /emulators creates an emulator with an id derived from its name', async () => {
+    const response = await request(app)
+      .post('/emulators')
+      .set('X-Auth-Token', 'test-token')
+      .send(snes)
+      .expect(201);
+    expect(response.body.emulator).toMatchObject({ id: 'retroarch-snes', platformIds: [19, 58], env: {}, cwd: null });
+
+    const duplicate = await request(app)
+      .post('/emulators')
+      .set('X-Auth-Token', 'test-token')
+      .send(snes)
+      .expect(409);
+    expect(duplicate.body).toHaveProperty('error', 'Emulator already exists');
+
+    const list = await request(app)
+      .get('/emulators')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(list.body.emulators.map((e) => e.id)).toContain('retroarch-snes');
+  });
+
+  test('PUT /emulators/:emulatorId replaces the definition', async () => {
+    const response = await request(app)
+      .put('/emulators/retroarch-snes')
+      .set('X-Auth-Token', 'test-token')
+      .send({ ...snes, command: '/opt/retroarch/bin/retroarch' })
+      .expect(200);
+    expect(response.body.emulator).toMatchObject({ id: 'retroarch-snes', command: '/opt/retroarch/bin/retroarch' });
+
+    const fetched = await request(app)
+      .get('/emulators/retroarch-snes')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(fetched.body.emulator.command).toBe('/opt/retroarch/bin/retroarch');
+
+    await request(app)
+      .put('/emulators/not-there')
+      .set('X-Auth-Token', 'test-token')
+      .send(snes)
+      .expect(404);
+  });
+
+  test('rejects invalid definitions', async () => {
+    const noCommand = await request(app)
+      .post('/emulators')
+      .set('X-Auth-Token', 'test-token')
+      .send({ name: 'Broken' })
+      .expect(400);
+    expect(noCommand.body).toHaveProperty('error', 'command must be a non-empty string');
+
+    const badPlatforms = await request(app)
+      .post('/emulators')
+      .set('X-Auth-Token', 'test-token')
+      .send({ name: 'Broken', command: '/bin/true', platformIds: ['snes'] })
+      .expect(400);
+    expect(badPlatforms.body).toHaveProperty('error', 'platformIds must be an array of platform ids');
+  });
+
+  test('DELETE /emulators/:emulatorId removes it', async () => {
+    await request(app)
+      .delete('/emulators/retroarch-snes')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    await request(app)
+      .get('/emulators/retroarch-snes')
+      .set('X-Auth-Token', 'test-token')
+      .expect(404);
+  });
+});
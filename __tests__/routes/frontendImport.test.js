@@ -0,0 +1,96 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Import setup first to set environment variables
+require('../setup');
+
+let app;
+let sourceDir;
+
+beforeAll(() => {
+  delete require.cache[require.resolve('../../server.js')];
+  app = require('../../server.js');
+  sourceDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mhg-frontend-route-'));
+});
+
+afterAll(() => {
+  fs.rmSync(sourceDir, { recursive: true, force: true });
+});
+
+describe('Frontend import', () => {
+  test('POST /frontend-import validates the request', async () => {
+    const invalid = await request(app)
+      .post('/frontend-import')
+      .set('X-Auth-Token', 'test-token')
+      .send({ source: 'gog', path: sourceDir })
+      .expect(400);
+    expect(invalid.body).toHaveProperty('error', 'source must be one of playnite, launchbox');
+
+    const missing = await request(app)
+      .post('/frontend-import')
+      .set('X-Auth-Token', 'test-token')
+      .send({ source: 'playnite', path: path.join(sourceDir, 'missing.json') })
+      .expect(400);
+    expect(missing.body).toHaveProperty('error', 'Playnite export not found');
+  });
+
+  test('POST /frontend-import creates games linked to tags, companies and series', async () => {
+    const filePath = path.join(sourceDir, 'library.json');
+    fs.writeFileSync(filePath, JSON.stringify([{
+      Id: 'outer-wilds',
+      Name: 'Outer Wilds Frontend Import',
+      Genres: [{ Name: 'Exploration Import' }],
+      Platforms: [{ Name: 'PC Import' }],
+      Developers: [{ Name: 'Mobius Import' }],
+      Publishers: [{ Name: 'Annapurna Import' }],
+      Series: [{ Name: 'Outer Wilds Series Import' }],
+    }]));
+
+    const dryRun = await request(app)
+      .post('/frontend-import')
+      .set('X-Auth-Token', 'test-token')
+      .send({ source: 'playnite', path: filePath, dryRun: true })
+      .expect(200);
+    expect(dryRun.body.created).toEqual([{ sourceId: 'outer-wilds', title: 'Outer Wilds Frontend Import', gameId: null }]);
+    expect(dryRun.body.newItems.developers).toEqual(['Mobius Import']);
+    expect(dryRun.body.reloaded).toBeNull();
+
+    const imported = await request(app)
+      .post('/frontend-import')
+      .set('X-Auth-Token', 'test-token')
+      .send({ source: 'playnite', path: filePath })
+      .expect(200);
+    const { gameId } = imported.body.created[0];
+
+    const game = await request(app)
+      .get(`/games/${gameId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(game.body.genre).toEqual([expect.any(Number)]);
+    expect(game.body.platforms).toEqual([expect.any(Number)]);
+    expect(game.body.developers).toEqual([expect.objectContaining({ name: 'Mobius Import' })]);
+    expect(game.body.publishers).toEqual([expect.objectContaining({ name: 'Annapurna Import' })]);
+    expect(game.body.collection).toEqual([expect.any(Number)]);
+
+    const categories = await request(app)
+      .get('/categories')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(categories.body.categories).toContainEqual(expect.objectContaining({ id: game.body.genre[0], title: 'Exploration Import' }));
+
+    const again = await request(app)
+      .post('/frontend-import')
+      .set('X-Auth-Token', 'test-token')
+      .send({ source: 'playnite', path: filePath })
+      .expect(200);
+    expect(again.body).toMatchObject({ created: [], skipped: 1 });
+
+    const progress = await request(app)
+      .get('/frontend-import/progress')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(progress.body.imports).toEqual([expect.objectContaining({ source: 'playnite', path: filePath, created: 1 })]);
+  });
+});
@@ -0,0 +1,93 @@
+const request = require('supertest');
+
+// Import setup first to set environment variables
+require('../setup');
+
+const { cachedIgdbQuery } = require('../../utils/igdbCache');
+
+let app;
+
+beforeAll(() => {
+  delete require.cache[require.resolve('../../server.js')];
+  app = require('../../server.js');
+});
+
+describe('IGDB cache', () => {
+  test('GET /igdb-cache and /igdb-cache/entries describe cached queries', async () => {
+    await cachedIgdbQuery('games', 'fields id,name; where id = 1942;', async () => [{ id: 1942, name: 'The Witcher 3' }]);
+
+    const stats = await request(app)
+      .get('/igdb-cache')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(stats.body).toHaveProperty('enabled', true);
+    expect(stats.body.endpoints.games.entries).toBeGreaterThanOrEqual(1);
+    expect(stats.body.config.ttlHours).toHaveProperty('search', 24);
+    expect(stats.body.client).toMatchObject({ queued: 0, limits: { requestsPerSecond: 4, maxConcurrent: 8 } });
+
+    const entries = await request(app)
+      .get('/igdb-cache/entries')
+      .query({ endpoint: 'games', limit: 10 })
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(entries.body.entries).toEqual(
+      expect.arrayContaining([expect.objectContaining({ endpoint: 'games', body: 'fields id,name; where id = 1942;' })])
+    );
+
+    await request(app)
+      .get('/igdb-cache/entries')
+      .query({ limit: 0 })
+      .set('X-Auth-Token', 'test-token')
+      .expect(400);
+  });
+
+  test('PUT /igdb-cache/config validates and enables offline mode', async () => {
+    const invalid = await request(app)
+      .put('/igdb-cache/config')
+      .set('X-Auth-Token', 'test-token')
+      .send({ offline: 'yes' })
+      .expect(400);
+    expect(invalid.body).toHaveProperty('error', 'offline must be a boolean');
+
+    const saved = await request(app)
+      .put('/igdb-cache/config')
+      .set('X-Auth-Token', 'test-token')
+      .send({ offline: true, ttlHours: { games: 12 } })
+      .expect(200);
+    expect(saved.body).toEqual({ offline: true, maxSizeMb: 200, staleHours: 168, ttlHours: { games: 12 } });
+
+    await expect(cachedIgdbQuery('games', 'fields id; where id = 1;', async () => [{ id: 1 }])).rejects.toMatchObject({
+      status: 503,
+    });
+
+    await request(app)
+      .put('/igdb-cache/config')
+      .set('X-Auth-Token', 'test-token')
+      .send({})
+      .expect(200);
+  });
+
+  test('DELETE /igdb-cache purges one endpoint', async () => {
+    await cachedIgdbQuery('keywords', 'fields id,name; where id = 7;', async () => [{ id: 7, name: 'open world' }]);
+
+    await request(app)
+      .delete('/igdb-cache')
+      .query({ endpoint: '/v4/keywords' })
+      .set('X-Auth-Token', 'test-token')
+      .expect(400);
+
+    const purged = await request(app)
+      .delete('/igdb-cache')
+      .query({ endpoint: 'keywords' })
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(purged.body).toMatchObject({ status: 'purged', removed: 1 });
+
+    const entries = await request(app)
+      .get('/igdb-cache/entries')
+      .query({ endpoint: 'keywords' })
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(entries.body.entries).toEqual([]);
+  });
+});
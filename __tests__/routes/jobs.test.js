@@ -0,0 +1,109 @@
+const request = require('supertest');
+
+// Import setup first to set environment variables
+require('../setup');
+
+const { registerMetadataProvider, unregisterMetadataProvider } = require('../../utils/metadataProviders');
+
+let app;
+
+const jobsGames = {
+  'jb-1': { id: 'jb-1', name: 'Job Refresh Quest', summary: '', genres: [] },
+};
+
+beforeAll(() => {
+  registerMetadataProvider({
+    id: 'jobs-fake',
+    label: 'Jobs fake',
+    search: async () => [],
+    getGame: async (gameId) => jobsGames[gameId] || null,
+  });
+  delete require.cache[require.resolve('../../server.js')];
+  app = require('../../server.js');
+});
+
+afterAll(() => {
+  unregisterMetadataProvider('jobs-fake');
+});
+
+async function waitForJob(jobId) {
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    const response = await request(app)
+      .get(`/jobs/${jobId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    if (!['queued', 'running'].includes(response.body.status)) return response.body;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+describe('Metadata refresh jobs', () => {
+  test('POST /jobs/metadata-refresh validates the scope', async () => {
+    const invalid = await request(app)
+      .post('/jobs/metadata-refresh')
+      .set('X-Auth-Token', 'test-token')
+      .send({ scope: 'platform' })
+      .expect(400);
+    expect(invalid.body).toHaveProperty('error', 'platformId is required with scope platform');
+
+    await request(app)
+      .post('/jobs/metadata-refresh')
+      .set('X-Auth-Token', 'test-token')
+      .send({ scope: 'collection', collectionId: 424242 })
+      .expect(404);
+
+    await request(app).get('/jobs/00000000-0000-0000-0000-000000000000').set('X-Auth-Token', 'test-token').expect(404);
+  });
+
+  test('a job refreshes games from their catalog source and reports per-game results', async () => {
+    const imported = await request(app)
+      .post('/catalog/import-game')
+      .set('X-Auth-Token', 'test-token')
+      .send({ provider: 'jobs-fake', providerGameId: 'jb-1' })
+      .expect(200);
+    const importedId = imported.body.gameId;
+    jobsGames['jb-1'].summary = 'Summary added after the import';
+
+    const created = await request(app)
+      .post('/games/create')
+      .set('X-Auth-Token', 'test-token')
+      .send({ title: 'Job Local Game' })
+      .expect(200);
+    const localId = created.body.gameId;
+
+    const started = await request(app)
+      .post('/jobs/metadata-refresh')
+      .set('X-Auth-Token', 'test-token')
+      .send({ scope: 'all' })
+      .expect(200);
+    expect(started.body).toMatchObject({ type: 'metadata-refresh', scope: { scope: 'all' }, status: 'queued' });
+
+    const job = await waitForJob(started.body.id);
+    expect(job.status).toBe('completed');
+    expect(job.results[importedId]).toEqual({ status: 'merged', provider: 'jobs-fake' });
+    expect(job.results[localId]).toEqual({ status: 'skipped', error: 'No catalog source' });
+
+    const game = await request(app)
+      .get(`/games/${importedId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(game.body).toHaveProperty('summary', 'Summary added after the import');
+
+    const list = await request(app)
+      .get('/jobs')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(list.body.jobs[0]).toMatchObject({ id: started.body.id, status: 'completed', percent: 100 });
+    expect(list.body.jobs[0]).not.toHaveProperty('results');
+
+    const stale = await request(app)
+      .post('/jobs/metadata-refresh')
+      .set('X-Auth-Token', 'test-token')
+      .send({ scope: 'stale', staleDays: 1 })
+      .expect(200);
+    const staleJob = await waitForJob(stale.body.id);
+    expect(staleJob.results).not.toHaveProperty(String(importedId));
+    expect(staleJob.results).toHaveProperty(String(localId));
+  });
+});
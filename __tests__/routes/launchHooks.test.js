@@ -0,0 +1,77 @@
+const request = require('supertest');
+
+// Import setup first to set environment variables
+require('../setup');
+
+let app;
+
+beforeAll(() => {
+  delete require.cache[require.resolve('../../server.js')];
+  app = require('../../server.js');
+});
+
+describe('Launch hooks', () => {
+  test('PUT /hooks stores the global hooks', async () => {
+    const saved = await request(app)
+      .put('/hooks')
+      .set('X-Auth-Token', 'test-token')
+      .send({ pre: [{ name: 'resolution', command: '/usr/bin/xrandr', args: ['-s', '1920x1080'] }] })
+      .expect(200);
+    expect(saved.body.pre[0]).toMatchObject({ name: 'resolution', timeoutSeconds: 30, onFailure: 'abort' });
+    expect(saved.body.post).toEqual([]);
+
+    const fetched = await request(app)
+      .get('/hooks')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(fetched.body).toEqual(saved.body);
+
+    const invalid = await request(app)
+      .put('/hooks')
+      .set('X-Auth-Token', 'test-token')
+      .send({ post: [{ command: '/bin/true', onFailure: 'retry' }] })
+      .expect(400);
+    expect(invalid.body.error).toContain('post[0]: onFailure');
+
+    const fractional = await request(app)
+      .put('/hooks')
+      .set('X-Auth-Token', 'test-token')
+      .send({ pre: [{ command: '/bin/true', timeoutSeconds: 2.5 }] })
+      .expect(400);
+    expect(fractional.body.error).toContain('pre[0]: timeoutSeconds');
+
+    await request(app)
+      .put('/hooks')
+      .set('X-Auth-Token', 'test-token')
+      .send({})
+      .expect(200);
+  });
+
+  test('PUT /games/:gameId/hooks stores per-game hooks', async () => {
+    const created = await request(app)
+      .post('/games/create')
+      .set('X-Auth-Token', 'test-token')
+      .send({ title: 'Hooked Game' })
+      .expect(200);
+    const { gameId } = created.body;
+
+    const saved = await request(app)
+      .put(`/games/${gameId}/hooks`)
+      .set('X-Auth-Token', 'test-token')
+      .send({ post: [{ command: '/usr/bin/rsync', args: ['-a', 'saves/', 'backup/'], onFailure: 'continue' }] })
+      .expect(200);
+    expect(saved.body).toMatchObject({ gameId, pre: [], post: [{ name: 'rsync', onFailure: 'continue' }] });
+
+    const fetched = await request(app)
+      .get(`/games/${gameId}/hooks`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(fetched.body).toEqual(saved.body);
+
+    const missing = await request(app)
+      .get('/games/999999999/hooks')
+      .set('X-Auth-Token', 'test-token')
+      .expect(404);
+    expect(missing.body).toHaveProperty('error', 'Game not found');
+  });
+});
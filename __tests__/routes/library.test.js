@@ -98,6 +98,68 @@ describe('GET /libraries/library/games', () => {
     }
   });
 
+
+  test('should paginate with limit and cursor', async () => {
+    const all = await request(app)
+      .get('/libraries/library/games')
+      .query({ sort: 'year', direction: 'desc' })
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(all.body.total).toBe(all.body.games.length);
+    expect(all.body.nextCursor).toBeNull();
+
+    const first = await request(app)
+      .get('/libraries/library/games')
+      .query({ sort: 'year', direction: 'desc', limit: 2 })
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(first.body.games).toHaveLength(2);
+    expect(first.body.nextCursor).toEqual(expect.any(String));
+
+    const second = await request(app)
+      .get('/libraries/library/games')
+      .query({ sort: 'year', direction: 'desc', limit: 2, cursor: first.body.nextCursor })
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect([...first.body.games, ...second.body.games].map((g) => g.id))
+      .toEqual(all.body.games.slice(0, first.body.games.length + second.body.games.length).map((g) => g.id));
+  });
+
+  test('should filter by genre and year and return facet counts', async () => {
+    const all = await request(app)
+      .get('/libraries/library/games')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    const genreFacet = all.body.facets.genre;
+    expect(Array.isArray(genreFacet)).toBe(true);
+    expect(genreFacet.length).toBeGreaterThan(0);
+
+    const { id: genreId, count } = genreFacet[0];
+    const filtered = await request(app)
+      .get('/libraries/library/games')
+      .query({ genre: String(genreId) })
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(filtered.body.total).toBe(count);
+    filtered.body.games.forEach((g) => expect(g.genre).toContain(genreId));
+
+    const byYear = await request(app)
+      .get('/libraries/library/games')
+      .query({ yearMin: 2021, yearMax: 2021 })
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    byYear.body.games.forEach((g) => expect(g.year).toBe(2021));
+    expect(byYear.body.games.map((g) => g.id)).toContain(2);
+  });
+
+  test('should return 400 for invalid query parameters', async () => {
+    const response = await request(app)
+      .get('/libraries/library/games')
+      .query({ direction: 'sideways' })
+      .set('X-Auth-Token', 'test-token')
+      .expect(400);
+    expect(response.body).toHaveProperty('error', 'direction must be asc or desc');
+  });
 });
 
 describe('GET /games/:gameId', () => {
@@ -688,6 +750,145 @@ describe('PUT /games/:gameId', () => {
   });
 });
 
+describe('GET /games/:gameId/sessions', () => {
+  test('should return play history with summary fields', async () => {
+    const { startPlaySession, endPlaySession } = require('../../utils/playSessions');
+    const libraryResponse = await request(app)
+      .get('/libraries/library/games')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    const gameId = libraryResponse.body.games[0].id;
+
+    const session = startPlaySession(testMetadataPath, gameId, { executableName: 'Play', source: 'launcher' });
+    endPlaySession(testMetadataPath, gameId, session.id, new Date(Date.parse(session.startedAt) + 60000));
+
+    const response = await request(app)
+      .get(`/games/${gameId}/sessions`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(response.body).toHaveProperty('gameId', gameId);
+    expect(response.body.totalPlaytime).toBeGreaterThanOrEqual(60);
+    expect(response.body.lastPlayed).toBe(session.startedAt);
+    expect(response.body.sessions[0]).toMatchObject({
+      id: session.id,
+      duration: 60,
+      active: false,
+      executableName: 'Play',
+    });
+    expect(response.body.sessions[0]).not.toHaveProperty('pid');
+
+    const gameResponse = await request(app)
+      .get(`/games/${gameId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(gameResponse.body.lastPlayed).toBe(session.startedAt);
+    expect(gameResponse.body.totalPlaytime).toBe(response.body.totalPlaytime);
+
+    const listed = await request(app)
+      .get('/libraries/library/games')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    const listedGame = listed.body.games.find((g) => g.id === gameId);
+    expect(listedGame.lastPlayed).toBe(session.startedAt);
+  });
+
+  test('should return 404 for non-existent game', async () => {
+    const response = await request(app)
+      .get('/games/999999999/sessions')
+      .set('X-Auth-Token', 'test-token')
+      .expect(404);
+    expect(response.body).toHaveProperty('error', 'Game not found');
+  });
+});
+
+describe('GET/PUT /games/:gameId/personal', () => {
+  test('should store personal state outside catalog metadata and filter the listing by it', async () => {
+    const created = await request(app)
+      .post('/games/create')
+      .set('X-Auth-Token', 'test-token')
+      .send({ title: 'Personal State Game' })
+      .expect(200);
+    const gameId = created.body.gameId;
+
+    const initial = await request(app)
+      .get(`/games/${gameId}/personal`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(initial.body).toMatchObject({ gameId, favorite: false, rating: null, status: 'unplayed', notes: '' });
+
+    const updated = await request(app)
+      .put(`/games/${gameId}/personal`)
+      .set('X-Auth-Token', 'test-token')
+      .send({ favorite: true, rating: 4, status: 'playing', notes: 'Stuck on the water temple' })
+      .expect(200);
+    expect(updated.body).toMatchObject({ gameId, favorite: true, rating: 4, status: 'playing' });
+    expect(updated.body.updatedAt).toEqual(expect.any(String));
+
+    const metadata = JSON.parse(
+      fs.readFileSync(path.join(testMetadataPath, 'content', 'games', String(gameId), 'metadata.json'), 'utf8')
+    );
+    expect(metadata).not.toHaveProperty('favorite');
+    expect(metadata).not.toHaveProperty('notes');
+
+    const gameResponse = await request(app)
+      .get(`/games/${gameId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(gameResponse.body.personal).toMatchObject({ favorite: true, rating: 4, status: 'playing' });
+
+    const favorites = await request(app)
+      .get('/libraries/library/games?favorite=true&status=playing,beaten&personalRatingMin=3.5')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(favorites.body.games.map((g) => g.id)).toEqual([gameId]);
+
+    await request(app)
+      .put(`/games/${gameId}/personal`)
+      .set('X-Auth-Token', 'test-token')
+      .send({ favorite: null })
+      .expect(200);
+    const noFavorites = await request(app)
+      .get('/libraries/library/games?favorite=true')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(noFavorites.body.games.map((g) => g.id)).not.toContain(gameId);
+
+    await request(app)
+      .delete(`/games/${gameId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+  });
+
+  test('should reject invalid personal state', async () => {
+    const libraryResponse = await request(app)
+      .get('/libraries/library/games')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    const gameId = libraryResponse.body.games[0].id;
+
+    const badRating = await request(app)
+      .put(`/games/${gameId}/personal`)
+      .set('X-Auth-Token', 'test-token')
+      .send({ rating: 9 })
+      .expect(400);
+    expect(badRating.body.error).toMatch(/rating/);
+
+    await request(app)
+      .get('/libraries/library/games?status=wishlist')
+      .set('X-Auth-Token', 'test-token')
+      .expect(400);
+  });
+
+  test('should return 404 for non-existent game', async () => {
+    const response = await request(app)
+      .put('/games/999999999/personal')
+      .set('X-Auth-Token', 'test-token')
+      .send({ favorite: true })
+      .expect(404);
+    expect(response.body).toHaveProperty('error', 'Game not found');
+  });
+});
+
 describe('POST /games/:gameId/reload', () => {
   test('should reload metadata for a single game', async () => {
     // First get a game ID from the library
@@ -1488,6 +1689,126 @@ describe('POST /games/:gameId/upload-executable', () => {
   });
 });
 
+describe('/games/:gameId/launch-profiles', () => {
+  const { testMetadataPath } = require('../setup');
+  const fs = require('fs');
+  const path = require('path');
+
+  async function createGame(title) {
+    const created = await request(app)
+      .post('/games/create')
+      .set('X-Auth-Token', 'test-token')
+      .send({ title })
+      .expect(200);
+    createdGameIds.push(created.body.gameId);
+    return created.body.gameId;
+  }
+
+  // Leave the shared library as the later suites expect it
+  const createdGameIds = [];
+  afterAll(async () => {
+    for (const gameId of createdGameIds) {
+      await request(app).delete(`/games/${gameId}`).set('X-Auth-Token', 'test-token');
+    }
+  });
+
+  test('creates, lists, updates and deletes JSON profiles next to raw scripts', async () => {
+    const gameId = await createGame('Launch Profile Game');
+    const scriptsDir = path.join(testMetadataPath, 'content', 'games', String(gameId), 'scripts');
+    fs.mkdirSync(scriptsDir, { recursive: true });
+    fs.writeFileSync(path.join(scriptsDir, '01-Native.sh'), '#!/bin/sh\necho native\n');
+
+    const created = await request(app)
+      .post(`/games/${gameId}/launch-profiles`)
+      .set('X-Auth-Token', 'test-token')
+      .send({
+        label: 'Emulated',
+        platformId: 19,
+        command: '/usr/bin/retroarch',
+        args: ['-L', '/cores/snes.so', '{rom}'],
+        env: { SDL_VIDEODRIVER: 'x11' },
+        rom: '/roms/My Game.sfc',
+      })
+      .expect(201);
+    expect(created.body.profile).toMatchObject({
+      fileName: '02-Emulated-19.json',
+      label: 'Emulated',
+      platformId: '19',
+      type: 'command',
+      command: '/usr/bin/retroarch',
+      rom: '/roms/My Game.sfc',
+    });
+    expect(created.body.game.executables).toEqual(['Native', 'Emulated']);
+
+    const list = await request(app)
+      .get(`/games/${gameId}/launch-profiles`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(list.body.profiles.map(p => [p.fileName, p.type])).toEqual([
+      ['01-Native.sh', 'script'],
+      ['02-Emulated-19.json', 'command'],
+    ]);
+
+    const updated = await request(app)
+      .put(`/games/${gameId}/launch-profiles/02-Emulated-19.json`)
+      .set('X-Auth-Token', 'test-token')
+      .send({ command: '/usr/bin/retroarch', args: ['--fullscreen'], rom: '/roms/Other.sfc' })
+      .expect(200);
+    expect(updated.body.profile).toMatchObject({ args: ['--fullscreen'], rom: '/roms/Other.sfc', env: {} });
+
+    await request(app)
+      .put(`/games/${gameId}/launch-profiles/01-Native.sh`)
+      .set('X-Auth-Token', 'test-token')
+      .send({ command: '/bin/true' })
+      .expect(400);
+
+    const deleted = await request(app)
+      .delete(`/games/${gameId}/launch-profiles/02-Emulated-19.json`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(deleted.body.game.executables).toEqual(['Native']);
+    expect(fs.existsSync(path.join(scriptsDir, '02-Emulated-19.json'))).toBe(false);
+
+    const lastDeleted = await request(app)
+      .delete(`/games/${gameId}/launch-profiles/01-Native.sh`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(lastDeleted.body.game.executables).toBeNull();
+    expect(fs.existsSync(scriptsDir)).toBe(false);
+  });
+
+  test('rejects invalid profiles and unsafe file names', async () => {
+    const gameId = await createGame('Launch Profile Validation Game');
+
+    const missingLabel = await request(app)
+      .post(`/games/${gameId}/launch-profiles`)
+      .set('X-Auth-Token', 'test-token')
+      .send({ command: '/bin/true' })
+      .expect(400);
+    expect(missingLabel.body).toHaveProperty('error', 'Missing label');
+
+    const badRom = await request(app)
+      .post(`/games/${gameId}/launch-profiles`)
+      .set('X-Auth-Token', 'test-token')
+      .send({ label: 'Play', command: '/bin/true', args: ['{rom}'] })
+      .expect(400);
+    expect(badRom.body.error).toMatch(/no rom is set/);
+
+    const badEnv = await request(app)
+      .post(`/games/${gameId}/launch-profiles`)
+      .set('X-Auth-Token', 'test-token')
+      .send({ label: 'Play', command: '/bin/true', env: { 'BAD NAME': 'x' } })
+      .expect(400);
+    expect(badEnv.body.error).toMatch(/Invalid environment variable name/);
+
+    await request(app)
+      .delete(`/games/${gameId}/launch-profiles/..%2F..%2Fmetadata.json`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(404);
+    expect(fs.existsSync(path.join(testMetadataPath, 'content', 'games', String(gameId), 'metadata.json'))).toBe(true);
+  });
+});
+
 describe('POST /games/:gameId/upload-screenshot', () => {
   const testImageBuffer = Buffer.from(
     'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==',
@@ -0,0 +1,134 @@
+const request = require('supertest');
+const AdmZip = require('adm-zip');
+
+// Import setup first to set environment variables
+require('../setup');
+
+let app;
+
+beforeAll(() => {
+  delete require.cache[require.resolve('../../server.js')];
+  app = require('../../server.js');
+});
+
+function binaryParser(res, callback) {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+async function exportLibrary() {
+  const response = await request(app)
+    .get('/library/export')
+    .set('X-Auth-Token', 'test-token')
+    .buffer(true)
+    .parse(binaryParser)
+    .expect(200);
+  return response;
+}
+
+async function createGame(title) {
+  const response = await request(app)
+    .post('/games/create')
+    .set('X-Auth-Token', 'test-token')
+    .send({ title })
+    .expect(200);
+  return response.body.gameId;
+}
+
+describe('GET /library/export', () => {
+  test('should return a zip with a manifest and the content tree', async () => {
+    const gameId = await createGame('Archive Export Game');
+    const response = await exportLibrary();
+
+    expect(response.headers['content-type']).toMatch(/application\/zip/);
+    expect(response.headers['content-disposition']).toMatch(/attachment; filename="myhomegames-library-/);
+    const zip = new AdmZip(response.body);
+    const manifest = JSON.parse(zip.readAsText('manifest.json'));
+    expect(manifest).toMatchObject({ format: 'myhomegames-library', version: 1 });
+    expect(manifest.sections.games).toBeGreaterThan(0);
+    expect(zip.getEntry(`content/games/${gameId}/metadata.json`)).toBeTruthy();
+  });
+});
+
+describe('POST /library/import', () => {
+  test('should preview a merge without changing the library', async () => {
+    const archive = (await exportLibrary()).body;
+    const response = await request(app)
+      .post('/library/import?dryRun=true')
+      .set('X-Auth-Token', 'test-token')
+      .attach('archive', archive, 'library.zip')
+      .expect(200);
+
+    expect(response.body).toMatchObject({ mode: 'merge', dryRun: true });
+    expect(response.body.sections.games.added).toBe(0);
+    expect(response.body.conflicts.length).toBeGreaterThan(0);
+    expect(response.body.conflicts.every((c) => c.resolution === 'skipped')).toBe(true);
+    expect(response.body).not.toHaveProperty('reloaded');
+  });
+
+  test('should restore a deleted game on merge and reload the library', async () => {
+    const gameId = await createGame('Archive Restore Game');
+    const archive = (await exportLibrary()).body;
+    await request(app)
+      .delete(`/games/${gameId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+
+    const response = await request(app)
+      .post('/library/import')
+      .set('X-Auth-Token', 'test-token')
+      .field('mode', 'merge')
+      .attach('archive', archive, 'library.zip')
+      .expect(200);
+    expect(response.body.dryRun).toBe(false);
+    expect(response.body.sections.games.added).toBe(1);
+    expect(response.body.reloaded.count).toBeGreaterThan(0);
+
+    const game = await request(app)
+      .get(`/games/${gameId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(game.body.title).toBe('Archive Restore Game');
+  });
+
+  test('should replace the library with the archive contents', async () => {
+    const keptId = await createGame('Archive Kept Game');
+    const archive = (await exportLibrary()).body;
+    const droppedId = await createGame('Archive Dropped Game');
+
+    const response = await request(app)
+      .post('/library/import?mode=replace')
+      .set('X-Auth-Token', 'test-token')
+      .attach('archive', archive, 'library.zip')
+      .expect(200);
+    expect(response.body.sections.games.removed).toBe(1);
+
+    await request(app).get(`/games/${keptId}`).set('X-Auth-Token', 'test-token').expect(200);
+    await request(app).get(`/games/${droppedId}`).set('X-Auth-Token', 'test-token').expect(404);
+  });
+
+  test('should reject invalid archives and options', async () => {
+    await request(app)
+      .post('/library/import')
+      .set('X-Auth-Token', 'test-token')
+      .expect(400);
+
+    const archive = (await exportLibrary()).body;
+    const badMode = await request(app)
+      .post('/library/import?mode=wipe')
+      .set('X-Auth-Token', 'test-token')
+      .attach('archive', archive, 'library.zip')
+      .expect(400);
+    expect(badMode.body.error).toBe('mode must be one of merge, replace');
+
+    const notALibrary = new AdmZip();
+    notALibrary.addFile('skin.json', Buffer.from('{}'));
+    const invalid = await request(app)
+      .post('/library/import')
+      .set('X-Auth-Token', 'test-token')
+      .attach('archive', notALibrary.toBuffer(), 'skin.zip')
+      .expect(400);
+    expect(invalid.body).toEqual({ error: 'Invalid archive', detail: 'Unexpected file in archive: skin.json' });
+  });
+});
@@ -0,0 +1,68 @@
+const request = require('supertest');
+const fs = require('fs');
+const path = require('path');
+
+// Import setup first to set environment variables
+const { testMetadataPath } = require('../setup');
+
+let app;
+
+beforeAll(() => {
+  delete require.cache[require.resolve('../../server.js')];
+  app = require('../../server.js');
+});
+
+describe('Library doctor', () => {
+  const collectionDir = () => path.join(testMetadataPath, 'content', 'collections', '987654');
+
+  afterAll(() => {
+    fs.rmSync(collectionDir(), { recursive: true, force: true });
+  });
+
+  test('GET /maintenance/doctor reports dangling references and POST /maintenance/doctor/fix removes them', async () => {
+    const created = await request(app)
+      .post('/games/create')
+      .set('X-Auth-Token', 'test-token')
+      .send({ title: 'Doctor Game' })
+      .expect(200);
+    const { gameId } = created.body;
+    fs.mkdirSync(collectionDir(), { recursive: true });
+    fs.writeFileSync(
+      path.join(collectionDir(), 'metadata.json'),
+      JSON.stringify({ title: 'Doctor Shelf', games: [gameId, 123456789] }),
+    );
+
+    const report = await request(app)
+      .get('/maintenance/doctor')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(report.body.summary.byCategory).toHaveProperty('references');
+    const finding = report.body.findings.find((f) => f.path === 'content/collections/987654/metadata.json');
+    expect(finding).toMatchObject({
+      code: 'dangling-game-reference',
+      severity: 'warning',
+      fixable: true,
+      missingGameIds: [123456789],
+    });
+
+    const fixed = await request(app)
+      .post('/maintenance/doctor/fix')
+      .set('X-Auth-Token', 'test-token')
+      .send({ codes: ['dangling-game-reference'] })
+      .expect(200);
+    expect(fixed.body.status).toBe('fixed');
+    expect(fixed.body.fixed.map((f) => f.path)).toContain('content/collections/987654/metadata.json');
+    expect(fixed.body.remaining.findings.filter((f) => f.code === 'dangling-game-reference')).toEqual([]);
+    const stored = JSON.parse(fs.readFileSync(path.join(collectionDir(), 'metadata.json'), 'utf8'));
+    expect(stored.games).toEqual([gameId]);
+  });
+
+  test('POST /maintenance/doctor/fix validates codes', async () => {
+    const response = await request(app)
+      .post('/maintenance/doctor/fix')
+      .set('X-Auth-Token', 'test-token')
+      .send({ codes: 'all' })
+      .expect(400);
+    expect(response.body).toHaveProperty('error', 'codes must be an array of finding codes');
+  });
+});
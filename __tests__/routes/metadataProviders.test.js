@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+
+// Import setup first to set environment variables
+const { testMetadataPath } = require('../setup');
+
+const { registerMetadataProvider, unregisterMetadataProvider } = require('../../utils/metadataProviders');
+const { loadRoleItems, saveRoleItem } = require('../../utils/companyStorage');
+
+let app;
+
+const fakeGames = {
+  'fk-1': {
+    id: 'fk-1',
+    name: 'Fake Provider Quest',
+    summary: 'Imported through the fake provider',
+    releaseDate: 1609459200,
+    genres: ['Fake Provider Genre'],
+    similarGames: [{ id: 'fk-2', name: 'Fake Provider Quest II' }],
+  },
+  'fk-2': {
+    id: 'fk-2',
+    name: 'Fake Provider Quest II',
+    summary: '',
+    keywords: ['fake-provider-keyword'],
+  },
+  // Ids of the fake catalog, which clash with IGDB ids already in the library
+  'fk-3': {
+    id: 'fk-3',
+    name: 'Fake Provider Tactics',
+    developers: [{ id: 1, name: 'Fake Studio' }],
+    publishers: [{ id: 2, name: 'IGDB Publisher Two' }],
+    franchise: { id: 1, name: 'Fake Saga' },
+  },
+  'fk-4': {
+    id: 'fk-4',
+    name: 'Fake Provider Tactics II',
+    developers: [{ id: 7, name: 'fake studio' }],
+  },
+};
+
+beforeAll(() => {
+  saveRoleItem(testMetadataPath, 'developers', { id: 1, title: 'IGDB Developer One', games: [] });
+  saveRoleItem(testMetadataPath, 'publishers', { id: 2, title: 'IGDB Publisher Two', games: [] });
+  registerMetadataProvider({
+    id: 'fake',
+    label: 'Fake',
+    search: async (query) => Object.values(fakeGames).filter((g) => g.name.includes(query)),
+    getGame: async (gameId) => fakeGames[gameId] || null,
+    getRelatedGames: async (gameId) => (fakeGames[gameId]?.similarGames || []).map((g) => fakeGames[g.id]),
+  });
+  delete require.cache[require.resolve('../../server.js')];
+  app = require('../../server.js');
+});
+
+afterAll(() => {
+  unregisterMetadataProvider('fake');
+});
+
+describe('Metadata providers', () => {
+  test('GET /metadata-providers lists IGDB and registered providers', async () => {
+    const response = await request(app)
+      .get('/metadata-providers')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(response.body.providers).toEqual(expect.arrayContaining([
+      { id: 'igdb', label: 'IGDB', capabilities: ['search', 'getGame', 'getCompany', 'getRelatedGames'] },
+      { id: 'fake', label: 'Fake', capabilities: ['search', 'getGame', 'getRelatedGames'] },
+    ]));
+  });
+
+  test('provider lookups return results, 404 for unknown games and 400 for unsupported methods', async () => {
+    const search = await request(app)
+      .get('/metadata-providers/fake/search')
+      .query({ q: 'Quest II' })
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(search.body.map((g) => g.id)).toEqual(['fk-2']);
+
+    const related = await request(app)
+      .get('/metadata-providers/fake/games/fk-1/related')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(related.body.map((g) => g.id)).toEqual(['fk-2']);
+
+    await request(app).get('/metadata-providers/fake/games/missing').set('X-Auth-Token', 'test-token').expect(404);
+    await request(app).get('/metadata-providers/nope/games/1').set('X-Auth-Token', 'test-token').expect(404);
+    const unsupported = await request(app)
+      .get('/metadata-providers/fake/companies/1')
+      .set('X-Auth-Token', 'test-token')
+      .expect(400);
+    expect(unsupported.body).toHaveProperty('error', 'Metadata provider fake does not support getCompany');
+  });
+
+  test('PUT /metadata-providers/config validates field priority', async () => {
+    const invalid = await request(app)
+      .put('/metadata-providers/config')
+      .set('X-Auth-Token', 'test-token')
+      .send({ fieldPriority: { summary: 'fake' } })
+      .expect(400);
+    expect(invalid.body).toHaveProperty('error', 'fieldPriority.summary must be an array of provider ids');
+
+    const saved = await request(app)
+      .put('/metadata-providers/config')
+      .set('X-Auth-Token', 'test-token')
+      .send({ fieldPriority: { default: ['igdb', 'fake'] } })
+      .expect(200);
+    expect(saved.body).toEqual({ catalogs: [], fieldPriority: { default: ['igdb', 'fake'] } });
+  });
+
+  test('POST /catalog/import-game and merge-catalog-metadata fetch the payload from a provider', async () => {
+    const imported = await request(app)
+      .post('/catalog/import-game')
+      .set('X-Auth-Token', 'test-token')
+      .send({ provider: 'fake', providerGameId: 'fk-1' })
+      .expect(200);
+    const gameId = imported.body.gameId;
+    expect(gameId).toEqual(expect.any(Number));
+    expect(imported.body.game).toHaveProperty('title', 'Fake Provider Quest');
+    expect(imported.body.game.genre).toEqual([expect.any(Number)]);
+    expect(imported.body.fieldSources).toMatchObject({ name: 'fake', summary: 'fake', genres: 'fake' });
+
+    const duplicate = await request(app)
+      .post('/catalog/import-game')
+      .set('X-Auth-Token', 'test-token')
+      .send({ provider: 'fake', providerGameId: 'fk-1' })
+      .expect(409);
+    expect(duplicate.body).toHaveProperty('gameId', gameId);
+
+    await request(app)
+      .post('/catalog/import-game')
+      .set('X-Auth-Token', 'test-token')
+      .send({ provider: 'fake', providerGameId: 'missing' })
+      .expect(404);
+
+    const merged = await request(app)
+      .post(`/games/${gameId}/merge-catalog-metadata`)
+      .set('X-Auth-Token', 'test-token')
+      .send({ provider: 'fake', providerGameId: 'fk-2' })
+      .expect(200);
+    expect(merged.body).toHaveProperty('status', 'merged');
+    expect(merged.body.game).toHaveProperty('title', 'Fake Provider Quest');
+    expect(merged.body.fieldSources).toMatchObject({ keywords: 'fake' });
+  });
+
+  test('provider companies and franchises are mapped to library ids by name', async () => {
+    const imported = await request(app)
+      .post('/catalog/import-game')
+      .set('X-Auth-Token', 'test-token')
+      .send({ provider: 'fake', providerGameId: 'fk-3' })
+      .expect(200);
+    const gameId = imported.body.gameId;
+
+    const developers = loadRoleItems(testMetadataPath, 'developers');
+    const igdbDeveloper = developers.find((d) => d.id === 1);
+    expect(igdbDeveloper.title).toBe('IGDB Developer One');
+    expect(igdbDeveloper.games).not.toContain(gameId);
+    const fakeStudio = developers.find((d) => d.title === 'Fake Studio');
+    expect(fakeStudio.id).not.toBe(1);
+    expect(fakeStudio.games).toContain(gameId);
+    // A name the library already has links to that item
+    expect(loadRoleItems(testMetadataPath, 'publishers').find((p) => p.id === 2).games).toContain(gameId);
+    const franchiseDir = path.join(testMetadataPath, 'content', 'franchises');
+    expect(fs.existsSync(path.join(franchiseDir, '1'))).toBe(false);
+    const [franchiseId] = fs.readdirSync(franchiseDir);
+    expect(JSON.parse(fs.readFileSync(path.join(franchiseDir, franchiseId, 'metadata.json'), 'utf8')))
+      .toMatchObject({ title: 'Fake Saga', gameIds: [gameId] });
+
+    const second = await request(app)
+      .post('/catalog/import-game')
+      .set('X-Auth-Token', 'test-token')
+      .send({ provider: 'fake', providerGameId: 'fk-4' })
+      .expect(200);
+    expect(loadRoleItems(testMetadataPath, 'developers').find((d) => d.id === fakeStudio.id).games)
+      .toEqual(expect.arrayContaining([gameId, second.body.gameId]));
+  });
+});
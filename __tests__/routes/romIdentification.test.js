@@ -0,0 +1,135 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Import setup first to set environment variables
+require('../setup');
+
+let app;
+let romsDir;
+
+function sha1(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+const DAT = `clrmamepro ( name "Nintendo - Game Boy" version 20240101 )
+game ( name "Tetris (World) (Rev 1)" rom ( name "Tetris (World) (Rev 1).gb" size 6 sha1 ${sha1('tetris')} ) )
+game ( name "Dr. Mario (World)" rom ( name "Dr. Mario (World).gb" size 5 sha1 ${sha1('mario')} ) )
+`;
+
+beforeAll(() => {
+  delete require.cache[require.resolve('../../server.js')];
+  app = require('../../server.js');
+  romsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mhg-dat-roms-'));
+});
+
+afterAll(() => {
+  fs.rmSync(romsDir, { recursive: true, force: true });
+});
+
+async function waitForIdentification() {
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    const response = await request(app)
+      .get('/rom-identification/scan')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    if (response.body.status !== 'running') return response.body;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error('ROM identification did not finish');
+}
+
+describe('ROM identification', () => {
+  test('POST /dats validates uploads', async () => {
+    const missing = await request(app)
+      .post('/dats')
+      .set('X-Auth-Token', 'test-token')
+      .expect(400);
+    expect(missing.body).toHaveProperty('error', 'Missing DAT file');
+
+    const invalid = await request(app)
+      .post('/dats')
+      .set('X-Auth-Token', 'test-token')
+      .field('platformId', 'gb')
+      .attach('file', Buffer.from(DAT), 'gb.dat')
+      .expect(400);
+    expect(invalid.body).toHaveProperty('error', 'platformId must be a positive integer');
+
+    const empty = await request(app)
+      .post('/dats')
+      .set('X-Auth-Token', 'test-token')
+      .attach('file', Buffer.from('clrmamepro ( name "Empty" )'), 'empty.dat')
+      .expect(400);
+    expect(empty.body).toEqual({ error: 'Invalid DAT file', detail: 'DAT file has no games' });
+  });
+
+  test('scanned ROMs are identified on the game response and in the completeness report', async () => {
+    fs.writeFileSync(path.join(romsDir, 'tetris.gb'), 'tetris');
+    await request(app)
+      .put('/rom-scanner/roots')
+      .set('X-Auth-Token', 'test-token')
+      .send({ roots: [{ id: 'gb', path: romsDir, platformId: 33 }] })
+      .expect(200);
+    await request(app)
+      .post('/rom-scanner/scan')
+      .set('X-Auth-Token', 'test-token')
+      .send({})
+      .expect(200);
+    let scan;
+    for (let attempt = 0; attempt < 100; attempt += 1) {
+      scan = await request(app)
+        .get('/rom-scanner/scan')
+        .set('X-Auth-Token', 'test-token')
+        .expect(200);
+      if (scan.body.status !== 'running') break;
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    const { gameId } = scan.body.report.added[0];
+
+    const imported = await request(app)
+      .post('/dats')
+      .set('X-Auth-Token', 'test-token')
+      .field('platformId', '33')
+      .attach('file', Buffer.from(DAT), 'gb.dat')
+      .expect(200);
+    expect(imported.body.dat).toMatchObject({ id: 'nintendo-game-boy', platformId: 33, games: 2 });
+
+    const started = await request(app)
+      .post('/rom-identification/scan')
+      .set('X-Auth-Token', 'test-token')
+      .send({})
+      .expect(200);
+    expect(started.body).toMatchObject({ status: 'running', force: false });
+    const identified = await waitForIdentification();
+    expect(identified).toMatchObject({ status: 'completed', processed: 1, total: 1 });
+    expect(identified.summary).toMatchObject({ files: 1, hashed: 1, identified: 1, unknown: 0 });
+
+    const game = await request(app)
+      .get(`/games/${gameId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(game.body.romIdentification).toEqual([
+      expect.objectContaining({ title: 'Tetris (World) (Rev 1)', region: 'World', status: 'verified', datId: 'nintendo-game-boy' }),
+    ]);
+
+    const completeness = await request(app)
+      .get('/rom-identification/completeness?platformId=33')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(completeness.body.dats).toEqual([
+      expect.objectContaining({ total: 2, owned: 1, missing: [{ name: 'Dr. Mario (World)', region: 'World' }] }),
+    ]);
+
+    await request(app)
+      .delete('/dats/nintendo-game-boy')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    const dats = await request(app)
+      .get('/dats')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(dats.body.dats).toEqual([]);
+  });
+});
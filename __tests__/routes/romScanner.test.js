@@ -0,0 +1,107 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Import setup first to set environment variables
+require('../setup');
+
+let app;
+let romsDir;
+
+beforeAll(() => {
+  delete require.cache[require.resolve('../../server.js')];
+  app = require('../../server.js');
+  romsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mhg-scan-roms-'));
+});
+
+afterAll(() => {
+  fs.rmSync(romsDir, { recursive: true, force: true });
+});
+
+async function scanRoms(body) {
+  const started = await request(app)
+    .post('/rom-scanner/scan')
+    .set('X-Auth-Token', 'test-token')
+    .send(body)
+    .expect(200);
+  expect(started.body).toMatchObject({ status: 'running' });
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    const response = await request(app)
+      .get('/rom-scanner/scan')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    if (response.body.status !== 'running') return response.body;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error('ROM scan did not finish');
+}
+
+describe('ROM scanner', () => {
+  test('PUT /rom-scanner/roots validates and stores roots', async () => {
+    const invalid = await request(app)
+      .put('/rom-scanner/roots')
+      .set('X-Auth-Token', 'test-token')
+      .send({ roots: [{ path: romsDir }] })
+      .expect(400);
+    expect(invalid.body.error).toBe('roots[0]: a root needs a platformId or an emulator');
+
+    const saved = await request(app)
+      .put('/rom-scanner/roots')
+      .set('X-Auth-Token', 'test-token')
+      .send({ roots: [{ id: 'snes', path: romsDir, platformId: 19, extensions: ['sfc'] }] })
+      .expect(200);
+    expect(saved.body.roots).toEqual([
+      { id: 'snes', path: romsDir, platformId: 19, emulator: null, extensions: ['.sfc'], recursive: true },
+    ]);
+  });
+
+  test('POST /rom-scanner/scan creates games that launch through the emulator profile', async () => {
+    const romPath = path.join(romsDir, 'Super Metroid (USA) (Rev 1).sfc');
+    fs.writeFileSync(romPath, 'rom');
+
+    const scan = await scanRoms({});
+    expect(scan).toMatchObject({ status: 'completed', processed: 1, total: 1 });
+    expect(scan.report).toMatchObject({ roots: ['snes'], moved: [], missing: [], unchanged: 0, matchQueued: 0 });
+    expect(scan.report.added).toEqual([{ path: romPath, gameId: expect.any(Number), title: 'Super Metroid' }]);
+    const { gameId } = scan.report.added[0];
+
+    const game = await request(app)
+      .get(`/games/${gameId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(game.body.title).toBe('Super Metroid');
+
+    const profiles = await request(app)
+      .get(`/games/${gameId}/launch-profiles`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(profiles.body.profiles).toEqual([
+      expect.objectContaining({ fileName: '01-play-19.json', type: 'emulator', platformId: 19, rom: romPath }),
+    ]);
+
+    const rescan = await scanRoms({ rootId: 'snes' });
+    expect(rescan.report).toMatchObject({ added: [], unchanged: 1, reloaded: null });
+
+    const files = await request(app)
+      .get('/rom-scanner/files')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(files.body.files).toEqual([expect.objectContaining({ path: romPath, gameId, rootId: 'snes', missing: false })]);
+
+    const last = await request(app)
+      .get('/rom-scanner/last-scan')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(last.body.unchanged).toBe(1);
+  });
+
+  test('POST /rom-scanner/scan rejects unknown roots', async () => {
+    const response = await request(app)
+      .post('/rom-scanner/scan')
+      .set('X-Auth-Token', 'test-token')
+      .send({ rootId: 'nes' })
+      .expect(404);
+    expect(response.body).toHaveProperty('error', 'Scan root not found');
+  });
+});
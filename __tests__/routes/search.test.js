@@ -0,0 +1,140 @@
+const request = require('supertest');
+
+// Import setup first to set environment variables
+const { testMetadataPath } = require('../setup');
+
+// Import server after setting up environment
+let app;
+
+beforeAll(() => {
+  // Clear module cache to ensure fresh server instance
+  delete require.cache[require.resolve('../../server.js')];
+  app = require('../../server.js');
+});
+
+afterAll(async () => {
+  // Give time for any pending async operations to complete
+  await new Promise(resolve => setTimeout(resolve, 100));
+});
+
+describe('GET /search', () => {
+  beforeAll(async () => {
+    // Populate the in-memory library (and the search index)
+    await request(app)
+      .get('/libraries/library/games')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+  });
+
+  test('should return 400 without a query', async () => {
+    const response = await request(app)
+      .get('/search')
+      .set('X-Auth-Token', 'test-token')
+      .expect(400);
+    expect(response.body).toHaveProperty('error', 'Missing search query (q)');
+  });
+
+  test('should find games by title with highlights', async () => {
+    const response = await request(app)
+      .get('/search')
+      .query({ q: 'test game 2' })
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+
+    expect(response.body.query).toBe('test game 2');
+    expect(response.body.results[0]).toMatchObject({ id: 2, title: 'Test Game 2' });
+    const titleHighlight = response.body.results[0].highlights.find((h) => h.field === 'title');
+    expect(titleHighlight.text).toBe('Test Game 2');
+    expect(titleHighlight.ranges).toEqual([[0, 4], [5, 9], [10, 11]]);
+  });
+
+  test('should match summaries, prefixes and typos', async () => {
+    const bySummary = await request(app)
+      .get('/search')
+      .query({ q: 'summary' })
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(bySummary.body.results.map((r) => r.id)).toEqual(expect.arrayContaining([1, 2, 3]));
+    expect(bySummary.body.results[0].highlights[0].field).toBe('summary');
+
+    const byTypo = await request(app)
+      .get('/search')
+      .query({ q: 'sumary' })
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(byTypo.body.total).toBe(bySummary.body.total);
+
+    const limited = await request(app)
+      .get('/search')
+      .query({ q: 'summ', limit: 1 })
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(limited.body.results).toHaveLength(1);
+    expect(limited.body.total).toBeGreaterThanOrEqual(3);
+  });
+
+  test('should update the index when games are created, edited and deleted', async () => {
+    const created = await request(app)
+      .post('/games/create')
+      .set('X-Auth-Token', 'test-token')
+      .send({ title: 'Zephyr Chronicles' })
+      .expect(200);
+    const gameId = created.body.gameId;
+
+    let response = await request(app)
+      .get('/search')
+      .query({ q: 'zephyr' })
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(response.body.results.map((r) => r.id)).toEqual([gameId]);
+
+    await request(app)
+      .put(`/games/${gameId}`)
+      .set('X-Auth-Token', 'test-token')
+      .send({ alternativeNames: ['Windborne Saga'] })
+      .expect(200);
+    response = await request(app)
+      .get('/search')
+      .query({ q: 'windborne' })
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(response.body.results[0].id).toBe(gameId);
+    expect(response.body.results[0].highlights[0]).toMatchObject({
+      field: 'alternativeNames',
+      text: 'Windborne Saga',
+      ranges: [[0, 9]],
+    });
+
+    await request(app)
+      .delete(`/games/${gameId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    response = await request(app)
+      .get('/search')
+      .query({ q: 'zephyr' })
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(response.body.results).toEqual([]);
+  });
+});
+
+describe('search index name lookups', () => {
+  test('should load company and tag names once per rebuild, and once more per game update', () => {
+    jest.isolateModules(() => {
+      const companyStorage = require('../../utils/companyStorage');
+      const loadRoleItems = jest.spyOn(companyStorage, 'loadRoleItems');
+      const { rebuildSearchIndex, updateGameInSearchIndex } = require('../../routes/search');
+
+      // Ids no company has
+      rebuildSearchIndex(testMetadataPath, {
+        1: { id: 1, title: 'Unknown Developer One', developers: [990001] },
+        2: { id: 2, title: 'Unknown Developer Two', developers: [990002], publishers: [990003] },
+      });
+      // developers + publishers
+      expect(loadRoleItems).toHaveBeenCalledTimes(2);
+
+      updateGameInSearchIndex(testMetadataPath, { id: 3, title: 'New Company Game', developers: [990004], publishers: [990005] });
+      expect(loadRoleItems).toHaveBeenCalledTimes(4);
+    });
+  });
+});
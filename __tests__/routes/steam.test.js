@@ -0,0 +1,100 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Import setup first to set environment variables
+require('../setup');
+
+let app;
+let steamPath;
+
+function writeManifest(appId, name) {
+  fs.writeFileSync(
+    path.join(steamPath, 'steamapps', `appmanifest_${appId}.acf`),
+    `"AppState" { "appid" "${appId}" "name" "${name}" "StateFlags" "4" "installdir" "${name}" }`,
+  );
+}
+
+beforeAll(() => {
+  delete require.cache[require.resolve('../../server.js')];
+  app = require('../../server.js');
+  steamPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mhg-steam-route-'));
+  fs.mkdirSync(path.join(steamPath, 'steamapps'));
+});
+
+afterAll(() => {
+  fs.rmSync(steamPath, { recursive: true, force: true });
+});
+
+describe('Steam import', () => {
+  test('PUT /steam/config validates the Steam directory', async () => {
+    const invalid = await request(app)
+      .put('/steam/config')
+      .set('X-Auth-Token', 'test-token')
+      .send({ steamPath: 'Steam' })
+      .expect(400);
+    expect(invalid.body).toHaveProperty('error', 'steamPath must be an absolute folder path');
+
+    const saved = await request(app)
+      .put('/steam/config')
+      .set('X-Auth-Token', 'test-token')
+      .send({ steamPath })
+      .expect(200);
+    expect(saved.body).toEqual({ steamPath, resolvedSteamPath: steamPath });
+  });
+
+  test('POST /steam/import creates games and flags uninstalled apps', async () => {
+    writeManifest('620', 'Portal 2');
+    const imported = await request(app)
+      .post('/steam/import')
+      .set('X-Auth-Token', 'test-token')
+      .send({})
+      .expect(200);
+    expect(imported.body.added).toEqual([{ appId: '620', name: 'Portal 2', gameId: expect.any(Number) }]);
+    expect(imported.body.matchQueued).toBe(0);
+    const { gameId } = imported.body.added[0];
+
+    const profiles = await request(app)
+      .get(`/games/${gameId}/launch-profiles`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(profiles.body.profiles).toEqual([
+      expect.objectContaining({ fileName: '01-play.json', type: 'url', url: 'steam://rungameid/620' }),
+    ]);
+
+    fs.rmSync(path.join(steamPath, 'steamapps', 'appmanifest_620.acf'));
+    const rescan = await request(app)
+      .post('/steam/import')
+      .set('X-Auth-Token', 'test-token')
+      .send({})
+      .expect(200);
+    expect(rescan.body.uninstalled).toEqual([expect.objectContaining({ appId: '620', gameId })]);
+
+    const invalid = await request(app)
+      .post('/steam/uninstalled')
+      .set('X-Auth-Token', 'test-token')
+      .send({ action: 'hide' })
+      .expect(400);
+    expect(invalid.body).toHaveProperty('error', 'action must be one of flag, remove');
+
+    const flagged = await request(app)
+      .post('/steam/uninstalled')
+      .set('X-Auth-Token', 'test-token')
+      .send({ action: 'flag' })
+      .expect(200);
+    expect(flagged.body.apps).toEqual([{ appId: '620', name: 'Portal 2', gameId }]);
+
+    const game = await request(app)
+      .get(`/games/${gameId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(game.body.installed).toBe(false);
+
+    const apps = await request(app)
+      .get('/steam/apps')
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(apps.body.apps).toEqual([expect.objectContaining({ appId: '620', installed: false, gameId })]);
+  });
+});
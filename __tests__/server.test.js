@@ -228,6 +228,330 @@ describe('GET /launcher', () => {
   });
 });
 
+describe('Running games', () => {
+  async function createGameWithScript(title, script) {
+    const created = await request(app)
+      .post('/games/create')
+      .set('X-Auth-Token', 'test-token')
+      .send({ title })
+      .expect(200);
+    const gameId = created.body.gameId;
+    const gameDir = path.join(testMetadataPath, 'content', 'games', String(gameId));
+    const scriptsDir = path.join(gameDir, 'scripts');
+    fs.mkdirSync(scriptsDir, { recursive: true });
+    fs.writeFileSync(path.join(scriptsDir, 'play.sh'), `#!/bin/sh\n${script}\n`);
+    fs.chmodSync(path.join(scriptsDir, 'play.sh'), 0o755);
+    const metadataFile = path.join(gameDir, 'metadata.json');
+    const metadata = JSON.parse(fs.readFileSync(metadataFile, 'utf8'));
+    metadata.executables = ['play'];
+    fs.writeFileSync(metadataFile, JSON.stringify(metadata, null, 2));
+    await request(app).post('/reload-games').set('X-Auth-Token', 'test-token').expect(200);
+    return gameId;
+  }
+
+  const unixOnly = process.platform === 'win32' ? test.skip : test;
+
+  unixOnly('GET /launcher/running lists a launch until POST /launcher/stop ends it', async () => {
+    const gameId = await createGameWithScript('Running Registry Game', 'sleep 30');
+    const launched = await request(app)
+      .get(`/launcher?gameId=${gameId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(launched.body.launchId).toEqual(expect.any(String));
+
+    const running = await request(app)
+      .get(`/launcher/running?gameId=${gameId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(running.body.games).toHaveLength(1);
+    expect(running.body.games[0]).toMatchObject({
+      launchId: launched.body.launchId,
+      gameId,
+      executableName: 'play',
+      pid: launched.body.pid,
+      state: 'running',
+      source: 'launcher',
+    });
+    expect(running.body.games[0]).not.toHaveProperty('fullCommandPath');
+
+    const stopped = await request(app)
+      .post('/launcher/stop')
+      .set('X-Auth-Token', 'test-token')
+      .send({ launchId: launched.body.launchId })
+      .expect(200);
+    expect(stopped.body).toMatchObject({ status: 'stopped' });
+    expect(stopped.body.launches[0]).toMatchObject({ launchId: launched.body.launchId, ok: true, state: 'stopped' });
+
+    const afterStop = await request(app)
+      .get(`/launcher/running?gameId=${gameId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(afterStop.body.games).toEqual([]);
+
+    const history = await request(app)
+      .get(`/launcher/running?gameId=${gameId}&includeFinished=true`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(history.body.games[0]).toMatchObject({ launchId: launched.body.launchId, state: 'stopped' });
+    expect(history.body.games[0].endedAt).toEqual(expect.any(String));
+  });
+
+  test('POST /launcher/stop should validate its target', async () => {
+    const missing = await request(app)
+      .post('/launcher/stop')
+      .set('X-Auth-Token', 'test-token')
+      .send({})
+      .expect(400);
+    expect(missing.body).toHaveProperty('error', 'Missing launchId or gameId');
+
+    const unknown = await request(app)
+      .post('/launcher/stop')
+      .set('X-Auth-Token', 'test-token')
+      .send({ launchId: 'not-a-launch' })
+      .expect(404);
+    expect(unknown.body).toHaveProperty('error', 'No running launch found');
+  });
+
+  unixOnly('GET /games/:gameId/launch-logs exposes script output and exit code', async () => {
+    const gameId = await createGameWithScript('Launch Log Game', 'echo hello\necho oops >&2\nexit 3');
+    const launched = await request(app)
+      .get(`/launcher?gameId=${gameId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+
+    let log;
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const res = await request(app)
+        .get(`/games/${gameId}/launch-logs/${launched.body.launchId}`)
+        .set('X-Auth-Token', 'test-token')
+        .expect(200);
+      log = res.body;
+      if (log.endedAt) break;
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    expect(log).toMatchObject({ launchId: launched.body.launchId, gameId, exitCode: 3, truncated: false });
+    expect(log.output).toContain('hello');
+    expect(log.output).toContain('oops');
+    expect(log.durationMs).toEqual(expect.any(Number));
+
+    const list = await request(app)
+      .get(`/games/${gameId}/launch-logs`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(list.body.logs[0]).toMatchObject({ launchId: launched.body.launchId, exitCode: 3 });
+    expect(list.body.logs[0]).not.toHaveProperty('output');
+
+    const missing = await request(app)
+      .get(`/games/${gameId}/launch-logs/00000000-0000-0000-0000-000000000000`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(404);
+    expect(missing.body).toHaveProperty('error', 'Launch log not found');
+  });
+
+  unixOnly('launches a JSON launch profile as argv without a shell', async () => {
+    const gameId = await createGameWithScript('Launch Profile Game', 'exit 0');
+    const scriptsDir = path.join(testMetadataPath, 'content', 'games', String(gameId), 'scripts');
+    fs.unlinkSync(path.join(scriptsDir, 'play.sh'));
+    await request(app)
+      .post(`/games/${gameId}/launch-profiles`)
+      .set('X-Auth-Token', 'test-token')
+      .send({
+        label: 'play',
+        command: '/bin/sh',
+        args: ['-c', 'echo "$0 $MHG_PROFILE_TEST"', '{rom}'],
+        env: { MHG_PROFILE_TEST: 'from-env' },
+        rom: 'rom; echo injected',
+      })
+      .expect(201);
+
+    const launched = await request(app)
+      .get(`/launcher?gameId=${gameId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+
+    let log;
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const res = await request(app)
+        .get(`/games/${gameId}/launch-logs/${launched.body.launchId}`)
+        .set('X-Auth-Token', 'test-token')
+        .expect(200);
+      log = res.body;
+      if (log.endedAt) break;
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    expect(log.exitCode).toBe(0);
+    expect(log.output).toBe('rom; echo injected from-env\n');
+  });
+
+  unixOnly('launches an emulator profile from the emulator registry', async () => {
+    const gameId = await createGameWithScript('Emulator Profile Game', 'exit 0');
+    const scriptsDir = path.join(testMetadataPath, 'content', 'games', String(gameId), 'scripts');
+    fs.unlinkSync(path.join(scriptsDir, 'play.sh'));
+    await request(app)
+      .post(`/games/${gameId}/launch-profiles`)
+      .set('X-Auth-Token', 'test-token')
+      .send({ label: 'play', platformId: 977001, type: 'emulator', rom: '/roms/test.rom' })
+      .expect(201);
+
+    const missing = await request(app)
+      .get(`/launcher?gameId=${gameId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(400);
+    expect(missing.body).toMatchObject({ error: 'Launch failed', detail: 'No emulator configured for platform 977001' });
+
+    await request(app)
+      .post('/emulators')
+      .set('X-Auth-Token', 'test-token')
+      .send({
+        name: 'Echo Emulator',
+        command: '/bin/sh',
+        args: ['-c', 'echo "emulating $0 with $1"', '{rom}', '{config}'],
+        config: '/etc/echo.cfg',
+        platformIds: [977001],
+      })
+      .expect(201);
+
+    const launched = await request(app)
+      .get(`/launcher?gameId=${gameId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+
+    let log;
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const res = await request(app)
+        .get(`/games/${gameId}/launch-logs/${launched.body.launchId}`)
+        .set('X-Auth-Token', 'test-token')
+        .expect(200);
+      log = res.body;
+      if (log.endedAt) break;
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    expect(log.output).toBe('emulating /roms/test.rom with /etc/echo.cfg\n');
+  });
+
+  unixOnly('runs pre-launch and post-exit hooks around a launch', async () => {
+    const gameId = await createGameWithScript('Hooks Game', 'echo playing');
+    await request(app)
+      .put(`/games/${gameId}/hooks`)
+      .set('X-Auth-Token', 'test-token')
+      .send({
+        pre: [{ name: 'mount', command: '/bin/sh', args: ['-c', 'echo "mount $MHG_GAME_ID $MHG_EXECUTABLE"'] }],
+        post: [{ name: 'sync', command: '/bin/sh', args: ['-c', 'echo "sync $MHG_LAUNCH_ID"'] }],
+      })
+      .expect(200);
+
+    const launched = await request(app)
+      .get(`/launcher?gameId=${gameId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+
+    let log;
+    for (let attempt = 0; attempt < 150; attempt++) {
+      const res = await request(app)
+        .get(`/games/${gameId}/launch-logs/${launched.body.launchId}`)
+        .set('X-Auth-Token', 'test-token')
+        .expect(200);
+      log = res.body;
+      if (log.postHooks) break;
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    expect(log.preHooks).toEqual([expect.objectContaining({ scope: 'game', name: 'mount', ok: true, output: `mount ${gameId} play\n` })]);
+    expect(log.postHooks).toEqual([
+      expect.objectContaining({ scope: 'game', name: 'sync', ok: true, output: `sync ${launched.body.launchId}\n` }),
+    ]);
+
+    await request(app)
+      .put(`/games/${gameId}/hooks`)
+      .set('X-Auth-Token', 'test-token')
+      .send({ pre: [{ name: 'mount', command: '/bin/sh', args: ['-c', 'echo no image >&2; exit 1'] }] })
+      .expect(200);
+    const aborted = await request(app)
+      .get(`/launcher?gameId=${gameId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(500);
+    expect(aborted.body).toMatchObject({ error: 'Launch failed', detail: 'Pre-launch hook "mount" failed: exit code 1' });
+    expect(aborted.body.preHooks[0].output).toBe('no image\n');
+
+    const abortedLog = await request(app)
+      .get(`/games/${gameId}/launch-logs/${aborted.body.launchId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(abortedLog.body).toMatchObject({ aborted: true, output: '' });
+  }, 20000);
+
+  unixOnly('finishes the launch log and runs post-exit hooks when the spawn fails', async () => {
+    const gameId = await createGameWithScript('Spawn Failure Game', 'exit 0');
+    const scriptsDir = path.join(testMetadataPath, 'content', 'games', String(gameId), 'scripts');
+    fs.unlinkSync(path.join(scriptsDir, 'play.sh'));
+    await request(app)
+      .post(`/games/${gameId}/launch-profiles`)
+      .set('X-Auth-Token', 'test-token')
+      .send({ label: 'play', command: '/nonexistent/mhg-emulator', args: [] })
+      .expect(201);
+    await request(app)
+      .put(`/games/${gameId}/hooks`)
+      .set('X-Auth-Token', 'test-token')
+      .send({ post: [{ name: 'unmount', command: '/bin/sh', args: ['-c', 'echo unmounted'] }] })
+      .expect(200);
+
+    const failed = await request(app)
+      .get(`/launcher?gameId=${gameId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(500);
+    expect(failed.body).toMatchObject({
+      error: 'Launch failed',
+      detail: 'Executable not found: /nonexistent/mhg-emulator. Please check if the executable exists.',
+    });
+    expect(failed.body.postHooks).toEqual([expect.objectContaining({ name: 'unmount', ok: true, output: 'unmounted\n' })]);
+
+    const log = await request(app)
+      .get(`/games/${gameId}/launch-logs/${failed.body.launchId}`)
+      .set('X-Auth-Token', 'test-token')
+      .expect(200);
+    expect(log.body.endedAt).not.toBeNull();
+    expect(log.body).toMatchObject({ error: failed.body.detail, postHooks: [expect.objectContaining({ name: 'unmount' })] });
+  });
+
+  unixOnly('url profiles hand the launch off without recording a play session', async () => {
+    const { loadPlaySessions } = require('../utils/playSessions');
+    const gameId = await createGameWithScript('Url Handoff Game', 'exit 0');
+    const scriptsDir = path.join(testMetadataPath, 'content', 'games', String(gameId), 'scripts');
+    fs.unlinkSync(path.join(scriptsDir, 'play.sh'));
+    await request(app)
+      .post(`/games/${gameId}/launch-profiles`)
+      .set('X-Auth-Token', 'test-token')
+      .send({ label: 'play', type: 'url', url: 'steam://rungameid/440' })
+      .expect(201);
+
+    // Stand-in URL handlers that return at once, as the real ones do
+    const binDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mhg-url-handler-'));
+    for (const name of ['xdg-open', 'open']) {
+      fs.writeFileSync(path.join(binDir, name), '#!/bin/sh\nexit 0\n');
+      fs.chmodSync(path.join(binDir, name), 0o755);
+    }
+    const originalPath = process.env.PATH;
+    process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+    try {
+      const launched = await request(app)
+        .get(`/launcher?gameId=${gameId}`)
+        .set('X-Auth-Token', 'test-token')
+        .expect(200);
+      expect(launched.body).toMatchObject({ tracked: false });
+      expect(launched.body).not.toHaveProperty('sessionId');
+      expect(loadPlaySessions(testMetadataPath, gameId)).toEqual([]);
+
+      const running = await request(app)
+        .get(`/launcher/running?gameId=${gameId}&includeFinished=true`)
+        .set('X-Auth-Token', 'test-token')
+        .expect(200);
+      expect(JSON.stringify(running.body)).not.toContain(launched.body.launchId);
+    } finally {
+      process.env.PATH = originalPath;
+      fs.rmSync(binDir, { recursive: true, force: true });
+    }
+  });
+});
+
 describe('POST /reload-games', () => {
   test('should reload games and return count', async () => {
     const response = await request(app)
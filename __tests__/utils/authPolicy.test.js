@@ -0,0 +1,61 @@
+"use strict";
+
+const {
+  resolveAuthPolicy,
+  classifyRequest,
+  isLanAddress,
+  isLanRequest,
+  isRequestAllowed,
+} = require("../../utils/authPolicy");
+
+function fakeRequest({ method = "GET", remoteAddress = "127.0.0.1", headers = {} } = {}) {
+  return { method, socket: { remoteAddress }, headers };
+}
+
+describe("authPolicy", () => {
+  it("defaults to open and supports per-class overrides", () => {
+    expect(resolveAuthPolicy({})).toEqual({ read: "open", write: "open", launch: "open", admin: "open" });
+    expect(resolveAuthPolicy({ AUTH_MODE: "lan", AUTH_MODE_ADMIN: "token" })).toEqual({
+      read: "lan",
+      write: "lan",
+      launch: "lan",
+      admin: "token",
+    });
+  });
+
+  it("classifies safe methods as read and the rest as write", () => {
+    expect(classifyRequest({ method: "GET" })).toBe("read");
+    expect(classifyRequest({ method: "HEAD" })).toBe("read");
+    expect(classifyRequest({ method: "DELETE" })).toBe("write");
+    expect(classifyRequest({ method: "PUT" })).toBe("write");
+    expect(classifyRequest({ method: "POST", path: "/collections/preview" })).toBe("read");
+    expect(classifyRequest({ method: "POST", path: "/collections" })).toBe("write");
+  });
+
+  it("recognizes LAN addresses", () => {
+    for (const ip of ["127.0.0.1", "::1", "::ffff:192.168.1.20", "10.0.0.5", "172.20.1.1", "fd12:3456::1", "fe80::1"]) {
+      expect(isLanAddress(ip)).toBe(true);
+    }
+    for (const ip of ["8.8.8.8", "172.32.0.1", "2001:4860::8888", ""]) {
+      expect(isLanAddress(ip)).toBe(false);
+    }
+  });
+
+  it("treats tunnelled and proxied requests from public clients as remote", () => {
+    expect(isLanRequest(fakeRequest({ remoteAddress: "192.168.1.20" }))).toBe(true);
+    expect(isLanRequest(fakeRequest({ headers: { "cf-connecting-ip": "203.0.113.9" } }))).toBe(false);
+    expect(isLanRequest(fakeRequest({ headers: { "x-forwarded-for": "203.0.113.9, 127.0.0.1" } }))).toBe(false);
+    expect(isLanRequest(fakeRequest({ remoteAddress: "203.0.113.9" }))).toBe(false);
+  });
+
+  it("applies the mode of the route class", () => {
+    const policy = resolveAuthPolicy({ AUTH_MODE: "lan", AUTH_MODE_LAUNCH: "token" });
+    const lanReq = fakeRequest({ remoteAddress: "192.168.1.20" });
+    const remoteReq = fakeRequest({ remoteAddress: "203.0.113.9" });
+    expect(isRequestAllowed(policy, "read", lanReq, null)).toBe(true);
+    expect(isRequestAllowed(policy, "read", remoteReq, null)).toBe(false);
+    expect(isRequestAllowed(policy, "read", remoteReq, { userId: "u1" })).toBe(true);
+    expect(isRequestAllowed(policy, "launch", lanReq, null)).toBe(false);
+    expect(isRequestAllowed(policy, "launch", lanReq, { userId: "u1" })).toBe(true);
+  });
+});
@@ -0,0 +1,133 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const AdmZip = require("adm-zip");
+const {
+  resolveBackupConfig,
+  listBackups,
+  createBackup,
+  selectExpiredBackups,
+  applyRetention,
+  restoreBackup,
+} = require("../../utils/backups");
+const { registerBackupRoot } = require("../../utils/backupRoots");
+
+describe("backups", () => {
+  let metadataPath;
+  let config;
+
+  beforeEach(() => {
+    metadataPath = path.join(os.tmpdir(), `mhg-backups-${Date.now()}-${Math.random().toString(16).slice(2)}`);
+    fs.mkdirSync(path.join(metadataPath, "content", "games", "1"), { recursive: true });
+    fs.mkdirSync(path.join(metadataPath, "tokens"), { recursive: true });
+    fs.writeFileSync(path.join(metadataPath, "settings.json"), JSON.stringify({ language: "en" }));
+    fs.writeFileSync(path.join(metadataPath, "content", "games", "1", "metadata.json"), JSON.stringify({ title: "One" }));
+    fs.writeFileSync(path.join(metadataPath, "tokens", "users.json"), JSON.stringify({ users: [] }));
+    config = resolveBackupConfig(metadataPath, {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(metadataPath, { recursive: true, force: true });
+  });
+
+  test("resolveBackupConfig reads BACKUP_* variables", () => {
+    expect(config).toEqual({
+      dir: path.join(metadataPath, "backups"),
+      intervalHours: 24,
+      keepDaily: 3,
+      keepWeekly: 2,
+    });
+    expect(
+      resolveBackupConfig(metadataPath, {
+        BACKUP_DIR: "/srv/mhg-backups",
+        BACKUP_INTERVAL_HOURS: "0",
+        BACKUP_KEEP_DAILY: "7",
+        BACKUP_KEEP_WEEKLY: "nope",
+      }),
+    ).toEqual({ dir: path.resolve("/srv/mhg-backups"), intervalHours: 0, keepDaily: 7, keepWeekly: 2 });
+  });
+
+  test("creates and lists snapshots of the existing roots", async () => {
+    const first = await createBackup(metadataPath, config, { reason: "manual" });
+    const second = await createBackup(metadataPath, config, { reason: "scheduled", now: new Date(Date.now() + 1000) });
+    expect(first.roots).toEqual(["settings.json", "content", "tokens"]);
+    expect(first.files).toBe(3);
+    expect(first.size).toBeGreaterThan(0);
+    expect(listBackups(config).map((b) => b.id)).toEqual([second.id, first.id]);
+  });
+
+  test("includes registered roots and streams the zip to disk", async () => {
+    registerBackupRoot("backup-test-root");
+    fs.mkdirSync(path.join(metadataPath, "backup-test-root"));
+    fs.writeFileSync(path.join(metadataPath, "backup-test-root", "state.json"), "{}");
+    const now = new Date();
+    const [first, second] = await Promise.all([
+      createBackup(metadataPath, config, { now }),
+      createBackup(metadataPath, config, { now }),
+    ]);
+    expect(first.roots).toEqual(["settings.json", "content", "tokens", "backup-test-root"]);
+    expect(second.id).toBe(`${first.id}-1`);
+    const zipPath = path.join(config.dir, `${first.id}.zip`);
+    expect(fs.statSync(zipPath).size).toBe(first.size);
+    expect(new AdmZip(zipPath).getEntries().map((entry) => entry.entryName).sort()).toEqual([
+      "backup-test-root/state.json",
+      "backup.json",
+      "content/games/1/metadata.json",
+      "settings.json",
+      "tokens/users.json",
+    ]);
+  });
+
+  test("restores a snapshot after taking a pre-restore snapshot", async () => {
+    const backup = await createBackup(metadataPath, config);
+    const gameFile = path.join(metadataPath, "content", "games", "1", "metadata.json");
+    fs.writeFileSync(gameFile, JSON.stringify({ title: "Broken merge" }));
+    fs.mkdirSync(path.join(metadataPath, "content", "games", "2"));
+    fs.writeFileSync(path.join(metadataPath, "settings.json"), JSON.stringify({ language: "it" }));
+
+    const { restored, preRestore } = await restoreBackup(metadataPath, config, backup.id);
+    expect(restored.id).toBe(backup.id);
+    expect(preRestore.reason).toBe("pre-restore");
+    expect(JSON.parse(fs.readFileSync(gameFile, "utf8"))).toEqual({ title: "One" });
+    expect(fs.existsSync(path.join(metadataPath, "content", "games", "2"))).toBe(false);
+    expect(JSON.parse(fs.readFileSync(path.join(metadataPath, "settings.json"), "utf8"))).toEqual({ language: "en" });
+    expect(fs.readdirSync(metadataPath).filter((name) => name.startsWith("."))).toEqual([]);
+
+    await expect(restoreBackup(metadataPath, config, "2020-01-01T00-00-00-000Z")).resolves.toBeNull();
+  });
+
+  test("retention keeps the newest scheduled snapshot per day and per week", () => {
+    const at = (iso, reason = "scheduled") => ({ id: iso, createdAt: iso, reason });
+    const backups = [
+      at("2026-10-19T12:00:00.000Z"),
+      at("2026-10-19T06:00:00.000Z"),
+      at("2026-10-18T12:00:00.000Z"),
+      at("2026-10-17T12:00:00.000Z"),
+      at("2026-10-10T12:00:00.000Z"),
+      at("2026-10-01T12:00:00.000Z"),
+      at("2026-09-01T12:00:00.000Z", "manual"),
+    ];
+    expect(selectExpiredBackups(backups, { keepDaily: 2, keepWeekly: 2 })).toEqual([
+      "2026-10-19T06:00:00.000Z",
+      "2026-10-17T12:00:00.000Z",
+      "2026-10-10T12:00:00.000Z",
+      "2026-10-01T12:00:00.000Z",
+    ]);
+    // 2026-10-19 starts a week: weekly slots go to 10-19 and 10-18, daily slots to the same two days
+    expect(selectExpiredBackups(backups, { keepDaily: 1, keepWeekly: 3 })).toEqual([
+      "2026-10-19T06:00:00.000Z",
+      "2026-10-17T12:00:00.000Z",
+      "2026-10-01T12:00:00.000Z",
+    ]);
+  });
+
+  test("applyRetention deletes expired snapshots from disk", async () => {
+    const old = await createBackup(metadataPath, config, { reason: "scheduled", now: new Date("2026-01-01T00:00:00Z") });
+    const recent = await createBackup(metadataPath, config, { reason: "scheduled", now: new Date("2026-01-01T12:00:00Z") });
+    const manual = await createBackup(metadataPath, config, { reason: "manual", now: new Date("2025-01-01T00:00:00Z") });
+    expect(applyRetention({ ...config, keepDaily: 1, keepWeekly: 0 })).toEqual([old.id]);
+    expect(listBackups(config).map((b) => b.id)).toEqual([recent.id, manual.id]);
+  });
+});
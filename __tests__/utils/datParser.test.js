@@ -0,0 +1,93 @@
+"use strict";
+
+const { regionFromName, parseDat } = require("../../utils/datParser");
+
+describe("datParser", () => {
+  test("regionFromName reads the region tag of No-Intro names", () => {
+    expect(regionFromName("Super Metroid (Japan, USA) (En,Ja)")).toBe("Japan, USA");
+    expect(regionFromName("Chrono Trigger (USA) (Rev 1)")).toBe("USA");
+    expect(regionFromName("Homebrew Game (PD)")).toBeNull();
+  });
+
+  test("parses Logiqx XML", () => {
+    const dat = parseDat(`\uFEFF<?xml version="1.0"?>
+<!DOCTYPE datafile PUBLIC "-//Logiqx//DTD ROM Management Datafile//EN" "http://www.logiqx.com/Dats/datafile.dtd">
+<datafile>
+  <header>
+    <name>Nintendo - Super Nintendo Entertainment System</name>
+    <description>Nintendo - Super Nintendo Entertainment System</description>
+    <version>20240101-000000</version>
+  </header>
+  <game name="Tom &amp; Jerry (USA)">
+    <description>Tom &amp; Jerry (USA)</description>
+    <rom name="Tom &amp; Jerry (USA).sfc" size="1048576" crc="ABCD1234" md5="D41D8CD98F00B204E9800998ECF8427E" sha1="DA39A3EE5E6B4B0D3255BFEF95601890AFD80709" status="verified"/>
+  </game>
+  <game name="Broken Game (Europe)">
+    <rom name="Broken Game (Europe).sfc" size="524288" crc="00000001" status="baddump"/>
+  </game>
+</datafile>`);
+    expect(dat.header).toEqual({
+      name: "Nintendo - Super Nintendo Entertainment System",
+      description: "Nintendo - Super Nintendo Entertainment System",
+      version: "20240101-000000",
+    });
+    expect(dat.games).toEqual([
+      {
+        name: "Tom & Jerry (USA)",
+        description: "Tom & Jerry (USA)",
+        region: "USA",
+        roms: [{
+          name: "Tom & Jerry (USA).sfc",
+          size: 1048576,
+          crc: "abcd1234",
+          md5: "d41d8cd98f00b204e9800998ecf8427e",
+          sha1: "da39a3ee5e6b4b0d3255bfef95601890afd80709",
+          status: "verified",
+        }],
+      },
+      {
+        name: "Broken Game (Europe)",
+        description: "Broken Game (Europe)",
+        region: "Europe",
+        roms: [{ name: "Broken Game (Europe).sfc", size: 524288, crc: "00000001", md5: null, sha1: null, status: "bad-dump" }],
+      },
+    ]);
+  });
+
+  test("parses ClrMamePro text DATs", () => {
+    const dat = parseDat(`clrmamepro (
+\tname "Sega - Mega Drive - Genesis"
+\tdescription "Sega - Mega Drive - Genesis"
+\tversion 20240101
+)
+
+game (
+\tname "Sonic The Hedgehog (USA, Europe)"
+\tdescription "Sonic The Hedgehog (USA, Europe)"
+\trom ( name "Sonic The Hedgehog (USA, Europe).md" size 524288 crc F9394E97 sha1 6DDB7DE1E17E7F6CDB88927BD906352030DAA194 )
+)
+
+game (
+\tname "Missing Prototype (Japan)"
+\trom ( name "Missing Prototype (Japan).md" size 0 flags nodump )
+)
+`);
+    expect(dat.header).toEqual({ name: "Sega - Mega Drive - Genesis", description: "Sega - Mega Drive - Genesis", version: "20240101" });
+    expect(dat.games).toHaveLength(2);
+    expect(dat.games[0]).toEqual({
+      name: "Sonic The Hedgehog (USA, Europe)",
+      description: "Sonic The Hedgehog (USA, Europe)",
+      region: "USA, Europe",
+      roms: [{
+        name: "Sonic The Hedgehog (USA, Europe).md",
+        size: 524288,
+        crc: "f9394e97",
+        md5: null,
+        sha1: "6ddb7de1e17e7f6cdb88927bd906352030daa194",
+        status: "good",
+      }],
+    });
+    expect(dat.games[1].description).toBe("Missing Prototype (Japan)");
+    expect(dat.games[1].roms[0].status).toBe("no-dump");
+  });
+});
@@ -0,0 +1,203 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { saveRoleItem, loadRoleItems } = require("../../utils/companyStorage");
+const { parseGamelist, getGamelistField } = require("../../utils/gamelistXml");
+const {
+  validateSystems,
+  saveSystems,
+  mergeFields,
+  importGamelists,
+  exportGamelists,
+} = require("../../utils/emulationStation");
+
+describe("emulationStation", () => {
+  let metadataPath;
+  let romsPath;
+
+  function writeGamelist(games) {
+    fs.writeFileSync(path.join(romsPath, "gamelist.xml"), `<?xml version="1.0"?>\n<gameList>\n${games}\n</gameList>\n`);
+  }
+
+  function gameMetadataPath(gameId) {
+    return path.join(metadataPath, "content", "games", String(gameId), "metadata.json");
+  }
+
+  function readMeta(gameId) {
+    return JSON.parse(fs.readFileSync(gameMetadataPath(gameId), "utf8"));
+  }
+
+  function readCategory(id) {
+    return JSON.parse(fs.readFileSync(path.join(metadataPath, "content", "categories", id, "metadata.json"), "utf8"));
+  }
+
+  beforeEach(() => {
+    metadataPath = fs.mkdtempSync(path.join(os.tmpdir(), "mhg-es-"));
+    romsPath = fs.mkdtempSync(path.join(os.tmpdir(), "mhg-es-roms-"));
+    fs.mkdirSync(path.join(romsPath, "media"));
+    fs.writeFileSync(path.join(romsPath, "media", "ct-box.png"), "box");
+    fs.writeFileSync(path.join(romsPath, "media", "ct-shot.png"), "shot");
+    fs.mkdirSync(path.join(metadataPath, "content", "categories", "101"), { recursive: true });
+    fs.writeFileSync(
+      path.join(metadataPath, "content", "categories", "101", "metadata.json"),
+      JSON.stringify({ title: "Role-playing (RPG)", gameIds: [] }),
+    );
+    saveRoleItem(metadataPath, "developers", { id: 70, title: "Square", games: [] });
+    saveSystems(metadataPath, validateSystems({ systems: [{ romsPath, platformId: 19 }] }).value.systems);
+    writeGamelist(`<game>
+  <path>./Chrono Trigger (USA).sfc</path>
+  <name>Chrono Trigger</name>
+  <desc>A time travel RPG.</desc>
+  <releasedate>19950311T000000</releasedate>
+  <developer>Square</developer>
+  <genre>Role-playing (RPG), Time Travel</genre>
+  <rating>0.9</rating>
+  <image>./media/ct-box.png</image>
+  <screenshot>./media/ct-shot.png</screenshot>
+  <playcount>3</playcount>
+</game>`);
+  });
+
+  afterEach(() => {
+    fs.rmSync(metadataPath, { recursive: true, force: true });
+    fs.rmSync(romsPath, { recursive: true, force: true });
+  });
+
+  test("validateSystems defaults the id and the gamelist path", () => {
+    const result = validateSystems({ systems: [{ romsPath: "/roms/SNES", emulator: "retroarch-snes" }] });
+    expect(result).toEqual({
+      ok: true,
+      value: {
+        systems: [{
+          id: "snes",
+          romsPath: path.resolve("/roms/SNES"),
+          gamelistPath: path.join(path.resolve("/roms/SNES"), "gamelist.xml"),
+          platformId: null,
+          emulator: "retroarch-snes",
+        }],
+      },
+    });
+    expect(validateSystems({ systems: [{ romsPath: "/roms/snes" }] })).toEqual({
+      ok: false,
+      error: "systems[0]: a system needs a platformId or an emulator",
+    });
+  });
+
+  test("mergeFields takes each side's edit and reports fields edited on both", () => {
+    const base = { name: "A", desc: "old" };
+    const { merged, conflicts } = mergeFields(
+      base,
+      { name: "A (library)", desc: "library", genre: "", rating: "0.5" },
+      { name: "A", desc: "gamelist", genre: "Action", rating: "0.5" },
+      "skip",
+    );
+    expect(merged).toMatchObject({ name: "A (library)", desc: undefined, genre: "Action", rating: "0.5" });
+    expect(conflicts).toEqual([{ field: "desc", library: "library", gamelist: "gamelist" }]);
+  });
+
+  test("import creates games, links known names and copies missing media", () => {
+    const report = importGamelists(metadataPath);
+    const romPath = path.join(romsPath, "Chrono Trigger (USA).sfc");
+    expect(report.added).toEqual([{ systemId: report.systems[0], path: romPath, gameId: expect.any(Number), title: "Chrono Trigger" }]);
+    expect(report.unlinked).toEqual([expect.objectContaining({ genre: ["Time Travel"] })]);
+    expect(report.media).toBe(2);
+    const { gameId } = report.added[0];
+
+    const meta = readMeta(gameId);
+    expect(meta).toMatchObject({ title: "Chrono Trigger", summary: "A time travel RPG.", year: 1995, month: 3, day: 11, stars: 4.5 });
+    expect(meta.screenshots).toEqual([`/games/${gameId}/screenshots/es-screenshot.png`]);
+    expect(fs.readFileSync(path.join(path.dirname(gameMetadataPath(gameId)), "cover.webp"), "utf8")).toBe("box");
+    const profile = JSON.parse(fs.readFileSync(path.join(path.dirname(gameMetadataPath(gameId)), "scripts", "01-play-19.json"), "utf8"));
+    expect(profile).toEqual({ type: "emulator", emulator: null, platformId: 19, rom: romPath, config: null });
+    expect(readCategory("101").gameIds).toEqual([gameId]);
+    expect(loadRoleItems(metadataPath, "developers")[0].games).toEqual([gameId]);
+
+    const again = importGamelists(metadataPath);
+    expect(again).toMatchObject({ added: [], updated: [], unchanged: 1, conflicts: [], media: 0 });
+  });
+
+  test("later syncs keep edits from both sides and settle conflicts by policy", () => {
+    const { gameId } = importGamelists(metadataPath).added[0];
+    fs.writeFileSync(gameMetadataPath(gameId), JSON.stringify({ ...readMeta(gameId), title: "Chrono Trigger (SNES)", summary: "Library text." }));
+    writeGamelist(`<game>
+  <path>./Chrono Trigger (USA).sfc</path>
+  <name>Chrono Trigger</name>
+  <desc>Gamelist text.</desc>
+  <releasedate>19950311T000000</releasedate>
+  <developer>Square</developer>
+  <genre>Role-playing (RPG), Time Travel</genre>
+  <rating>1</rating>
+</game>`);
+
+    const report = importGamelists(metadataPath);
+    expect(report.updated).toEqual([expect.objectContaining({ gameId, fields: ["rating"] })]);
+    expect(report.conflicts).toEqual([
+      expect.objectContaining({ gameId, field: "desc", library: "Library text.", gamelist: "Gamelist text.", resolution: "library" }),
+    ]);
+    expect(readMeta(gameId)).toMatchObject({ title: "Chrono Trigger (SNES)", summary: "Library text.", stars: 5 });
+
+    // Still a conflict: the library kept its own text, so the gamelist edit is not settled yet
+    const again = importGamelists(metadataPath, { onConflict: "gamelist" });
+    expect(again.conflicts).toEqual([expect.objectContaining({ gameId, field: "desc", resolution: "gamelist" })]);
+    expect(readMeta(gameId).summary).toBe("Gamelist text.");
+    expect(importGamelists(metadataPath)).toMatchObject({ updated: [], conflicts: [] });
+  });
+
+  test("repeated imports keep a library edit", () => {
+    const { gameId } = importGamelists(metadataPath).added[0];
+    fs.writeFileSync(gameMetadataPath(gameId), JSON.stringify({ ...readMeta(gameId), summary: "Library text." }));
+
+    for (let run = 0; run < 2; run++) {
+      expect(importGamelists(metadataPath)).toMatchObject({ updated: [], conflicts: [] });
+      expect(readMeta(gameId).summary).toBe("Library text.");
+    }
+    exportGamelists(metadataPath);
+    expect(getGamelistField(parseGamelist(fs.readFileSync(path.join(romsPath, "gamelist.xml"), "utf8")).entries[0], "desc")).toBe(
+      "Library text.",
+    );
+  });
+
+  test("repeated exports keep a gamelist edit", () => {
+    const { gameId } = importGamelists(metadataPath).added[0];
+    const gamelistPath = path.join(romsPath, "gamelist.xml");
+    fs.writeFileSync(gamelistPath, fs.readFileSync(gamelistPath, "utf8").replace("A time travel RPG.", "Gamelist text."));
+    const readDesc = () => getGamelistField(parseGamelist(fs.readFileSync(gamelistPath, "utf8")).entries[0], "desc");
+
+    for (let run = 0; run < 2; run++) {
+      expect(exportGamelists(metadataPath).conflicts).toEqual([]);
+      expect(readDesc()).toBe("Gamelist text.");
+    }
+    importGamelists(metadataPath);
+    expect(readMeta(gameId).summary).toBe("Gamelist text.");
+  });
+
+  test("export writes library edits and keeps what the library does not manage", () => {
+    const { gameId } = importGamelists(metadataPath).added[0];
+    fs.writeFileSync(gameMetadataPath(gameId), JSON.stringify({ ...readMeta(gameId), title: "Chrono Trigger (SNES)" }));
+    fs.mkdirSync(path.join(metadataPath, "content", "games", "5", "scripts"), { recursive: true });
+    fs.writeFileSync(gameMetadataPath(5), JSON.stringify({ title: "Super Metroid", summary: "" }));
+    fs.writeFileSync(
+      path.join(metadataPath, "content", "games", "5", "scripts", "01-play.json"),
+      JSON.stringify({ type: "emulator", emulator: null, platformId: 19, rom: path.join(romsPath, "sub", "Super Metroid.sfc"), config: null }),
+    );
+
+    const report = exportGamelists(metadataPath);
+    expect(report.errors).toEqual([]);
+    expect(report.updated).toEqual([
+      expect.objectContaining({ gameId, created: false, fields: ["name", "image"] }),
+      expect.objectContaining({ gameId: 5, created: true, fields: ["name"] }),
+    ]);
+    expect(fs.existsSync(path.join(romsPath, "gamelist.xml.bak"))).toBe(true);
+
+    const [chrono, metroid] = parseGamelist(fs.readFileSync(path.join(romsPath, "gamelist.xml"), "utf8")).entries;
+    expect(getGamelistField(chrono, "name")).toBe("Chrono Trigger (SNES)");
+    expect(getGamelistField(chrono, "genre")).toBe("Role-playing (RPG), Time Travel");
+    expect(getGamelistField(chrono, "playcount")).toBe("3");
+    expect(getGamelistField(chrono, "image")).toBe(path.join(path.dirname(gameMetadataPath(gameId)), "cover.webp"));
+    expect(getGamelistField(metroid, "path")).toBe("./sub/Super Metroid.sfc");
+
+    expect(importGamelists(metadataPath)).toMatchObject({ updated: [], unchanged: 2, conflicts: [] });
+  });
+});
@@ -0,0 +1,123 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  validateEmulator,
+  listEmulators,
+  saveEmulator,
+  findEmulatorForPlatform,
+  findEmulatorForGame,
+  renderEmulatorCommand,
+} = require("../../utils/emulators");
+const { resolveLaunchProfileCommand } = require("../../utils/launchProfiles");
+
+describe("emulators", () => {
+  let metadataPath;
+
+  beforeEach(() => {
+    metadataPath = fs.mkdtempSync(path.join(os.tmpdir(), "mhg-emulators-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(metadataPath, { recursive: true, force: true });
+  });
+
+  function save(body) {
+    const validated = validateEmulator(body);
+    expect(validated.ok).toBe(true);
+    return saveEmulator(metadataPath, validated.value);
+  }
+
+  test("validateEmulator defaults args to the ROM and derives the id", () => {
+    expect(validateEmulator({ name: "DOSBox Staging", command: "dosbox" }).value).toEqual({
+      id: "dosbox-staging",
+      name: "DOSBox Staging",
+      command: "dosbox",
+      args: ["{rom}"],
+      cwd: null,
+      env: {},
+      config: null,
+      platformIds: [],
+    });
+    expect(validateEmulator({ name: "x", id: "Bad Id", command: "x" }).ok).toBe(false);
+  });
+
+  test("renderEmulatorCommand fills {rom} and {config}", () => {
+    const emulator = save({
+      name: "Dolphin",
+      command: "/usr/bin/dolphin-emu",
+      args: ["--config={config}", "-e", "{rom}"],
+      config: "/etc/dolphin.ini",
+      platformIds: [21],
+    });
+    expect(renderEmulatorCommand(emulator, { rom: "/roms/a b.iso" }).value.args).toEqual([
+      "--config=/etc/dolphin.ini",
+      "-e",
+      "/roms/a b.iso",
+    ]);
+    expect(renderEmulatorCommand(emulator, { rom: "/roms/a.iso", config: "/games/a.ini" }).value.args[0]).toBe(
+      "--config=/games/a.ini",
+    );
+    const noConfig = save({ name: "Bare", command: "/bin/emu", args: ["{config}"] });
+    expect(renderEmulatorCommand(noConfig, { rom: "/roms/a.bin" }).ok).toBe(false);
+  });
+
+  test("findEmulatorForPlatform returns the first emulator by name", () => {
+    save({ name: "Snes9x", command: "/usr/bin/snes9x", platformIds: [19] });
+    save({ name: "Mesen", command: "/usr/bin/mesen", platformIds: [18, 19] });
+    expect(listEmulators(metadataPath).map((e) => e.id)).toEqual(["mesen", "snes9x"]);
+    expect(findEmulatorForPlatform(metadataPath, 19).id).toBe("mesen");
+    expect(findEmulatorForPlatform(metadataPath, 4)).toBeNull();
+  });
+
+  test("emulator launch profiles follow the current emulator definition", () => {
+    const scriptsDir = path.join(metadataPath, "content", "games", "5", "scripts");
+    fs.mkdirSync(scriptsDir, { recursive: true });
+    const profilePath = path.join(scriptsDir, "01-Play-19.json");
+    fs.writeFileSync(profilePath, JSON.stringify({ type: "emulator", platformId: 19, rom: "/roms/zelda.sfc" }));
+
+    expect(resolveLaunchProfileCommand(profilePath)).toEqual({
+      ok: false,
+      error: "No emulator configured for platform 19",
+    });
+
+    save({ name: "Snes9x", command: "/usr/bin/snes9x", args: ["-fullscreen"], platformIds: [19] });
+    expect(resolveLaunchProfileCommand(profilePath).value).toMatchObject({
+      command: "/usr/bin/snes9x",
+      args: ["-fullscreen", "/roms/zelda.sfc"],
+    });
+
+    save({ name: "Snes9x", command: "/opt/snes9x/snes9x", args: ["-fullscreen"], platformIds: [19] });
+    expect(resolveLaunchProfileCommand(profilePath).value.command).toBe("/opt/snes9x/snes9x");
+  });
+
+  test("emulator profiles without a platform use the game's platforms", () => {
+    const tagPlatform = (platformId, gameIds) => {
+      const dir = path.join(metadataPath, "content", "platforms", String(platformId));
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, "metadata.json"), JSON.stringify({ title: `Platform ${platformId}`, gameIds }));
+    };
+    const scriptsDir = path.join(metadataPath, "content", "games", "8", "scripts");
+    fs.mkdirSync(scriptsDir, { recursive: true });
+    const profilePath = path.join(scriptsDir, "01-Play.json");
+    fs.writeFileSync(profilePath, JSON.stringify({ type: "emulator", rom: "/roms/sonic.md" }));
+    save({ name: "Genesis Plus GX", command: "/usr/bin/gpgx", platformIds: [29] });
+    tagPlatform(19, [8]);
+
+    expect(resolveLaunchProfileCommand(profilePath)).toEqual({
+      ok: false,
+      error: "No emulator configured for the game's platforms",
+    });
+
+    tagPlatform(29, [3, 8]);
+    expect(findEmulatorForGame(metadataPath, 8).id).toBe("genesis-plus-gx");
+    expect(findEmulatorForGame(metadataPath, 3).id).toBe("genesis-plus-gx");
+    expect(findEmulatorForGame(metadataPath, 4)).toBeNull();
+    expect(resolveLaunchProfileCommand(profilePath).value).toMatchObject({
+      command: "/usr/bin/gpgx",
+      args: ["/roms/sonic.md"],
+    });
+  });
+});
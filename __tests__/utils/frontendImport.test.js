@@ -0,0 +1,192 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadPersonalStates } = require("../../utils/personalGameState");
+const { getPlaySessionSummary } = require("../../utils/playSessions");
+const {
+  validateFrontendImport,
+  readPlayniteLibrary,
+  readLaunchBoxLibrary,
+  listImportProgress,
+  importFrontendLibrary,
+} = require("../../utils/frontendImport");
+
+describe("frontendImport", () => {
+  let metadataPath;
+  let sourceDir;
+
+  function writePlayniteExport(games) {
+    const filePath = path.join(sourceDir, "library.json");
+    fs.writeFileSync(filePath, JSON.stringify(games));
+    return filePath;
+  }
+
+  function writeLibraryGame(gameId, title) {
+    const dir = path.join(metadataPath, "content", "games", String(gameId));
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, "metadata.json"), JSON.stringify({ title }));
+  }
+
+  function readMeta(gameId) {
+    return JSON.parse(fs.readFileSync(path.join(metadataPath, "content", "games", String(gameId), "metadata.json"), "utf8"));
+  }
+
+  const portal = {
+    Id: "7f0c9b1e-0000-4000-8000-000000000001",
+    Name: "Portal 2",
+    Description: "<p>Think with <b>portals</b>.</p><p>Co-op &amp; more</p>",
+    ReleaseDate: { ReleaseDate: "2011-04-19T00:00:00" },
+    Platforms: [{ Name: "PC (Windows)" }],
+    Genres: [{ Name: "Puzzle" }, { Name: "Shooter" }],
+    Developers: [{ Name: "Valve" }],
+    Publishers: [{ Name: "Valve" }],
+    Series: [{ Name: "Portal" }],
+    Favorite: true,
+    Playtime: 36000,
+    LastActivity: "2024-01-02T10:00:00Z",
+    CoverImage: "7f0c9b1e\\cover.jpg",
+  };
+
+  beforeEach(() => {
+    metadataPath = fs.mkdtempSync(path.join(os.tmpdir(), "mhg-frontend-"));
+    sourceDir = fs.mkdtempSync(path.join(os.tmpdir(), "mhg-frontend-source-"));
+    fs.mkdirSync(path.join(sourceDir, "files", "7f0c9b1e"), { recursive: true });
+    fs.writeFileSync(path.join(sourceDir, "files", "7f0c9b1e", "cover.jpg"), "cover");
+  });
+
+  afterEach(() => {
+    fs.rmSync(metadataPath, { recursive: true, force: true });
+    fs.rmSync(sourceDir, { recursive: true, force: true });
+  });
+
+  test("validateFrontendImport checks the source and paths", () => {
+    expect(validateFrontendImport({ source: "steam", path: "/x" })).toEqual({ ok: false, error: "source must be one of playnite, launchbox" });
+    expect(validateFrontendImport({ source: "playnite", path: "library.json" })).toEqual({ ok: false, error: "path must be an absolute path" });
+    expect(validateFrontendImport({ source: "launchbox", path: "/games/LaunchBox", dryRun: true })).toEqual({
+      ok: true,
+      value: { source: "launchbox", path: path.resolve("/games/LaunchBox"), mediaPath: null, dryRun: true, restart: false },
+    });
+  });
+
+  test("readPlayniteLibrary maps Playnite games to records", () => {
+    const [record] = readPlayniteLibrary(writePlayniteExport([portal, { Name: "" }]));
+    expect(record).toEqual({
+      sourceId: portal.Id,
+      title: "Portal 2",
+      summary: "Think with portals.\nCo-op & more",
+      releaseDate: { year: 2011, month: 4, day: 19 },
+      platforms: ["PC (Windows)"],
+      genres: ["Puzzle", "Shooter"],
+      developers: ["Valve"],
+      publishers: ["Valve"],
+      series: ["Portal"],
+      favorite: true,
+      playtime: 36000,
+      lastPlayed: "2024-01-02T10:00:00.000Z",
+      media: { cover: path.join(sourceDir, "files", "7f0c9b1e", "cover.jpg"), background: null, screenshots: [] },
+    });
+  });
+
+  test("readLaunchBoxLibrary reads platform XML files and finds images by title", () => {
+    const launchBoxPath = path.join(sourceDir, "LaunchBox");
+    fs.mkdirSync(path.join(launchBoxPath, "Data", "Platforms"), { recursive: true });
+    fs.writeFileSync(path.join(launchBoxPath, "Data", "Platforms", "Nintendo Game Boy.xml"), `<?xml version="1.0" standalone="yes"?>
+<LaunchBox>
+  <Game>
+    <ID>a1</ID>
+    <Title>Zelda: Link's Awakening</Title>
+    <Platform>Nintendo Game Boy</Platform>
+    <Developer>Nintendo EAD; Nintendo</Developer>
+    <Genre>Action; Adventure</Genre>
+    <Favorite>true</Favorite>
+    <PlayTime>600</PlayTime>
+    <ReleaseDate>1993-06-06T00:00:00-07:00</ReleaseDate>
+    <Notes>Link &amp; Marin.</Notes>
+    <Series />
+  </Game>
+  <AdditionalApplication><GameID>a1</GameID></AdditionalApplication>
+</LaunchBox>`);
+    const images = path.join(launchBoxPath, "Images", "Nintendo Game Boy");
+    fs.mkdirSync(path.join(images, "Box - Front", "North America"), { recursive: true });
+    fs.mkdirSync(path.join(images, "Screenshot - Gameplay"), { recursive: true });
+    fs.writeFileSync(path.join(images, "Box - Front", "North America", "Zelda_ Link_s Awakening-01.png"), "box");
+    fs.writeFileSync(path.join(images, "Screenshot - Gameplay", "Zelda_ Link_s Awakening-02.jpg"), "shot2");
+    fs.writeFileSync(path.join(images, "Screenshot - Gameplay", "Zelda_ Link_s Awakening-01.jpg"), "shot1");
+
+    expect(readLaunchBoxLibrary(launchBoxPath)).toEqual([{
+      sourceId: "a1",
+      title: "Zelda: Link's Awakening",
+      summary: "Link & Marin.",
+      releaseDate: { year: 1993, month: 6, day: 6 },
+      platforms: ["Nintendo Game Boy"],
+      genres: ["Action", "Adventure"],
+      developers: ["Nintendo EAD", "Nintendo"],
+      publishers: [],
+      series: [],
+      favorite: true,
+      playtime: 600,
+      lastPlayed: null,
+      media: {
+        cover: path.join(images, "Box - Front", "North America", "Zelda_ Link_s Awakening-01.png"),
+        background: null,
+        screenshots: [
+          path.join(images, "Screenshot - Gameplay", "Zelda_ Link_s Awakening-01.jpg"),
+          path.join(images, "Screenshot - Gameplay", "Zelda_ Link_s Awakening-02.jpg"),
+        ],
+      },
+    }]);
+  });
+
+  test("dry run reports games, duplicates and new items without writing", async () => {
+    writeLibraryGame(1, "Half-Life");
+    const filePath = writePlayniteExport([portal, { Id: "hl", Name: "Half Life" }, { Id: "p2", Name: "PORTAL 2" }]);
+    const linkGame = jest.fn();
+    const report = await importFrontendLibrary(metadataPath, { source: "playnite", path: filePath, dryRun: true, userKey: "1" }, linkGame);
+
+    expect(report.created).toEqual([{ sourceId: portal.Id, title: "Portal 2", gameId: null }]);
+    expect(report.duplicates).toEqual([
+      { sourceId: "hl", title: "Half Life", duplicateOf: { gameId: 1 } },
+      { sourceId: "p2", title: "PORTAL 2", duplicateOf: { sourceId: portal.Id } },
+    ]);
+    expect(report.newItems).toEqual({
+      platforms: ["PC (Windows)"],
+      genres: ["Puzzle", "Shooter"],
+      developers: ["Valve"],
+      publishers: ["Valve"],
+      series: ["Portal"],
+    });
+    expect(linkGame).not.toHaveBeenCalled();
+    expect(fs.readdirSync(path.join(metadataPath, "content", "games"))).toEqual(["1"]);
+    expect(listImportProgress(metadataPath)).toEqual([]);
+  });
+
+  test("import writes games, favorites and playtime and resumes pending games", async () => {
+    const filePath = writePlayniteExport([portal, { Id: "p2", Name: "Portal 2" }]);
+    const linkGame = jest.fn(async () => {});
+    const report = await importFrontendLibrary(metadataPath, { source: "playnite", path: filePath, userKey: "1" }, linkGame);
+
+    expect(report.created).toEqual([{ sourceId: portal.Id, title: "Portal 2", gameId: expect.any(Number) }]);
+    const { gameId } = report.created[0];
+    expect(report.duplicates).toEqual([{ sourceId: "p2", title: "Portal 2", duplicateOf: { gameId } }]);
+    expect(linkGame).toHaveBeenCalledWith(gameId, expect.objectContaining({ genres: ["Puzzle", "Shooter"] }));
+    expect(readMeta(gameId)).toMatchObject({ title: "Portal 2", summary: "Think with portals.\nCo-op & more", year: 2011, month: 4, day: 19 });
+    expect(fs.readFileSync(path.join(metadataPath, "content", "games", String(gameId), "cover.webp"), "utf8")).toBe("cover");
+    expect(loadPersonalStates(metadataPath, "1")[String(gameId)]).toMatchObject({ favorite: true });
+    expect(getPlaySessionSummary(metadataPath, gameId)).toEqual({ lastPlayed: "2024-01-02T00:00:00.000Z", totalPlaytime: 36000 });
+
+    // A repeated import skips what is done; an interrupted game is completed on the next run
+    const progressFile = path.join(metadataPath, "frontend-import", fs.readdirSync(path.join(metadataPath, "frontend-import"))[0]);
+    const progress = JSON.parse(fs.readFileSync(progressFile, "utf8"));
+    progress.games[portal.Id].status = "pending";
+    progress.finishedAt = null;
+    fs.writeFileSync(progressFile, JSON.stringify(progress));
+    const resumed = await importFrontendLibrary(metadataPath, { source: "playnite", path: filePath, userKey: "1" }, linkGame);
+    expect(resumed).toMatchObject({ resumed: true, created: [{ sourceId: portal.Id, title: "Portal 2", gameId }], duplicates: [], skipped: 1 });
+    expect(getPlaySessionSummary(metadataPath, gameId).totalPlaytime).toBe(36000);
+    expect(listImportProgress(metadataPath)).toEqual([
+      expect.objectContaining({ source: "playnite", path: filePath, created: 1, duplicates: 1, pending: 0, finishedAt: expect.any(String) }),
+    ]);
+  });
+});
@@ -0,0 +1,56 @@
+"use strict";
+
+const {
+  parseGamelist,
+  serializeGamelist,
+  getGamelistField,
+  setGamelistField,
+  toGamelistDate,
+  fromGamelistDate,
+  normalizeGamelistRating,
+} = require("../../utils/gamelistXml");
+
+describe("gamelistXml", () => {
+  test("round-trips games, unknown tags and other elements", () => {
+    const gamelist = parseGamelist(`<?xml version="1.0"?>
+<gameList>
+  <folder><path>./hacks</path><name>Hacks</name></folder>
+  <game id="12" source="ScreenScraper.fr">
+    <path>./Chrono Trigger (USA).sfc</path>
+    <name>Chrono Trigger</name>
+    <desc><![CDATA[Time & space <travel>]]></desc>
+    <players>1</players>
+    <favorite/>
+  </game>
+</gameList>`);
+    const [folder, game] = gamelist.entries;
+    expect(folder).toEqual({ kind: "raw", xml: "<folder><path>./hacks</path><name>Hacks</name></folder>" });
+    expect(game.attributes).toBe('id="12" source="ScreenScraper.fr"');
+    expect(getGamelistField(game, "desc")).toBe("Time & space <travel>");
+    expect(getGamelistField(game, "players")).toBe("1");
+
+    setGamelistField(game, "name", "Chrono Trigger & Co");
+    setGamelistField(game, "favorite", "");
+    setGamelistField(game, "rating", "0.9");
+    const reparsed = parseGamelist(serializeGamelist(gamelist));
+    expect(reparsed.entries[0]).toEqual(folder);
+    expect(reparsed.entries[1].fields).toEqual([
+      ["path", "./Chrono Trigger (USA).sfc"],
+      ["name", "Chrono Trigger & Co"],
+      ["desc", "Time & space <travel>"],
+      ["players", "1"],
+      ["rating", "0.9"],
+    ]);
+  });
+
+  test("converts release dates and ratings", () => {
+    expect(toGamelistDate({ year: 1995, month: 3, day: 11 })).toBe("19950311T000000");
+    expect(toGamelistDate({ year: 1995 })).toBe("19950101T000000");
+    expect(toGamelistDate({})).toBe("");
+    expect(fromGamelistDate("19950311T000000")).toEqual({ year: 1995, month: 3, day: 11 });
+    expect(fromGamelistDate("not-a-date")).toBeNull();
+    expect(normalizeGamelistRating("0.900000")).toBe("0.9");
+    expect(normalizeGamelistRating("1.5")).toBe("1");
+    expect(normalizeGamelistRating("")).toBe("");
+  });
+});
@@ -0,0 +1,183 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  IGDB_CACHE_DIR,
+  setIgdbCacheMetadataPath,
+  validateIgdbCacheConfig,
+  loadIgdbCacheConfig,
+  saveIgdbCacheConfig,
+  isIgdbOfflineMode,
+  cachedIgdbQuery,
+  getIgdbCacheStats,
+  listIgdbCacheEntries,
+  purgeIgdbCache,
+} = require("../../utils/igdbCache");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe("igdbCache", () => {
+  let metadataPath;
+
+  function ageEntry(endpoint, hours) {
+    const dir = path.join(metadataPath, IGDB_CACHE_DIR, endpoint);
+    for (const file of fs.readdirSync(dir)) {
+      const filePath = path.join(dir, file);
+      const entry = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      entry.storedAt -= hours * HOUR_MS;
+      fs.writeFileSync(filePath, JSON.stringify(entry));
+      fs.utimesSync(filePath, new Date(), new Date(entry.storedAt));
+    }
+    // Rebuild the index from disk
+    setIgdbCacheMetadataPath(metadataPath);
+  }
+
+  function apiError(status) {
+    const err = new Error(`IGDB API error ${status}`);
+    err.status = status;
+    return err;
+  }
+
+  beforeEach(() => {
+    metadataPath = fs.mkdtempSync(path.join(os.tmpdir(), "mhg-igdb-cache-"));
+    setIgdbCacheMetadataPath(metadataPath);
+  });
+
+  afterEach(() => {
+    setIgdbCacheMetadataPath(null);
+    fs.rmSync(metadataPath, { recursive: true, force: true });
+  });
+
+  test("serves repeated queries from disk until the TTL expires", async () => {
+    const fetchFresh = jest.fn().mockResolvedValue([{ id: 1, name: "Chrono Trigger" }]);
+    const body = "fields id,name; where id = 1;";
+
+    expect(await cachedIgdbQuery("games", body, fetchFresh)).toEqual([{ id: 1, name: "Chrono Trigger" }]);
+    expect(await cachedIgdbQuery("games", `  ${body}\n`, fetchFresh)).toEqual([{ id: 1, name: "Chrono Trigger" }]);
+    expect(fetchFresh).toHaveBeenCalledTimes(1);
+
+    const stats = getIgdbCacheStats();
+    expect(stats.entries).toBe(1);
+    expect(stats.endpoints.games.entries).toBe(1);
+    expect(stats.counters).toMatchObject({ hits: 1, misses: 1 });
+    expect(listIgdbCacheEntries()).toEqual([expect.objectContaining({ endpoint: "games", body })]);
+  });
+
+  test("serves stale answers while refreshing them in the background", async () => {
+    const body = "fields id,name; where id = 2;";
+    await cachedIgdbQuery("games", body, async () => [{ id: 2, name: "Old" }]);
+    ageEntry("games", 200);
+
+    let releaseRefresh;
+    const gate = new Promise((resolve) => {
+      releaseRefresh = resolve;
+    });
+    const fetchFresh = jest.fn(() => gate.then(() => [{ id: 2, name: "New" }]));
+    expect(await cachedIgdbQuery("games", body, fetchFresh)).toEqual([{ id: 2, name: "Old" }]);
+    expect(await cachedIgdbQuery("games", body, fetchFresh)).toEqual([{ id: 2, name: "Old" }]);
+    releaseRefresh();
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(fetchFresh).toHaveBeenCalledTimes(1);
+    expect(await cachedIgdbQuery("games", body, fetchFresh)).toEqual([{ id: 2, name: "New" }]);
+    expect(getIgdbCacheStats().counters).toMatchObject({ staleServed: 2, revalidations: 1, hits: 1 });
+  });
+
+  test("falls back to expired answers only when IGDB is unreachable", async () => {
+    const body = 'search "zelda"; fields id,name;';
+    await cachedIgdbQuery("games", body, async () => [{ id: 3, name: "Zelda" }]);
+    ageEntry("games", 1000);
+
+    expect(await cachedIgdbQuery("games", body, () => Promise.reject(new Error("ECONNREFUSED")))).toEqual([
+      { id: 3, name: "Zelda" },
+    ]);
+    expect(await cachedIgdbQuery("games", body, () => Promise.reject(apiError(503)))).toEqual([{ id: 3, name: "Zelda" }]);
+    await expect(cachedIgdbQuery("games", body, () => Promise.reject(apiError(400)))).rejects.toMatchObject({ status: 400 });
+    await expect(
+      cachedIgdbQuery("games", "fields id; where id = 4;", () => Promise.reject(new Error("ECONNREFUSED")))
+    ).rejects.toThrow("ECONNREFUSED");
+  });
+
+  test("offline mode answers from the cache only", async () => {
+    const fetchFresh = jest.fn().mockResolvedValue([{ id: 5 }]);
+    await cachedIgdbQuery("companies", "fields id; where id = 5;", fetchFresh);
+    saveIgdbCacheConfig({ ...validateIgdbCacheConfig({ offline: true }).value });
+    expect(isIgdbOfflineMode()).toBe(true);
+
+    ageEntry("companies", 5000);
+    expect(await cachedIgdbQuery("companies", "fields id; where id = 5;", fetchFresh)).toEqual([{ id: 5 }]);
+    await expect(cachedIgdbQuery("companies", "fields id; where id = 6;", fetchFresh)).rejects.toMatchObject({
+      status: 503,
+      message: "IGDB is unreachable and this query is not cached",
+    });
+    await expect(cachedIgdbQuery("companies", "fields id; where id = 6;", fetchFresh, { offline: true })).rejects.toMatchObject({
+      status: 503,
+    });
+    expect(fetchFresh).toHaveBeenCalledTimes(1);
+  });
+
+  test("evicts the oldest answers past maxSizeMb and purges by endpoint or age", async () => {
+    const rows = [{ id: 1, summary: "x".repeat(4000) }];
+    await cachedIgdbQuery("games", "fields id; where id = 1;", async () => rows);
+    await cachedIgdbQuery("keywords", "fields id; where id = 1;", async () => rows);
+    ageEntry("games", 10);
+    await cachedIgdbQuery("games", "fields id; where id = 2;", async () => rows);
+    expect(getIgdbCacheStats().entries).toBe(3);
+
+    saveIgdbCacheConfig(validateIgdbCacheConfig({ maxSizeMb: 0.01 }).value);
+    expect(listIgdbCacheEntries().map((e) => `${e.endpoint} ${e.body}`).sort()).toEqual([
+      "games fields id; where id = 2;",
+      "keywords fields id; where id = 1;",
+    ]);
+
+    saveIgdbCacheConfig(validateIgdbCacheConfig({}).value);
+    ageEntry("keywords", 48);
+    expect(purgeIgdbCache({ olderThanHours: 24 })).toMatchObject({ removed: 1 });
+    expect(purgeIgdbCache({ endpoint: "games" })).toMatchObject({ removed: 1 });
+    expect(getIgdbCacheStats().entries).toBe(0);
+  });
+
+  test("reads config.json once, until it is saved or the metadata path changes", async () => {
+    const configFile = path.join(metadataPath, IGDB_CACHE_DIR, "config.json");
+    saveIgdbCacheConfig(validateIgdbCacheConfig({ staleHours: 1 }).value);
+    const readSpy = jest.spyOn(fs, "readFileSync");
+    try {
+      await cachedIgdbQuery("games", "fields id; where id = 7;", async () => [{ id: 7 }]);
+      await cachedIgdbQuery("games", "fields id; where id = 7;", async () => [{ id: 7 }]);
+      expect(loadIgdbCacheConfig().staleHours).toBe(1);
+      expect(readSpy.mock.calls.filter(([file]) => file === configFile)).toHaveLength(1);
+    } finally {
+      readSpy.mockRestore();
+    }
+
+    // Edits made behind the cache's back are picked up when the path is set again
+    fs.writeFileSync(configFile, JSON.stringify({ staleHours: 2 }));
+    expect(loadIgdbCacheConfig().staleHours).toBe(1);
+    setIgdbCacheMetadataPath(metadataPath);
+    expect(loadIgdbCacheConfig().staleHours).toBe(2);
+
+    saveIgdbCacheConfig(validateIgdbCacheConfig({ staleHours: 3 }).value);
+    expect(loadIgdbCacheConfig().staleHours).toBe(3);
+  });
+
+  test("validateIgdbCacheConfig checks types", () => {
+    expect(validateIgdbCacheConfig({ offline: "yes" })).toEqual({ ok: false, error: "offline must be a boolean" });
+    expect(validateIgdbCacheConfig({ maxSizeMb: -1 })).toEqual({ ok: false, error: "maxSizeMb must be a non-negative number" });
+    expect(validateIgdbCacheConfig({ ttlHours: { "/v4/games": 1 } }).ok).toBe(false);
+    expect(validateIgdbCacheConfig({ ttlHours: { games: "12" } })).toEqual({
+      ok: true,
+      value: { offline: false, maxSizeMb: 200, staleHours: 168, ttlHours: { games: 12 } },
+    });
+  });
+
+  test("queries pass straight through without a metadata path", async () => {
+    setIgdbCacheMetadataPath(null);
+    const fetchFresh = jest.fn().mockResolvedValue([]);
+    await cachedIgdbQuery("games", "fields id;", fetchFresh);
+    await cachedIgdbQuery("games", "fields id;", fetchFresh);
+    expect(fetchFresh).toHaveBeenCalledTimes(2);
+    expect(getIgdbCacheStats().enabled).toBe(false);
+  });
+});
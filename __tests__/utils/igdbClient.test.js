@@ -0,0 +1,129 @@
+"use strict";
+
+const http = require("http");
+const https = require("https");
+const { createIgdbRequestQueue, resolveIgdbClientLimits, requestIgdb } = require("../../utils/igdbClient");
+
+function apiError(status, retryAfterMs) {
+  const err = new Error(`IGDB API error ${status}`);
+  err.status = status;
+  if (retryAfterMs != null) err.retryAfterMs = retryAfterMs;
+  return err;
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((r) => {
+    resolve = r;
+  });
+  return { promise, resolve };
+}
+
+describe("igdbClient request queue", () => {
+  test("resolveIgdbClientLimits reads the environment with defaults", () => {
+    expect(resolveIgdbClientLimits({})).toEqual({ requestsPerSecond: 4, maxConcurrent: 8 });
+    expect(resolveIgdbClientLimits({ IGDB_REQUESTS_PER_SECOND: "2.5", IGDB_MAX_CONCURRENT_REQUESTS: "3" })).toEqual({
+      requestsPerSecond: 2.5,
+      maxConcurrent: 3,
+    });
+    expect(resolveIgdbClientLimits({ IGDB_REQUESTS_PER_SECOND: "0", IGDB_MAX_CONCURRENT_REQUESTS: "x" })).toEqual({
+      requestsPerSecond: 4,
+      maxConcurrent: 8,
+    });
+  });
+
+  test("spaces requests out to the configured rate", async () => {
+    const queue = createIgdbRequestQueue({ requestsPerSecond: 20, maxConcurrent: 10 });
+    const startedAt = [];
+    const t0 = Date.now();
+    await Promise.all(
+      Array.from({ length: 25 }, (_, i) =>
+        queue.schedule(`q${i}`, async () => {
+          startedAt.push(Date.now() - t0);
+          return i;
+        })
+      )
+    );
+    // A burst of 20, then one request every 50ms
+    expect(startedAt.length).toBe(25);
+    expect(startedAt[24]).toBeGreaterThanOrEqual(200);
+    expect(queue.stats()).toMatchObject({ queued: 0, inFlight: 0, requests: 25, completed: 25 });
+  });
+
+  test("caps requests in flight", async () => {
+    const queue = createIgdbRequestQueue({ requestsPerSecond: 1000, maxConcurrent: 2 });
+    const gates = [deferred(), deferred(), deferred()];
+    const results = gates.map((gate, i) => queue.schedule(`q${i}`, () => gate.promise.then(() => i)));
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(queue.stats()).toMatchObject({ inFlight: 2, queued: 1 });
+
+    gates.forEach((gate) => gate.resolve());
+    expect(await Promise.all(results)).toEqual([0, 1, 2]);
+    expect(queue.stats()).toMatchObject({ inFlight: 0, queued: 0 });
+  });
+
+  test("coalesces identical queries in flight", async () => {
+    const queue = createIgdbRequestQueue({ requestsPerSecond: 1000 });
+    const gate = deferred();
+    const task = jest.fn(() => gate.promise.then(() => [{ id: 1 }]));
+    const first = queue.schedule("same", task);
+    const second = queue.schedule("same", task);
+    gate.resolve();
+    expect(await first).toEqual([{ id: 1 }]);
+    expect(await second).toEqual([{ id: 1 }]);
+    expect(task).toHaveBeenCalledTimes(1);
+
+    await queue.schedule("same", task);
+    expect(task).toHaveBeenCalledTimes(2);
+    expect(queue.stats()).toMatchObject({ requests: 2, coalesced: 1 });
+  });
+
+  test("retries 429 and 5xx answers with backoff but not other errors", async () => {
+    const queue = createIgdbRequestQueue({ requestsPerSecond: 1000, maxRetries: 2, retryDelayMs: 5 });
+    const flaky = jest
+      .fn()
+      .mockRejectedValueOnce(apiError(429, 10))
+      .mockRejectedValueOnce(apiError(503))
+      .mockResolvedValueOnce([{ id: 2 }]);
+    expect(await queue.schedule("flaky", flaky)).toEqual([{ id: 2 }]);
+    expect(flaky).toHaveBeenCalledTimes(3);
+
+    const down = jest.fn().mockRejectedValue(apiError(500));
+    await expect(queue.schedule("down", down)).rejects.toMatchObject({ status: 500 });
+    expect(down).toHaveBeenCalledTimes(3);
+
+    const bad = jest.fn().mockRejectedValue(apiError(400));
+    await expect(queue.schedule("bad", bad)).rejects.toMatchObject({ status: 400 });
+    const network = jest.fn().mockRejectedValue(new Error("ECONNRESET"));
+    await expect(queue.schedule("network", network)).rejects.toThrow("ECONNRESET");
+    expect(bad).toHaveBeenCalledTimes(1);
+    expect(network).toHaveBeenCalledTimes(1);
+
+    expect(queue.stats()).toMatchObject({ retries: 4, rateLimited: 1, failures: 3, completed: 1, backingOff: 0 });
+  });
+
+  test("gives up on a stalled request with a retryable 504", async () => {
+    // IGDB stand-in that accepts the request and never answers
+    const server = http.createServer(() => {});
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const { port } = server.address();
+    const spy = jest
+      .spyOn(https, "request")
+      .mockImplementation((options, callback) => http.request({ ...options, hostname: "127.0.0.1", port }, callback));
+    try {
+      const queue = createIgdbRequestQueue({ requestsPerSecond: 1000, maxConcurrent: 1, maxRetries: 1, retryDelayMs: 5 });
+      const stalled = () => requestIgdb("games", "fields name;", "token", "client", 50);
+      await expect(queue.schedule("stalled", stalled)).rejects.toMatchObject({
+        status: 504,
+        message: "IGDB request timed out after 50 ms",
+      });
+      expect(queue.stats()).toMatchObject({ retries: 1, failures: 1 });
+      // The slot is free again
+      expect(await queue.schedule("next", async () => [{ id: 1 }])).toEqual([{ id: 1 }]);
+    } finally {
+      spy.mockRestore();
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
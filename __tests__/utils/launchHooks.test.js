@@ -0,0 +1,129 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  validateHooks,
+  loadGameHooks,
+  saveGlobalHooks,
+  saveGameHooks,
+  runLaunchHooks,
+} = require("../../utils/launchHooks");
+
+const unixOnly = process.platform === "win32" ? test.skip : test;
+
+describe("launchHooks", () => {
+  let metadataPath;
+
+  beforeEach(() => {
+    metadataPath = fs.mkdtempSync(path.join(os.tmpdir(), "mhg-launch-hooks-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(metadataPath, { recursive: true, force: true });
+  });
+
+  test("validateHooks fills in defaults", () => {
+    expect(validateHooks({ pre: [{ command: "/usr/bin/xrandr", args: ["-s", "1920x1080"] }] })).toEqual({
+      ok: true,
+      value: {
+        pre: [{
+          name: "xrandr",
+          command: "/usr/bin/xrandr",
+          args: ["-s", "1920x1080"],
+          cwd: null,
+          env: {},
+          timeoutSeconds: 30,
+          onFailure: "abort",
+        }],
+        post: [],
+      },
+    });
+  });
+
+  test("validateHooks rejects malformed hooks", () => {
+    expect(validateHooks(null).ok).toBe(false);
+    expect(validateHooks({ pre: {} }).ok).toBe(false);
+    expect(validateHooks({ pre: [{ command: "" }] })).toEqual({
+      ok: false,
+      error: expect.stringMatching(/^pre\[0\]: /),
+    });
+    expect(validateHooks({ post: [{ command: "/bin/true", timeoutSeconds: 0 }] }).ok).toBe(false);
+    expect(validateHooks({ post: [{ command: "/bin/true", timeoutSeconds: 0.5 }] }).ok).toBe(false);
+    expect(validateHooks({ post: [{ command: "/bin/true", timeoutSeconds: 2.5 }] }).ok).toBe(false);
+    expect(validateHooks({ post: [{ command: "/bin/true", onFailure: "retry" }] }).ok).toBe(false);
+  });
+
+  test("saving an empty document removes the hooks file", () => {
+    saveGameHooks(metadataPath, 7, validateHooks({ pre: [{ command: "/bin/true" }] }).value);
+    const filePath = path.join(metadataPath, "content", "games", "7", "hooks.json");
+    expect(fs.existsSync(filePath)).toBe(true);
+    expect(loadGameHooks(metadataPath, 7).pre).toHaveLength(1);
+
+    saveGameHooks(metadataPath, 7, { pre: [], post: [] });
+    expect(fs.existsSync(filePath)).toBe(false);
+    expect(loadGameHooks(metadataPath, 7)).toEqual({ pre: [], post: [] });
+  });
+
+  unixOnly("runs global pre hooks before the game's and post hooks in reverse", async () => {
+    const echo = (name) => ({ name, command: "/bin/sh", args: ["-c", `echo ${name} $MHG_HOOK_PHASE $MHG_GAME_ID`] });
+    saveGlobalHooks(metadataPath, validateHooks({ pre: [echo("global")], post: [echo("global")] }).value);
+    saveGameHooks(metadataPath, 3, validateHooks({ pre: [echo("game")], post: [echo("game")] }).value);
+
+    const pre = await runLaunchHooks(metadataPath, 3, "pre", { launchId: "l1" });
+    expect(pre.ok).toBe(true);
+    expect(pre.results.map((r) => [r.scope, r.output])).toEqual([
+      ["global", "global pre 3\n"],
+      ["game", "game pre 3\n"],
+    ]);
+
+    const post = await runLaunchHooks(metadataPath, 3, "post", { launchId: "l1" });
+    expect(post.results.map((r) => r.scope)).toEqual(["game", "global"]);
+  });
+
+  unixOnly("a failing pre hook aborts unless onFailure is continue", async () => {
+    saveGameHooks(metadataPath, 4, validateHooks({
+      pre: [
+        { name: "optional", command: "/bin/sh", args: ["-c", "exit 2"], onFailure: "continue" },
+        { name: "mount", command: "/bin/sh", args: ["-c", "exit 1"] },
+        { name: "never", command: "/bin/true" },
+      ],
+    }).value);
+
+    const pre = await runLaunchHooks(metadataPath, 4, "pre", { launchId: "l2" });
+    expect(pre).toMatchObject({ ok: false, abortedBy: "mount" });
+    expect(pre.results.map((r) => [r.name, r.ok, r.exitCode])).toEqual([
+      ["optional", false, 2],
+      ["mount", false, 1],
+    ]);
+  });
+
+  unixOnly("kills a hook that runs past its timeout", async () => {
+    saveGameHooks(metadataPath, 5, validateHooks({
+      pre: [{ name: "slow", command: "/bin/sh", args: ["-c", "sleep 30"], timeoutSeconds: 1 }],
+    }).value);
+
+    const pre = await runLaunchHooks(metadataPath, 5, "pre", { launchId: "l3" });
+    expect(pre.ok).toBe(false);
+    expect(pre.results[0]).toMatchObject({ timedOut: true, error: "Timed out after 1s" });
+    expect(pre.results[0].durationMs).toBeLessThan(5000);
+  });
+
+  unixOnly("a hook that starts a background helper finishes when the hook itself exits", async () => {
+    saveGameHooks(metadataPath, 6, validateHooks({
+      pre: [{ name: "vpn", command: "/bin/sh", args: ["-c", "sleep 30 & echo $!"], timeoutSeconds: 2 }],
+    }).value);
+
+    const pre = await runLaunchHooks(metadataPath, 6, "pre", { launchId: "l4" });
+    expect(pre.ok).toBe(true);
+    expect(pre.results[0]).toMatchObject({ ok: true, exitCode: 0, timedOut: false });
+    expect(pre.results[0].durationMs).toBeLessThan(2000);
+
+    const helperPid = Number(pre.results[0].output.trim());
+    await new Promise((resolve) => setTimeout(resolve, 2500));
+    // still alive past the hook's timeout
+    expect(() => process.kill(helperPid, 0)).not.toThrow();
+    process.kill(helperPid, "SIGKILL");
+  });
+});
@@ -0,0 +1,96 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const {
+  MAX_LAUNCH_LOGS,
+  MAX_LOG_BYTES,
+  isValidLaunchId,
+  listLaunchLogs,
+  openLaunchLog,
+  finishLaunchLog,
+  readLaunchLog,
+  capLaunchLogOutput,
+} = require("../../utils/launchLogs");
+
+describe("launchLogs", () => {
+  let metadataPath;
+
+  beforeEach(() => {
+    metadataPath = path.join(os.tmpdir(), `mhg-launch-logs-${Date.now()}-${Math.random().toString(16).slice(2)}`);
+    fs.mkdirSync(path.join(metadataPath, "content", "games", "7"), { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(metadataPath, { recursive: true, force: true });
+  });
+
+  function writeLaunch(launchId, output, startedAt) {
+    const fd = openLaunchLog(metadataPath, 7, { launchId, executableName: "play", startedAt });
+    fs.writeSync(fd, output);
+    fs.closeSync(fd);
+  }
+
+  test("records output, exit code and duration of a launch", () => {
+    const launchId = crypto.randomUUID();
+    writeLaunch(launchId, "hello\noops\n", new Date(Date.now() - 1500).toISOString());
+    expect(readLaunchLog(metadataPath, 7, launchId)).toMatchObject({ endedAt: null, exitCode: null });
+
+    finishLaunchLog(metadataPath, 7, launchId, { exitCode: 3 });
+    const log = readLaunchLog(metadataPath, 7, launchId);
+    expect(log).toMatchObject({ launchId, gameId: 7, executableName: "play", exitCode: 3, signal: null });
+    expect(log.output).toBe("hello\noops\n");
+    expect(log.size).toBe(11);
+    expect(log.truncated).toBe(false);
+    expect(log.durationMs).toBeGreaterThanOrEqual(1500);
+  });
+
+  test("readLaunchLog returns only the tail of large output", () => {
+    const launchId = crypto.randomUUID();
+    writeLaunch(launchId, "first line\nlast line\n");
+    const log = readLaunchLog(metadataPath, 7, launchId, { maxBytes: 10 });
+    expect(log.output).toBe("last line\n");
+    expect(log.truncated).toBe(true);
+  });
+
+  test("keeps only the newest MAX_LAUNCH_LOGS launches", () => {
+    const ids = [];
+    for (let i = 0; i <= MAX_LAUNCH_LOGS; i++) {
+      const launchId = crypto.randomUUID();
+      ids.push(launchId);
+      writeLaunch(launchId, `run ${i}\n`, new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString());
+    }
+    const logs = listLaunchLogs(metadataPath, 7);
+    expect(logs).toHaveLength(MAX_LAUNCH_LOGS);
+    expect(logs[0].launchId).toBe(ids[ids.length - 1]);
+    expect(readLaunchLog(metadataPath, 7, ids[0])).toBeNull();
+    expect(fs.existsSync(path.join(metadataPath, "content", "games", "7", "launch-logs", `${ids[0]}.log`))).toBe(false);
+  });
+
+  test("rejects launch ids that are not uuids", () => {
+    expect(isValidLaunchId("../../settings")).toBe(false);
+    expect(readLaunchLog(metadataPath, 7, "../../settings")).toBeNull();
+  });
+
+  test("drops the older half of a log that grows past the cap", () => {
+    const launchId = crypto.randomUUID();
+    writeLaunch(launchId, `${"a".repeat(600)}${"b".repeat(500)}`);
+
+    expect(capLaunchLogOutput(metadataPath, 7, launchId, 2000)).toBe(false);
+    expect(capLaunchLogOutput(metadataPath, 7, launchId, 1000)).toBe(true);
+    const log = readLaunchLog(metadataPath, 7, launchId);
+    expect(log.output).toBe(`[... 600 bytes of earlier output dropped ...]\n${"b".repeat(500)}`);
+  });
+
+  test("caps the output when the launch ends", () => {
+    const launchId = crypto.randomUUID();
+    writeLaunch(launchId, Buffer.alloc(MAX_LOG_BYTES + 1024, "x"));
+
+    finishLaunchLog(metadataPath, 7, launchId, { exitCode: 0 });
+    const log = readLaunchLog(metadataPath, 7, launchId);
+    expect(log.size).toBeLessThanOrEqual(MAX_LOG_BYTES);
+    expect(log.endedAt).not.toBeNull();
+  });
+});
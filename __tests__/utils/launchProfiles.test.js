@@ -0,0 +1,93 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  isLauncherFileName,
+  validateLaunchProfile,
+  renderLaunchProfile,
+  renderUrlProfile,
+  readLaunchProfile,
+} = require("../../utils/launchProfiles");
+
+describe("launchProfiles", () => {
+  test("validateLaunchProfile normalizes optional fields", () => {
+    expect(validateLaunchProfile({ command: " /usr/bin/mame " })).toEqual({
+      ok: true,
+      value: { type: "command", command: "/usr/bin/mame", args: [], cwd: null, env: {}, rom: null },
+    });
+  });
+
+  test("validateLaunchProfile rejects malformed profiles", () => {
+    expect(validateLaunchProfile(null).ok).toBe(false);
+    expect(validateLaunchProfile({ type: "script", command: "/bin/true" }).ok).toBe(false);
+    expect(validateLaunchProfile({ command: "" }).ok).toBe(false);
+    expect(validateLaunchProfile({ command: "/bin/true", args: "-f" }).ok).toBe(false);
+    expect(validateLaunchProfile({ command: "/bin/true", args: [1] }).ok).toBe(false);
+    expect(validateLaunchProfile({ command: "/bin/true", cwd: "relative/dir" }).ok).toBe(false);
+    expect(validateLaunchProfile({ command: "/bin/true", env: { A: 1 } }).ok).toBe(false);
+    expect(validateLaunchProfile({ command: "/bin/true", args: ["{rom}"] })).toEqual({
+      ok: false,
+      error: "args use {rom} but no rom is set",
+    });
+  });
+
+  test("validateLaunchProfile accepts emulator profiles by emulator id, platform or neither", () => {
+    expect(validateLaunchProfile({ type: "emulator", platformId: "19", rom: "/roms/a.sfc" })).toEqual({
+      ok: true,
+      value: { type: "emulator", emulator: null, platformId: 19, rom: "/roms/a.sfc", config: null },
+    });
+    expect(validateLaunchProfile({ type: "emulator", emulator: "mesen", rom: "/roms/a.sfc" }).ok).toBe(true);
+    expect(validateLaunchProfile({ type: "emulator", rom: "/roms/a.sfc" })).toEqual({
+      ok: true,
+      value: { type: "emulator", emulator: null, platformId: null, rom: "/roms/a.sfc", config: null },
+    });
+    expect(validateLaunchProfile({ type: "emulator", platformId: 19 }).ok).toBe(false);
+  });
+
+  test("url profiles open the URL with the platform handler", () => {
+    const profile = validateLaunchProfile({ type: "url", url: " steam://rungameid/440 " });
+    expect(profile).toEqual({ ok: true, value: { type: "url", url: "steam://rungameid/440" } });
+    expect(renderUrlProfile(profile.value, "linux")).toEqual({ command: "xdg-open", args: ["steam://rungameid/440"], cwd: null, env: {} });
+    expect(renderUrlProfile(profile.value, "darwin").command).toBe("open");
+    expect(renderUrlProfile(profile.value, "win32").command).toBe("explorer.exe");
+    expect(validateLaunchProfile({ type: "url", url: "rungameid/440" }).ok).toBe(false);
+    expect(validateLaunchProfile({ type: "url" }).ok).toBe(false);
+  });
+
+  test("renderLaunchProfile substitutes {rom} or appends it", () => {
+    const withPlaceholder = validateLaunchProfile({
+      command: "/usr/bin/retroarch",
+      args: ["-L", "/cores/snes.so", "--rom={rom}"],
+      rom: "/roms/A Game.sfc",
+    }).value;
+    expect(renderLaunchProfile(withPlaceholder).args).toEqual(["-L", "/cores/snes.so", "--rom=/roms/A Game.sfc"]);
+
+    const appended = validateLaunchProfile({ command: "/usr/bin/mednafen", args: ["-fs", "1"], rom: "/roms/b.cue" }).value;
+    expect(renderLaunchProfile(appended).args).toEqual(["-fs", "1", "/roms/b.cue"]);
+  });
+
+  test("readLaunchProfile validates the file content", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mhg-launch-profiles-"));
+    try {
+      fs.writeFileSync(path.join(dir, "01-play.json"), JSON.stringify({ command: "/bin/true" }));
+      fs.writeFileSync(path.join(dir, "02-broken.json"), "{");
+      expect(readLaunchProfile(path.join(dir, "01-play.json")).ok).toBe(true);
+      expect(readLaunchProfile(path.join(dir, "02-broken.json"))).toEqual({
+        ok: false,
+        error: "Launch profile is not valid JSON",
+      });
+      expect(readLaunchProfile(path.join(dir, "03-missing.json")).ok).toBe(false);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("isLauncherFileName accepts scripts and profiles only", () => {
+    expect(isLauncherFileName("01-play.sh")).toBe(true);
+    expect(isLauncherFileName("01-play.BAT")).toBe(true);
+    expect(isLauncherFileName("01-play.json")).toBe(true);
+    expect(isLauncherFileName("notes.txt")).toBe(false);
+  });
+});
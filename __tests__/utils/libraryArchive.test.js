@@ -0,0 +1,159 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const AdmZip = require("adm-zip");
+const {
+  ARCHIVE_FORMAT,
+  writeLibraryArchive,
+  readLibraryArchive,
+  importLibraryArchive,
+} = require("../../utils/libraryArchive");
+
+function writeItem(metadataPath, section, id, data) {
+  const dir = path.join(metadataPath, "content", section, String(id));
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, "metadata.json"), JSON.stringify(data));
+}
+
+function readItem(metadataPath, section, id) {
+  const file = path.join(metadataPath, "content", section, String(id), "metadata.json");
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+function makeTempLibrary() {
+  const dir = path.join(os.tmpdir(), `mhg-archive-${Date.now()}-${Math.random().toString(16).slice(2)}`);
+  fs.mkdirSync(path.join(dir, "content"), { recursive: true });
+  return dir;
+}
+
+/** Zip whose entry names are written verbatim (adm-zip sanitizes names passed to addFile). */
+function zipWithRawNames(files) {
+  const zip = new AdmZip();
+  const renames = [];
+  files.forEach(([name, data], i) => {
+    const placeholder = `${String(i).padStart(name.length - 1, "p")}_`.slice(0, name.length);
+    zip.addFile(placeholder, Buffer.from(data));
+    renames.push([placeholder, name]);
+  });
+  let raw = zip.toBuffer().toString("latin1");
+  for (const [from, to] of renames) raw = raw.split(from).join(to);
+  return Buffer.from(raw, "latin1");
+}
+
+/** Write zip contents next to a library and read them back as an archive. */
+function readArchiveBuffer(metadataPath, buffer) {
+  const file = path.join(metadataPath, "upload.zip");
+  fs.writeFileSync(file, buffer);
+  return readLibraryArchive(file);
+}
+
+/** Export a library to a zip file next to it; resolves with the file path and manifest. */
+async function exportArchive(metadataPath, options) {
+  const file = path.join(metadataPath, "export.zip");
+  const manifest = await writeLibraryArchive(metadataPath, fs.createWriteStream(file), options);
+  return { file, manifest };
+}
+
+describe("libraryArchive", () => {
+  let source;
+  let target;
+
+  beforeEach(() => {
+    source = makeTempLibrary();
+    target = makeTempLibrary();
+    writeItem(source, "games", 1, { title: "One" });
+    writeItem(source, "games", 2, { title: "Two" });
+    writeItem(source, "collections", 10, { title: "Favorites" });
+    fs.writeFileSync(path.join(source, "content", "games", "1", "cover.webp"), Buffer.from([1, 2, 3]));
+  });
+
+  afterEach(() => {
+    fs.rmSync(source, { recursive: true, force: true });
+    fs.rmSync(target, { recursive: true, force: true });
+  });
+
+  test("exports the content tree with a manifest", async () => {
+    const { file, manifest } = await exportArchive(source, { serverVersion: "1.2.3" });
+    expect(manifest).toMatchObject({
+      format: ARCHIVE_FORMAT,
+      version: 1,
+      serverVersion: "1.2.3",
+      sections: { games: 2, collections: 1 },
+      files: 4,
+    });
+    const archive = await readLibraryArchive(file);
+    expect(archive.ok).toBe(true);
+    expect(archive.value.manifest).toEqual(manifest);
+    expect(JSON.parse(new AdmZip(file).readAsText("manifest.json"))).toEqual(manifest);
+    expect(archive.value.items).toEqual({ collections: ["10"], games: ["1", "2"] });
+  });
+
+  test("merge adds new items and reports conflicts", async () => {
+    writeItem(target, "games", 2, { title: "Two (local)" });
+    const archive = (await readLibraryArchive((await exportArchive(source)).file)).value;
+
+    const preview = await importLibraryArchive(target, archive, { mode: "merge", dryRun: true });
+    expect(preview.sections.games).toEqual({ added: 1, overwritten: 0, skipped: 1, removed: 0 });
+    expect(preview.conflicts).toEqual([{ section: "games", id: "2", resolution: "skipped" }]);
+    expect(readItem(target, "games", 1)).toBeNull();
+
+    await importLibraryArchive(target, archive, { mode: "merge" });
+    expect(readItem(target, "games", 1)).toEqual({ title: "One" });
+    expect(readItem(target, "games", 2)).toEqual({ title: "Two (local)" });
+    expect(fs.readFileSync(path.join(target, "content", "games", "1", "cover.webp"))).toEqual(Buffer.from([1, 2, 3]));
+    expect(fs.readdirSync(target).filter((name) => name.startsWith("."))).toEqual([]);
+
+    await importLibraryArchive(target, archive, { mode: "merge", onConflict: "overwrite" });
+    expect(readItem(target, "games", 2)).toEqual({ title: "Two" });
+  });
+
+  test("merge joins the members of blocks present on both sides", async () => {
+    writeItem(source, "categories", 1, { title: "Action", gameIds: [20] });
+    writeItem(source, "collections", 11, { title: "Shared", games: ["20", "30"] });
+    writeItem(target, "categories", 1, { title: "Action (local)", gameIds: [10] });
+    writeItem(target, "collections", 11, { title: "Shared (local)", games: ["10", "30"] });
+    const archive = (await readLibraryArchive((await exportArchive(source)).file)).value;
+
+    await importLibraryArchive(target, archive, { mode: "merge" });
+    expect(readItem(target, "categories", 1)).toEqual({ title: "Action (local)", gameIds: [10, 20] });
+    expect(readItem(target, "collections", 11)).toEqual({ title: "Shared (local)", games: ["10", "30", "20"] });
+
+    await importLibraryArchive(target, archive, { mode: "merge", onConflict: "overwrite" });
+    expect(readItem(target, "categories", 1)).toEqual({ title: "Action", gameIds: [20, 10] });
+    expect(readItem(target, "collections", 11)).toEqual({ title: "Shared", games: ["20", "30", "10"] });
+  });
+
+  test("replace swaps the content tree and keeps empty sections", async () => {
+    writeItem(target, "games", 3, { title: "Three" });
+    fs.mkdirSync(path.join(target, "content", "themes"), { recursive: true });
+    const archive = (await readLibraryArchive((await exportArchive(source)).file)).value;
+
+    const report = await importLibraryArchive(target, archive, { mode: "replace" });
+    expect(report.sections.games).toEqual({ added: 2, overwritten: 0, skipped: 0, removed: 1 });
+    expect(readItem(target, "games", 3)).toBeNull();
+    expect(readItem(target, "collections", 10)).toEqual({ title: "Favorites" });
+    expect(fs.existsSync(path.join(target, "content", "themes"))).toBe(true);
+  });
+
+  test("rejects archives without a valid manifest or with unsafe paths", async () => {
+    expect((await readArchiveBuffer(target, Buffer.from("not a zip"))).ok).toBe(false);
+
+    const noManifest = new AdmZip();
+    noManifest.addFile("content/games/1/metadata.json", Buffer.from("{}"));
+    expect(await readArchiveBuffer(target, noManifest.toBuffer())).toEqual({ ok: false, error: "Missing manifest.json" });
+
+    const manifest = JSON.stringify({ format: ARCHIVE_FORMAT, version: 1 });
+    const future = JSON.stringify({ format: ARCHIVE_FORMAT, version: 99 });
+    expect((await readArchiveBuffer(target, zipWithRawNames([["manifest.json", future]]))).error).toBe(
+      "Unsupported archive version: 99",
+    );
+    expect((await readArchiveBuffer(target, zipWithRawNames([["manifest.json", manifest], ["../evil.txt", "x"]]))).error).toBe(
+      "Invalid path in archive: ../evil.txt",
+    );
+    expect((await readArchiveBuffer(target, zipWithRawNames([["manifest.json", manifest], ["settings.json", "{}"]]))).error).toBe(
+      "Unexpected file in archive: settings.json",
+    );
+  });
+});
@@ -0,0 +1,116 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { isWebpFile, diagnoseLibrary, fixLibraryIssues } = require("../../utils/libraryDoctor");
+
+const WEBP_HEADER = Buffer.concat([Buffer.from("RIFF"), Buffer.alloc(4), Buffer.from("WEBPVP8 ")]);
+
+describe("libraryDoctor", () => {
+  let metadataPath;
+
+  function write(relPath, content) {
+    const filePath = path.join(metadataPath, relPath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, typeof content === "string" || Buffer.isBuffer(content) ? content : JSON.stringify(content));
+    return filePath;
+  }
+
+  function byCode(report, code) {
+    return report.findings.filter((finding) => finding.code === code);
+  }
+
+  beforeEach(() => {
+    metadataPath = fs.mkdtempSync(path.join(os.tmpdir(), "mhg-doctor-"));
+    write("content/games/1/metadata.json", { title: "Kept" });
+    write("content/games/1/cover.webp", WEBP_HEADER);
+  });
+
+  afterEach(() => {
+    fs.rmSync(metadataPath, { recursive: true, force: true });
+  });
+
+  test("a consistent library has no findings", () => {
+    write("content/collections/10/metadata.json", { title: "Shelf", games: [1], childs: [] });
+    write("content/themes/20/metadata.json", { title: "Space", gameIds: [1] });
+    expect(diagnoseLibrary(metadataPath)).toMatchObject({
+      summary: { total: 0, fixable: 0, bySeverity: { error: 0, warning: 0 } },
+      findings: [],
+    });
+  });
+
+  test("reports game folders without metadata", () => {
+    write("content/games/2/cover.webp", WEBP_HEADER);
+    fs.mkdirSync(path.join(metadataPath, "content", "games", "3"));
+    write("content/games/4/metadata.json", "{");
+
+    const report = diagnoseLibrary(metadataPath);
+    expect(byCode(report, "game-missing-metadata")).toEqual([
+      expect.objectContaining({ path: "content/games/2", severity: "error", fixable: false }),
+      expect.objectContaining({ path: "content/games/3", severity: "warning", fixable: true }),
+    ]);
+    expect(byCode(report, "game-invalid-metadata")).toEqual([
+      expect.objectContaining({ path: "content/games/4/metadata.json", severity: "error" }),
+    ]);
+    expect(report.summary.byCategory.games).toBe(3);
+  });
+
+  test("reports and fixes references to deleted games and missing children", () => {
+    write("content/collections/10/metadata.json", { title: "Shelf", games: [1, 99], childs: [11, 12] });
+    write("content/collections/11/metadata.json", { title: "Child", games: [1] });
+    write("content/platforms/6/metadata.json", { title: "SNES", gameIds: [98, 1] });
+
+    const report = diagnoseLibrary(metadataPath);
+    expect(byCode(report, "dangling-game-reference")).toEqual([
+      expect.objectContaining({ path: "content/collections/10/metadata.json", missingGameIds: [99] }),
+      expect.objectContaining({ path: "content/platforms/6/metadata.json", missingGameIds: [98] }),
+    ]);
+    expect(byCode(report, "dangling-child-link")).toEqual([
+      expect.objectContaining({ category: "hierarchy", missingChildIds: [12] }),
+    ]);
+
+    const result = fixLibraryIssues(metadataPath);
+    expect(result.fixed).toHaveLength(3);
+    expect(result.failed).toEqual([]);
+    expect(result.remaining.findings).toEqual([]);
+    const collection = JSON.parse(fs.readFileSync(path.join(metadataPath, "content/collections/10/metadata.json"), "utf8"));
+    expect(collection).toMatchObject({ title: "Shelf", games: [1], childs: [11] });
+  });
+
+  test("reports launch files referencing missing paths", () => {
+    write("content/games/1/scripts/01-play.sh", "#!/bin/sh\n/usr/bin/mednafen \"/roms/missing game.cue\"\n");
+    write("content/games/1/scripts/02-alt.json", { command: process.execPath, rom: "/roms/missing.sfc" });
+    write("content/games/1/scripts/03-bad.json", "{");
+
+    const report = diagnoseLibrary(metadataPath);
+    const missing = byCode(report, "missing-launch-path");
+    expect(missing.map((f) => f.path)).toEqual([
+      "content/games/1/scripts/01-play.sh",
+      "content/games/1/scripts/02-alt.json",
+    ]);
+    expect(missing[0].missingPaths).toContain("/roms/missing game.cue");
+    expect(missing[1].missingPaths).toEqual(["/roms/missing.sfc"]);
+    expect(byCode(report, "invalid-launch-file")).toEqual([
+      expect.objectContaining({ path: "content/games/1/scripts/03-bad.json", fixable: false }),
+    ]);
+  });
+
+  test("reports images that are not WebP and removes only empty ones", () => {
+    write("content/games/1/background.webp", Buffer.from("\x89PNG\r\n\x1a\n0000", "binary"));
+    const empty = write("content/collections/10/cover.webp", "");
+    write("content/collections/10/metadata.json", { title: "Shelf", games: [1] });
+    expect(isWebpFile(path.join(metadataPath, "content/games/1/cover.webp"))).toBe(true);
+
+    const report = diagnoseLibrary(metadataPath);
+    expect(byCode(report, "invalid-image")).toEqual([
+      expect.objectContaining({ path: "content/collections/10/cover.webp", fixable: true }),
+      expect.objectContaining({ path: "content/games/1/background.webp", fixable: false }),
+    ]);
+
+    const result = fixLibraryIssues(metadataPath, { codes: ["invalid-image"] });
+    expect(result.fixed.map((f) => f.path)).toEqual(["content/collections/10/cover.webp"]);
+    expect(fs.existsSync(empty)).toBe(false);
+    expect(byCode(result.remaining, "invalid-image")).toHaveLength(1);
+  });
+});
@@ -0,0 +1,102 @@
+"use strict";
+
+const {
+  parseLibraryQuery,
+  libraryQueryCacheKey,
+  applyLibraryQuery,
+} = require("../../utils/libraryQuery");
+
+const games = [
+  { id: 1, title: "The Alpha", year: 2001, stars: 4, genre: [10, 11], platforms: [6], executables: ["play"] },
+  { id: 2, title: "Beta", year: 2005, stars: 3, genre: [10], platforms: [48], developers: [100] },
+  { id: 3, title: "Gamma", year: 2010, stars: 5, genre: [12], platforms: [6, 48], collection: [7] },
+  { id: 4, title: "Delta", year: 2010, stars: 2, genre: [11], platforms: [6] },
+];
+
+function run(query) {
+  const parsed = parseLibraryQuery(query);
+  expect(parsed.ok).toBe(true);
+  return applyLibraryQuery(games, parsed.value);
+}
+
+describe("libraryQuery", () => {
+  test("defaults to every game sorted by title ascending", () => {
+    const result = run({});
+    expect(result.games.map((g) => g.id)).toEqual([1, 2, 4, 3]);
+    expect(result.total).toBe(4);
+    expect(result.nextCursor).toBeNull();
+  });
+
+  test("sorts descending with a stable id tie-break", () => {
+    expect(run({ sort: "year", direction: "desc" }).games.map((g) => g.id)).toEqual([4, 3, 2, 1]);
+    expect(run({ sort: "criticrating" }).games.map((g) => g.id)).toEqual([1, 2, 3, 4]);
+  });
+
+  test("combines tag filters (any id within a filter, every filter)", () => {
+    expect(run({ genre: "10,12" }).games.map((g) => g.id)).toEqual([1, 2, 3]);
+    expect(run({ genre: ["10", "12"], platforms: "48" }).games.map((g) => g.id)).toEqual([2, 3]);
+    expect(run({ developers: "100" }).games.map((g) => g.id)).toEqual([2]);
+    expect(run({ series: "7" }).games.map((g) => g.id)).toEqual([3]);
+  });
+
+  test("filters by year and rating ranges and executables", () => {
+    expect(run({ yearMin: "2005", yearMax: "2010", ratingMin: "3" }).games.map((g) => g.id)).toEqual([2, 3]);
+    expect(run({ hasExecutables: "true" }).games.map((g) => g.id)).toEqual([1]);
+    expect(run({ hasExecutables: "false" }).total).toBe(3);
+  });
+
+  test("counts facets against the other filters", () => {
+    const { facets } = run({ genre: "10", platforms: "6" });
+    // genre counts ignore the genre filter but keep the platform filter
+    expect(facets.genre).toEqual([
+      { id: 11, count: 2 },
+      { id: 10, count: 1 },
+      { id: 12, count: 1 },
+    ]);
+    // platform counts ignore the platform filter but keep the genre filter
+    expect(facets.platforms).toEqual([
+      { id: 48, count: 1 },
+      { id: 6, count: 1 },
+    ]);
+    expect(facets.series).toEqual([]);
+  });
+
+  test("paginates with a cursor", () => {
+    const first = run({ sort: "year", limit: "3" });
+    expect(first.games.map((g) => g.id)).toEqual([1, 2, 3]);
+    expect(first.nextCursor).toEqual(expect.any(String));
+    const second = run({ sort: "year", limit: "3", cursor: first.nextCursor });
+    expect(second.games.map((g) => g.id)).toEqual([4]);
+    expect(second.nextCursor).toBeNull();
+    expect(second.total).toBe(4);
+  });
+
+  test("filters by the caller's personal state", () => {
+    const states = {
+      1: { favorite: true, rating: 4.5, status: "playing" },
+      3: { favorite: false, rating: 2, status: "beaten" },
+    };
+    const context = { getPersonalState: (id) => ({ favorite: false, rating: null, status: "unplayed", ...states[id] }) };
+    const query = (q) => applyLibraryQuery(games, parseLibraryQuery(q).value, context).games.map((g) => g.id);
+    expect(query({ favorite: "true" })).toEqual([1]);
+    expect(query({ status: "playing,beaten" })).toEqual([1, 3]);
+    expect(query({ status: "unplayed" })).toEqual([2, 4]);
+    expect(query({ personalRatingMin: "3" })).toEqual([1]);
+    expect(parseLibraryQuery({ status: "wishlist" }).ok).toBe(false);
+  });
+
+  test("rejects invalid parameters", () => {
+    expect(parseLibraryQuery({ direction: "up" })).toEqual({ ok: false, error: "direction must be asc or desc" });
+    expect(parseLibraryQuery({ limit: "0" }).ok).toBe(false);
+    expect(parseLibraryQuery({ cursor: "not-a-cursor" })).toEqual({ ok: false, error: "Invalid cursor" });
+    expect(parseLibraryQuery({ yearMin: "soon" })).toEqual({ ok: false, error: "yearMin must be a number" });
+    expect(parseLibraryQuery({ hasExecutables: "maybe" }).ok).toBe(false);
+  });
+
+  test("cache key does not depend on parameter order", () => {
+    const a = parseLibraryQuery({ genre: "12,10", platforms: "6", sort: "YEAR" }).value;
+    const b = parseLibraryQuery({ platforms: "6", genre: ["10", "12"], sort: "year" }).value;
+    expect(libraryQueryCacheKey(a)).toBe(libraryQueryCacheKey(b));
+    expect(libraryQueryCacheKey(a)).not.toBe(libraryQueryCacheKey({ ...a, direction: "desc" }));
+  });
+});
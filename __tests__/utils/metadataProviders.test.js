@@ -0,0 +1,112 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  registerMetadataProvider,
+  unregisterMetadataProvider,
+  validateProviderConfig,
+  saveProviderConfig,
+  getMetadataProvider,
+  listMetadataProviders,
+  callMetadataProvider,
+  mergeProviderGames,
+  fetchProviderGame,
+  validateProviderGameRequest,
+} = require("../../utils/metadataProviders");
+
+describe("metadataProviders", () => {
+  let metadataPath;
+
+  const catalog = {
+    games: [
+      {
+        id: "ct",
+        name: "Chrono Trigger",
+        summary: "Catalog summary",
+        alternativeNames: ["Kurono Torigā"],
+        genres: ["Role-playing (RPG)"],
+        similarGames: [{ id: "ff6", name: "Final Fantasy VI" }],
+      },
+      { id: "ff6", name: "Final Fantasy VI", summary: "", cover: "https://example.test/ff6.jpg" },
+    ],
+    companies: [{ id: 70, title: "Square" }],
+  };
+
+  beforeEach(() => {
+    metadataPath = fs.mkdtempSync(path.join(os.tmpdir(), "mhg-providers-"));
+    fs.mkdirSync(path.join(metadataPath, "catalogs"));
+    fs.writeFileSync(path.join(metadataPath, "catalogs", "games.json"), JSON.stringify(catalog));
+    saveProviderConfig(metadataPath, { catalogs: [{ id: "local", label: "Local", path: "catalogs/games.json" }], fieldPriority: {} });
+  });
+
+  afterEach(() => {
+    unregisterMetadataProvider("fake");
+    fs.rmSync(metadataPath, { recursive: true, force: true });
+  });
+
+  test("validateProviderConfig checks catalogs and field priority", () => {
+    expect(validateProviderConfig({ catalogs: [{ id: "Bad Id", path: "x.json" }] }).ok).toBe(false);
+    expect(validateProviderConfig({ catalogs: [{ id: "local" }] })).toEqual({ ok: false, error: "catalogs[0]: path is required" });
+    expect(validateProviderConfig({ fieldPriority: { rating: ["igdb"] } })).toEqual({ ok: false, error: "fieldPriority: unknown field rating" });
+    expect(validateProviderConfig({ fieldPriority: { summary: ["local", "igdb", "local"] } })).toEqual({
+      ok: true,
+      value: { catalogs: [], fieldPriority: { summary: ["local", "igdb"] } },
+    });
+  });
+
+  test("JSON catalog provider searches, looks up games, companies and related games", async () => {
+    const provider = getMetadataProvider(metadataPath, "local");
+    expect(listMetadataProviders(metadataPath).map((p) => p.id)).toContain("local");
+
+    const byAlternativeName = await provider.search("kurono");
+    expect(byAlternativeName.map((g) => g.id)).toEqual(["ct"]);
+    expect(await provider.search("")).toEqual([]);
+    expect((await provider.getGame("ct")).summary).toBe("Catalog summary");
+    expect(await provider.getGame("missing")).toBeNull();
+    expect(await provider.getCompany(70)).toEqual({ id: 70, title: "Square" });
+    expect((await provider.getRelatedGames("ct")).map((g) => g.name)).toEqual(["Final Fantasy VI"]);
+  });
+
+  test("mergeProviderGames takes each field from the first provider in its priority list", () => {
+    const { game, fieldSources } = mergeProviderGames(
+      { default: ["fake"], summary: ["local", "fake"] },
+      [
+        { provider: "fake", game: { id: 1, name: "Fake Name", summary: "Fake summary", summaryEn: "Fake summary", genres: [] } },
+        { provider: "local", game: { id: "ct", name: "Local Name", summary: "Local summary", genres: ["RPG"] } },
+      ],
+    );
+    expect(game).toMatchObject({ id: 1, name: "Fake Name", summary: "Local summary", summaryEn: "Local summary", genres: ["RPG"] });
+    expect(fieldSources).toEqual({ name: "fake", summary: "local", genres: "local" });
+  });
+
+  test("fetchProviderGame merges registered and catalog providers and reports unknown ones", async () => {
+    registerMetadataProvider({
+      id: "fake",
+      search: async () => [],
+      getGame: async (gameId) => (gameId === "1" ? { id: 1, name: "Chrono Trigger", summary: "", cover: "https://example.test/ct.jpg" } : null),
+    });
+    saveProviderConfig(metadataPath, {
+      catalogs: [{ id: "local", label: "Local", path: "catalogs/games.json" }],
+      fieldPriority: { default: ["fake", "local"] },
+    });
+
+    const merged = await fetchProviderGame(metadataPath, { provider: "fake", gameId: "1", sources: { local: "ct" } }, {});
+    expect(merged.game).toMatchObject({ id: 1, cover: "https://example.test/ct.jpg", summary: "Catalog summary" });
+    expect(merged.fieldSources).toMatchObject({ name: "fake", cover: "fake", summary: "local", genres: "local" });
+
+    expect(await fetchProviderGame(metadataPath, { provider: "fake", gameId: "2" }, {})).toBeNull();
+    await expect(fetchProviderGame(metadataPath, { provider: "nope", gameId: "1" }, {})).rejects.toMatchObject({ status: 404 });
+    await expect(callMetadataProvider(metadataPath, "fake", "getCompany", "70", {})).rejects.toMatchObject({ status: 400 });
+  });
+
+  test("validateProviderGameRequest normalizes ids", () => {
+    expect(validateProviderGameRequest({ provider: "local", providerGameId: 12, sources: { igdb: 1942 } })).toEqual({
+      ok: true,
+      value: { provider: "local", gameId: "12", sources: { igdb: "1942" } },
+    });
+    expect(validateProviderGameRequest({ provider: "local" })).toEqual({ ok: false, error: "providerGameId is required with provider" });
+    expect(validateProviderGameRequest({ provider: "local", providerGameId: 1, sources: [] }).ok).toBe(false);
+  });
+});
@@ -0,0 +1,197 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { registerMetadataProvider, unregisterMetadataProvider } = require("../../utils/metadataProviders");
+const {
+  JOBS_DIR,
+  validateMetadataRefreshScope,
+  resolveRefreshGameIds,
+  resolveRefreshSource,
+  createMetadataRefreshJobs,
+} = require("../../utils/metadataRefreshJobs");
+const { validateSmartRules } = require("../../utils/smartCollections");
+
+const LOCAL_ID = 1700000000000;
+
+describe("metadataRefreshJobs", () => {
+  let metadataPath;
+  let allGames;
+
+  beforeEach(() => {
+    metadataPath = fs.mkdtempSync(path.join(os.tmpdir(), "mhg-refresh-jobs-"));
+    allGames = {
+      1: { id: 1, title: "Refresh One", metadataSource: { provider: "fake", id: "f1" }, platforms: [6] },
+      2: { id: 2, title: "Refresh Two", metadataSource: { provider: "fake", id: "missing" }, platforms: [] },
+      3: { id: 3, title: "Refresh Three", metadataSource: { provider: "fake", id: "boom" } },
+      [LOCAL_ID]: { id: LOCAL_ID, title: "Local Game", platforms: [6] },
+    };
+    registerMetadataProvider({
+      id: "fake",
+      search: async () => [],
+      getGame: async (gameId) => {
+        if (gameId === "boom") throw new Error("Provider exploded");
+        return gameId === "f1" ? { id: "f1", name: "Refresh One", summary: "From the fake provider" } : null;
+      },
+    });
+  });
+
+  afterEach(() => {
+    unregisterMetadataProvider("fake");
+    fs.rmSync(metadataPath, { recursive: true, force: true });
+  });
+
+  test("validateMetadataRefreshScope checks the scope and its parameters", () => {
+    expect(validateMetadataRefreshScope({})).toEqual({ ok: true, value: { scope: "all" } });
+    expect(validateMetadataRefreshScope({ scope: "everything" }).ok).toBe(false);
+    expect(validateMetadataRefreshScope({ scope: "collection" })).toEqual({
+      ok: false,
+      error: "collectionId is required with scope collection",
+    });
+    expect(validateMetadataRefreshScope({ scope: "platform", platformId: "6" })).toEqual({
+      ok: true,
+      value: { scope: "platform", platformId: 6 },
+    });
+    expect(validateMetadataRefreshScope({ scope: "stale" })).toEqual({ ok: true, value: { scope: "stale", staleDays: 30 } });
+    expect(validateMetadataRefreshScope({ scope: "stale", staleDays: -1 }).ok).toBe(false);
+  });
+
+  test("resolveRefreshGameIds filters by collection, platform and last refresh", () => {
+    fs.mkdirSync(path.join(metadataPath, "content", "collections", "9"), { recursive: true });
+    fs.writeFileSync(
+      path.join(metadataPath, "content", "collections", "9", "metadata.json"),
+      JSON.stringify({ title: "Favourites", games: [3, 1, 404] })
+    );
+    fs.mkdirSync(path.join(metadataPath, JOBS_DIR));
+    const now = Date.now();
+    fs.writeFileSync(
+      path.join(metadataPath, JOBS_DIR, "metadata-refreshed.json"),
+      JSON.stringify({ 1: now - 1000, 2: now - 40 * 24 * 60 * 60 * 1000 })
+    );
+
+    expect(resolveRefreshGameIds(metadataPath, allGames, { scope: "all" })).toEqual([1, 2, 3, LOCAL_ID]);
+    expect(resolveRefreshGameIds(metadataPath, allGames, { scope: "collection", collectionId: 9 })).toEqual([1, 3]);
+    expect(resolveRefreshGameIds(metadataPath, allGames, { scope: "collection", collectionId: 10 })).toBeNull();
+    fs.mkdirSync(path.join(metadataPath, "content", "collections", "11"), { recursive: true });
+    fs.writeFileSync(
+      path.join(metadataPath, "content", "collections", "11", "metadata.json"),
+      JSON.stringify({
+        title: "On platform 6",
+        smart: validateSmartRules({ match: "all", rules: [{ field: "platforms", op: "=", value: 6 }] }).value,
+      })
+    );
+    expect(resolveRefreshGameIds(metadataPath, allGames, { scope: "collection", collectionId: 11 })).toEqual([1, LOCAL_ID]);
+    expect(resolveRefreshGameIds(metadataPath, allGames, { scope: "platform", platformId: 6 })).toEqual([1, LOCAL_ID]);
+    expect(resolveRefreshGameIds(metadataPath, allGames, { scope: "stale", staleDays: 30 }, now)).toEqual([2, 3, LOCAL_ID]);
+  });
+
+  test("resolveRefreshSource uses metadataSource, then IGDB ids", () => {
+    expect(resolveRefreshSource(1, allGames[1])).toEqual({ provider: "fake", gameId: "f1" });
+    expect(resolveRefreshSource(1942, { title: "The Witcher 3" })).toEqual({ provider: "igdb", gameId: "1942" });
+    expect(resolveRefreshSource(LOCAL_ID, allGames[LOCAL_ID])).toBeNull();
+  });
+
+  test("runs a job through mergeCatalogMetadata and records per-game results", async () => {
+    const mergeCatalogMetadata = jest.fn(async () => ({ status: "merged" }));
+    const jobs = createMetadataRefreshJobs({ metadataPath, allGames, mergeCatalogMetadata });
+
+    const started = jobs.startJob({ scope: "all" }, { locale: "it" });
+    expect(started).toMatchObject({ status: "queued", total: 4, processed: 0 });
+    await jobs.idle();
+
+    const job = jobs.getJob(started.id);
+    expect(job).toMatchObject({ status: "completed", processed: 4, counts: { merged: 1, unchanged: 0, skipped: 2, failed: 1 } });
+    expect(job.results).toEqual({
+      1: { status: "merged", provider: "fake" },
+      2: { status: "skipped", provider: "fake", error: "Catalog game not found" },
+      3: { status: "failed", provider: "fake", error: "Provider exploded" },
+      [LOCAL_ID]: { status: "skipped", error: "No catalog source" },
+    });
+    expect(mergeCatalogMetadata).toHaveBeenCalledWith(1, expect.objectContaining({ summary: "From the fake provider" }), "it");
+    expect(resolveRefreshGameIds(metadataPath, allGames, { scope: "stale", staleDays: 30 })).toEqual([2, 3, LOCAL_ID]);
+    expect(jobs.listJobs()).toEqual([expect.objectContaining({ id: started.id, status: "completed", percent: 100 })]);
+  });
+
+  test("resumes interrupted jobs after a restart, skipping games with results", async () => {
+    const first = createMetadataRefreshJobs({ metadataPath, allGames, mergeCatalogMetadata: async () => ({ status: "unchanged" }) });
+    const started = first.startJob({ scope: "platform", platformId: 6 }, { locale: "en" });
+    expect(started).toMatchObject({ credentials: "stored" });
+    await first.idle();
+
+    // Rewrite the record as a job interrupted after its first game
+    const file = path.join(metadataPath, JOBS_DIR, `${started.id}.json`);
+    const stored = JSON.parse(fs.readFileSync(file, "utf8"));
+    fs.writeFileSync(
+      file,
+      JSON.stringify({
+        ...stored,
+        status: "running",
+        finishedAt: null,
+        processed: 1,
+        counts: { merged: 0, unchanged: 1, skipped: 0, failed: 0 },
+        results: { 1: stored.results[1] },
+      })
+    );
+
+    const mergeCatalogMetadata = jest.fn(async () => ({ status: "merged" }));
+    const restarted = createMetadataRefreshJobs({ metadataPath, allGames, mergeCatalogMetadata });
+    expect(restarted.resumeJobs()).toBe(1);
+    await restarted.idle();
+
+    expect(mergeCatalogMetadata).not.toHaveBeenCalled();
+    expect(restarted.getJob(started.id)).toMatchObject({
+      status: "completed",
+      processed: 2,
+      counts: { unchanged: 1, skipped: 1 },
+    });
+  });
+
+  test("fails a resumed job whose credentials came with the request", async () => {
+    const ctx = { req: { header: () => "from-request" } };
+    const first = createMetadataRefreshJobs({ metadataPath, allGames, mergeCatalogMetadata: async () => ({ status: "unchanged" }) });
+    const started = first.startJob({ scope: "all" }, { locale: "en", ctx });
+    expect(started).toMatchObject({ credentials: "request" });
+    await first.idle();
+
+    const file = path.join(metadataPath, JOBS_DIR, `${started.id}.json`);
+    const stored = JSON.parse(fs.readFileSync(file, "utf8"));
+    fs.writeFileSync(file, JSON.stringify({ ...stored, status: "queued", finishedAt: null, processed: 0, results: {} }));
+
+    const mergeCatalogMetadata = jest.fn(async () => ({ status: "merged" }));
+    const restarted = createMetadataRefreshJobs({ metadataPath, allGames, mergeCatalogMetadata });
+    expect(restarted.resumeJobs()).toBe(1);
+    await restarted.idle();
+
+    expect(mergeCatalogMetadata).not.toHaveBeenCalled();
+    expect(restarted.getJob(started.id)).toMatchObject({
+      status: "failed",
+      processed: 0,
+      error: "Restart the refresh: the Twitch credentials sent with the request are not kept across restarts",
+    });
+  });
+
+  test("cancels queued jobs and stops running ones", async () => {
+    let release;
+    const gate = new Promise((resolve) => {
+      release = resolve;
+    });
+    const jobs = createMetadataRefreshJobs({
+      metadataPath,
+      allGames,
+      mergeCatalogMetadata: () => gate.then(() => ({ status: "merged" })),
+    });
+    const running = jobs.startJob({ scope: "all" }, { locale: "en" });
+    const queued = jobs.startJob({ scope: "all" }, { locale: "en" });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(jobs.cancelJob(queued.id)).toMatchObject({ status: "cancelled" });
+    jobs.cancelJob(running.id);
+    release();
+    await jobs.idle();
+
+    expect(jobs.getJob(running.id)).toMatchObject({ status: "cancelled", processed: 1 });
+    expect(jobs.getJob(queued.id)).toMatchObject({ status: "cancelled", processed: 0 });
+    expect(jobs.cancelJob("not-a-job")).toBeNull();
+  });
+});
@@ -5,9 +5,13 @@ const {
   TWITCH_OAUTH_SESSIONS_FILE,
   TWITCH_APP_CREDENTIALS_FILE,
   CLOUDFLARE_TUNNEL_RUN_FILE,
+  USER_ACCOUNTS_FILE,
+  AUTH_SESSIONS_FILE,
   twitchOAuthSessionsPath,
   twitchAppCredentialsPath,
   cloudflareTunnelRunPath,
+  userAccountsPath,
+  authSessionsPath,
 } = require("../../utils/metadataTokenPaths");
 
 describe("metadataTokenPaths", () => {
@@ -30,4 +34,9 @@ describe("metadataTokenPaths", () => {
       path.join(metadataPath, CLOUDFLARE_TUNNEL_RUN_FILE),
     );
   });
+
+  it("resolves user accounts and auth sessions under tokens/", () => {
+    expect(userAccountsPath(metadataPath)).toBe(path.join(metadataPath, USER_ACCOUNTS_FILE));
+    expect(authSessionsPath(metadataPath)).toBe(path.join(metadataPath, AUTH_SESSIONS_FILE));
+  });
 });
@@ -0,0 +1,68 @@
+"use strict";
+
+const {
+  PERMISSIONS,
+  resolveUserRole,
+  hasPermission,
+  getGameMinimumAge,
+  resolveContentFilter,
+  isGameAllowedByContentFilter,
+  validateParentalSettingsPatch,
+} = require("../../utils/permissions");
+
+describe("permissions", () => {
+  const originalAnonymousRole = process.env.ANONYMOUS_ROLE;
+
+  afterEach(() => {
+    if (originalAnonymousRole === undefined) delete process.env.ANONYMOUS_ROLE;
+    else process.env.ANONYMOUS_ROLE = originalAnonymousRole;
+  });
+
+  it("resolves roles for dev, account and anonymous callers", () => {
+    expect(resolveUserRole({ userId: "dev", isDev: true })).toBe("admin");
+    expect(resolveUserRole({ userId: "u1", role: "kid" })).toBe("kid");
+    expect(resolveUserRole({ userId: "u2" })).toBe("player");
+    expect(resolveUserRole(null)).toBe("admin");
+    process.env.ANONYMOUS_ROLE = "kid";
+    expect(resolveUserRole(null)).toBe("kid");
+  });
+
+  it("grants permission sets per role", () => {
+    const player = { userId: "p", role: "player" };
+    const kid = { userId: "k", role: "kid" };
+    expect(hasPermission(player, PERMISSIONS.EDIT_LIBRARY)).toBe(true);
+    expect(hasPermission(player, PERMISSIONS.DELETE_GAMES)).toBe(false);
+    expect(hasPermission(player, PERMISSIONS.MANAGE_SCRIPTS)).toBe(false);
+    expect(hasPermission(kid, PERMISSIONS.LAUNCH_GAMES)).toBe(true);
+    expect(hasPermission(kid, PERMISSIONS.EDIT_LIBRARY)).toBe(false);
+  });
+
+  it("uses the most restrictive age rating of a game", () => {
+    // PEGI 7 + ESRB M
+    expect(getGameMinimumAge({ ageRatings: [{ category: 2, rating: 9 }, { category: 1, rating: 6 }] })).toBe(17);
+    expect(getGameMinimumAge({ ageRatings: [{ category: 1, rating: 1 }] })).toBeNull();
+    expect(getGameMinimumAge({})).toBeNull();
+  });
+
+  it("filters games for kid profiles only", () => {
+    const settings = () => ({ kidMaxAge: 10 });
+    expect(resolveContentFilter({ role: "player" }, settings)).toBeNull();
+    expect(resolveContentFilter({ role: "kid" }, settings)).toEqual({ maxAge: 10, allowUnrated: false });
+    expect(resolveContentFilter({ role: "kid", maxAge: 16 }, settings)).toEqual({ maxAge: 16, allowUnrated: false });
+
+    const filter = { maxAge: 12, allowUnrated: false };
+    expect(isGameAllowedByContentFilter({ ageRatings: [{ category: 2, rating: 10 }] }, filter)).toBe(true);
+    expect(isGameAllowedByContentFilter({ ageRatings: [{ category: 2, rating: 11 }] }, filter)).toBe(false);
+    expect(isGameAllowedByContentFilter({}, filter)).toBe(false);
+    expect(isGameAllowedByContentFilter({}, { ...filter, allowUnrated: true })).toBe(true);
+    expect(isGameAllowedByContentFilter({}, null)).toBe(true);
+  });
+
+  it("validates parental settings", () => {
+    expect(validateParentalSettingsPatch({ kidMaxAge: "7", kidAllowUnrated: 1 })).toEqual({
+      ok: true,
+      value: { kidMaxAge: 7, kidAllowUnrated: false },
+    });
+    expect(validateParentalSettingsPatch({ kidMaxAge: -1 }).ok).toBe(false);
+  });
+});
@@ -0,0 +1,80 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  personalUserKey,
+  personalStateFilePath,
+  getPersonalGameState,
+  validatePersonalStatePatch,
+  updatePersonalGameState,
+  deletePersonalGameState,
+  deletePersonalStatesForUser,
+} = require("../../utils/personalGameState");
+
+describe("personalGameState", () => {
+  let metadataPath;
+
+  beforeEach(() => {
+    metadataPath = path.join(os.tmpdir(), `mhg-personal-${Date.now()}-${Math.random().toString(16).slice(2)}`);
+    fs.mkdirSync(metadataPath, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(metadataPath, { recursive: true, force: true });
+  });
+
+  test("personalUserKey falls back to anonymous", () => {
+    expect(personalUserKey({ userId: "dev" })).toBe("dev");
+    expect(personalUserKey(null)).toBe("anonymous");
+    expect(personalUserKey({ userId: "../etc" })).toBe("anonymous");
+  });
+
+  test("returns defaults for games without state", () => {
+    expect(getPersonalGameState(metadataPath, "u1", 7)).toEqual({
+      favorite: false,
+      rating: null,
+      status: "unplayed",
+      notes: "",
+      updatedAt: null,
+    });
+  });
+
+  test("stores state per user and merges partial updates", () => {
+    updatePersonalGameState(metadataPath, "u1", 7, { favorite: true, rating: 4.5 });
+    const state = updatePersonalGameState(metadataPath, "u1", 7, { status: "playing", notes: "Chapter 3" });
+    expect(state).toMatchObject({ favorite: true, rating: 4.5, status: "playing", notes: "Chapter 3" });
+    expect(getPersonalGameState(metadataPath, "u2", 7).favorite).toBe(false);
+
+    const file = JSON.parse(fs.readFileSync(personalStateFilePath(metadataPath, "u1"), "utf8"));
+    expect(file.games["7"].status).toBe("playing");
+  });
+
+  test("drops entries reset to defaults and deleted games or users", () => {
+    updatePersonalGameState(metadataPath, "u1", 7, { favorite: true });
+    updatePersonalGameState(metadataPath, "u1", 8, { favorite: true });
+    updatePersonalGameState(metadataPath, "u1", 7, { favorite: false });
+    let file = JSON.parse(fs.readFileSync(personalStateFilePath(metadataPath, "u1"), "utf8"));
+    expect(Object.keys(file.games)).toEqual(["8"]);
+
+    deletePersonalGameState(metadataPath, 8);
+    expect(getPersonalGameState(metadataPath, "u1", 8).favorite).toBe(false);
+
+    updatePersonalGameState(metadataPath, "u1", 9, { notes: "x" });
+    deletePersonalStatesForUser(metadataPath, "u1");
+    expect(fs.existsSync(personalStateFilePath(metadataPath, "u1"))).toBe(false);
+  });
+
+  test("validatePersonalStatePatch", () => {
+    expect(validatePersonalStatePatch({ rating: 3.7 })).toEqual({ ok: true, value: { rating: 3.5 } });
+    expect(validatePersonalStatePatch({ status: null, notes: null })).toEqual({
+      ok: true,
+      value: { status: "unplayed", notes: "" },
+    });
+    expect(validatePersonalStatePatch({ rating: 6 }).ok).toBe(false);
+    expect(validatePersonalStatePatch({ status: "wishlist" }).ok).toBe(false);
+    expect(validatePersonalStatePatch({ favorite: "yes" }).ok).toBe(false);
+    expect(validatePersonalStatePatch({ stars: 5 })).toEqual({ ok: false, error: "No valid fields to update" });
+  });
+});
@@ -0,0 +1,162 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  playSessionsFilePath,
+  loadPlaySessions,
+  startPlaySession,
+  touchPlaySession,
+  endPlaySession,
+  listOpenPlaySessions,
+  getPlaySessionSummary,
+  toPlaySessionResponse,
+  deletePlaySessions,
+  onPlaySessionsChange,
+} = require("../../utils/playSessions");
+const { spawn } = require("child_process");
+const { openLaunchLog, readLaunchLog } = require("../../utils/launchLogs");
+const { saveGameHooks } = require("../../utils/launchHooks");
+const { getRunningGame } = require("../../utils/runningGames");
+const { resumePlaySessions, isLaunchedGameRunning, watchLaunchedGame } = require("../../utils/gameLauncher");
+
+const unixOnly = process.platform === "win32" ? it.skip : it;
+
+describe("playSessions", () => {
+  let metadataPath;
+
+  beforeEach(() => {
+    metadataPath = path.join(os.tmpdir(), `mhg-play-sessions-${Date.now()}`);
+    fs.mkdirSync(path.join(metadataPath, "content", "games", "7"), { recursive: true });
+  });
+
+  afterEach(() => {
+    if (metadataPath && fs.existsSync(metadataPath)) {
+      fs.rmSync(metadataPath, { recursive: true, force: true });
+    }
+  });
+
+  it("records an open session under the game folder", () => {
+    const session = startPlaySession(metadataPath, 7, {
+      executableName: "Play",
+      pid: 4242,
+      fullCommandPath: "/tmp/fake-game.sh",
+      source: "launcher",
+    });
+
+    expect(fs.existsSync(playSessionsFilePath(metadataPath, 7))).toBe(true);
+    expect(loadPlaySessions(metadataPath, 7)).toHaveLength(1);
+    expect(session.endedAt).toBeNull();
+    expect(toPlaySessionResponse(session)).toEqual({
+      id: session.id,
+      startedAt: session.startedAt,
+      endedAt: null,
+      duration: null,
+      active: true,
+      executableName: "Play",
+      source: "launcher",
+      userId: null,
+    });
+    expect(listOpenPlaySessions(metadataPath)).toEqual([
+      { gameId: 7, session: expect.objectContaining({ id: session.id }) },
+    ]);
+  });
+
+  it("closes sessions and sums playtime", () => {
+    const first = startPlaySession(metadataPath, 7, { executableName: "Play" });
+    endPlaySession(metadataPath, 7, first.id, new Date(Date.parse(first.startedAt) + 90_000));
+    const second = startPlaySession(metadataPath, 7, { executableName: "Play" });
+    endPlaySession(metadataPath, 7, second.id, new Date(Date.parse(second.startedAt) + 30_000));
+
+    const summary = getPlaySessionSummary(metadataPath, 7);
+    expect(summary.totalPlaytime).toBe(120);
+    expect(summary.lastPlayed).toBe(second.startedAt);
+    expect(listOpenPlaySessions(metadataPath)).toEqual([]);
+    // Closing twice is a no-op
+    expect(endPlaySession(metadataPath, 7, first.id)).toBeNull();
+  });
+
+  it("returns an empty summary for games never played", () => {
+    expect(getPlaySessionSummary(metadataPath, 7)).toEqual({ lastPlayed: null, totalPlaytime: 0 });
+  });
+
+  it("notifies listeners and refreshes the cached summary on changes", () => {
+    const changed = [];
+    const unsubscribe = onPlaySessionsChange((gameId) => changed.push(gameId));
+    try {
+      expect(getPlaySessionSummary(metadataPath, 7).lastPlayed).toBeNull();
+      const session = startPlaySession(metadataPath, 7, {});
+      expect(getPlaySessionSummary(metadataPath, 7).lastPlayed).toBe(session.startedAt);
+      deletePlaySessions(metadataPath, 7);
+      expect(getPlaySessionSummary(metadataPath, 7).lastPlayed).toBeNull();
+      expect(changed).toEqual([7, 7]);
+    } finally {
+      unsubscribe();
+    }
+  });
+
+  it("does not recreate the game folder after it was removed", () => {
+    const session = startPlaySession(metadataPath, 7, {});
+    fs.rmSync(path.join(metadataPath, "content", "games", "7"), { recursive: true, force: true });
+    expect(endPlaySession(metadataPath, 7, session.id)).toBeNull();
+    expect(touchPlaySession(metadataPath, 7, session.id)).toBeNull();
+    expect(fs.existsSync(path.join(metadataPath, "content", "games", "7"))).toBe(false);
+  });
+
+  it("closes stale sessions at their last heartbeat on resume", async () => {
+    const session = startPlaySession(metadataPath, 7, {
+      pid: 999999,
+      fullCommandPath: path.join(metadataPath, "missing.sh"),
+    });
+    await expect(isLaunchedGameRunning(session)).resolves.toBe(false);
+
+    await expect(resumePlaySessions(metadataPath)).resolves.toEqual({ resumed: 0, closed: 1 });
+    const [closed] = loadPlaySessions(metadataPath, 7);
+    expect(closed.endedAt).toBe(session.lastSeenAt);
+    expect(closed.duration).toBe(0);
+  });
+
+  it("polls every watched launch from one shared loop", async () => {
+    jest.useFakeTimers();
+    try {
+      const exited = [];
+      watchLaunchedGame({ pid: 999998 }, { onExit: () => exited.push("first") });
+      watchLaunchedGame({ pid: 999999 }, { onExit: () => exited.push("second") });
+      const stopped = watchLaunchedGame({ pid: 999997 }, { onExit: () => exited.push("stopped") });
+      stopped.stop();
+      expect(jest.getTimerCount()).toBe(1);
+
+      await jest.advanceTimersByTimeAsync(5000);
+      expect(exited).toEqual(["first", "second"]);
+      expect(jest.getTimerCount()).toBe(0);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  unixOnly("runs the post-exit hooks of a session resumed after a restart", async () => {
+    const child = spawn("sleep", ["30"], { stdio: "ignore" });
+    await new Promise((resolve) => child.once("spawn", resolve));
+    const launchId = "4b7c2a6e-1f3d-4c8a-9e2b-7d5f6a1c3e90";
+    fs.closeSync(openLaunchLog(metadataPath, 7, { launchId, executableName: "Play" }));
+    saveGameHooks(metadataPath, 7, {
+      pre: [],
+      post: [{ name: "sync", command: "/bin/sh", args: ["-c", "echo \"sync $MHG_LAUNCH_ID\""], timeoutSeconds: 10 }],
+    });
+    startPlaySession(metadataPath, 7, { launchId, executableName: "Play", pid: child.pid });
+
+    await expect(resumePlaySessions(metadataPath)).resolves.toEqual({ resumed: 1, closed: 0 });
+    expect(getRunningGame(launchId)).toMatchObject({ state: "running", gameId: 7 });
+    child.kill("SIGKILL");
+
+    let log;
+    for (let attempt = 0; attempt < 100 && !(log && log.postHooks); attempt++) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      log = readLaunchLog(metadataPath, 7, launchId);
+    }
+    expect(log.postHooks).toEqual([expect.objectContaining({ name: "sync", ok: true, output: `sync ${launchId}\n` })]);
+    expect(getRunningGame(launchId).state).toBe("exited");
+    expect(listOpenPlaySessions(metadataPath)).toEqual([]);
+  }, 15000);
+});
@@ -0,0 +1,143 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const AdmZip = require("adm-zip");
+const {
+  importDat,
+  listDats,
+  deleteDat,
+  hashRomFile,
+  identifyRoms,
+  listIdentifiedFiles,
+  getGameRomIdentification,
+  getCompletenessReport,
+} = require("../../utils/romIdentification");
+
+function sha1(content) {
+  return crypto.createHash("sha1").update(content).digest("hex");
+}
+
+function romXml(name, content, extra = "") {
+  return `<rom name="${name}.sfc" size="${Buffer.byteLength(content)}" sha1="${sha1(content)}"${extra}/>`;
+}
+
+describe("romIdentification", () => {
+  let metadataPath;
+  let romsDir;
+
+  function writeGame(gameId, profile) {
+    const scriptsDir = path.join(metadataPath, "content", "games", String(gameId), "scripts");
+    fs.mkdirSync(scriptsDir, { recursive: true });
+    fs.writeFileSync(path.join(metadataPath, "content", "games", String(gameId), "metadata.json"), JSON.stringify({ title: `Game ${gameId}` }));
+    fs.writeFileSync(path.join(scriptsDir, "01-play-19.json"), JSON.stringify(profile));
+  }
+
+  function writeRom(name, content) {
+    const filePath = path.join(romsDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  }
+
+  beforeEach(() => {
+    metadataPath = fs.mkdtempSync(path.join(os.tmpdir(), "mhg-rom-id-"));
+    romsDir = fs.mkdtempSync(path.join(os.tmpdir(), "mhg-rom-id-roms-"));
+    const dat = `<?xml version="1.0"?>
+<datafile>
+  <header><name>Nintendo - SNES</name><version>1</version></header>
+  <game name="Alpha (USA)">${romXml("Alpha (USA)", "alpha")}</game>
+  <game name="Beta (Europe)">${romXml("Beta (Europe)", "beta", ' status="baddump"')}</game>
+  <game name="Gamma (Japan)">${romXml("Gamma (Japan)", "gamma")}</game>
+  <game name="Delta (USA)"><rom name="Delta (USA).sfc" size="0" status="nodump"/></game>
+</datafile>`;
+    expect(importDat(metadataPath, Buffer.from(dat), { platformId: 19 }).ok).toBe(true);
+  });
+
+  afterEach(() => {
+    fs.rmSync(metadataPath, { recursive: true, force: true });
+    fs.rmSync(romsDir, { recursive: true, force: true });
+  });
+
+  test("importDat stores DATs by name, unpacks zips (from a buffer or a file) and replaces re-imports", () => {
+    expect(listDats(metadataPath)).toEqual([
+      expect.objectContaining({ id: "nintendo-snes", name: "Nintendo - SNES", version: "1", platformId: 19, games: 4 }),
+    ]);
+
+    const zip = new AdmZip();
+    zip.addFile("Nintendo - SNES (20240101).dat", Buffer.from(`clrmamepro ( name "Nintendo - SNES" version 2 )
+game ( name "Alpha (USA)" rom ( name "Alpha (USA).sfc" size 5 crc 01234567 ) )`));
+    const upload = path.join(romsDir, "upload.zip");
+    zip.writeZip(upload);
+    const reimported = importDat(metadataPath, upload, { platformId: 19 });
+    expect(reimported).toEqual({ ok: true, value: expect.objectContaining({ id: "nintendo-snes", version: "2", games: 1 }) });
+    expect(listDats(metadataPath)).toHaveLength(1);
+
+    expect(importDat(metadataPath, Buffer.from("<datafile></datafile>"))).toEqual({ ok: false, error: "DAT file has no games" });
+    expect(deleteDat(metadataPath, "nintendo-snes")).toBe(true);
+    expect(deleteDat(metadataPath, "../settings")).toBe(false);
+    expect(listDats(metadataPath)).toEqual([]);
+  });
+
+  test("hashRomFile computes CRC32 and SHA1, per entry for zips", async () => {
+    const plain = writeRom("check.bin", "123456789");
+    expect(await hashRomFile(plain)).toEqual([
+      { name: "check.bin", size: 9, crc: "cbf43926", sha1: sha1("123456789") },
+    ]);
+
+    const large = Buffer.alloc(256 * 1024, "rom data ");
+    const zip = new AdmZip();
+    zip.addFile("inner.sfc", Buffer.from("123456789"));
+    zip.addFile("disc/", Buffer.alloc(0));
+    zip.addFile("disc/track.bin", large);
+    const zipped = path.join(romsDir, "packed.zip");
+    zip.writeZip(zipped);
+    expect(await hashRomFile(zipped)).toEqual([
+      { name: "disc/track.bin", size: large.length, crc: "851feed5", sha1: sha1(large) },
+      { name: "inner.sfc", size: 9, crc: "cbf43926", sha1: sha1("123456789") },
+    ]);
+  });
+
+  test("identifyRoms tags game ROMs with title, region and dump status", async () => {
+    writeGame(1, { type: "emulator", emulator: null, platformId: 19, rom: writeRom("alpha.sfc", "alpha"), config: null });
+    writeGame(2, { type: "emulator", emulator: null, platformId: 19, rom: writeRom("beta.sfc", "beta"), config: null });
+    writeGame(3, { type: "emulator", emulator: null, platformId: 19, rom: writeRom("homebrew.sfc", "homebrew"), config: null });
+
+    const summary = await identifyRoms(metadataPath);
+    expect(summary).toMatchObject({ files: 3, hashed: 3, identified: 1, badDumps: 1, unknown: 1, errors: [] });
+    expect(getGameRomIdentification(metadataPath, 1)).toEqual([{
+      path: path.join(romsDir, "alpha.sfc"),
+      datId: "nintendo-snes",
+      datName: "Nintendo - SNES",
+      platformId: 19,
+      title: "Alpha (USA)",
+      region: "USA",
+      status: "verified",
+      romName: "Alpha (USA).sfc",
+    }]);
+    expect(getGameRomIdentification(metadataPath, 2)[0]).toMatchObject({ title: "Beta (Europe)", status: "bad-dump" });
+    expect(getGameRomIdentification(metadataPath, 3)[0]).toMatchObject({ status: "unknown", title: null });
+    expect(getGameRomIdentification(metadataPath, 4)).toBeNull();
+    expect(listIdentifiedFiles(metadataPath).map((file) => file.gameIds)).toEqual([[1], [2], [3]]);
+
+    const again = await identifyRoms(metadataPath);
+    expect(again).toMatchObject({ files: 3, hashed: 0, identified: 1 });
+    expect((await identifyRoms(metadataPath, { force: true })).hashed).toBe(3);
+  });
+
+  test("getCompletenessReport lists DAT entries missing from the library", async () => {
+    writeGame(1, { type: "emulator", emulator: null, platformId: 19, rom: writeRom("alpha.sfc", "alpha"), config: null });
+    await identifyRoms(metadataPath);
+
+    expect(getCompletenessReport(metadataPath, { platformId: 19 })).toEqual([{
+      datId: "nintendo-snes",
+      name: "Nintendo - SNES",
+      platformId: 19,
+      total: 3,
+      owned: 1,
+      missing: [{ name: "Beta (Europe)", region: "Europe" }, { name: "Gamma (Japan)", region: "Japan" }],
+    }]);
+    expect(getCompletenessReport(metadataPath, { platformId: 4 })).toEqual([]);
+  });
+});
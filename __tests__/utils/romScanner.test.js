@@ -0,0 +1,152 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  normalizeRomTitle,
+  validateScanRoots,
+  saveScanRoots,
+  listTrackedFiles,
+  scanRomRoots,
+  queueIgdbMatches,
+} = require("../../utils/romScanner");
+
+describe("romScanner", () => {
+  let metadataPath;
+  let romsDir;
+
+  function writeRom(relPath, content = "rom") {
+    const filePath = path.join(romsDir, relPath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  }
+
+  function readProfile(gameId) {
+    const scriptsDir = path.join(metadataPath, "content", "games", String(gameId), "scripts");
+    const [fileName] = fs.readdirSync(scriptsDir);
+    return { fileName, profile: JSON.parse(fs.readFileSync(path.join(scriptsDir, fileName), "utf8")) };
+  }
+
+  beforeEach(() => {
+    metadataPath = fs.mkdtempSync(path.join(os.tmpdir(), "mhg-rom-scanner-"));
+    romsDir = fs.mkdtempSync(path.join(os.tmpdir(), "mhg-roms-"));
+    saveScanRoots(metadataPath, validateScanRoots({ roots: [{ id: "snes", path: romsDir, platformId: 19 }] }).value.roots);
+  });
+
+  afterEach(() => {
+    fs.rmSync(metadataPath, { recursive: true, force: true });
+    fs.rmSync(romsDir, { recursive: true, force: true });
+  });
+
+  test("normalizeRomTitle strips tags and moves trailing articles", () => {
+    expect(normalizeRomTitle("/roms/Super Metroid (Japan, USA) (En,Ja).sfc")).toBe("Super Metroid");
+    expect(normalizeRomTitle("Chrono Trigger (USA) (Rev 1) [!].smc")).toBe("Chrono Trigger");
+    expect(normalizeRomTitle("Legend of Zelda, The - A Link to the Past (USA).sfc")).toBe(
+      "The Legend of Zelda - A Link to the Past",
+    );
+    expect(normalizeRomTitle("street_fighter_ii.zip")).toBe("street fighter ii");
+    expect(normalizeRomTitle("(Unknown).nes")).toBe("(Unknown)");
+  });
+
+  test("validateScanRoots checks paths, ids and targets", () => {
+    expect(validateScanRoots({ roots: [{ path: "/roms/Sega Genesis", platformId: "29" }] })).toEqual({
+      ok: true,
+      value: {
+        roots: [{ id: "sega-genesis", path: "/roms/Sega Genesis", platformId: 29, emulator: null, extensions: null, recursive: true }],
+      },
+    });
+    expect(validateScanRoots({ roots: [{ path: "roms", platformId: 19 }] }).ok).toBe(false);
+    expect(validateScanRoots({ roots: [{ path: "/roms/snes" }] }).ok).toBe(false);
+    expect(validateScanRoots({ roots: [{ path: "/roms/snes", platformId: 19, extensions: [] }] }).ok).toBe(false);
+    expect(validateScanRoots({
+      roots: [{ id: "a", path: "/roms/a", platformId: 1 }, { id: "a", path: "/roms/b", platformId: 2 }],
+    })).toEqual({ ok: false, error: "Duplicate root id: a" });
+  });
+
+  test("creates games with emulator profiles and rescans idempotently", async () => {
+    const romPath = writeRom("Super Metroid (USA).sfc");
+    writeRom("readme.txt");
+    writeRom(".hidden/Other (USA).sfc");
+
+    const first = await scanRomRoots(metadataPath);
+    expect(first.added).toEqual([{ path: romPath, gameId: expect.any(Number), title: "Super Metroid" }]);
+    const { gameId } = first.added[0];
+    const meta = JSON.parse(fs.readFileSync(path.join(metadataPath, "content", "games", String(gameId), "metadata.json"), "utf8"));
+    expect(meta.title).toBe("Super Metroid");
+    expect(readProfile(gameId)).toEqual({
+      fileName: "01-play-19.json",
+      profile: { type: "emulator", emulator: null, platformId: 19, rom: romPath, config: null },
+    });
+
+    const second = await scanRomRoots(metadataPath);
+    expect(second).toMatchObject({ added: [], moved: [], missing: [], unchanged: 1, ignored: 0 });
+  });
+
+  test("a multi-disc set listed by an .m3u becomes one game", async () => {
+    saveScanRoots(metadataPath, validateScanRoots({ roots: [{ id: "psx", path: romsDir, platformId: 7 }] }).value.roots);
+    const playlist = writeRom("Final Fantasy VII (USA).m3u", "discs/Final Fantasy VII (USA) (Disc 1).cue\r\n#comment\nFinal Fantasy VII (USA) (Disc 2).cue\n");
+    writeRom("discs/Final Fantasy VII (USA) (Disc 1).cue");
+    writeRom("Final Fantasy VII (USA) (Disc 2).cue");
+    const single = writeRom("Vagrant Story (USA).cue");
+
+    const report = await scanRomRoots(metadataPath);
+    expect(report.added.map((file) => file.path)).toEqual([playlist, single]);
+    expect(report.added[0].title).toBe("Final Fantasy VII");
+  });
+
+  test("reports moved and missing files and skips games deleted by hand", async () => {
+    const moving = writeRom("Chrono Trigger (USA).sfc", "chrono");
+    const vanishing = writeRom("F-Zero (USA).sfc", "fzero");
+    const deleted = writeRom("Pilotwings (USA).sfc", "pilot");
+    const first = await scanRomRoots(metadataPath);
+    const idOf = (p) => first.added.find((f) => f.path === p).gameId;
+
+    const moved = path.join(romsDir, "rpg", "Chrono Trigger (USA).sfc");
+    fs.mkdirSync(path.dirname(moved));
+    fs.renameSync(moving, moved);
+    fs.unlinkSync(vanishing);
+    fs.rmSync(path.join(metadataPath, "content", "games", String(idOf(deleted))), { recursive: true });
+
+    const second = await scanRomRoots(metadataPath);
+    expect(second.added).toEqual([]);
+    expect(second.moved).toEqual([{ from: moving, to: moved, gameId: idOf(moving) }]);
+    expect(second.missing).toEqual([{ path: vanishing, gameId: idOf(vanishing) }]);
+    expect(second.ignored).toBe(1);
+    expect(readProfile(idOf(moving)).profile.rom).toBe(moved);
+    expect(fs.existsSync(path.join(metadataPath, "content", "games", String(idOf(vanishing))))).toBe(true);
+
+    const third = await scanRomRoots(metadataPath);
+    expect(third).toMatchObject({ added: [], moved: [], missing: [{ path: vanishing }], unchanged: 1, ignored: 1 });
+  });
+
+  test("an unavailable root is reported without marking its files missing", async () => {
+    writeRom("Super Metroid (USA).sfc");
+    await scanRomRoots(metadataPath);
+    fs.rmSync(romsDir, { recursive: true, force: true });
+
+    const report = await scanRomRoots(metadataPath);
+    expect(report.errors).toEqual([{ rootId: "snes", error: "Root folder not found" }]);
+    expect(report.missing).toEqual([]);
+    expect(listTrackedFiles(metadataPath)[0].missing).toBe(false);
+  });
+
+  test("queueIgdbMatches stores candidates per file", async () => {
+    writeRom("Super Metroid (USA).sfc");
+    writeRom("Mario Kart (USA).sfc");
+    const report = await scanRomRoots(metadataPath);
+    const search = async (title) => (title === "Super Metroid"
+      ? [{ id: 1103, name: "Super Metroid", first_release_date: 764985600 }, { id: 1, name: "Metroid" }]
+      : [{ id: 2, name: "Super Mario Kart" }, { id: 3, name: "Mario Kart 64" }]);
+
+    await queueIgdbMatches(metadataPath, report.added.map((f) => f.path), search);
+    const byTitle = Object.fromEntries(listTrackedFiles(metadataPath).map((f) => [f.title, f.igdb]));
+    expect(byTitle["Super Metroid"]).toMatchObject({
+      status: "matched",
+      candidates: [{ id: 1103, name: "Super Metroid", year: 1994 }],
+    });
+    expect(byTitle["Mario Kart"]).toMatchObject({ status: "ambiguous" });
+    expect(byTitle["Mario Kart"].candidates).toHaveLength(2);
+  });
+});
@@ -0,0 +1,42 @@
+"use strict";
+
+const {
+  registerRunningGame,
+  markRunningGameEnded,
+  getRunningGame,
+  listRunningGames,
+  toRunningGameResponse,
+  resetRunningGames,
+} = require("../../utils/runningGames");
+
+describe("runningGames", () => {
+  beforeEach(() => resetRunningGames());
+
+  test("registers launches as running and lists them newest first", () => {
+    const a = registerRunningGame({ gameId: 1, pid: 100, executableName: "Play", startedAt: "2026-01-01T00:00:00.000Z" });
+    const b = registerRunningGame({ gameId: "2", pid: 200, source: "streaming", startedAt: "2026-01-02T00:00:00.000Z" });
+    expect(a).toMatchObject({ gameId: 1, pid: 100, state: "running", source: "launcher", endedAt: null });
+    expect(listRunningGames().map((e) => e.launchId)).toEqual([b.launchId, a.launchId]);
+    expect(listRunningGames({ gameId: 2 }).map((e) => e.launchId)).toEqual([b.launchId]);
+  });
+
+  test("ended launches leave the running list but stay queryable", () => {
+    const launch = registerRunningGame({ gameId: 1, pid: 100, fullCommandPath: "/games/1/play.sh" });
+    markRunningGameEnded(launch.launchId, "stopped");
+    expect(listRunningGames()).toEqual([]);
+    expect(listRunningGames({ includeFinished: true })[0]).toMatchObject({ state: "stopped" });
+    // a later exit notification does not overwrite the stop
+    markRunningGameEnded(launch.launchId);
+    expect(getRunningGame(launch.launchId).state).toBe("stopped");
+    expect(toRunningGameResponse(launch)).not.toHaveProperty("fullCommandPath");
+  });
+
+  test("keeps a bounded history of finished launches", () => {
+    for (let i = 0; i < 60; i++) {
+      markRunningGameEnded(registerRunningGame({ gameId: i }).launchId);
+    }
+    registerRunningGame({ gameId: 999 });
+    expect(listRunningGames({ includeFinished: true })).toHaveLength(51);
+    expect(listRunningGames()).toHaveLength(1);
+  });
+});
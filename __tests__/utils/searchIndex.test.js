@@ -0,0 +1,77 @@
+"use strict";
+
+const {
+  tokenize,
+  boundedLevenshtein,
+  createSearchIndex,
+  findHighlightRanges,
+  buildHighlight,
+} = require("../../utils/searchIndex");
+
+describe("searchIndex", () => {
+  function buildIndex() {
+    const index = createSearchIndex({ fieldWeights: { title: 10, summary: 1 } });
+    index.setDocument(1, { title: ["The Legend of Zelda"], summary: ["An adventure in Hyrule"] });
+    index.setDocument(2, { title: ["Pokémon Red"], summary: ["Catch monsters"] });
+    index.setDocument(3, { title: ["Hollow Knight"], summary: ["A legend told in the kingdom of Hallownest"] });
+    return index;
+  }
+
+  test("tokenize lowercases and strips diacritics", () => {
+    expect(tokenize("Pokémon: Red & Blue!")).toEqual(["pokemon", "red", "blue"]);
+  });
+
+  test("boundedLevenshtein stops above the bound", () => {
+    expect(boundedLevenshtein("zelda", "zelda", 1)).toBe(0);
+    expect(boundedLevenshtein("zelda", "zleda", 2)).toBe(2);
+    expect(boundedLevenshtein("zelda", "mario", 1)).toBe(2);
+  });
+
+  test("ranks title matches above summary matches", () => {
+    const results = buildIndex().search("legend");
+    expect(results.map((r) => r.id)).toEqual(["1", "3"]);
+    expect(results[0].matchedFields).toContain("title");
+    expect(results[1].matchedFields).toEqual(["summary"]);
+  });
+
+  test("matches prefixes, typos and accents", () => {
+    const index = buildIndex();
+    expect(index.search("zel").map((r) => r.id)).toEqual(["1"]);
+    expect(index.search("zeldo").map((r) => r.id)).toEqual(["1"]);
+    expect(index.search("pokemon").map((r) => r.id)).toEqual(["2"]);
+    expect(index.search("hallownets").map((r) => r.id)).toEqual(["3"]);
+  });
+
+  test("requires every query term to match", () => {
+    const index = buildIndex();
+    expect(index.search("legend hyrule").map((r) => r.id)).toEqual(["1"]);
+    expect(index.search("legend mario")).toEqual([]);
+  });
+
+  test("replaces and removes documents", () => {
+    const index = buildIndex();
+    index.setDocument(2, { title: ["Pokémon Blue"] });
+    expect(index.search("red")).toEqual([]);
+    expect(index.search("blue").map((r) => r.id)).toEqual(["2"]);
+    index.removeDocument(2);
+    expect(index.search("blue")).toEqual([]);
+    expect(index.size).toBe(2);
+  });
+
+  test("findHighlightRanges returns ranges on the original text", () => {
+    const text = "Pokémon Red";
+    const ranges = findHighlightRanges(text, ["pokemon"]);
+    expect(ranges).toEqual([[0, 7]]);
+    expect(text.slice(...ranges[0])).toBe("Pokémon");
+  });
+
+  test("buildHighlight cuts long texts to a snippet around the first match", () => {
+    const text = `${"word ".repeat(100)}target ${"tail ".repeat(100)}`;
+    const highlight = buildHighlight(text, ["target"], { maxLength: 80 });
+    expect(highlight.text.length).toBeLessThanOrEqual(82);
+    expect(highlight.ranges).toHaveLength(1);
+    const [start, end] = highlight.ranges[0];
+    expect(highlight.text.slice(start, end)).toBe("target");
+    expect(buildHighlight("nothing here", ["target"])).toBeNull();
+  });
+});
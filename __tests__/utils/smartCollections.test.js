@@ -0,0 +1,74 @@
+"use strict";
+
+const {
+  validateSmartRules,
+  matchesSmartRules,
+  evaluateSmartCollection,
+} = require("../../utils/smartCollections");
+
+const allGames = {
+  1: { id: 1, title: "Super Metroid", year: 1994, platforms: [19], keywords: ["Metroidvania", "sci-fi"] },
+  2: { id: 2, title: "Castlevania: Symphony of the Night", year: 1997, platforms: [7], keywords: ["metroidvania"] },
+  3: { id: 3, title: "Super Mario World", year: 1990, platforms: [19], keywords: ["platformer"], executables: ["play"] },
+};
+
+const playSummaries = { 3: { lastPlayed: "2026-01-01T00:00:00.000Z", totalPlaytime: 3600 } };
+const context = {
+  getPlaySummary: (id) => playSummaries[id] || { lastPlayed: null, totalPlaytime: 0 },
+};
+
+function evaluate(input) {
+  const validated = validateSmartRules(input);
+  expect(validated.ok).toBe(true);
+  return evaluateSmartCollection(validated.value, allGames, context);
+}
+
+describe("smartCollections", () => {
+  test("combines platform, year and keyword rules", () => {
+    expect(
+      evaluate({
+        rules: [
+          { field: "platforms", op: "=", value: 19 },
+          { field: "year", op: "<", value: 1995 },
+          { field: "keywords", op: "contains", value: "metroidvania" },
+        ],
+      }),
+    ).toEqual([1]);
+  });
+
+  test("supports any-match, negation and play history", () => {
+    expect(
+      evaluate({
+        match: "any",
+        rules: [
+          { field: "platforms", op: "!=", value: [19] },
+          { field: "title", op: "=", value: "super metroid" },
+        ],
+      }).sort(),
+    ).toEqual([1, 2]);
+    expect(evaluate({ rules: [{ field: "played", op: "=", value: false }] }).sort()).toEqual([1, 2]);
+    expect(evaluate({ rules: [{ field: "totalPlaytime", op: ">=", value: 60 }] })).toEqual([3]);
+    expect(evaluate({ rules: [{ field: "hasExecutables", op: "=", value: true }] })).toEqual([3]);
+  });
+
+  test("sorts matches by the configured field", () => {
+    const rules = [{ field: "keywords", op: "!contains", value: "nothing" }];
+    expect(evaluate({ rules })).toEqual([3, 1, 2]);
+    expect(evaluate({ rules, sort: "title", ascending: false })).toEqual([1, 3, 2]);
+  });
+
+  test("matchesSmartRules treats missing numbers as not matching comparisons", () => {
+    const smart = validateSmartRules({ rules: [{ field: "stars", op: ">", value: 1 }] }).value;
+    expect(matchesSmartRules(allGames[1], smart, context)).toBe(false);
+  });
+
+  test("rejects invalid rule sets", () => {
+    expect(validateSmartRules(null).ok).toBe(false);
+    expect(validateSmartRules({ rules: [] })).toEqual({ ok: false, error: "smart.rules must be a non-empty array" });
+    expect(validateSmartRules({ match: "some", rules: [{ field: "year", op: "=", value: 1 }] }).ok).toBe(false);
+    expect(validateSmartRules({ rules: [{ field: "color", op: "=", value: "red" }] }).error).toContain("not supported");
+    expect(validateSmartRules({ rules: [{ field: "year", op: ">", value: "soon" }] }).error).toBe("rules[0].value must be a number");
+    expect(validateSmartRules({ rules: [{ field: "played", op: "=", value: "no" }] }).ok).toBe(false);
+    expect(validateSmartRules({ rules: [{ field: "year", op: "=", value: 1 }], sort: "random" }).ok).toBe(false);
+  });
+});
@@ -0,0 +1,174 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  parseVdf,
+  validateSteamConfig,
+  listLibraryFolders,
+  listInstalledApps,
+  listImportedApps,
+  importSteamLibrary,
+  resolveUninstalledApps,
+  queueSteamIgdbMatches,
+} = require("../../utils/steamLibrary");
+
+describe("steamLibrary", () => {
+  let metadataPath;
+  let steamPath;
+  let extraLibrary;
+
+  function writeManifest(libraryPath, appId, name, stateFlags = 4) {
+    const dir = path.join(libraryPath, "steamapps");
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `appmanifest_${appId}.acf`), `"AppState"
+{
+\t"appid"\t\t"${appId}"
+\t"Universe"\t\t"1"
+\t"name"\t\t"${name}"
+\t"StateFlags"\t\t"${stateFlags}"
+\t"installdir"\t\t"${name}"
+}
+`);
+  }
+
+  function removeManifest(libraryPath, appId) {
+    fs.rmSync(path.join(libraryPath, "steamapps", `appmanifest_${appId}.acf`));
+  }
+
+  function readGame(gameId) {
+    const dir = path.join(metadataPath, "content", "games", String(gameId));
+    return {
+      meta: JSON.parse(fs.readFileSync(path.join(dir, "metadata.json"), "utf8")),
+      profile: JSON.parse(fs.readFileSync(path.join(dir, "scripts", "01-play.json"), "utf8")),
+    };
+  }
+
+  beforeEach(() => {
+    metadataPath = fs.mkdtempSync(path.join(os.tmpdir(), "mhg-steam-"));
+    steamPath = fs.mkdtempSync(path.join(os.tmpdir(), "mhg-steam-client-"));
+    extraLibrary = fs.mkdtempSync(path.join(os.tmpdir(), "mhg-steam-library-"));
+    fs.mkdirSync(path.join(steamPath, "steamapps"), { recursive: true });
+    fs.writeFileSync(path.join(steamPath, "steamapps", "libraryfolders.vdf"), `"libraryfolders"
+{
+\t"0"
+\t{
+\t\t"path"\t\t"${steamPath.replace(/\\/g, "\\\\")}"
+\t\t"apps" { "440" "0" }
+\t}
+\t"1"
+\t{
+\t\t"path"\t\t"${extraLibrary.replace(/\\/g, "\\\\")}"
+\t}
+}
+`);
+    writeManifest(steamPath, "440", "Team Fortress 2");
+    writeManifest(extraLibrary, "620", "Portal 2");
+    writeManifest(extraLibrary, "1493710", "Proton Experimental");
+    writeManifest(extraLibrary, "730", "Counter-Strike 2", 1026);
+  });
+
+  afterEach(() => {
+    for (const dir of [metadataPath, steamPath, extraLibrary]) fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("parseVdf reads nested KeyValues with escapes, comments and case-insensitive keys", () => {
+    expect(parseVdf(`// written by Steam
+"LibraryFolders"
+{
+  "TimeNextStatsReport" "1700000000"
+  "1" "D:\\\\SteamLibrary"
+  "Nested" { "Quote" "say \\"hi\\"" "Flag" "1" [$WIN32] }
+}`)).toEqual({
+      libraryfolders: {
+        timenextstatsreport: "1700000000",
+        1: "D:\\SteamLibrary",
+        nested: { quote: 'say "hi"', flag: "1" },
+      },
+    });
+  });
+
+  test("validateSteamConfig accepts absolute paths or null", () => {
+    expect(validateSteamConfig({ steamPath: null })).toEqual({ ok: true, value: { steamPath: null } });
+    expect(validateSteamConfig({ steamPath: "/home/me/.steam/steam/" })).toEqual({
+      ok: true,
+      value: { steamPath: path.resolve("/home/me/.steam/steam") },
+    });
+    expect(validateSteamConfig({ steamPath: "Steam" }).ok).toBe(false);
+  });
+
+  test("listInstalledApps reads every library folder and skips tools and partial installs", () => {
+    expect(listLibraryFolders(steamPath)).toEqual([steamPath, extraLibrary]);
+    const { apps, errors } = listInstalledApps(steamPath);
+    expect(errors).toEqual([]);
+    expect(apps).toEqual([
+      { appId: "440", name: "Team Fortress 2", libraryPath: steamPath, installDir: "Team Fortress 2" },
+      { appId: "620", name: "Portal 2", libraryPath: extraLibrary, installDir: "Portal 2" },
+    ]);
+  });
+
+  test("importSteamLibrary creates games with steam:// launch profiles and is idempotent", () => {
+    const first = importSteamLibrary(metadataPath, { steamPath });
+    expect(first.added.map((entry) => entry.appId)).toEqual(["440", "620"]);
+    const tf2 = first.added[0].gameId;
+    expect(readGame(tf2)).toEqual({
+      meta: { title: "Team Fortress 2", summary: "", showTitle: true },
+      profile: { type: "url", url: "steam://rungameid/440" },
+    });
+
+    const second = importSteamLibrary(metadataPath, { steamPath });
+    expect(second).toMatchObject({ added: [], uninstalled: [], unchanged: 2, ignored: 0 });
+
+    fs.rmSync(path.join(metadataPath, "content", "games", String(tf2)), { recursive: true });
+    expect(importSteamLibrary(metadataPath, { steamPath })).toMatchObject({ added: [], unchanged: 1, ignored: 1 });
+  });
+
+  test("uninstalled apps are reported, flagged or removed, and reinstalls clear the flag", () => {
+    const { added } = importSteamLibrary(metadataPath, { steamPath });
+    const [tf2, portal] = added;
+    removeManifest(steamPath, "440");
+    removeManifest(extraLibrary, "620");
+
+    const report = importSteamLibrary(metadataPath, { steamPath });
+    expect(report.uninstalled.map((entry) => entry.appId)).toEqual(["440", "620"]);
+
+    expect(resolveUninstalledApps(metadataPath, { action: "flag", appIds: ["440"] }).apps).toEqual([
+      { appId: "440", name: "Team Fortress 2", gameId: tf2.gameId },
+    ]);
+    expect(readGame(tf2.gameId).meta.installed).toBe(false);
+
+    const collectionDir = path.join(metadataPath, "content", "collections", "1");
+    fs.mkdirSync(collectionDir, { recursive: true });
+    fs.writeFileSync(path.join(collectionDir, "metadata.json"), JSON.stringify({ title: "Valve", games: [tf2.gameId, portal.gameId] }));
+    expect(resolveUninstalledApps(metadataPath, { action: "remove", appIds: ["620"] }).apps).toHaveLength(1);
+    expect(fs.existsSync(path.join(metadataPath, "content", "games", String(portal.gameId)))).toBe(false);
+    expect(JSON.parse(fs.readFileSync(path.join(collectionDir, "metadata.json"), "utf8")).games).toEqual([tf2.gameId]);
+    expect(listImportedApps(metadataPath).map((entry) => entry.appId)).toEqual(["440"]);
+
+    writeManifest(steamPath, "440", "Team Fortress 2");
+    writeManifest(extraLibrary, "620", "Portal 2");
+    const reinstall = importSteamLibrary(metadataPath, { steamPath });
+    expect(reinstall.reinstalled).toEqual([{ appId: "440", name: "Team Fortress 2", gameId: tf2.gameId }]);
+    expect(reinstall.added.map((entry) => entry.appId)).toEqual(["620"]);
+    expect(readGame(tf2.gameId).meta).not.toHaveProperty("installed");
+  });
+
+  test("apps of an unreadable library folder are not reported as uninstalled", () => {
+    importSteamLibrary(metadataPath, { steamPath });
+    fs.rmSync(extraLibrary, { recursive: true });
+    const report = importSteamLibrary(metadataPath, { steamPath });
+    expect(report.uninstalled).toEqual([]);
+    expect(report.errors).toEqual([{ libraryPath: extraLibrary, error: "Library folder not found" }]);
+  });
+
+  test("queueSteamIgdbMatches stores IGDB candidates by app name", async () => {
+    importSteamLibrary(metadataPath, { steamPath });
+    await queueSteamIgdbMatches(metadataPath, ["440", "620"], async (title) => (title === "Portal 2"
+      ? [{ id: 72, name: "Portal 2", first_release_date: 1303171200 }, { id: 71, name: "Portal" }]
+      : []));
+    const [portal, tf2] = listImportedApps(metadataPath);
+    expect(portal.igdb).toMatchObject({ status: "matched", candidates: [{ id: 72, name: "Portal 2", year: 2011 }] });
+    expect(tf2.igdb).toMatchObject({ status: "none", candidates: [] });
+  });
+});
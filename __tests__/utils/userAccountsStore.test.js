@@ -0,0 +1,95 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  clearUserAccountsCache,
+  createUser,
+  deleteUser,
+  listUsers,
+  authenticateUser,
+  createAuthSession,
+  resolveAuthSessionUser,
+  revokeAuthSession,
+} = require("../../utils/userAccountsStore");
+const { userAccountsPath, authSessionsPath } = require("../../utils/metadataTokenPaths");
+
+describe("userAccountsStore", () => {
+  let metadataPath;
+
+  beforeEach(() => {
+    metadataPath = path.join(os.tmpdir(), `mhg-user-accounts-${Date.now()}`);
+    fs.mkdirSync(metadataPath, { recursive: true });
+  });
+
+  afterEach(() => {
+    clearUserAccountsCache();
+    if (metadataPath && fs.existsSync(metadataPath)) {
+      fs.rmSync(metadataPath, { recursive: true, force: true });
+    }
+  });
+
+  it("stores users under tokens/ without plain passwords", () => {
+    const result = createUser(metadataPath, { userName: "alice", password: "secret-pass" });
+    expect(result.ok).toBe(true);
+    const raw = fs.readFileSync(userAccountsPath(metadataPath), "utf8");
+    expect(raw).not.toContain("secret-pass");
+    expect(listUsers(metadataPath)).toEqual([
+      expect.objectContaining({ userId: result.user.userId, userName: "alice" }),
+    ]);
+  });
+
+  it("validates user name and password", () => {
+    expect(createUser(metadataPath, { userName: " ", password: "secret-pass" })).toMatchObject({
+      ok: false,
+      status: 400,
+    });
+    expect(createUser(metadataPath, { userName: "alice", password: "123" })).toMatchObject({
+      ok: false,
+      status: 400,
+    });
+  });
+
+  it("authenticates with the right password only", () => {
+    createUser(metadataPath, { userName: "alice", password: "secret-pass" });
+    expect(authenticateUser(metadataPath, "ALICE", "secret-pass")).toMatchObject({ userName: "alice" });
+    expect(authenticateUser(metadataPath, "alice", "wrong")).toBeNull();
+    expect(authenticateUser(metadataPath, "nobody", "secret-pass")).toBeNull();
+  });
+
+  it("issues, resolves and revokes session tokens", () => {
+    const { user } = createUser(metadataPath, { userName: "alice", password: "secret-pass" });
+    const { token } = createAuthSession(metadataPath, user.userId);
+    expect(fs.readFileSync(authSessionsPath(metadataPath), "utf8")).not.toContain(token);
+    expect(resolveAuthSessionUser(metadataPath, token)).toMatchObject({ userId: user.userId });
+    expect(revokeAuthSession(metadataPath, token)).toBe(true);
+    expect(resolveAuthSessionUser(metadataPath, token)).toBeNull();
+  });
+
+  it("revokes sessions when a user is deleted", () => {
+    const { user } = createUser(metadataPath, { userName: "alice", password: "secret-pass" });
+    const { token } = createAuthSession(metadataPath, user.userId);
+    expect(deleteUser(metadataPath, user.userId)).toEqual({ ok: true });
+    expect(resolveAuthSessionUser(metadataPath, token)).toBeNull();
+    expect(deleteUser(metadataPath, user.userId)).toMatchObject({ ok: false, status: 404 });
+  });
+
+  it("resolves sessions from memory until the cache is cleared", () => {
+    const { user } = createUser(metadataPath, { userName: "alice", password: "secret-pass" });
+    const { token } = createAuthSession(metadataPath, user.userId);
+    const readSpy = jest.spyOn(fs, "readFileSync");
+    try {
+      expect(resolveAuthSessionUser(metadataPath, token)).toMatchObject({ userId: user.userId });
+      expect(readSpy).not.toHaveBeenCalled();
+    } finally {
+      readSpy.mockRestore();
+    }
+
+    // A restore replaced tokens/ on disk
+    fs.writeFileSync(authSessionsPath(metadataPath), JSON.stringify({ sessions: [] }));
+    expect(resolveAuthSessionUser(metadataPath, token)).toMatchObject({ userId: user.userId });
+    clearUserAccountsCache();
+    expect(resolveAuthSessionUser(metadataPath, token)).toBeNull();
+  });
+});
@@ -0,0 +1,21 @@
+"use strict";
+
+const path = require("path");
+const { safeZipEntryName, resolveZipEntryPath } = require("../../utils/zipPaths");
+
+describe("zipPaths", () => {
+  test("safeZipEntryName normalizes separators and rejects traversal", () => {
+    expect(safeZipEntryName("content\\games\\1\\metadata.json")).toBe("content/games/1/metadata.json");
+    expect(safeZipEntryName("/content/games")).toBe("content/games");
+    expect(safeZipEntryName("../evil.txt")).toBeNull();
+    expect(safeZipEntryName("content/../../evil.txt")).toBeNull();
+    expect(safeZipEntryName("C:/Windows/evil.txt")).toBeNull();
+    expect(safeZipEntryName("")).toBeNull();
+  });
+
+  test("resolveZipEntryPath keeps entries inside the destination", () => {
+    const dest = path.resolve("/tmp/extract");
+    expect(resolveZipEntryPath(dest, "a/b.txt")).toBe(path.join(dest, "a", "b.txt"));
+    expect(resolveZipEntryPath(dest, "../b.txt")).toBeNull();
+  });
+});
@@ -0,0 +1,56 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const AdmZip = require("adm-zip");
+const { crc32 } = require("../../utils/zipWriter");
+const { listZipEntries, openZipEntryStream, extractZipEntry, readZipEntry } = require("../../utils/zipReader");
+
+describe("zipReader", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "mhg-zip-reader-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("lists file entries with their header CRCs and streams stored and deflated data", async () => {
+    const large = Buffer.alloc(200 * 1024, "deflate me ");
+    const zip = new AdmZip();
+    zip.addFile("game.bin", large);
+    zip.addFile("folder/", Buffer.alloc(0));
+    zip.addFile("folder/empty.txt", Buffer.alloc(0));
+    zip.addFile("folder/tiny.txt", Buffer.from("a"));
+    zip.addZipComment("packed by a test");
+    const zipPath = path.join(dir, "roms.zip");
+    zip.writeZip(zipPath);
+
+    const entries = await listZipEntries(zipPath);
+    // adm-zip writes entries sorted by name
+    expect(entries.map((entry) => entry.name)).toEqual(["folder/empty.txt", "folder/tiny.txt", "game.bin"]);
+    expect(entries[2]).toMatchObject({ method: 8, size: large.length, crc: crc32(large) });
+    expect(entries[2].compressedSize).toBeLessThan(large.length);
+
+    expect(await readZipEntry(zipPath, entries[0])).toEqual(Buffer.alloc(0));
+    expect((await readZipEntry(zipPath, entries[1])).toString()).toBe("a");
+    expect(await readZipEntry(zipPath, entries[2])).toEqual(large);
+
+    const outPath = path.join(dir, "game.bin");
+    await extractZipEntry(zipPath, entries[2], outPath);
+    expect(fs.readFileSync(outPath)).toEqual(large);
+  });
+
+  test("rejects files that are not zips and unsupported compression methods", async () => {
+    const notZip = path.join(dir, "rom.zip");
+    fs.writeFileSync(notZip, "not a zip");
+    await expect(listZipEntries(notZip)).rejects.toThrow("Not a zip file");
+
+    await expect(openZipEntryStream(notZip, { name: "x.bin", method: 14, offset: 0 })).rejects.toThrow(
+      "Unsupported compression method 14 for x.bin"
+    );
+  });
+});
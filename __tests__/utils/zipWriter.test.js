@@ -0,0 +1,70 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const AdmZip = require("adm-zip");
+const { crc32, createZipWriter } = require("../../utils/zipWriter");
+const { listZipEntries, readZipEntry } = require("../../utils/zipReader");
+
+describe("zipWriter", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "mhg-zip-writer-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("crc32 matches the standard checksum, also across chunks", () => {
+    expect(crc32(Buffer.from("123456789"))).toBe(0xcbf43926);
+    expect(crc32(Buffer.from("6789"), crc32(Buffer.from("12345")))).toBe(0xcbf43926);
+  });
+
+  test("streams files and buffers into a zip adm-zip can read", async () => {
+    const source = path.join(dir, "cover.bin");
+    const large = Buffer.alloc(300 * 1024, 7);
+    fs.writeFileSync(source, large);
+    const zipPath = path.join(dir, "out.zip");
+
+    const writer = createZipWriter(fs.createWriteStream(zipPath));
+    await writer.addFile("content/games/1/cover.bin", source);
+    await writer.addBuffer("manifest.json", Buffer.from('{"ok":true}'));
+    await writer.addBuffer("empty.txt", Buffer.alloc(0));
+    const size = await writer.finalize();
+
+    expect(fs.statSync(zipPath).size).toBe(size);
+    const zip = new AdmZip(zipPath);
+    expect(zip.getEntries().map((entry) => entry.entryName)).toEqual([
+      "content/games/1/cover.bin",
+      "manifest.json",
+      "empty.txt",
+    ]);
+    expect(zip.getEntry("content/games/1/cover.bin").getData().equals(large)).toBe(true);
+    expect(zip.readAsText("manifest.json")).toBe('{"ok":true}');
+    expect(zip.getEntry("content/games/1/cover.bin").header.crc).toBe(crc32(large));
+  });
+
+  test("writes ZIP64 records past 65535 entries", async () => {
+    const zipPath = path.join(dir, "many.zip");
+    const writer = createZipWriter(fs.createWriteStream(zipPath));
+    const count = 0xffff + 10;
+    for (let i = 0; i < count; i++) await writer.addBuffer(`logs/${i}.txt`, Buffer.from(String(i)));
+    await writer.finalize();
+
+    const entries = await listZipEntries(zipPath);
+    expect(entries).toHaveLength(count);
+    const last = entries[count - 1];
+    expect(last.name).toBe(`logs/${count - 1}.txt`);
+    expect((await readZipEntry(zipPath, last)).toString()).toBe(String(count - 1));
+  }, 120000);
+
+  test("rejects once the output stream fails", async () => {
+    const zipPath = path.join(dir, "missing", "out.zip");
+    const writer = createZipWriter(fs.createWriteStream(zipPath));
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    await expect(writer.addBuffer("a.txt", Buffer.from("a"))).rejects.toMatchObject({ code: "ENOENT" });
+  });
+});
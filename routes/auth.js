@@ -1,38 +1,150 @@
-// routes/auth.js — optional API_TOKEN validation for development
+// routes/auth.js — local user accounts, login session tokens and optional API_TOKEN for development
+
+const {
+  listUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+  authenticateUser,
+  createAuthSession,
+  resolveAuthSessionUser,
+  revokeAuthSession,
+} = require("../utils/userAccountsStore");
+const { PERMISSIONS, hasPermission } = require("../utils/permissions");
+const { isLanRequest } = require("../utils/authPolicy");
+const { deletePersonalStatesForUser } = require("../utils/personalGameState");
 
 const API_TOKEN = process.env.API_TOKEN;
 
-function registerAuthRoutes(app) {
+const DEV_USER = {
+  userId: "dev",
+  userName: "Development User",
+  userImage: null,
+  role: "admin",
+  isDev: true,
+};
+
+// Set by registerAuthRoutes; session tokens and users live under METADATA_PATH/tokens/
+let authMetadataPath = null;
+
+function getRequestToken(req) {
+  const raw = req.header("X-Auth-Token") || req.query.token || req.header("Authorization");
+  if (!raw || typeof raw !== "string") return null;
+  const bearer = raw.match(/^Bearer\s+(.+)$/i);
+  return bearer ? bearer[1].trim() : raw;
+}
+
+/**
+ * Resolve the caller of a token: the dev user for API_TOKEN, the account owning a
+ * login session token, or null.
+ */
+function resolveTokenUser(token) {
+  if (!token) return null;
+  if (API_TOKEN && token === API_TOKEN) return { ...DEV_USER };
+  if (!authMetadataPath) return null;
+  const user = resolveAuthSessionUser(authMetadataPath, token);
+  return user ? { ...user, isDev: false } : null;
+}
+
+function resolveRequestUser(req) {
+  return resolveTokenUser(getRequestToken(req));
+}
+
+function registerAuthRoutes(app, metadataPath) {
+  authMetadataPath = metadataPath || null;
+
+  // Account management needs an identified caller with users:manage. The very first account
+  // (always an admin) can be created without a token, but only from the LAN: a tunnelled
+  // request must present API_TOKEN.
+  function requireAccountManager(req, res, next) {
+    req.user = resolveRequestUser(req);
+    if (!req.user) {
+      if (req.method === "POST" && listUsers(metadataPath).length === 0 && isLanRequest(req)) return next();
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    if (!hasPermission(req.user, PERMISSIONS.MANAGE_USERS)) {
+      return res.status(403).json({ error: "Forbidden", detail: `Missing permission: ${PERMISSIONS.MANAGE_USERS}` });
+    }
+    return next();
+  }
+
   app.get("/auth/me", (req, res) => {
-    const token =
-      req.header("X-Auth-Token") || req.query.token || req.header("Authorization");
+    const token = getRequestToken(req);
 
     if (!token) {
       return res.status(401).json({ error: "Unauthorized" });
     }
 
-    if (API_TOKEN && token === API_TOKEN) {
-      return res.json({
-        userId: "dev",
-        userName: "Development User",
-        userImage: null,
-        isDev: true,
-      });
+    const user = resolveTokenUser(token);
+    if (user) {
+      return res.json(user);
     }
 
     return res.status(401).json({ error: "Unauthorized" });
   });
 
+  app.post("/auth/login", (req, res) => {
+    const { userName, password } = req.body || {};
+    if (typeof userName !== "string" || !userName.trim() || typeof password !== "string") {
+      return res.status(400).json({ error: "userName and password are required" });
+    }
+    const user = authenticateUser(metadataPath, userName, password);
+    if (!user) {
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+    const { token, expiresAt } = createAuthSession(metadataPath, user.userId);
+    res.json({ token, expiresAt, user: { ...user, isDev: false } });
+  });
+
   app.post("/auth/logout", (req, res) => {
+    const token = getRequestToken(req);
+    if (token && !(API_TOKEN && token === API_TOKEN)) {
+      revokeAuthSession(metadataPath, token);
+    }
+    res.json({ status: "success" });
+  });
+
+  app.get("/users", requireAccountManager, (req, res) => {
+    res.json({ users: listUsers(metadataPath) });
+  });
+
+  app.post("/users", requireAccountManager, (req, res) => {
+    const { userName, password, role, maxAge } = req.body || {};
+    const result = createUser(metadataPath, { userName, password, role, maxAge });
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(201).json({ user: result.user });
+  });
+
+  // Change role (admin / player / kid), kid age threshold (maxAge) or password
+  app.put("/users/:userId", requireAccountManager, (req, res) => {
+    const { role, maxAge, password } = req.body || {};
+    const result = updateUser(metadataPath, req.params.userId, { role, maxAge, password });
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ user: result.user });
+  });
+
+  app.delete("/users/:userId", requireAccountManager, (req, res) => {
+    const result = deleteUser(metadataPath, req.params.userId);
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    deletePersonalStatesForUser(metadataPath, req.params.userId);
     res.json({ status: "success" });
   });
 }
 
 function isValidToken(token) {
-  return Boolean(API_TOKEN && token === API_TOKEN);
+  return Boolean(resolveTokenUser(token));
 }
 
 module.exports = {
   registerAuthRoutes,
   isValidToken,
+  getRequestToken,
+  resolveTokenUser,
+  resolveRequestUser,
 };
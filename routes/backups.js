@@ -0,0 +1,71 @@
+"use strict";
+
+const { PERMISSIONS, requirePermission } = require("../utils/permissions");
+const {
+  isValidBackupId,
+  listBackups,
+  getBackup,
+  createBackup,
+  deleteBackup,
+  restoreBackup,
+} = require("../utils/backups");
+
+/**
+ * @param {import('express').Express} app
+ * @param {{ metadataPath: string, config: object, requireAdmin: import('express').RequestHandler, reloadAll: () => object }} deps
+ */
+function registerBackupRoutes(app, deps) {
+  const { metadataPath, config, requireAdmin, reloadAll } = deps;
+  const canManageSettings = requirePermission(PERMISSIONS.MANAGE_SETTINGS);
+
+  // Endpoint: list snapshots (newest first) and the active schedule / retention
+  app.get("/backups", requireAdmin, canManageSettings, (req, res) => {
+    res.json({
+      backups: listBackups(config),
+      schedule: {
+        intervalHours: config.intervalHours,
+        keepDaily: config.keepDaily,
+        keepWeekly: config.keepWeekly,
+      },
+    });
+  });
+
+  // Endpoint: take a snapshot now
+  app.post("/backups", requireAdmin, canManageSettings, async (req, res) => {
+    try {
+      const backup = await createBackup(metadataPath, config, { reason: "manual" });
+      res.status(201).json({ backup });
+    } catch (e) {
+      console.error("Backup failed:", e.message);
+      res.status(500).json({ error: "Backup failed", detail: e.message });
+    }
+  });
+
+  // Endpoint: restore a snapshot (a pre-restore snapshot is taken first), then reload every cache
+  app.post("/backups/:backupId/restore", requireAdmin, canManageSettings, async (req, res) => {
+    const { backupId } = req.params;
+    if (!isValidBackupId(backupId) || !getBackup(config, backupId)) {
+      return res.status(404).json({ error: "Backup not found" });
+    }
+    try {
+      const { restored, preRestore } = await restoreBackup(metadataPath, config, backupId);
+      res.json({ status: "restored", backup: restored, preRestore, reloaded: reloadAll() });
+    } catch (e) {
+      console.error(`Restore of backup ${backupId} failed:`, e.message);
+      res.status(500).json({ error: "Restore failed", detail: e.message });
+    }
+  });
+
+  // Endpoint: delete a snapshot
+  app.delete("/backups/:backupId", requireAdmin, canManageSettings, (req, res) => {
+    const { backupId } = req.params;
+    if (!deleteBackup(config, backupId)) {
+      return res.status(404).json({ error: "Backup not found" });
+    }
+    res.json({ status: "deleted", id: backupId });
+  });
+}
+
+module.exports = {
+  registerBackupRoutes,
+};
@@ -8,6 +8,7 @@
 const fs = require("fs");
 const path = require("path");
 const multer = require("multer");
+const { PERMISSIONS, requirePermission, isGameAllowedByContentFilter } = require("../utils/permissions");
 const { getCoverUrl, getLocalMediaPath, deleteMediaFile } = require("../utils/gameMediaUtils");
 const {
   loadItems,
@@ -242,6 +243,7 @@ function createCollectionLikeRoutes(config) {
   }
 
   function registerRoutes(app, requireToken, metadataPath, metadataGamesDir, allGames, removeFromAllGamesFn) {
+    const canEditLibrary = requirePermission(PERMISSIONS.EDIT_LIBRARY);
     let cache = storageLoadItems(metadataPath);
     const updateCache = () => {
       cache = storageLoadItems(metadataPath);
@@ -358,7 +360,7 @@ function createCollectionLikeRoutes(config) {
       res.sendFile(backgroundPath);
     });
 
-    app.post(normalizedRouteBase, requireToken, async (req, res) => {
+    app.post(normalizedRouteBase, requireToken, canEditLibrary, async (req, res) => {
       const { title, summary, id: requestedId } = req.body || {};
       if (!title || typeof title !== "string" || !title.trim()) {
         return res.status(400).json({ error: "Title is required" });
@@ -494,7 +496,7 @@ function createCollectionLikeRoutes(config) {
       res.json(buildDetailPayload(entry, locale));
     });
 
-    app.post(`${normalizedRouteBase}/:id/reload`, requireToken, (req, res) => {
+    app.post(`${normalizedRouteBase}/:id/reload`, requireToken, canEditLibrary, (req, res) => {
       const id = normalizeId(req.params.id);
       try {
         const entry = storageLoadItemById(metadataPath, id);
@@ -605,7 +607,7 @@ function createCollectionLikeRoutes(config) {
         }
       };
 
-      app.post(`${normalizedRouteBase}/:id/merge-company-profile`, requireToken, handleMergeCompanyProfile);
+      app.post(`${normalizedRouteBase}/:id/merge-company-profile`, requireToken, canEditLibrary, handleMergeCompanyProfile);
     }
 
     app.get(`${normalizedRouteBase}/:id/games`, requireToken, (req, res) => {
@@ -625,6 +627,7 @@ function createCollectionLikeRoutes(config) {
           return allGames[key] || allGames[gId];
         })
         .filter(Boolean)
+        .filter((g) => isGameAllowedByContentFilter(g, req.contentFilter))
         .map((g) => {
           const executables = g.executables;
           const execArray =
@@ -652,7 +655,7 @@ function createCollectionLikeRoutes(config) {
       res.json({ games });
     });
 
-    app.put(`${normalizedRouteBase}/:id/games/order`, requireToken, (req, res) => {
+    app.put(`${normalizedRouteBase}/:id/games/order`, requireToken, canEditLibrary, (req, res) => {
       const id = normalizeId(req.params.id);
       const { gameIds } = req.body;
       if (!Array.isArray(gameIds)) {
@@ -675,7 +678,7 @@ function createCollectionLikeRoutes(config) {
       }
     });
 
-    app.put(`${normalizedRouteBase}/:id`, requireToken, async (req, res) => {
+    app.put(`${normalizedRouteBase}/:id`, requireToken, canEditLibrary, async (req, res) => {
       const id = normalizeId(req.params.id);
       const entry = findById(cache.length ? cache : storageLoadItems(metadataPath), id);
       if (!entry) return res.status(404).json({ error: `${humanName} not found` });
@@ -797,7 +800,7 @@ function createCollectionLikeRoutes(config) {
       });
     });
 
-    app.delete(`${normalizedRouteBase}/:id`, requireToken, (req, res) => {
+    app.delete(`${normalizedRouteBase}/:id`, requireToken, canEditLibrary, (req, res) => {
       const id = normalizeId(req.params.id);
       const idx = findIndexById(cache.length ? cache : storageLoadItems(metadataPath), id);
       if (idx === -1) return res.status(404).json({ error: `${humanName} not found` });
@@ -810,7 +813,7 @@ function createCollectionLikeRoutes(config) {
       res.json({ status: "success" });
     });
 
-    app.post(`${normalizedRouteBase}/:id/childs/:childId`, requireToken, (req, res) => {
+    app.post(`${normalizedRouteBase}/:id/childs/:childId`, requireToken, canEditLibrary, (req, res) => {
       const id = normalizeId(req.params.id);
       const childId = normalizeId(req.params.childId);
       const added = useCompanyStorage
@@ -823,7 +826,7 @@ function createCollectionLikeRoutes(config) {
       return res.json({ status: "success" });
     });
 
-    app.delete(`${normalizedRouteBase}/:id/childs/:childId`, requireToken, (req, res) => {
+    app.delete(`${normalizedRouteBase}/:id/childs/:childId`, requireToken, canEditLibrary, (req, res) => {
       const id = normalizeId(req.params.id);
       const childId = normalizeId(req.params.childId);
       const removed = useCompanyStorage
@@ -836,7 +839,7 @@ function createCollectionLikeRoutes(config) {
       return res.json({ status: "success" });
     });
 
-    app.post(`${normalizedRouteBase}/:id/upload-cover`, requireToken, upload.single("file"), (req, res) => {
+    app.post(`${normalizedRouteBase}/:id/upload-cover`, requireToken, canEditLibrary, upload.single("file"), (req, res) => {
       const id = normalizeId(req.params.id);
       const entry = findById(cache.length ? cache : storageLoadItems(metadataPath), id);
       if (!entry) return res.status(404).json({ error: `${humanName} not found` });
@@ -865,7 +868,7 @@ function createCollectionLikeRoutes(config) {
       res.json({ status: "success", [singleResponseKey]: response });
     });
 
-    app.delete(`${normalizedRouteBase}/:id/delete-cover`, requireToken, (req, res) => {
+    app.delete(`${normalizedRouteBase}/:id/delete-cover`, requireToken, canEditLibrary, (req, res) => {
       const id = normalizeId(req.params.id);
       const entry = findById(cache.length ? cache : storageLoadItems(metadataPath), id);
       if (!entry) return res.status(404).json({ error: `${humanName} not found` });
@@ -900,7 +903,7 @@ function createCollectionLikeRoutes(config) {
       res.json({ status: "success", [singleResponseKey]: response });
     });
 
-    app.post(`${normalizedRouteBase}/:id/upload-background`, requireToken, upload.single("file"), (req, res) => {
+    app.post(`${normalizedRouteBase}/:id/upload-background`, requireToken, canEditLibrary, upload.single("file"), (req, res) => {
       const id = normalizeId(req.params.id);
       const entry = findById(cache.length ? cache : storageLoadItems(metadataPath), id);
       if (!entry) return res.status(404).json({ error: `${humanName} not found` });
@@ -929,7 +932,7 @@ function createCollectionLikeRoutes(config) {
       res.json({ status: "success", [singleResponseKey]: response });
     });
 
-    app.delete(`${normalizedRouteBase}/:id/delete-background`, requireToken, (req, res) => {
+    app.delete(`${normalizedRouteBase}/:id/delete-background`, requireToken, canEditLibrary, (req, res) => {
       const id = normalizeId(req.params.id);
       const entry = findById(cache.length ? cache : storageLoadItems(metadataPath), id);
       if (!entry) return res.status(404).json({ error: `${humanName} not found` });
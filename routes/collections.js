@@ -1,6 +1,7 @@
 const fs = require("fs");
 const path = require("path");
 const multer = require("multer");
+const { PERMISSIONS, requirePermission, isGameAllowedByContentFilter } = require("../utils/permissions");
 const { getCoverUrl, getBackgroundUrl, getLocalMediaPath, deleteMediaFile } = require("../utils/gameMediaUtils");
 const { ensureDirectoryExists } = require("../utils/fileUtils");
 const { getTitleForSort } = require("../utils/sortUtils");
@@ -29,6 +30,8 @@ const {
   applySummaryEdit,
 } = require("../utils/metadataLocale");
 const { retranslateAllSummaryLocales } = require("../utils/autoTranslateGameMetadata");
+const { validateSmartRules, evaluateSmartCollection } = require("../utils/smartCollections");
+const { getPlaySessionSummary } = require("../utils/playSessions");
 
 const CONTENT_FOLDER = "collections";
 
@@ -102,7 +105,7 @@ function removeGameFromAllCollections(metadataPath, gameId, updateCacheCallback
 function deleteCollectionIfUnused(metadataPath, collectionId) {
   const list = loadItems(metadataPath, CONTENT_FOLDER);
   const entry = findById(list, collectionId);
-  if (!entry) return;
+  if (!entry || entry.smart) return;
   const games = entry.games || [];
   if (games.length > 0) return;
   const coverPath = path.join(metadataPath, "content", CONTENT_FOLDER, String(collectionId), "cover.webp");
@@ -123,12 +126,23 @@ function createCacheUpdater(collectionsCache) {
 }
 
 function registerCollectionsRoutes(app, requireToken, metadataPath, metadataGamesDir, allGames) {
+  const canEditLibrary = requirePermission(PERMISSIONS.EDIT_LIBRARY);
   let collectionsCache = loadCollections(metadataPath);
 
   function localizedSummary(req, summary) {
     return resolveSummary(summary, resolveRequestLocale(req, metadataPath));
   }
 
+  const smartContext = {
+    getPlaySummary: (gameId) => getPlaySessionSummary(metadataPath, gameId),
+  };
+
+  // Smart collections are recomputed from allGames on every read, so membership follows game changes
+  function collectionGameIds(collection) {
+    if (collection.smart) return evaluateSmartCollection(collection.smart, allGames, smartContext);
+    return collection.games || [];
+  }
+
   // Configure multer for file uploads (memory storage, we'll save manually)
   const upload = multer({ storage: multer.memoryStorage() });
 
@@ -139,7 +153,7 @@ function registerCollectionsRoutes(app, requireToken, metadataPath, metadataGame
         // Ensure ID is converted to string for URL encoding
         const collectionId = String(c.id);
         // Calculate gameCount by counting only games that exist in allGames
-        const gameIds = c.games || [];
+        const gameIds = collectionGameIds(c);
         const actualGameCount = gameIds.filter((gameId) => allGames[gameId]).length;
         const collectionData = {
           id: c.id,
@@ -149,7 +163,9 @@ function registerCollectionsRoutes(app, requireToken, metadataPath, metadataGame
           gameCount: actualGameCount,
           gameIds: gameIds.filter((gameId) => allGames[gameId]).map((id) => String(id)),
           childs: Array.isArray(c.childs) ? c.childs : [],
+          smart: Boolean(c.smart),
         };
+        if (c.smart) collectionData.smartRules = c.smart;
         // Check if cover exists locally
         const localCover = getLocalMediaPath({
           metadataPath,
@@ -177,13 +193,22 @@ function registerCollectionsRoutes(app, requireToken, metadataPath, metadataGame
   });
 
   // Endpoint: create new collection
-  app.post("/collections", requireToken, (req, res) => {
-    const { title, summary } = req.body;
+  app.post("/collections", requireToken, canEditLibrary, (req, res) => {
+    const { title, summary, smart } = req.body;
     
     if (!title || typeof title !== "string" || !title.trim()) {
       return res.status(400).json({ error: "Title is required" });
     }
 
+    let smartRules = null;
+    if (smart != null) {
+      const validated = validateSmartRules(smart);
+      if (!validated.ok) {
+        return res.status(400).json({ error: validated.error });
+      }
+      smartRules = validated.value;
+    }
+
     // Check if collection with same title already exists
     const trimmedTitle = title.trim();
     const existingCollection = collectionsCache.find(
@@ -216,6 +241,7 @@ function registerCollectionsRoutes(app, requireToken, metadataPath, metadataGame
       games: [],
       childs: [],
     };
+    if (smartRules) newCollection.smart = smartRules;
 
     // Save collection to its own folder
     try {
@@ -237,9 +263,11 @@ function registerCollectionsRoutes(app, requireToken, metadataPath, metadataGame
         summary: localizedSummary(req, newCollection.summary),
         showTitle: newCollection.showTitle,
         cover: `/collection-covers/${encodeURIComponent(newCollection.id)}`,
-        gameCount: 0,
+        gameCount: collectionGameIds(newCollection).filter((gameId) => allGames[gameId]).length,
         childs: [],
+        smart: Boolean(smartRules),
       };
+      if (smartRules) collectionData.smartRules = smartRules;
       const background = getLocalMediaPath({
         metadataPath,
         resourceId: newCollection.id,
@@ -257,6 +285,24 @@ function registerCollectionsRoutes(app, requireToken, metadataPath, metadataGame
     }
   });
 
+  // Endpoint: preview the games a smart rule set would match (nothing is saved)
+  app.post("/collections/preview", requireToken, (req, res) => {
+    const validated = validateSmartRules(req.body && req.body.smart);
+    if (!validated.ok) {
+      return res.status(400).json({ error: validated.error });
+    }
+    const games = evaluateSmartCollection(validated.value, allGames, smartContext)
+      .map((gameId) => allGames[gameId])
+      .filter((game) => game && isGameAllowedByContentFilter(game, req.contentFilter))
+      .map((game) => ({
+        id: game.id,
+        title: game.title,
+        cover: getCoverUrl(game, metadataPath),
+        year: game.year || null,
+      }));
+    res.json({ smart: validated.value, gameCount: games.length, games });
+  });
+
   // Endpoint: get single collection by ID
   app.get("/collections/:id", requireToken, (req, res) => {
     const collectionId = req.params.id;
@@ -270,9 +316,11 @@ function registerCollectionsRoutes(app, requireToken, metadataPath, metadataGame
       title: collection.title,
       summary: localizedSummary(req, collection.summary),
       showTitle: collection.showTitle,
-      gameCount: (collection.games || []).length,
+      gameCount: collectionGameIds(collection).length,
       childs: Array.isArray(collection.childs) ? collection.childs : [],
+      smart: Boolean(collection.smart),
     };
+    if (collection.smart) collectionData.smartRules = collection.smart;
     const localCover = getLocalMediaPath({
       metadataPath,
       resourceId: collection.id,
@@ -307,13 +355,13 @@ function registerCollectionsRoutes(app, requireToken, metadataPath, metadataGame
 
     // metadataPath is already the base path
 
-    // Get games by their IDs from the collection
-    const gameIds = collection.games || [];
+    // Get games by their IDs from the collection (or matching its rules for a smart collection)
+    const gameIds = collectionGameIds(collection);
     const collectionGames = [];
 
     gameIds.forEach((gameId) => {
       const game = allGames[gameId];
-      if (game) {
+      if (game && isGameAllowedByContentFilter(game, req.contentFilter)) {
         const similarGamesResolved = (game.similarGames && Array.isArray(game.similarGames) && game.similarGames.length > 0)
           ? game.similarGames.map((id) => ({ id: Number(id), name: (allGames[id] && allGames[id].title) ? String(allGames[id].title) : String(id) }))
           : null;
@@ -361,7 +409,7 @@ function registerCollectionsRoutes(app, requireToken, metadataPath, metadataGame
   });
 
   // Endpoint: update games order for a collection
-  app.put("/collections/:id/games/order", requireToken, (req, res) => {
+  app.put("/collections/:id/games/order", requireToken, canEditLibrary, (req, res) => {
     const collectionId = req.params.id;
     const { gameIds } = req.body;
     
@@ -392,6 +440,9 @@ function registerCollectionsRoutes(app, requireToken, metadataPath, metadataGame
     }
 
     const collection = collectionsCache[collectionIndex];
+    if (collection.smart) {
+      return res.status(409).json({ error: "Smart collection membership is read-only" });
+    }
     const currentGameIds = collection.games || [];
     const finalGameIds = computeFinalGameIdsForOrder(currentGameIds, uniqueGameIds, allGames);
 
@@ -409,7 +460,7 @@ function registerCollectionsRoutes(app, requireToken, metadataPath, metadataGame
   });
 
   // Endpoint: update collection fields
-  app.put("/collections/:id", requireToken, async (req, res) => {
+  app.put("/collections/:id", requireToken, canEditLibrary, async (req, res) => {
     const collectionId = req.params.id;
     const updates = req.body;
     
@@ -419,7 +470,7 @@ function registerCollectionsRoutes(app, requireToken, metadataPath, metadataGame
     }
     
     // Define allowed fields that can be updated
-    const allowedFields = ['title', 'summary', 'showTitle', 'externalCoverUrl', 'externalBackgroundUrl', 'childs'];
+    const allowedFields = ['title', 'summary', 'showTitle', 'externalCoverUrl', 'externalBackgroundUrl', 'childs', 'smart'];
     
     // Filter updates to only include allowed fields
     const filteredUpdates = Object.keys(updates)
@@ -457,6 +508,16 @@ function registerCollectionsRoutes(app, requireToken, metadataPath, metadataGame
         filteredUpdates.externalBackgroundUrl = t.length > 0 ? t : null;
       }
     }
+    if ("smart" in filteredUpdates) {
+      if (!collection.smart) {
+        return res.status(400).json({ error: "Only smart collections have rules" });
+      }
+      const validated = validateSmartRules(filteredUpdates.smart);
+      if (!validated.ok) {
+        return res.status(400).json({ error: validated.error });
+      }
+      filteredUpdates.smart = validated.value;
+    }
     if ("childs" in filteredUpdates) {
       const rawChilds = filteredUpdates.childs;
       if (!Array.isArray(rawChilds)) {
@@ -503,9 +564,11 @@ function registerCollectionsRoutes(app, requireToken, metadataPath, metadataGame
         title: collection.title,
         summary: localizedSummary(req, collection.summary),
         showTitle: collection.showTitle,
-        gameCount: (collection.games || []).length,
+        gameCount: collectionGameIds(collection).length,
         childs: Array.isArray(collection.childs) ? collection.childs : [],
+        smart: Boolean(collection.smart),
       };
+      if (collection.smart) collectionData.smartRules = collection.smart;
       const localCover = getLocalMediaPath({
         metadataPath,
         resourceId: collection.id,
@@ -535,7 +598,7 @@ function registerCollectionsRoutes(app, requireToken, metadataPath, metadataGame
   });
 
   // Endpoint: delete collection
-  app.delete("/collections/:id", requireToken, (req, res) => {
+  app.delete("/collections/:id", requireToken, canEditLibrary, (req, res) => {
     const collectionId = req.params.id;
     
     const collectionIndex = findIndexById(collectionsCache, collectionId);
@@ -576,7 +639,7 @@ function registerCollectionsRoutes(app, requireToken, metadataPath, metadataGame
   });
 
   // Endpoint: upload cover image for a collection
-  app.post("/collections/:id/upload-cover", requireToken, upload.single('file'), (req, res) => {
+  app.post("/collections/:id/upload-cover", requireToken, canEditLibrary, upload.single('file'), (req, res) => {
     const collectionId = req.params.id;
     const file = req.file;
     
@@ -610,7 +673,7 @@ function registerCollectionsRoutes(app, requireToken, metadataPath, metadataGame
         summary: localizedSummary(req, collection.summary),
         showTitle: collection.showTitle,
         cover: `/collection-covers/${encodeURIComponent(collection.id)}`,
-        gameCount: (collection.games || []).length,
+        gameCount: collectionGameIds(collection).length,
       };
       const background = getLocalMediaPath({
       metadataPath,
@@ -634,7 +697,7 @@ function registerCollectionsRoutes(app, requireToken, metadataPath, metadataGame
   });
 
   // Endpoint: upload background image for a collection
-  app.post("/collections/:id/upload-background", requireToken, upload.single('file'), (req, res) => {
+  app.post("/collections/:id/upload-background", requireToken, canEditLibrary, upload.single('file'), (req, res) => {
     const collectionId = req.params.id;
     const file = req.file;
     
@@ -668,7 +731,7 @@ function registerCollectionsRoutes(app, requireToken, metadataPath, metadataGame
         summary: localizedSummary(req, collection.summary),
         showTitle: collection.showTitle,
         cover: `/collection-covers/${encodeURIComponent(collection.id)}`,
-        gameCount: (collection.games || []).length,
+        gameCount: collectionGameIds(collection).length,
       };
       const background = getLocalMediaPath({
       metadataPath,
@@ -692,7 +755,7 @@ function registerCollectionsRoutes(app, requireToken, metadataPath, metadataGame
   });
 
   // Endpoint: delete cover image for a collection
-  app.delete("/collections/:id/delete-cover", requireToken, (req, res) => {
+  app.delete("/collections/:id/delete-cover", requireToken, canEditLibrary, (req, res) => {
     const collectionId = req.params.id;
     
     const collection = findById(collectionsCache, collectionId);
@@ -722,7 +785,7 @@ function registerCollectionsRoutes(app, requireToken, metadataPath, metadataGame
           mediaType: 'cover',
           urlPrefix: '/collection-covers'
         }) || undefined,
-        gameCount: (collection.games || []).length,
+        gameCount: collectionGameIds(collection).length,
       };
       const background = getLocalMediaPath({
         metadataPath,
@@ -746,7 +809,7 @@ function registerCollectionsRoutes(app, requireToken, metadataPath, metadataGame
   });
 
   // Endpoint: delete background image for a collection
-  app.delete("/collections/:id/delete-background", requireToken, (req, res) => {
+  app.delete("/collections/:id/delete-background", requireToken, canEditLibrary, (req, res) => {
     const collectionId = req.params.id;
     
     const collection = findById(collectionsCache, collectionId);
@@ -776,7 +839,7 @@ function registerCollectionsRoutes(app, requireToken, metadataPath, metadataGame
           mediaType: 'cover',
           urlPrefix: '/collection-covers'
         }) || undefined,
-        gameCount: (collection.games || []).length,
+        gameCount: collectionGameIds(collection).length,
       };
       const background = getLocalMediaPath({
         metadataPath,
@@ -800,7 +863,7 @@ function registerCollectionsRoutes(app, requireToken, metadataPath, metadataGame
   });
 
   // Endpoint: reload metadata for a single collection
-  app.post("/collections/:id/reload", requireToken, (req, res) => {
+  app.post("/collections/:id/reload", requireToken, canEditLibrary, (req, res) => {
     const collectionId = req.params.id;
     
     try {
@@ -824,7 +887,7 @@ function registerCollectionsRoutes(app, requireToken, metadataPath, metadataGame
         summary: localizedSummary(req, entry.summary),
         showTitle: entry.showTitle,
         cover: `/collection-covers/${encodeURIComponent(String(entry.id))}`,
-        gameCount: (entry.games || []).length,
+        gameCount: collectionGameIds(entry).length,
         childs: Array.isArray(entry.childs) ? entry.childs : [],
       };
       const localCover = getLocalMediaPath({
@@ -855,7 +918,7 @@ function registerCollectionsRoutes(app, requireToken, metadataPath, metadataGame
     }
   });
 
-  app.post("/collections/:id/childs/:childId", requireToken, (req, res) => {
+  app.post("/collections/:id/childs/:childId", requireToken, canEditLibrary, (req, res) => {
     const id = normalizeId(req.params.id);
     const childId = normalizeId(req.params.childId);
     const added = addChildToItem(metadataPath, CONTENT_FOLDER, id, childId);
@@ -866,7 +929,7 @@ function registerCollectionsRoutes(app, requireToken, metadataPath, metadataGame
     return res.json({ status: "success" });
   });
 
-  app.delete("/collections/:id/childs/:childId", requireToken, (req, res) => {
+  app.delete("/collections/:id/childs/:childId", requireToken, canEditLibrary, (req, res) => {
     const id = normalizeId(req.params.id);
     const childId = normalizeId(req.params.childId);
     const removed = removeChildFromItem(metadataPath, CONTENT_FOLDER, id, childId);
@@ -0,0 +1,85 @@
+"use strict";
+
+const { PERMISSIONS, requirePermission } = require("../utils/permissions");
+const {
+  CONFLICT_POLICIES,
+  validateSystems,
+  loadSystems,
+  saveSystems,
+  importGamelists,
+  exportGamelists,
+} = require("../utils/emulationStation");
+
+/**
+ * @param {import('express').Express} app
+ * @param {{ metadataPath: string, requireAdmin: import('express').RequestHandler, reloadAll: () => object }} deps
+ */
+function registerEmulationStationRoutes(app, deps) {
+  const { metadataPath, requireAdmin, reloadAll } = deps;
+  const canManageScripts = requirePermission(PERMISSIONS.MANAGE_SCRIPTS);
+
+  /** { systemId?, onConflict? } of an import / export request, or an error message. */
+  const parseSyncOptions = (body) => {
+    const { systemId = null, onConflict = "library" } = body || {};
+    if (!CONFLICT_POLICIES.includes(onConflict)) {
+      return { error: `onConflict must be one of ${CONFLICT_POLICIES.join(", ")}` };
+    }
+    if (systemId !== null && !loadSystems(metadataPath).some((system) => system.id === systemId)) {
+      return { error: "System not found", status: 404 };
+    }
+    return { options: { systemId, onConflict } };
+  };
+
+  // Endpoint: configured EmulationStation systems
+  app.get("/emulationstation/systems", requireAdmin, canManageScripts, (req, res) => {
+    res.json({ systems: loadSystems(metadataPath) });
+  });
+
+  // Endpoint: replace the systems ({ systems: [{ id?, romsPath, gamelistPath?, platformId?, emulator? }] })
+  app.put("/emulationstation/systems", requireAdmin, canManageScripts, (req, res) => {
+    const validated = validateSystems(req.body);
+    if (!validated.ok) {
+      return res.status(400).json({ error: validated.error });
+    }
+    try {
+      res.json({ systems: saveSystems(metadataPath, validated.value.systems) });
+    } catch (e) {
+      console.error("Failed to save EmulationStation systems:", e.message);
+      res.status(500).json({ error: "Failed to save EmulationStation systems", detail: e.message });
+    }
+  });
+
+  // Endpoint: merge gamelist.xml metadata and media into the library
+  app.post("/emulationstation/import", requireAdmin, canManageScripts, (req, res) => {
+    const parsed = parseSyncOptions(req.body);
+    if (parsed.error) {
+      return res.status(parsed.status || 400).json({ error: parsed.error });
+    }
+    try {
+      const report = importGamelists(metadataPath, parsed.options);
+      const changed = report.added.length > 0 || report.updated.length > 0 || report.media > 0;
+      res.json({ ...report, reloaded: changed ? reloadAll() : null });
+    } catch (e) {
+      console.error("EmulationStation import failed:", e.message);
+      res.status(500).json({ error: "EmulationStation import failed", detail: e.message });
+    }
+  });
+
+  // Endpoint: write library metadata to the gamelist.xml files
+  app.post("/emulationstation/export", requireAdmin, canManageScripts, (req, res) => {
+    const parsed = parseSyncOptions(req.body);
+    if (parsed.error) {
+      return res.status(parsed.status || 400).json({ error: parsed.error });
+    }
+    try {
+      res.json(exportGamelists(metadataPath, parsed.options));
+    } catch (e) {
+      console.error("EmulationStation export failed:", e.message);
+      res.status(500).json({ error: "EmulationStation export failed", detail: e.message });
+    }
+  });
+}
+
+module.exports = {
+  registerEmulationStationRoutes,
+};
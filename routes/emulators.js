@@ -0,0 +1,79 @@
+"use strict";
+
+const { PERMISSIONS, requirePermission } = require("../utils/permissions");
+const {
+  validateEmulator,
+  listEmulators,
+  getEmulator,
+  saveEmulator,
+  deleteEmulator,
+} = require("../utils/emulators");
+
+/**
+ * @param {import('express').Express} app
+ * @param {{ metadataPath: string, requireAdmin: import('express').RequestHandler }} deps
+ */
+function registerEmulatorRoutes(app, deps) {
+  const { metadataPath, requireAdmin } = deps;
+  const canManageScripts = requirePermission(PERMISSIONS.MANAGE_SCRIPTS);
+
+  // Endpoint: emulator definitions (sorted by name)
+  app.get("/emulators", requireAdmin, canManageScripts, (req, res) => {
+    res.json({ emulators: listEmulators(metadataPath) });
+  });
+
+  app.get("/emulators/:emulatorId", requireAdmin, canManageScripts, (req, res) => {
+    const emulator = getEmulator(metadataPath, req.params.emulatorId);
+    if (!emulator) {
+      return res.status(404).json({ error: "Emulator not found" });
+    }
+    res.json({ emulator });
+  });
+
+  // Endpoint: add an emulator ({ id?, name, command, args?, config?, cwd?, env?, platformIds? })
+  app.post("/emulators", requireAdmin, canManageScripts, (req, res) => {
+    const validated = validateEmulator(req.body);
+    if (!validated.ok) {
+      return res.status(400).json({ error: validated.error });
+    }
+    if (getEmulator(metadataPath, validated.value.id)) {
+      return res.status(409).json({ error: "Emulator already exists", id: validated.value.id });
+    }
+    try {
+      res.status(201).json({ emulator: saveEmulator(metadataPath, validated.value) });
+    } catch (e) {
+      console.error("Failed to save emulator:", e.message);
+      res.status(500).json({ error: "Failed to save emulator", detail: e.message });
+    }
+  });
+
+  // Endpoint: replace an emulator definition; games using it pick the change up on their next launch
+  app.put("/emulators/:emulatorId", requireAdmin, canManageScripts, (req, res) => {
+    const { emulatorId } = req.params;
+    if (!getEmulator(metadataPath, emulatorId)) {
+      return res.status(404).json({ error: "Emulator not found" });
+    }
+    const validated = validateEmulator(req.body, { id: emulatorId });
+    if (!validated.ok) {
+      return res.status(400).json({ error: validated.error });
+    }
+    try {
+      res.json({ emulator: saveEmulator(metadataPath, validated.value) });
+    } catch (e) {
+      console.error(`Failed to save emulator ${emulatorId}:`, e.message);
+      res.status(500).json({ error: "Failed to save emulator", detail: e.message });
+    }
+  });
+
+  app.delete("/emulators/:emulatorId", requireAdmin, canManageScripts, (req, res) => {
+    const { emulatorId } = req.params;
+    if (!deleteEmulator(metadataPath, emulatorId)) {
+      return res.status(404).json({ error: "Emulator not found" });
+    }
+    res.json({ status: "deleted", id: emulatorId });
+  });
+}
+
+module.exports = {
+  registerEmulatorRoutes,
+};
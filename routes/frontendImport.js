@@ -0,0 +1,94 @@
+"use strict";
+
+const { PERMISSIONS, requirePermission } = require("../utils/permissions");
+const { personalUserKey } = require("../utils/personalGameState");
+const { ensureCompanyRoleEntry, saveRoleItem } = require("../utils/companyStorage");
+const { createLocalItemIds } = require("../utils/localItemIds");
+const { validateFrontendImport, listImportProgress, importFrontendLibrary } = require("../utils/frontendImport");
+const {
+  ensureCategoriesExistBatch,
+  normalizeCategoryFieldToIds,
+  addGameToTag: addGameToCategory,
+} = require("./categories");
+const {
+  ensurePlatformsExistBatch,
+  normalizePlatformFieldToIds,
+  addGameToTag: addGameToPlatform,
+} = require("./platforms");
+const { ensureSeriesExistBatch } = require("./series");
+
+/**
+ * Link imported games to platforms, categories, companies and series by name, creating the
+ * missing ones (see localItemIds.js for the ids new companies and series get).
+ */
+function createLibraryLinker(metadataPath) {
+  const localIds = createLocalItemIds(metadataPath);
+
+  const linkTags = (titles, ensureBatch, normalizeToIds, addGameTo, gameId) => {
+    if (titles.length === 0) return;
+    ensureBatch(metadataPath, titles);
+    for (const id of normalizeToIds(metadataPath, titles) || []) addGameTo(metadataPath, id, gameId);
+  };
+
+  const linkCompanies = (roleFolder, names, gameId) => {
+    for (const name of names) {
+      const entry = ensureCompanyRoleEntry(metadataPath, roleFolder, localIds.company(name), { title: name });
+      const games = entry && Array.isArray(entry.games) ? entry.games : [];
+      if (entry && !games.some((id) => Number(id) === gameId)) saveRoleItem(metadataPath, roleFolder, { ...entry, games: [...games, gameId] });
+    }
+  };
+
+  return async (gameId, record) => {
+    linkTags(record.platforms, ensurePlatformsExistBatch, normalizePlatformFieldToIds, addGameToPlatform, gameId);
+    linkTags(record.genres, ensureCategoriesExistBatch, normalizeCategoryFieldToIds, addGameToCategory, gameId);
+    linkCompanies("developers", record.developers, gameId);
+    linkCompanies("publishers", record.publishers, gameId);
+    const series = record.series.map((name) => ({ id: localIds.series(name), name }));
+    if (series.length > 0) ensureSeriesExistBatch(metadataPath, series, gameId);
+  };
+}
+
+/**
+ * @param {import('express').Express} app
+ * @param {{ metadataPath: string, requireAdmin: import('express').RequestHandler, reloadAll: () => object }} deps
+ */
+function registerFrontendImportRoutes(app, deps) {
+  const { metadataPath, requireAdmin, reloadAll } = deps;
+  const canManageScripts = requirePermission(PERMISSIONS.MANAGE_SCRIPTS);
+  let importing = false;
+
+  // Endpoint: saved progress of Playnite / LaunchBox imports
+  app.get("/frontend-import/progress", requireAdmin, canManageScripts, (req, res) => {
+    res.json({ imports: listImportProgress(metadataPath) });
+  });
+
+  // Endpoint: import a Playnite export or LaunchBox folder ({ source, path, mediaPath?, dryRun?, restart? })
+  app.post("/frontend-import", requireAdmin, canManageScripts, async (req, res) => {
+    const validated = validateFrontendImport(req.body);
+    if (!validated.ok) {
+      return res.status(400).json({ error: validated.error });
+    }
+    if (importing) {
+      return res.status(409).json({ error: "A frontend import is already running" });
+    }
+    importing = true;
+    try {
+      const options = { ...validated.value, userKey: personalUserKey(req.user) };
+      const report = await importFrontendLibrary(metadataPath, options, createLibraryLinker(metadataPath));
+      const reloaded = report.created.length > 0 && !report.dryRun ? reloadAll() : null;
+      res.json({ ...report, reloaded });
+    } catch (e) {
+      if (e.status === 400) {
+        return res.status(400).json({ error: e.message });
+      }
+      console.error("Frontend import failed:", e.message);
+      res.status(500).json({ error: "Frontend import failed", detail: e.message });
+    } finally {
+      importing = false;
+    }
+  });
+}
+
+module.exports = {
+  registerFrontendImportRoutes,
+};
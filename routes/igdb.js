@@ -4,7 +4,14 @@
 const https = require("https");
 const { coerceToGameTypeId } = require("../utils/gameType");
 const { fetchRemoteCompanyStoragePatch } = require("../utils/catalogCompany");
-const { requireTwitchAppCredentials } = require("../utils/twitchAppCredentials");
+const {
+  catalogApiCredentialsError,
+  requireTwitchAppCredentials,
+  resolveTwitchAppCredentialsForServerIgdb,
+} = require("../utils/twitchAppCredentials");
+const { registerMetadataProvider } = require("../utils/metadataProviders");
+const { queryIgdb, emptyOnIgdbApiError } = require("../utils/igdbClient");
+const { OFFLINE_ACCESS_TOKEN, isIgdbOfflineMode } = require("../utils/igdbCache");
 const { resolveRequestLocale } = require("../utils/metadataLocale");
 const {
   applyTranslatedSummariesToGames,
@@ -15,7 +22,9 @@ const {
 const igdbTokenCache = new Map();
 
 /**
- * Get IGDB access token (with caching per clientId)
+ * Get IGDB access token (with caching per clientId).
+ * In offline mode, or when Twitch cannot be reached, returns OFFLINE_ACCESS_TOKEN so that
+ * queries are answered from the IGDB cache only.
  * @param {string} clientId - Twitch Client ID
  * @param {string} clientSecret - Twitch Client Secret
  * @returns {Promise<string>} Access token
@@ -25,6 +34,10 @@ async function getIGDBAccessToken(clientId, clientSecret) {
     throw new Error("IGDB credentials (clientId and clientSecret) are required");
   }
 
+  if (isIgdbOfflineMode()) {
+    return OFFLINE_ACCESS_TOKEN;
+  }
+
   // Check cache for this specific clientId
   const cacheKey = clientId;
   const cached = igdbTokenCache.get(cacheKey);
@@ -68,7 +81,10 @@ async function getIGDBAccessToken(clientId, clientSecret) {
       });
     });
 
-    req.on("error", reject);
+    req.on("error", (err) => {
+      console.warn(`Twitch token request failed (${err.message}); answering IGDB queries from the cache`);
+      resolve(OFFLINE_ACCESS_TOKEN);
+    });
     req.write(postData);
     req.end();
   });
@@ -91,40 +107,7 @@ function runIGDBSearch(searchQuery, accessToken, clientId, yearToFilter) {
   }
   postData += ` limit 20;`;
 
-  const options = {
-    hostname: "api.igdb.com",
-    path: "/v4/games",
-    method: "POST",
-    headers: {
-      "Client-ID": clientId,
-      Authorization: `Bearer ${accessToken}`,
-      "Content-Type": "text/plain",
-      "Content-Length": Buffer.byteLength(postData),
-    },
-  };
-
-  return new Promise((resolve, reject) => {
-    const req = https.request(options, (res) => {
-      let data = "";
-      if (res.statusCode !== 200) {
-        res.on("data", (chunk) => { data += chunk; });
-        res.on("end", () => reject(new Error(`IGDB API error ${res.statusCode}: ${data}`)));
-        return;
-      }
-      res.on("data", (chunk) => { data += chunk; });
-      res.on("end", () => {
-        try {
-          const games = JSON.parse(data);
-          resolve(Array.isArray(games) ? games : []);
-        } catch (e) {
-          reject(e);
-        }
-      });
-    });
-    req.on("error", reject);
-    req.write(postData);
-    req.end();
-  });
+  return queryIgdb("games", postData, accessToken, clientId);
 }
 
 /**
@@ -137,40 +120,30 @@ function runIGDBSearch(searchQuery, accessToken, clientId, yearToFilter) {
 function runIGDBGameById(id, accessToken, clientId) {
   const postData = `fields id,name,summary,cover.url,first_release_date,genres.name,rating,aggregated_rating,collections.name,franchises.name,game_type; where id = ${id}; limit 1;`;
 
-  const options = {
-    hostname: "api.igdb.com",
-    path: "/v4/games",
-    method: "POST",
-    headers: {
-      "Client-ID": clientId,
-      Authorization: `Bearer ${accessToken}`,
-      "Content-Type": "text/plain",
-      "Content-Length": Buffer.byteLength(postData),
-    },
-  };
+  return queryIgdb("games", postData, accessToken, clientId);
+}
 
-  return new Promise((resolve, reject) => {
-    const req = https.request(options, (res) => {
-      let data = "";
-      if (res.statusCode !== 200) {
-        res.on("data", (chunk) => { data += chunk; });
-        res.on("end", () => reject(new Error(`IGDB API error ${res.statusCode}: ${data}`)));
-        return;
-      }
-      res.on("data", (chunk) => { data += chunk; });
-      res.on("end", () => {
-        try {
-          const games = JSON.parse(data);
-          resolve(Array.isArray(games) ? games : []);
-        } catch (e) {
-          reject(e);
-        }
-      });
-    });
-    req.on("error", reject);
-    req.write(postData);
-    req.end();
-  });
+/** Search result shape of /igdb/search for one raw runIGDBSearch / runIGDBGameById game. */
+function formatIGDBSearchGame(game) {
+  const { formatIGDBReleaseDate } = require("../utils/dateUtils");
+  const { releaseDate, releaseDateFull } = formatIGDBReleaseDate(game.first_release_date);
+  const typeId = coerceToGameTypeId(game.game_type);
+  return {
+    id: game.id,
+    name: game.name,
+    summary: game.summary || "",
+    cover: game.cover
+      ? `https:${game.cover.url.replace("t_thumb", "t_1080p").replace("t_cover_big", "t_1080p")}`
+      : null,
+    releaseDate,
+    releaseDateFull,
+    genres: game.genres ? game.genres.map((g) => g.name || g).filter(Boolean) : [],
+    criticRating: game.aggregated_rating ? Math.round(game.aggregated_rating / 10) : null,
+    userRating: game.rating ? Math.round(game.rating / 10) : null,
+    series: (game.collections || []).map((c) => ({ id: c.id, name: c.name || "" })).filter((c) => c.name),
+    franchise: (game.franchises || []).map((f) => ({ id: f.id, name: f.name || "" })).filter((f) => f.name),
+    ...(typeId != null ? { type: typeId } : {}),
+  };
 }
 
 /**
@@ -184,40 +157,7 @@ async function fetchIGDBGameSummaryAndKeywords(id, accessToken, clientId) {
   }
 
   const postData = `fields summary,keywords.name; where id = ${numericId}; limit 1;`;
-  const options = {
-    hostname: "api.igdb.com",
-    path: "/v4/games",
-    method: "POST",
-    headers: {
-      "Client-ID": clientId,
-      Authorization: `Bearer ${accessToken}`,
-      "Content-Type": "text/plain",
-      "Content-Length": Buffer.byteLength(postData),
-    },
-  };
-
-  const games = await new Promise((resolve, reject) => {
-    const req = https.request(options, (res) => {
-      let data = "";
-      if (res.statusCode !== 200) {
-        res.on("data", (chunk) => { data += chunk; });
-        res.on("end", () => reject(new Error(`IGDB API error ${res.statusCode}: ${data}`)));
-        return;
-      }
-      res.on("data", (chunk) => { data += chunk; });
-      res.on("end", () => {
-        try {
-          const parsed = JSON.parse(data);
-          resolve(Array.isArray(parsed) ? parsed : []);
-        } catch (e) {
-          reject(e);
-        }
-      });
-    });
-    req.on("error", reject);
-    req.write(postData);
-    req.end();
-  });
+  const games = await queryIgdb("games", postData, accessToken, clientId);
 
   const game = games[0];
   if (!game) return { summary: "", keywords: [] };
@@ -244,45 +184,14 @@ function fetchIGDBGameNamesByIds(ids, accessToken, clientId) {
 
   const postData = `fields id,name; where id = (${uniqueIds.join(",")});`;
 
-  const options = {
-    hostname: "api.igdb.com",
-    path: "/v4/games",
-    method: "POST",
-    headers: {
-      "Client-ID": clientId,
-      Authorization: `Bearer ${accessToken}`,
-      "Content-Type": "text/plain",
-      "Content-Length": Buffer.byteLength(postData),
-    },
-  };
-
-  return new Promise((resolve, reject) => {
-    const req = https.request(options, (res) => {
-      let data = "";
-      if (res.statusCode !== 200) {
-        res.on("data", (chunk) => { data += chunk; });
-        res.on("end", () => reject(new Error(`IGDB API error ${res.statusCode}: ${data}`)));
-        return;
+  return queryIgdb("games", postData, accessToken, clientId).then((games) => {
+    const map = new Map();
+    games.forEach((g) => {
+      if (g != null && g.id != null && g.name != null) {
+        map.set(Number(g.id), String(g.name).trim());
       }
-      res.on("data", (chunk) => { data += chunk; });
-      res.on("end", () => {
-        try {
-          const games = JSON.parse(data);
-          const map = new Map();
-          (Array.isArray(games) ? games : []).forEach((g) => {
-            if (g != null && g.id != null && g.name != null) {
-              map.set(Number(g.id), String(g.name).trim());
-            }
-          });
-          resolve(map);
-        } catch (e) {
-          reject(e);
-        }
-      });
     });
-    req.on("error", reject);
-    req.write(postData);
-    req.end();
+    return map;
   });
 }
 
@@ -300,65 +209,224 @@ function fetchIGDBGameDetailsByIds(ids, accessToken, clientId) {
 
   const postData = `fields id,name,cover.url,first_release_date; where id = (${uniqueIds.join(",")});`;
 
-  const options = {
-    hostname: "api.igdb.com",
-    path: "/v4/games",
-    method: "POST",
-    headers: {
-      "Client-ID": clientId,
-      Authorization: `Bearer ${accessToken}`,
-      "Content-Type": "text/plain",
-      "Content-Length": Buffer.byteLength(postData),
-    },
-  };
-
-  return new Promise((resolve, reject) => {
-    const req = https.request(options, (res) => {
-      let data = "";
-      if (res.statusCode !== 200) {
-        res.on("data", (chunk) => { data += chunk; });
-        res.on("end", () => reject(new Error(`IGDB API error ${res.statusCode}: ${data}`)));
-        return;
-      }
-      res.on("data", (chunk) => { data += chunk; });
-      res.on("end", () => {
-        try {
-          const games = JSON.parse(data);
-          const map = new Map();
-          const { formatIGDBReleaseDate } = require("../utils/dateUtils");
-          (Array.isArray(games) ? games : []).forEach((g) => {
-            if (g != null && g.id != null && g.name != null) {
-              let coverUrl = g.cover && g.cover.url ? String(g.cover.url).trim() : null;
-              if (coverUrl) {
-                if (coverUrl.startsWith("//")) coverUrl = `https:${coverUrl}`;
-                coverUrl = coverUrl.replace("t_thumb", "t_1080p").replace("t_cover_small", "t_1080p").replace("t_cover_big", "t_1080p");
-              }
-              const { releaseDate } = formatIGDBReleaseDate(g.first_release_date);
-              map.set(Number(g.id), {
-                name: String(g.name).trim(),
-                cover: coverUrl || undefined,
-                releaseDate: releaseDate ?? undefined,
-              });
-            }
-          });
-          resolve(map);
-        } catch (e) {
-          reject(e);
+  return queryIgdb("games", postData, accessToken, clientId).then((games) => {
+    const map = new Map();
+    const { formatIGDBReleaseDate } = require("../utils/dateUtils");
+    games.forEach((g) => {
+      if (g != null && g.id != null && g.name != null) {
+        let coverUrl = g.cover && g.cover.url ? String(g.cover.url).trim() : null;
+        if (coverUrl) {
+          if (coverUrl.startsWith("//")) coverUrl = `https:${coverUrl}`;
+          coverUrl = coverUrl.replace("t_thumb", "t_1080p").replace("t_cover_small", "t_1080p").replace("t_cover_big", "t_1080p");
         }
-      });
+        const { releaseDate } = formatIGDBReleaseDate(g.first_release_date);
+        map.set(Number(g.id), {
+          name: String(g.name).trim(),
+          cover: coverUrl || undefined,
+          releaseDate: releaseDate ?? undefined,
+        });
+      }
     });
-    req.on("error", reject);
-    req.write(postData);
-    req.end();
+    return map;
+  });
+}
+
+/**
+ * Fetch one IGDB game with everything the library import needs, normalized to the catalog game
+ * payload (English summary; /igdb/game/:igdbId adds the translation).
+ * @param {number|string} igdbId - IGDB game ID
+ * @param {string} accessToken - IGDB access token
+ * @param {string} clientId - Twitch Client ID
+ * @returns {Promise<object|null>} null when IGDB has no such game; rejects with err.status on IGDB API errors (see utils/igdbClient.js)
+ */
+function fetchIGDBGameData(igdbId, accessToken, clientId) {
+  const postData = `fields id,name,summary,cover.url,first_release_date,genres.name,themes.name,platforms.name,game_modes.name,player_perspectives.name,websites.url,websites.category,rating,aggregated_rating,artworks.image_id,age_ratings.rating,age_ratings.category,involved_companies.company.id,involved_companies.company.name,involved_companies.company.logo.image_id,involved_companies.company.description,involved_companies.developer,involved_companies.publisher,franchises.name,collections.name,screenshots.image_id,videos.video_id,game_engines.name,keywords.name,alternative_names.name,similar_games.id,similar_games.name,game_type; where id = ${igdbId};`;
+
+  return queryIgdb("games", postData, accessToken, clientId).then((games) => {
+    const game = games[0];
+    if (!game || typeof game !== "object") return null;
+    return formatIGDBGameData(game, accessToken, clientId);
   });
 }
 
+async function formatIGDBGameData(game, accessToken, clientId) {
+  const { formatIGDBReleaseDate } = require("../utils/dateUtils");
+  const { releaseDate, releaseDateFull } = formatIGDBReleaseDate(game.first_release_date);
+  
+  // Build background URL from artworks (use first artwork if available)
+  let backgroundUrl = null;
+  if (game.artworks && game.artworks.length > 0 && game.artworks[0].image_id) {
+    backgroundUrl = `https://images.igdb.com/igdb/image/upload/t_1080p/${game.artworks[0].image_id}.jpg`;
+  }
+  
+  // Process age ratings
+  // IGDB returns only IDs, so we need to fetch details separately
+  let ageRatings = [];
+  if (game.age_ratings && game.age_ratings.length > 0) {
+    const ageRatingIds = game.age_ratings.map((ar) => ar.id || ar).filter((id) => id);
+    if (ageRatingIds.length > 0) {
+      try {
+        // Fetch age rating details from IGDB
+        // Note: IGDB uses 'organization' for category and 'rating_category' for rating
+        const ageRatingPostData = `fields organization,rating_category; where id = (${ageRatingIds.join(',')});`;
+        const ageRatingData = await queryIgdb("age_ratings", ageRatingPostData, accessToken, clientId);
+
+        // IGDB uses 'organization' for category (ESRB, PEGI, etc.) and 'rating_category' for the rating value
+        // organization: 1=ESRB, 2=PEGI, 3=CERO, 4=USK, 5=GRAC, 6=CLASS_IND, 7=ACB
+        // rating_category: This is the rating ID that maps to specific rating values per organization
+        ageRatings = Array.isArray(ageRatingData) ? ageRatingData
+          .filter((ar) => ar && typeof ar.organization === 'number' && typeof ar.rating_category === 'number')
+          .map((ar) => ({
+            category: ar.organization, // organization maps to category (1=ESRB, 2=PEGI, etc.)
+            rating: ar.rating_category, // rating_category is the rating ID/value
+          })) : [];
+      } catch (ageRatingError) {
+        console.error('Failed to fetch age rating details:', ageRatingError.message, ageRatingError.stack);
+        // Continue without age ratings
+      }
+    }
+  }
+
+  // Process involved companies — return { id, name, logo?, description? } for import-game
+  const developers = game.involved_companies
+    ? game.involved_companies
+        .filter((ic) => ic.developer && ic.company)
+        .map((ic) => {
+          const c = ic.company;
+          if (!c || !c.id || !c.name) return null;
+          return { id: c.id, name: c.name || "", logo: c.logo?.image_id ? `https://images.igdb.com/igdb/image/upload/t_1080p/${c.logo.image_id}.png` : null, description: c.description || "" };
+        })
+        .filter(Boolean)
+    : [];
+  const publishers = game.involved_companies
+    ? game.involved_companies
+        .filter((ic) => ic.publisher && ic.company)
+        .map((ic) => {
+          const c = ic.company;
+          if (!c || !c.id || !c.name) return null;
+          return { id: c.id, name: c.name || "", logo: c.logo?.image_id ? `https://images.igdb.com/igdb/image/upload/t_1080p/${c.logo.image_id}.png` : null, description: c.description || "" };
+        })
+        .filter(Boolean)
+    : [];
+
+  // Process screenshots
+  const screenshots = game.screenshots
+    ? game.screenshots.map((s) => `https://images.igdb.com/igdb/image/upload/t_1080p/${s.image_id}.jpg`).filter(Boolean)
+    : [];
+
+  // Process videos
+  const videos = game.videos
+    ? game.videos.map((v) => `https://www.youtube.com/embed/${v.video_id}`).filter(Boolean)
+    : [];
+
+  // Process similar games
+  const similarGames = game.similar_games
+    ? game.similar_games.map((sg) => ({ id: sg.id, name: sg.name || '' })).filter((sg) => sg.name)
+    : [];
+
+  const gameTypeId = coerceToGameTypeId(game.game_type);
+
+  const gameData = {
+    id: game.id,
+    name: game.name,
+    summary: game.summary || "",
+    cover: game.cover
+      ? `https:${game.cover.url.replace("t_thumb", "t_1080p").replace("t_cover_big", "t_1080p")}`
+      : null,
+    background: backgroundUrl,
+    releaseDate,
+    releaseDateFull,
+    genres: game.genres ? game.genres.map((g) => g.name || g).filter(Boolean) : [],
+    themes: game.themes ? game.themes.map((t) => ({ id: t.id, name: t.name || String(t) })).filter((t) => t.id != null || t.name) : [],
+    platforms: game.platforms ? game.platforms.map((p) => ({ id: p.id, name: p.name || String(p) })).filter((p) => p.id != null || p.name) : [],
+    gameModes: game.game_modes ? game.game_modes.map((m) => ({ id: m.id, name: m.name || String(m) })).filter((m) => m.id != null || m.name) : [],
+    playerPerspectives: game.player_perspectives ? game.player_perspectives.map((p) => ({ id: p.id, name: p.name || String(p) })).filter((p) => p.id != null || p.name) : [],
+    websites: game.websites ? game.websites.map((w) => ({ url: w.url, category: w.category })).filter((w) => w.url) : [],
+    ageRatings: ageRatings.length > 0 ? ageRatings : undefined,
+    developers: developers.length > 0 ? developers.map((d) => ({ id: d.id, name: d.name, logo: d.logo, description: d.description })) : undefined,
+    publishers: publishers.length > 0 ? publishers.map((p) => ({ id: p.id, name: p.name, logo: p.logo, description: p.description })) : undefined,
+    franchise: (game.franchises || []).map((f) => ({ id: f.id, name: f.name || "" })).filter((f) => f.name),
+    collection: (game.collections || []).map((c) => ({ id: c.id, name: c.name || "" })).filter((c) => c.name),
+    series: (game.collections || []).map((c) => ({ id: c.id, name: c.name || "" })).filter((c) => c.name),
+    screenshots: screenshots.length > 0 ? screenshots : undefined,
+    videos: videos.length > 0 ? videos : undefined,
+    gameEngines: game.game_engines ? game.game_engines.map((e) => ({ id: e.id, name: e.name || String(e) })).filter((e) => e.id != null || e.name) : undefined,
+    keywords: game.keywords ? game.keywords.map((k) => k.name || k).filter(Boolean) : undefined,
+    alternativeNames: game.alternative_names ? game.alternative_names.map((an) => an.name || an).filter(Boolean) : undefined,
+    similarGames: similarGames.length > 0 ? similarGames : undefined,
+    criticRating: game.rating !== undefined && game.rating !== null ? game.rating : null,
+    userRating: game.aggregated_rating !== undefined && game.aggregated_rating !== null ? game.aggregated_rating : null,
+    ...(gameTypeId != null ? { type: gameTypeId } : {}),
+  };
+
+  return gameData;
+}
+
+/**
+ * IGDB behind the metadata provider interface (see utils/metadataProviders.js). Credentials are
+ * resolved from the request like the other server-initiated IGDB calls.
+ */
+function createIGDBMetadataProvider() {
+  const fail = (message, status) => {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+  };
+  const session = async (ctx) => {
+    const creds = resolveTwitchAppCredentialsForServerIgdb(ctx.req);
+    if (!creds.clientId || !creds.clientSecret) throw fail(catalogApiCredentialsError(), 400);
+    return { accessToken: await getIGDBAccessToken(creds.clientId, creds.clientSecret), clientId: creds.clientId };
+  };
+  const igdbId = (id) => {
+    const n = Number(id);
+    if (!Number.isInteger(n) || n < 1) throw fail("Invalid IGDB id", 400);
+    return n;
+  };
+
+  return {
+    id: "igdb",
+    label: "IGDB",
+    async search(query, ctx) {
+      const { accessToken, clientId } = await session(ctx);
+      const games = await runIGDBSearch(String(query).replace(/"/g, ""), accessToken, clientId, null);
+      return games.map(formatIGDBSearchGame);
+    },
+    async getGame(gameId, ctx) {
+      const id = igdbId(gameId);
+      const { accessToken, clientId } = await session(ctx);
+      return fetchIGDBGameData(id, accessToken, clientId);
+    },
+    async getCompany(companyId, ctx) {
+      const id = igdbId(companyId);
+      const { accessToken, clientId } = await session(ctx);
+      return fetchRemoteCompanyStoragePatch(id, "", accessToken, clientId);
+    },
+    async getRelatedGames(gameId, ctx) {
+      const id = igdbId(gameId);
+      const { accessToken, clientId } = await session(ctx);
+      const game = await fetchIGDBGameData(id, accessToken, clientId);
+      if (!game || !game.similarGames) return [];
+      const details = await fetchIGDBGameDetailsByIds(game.similarGames.map((g) => g.id), accessToken, clientId);
+      return [...details].map(([similarId, d]) => ({
+        id: similarId,
+        name: d.name,
+        summary: "",
+        cover: d.cover || null,
+        releaseDate: d.releaseDate ?? null,
+        genres: [],
+      }));
+    },
+  };
+}
+
 /**
  * Register IGDB routes
  * @param {express.App} app - Express app instance
  * @param {Function} requireToken - Authentication middleware
  */
 function registerIGDBRoutes(app, requireToken, metadataPath) {
+  registerMetadataProvider(createIGDBMetadataProvider());
+
   // Endpoint: search games on IGDB
   const handleSearch = async (req, res) => {
     const rawQuery = (req.method === "POST" && req.body && typeof req.body.query === "string")
@@ -443,27 +511,7 @@ function registerIGDBRoutes(app, requireToken, metadataPath) {
         }
       }
 
-      const { formatIGDBReleaseDate } = require("../utils/dateUtils");
-      const formattedGames = rawGames.map((game) => {
-        const { releaseDate, releaseDateFull } = formatIGDBReleaseDate(game.first_release_date);
-        const typeId = coerceToGameTypeId(game.game_type);
-        return {
-          id: game.id,
-          name: game.name,
-          summary: game.summary || "",
-          cover: game.cover
-            ? `https:${game.cover.url.replace("t_thumb", "t_1080p").replace("t_cover_big", "t_1080p")}`
-            : null,
-          releaseDate,
-          releaseDateFull,
-          genres: game.genres ? game.genres.map((g) => g.name || g).filter(Boolean) : [],
-          criticRating: game.aggregated_rating ? Math.round(game.aggregated_rating / 10) : null,
-          userRating: game.rating ? Math.round(game.rating / 10) : null,
-          series: (game.collections || []).map((c) => ({ id: c.id, name: c.name || "" })).filter((c) => c.name),
-          franchise: (game.franchises || []).map((f) => ({ id: f.id, name: f.name || "" })).filter((f) => f.name),
-          ...(typeId != null ? { type: typeId } : {}),
-        };
-      });
+      const formattedGames = rawGames.map(formatIGDBSearchGame);
 
       let localizedGames = formattedGames;
       try {
@@ -582,39 +630,7 @@ function registerIGDBRoutes(app, requireToken, metadataPath) {
       const accessToken = await getIGDBAccessToken(clientId, clientSecret);
       const postData = `fields id,name,cover.url,first_release_date; where franchises = (${franchiseId}); limit 100;`;
 
-      const options = {
-        hostname: "api.igdb.com",
-        path: "/v4/games",
-        method: "POST",
-        headers: {
-          "Client-ID": clientId,
-          Authorization: `Bearer ${accessToken}`,
-          "Content-Type": "text/plain",
-          "Content-Length": Buffer.byteLength(postData),
-        },
-      };
-
-      let games = await new Promise((resolve, reject) => {
-        const req2 = https.request(options, (res2) => {
-          let data = "";
-          res2.on("data", (chunk) => { data += chunk; });
-          res2.on("end", () => {
-            try {
-              if (res2.statusCode !== 200) {
-                reject(new Error(`IGDB API error ${res2.statusCode}: ${data}`));
-                return;
-              }
-              const parsed = JSON.parse(data);
-              resolve(Array.isArray(parsed) ? parsed : []);
-            } catch (e) {
-              reject(e);
-            }
-          });
-        });
-        req2.on("error", reject);
-        req2.write(postData);
-        req2.end();
-      });
+      let games = await queryIgdb("games", postData, accessToken, clientId);
 
       if (excludeIds.length > 0) {
         const excludeSet = new Set(excludeIds);
@@ -671,39 +687,7 @@ function registerIGDBRoutes(app, requireToken, metadataPath) {
       const accessToken = await getIGDBAccessToken(clientId, clientSecret);
       const postData = `fields id,name,cover.url,first_release_date; where collections = (${collectionId}); limit 100;`;
 
-      const options = {
-        hostname: "api.igdb.com",
-        path: "/v4/games",
-        method: "POST",
-        headers: {
-          "Client-ID": clientId,
-          Authorization: `Bearer ${accessToken}`,
-          "Content-Type": "text/plain",
-          "Content-Length": Buffer.byteLength(postData),
-        },
-      };
-
-      let games = await new Promise((resolve, reject) => {
-        const req2 = https.request(options, (res2) => {
-          let data = "";
-          res2.on("data", (chunk) => { data += chunk; });
-          res2.on("end", () => {
-            try {
-              if (res2.statusCode !== 200) {
-                reject(new Error(`IGDB API error ${res2.statusCode}: ${data}`));
-                return;
-              }
-              const parsed = JSON.parse(data);
-              resolve(Array.isArray(parsed) ? parsed : []);
-            } catch (e) {
-              reject(e);
-            }
-          });
-        });
-        req2.on("error", reject);
-        req2.write(postData);
-        req2.end();
-      });
+      let games = await queryIgdb("games", postData, accessToken, clientId);
 
       if (excludeIds.length > 0) {
         const excludeSet = new Set(excludeIds);
@@ -770,39 +754,7 @@ function registerIGDBRoutes(app, requireToken, metadataPath) {
       try {
         const accessToken = await getIGDBAccessToken(clientId, clientSecret);
         const postData = `fields id,name,cover.url,first_release_date; where ${igdbField} = (${tagId}); limit 100;`;
-        const options = {
-          hostname: "api.igdb.com",
-          path: "/v4/games",
-          method: "POST",
-          headers: {
-            "Client-ID": clientId,
-            Authorization: `Bearer ${accessToken}`,
-            "Content-Type": "text/plain",
-            "Content-Length": Buffer.byteLength(postData),
-          },
-        };
-
-        let games = await new Promise((resolve, reject) => {
-          const req2 = https.request(options, (res2) => {
-            let data = "";
-            res2.on("data", (chunk) => { data += chunk; });
-            res2.on("end", () => {
-              try {
-                if (res2.statusCode !== 200) {
-                  reject(new Error(`IGDB API error ${res2.statusCode}: ${data}`));
-                  return;
-                }
-                const parsed = JSON.parse(data);
-                resolve(Array.isArray(parsed) ? parsed : []);
-              } catch (e) {
-                reject(e);
-              }
-            });
-          });
-          req2.on("error", reject);
-          req2.write(postData);
-          req2.end();
-        });
+        let games = await queryIgdb("games", postData, accessToken, clientId);
 
         if (excludeIds.length > 0) {
           const excludeSet = new Set(excludeIds);
@@ -854,18 +806,18 @@ function registerIGDBRoutes(app, requireToken, metadataPath) {
   app.post("/igdb/games-by-genre/:tagId", requireToken, createGamesByRelationHandler("genres"));
 
   // By-name: resolve tag name to IGDB id then fetch games (for library-style hash URLs when name is in query or from tagLabels)
-  const igdbTagPathMapForName = {
-    themes: "/v4/themes",
-    platforms: "/v4/platforms",
-    "game-modes": "/v4/game_modes",
-    "player-perspectives": "/v4/player_perspectives",
-    "game-engines": "/v4/game_engines",
-    genres: "/v4/genres",
+  const igdbTagEndpointMapForName = {
+    themes: "themes",
+    platforms: "platforms",
+    "game-modes": "game_modes",
+    "player-perspectives": "player_perspectives",
+    "game-engines": "game_engines",
+    genres: "genres",
   };
 
   function createGamesByRelationByNameHandler(relationRouteKey) {
     const igdbField = igdbRelationFieldMap[relationRouteKey];
-    const tagPath = igdbTagPathMapForName[relationRouteKey];
+    const tagEndpoint = igdbTagEndpointMapForName[relationRouteKey];
     return async (req, res) => {
       const name = (req.body && typeof req.body.name === "string" ? req.body.name : req.params.tagName || "").trim();
       const excludeIds = parseExcludeIds(req);
@@ -882,39 +834,7 @@ function registerIGDBRoutes(app, requireToken, metadataPath) {
         const accessToken = await getIGDBAccessToken(clientId, clientSecret);
         const escapedName = name.replace(/\\/g, "\\\\").replace(/"/g, '\\"');
         const tagPostData = `fields id,name; where name = "${escapedName}"; limit 1;`;
-        const tagOptions = {
-          hostname: "api.igdb.com",
-          path: tagPath,
-          method: "POST",
-          headers: {
-            "Client-ID": clientId,
-            Authorization: `Bearer ${accessToken}`,
-            "Content-Type": "text/plain",
-            "Content-Length": Buffer.byteLength(tagPostData),
-          },
-        };
-
-        const tagResult = await new Promise((resolve, reject) => {
-          const reqTag = https.request(tagOptions, (resTag) => {
-            let data = "";
-            resTag.on("data", (chunk) => { data += chunk; });
-            resTag.on("end", () => {
-              try {
-                if (resTag.statusCode !== 200) {
-                  resolve([]);
-                  return;
-                }
-                const parsed = JSON.parse(data);
-                resolve(Array.isArray(parsed) ? parsed : []);
-              } catch (e) {
-                resolve([]);
-              }
-            });
-          });
-          reqTag.on("error", reject);
-          reqTag.write(tagPostData);
-          reqTag.end();
-        });
+        const tagResult = await queryIgdb(tagEndpoint, tagPostData, accessToken, clientId).catch(emptyOnIgdbApiError);
 
         const tagId = tagResult.length > 0 && tagResult[0].id != null ? tagResult[0].id : null;
         if (tagId == null) {
@@ -923,39 +843,7 @@ function registerIGDBRoutes(app, requireToken, metadataPath) {
         }
 
         const postData = `fields id,name,cover.url,first_release_date; where ${igdbField} = (${tagId}); limit 100;`;
-        const options = {
-          hostname: "api.igdb.com",
-          path: "/v4/games",
-          method: "POST",
-          headers: {
-            "Client-ID": clientId,
-            Authorization: `Bearer ${accessToken}`,
-            "Content-Type": "text/plain",
-            "Content-Length": Buffer.byteLength(postData),
-          },
-        };
-
-        let games = await new Promise((resolve, reject) => {
-          const req2 = https.request(options, (res2) => {
-            let data = "";
-            res2.on("data", (chunk) => { data += chunk; });
-            res2.on("end", () => {
-              try {
-                if (res2.statusCode !== 200) {
-                  reject(new Error(`IGDB API error ${res2.statusCode}: ${data}`));
-                  return;
-                }
-                const parsed = JSON.parse(data);
-                resolve(Array.isArray(parsed) ? parsed : []);
-              } catch (e) {
-                reject(e);
-              }
-            });
-          });
-          req2.on("error", reject);
-          req2.write(postData);
-          req2.end();
-        });
+        let games = await queryIgdb("games", postData, accessToken, clientId);
 
         if (excludeIds.length > 0) {
           const excludeSet = new Set(excludeIds);
@@ -1005,76 +893,14 @@ function registerIGDBRoutes(app, requireToken, metadataPath) {
     const accessToken = await getIGDBAccessToken(clientId, clientSecret);
     const roleField = role === "developer" ? "developer" : "publisher";
     const invPostData = `fields game; where company = (${companyId}) & ${roleField} = true; limit 500;`;
-    const invOptions = {
-      hostname: "api.igdb.com",
-      path: "/v4/involved_companies",
-      method: "POST",
-      headers: {
-        "Client-ID": clientId,
-        Authorization: `Bearer ${accessToken}`,
-        "Content-Type": "text/plain",
-        "Content-Length": Buffer.byteLength(invPostData),
-      },
-    };
-    const invResult = await new Promise((resolve, reject) => {
-      const reqInv = https.request(invOptions, (resInv) => {
-        let data = "";
-        resInv.on("data", (chunk) => { data += chunk; });
-        resInv.on("end", () => {
-          try {
-            if (resInv.statusCode !== 200) {
-              reject(new Error(`IGDB API error ${resInv.statusCode}: ${data}`));
-              return;
-            }
-            const parsed = JSON.parse(data);
-            resolve(Array.isArray(parsed) ? parsed : []);
-          } catch (e) {
-            reject(e);
-          }
-        });
-      });
-      reqInv.on("error", reject);
-      reqInv.write(invPostData);
-      reqInv.end();
-    });
+    const invResult = await queryIgdb("involved_companies", invPostData, accessToken, clientId);
     const gameIds = [...new Set(invResult.map((r) => r.game).filter((id) => id != null))];
     if (gameIds.length === 0) {
       return [];
     }
     const idList = gameIds.slice(0, 100).join(",");
     const postData = `fields id,name,cover.url,first_release_date; where id = (${idList}); limit 100;`;
-    const options = {
-      hostname: "api.igdb.com",
-      path: "/v4/games",
-      method: "POST",
-      headers: {
-        "Client-ID": clientId,
-        Authorization: `Bearer ${accessToken}`,
-        "Content-Type": "text/plain",
-        "Content-Length": Buffer.byteLength(postData),
-      },
-    };
-    let games = await new Promise((resolve, reject) => {
-      const req2 = https.request(options, (res2) => {
-        let data = "";
-        res2.on("data", (chunk) => { data += chunk; });
-        res2.on("end", () => {
-          try {
-            if (res2.statusCode !== 200) {
-              reject(new Error(`IGDB API error ${res2.statusCode}: ${data}`));
-              return;
-            }
-            const parsed = JSON.parse(data);
-            resolve(Array.isArray(parsed) ? parsed : []);
-          } catch (e) {
-            reject(e);
-          }
-        });
-      });
-      req2.on("error", reject);
-      req2.write(postData);
-      req2.end();
-    });
+    let games = await queryIgdb("games", postData, accessToken, clientId);
     if (excludeIds.length > 0) {
       const excludeSet = new Set(excludeIds);
       games = games.filter((g) => !excludeSet.has(g.id));
@@ -1192,38 +1018,7 @@ function registerIGDBRoutes(app, requireToken, metadataPath) {
         const accessToken = await getIGDBAccessToken(clientId, clientSecret);
         const escapedName = name.replace(/\\/g, "\\\\").replace(/"/g, '\\"');
         const companyPostData = `fields id,name; search "${escapedName}"; limit 1;`;
-        const companyOptions = {
-          hostname: "api.igdb.com",
-          path: "/v4/companies",
-          method: "POST",
-          headers: {
-            "Client-ID": clientId,
-            Authorization: `Bearer ${accessToken}`,
-            "Content-Type": "text/plain",
-            "Content-Length": Buffer.byteLength(companyPostData),
-          },
-        };
-        const companyResult = await new Promise((resolve, reject) => {
-          const reqC = https.request(companyOptions, (resC) => {
-            let data = "";
-            resC.on("data", (chunk) => { data += chunk; });
-            resC.on("end", () => {
-              try {
-                if (resC.statusCode !== 200) {
-                  resolve([]);
-                  return;
-                }
-                const parsed = JSON.parse(data);
-                resolve(Array.isArray(parsed) ? parsed : []);
-              } catch (e) {
-                resolve([]);
-              }
-            });
-          });
-          reqC.on("error", reject);
-          reqC.write(companyPostData);
-          reqC.end();
-        });
+        const companyResult = await queryIgdb("companies", companyPostData, accessToken, clientId).catch(emptyOnIgdbApiError);
         const companyId = companyResult.length > 0 && companyResult[0].id != null ? companyResult[0].id : null;
         if (companyId == null) {
           res.setHeader("Content-Type", "application/json");
@@ -1244,20 +1039,20 @@ function registerIGDBRoutes(app, requireToken, metadataPath) {
   app.post("/igdb/games-by-publisher-by-name", requireToken, createGamesByCompanyByNameHandler("publisher"));
 
   // Resolve IGDB tag id to name (for display when tag is not in library)
-  const igdbTagPathMap = {
-    themes: "/v4/themes",
-    platforms: "/v4/platforms",
-    "game-modes": "/v4/game_modes",
-    "player-perspectives": "/v4/player_perspectives",
-    "game-engines": "/v4/game_engines",
-    genres: "/v4/genres",
-    companies: "/v4/companies",
+  const igdbTagEndpointMap = {
+    themes: "themes",
+    platforms: "platforms",
+    "game-modes": "game_modes",
+    "player-perspectives": "player_perspectives",
+    "game-engines": "game_engines",
+    genres: "genres",
+    companies: "companies",
   };
   app.get("/igdb/tag-name/:type/:tagId", requireToken, async (req, res) => {
     const type = req.params.type;
     const tagId = parseInt(req.params.tagId, 10);
-    const pathSuffix = igdbTagPathMap[type];
-    if (!pathSuffix || Number.isNaN(tagId) || tagId < 1) {
+    const endpoint = igdbTagEndpointMap[type];
+    if (!endpoint || Number.isNaN(tagId) || tagId < 1) {
       res.setHeader("Content-Type", "application/json");
       return res.status(400).json({ error: "Invalid type or tag ID" });
     }
@@ -1267,38 +1062,10 @@ function registerIGDBRoutes(app, requireToken, metadataPath) {
     try {
       const accessToken = await getIGDBAccessToken(clientId, clientSecret);
       const postData = `fields name; where id = ${tagId};`;
-      const options = {
-        hostname: "api.igdb.com",
-        path: pathSuffix,
-        method: "POST",
-        headers: {
-          "Client-ID": clientId,
-          Authorization: `Bearer ${accessToken}`,
-          "Content-Type": "text/plain",
-          "Content-Length": Buffer.byteLength(postData),
-        },
-      };
-      const data = await new Promise((resolve, reject) => {
-        const req2 = https.request(options, (res2) => {
-          let body = "";
-          res2.on("data", (chunk) => { body += chunk; });
-          res2.on("end", () => {
-            try {
-              if (res2.statusCode !== 200) {
-                resolve(null);
-                return;
-              }
-              const parsed = JSON.parse(body);
-              resolve(Array.isArray(parsed) && parsed[0] && parsed[0].name ? parsed[0].name : null);
-            } catch (e) {
-              resolve(null);
-            }
-          });
-        });
-        req2.on("error", () => resolve(null));
-        req2.write(postData);
-        req2.end();
-      });
+      const data = await queryIgdb(endpoint, postData, accessToken, clientId).then(
+        (rows) => (rows[0] && rows[0].name ? rows[0].name : null),
+        () => null,
+      );
       res.setHeader("Content-Type", "application/json");
       res.json({ name: data });
     } catch (err) {
@@ -1327,65 +1094,12 @@ function registerIGDBRoutes(app, requireToken, metadataPath) {
 
       // Try 1: filter by exact name (more reliable than search for known keyword names)
       let keywordPostData = `fields id,name; where name = "${escapedKeyword}"; limit 5;`;
-      const keywordOptions = {
-        hostname: "api.igdb.com",
-        path: "/v4/keywords",
-        method: "POST",
-        headers: {
-          "Client-ID": clientId,
-          Authorization: `Bearer ${accessToken}`,
-          "Content-Type": "text/plain",
-          "Content-Length": Buffer.byteLength(keywordPostData),
-        },
-      };
-
-      let keywordsResult = await new Promise((resolve, reject) => {
-        const reqKw = https.request(keywordOptions, (resKw) => {
-          let data = "";
-          resKw.on("data", (chunk) => { data += chunk; });
-          resKw.on("end", () => {
-            try {
-              if (resKw.statusCode !== 200) {
-                resolve([]);
-                return;
-              }
-              const parsed = JSON.parse(data);
-              resolve(Array.isArray(parsed) ? parsed : []);
-            } catch (e) {
-              resolve([]);
-            }
-          });
-        });
-        reqKw.on("error", reject);
-        reqKw.write(keywordPostData);
-        reqKw.end();
-      });
+      let keywordsResult = await queryIgdb("keywords", keywordPostData, accessToken, clientId).catch(emptyOnIgdbApiError);
 
       // Fallback: if no keyword found by name, try search (e.g. different casing in IGDB)
       if (keywordsResult.length === 0) {
         keywordPostData = `search "${escapedKeyword}"; fields id,name; limit 5;`;
-        keywordOptions.headers["Content-Length"] = Buffer.byteLength(keywordPostData);
-        keywordsResult = await new Promise((resolve, reject) => {
-          const reqKw = https.request(keywordOptions, (resKw) => {
-            let data = "";
-            resKw.on("data", (chunk) => { data += chunk; });
-            resKw.on("end", () => {
-              try {
-                if (resKw.statusCode !== 200) {
-                  resolve([]);
-                  return;
-                }
-                const parsed = JSON.parse(data);
-                resolve(Array.isArray(parsed) ? parsed : []);
-              } catch (e) {
-                resolve([]);
-              }
-            });
-          });
-          reqKw.on("error", reject);
-          reqKw.write(keywordPostData);
-          reqKw.end();
-        });
+        keywordsResult = await queryIgdb("keywords", keywordPostData, accessToken, clientId).catch(emptyOnIgdbApiError);
       }
 
       // Fallback 2: try title-case name (e.g. "taste of power" -> "Taste Of Power")
@@ -1396,28 +1110,7 @@ function registerIGDBRoutes(app, requireToken, metadataPath) {
           .join(" ");
         const escapedTitle = titleCase.replace(/\\/g, "\\\\").replace(/"/g, '\\"');
         keywordPostData = `fields id,name; where name = "${escapedTitle}"; limit 5;`;
-        keywordOptions.headers["Content-Length"] = Buffer.byteLength(keywordPostData);
-        keywordsResult = await new Promise((resolve, reject) => {
-          const reqKw = https.request(keywordOptions, (resKw) => {
-            let data = "";
-            resKw.on("data", (chunk) => { data += chunk; });
-            resKw.on("end", () => {
-              try {
-                if (resKw.statusCode !== 200) {
-                  resolve([]);
-                  return;
-                }
-                const parsed = JSON.parse(data);
-                resolve(Array.isArray(parsed) ? parsed : []);
-              } catch (e) {
-                resolve([]);
-              }
-            });
-          });
-          reqKw.on("error", reject);
-          reqKw.write(keywordPostData);
-          reqKw.end();
-        });
+        keywordsResult = await queryIgdb("keywords", keywordPostData, accessToken, clientId).catch(emptyOnIgdbApiError);
       }
 
       const keywordId = keywordsResult.length > 0 && keywordsResult[0].id != null ? keywordsResult[0].id : null;
@@ -1427,39 +1120,7 @@ function registerIGDBRoutes(app, requireToken, metadataPath) {
       }
 
       const postData = `fields id,name,cover.url,first_release_date; where keywords = (${keywordId}); limit 50;`;
-      const options = {
-        hostname: "api.igdb.com",
-        path: "/v4/games",
-        method: "POST",
-        headers: {
-          "Client-ID": clientId,
-          Authorization: `Bearer ${accessToken}`,
-          "Content-Type": "text/plain",
-          "Content-Length": Buffer.byteLength(postData),
-        },
-      };
-
-      let games = await new Promise((resolve, reject) => {
-        const req2 = https.request(options, (res2) => {
-          let data = "";
-          res2.on("data", (chunk) => { data += chunk; });
-          res2.on("end", () => {
-            try {
-              if (res2.statusCode !== 200) {
-                reject(new Error(`IGDB API error ${res2.statusCode}: ${data}`));
-                return;
-              }
-              const parsed = JSON.parse(data);
-              resolve(Array.isArray(parsed) ? parsed : []);
-            } catch (e) {
-              reject(e);
-            }
-          });
-        });
-        req2.on("error", reject);
-        req2.write(postData);
-        req2.end();
-      });
+      let games = await queryIgdb("games", postData, accessToken, clientId);
 
       if (excludeIds.length > 0) {
         const excludeSet = new Set(excludeIds);
@@ -1513,224 +1174,28 @@ function registerIGDBRoutes(app, requireToken, metadataPath) {
 
     try {
       const accessToken = await getIGDBAccessToken(clientId, clientSecret);
-
-      const postData = `fields id,name,summary,cover.url,first_release_date,genres.name,themes.name,platforms.name,game_modes.name,player_perspectives.name,websites.url,websites.category,rating,aggregated_rating,artworks.image_id,age_ratings.rating,age_ratings.category,involved_companies.company.id,involved_companies.company.name,involved_companies.company.logo.image_id,involved_companies.company.description,involved_companies.developer,involved_companies.publisher,franchises.name,collections.name,screenshots.image_id,videos.video_id,game_engines.name,keywords.name,alternative_names.name,similar_games.id,similar_games.name,game_type; where id = ${igdbId};`;
-
-      const options = {
-        hostname: "api.igdb.com",
-        path: "/v4/games",
-        method: "POST",
-        headers: {
-          "Client-ID": clientId,
-          Authorization: `Bearer ${accessToken}`,
-          "Content-Type": "text/plain",
-          "Content-Length": Buffer.byteLength(postData),
-        },
-      };
-
-      const igdbReq = https.request(options, async (igdbRes) => {
-        let data = "";
-        igdbRes.on("data", (chunk) => {
-          data += chunk;
-        });
-        igdbRes.on("end", async () => {
-          try {
-            if (igdbRes.statusCode && igdbRes.statusCode !== 200) {
-              res.setHeader("Content-Type", "application/json");
-              return res
-                .status(igdbRes.statusCode)
-                .json({ error: `IGDB API error ${igdbRes.statusCode}`, detail: data });
-            }
-
-            const games = JSON.parse(data);
-
-            if (!Array.isArray(games) || games.length === 0) {
-              res.setHeader('Content-Type', 'application/json');
-              return res.status(404).json({ error: "IGDB game not found" });
-            }
-
-            const game = games[0];
-            if (!game || typeof game !== "object") {
-              res.setHeader("Content-Type", "application/json");
-              return res.status(404).json({ error: "IGDB game not found" });
-            }
-
-            const { formatIGDBReleaseDate } = require("../utils/dateUtils");
-            const { releaseDate, releaseDateFull } = formatIGDBReleaseDate(game.first_release_date);
-            
-            // Build background URL from artworks (use first artwork if available)
-            let backgroundUrl = null;
-            if (game.artworks && game.artworks.length > 0 && game.artworks[0].image_id) {
-              backgroundUrl = `https://images.igdb.com/igdb/image/upload/t_1080p/${game.artworks[0].image_id}.jpg`;
-            }
-            
-            // Process age ratings
-            // IGDB returns only IDs, so we need to fetch details separately
-            let ageRatings = [];
-            if (game.age_ratings && game.age_ratings.length > 0) {
-              const ageRatingIds = game.age_ratings.map((ar) => ar.id || ar).filter((id) => id);
-              if (ageRatingIds.length > 0) {
-                try {
-                  // Fetch age rating details from IGDB
-                  // Note: IGDB uses 'organization' for category and 'rating_category' for rating
-                  const ageRatingPostData = `fields organization,rating_category; where id = (${ageRatingIds.join(',')});`;
-                  const ageRatingOptions = {
-                    hostname: "api.igdb.com",
-                    path: "/v4/age_ratings",
-                    method: "POST",
-                    headers: {
-                      "Client-ID": clientId,
-                      Authorization: `Bearer ${accessToken}`,
-                      "Content-Type": "text/plain",
-                      "Content-Length": Buffer.byteLength(ageRatingPostData),
-                    },
-                  };
-
-                  const ageRatingData = await new Promise((resolveAgeRating, rejectAgeRating) => {
-                    const ageRatingReq = https.request(ageRatingOptions, (ageRatingRes) => {
-                      let ageRatingData = "";
-                      ageRatingRes.on("data", (chunk) => {
-                        ageRatingData += chunk;
-                      });
-                      ageRatingRes.on("end", () => {
-                        try {
-                          if (ageRatingRes.statusCode === 200) {
-                            resolveAgeRating(JSON.parse(ageRatingData));
-                          } else {
-                            console.error(`IGDB age ratings API returned ${ageRatingRes.statusCode}:`, ageRatingData);
-                            rejectAgeRating(new Error(`IGDB age ratings API returned ${ageRatingRes.statusCode}`));
-                          }
-                        } catch (e) {
-                          console.error('Error parsing age rating response:', e);
-                          rejectAgeRating(e);
-                        }
-                      });
-                    });
-                    ageRatingReq.on("error", (err) => {
-                      console.error('Age rating request error:', err);
-                      rejectAgeRating(err);
-                    });
-                    ageRatingReq.write(ageRatingPostData);
-                    ageRatingReq.end();
-                  });
-
-                  // IGDB uses 'organization' for category (ESRB, PEGI, etc.) and 'rating_category' for the rating value
-                  // organization: 1=ESRB, 2=PEGI, 3=CERO, 4=USK, 5=GRAC, 6=CLASS_IND, 7=ACB
-                  // rating_category: This is the rating ID that maps to specific rating values per organization
-                  ageRatings = Array.isArray(ageRatingData) ? ageRatingData
-                    .filter((ar) => ar && typeof ar.organization === 'number' && typeof ar.rating_category === 'number')
-                    .map((ar) => ({
-                      category: ar.organization, // organization maps to category (1=ESRB, 2=PEGI, etc.)
-                      rating: ar.rating_category, // rating_category is the rating ID/value
-                    })) : [];
-                } catch (ageRatingError) {
-                  console.error('Failed to fetch age rating details:', ageRatingError.message, ageRatingError.stack);
-                  // Continue without age ratings
-                }
-              }
-            }
-
-            // Process involved companies — return { id, name, logo?, description? } for import-game
-            const developers = game.involved_companies
-              ? game.involved_companies
-                  .filter((ic) => ic.developer && ic.company)
-                  .map((ic) => {
-                    const c = ic.company;
-                    if (!c || !c.id || !c.name) return null;
-                    return { id: c.id, name: c.name || "", logo: c.logo?.image_id ? `https://images.igdb.com/igdb/image/upload/t_1080p/${c.logo.image_id}.png` : null, description: c.description || "" };
-                  })
-                  .filter(Boolean)
-              : [];
-            const publishers = game.involved_companies
-              ? game.involved_companies
-                  .filter((ic) => ic.publisher && ic.company)
-                  .map((ic) => {
-                    const c = ic.company;
-                    if (!c || !c.id || !c.name) return null;
-                    return { id: c.id, name: c.name || "", logo: c.logo?.image_id ? `https://images.igdb.com/igdb/image/upload/t_1080p/${c.logo.image_id}.png` : null, description: c.description || "" };
-                  })
-                  .filter(Boolean)
-              : [];
-
-            // Process screenshots
-            const screenshots = game.screenshots
-              ? game.screenshots.map((s) => `https://images.igdb.com/igdb/image/upload/t_1080p/${s.image_id}.jpg`).filter(Boolean)
-              : [];
-
-            // Process videos
-            const videos = game.videos
-              ? game.videos.map((v) => `https://www.youtube.com/embed/${v.video_id}`).filter(Boolean)
-              : [];
-
-            // Process similar games
-            const similarGames = game.similar_games
-              ? game.similar_games.map((sg) => ({ id: sg.id, name: sg.name || '' })).filter((sg) => sg.name)
-              : [];
-
-            const gameTypeId = coerceToGameTypeId(game.game_type);
-
-            const gameData = {
-              id: game.id,
-              name: game.name,
-              summary: game.summary || "",
-              cover: game.cover
-                ? `https:${game.cover.url.replace("t_thumb", "t_1080p").replace("t_cover_big", "t_1080p")}`
-                : null,
-              background: backgroundUrl,
-              releaseDate,
-              releaseDateFull,
-              genres: game.genres ? game.genres.map((g) => g.name || g).filter(Boolean) : [],
-              themes: game.themes ? game.themes.map((t) => ({ id: t.id, name: t.name || String(t) })).filter((t) => t.id != null || t.name) : [],
-              platforms: game.platforms ? game.platforms.map((p) => ({ id: p.id, name: p.name || String(p) })).filter((p) => p.id != null || p.name) : [],
-              gameModes: game.game_modes ? game.game_modes.map((m) => ({ id: m.id, name: m.name || String(m) })).filter((m) => m.id != null || m.name) : [],
-              playerPerspectives: game.player_perspectives ? game.player_perspectives.map((p) => ({ id: p.id, name: p.name || String(p) })).filter((p) => p.id != null || p.name) : [],
-              websites: game.websites ? game.websites.map((w) => ({ url: w.url, category: w.category })).filter((w) => w.url) : [],
-              ageRatings: ageRatings.length > 0 ? ageRatings : undefined,
-              developers: developers.length > 0 ? developers.map((d) => ({ id: d.id, name: d.name, logo: d.logo, description: d.description })) : undefined,
-              publishers: publishers.length > 0 ? publishers.map((p) => ({ id: p.id, name: p.name, logo: p.logo, description: p.description })) : undefined,
-              franchise: (game.franchises || []).map((f) => ({ id: f.id, name: f.name || "" })).filter((f) => f.name),
-              collection: (game.collections || []).map((c) => ({ id: c.id, name: c.name || "" })).filter((c) => c.name),
-              series: (game.collections || []).map((c) => ({ id: c.id, name: c.name || "" })).filter((c) => c.name),
-              screenshots: screenshots.length > 0 ? screenshots : undefined,
-              videos: videos.length > 0 ? videos : undefined,
-              gameEngines: game.game_engines ? game.game_engines.map((e) => ({ id: e.id, name: e.name || String(e) })).filter((e) => e.id != null || e.name) : undefined,
-              keywords: game.keywords ? game.keywords.map((k) => k.name || k).filter(Boolean) : undefined,
-              alternativeNames: game.alternative_names ? game.alternative_names.map((an) => an.name || an).filter(Boolean) : undefined,
-              similarGames: similarGames.length > 0 ? similarGames : undefined,
-              criticRating: game.rating !== undefined && game.rating !== null ? game.rating : null,
-              userRating: game.aggregated_rating !== undefined && game.aggregated_rating !== null ? game.aggregated_rating : null,
-              ...(gameTypeId != null ? { type: gameTypeId } : {}),
-            };
-            
-            try {
-              const locale = resolveRequestLocale(req, metadataPath);
-              gameData.summaryEn = gameData.summary || "";
-              gameData.summary = await translateIgdbSummary(gameData.summaryEn, locale);
-            } catch (translateErr) {
-              console.warn("IGDB game summary translation failed:", translateErr?.message || translateErr);
-            }
-
-            res.setHeader('Content-Type', 'application/json');
-            res.json(gameData);
-          } catch (e) {
-            console.error("Error parsing IGDB response:", e);
-            res.setHeader('Content-Type', 'application/json');
-            res.status(500).json({ error: "Failed to parse IGDB response" });
-          }
-        });
-      });
-
-      igdbReq.on("error", (err) => {
-        console.error("IGDB request error:", err);
+      const gameData = await fetchIGDBGameData(igdbId, accessToken, clientId);
+      if (!gameData) {
         res.setHeader('Content-Type', 'application/json');
-        res.status(500).json({ error: "Failed to fetch game from IGDB" });
-      });
+        return res.status(404).json({ error: "IGDB game not found" });
+      }
+
+      try {
+        const locale = resolveRequestLocale(req, metadataPath);
+        gameData.summaryEn = gameData.summary || "";
+        gameData.summary = await translateIgdbSummary(gameData.summaryEn, locale);
+      } catch (translateErr) {
+        console.warn("IGDB game summary translation failed:", translateErr?.message || translateErr);
+      }
 
-      igdbReq.write(postData);
-      igdbReq.end();
+      res.setHeader('Content-Type', 'application/json');
+      res.json(gameData);
     } catch (error) {
-      console.error("Error fetching IGDB game:", error);
       res.setHeader('Content-Type', 'application/json');
+      if (error.status) {
+        return res.status(error.status).json({ error: `IGDB API error ${error.status}`, detail: error.detail || error.message });
+      }
+      console.error("Error fetching IGDB game:", error);
       res.status(500).json({ error: "Failed to fetch game from IGDB" });
     }
   });
@@ -1739,7 +1204,10 @@ function registerIGDBRoutes(app, requireToken, metadataPath) {
 module.exports = {
   registerIGDBRoutes,
   getIGDBAccessToken,
+  runIGDBSearch,
   fetchIGDBGameNamesByIds,
   fetchIGDBGameSummaryAndKeywords,
+  fetchIGDBGameData,
+  createIGDBMetadataProvider,
 };
 
@@ -0,0 +1,91 @@
+"use strict";
+
+const { PERMISSIONS, requirePermission } = require("../utils/permissions");
+const {
+  validateIgdbCacheConfig,
+  loadIgdbCacheConfig,
+  saveIgdbCacheConfig,
+  getIgdbCacheStats,
+  listIgdbCacheEntries,
+  purgeIgdbCache,
+} = require("../utils/igdbCache");
+const { getIgdbClientStats } = require("../utils/igdbClient");
+
+/**
+ * @param {import('express').Express} app
+ * @param {{ requireAdmin: import('express').RequestHandler }} deps
+ */
+function registerIgdbCacheRoutes(app, deps) {
+  const { requireAdmin } = deps;
+  const canManageSettings = requirePermission(PERMISSIONS.MANAGE_SETTINGS);
+
+  function parseEndpointFilter(value) {
+    if (value == null || value === "") return { ok: true, value: null };
+    if (typeof value !== "string" || !/^[a-z_]+$/.test(value)) {
+      return { ok: false, error: "endpoint must be an IGDB endpoint name" };
+    }
+    return { ok: true, value };
+  }
+
+  // Endpoint: cache size per endpoint, hit/miss counters, the effective config and the request queue metrics
+  app.get("/igdb-cache", requireAdmin, canManageSettings, (req, res) => {
+    res.json({ ...getIgdbCacheStats(), client: getIgdbClientStats() });
+  });
+
+  // Endpoint: newest cached queries (?endpoint=games&limit=100), without their rows
+  app.get("/igdb-cache/entries", requireAdmin, canManageSettings, (req, res) => {
+    const endpoint = parseEndpointFilter(req.query.endpoint);
+    if (!endpoint.ok) {
+      return res.status(400).json({ error: endpoint.error });
+    }
+    const limit = req.query.limit == null ? 100 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      return res.status(400).json({ error: "limit must be an integer between 1 and 1000" });
+    }
+    res.json({ entries: listIgdbCacheEntries({ endpoint: endpoint.value, limit }) });
+  });
+
+  // Endpoint: purge everything, one endpoint (?endpoint=) or entries older than ?olderThanHours=
+  app.delete("/igdb-cache", requireAdmin, canManageSettings, (req, res) => {
+    const endpoint = parseEndpointFilter(req.query.endpoint);
+    if (!endpoint.ok) {
+      return res.status(400).json({ error: endpoint.error });
+    }
+    let olderThanHours = null;
+    if (req.query.olderThanHours != null && req.query.olderThanHours !== "") {
+      olderThanHours = Number(req.query.olderThanHours);
+      if (!Number.isFinite(olderThanHours) || olderThanHours < 0) {
+        return res.status(400).json({ error: "olderThanHours must be a non-negative number" });
+      }
+    }
+    try {
+      res.json({ status: "purged", ...purgeIgdbCache({ endpoint: endpoint.value, olderThanHours }) });
+    } catch (e) {
+      console.error("Failed to purge IGDB cache:", e.message);
+      res.status(500).json({ error: "Failed to purge IGDB cache", detail: e.message });
+    }
+  });
+
+  // Endpoint: cache config ({ offline, maxSizeMb, staleHours, ttlHours })
+  app.get("/igdb-cache/config", requireAdmin, canManageSettings, (req, res) => {
+    res.json(loadIgdbCacheConfig());
+  });
+
+  // Endpoint: replace the cache config; shrinking maxSizeMb evicts the oldest entries
+  app.put("/igdb-cache/config", requireAdmin, canManageSettings, (req, res) => {
+    const validated = validateIgdbCacheConfig(req.body);
+    if (!validated.ok) {
+      return res.status(400).json({ error: validated.error });
+    }
+    try {
+      res.json(saveIgdbCacheConfig(validated.value));
+    } catch (e) {
+      console.error("Failed to save IGDB cache config:", e.message);
+      res.status(500).json({ error: "Failed to save IGDB cache config", detail: e.message });
+    }
+  });
+}
+
+module.exports = {
+  registerIgdbCacheRoutes,
+};
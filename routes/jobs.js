@@ -0,0 +1,78 @@
+"use strict";
+
+const { PERMISSIONS, hasPermission, requirePermission } = require("../utils/permissions");
+const { resolveRequestLocale } = require("../utils/metadataLocale");
+const { validateMetadataRefreshScope, summarizeJob } = require("../utils/metadataRefreshJobs");
+
+/**
+ * @param {import('express').Express} app
+ * @param {{ metadataPath: string, requireToken: import('express').RequestHandler, metadataRefreshJobs: object }} deps
+ *   metadataRefreshJobs comes from createMetadataRefreshJobs
+ */
+function registerJobRoutes(app, deps) {
+  const { metadataPath, requireToken, metadataRefreshJobs } = deps;
+  const canEditLibrary = requirePermission(PERMISSIONS.EDIT_LIBRARY);
+
+  // Provider credentials sent with the request, kept in memory for the job (never stored);
+  // null when there are none and the job should use the server's
+  function jobContext(req) {
+    const headers = {
+      "x-twitch-client-id": req.header("X-Twitch-Client-Id") || "",
+      "x-twitch-client-secret": req.header("X-Twitch-Client-Secret") || "",
+    };
+    if (!headers["x-twitch-client-id"] && !headers["x-twitch-client-secret"]) return null;
+    return { req: { header: (name) => headers[String(name).toLowerCase()] || "" } };
+  }
+
+  // Endpoint: start a metadata refresh ({ scope: all | collection | platform | stale, collectionId?, platformId?, staleDays? });
+  // refreshing the whole library also takes the settings permission
+  app.post("/jobs/metadata-refresh", requireToken, canEditLibrary, (req, res) => {
+    const validated = validateMetadataRefreshScope(req.body);
+    if (!validated.ok) {
+      return res.status(400).json({ error: validated.error });
+    }
+    if (validated.value.scope === "all" && !hasPermission(req.user || null, PERMISSIONS.MANAGE_SETTINGS)) {
+      return res.status(403).json({ error: "Forbidden", detail: `Missing permission: ${PERMISSIONS.MANAGE_SETTINGS}` });
+    }
+    try {
+      const job = metadataRefreshJobs.startJob(validated.value, {
+        locale: resolveRequestLocale(req, metadataPath),
+        ctx: jobContext(req),
+      });
+      if (!job) {
+        return res.status(404).json({ error: "Collection not found" });
+      }
+      res.json(job);
+    } catch (e) {
+      console.error("Failed to start metadata refresh:", e.message);
+      res.status(500).json({ error: "Failed to start metadata refresh", detail: e.message });
+    }
+  });
+
+  // Endpoint: jobs, newest first (without per-game results)
+  app.get("/jobs", requireToken, canEditLibrary, (req, res) => {
+    res.json({ jobs: metadataRefreshJobs.listJobs() });
+  });
+
+  // Endpoint: one job's progress and per-game results
+  app.get("/jobs/:id", requireToken, canEditLibrary, (req, res) => {
+    const job = metadataRefreshJobs.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    res.json({ ...summarizeJob(job), results: job.results });
+  });
+
+  // Endpoint: cancel a queued or running job (a running one stops after its current game)
+  app.post("/jobs/:id/cancel", requireToken, canEditLibrary, (req, res) => {
+    const job = metadataRefreshJobs.cancelJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    res.json(summarizeJob(job));
+  });
+}
+
+module.exports = {
+  registerJobRoutes,
+};
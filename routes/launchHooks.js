@@ -0,0 +1,74 @@
+"use strict";
+
+const { PERMISSIONS, requirePermission, isGameAllowedByContentFilter } = require("../utils/permissions");
+const {
+  validateHooks,
+  loadGlobalHooks,
+  loadGameHooks,
+  saveGlobalHooks,
+  saveGameHooks,
+} = require("../utils/launchHooks");
+
+/**
+ * @param {import('express').Express} app
+ * @param {{ metadataPath: string, allGames: Record<number, object>, requireAdmin: import('express').RequestHandler }} deps
+ */
+function registerLaunchHookRoutes(app, deps) {
+  const { metadataPath, allGames, requireAdmin } = deps;
+  const canManageScripts = requirePermission(PERMISSIONS.MANAGE_SCRIPTS);
+
+  function findGame(req, res) {
+    const gameId = Number(req.params.gameId);
+    if (!allGames[gameId] || !isGameAllowedByContentFilter(allGames[gameId], req.contentFilter)) {
+      res.status(404).json({ error: "Game not found" });
+      return null;
+    }
+    return gameId;
+  }
+
+  // Endpoint: hooks run around every launch ({ pre, post })
+  app.get("/hooks", requireAdmin, canManageScripts, (req, res) => {
+    res.json(loadGlobalHooks(metadataPath));
+  });
+
+  // Endpoint: replace the global hooks
+  app.put("/hooks", requireAdmin, canManageScripts, (req, res) => {
+    const validated = validateHooks(req.body);
+    if (!validated.ok) {
+      return res.status(400).json({ error: validated.error });
+    }
+    try {
+      res.json(saveGlobalHooks(metadataPath, validated.value));
+    } catch (e) {
+      console.error("Failed to save hooks:", e.message);
+      res.status(500).json({ error: "Failed to save hooks", detail: e.message });
+    }
+  });
+
+  // Endpoint: hooks of one game (run after the global pre hooks and before the global post hooks)
+  app.get("/games/:gameId/hooks", requireAdmin, canManageScripts, (req, res) => {
+    const gameId = findGame(req, res);
+    if (gameId == null) return;
+    res.json({ gameId, ...loadGameHooks(metadataPath, gameId) });
+  });
+
+  // Endpoint: replace the hooks of one game
+  app.put("/games/:gameId/hooks", requireAdmin, canManageScripts, (req, res) => {
+    const gameId = findGame(req, res);
+    if (gameId == null) return;
+    const validated = validateHooks(req.body);
+    if (!validated.ok) {
+      return res.status(400).json({ error: validated.error });
+    }
+    try {
+      res.json({ gameId, ...saveGameHooks(metadataPath, gameId, validated.value) });
+    } catch (e) {
+      console.error(`Failed to save hooks for game ${gameId}:`, e.message);
+      res.status(500).json({ error: "Failed to save hooks", detail: e.message });
+    }
+  });
+}
+
+module.exports = {
+  registerLaunchHookRoutes,
+};
@@ -56,6 +56,7 @@ const {
   removeGameFromTag: removeGameFromPlayerPerspective,
 } = require("./playerperspectives");
 const { removeGameFromRecommended } = require("./recommended");
+const { rebuildSearchIndex, syncGameInSearchIndex } = require("./search");
 const {
   findCollectionIdsContainingGame,
   removeGameFromCollection,
@@ -97,8 +98,39 @@ const {
 const { pruneOrphanRoleItems, loadRoleItems } = require("../utils/companyStorage");
 const { getCoverUrl, getBackgroundUrl, deleteMediaFile } = require("../utils/gameMediaUtils");
 const { readJsonFile, ensureDirectoryExists, writeJsonFile, removeDirectoryIfEmpty } = require("../utils/fileUtils");
-const { getTitleForSort } = require("../utils/sortUtils");
+const { parseLibraryQuery, libraryQueryCacheKey, applyLibraryQuery } = require("../utils/libraryQuery");
 const { coerceToGameTypeId } = require("../utils/gameType");
+const {
+  PERMISSIONS,
+  requirePermission,
+  isGameAllowedByContentFilter,
+  contentFilterCacheKey,
+} = require("../utils/permissions");
+const {
+  loadPlaySessions,
+  getPlaySessionSummary,
+  toPlaySessionResponse,
+  deletePlaySessions,
+  onPlaySessionsChange,
+} = require("../utils/playSessions");
+const {
+  personalUserKey,
+  loadPersonalStates,
+  getPersonalGameState,
+  toPersonalStateResponse,
+  validatePersonalStatePatch,
+  updatePersonalGameState,
+  deletePersonalGameState,
+} = require("../utils/personalGameState");
+const { listLaunchLogs, readLaunchLog } = require("../utils/launchLogs");
+const { getGameRomIdentification } = require("../utils/romIdentification");
+const {
+  PROFILE_EXTENSION,
+  LAUNCHER_EXTENSIONS,
+  isLaunchProfilePath,
+  validateLaunchProfile,
+  readLaunchProfile,
+} = require("../utils/launchProfiles");
 const {
   resolveSummary,
   resolveKeywords,
@@ -119,6 +151,12 @@ const {
   getIGDBAccessToken,
   fetchIGDBGameSummaryAndKeywords,
 } = require("./igdb");
+const {
+  DEFAULT_PROVIDER,
+  fetchProviderGame,
+  validateProviderGameRequest,
+} = require("../utils/metadataProviders");
+const { nextGameId } = require("../utils/importedGames");
 
 
 /**
@@ -126,12 +164,43 @@ const {
  * Handles the main library games endpoint
  */
 
+/**
+ * Catalog payload for a body with { provider, providerGameId, sources? }: fetched server-side and
+ * merged by field priority (utils/metadataProviders.js). Sends the error response and returns
+ * null when the lookup fails.
+ * @returns {Promise<{ provider: string, game: object, fieldSources: Record<string, string> } | null>}
+ */
+async function fetchProviderCatalogPayload(req, res, metadataPath) {
+  const validated = validateProviderGameRequest(req.body);
+  if (!validated.ok) {
+    res.status(400).json({ error: validated.error });
+    return null;
+  }
+  const { provider } = validated.value;
+  try {
+    const result = await fetchProviderGame(metadataPath, validated.value, { req });
+    if (!result) {
+      res.status(404).json({ error: "Catalog game not found", provider });
+      return null;
+    }
+    return { provider, ...result };
+  } catch (e) {
+    if (e.status) {
+      res.status(e.status).json({ error: e.message, provider });
+      return null;
+    }
+    console.error(`Metadata provider ${provider} lookup failed:`, e.message);
+    res.status(502).json({ error: "Metadata provider lookup failed", provider, detail: e.message });
+    return null;
+  }
+}
+
 // Helper function to get game metadata file path
 function getGameMetadataPath(metadataPath, gameId) {
   return path.join(metadataPath, "content", "games", String(gameId), "metadata.json");
 }
 
-// Helper: directory where executable scripts (.sh/.bat) are stored for a game
+// Helper: directory where executable scripts (.sh/.bat) and launch profiles (.json) are stored for a game
 function getGameScriptsDir(metadataPath, gameId) {
   return path.join(metadataPath, "content", "games", String(gameId), "scripts");
 }
@@ -360,8 +429,11 @@ function resolveSimilarGamesForResponse(similarGamesField, allGames) {
   return result.length > 0 ? result : null;
 }
 
-/** Build game response: tag fields are id arrays; developers/publishers/similarGames enriched when lists/allGames passed. */
-function buildGameResponse(metadataPath, game, developersList = null, publishersList = null, allGames = null, locale = "en") {
+/**
+ * Build game response: tag fields are id arrays; developers/publishers/similarGames enriched when lists/allGames passed.
+ * personalState is the caller's favorite / rating / status / notes for the game (defaults when omitted).
+ */
+function buildGameResponse(metadataPath, game, developersList = null, publishersList = null, allGames = null, locale = "en", personalState = null) {
   const executables = getExecutablesWithOrder(metadataPath, game.id);
   const executableFileNames = executables.length > 0
     ? getExecutableFileBasenamesInOrder(metadataPath, game.id)
@@ -373,6 +445,7 @@ function buildGameResponse(metadataPath, game, developersList = null, publishers
   const localizedKeywords = game.keywords && Array.isArray(game.keywords)
     ? resolveKeywords(game.keywords, locale, metadataPath)
     : null;
+  const playSummary = getPlaySessionSummary(metadataPath, game.id);
   const gameData = {
     id: game.id,
     title: game.title,
@@ -406,6 +479,11 @@ function buildGameResponse(metadataPath, game, developersList = null, publishers
     similarGames: resolveSimilarGamesForResponse(game.similarGames, allGames),
     showTitle: game.showTitle,
     type: coerceToGameTypeId(game.type),
+    lastPlayed: playSummary.lastPlayed,
+    totalPlaytime: playSummary.totalPlaytime,
+    personal: toPersonalStateResponse(personalState),
+    romIdentification: getGameRomIdentification(metadataPath, game.id),
+    installed: game.installed === false ? false : null,
   };
   const extCover =
     game.externalCoverUrl != null && typeof game.externalCoverUrl === "string" && game.externalCoverUrl.trim()
@@ -438,7 +516,7 @@ function getExecutableNames(metadataPath, gameId) {
     const filePath = path.join(scriptsDir, file);
     if (!fs.statSync(filePath).isFile()) return false;
     const ext = path.extname(file).toLowerCase();
-    return ext === '.sh' || ext === '.bat';
+    return LAUNCHER_EXTENSIONS.includes(ext);
   });
   executableFiles.sort((a, b) => {
     const aBase = path.basename(a, path.extname(a));
@@ -506,7 +584,7 @@ function getExecutableFileBasenames(metadataPath, gameId) {
     const filePath = path.join(scriptsDir, file);
     if (!fs.statSync(filePath).isFile()) return false;
     const ext = path.extname(file).toLowerCase();
-    return ext === '.sh' || ext === '.bat';
+    return LAUNCHER_EXTENSIONS.includes(ext);
   });
   return executableFiles
     .map(f => path.basename(f, path.extname(f)))
@@ -532,7 +610,7 @@ function getExecutableFileBasenamesInOrder(metadataPath, gameId) {
     const filePath = path.join(scriptsDir, file);
     if (!fs.statSync(filePath).isFile()) return false;
     const ext = path.extname(file).toLowerCase();
-    return ext === '.sh' || ext === '.bat';
+    return LAUNCHER_EXTENSIONS.includes(ext);
   });
   executableFiles.sort((a, b) => {
     const aBase = path.basename(a, path.extname(a));
@@ -550,6 +628,46 @@ function getExecutablesWithOrder(metadataPath, gameId) {
   return getExecutableNames(metadataPath, gameId);
 }
 
+// Helper: next free "NN-label[-platformId]" basename (no extension) in a scripts dir
+function nextExecutableBasename(scriptsDir, labelPart, platformId) {
+  const sanitizedLabel = labelPart.replace(/[^a-zA-Z0-9_-]/g, '_');
+  let nextNum = 1;
+  if (fs.existsSync(scriptsDir)) {
+    const files = fs.readdirSync(scriptsDir);
+    for (const file of files) {
+      const baseNoExt = path.basename(file, path.extname(file));
+      const parsed = parseNumberPrefix(baseNoExt);
+      if (parsed.num !== Number.MAX_SAFE_INTEGER && parsed.num >= nextNum) nextNum = parsed.num + 1;
+    }
+  }
+  const pad = n => String(n).padStart(2, '0');
+  return pad(nextNum) + '-' + sanitizedLabel + (platformId ? '-' + platformId : '');
+}
+
+// Helper: absolute path of a launch file named by the client, or null when the name is unsafe
+function resolveLaunchFilePath(metadataPath, gameId, fileName) {
+  const name = String(fileName || '');
+  if (path.basename(name) !== name || name.includes('..') || !/^[\w.-]+$/.test(name)) return null;
+  if (!LAUNCHER_EXTENSIONS.includes(path.extname(name).toLowerCase())) return null;
+  return path.join(getGameScriptsDir(metadataPath, gameId), name);
+}
+
+/** Launch profiles in launch order: .json profiles with their fields, .sh/.bat as type "script". */
+function listGameLaunchProfiles(metadataPath, gameId) {
+  const scriptsDir = getGameScriptsDir(metadataPath, gameId);
+  return getExecutableFileBasenamesInOrder(metadataPath, gameId).map(fileName => {
+    const baseNoExt = path.basename(fileName, path.extname(fileName));
+    const entry = {
+      fileName,
+      label: labelFromBasename(baseNoExt),
+      platformId: platformIdFromBasename(baseNoExt),
+    };
+    if (!isLaunchProfilePath(fileName)) return { ...entry, type: 'script' };
+    const profile = readLaunchProfile(path.join(scriptsDir, fileName));
+    return profile.ok ? { ...entry, ...profile.value } : { ...entry, type: 'command', error: profile.error };
+  });
+}
+
 // Helper function to delete a game
 function deleteGame(metadataPath, gameId) {
   const gameDir = path.join(metadataPath, "content", "games", String(gameId));
@@ -564,6 +682,18 @@ function deleteGame(metadataPath, gameId) {
       throw err;
     }
   }
+
+  // Play history and personal state belong to the game entry
+  try {
+    deletePlaySessions(metadataPath, gameId);
+  } catch (err) {
+    console.warn(`Failed to delete play sessions for game ${gameId}:`, err.message);
+  }
+  try {
+    deletePersonalGameState(metadataPath, gameId);
+  } catch (err) {
+    console.warn(`Failed to delete personal state for game ${gameId}:`, err.message);
+  }
   
   // Remove directory only if it's empty after deleting metadata.json
   if (fs.existsSync(gameDir)) {
@@ -575,6 +705,7 @@ function reloadSingleGameIntoCache(metadataPath, allGames, gameId) {
   const game = loadGame(metadataPath, gameId);
   if (!game) {
     delete allGames[gameId];
+    syncGameInSearchIndex(metadataPath, allGames, gameId);
     return null;
   }
   game.id = Number(gameId) || gameId;
@@ -599,6 +730,7 @@ function reloadSingleGameIntoCache(metadataPath, allGames, gameId) {
   if (!game.franchise) game.franchise = [];
   if (!game.collection) game.collection = [];
   allGames[game.id] = game;
+  syncGameInSearchIndex(metadataPath, allGames, game.id);
   return game;
 }
 
@@ -630,10 +762,13 @@ function loadLibraryGames(metadataPath, allGames) {
   });
 
   applyTagReverseMapToGames(metadataPath, allGames);
+  rebuildSearchIndex(metadataPath, allGames);
   return games;
 }
 
 
+const LIBRARY_GAMES_RESPONSE_CACHE_MAX = 200;
+
 function scheduleRecommendedSectionsUpdate(updateRecommendedSections, metadataPath, allGames) {
   if (!updateRecommendedSections || typeof updateRecommendedSections !== "function") return;
   setImmediate(() => {
@@ -646,14 +781,23 @@ function scheduleRecommendedSectionsUpdate(updateRecommendedSections, metadataPa
 }
 
 function registerLibraryRoutes(app, requireToken, metadataPath, allGames, updateCollectionsCache = null, updateRecommendedSections = null, getCollectionsCache = null, getDevelopersCache = null, getPublishersCache = null) {
-  // Response cache for GET /libraries/library/games (keyed by sort + locale); invalidated on any game add/update/delete
-  let libraryGamesResponseCache = Object.create(null);
+  // Response cache for GET /libraries/library/games (keyed by normalized query + locale + content filter);
+  // invalidated on any game add/update/delete, oldest entry evicted past LIBRARY_GAMES_RESPONSE_CACHE_MAX
+  const libraryGamesResponseCache = new Map();
   function invalidateLibraryGamesResponseCache() {
-    libraryGamesResponseCache = Object.create(null);
+    libraryGamesResponseCache.clear();
   }
+  // lastPlayed / totalPlaytime change when a launched game exits
+  onPlaySessionsChange(() => invalidateLibraryGamesResponseCache());
+
+  const canViewLibrary = requirePermission(PERMISSIONS.VIEW_LIBRARY);
+  const canEditLibrary = requirePermission(PERMISSIONS.EDIT_LIBRARY);
+  const canDeleteGames = requirePermission(PERMISSIONS.DELETE_GAMES);
+  const canManageScripts = requirePermission(PERMISSIONS.MANAGE_SCRIPTS);
 
   function localizedGameResponse(req, game, developersList, publishersList) {
     const locale = resolveRequestLocale(req, metadataPath);
+    const personalStates = loadPersonalStates(metadataPath, personalUserKey(req.user));
     return buildGameResponse(
       metadataPath,
       game,
@@ -661,6 +805,7 @@ function registerLibraryRoutes(app, requireToken, metadataPath, allGames, update
       publishersList,
       allGames,
       locale,
+      personalStates[String(game.id)],
     );
   }
 
@@ -703,60 +848,49 @@ function registerLibraryRoutes(app, requireToken, metadataPath, allGames, update
     res.json({ keywords });
   });
 
-  // Endpoint: get library games (uses in-memory cache when populated; full response cached per sort for fast repeat requests)
+  // Endpoint: get library games, with optional filters, facet counts, sort direction and cursor pagination
+  // (uses in-memory cache when populated; full response cached per query for fast repeat requests)
   app.get("/libraries/library/games", requireToken, (req, res) => {
+      const parsed = parseLibraryQuery(req.query);
+      if (!parsed.ok) {
+        return res.status(400).json({ error: parsed.error });
+      }
+
       const fromCache = Object.keys(allGames).length > 0;
       const libraryGames = fromCache
         ? Object.values(allGames)
         : loadLibraryGames(metadataPath, allGames);
 
-      const sortBy = (req.query.sort && String(req.query.sort).toLowerCase()) || "title";
       const locale = resolveRequestLocale(req, metadataPath);
-      const cacheKey = `${sortBy}:${locale}`;
+      const contentFilter = req.contentFilter || null;
+      const userKey = personalUserKey(req.user);
+      const cacheKey = `${libraryQueryCacheKey(parsed.value)}:${locale}:${contentFilterCacheKey(contentFilter)}:${userKey}`;
 
-      if (fromCache && libraryGamesResponseCache[cacheKey]) {
-        return res.json(libraryGamesResponseCache[cacheKey]);
+      if (fromCache && libraryGamesResponseCache.has(cacheKey)) {
+        return res.json(libraryGamesResponseCache.get(cacheKey));
       }
 
-      const sorted = [...libraryGames].sort((a, b) => {
-        switch (sortBy) {
-          case "year": {
-            const ya = a.year ?? 0;
-            const yb = b.year ?? 0;
-            return ya - yb;
-          }
-          case "releaseDate": {
-            const da = a.year ?? 0;
-            const db = b.year ?? 0;
-            if (da !== db) return da - db;
-            const ma = a.month ?? 0;
-            const mb = b.month ?? 0;
-            if (ma !== mb) return ma - mb;
-            return (a.day ?? 0) - (b.day ?? 0);
-          }
-          case "stars":
-            return (a.stars ?? 0) - (b.stars ?? 0);
-          case "criticRating":
-            return (a.criticratings ?? 0) - (b.criticratings ?? 0);
-          case "userRating":
-            return (a.userratings ?? 0) - (b.userratings ?? 0);
-          case "title":
-          default: {
-            const ta = getTitleForSort(a.title);
-            const tb = getTitleForSort(b.title);
-            return ta.localeCompare(tb, undefined, { sensitivity: "base" });
-          }
-        }
+      const visibleGames = contentFilter
+        ? libraryGames.filter((g) => isGameAllowedByContentFilter(g, contentFilter))
+        : libraryGames;
+      const { games, total, nextCursor, facets } = applyLibraryQuery(visibleGames, parsed.value, {
+        getPersonalState: (gameId) => getPersonalGameState(metadataPath, userKey, gameId),
       });
 
       const devs = getDevelopersCache ? getDevelopersCache() : null;
       const pubs = getPublishersCache ? getPublishersCache() : null;
       const responsePayload = {
-        games: sorted.map((g) => localizedGameResponse(req, g, devs, pubs)),
+        games: games.map((g) => localizedGameResponse(req, g, devs, pubs)),
+        total,
+        nextCursor,
+        facets,
       };
 
       if (fromCache) {
-        libraryGamesResponseCache[cacheKey] = responsePayload;
+        if (libraryGamesResponseCache.size >= LIBRARY_GAMES_RESPONSE_CACHE_MAX) {
+          libraryGamesResponseCache.delete(libraryGamesResponseCache.keys().next().value);
+        }
+        libraryGamesResponseCache.set(cacheKey, responsePayload);
       }
       res.json(responsePayload);
   });
@@ -785,7 +919,7 @@ function registerLibraryRoutes(app, requireToken, metadataPath, allGames, update
   app.get("/games/:gameId", requireToken, (req, res) => {
     const gameId = Number(req.params.gameId);
     const game = allGames[gameId];
-    if (!game) {
+    if (!game || !isGameAllowedByContentFilter(game, req.contentFilter)) {
       return res.status(404).json({ error: "Game not found" });
     }
     const devs = getDevelopersCache ? getDevelopersCache() : null;
@@ -793,8 +927,85 @@ function registerLibraryRoutes(app, requireToken, metadataPath, allGames, update
     res.json(localizedGameResponse(req, game, devs, pubs));
   });
 
+  // Endpoint: play session history for a game (newest first; optional ?limit=)
+  app.get("/games/:gameId/sessions", requireToken, (req, res) => {
+    const gameId = Number(req.params.gameId);
+    if (!allGames[gameId] || !isGameAllowedByContentFilter(allGames[gameId], req.contentFilter)) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+    const limit = parseInt(req.query.limit, 10);
+    let sessions = loadPlaySessions(metadataPath, gameId).reverse();
+    if (Number.isFinite(limit) && limit > 0) {
+      sessions = sessions.slice(0, limit);
+    }
+    const { lastPlayed, totalPlaytime } = getPlaySessionSummary(metadataPath, gameId);
+    res.json({
+      gameId,
+      lastPlayed,
+      totalPlaytime,
+      sessions: sessions.map(toPlaySessionResponse),
+    });
+  });
+
+  // Endpoint: recent launches of a game with exit code and duration (newest first)
+  app.get("/games/:gameId/launch-logs", requireToken, canManageScripts, (req, res) => {
+    const gameId = Number(req.params.gameId);
+    if (!allGames[gameId] || !isGameAllowedByContentFilter(allGames[gameId], req.contentFilter)) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+    res.json({ gameId, logs: listLaunchLogs(metadataPath, gameId) });
+  });
+
+  // Endpoint: stdout/stderr of one launch; ?maxBytes limits the output to its tail
+  app.get("/games/:gameId/launch-logs/:launchId", requireToken, canManageScripts, (req, res) => {
+    const gameId = Number(req.params.gameId);
+    if (!allGames[gameId] || !isGameAllowedByContentFilter(allGames[gameId], req.contentFilter)) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+    const maxBytes = parseInt(req.query.maxBytes, 10);
+    const log = readLaunchLog(
+      metadataPath,
+      gameId,
+      req.params.launchId,
+      Number.isFinite(maxBytes) && maxBytes > 0 ? { maxBytes } : {},
+    );
+    if (!log) {
+      return res.status(404).json({ error: "Launch log not found" });
+    }
+    res.json(log);
+  });
+
+  // Endpoint: the caller's personal state for a game (favorite, rating, backlog status, notes)
+  app.get("/games/:gameId/personal", requireToken, (req, res) => {
+    const gameId = Number(req.params.gameId);
+    if (!allGames[gameId] || !isGameAllowedByContentFilter(allGames[gameId], req.contentFilter)) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+    res.json({ gameId, ...getPersonalGameState(metadataPath, personalUserKey(req.user), gameId) });
+  });
+
+  // Endpoint: update the caller's personal state (partial; null resets a field)
+  app.put("/games/:gameId/personal", requireToken, canViewLibrary, (req, res) => {
+    const gameId = Number(req.params.gameId);
+    if (!allGames[gameId] || !isGameAllowedByContentFilter(allGames[gameId], req.contentFilter)) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+    const validated = validatePersonalStatePatch(req.body);
+    if (!validated.ok) {
+      return res.status(400).json({ error: validated.error });
+    }
+    try {
+      const state = updatePersonalGameState(metadataPath, personalUserKey(req.user), gameId, validated.value);
+      invalidateLibraryGamesResponseCache();
+      res.json({ gameId, ...state });
+    } catch (e) {
+      console.error(`Failed to save personal state for game ${gameId}:`, e.message);
+      res.status(500).json({ error: "Failed to save personal state" });
+    }
+  });
+
   // Endpoint: update game fields
-  app.put("/games/:gameId", requireToken, async (req, res) => {
+  app.put("/games/:gameId", requireToken, canEditLibrary, async (req, res) => {
     const gameId = Number(req.params.gameId);
     const updates = req.body;
     
@@ -1331,7 +1542,7 @@ function registerLibraryRoutes(app, requireToken, metadataPath, allGames, update
             for (const file of files) {
               const filePath = path.join(scriptsDir, file);
               const ext = path.extname(file).toLowerCase();
-              if ((ext === '.sh' || ext === '.bat') && fs.statSync(filePath).isFile()) {
+              if (LAUNCHER_EXTENSIONS.includes(ext) && fs.statSync(filePath).isFile()) {
                 fs.unlinkSync(filePath);
               }
             }
@@ -1361,7 +1572,7 @@ function registerLibraryRoutes(app, requireToken, metadataPath, allGames, update
               const filePath = path.join(scriptsDir, file);
               if (!fs.statSync(filePath).isFile()) return false;
               const ext = path.extname(file).toLowerCase();
-              return ext === '.sh' || ext === '.bat';
+              return LAUNCHER_EXTENSIONS.includes(ext);
             })
             .map(file => {
               const baseNoExt = path.basename(file, path.extname(file));
@@ -1488,6 +1699,7 @@ function registerLibraryRoutes(app, requireToken, metadataPath, allGames, update
         }
       }
       invalidateLibraryGamesResponseCache();
+      syncGameInSearchIndex(metadataPath, allGames, gameId);
 
       const updatedGame = currentGame;
       const devs = getDevelopersCache ? getDevelopersCache() : null;
@@ -1499,10 +1711,122 @@ function registerLibraryRoutes(app, requireToken, metadataPath, allGames, update
     }
   });
 
-  // Endpoint: merge remote catalog game metadata into local game (missing fields only)
+  // Merge a catalog game payload into a local game (missing fields only): metadata, tags, developers,
+  // publishers, franchises and series. Returns null when the payload is not a catalog game.
+  async function mergeCatalogPayloadIntoGame(game, gameId, catalogPayload, locale) {
+    const { game: mergedMeta, changed: metaChanged, parsed } = mergeCatalogGameMetadata(game, catalogPayload);
+    if (!parsed) {
+      return null;
+    }
+
+    const localTags = getGameTagIdsFromBlocks(metadataPath, gameId);
+    let tagsChanged = false;
+
+    const resolveAndAddTags = (localKey, normalizeFn, remoteNames, addFn) => {
+      if (!remoteNames || !Array.isArray(remoteNames) || remoteNames.length === 0) return;
+      const remoteIds = normalizeFn(metadataPath, remoteNames);
+      const toAdd = idsToAdd(localTags[localKey], remoteIds);
+      if (toAdd.length > 0) {
+        toAdd.forEach((id) => addFn(metadataPath, id, gameId));
+        tagsChanged = true;
+      }
+    };
+
+    resolveAndAddTags("genre", normalizeCategoryFieldToIds, parsed.genres, addGameToCategory);
+    resolveAndAddTags("themes", normalizeThemeFieldToIds, parsed.themes, addGameToTheme);
+    resolveAndAddTags("platforms", normalizePlatformFieldToIds, parsed.platforms, addGameToPlatform);
+    resolveAndAddTags("gameModes", normalizeGameModeFieldToIds, parsed.gameModes, addGameToGameMode);
+    resolveAndAddTags(
+      "playerPerspectives",
+      normalizePlayerPerspectiveFieldToIds,
+      parsed.playerPerspectives,
+      addGameToPlayerPerspective
+    );
+    resolveAndAddTags("gameEngines", normalizeGameEngineFieldToIds, parsed.gameEngines, addGameToGameEngine);
+
+    const newDevelopers = devPubItemsToAdd(localTags.developers, parsed.rawDevelopers);
+    if (newDevelopers.length > 0) {
+      await ensureDevelopersExistBatch(metadataPath, newDevelopers, gameId, locale);
+      tagsChanged = true;
+    }
+
+    const newPublishers = devPubItemsToAdd(localTags.publishers, parsed.rawPublishers);
+    if (newPublishers.length > 0) {
+      await ensurePublishersExistBatch(metadataPath, newPublishers, gameId, locale);
+      tagsChanged = true;
+    }
+
+    const newFranchises = franchiseCollectionItemsToAdd(localTags.franchise, parsed.franchiseForEnsure);
+    if (newFranchises.length > 0) {
+      ensureFranchiseExistBatch(metadataPath, newFranchises, gameId);
+      tagsChanged = true;
+    }
+
+    const newCollections = franchiseCollectionItemsToAdd(localTags.collection, parsed.collectionForEnsure);
+    if (newCollections.length > 0) {
+      ensureSeriesExistBatch(metadataPath, newCollections, gameId);
+      tagsChanged = true;
+    }
+
+    if (metaChanged) {
+      let gameToSave = { ...mergedMeta, id: gameId };
+      const shouldTranslateSummary = !isSummaryLocaleMap(gameToSave.summary)
+        && typeof gameToSave.summary === "string"
+        && gameToSave.summary.trim();
+      const shouldTranslateKeywords = Array.isArray(gameToSave.keywords) && gameToSave.keywords.length > 0;
+      if (shouldTranslateSummary || shouldTranslateKeywords) {
+        try {
+          const translatedFields = await autoTranslateImportedGameFields(
+            {
+              summaryEn: typeof catalogPayload.summaryEn === "string"
+                ? catalogPayload.summaryEn
+                : gameToSave.summary,
+              summaryLocalized: typeof catalogPayload.summary === "string"
+                ? catalogPayload.summary
+                : undefined,
+              keywords: gameToSave.keywords,
+            },
+            metadataPath,
+            locale,
+          );
+          if (shouldTranslateSummary) {
+            gameToSave.summary = translatedFields.summary;
+          }
+        } catch (translateErr) {
+          console.warn("Auto-translate on catalog merge failed:", translateErr?.message || translateErr);
+        }
+      }
+      saveGame(metadataPath, gameToSave);
+    }
+
+    if (metaChanged || tagsChanged) {
+      reloadSingleGameIntoCache(metadataPath, allGames, gameId);
+      invalidateLibraryGamesResponseCache();
+      scheduleRecommendedSectionsUpdate(updateRecommendedSections, metadataPath, allGames);
+    }
+
+    return { changed: metaChanged || tagsChanged };
+  }
+
+  /**
+   * Merge a catalog game payload into a local game (what POST /games/:gameId/merge-catalog-metadata does).
+   * @returns {Promise<{ status: "merged" | "unchanged" }>} rejects with err.status 404 (no such game) or 400 (invalid payload)
+   */
+  async function mergeCatalogMetadata(gameId, catalogPayload, locale) {
+    const game = allGames[gameId] || reloadSingleGameIntoCache(metadataPath, allGames, gameId);
+    const fail = (message, status) => Object.assign(new Error(message), { status });
+    if (!game) throw fail("Game not found", 404);
+    const merged = await mergeCatalogPayloadIntoGame(game, gameId, catalogPayload, locale);
+    if (!merged) throw fail("Invalid catalog game payload", 400);
+    return { status: merged.changed ? "merged" : "unchanged" };
+  }
+
+  // Endpoint: merge remote catalog game metadata into local game (missing fields only).
+  // Body is the catalog game payload, or { provider, providerGameId, sources? } to fetch it server-side.
   const handleMergeCatalogMetadata = async (req, res) => {
     const gameId = Number(req.params.gameId);
-    const catalogPayload = req.body;
+    let catalogPayload = req.body;
+    let fieldSources = null;
 
     if (!catalogPayload || typeof catalogPayload !== "object") {
       return res.status(400).json({ error: "Missing catalog game payload in request body" });
@@ -1517,115 +1841,35 @@ function registerLibraryRoutes(app, requireToken, metadataPath, allGames, update
         return res.status(404).json({ error: "Game not found" });
       }
 
-      const { game: mergedMeta, changed: metaChanged, parsed } = mergeCatalogGameMetadata(game, catalogPayload);
-      if (!parsed) {
-        return res.status(400).json({ error: "Invalid catalog game payload" });
-      }
-
-      const localTags = getGameTagIdsFromBlocks(metadataPath, gameId);
-      let tagsChanged = false;
-
-      const resolveAndAddTags = (localKey, normalizeFn, remoteNames, addFn) => {
-        if (!remoteNames || !Array.isArray(remoteNames) || remoteNames.length === 0) return;
-        const remoteIds = normalizeFn(metadataPath, remoteNames);
-        const toAdd = idsToAdd(localTags[localKey], remoteIds);
-        if (toAdd.length > 0) {
-          toAdd.forEach((id) => addFn(metadataPath, id, gameId));
-          tagsChanged = true;
-        }
-      };
-
-      resolveAndAddTags("genre", normalizeCategoryFieldToIds, parsed.genres, addGameToCategory);
-      resolveAndAddTags("themes", normalizeThemeFieldToIds, parsed.themes, addGameToTheme);
-      resolveAndAddTags("platforms", normalizePlatformFieldToIds, parsed.platforms, addGameToPlatform);
-      resolveAndAddTags("gameModes", normalizeGameModeFieldToIds, parsed.gameModes, addGameToGameMode);
-      resolveAndAddTags(
-        "playerPerspectives",
-        normalizePlayerPerspectiveFieldToIds,
-        parsed.playerPerspectives,
-        addGameToPlayerPerspective
-      );
-      resolveAndAddTags("gameEngines", normalizeGameEngineFieldToIds, parsed.gameEngines, addGameToGameEngine);
-
-      const mergeLocale = resolveRequestLocale(req, metadataPath);
-      const newDevelopers = devPubItemsToAdd(localTags.developers, parsed.rawDevelopers);
-      if (newDevelopers.length > 0) {
-        await ensureDevelopersExistBatch(metadataPath, newDevelopers, gameId, mergeLocale);
-        tagsChanged = true;
-      }
-
-      const newPublishers = devPubItemsToAdd(localTags.publishers, parsed.rawPublishers);
-      if (newPublishers.length > 0) {
-        await ensurePublishersExistBatch(metadataPath, newPublishers, gameId, mergeLocale);
-        tagsChanged = true;
-      }
-
-      const newFranchises = franchiseCollectionItemsToAdd(localTags.franchise, parsed.franchiseForEnsure);
-      if (newFranchises.length > 0) {
-        ensureFranchiseExistBatch(metadataPath, newFranchises, gameId);
-        tagsChanged = true;
+      if (catalogPayload.provider != null) {
+        const fetched = await fetchProviderCatalogPayload(req, res, metadataPath);
+        if (!fetched) return;
+        catalogPayload = fetched.game;
+        fieldSources = fetched.fieldSources;
       }
 
-      const newCollections = franchiseCollectionItemsToAdd(localTags.collection, parsed.collectionForEnsure);
-      if (newCollections.length > 0) {
-        ensureSeriesExistBatch(metadataPath, newCollections, gameId);
-        tagsChanged = true;
-      }
-
-      if (metaChanged) {
-        let gameToSave = { ...mergedMeta, id: gameId };
-        const shouldTranslateSummary = !isSummaryLocaleMap(gameToSave.summary)
-          && typeof gameToSave.summary === "string"
-          && gameToSave.summary.trim();
-        const shouldTranslateKeywords = Array.isArray(gameToSave.keywords) && gameToSave.keywords.length > 0;
-        if (shouldTranslateSummary || shouldTranslateKeywords) {
-          try {
-            const locale = resolveRequestLocale(req, metadataPath);
-            const translatedFields = await autoTranslateImportedGameFields(
-              {
-                summaryEn: typeof catalogPayload.summaryEn === "string"
-                  ? catalogPayload.summaryEn
-                  : gameToSave.summary,
-                summaryLocalized: typeof catalogPayload.summary === "string"
-                  ? catalogPayload.summary
-                  : undefined,
-                keywords: gameToSave.keywords,
-              },
-              metadataPath,
-              locale,
-            );
-            if (shouldTranslateSummary) {
-              gameToSave.summary = translatedFields.summary;
-            }
-          } catch (translateErr) {
-            console.warn("Auto-translate on catalog merge failed:", translateErr?.message || translateErr);
-          }
-        }
-        saveGame(metadataPath, gameToSave);
-      }
-
-      if (metaChanged || tagsChanged) {
-        reloadSingleGameIntoCache(metadataPath, allGames, gameId);
-        invalidateLibraryGamesResponseCache();
-        scheduleRecommendedSectionsUpdate(updateRecommendedSections, metadataPath, allGames);
+      const merged = await mergeCatalogPayloadIntoGame(game, gameId, catalogPayload, resolveRequestLocale(req, metadataPath));
+      if (!merged) {
+        return res.status(400).json({ error: "Invalid catalog game payload" });
       }
 
       const updatedGame = allGames[gameId];
       const devs = getDevelopersCache ? getDevelopersCache() : null;
       const pubs = getPublishersCache ? getPublishersCache() : null;
       res.json({
-        status: metaChanged || tagsChanged ? "merged" : "unchanged",
+        status: merged.changed ? "merged" : "unchanged",
         game: localizedGameResponse(req, updatedGame, devs, pubs, allGames),
+        ...(fieldSources ? { fieldSources } : {}),
       });
     } catch (e) {
       console.error(`Failed to merge catalog metadata for game ${gameId}:`, e.message);
       res.status(500).json({ error: "Failed to merge catalog game metadata" });
     }
   };
-  app.post("/games/:gameId/merge-catalog-metadata", requireToken, handleMergeCatalogMetadata);
+  app.post("/games/:gameId/merge-catalog-metadata", requireToken, canEditLibrary, handleMergeCatalogMetadata);
 
   // Endpoint: reload metadata for a single game
-  app.post("/games/:gameId/reload", requireToken, (req, res) => {
+  app.post("/games/:gameId/reload", requireToken, canEditLibrary, (req, res) => {
     const gameId = Number(req.params.gameId);
 
     try {
@@ -1649,7 +1893,7 @@ function registerLibraryRoutes(app, requireToken, metadataPath, allGames, update
   const upload = multer({ storage: multer.memoryStorage() });
 
   // Endpoint: upload cover image for a game
-  app.post("/games/:gameId/upload-cover", requireToken, upload.single('file'), (req, res) => {
+  app.post("/games/:gameId/upload-cover", requireToken, canEditLibrary, upload.single('file'), (req, res) => {
     const gameId = Number(req.params.gameId);
     const file = req.file;
     
@@ -1686,7 +1930,7 @@ function registerLibraryRoutes(app, requireToken, metadataPath, allGames, update
   });
 
   // Endpoint: upload background image for a game
-  app.post("/games/:gameId/upload-background", requireToken, upload.single('file'), (req, res) => {
+  app.post("/games/:gameId/upload-background", requireToken, canEditLibrary, upload.single('file'), (req, res) => {
     const gameId = Number(req.params.gameId);
     const file = req.file;
     
@@ -1723,7 +1967,7 @@ function registerLibraryRoutes(app, requireToken, metadataPath, allGames, update
   });
 
   // Endpoint: upload screenshot image for a game
-  app.post("/games/:gameId/upload-screenshot", requireToken, upload.single("file"), (req, res) => {
+  app.post("/games/:gameId/upload-screenshot", requireToken, canEditLibrary, upload.single("file"), (req, res) => {
     const gameId = Number(req.params.gameId);
     const file = req.file;
     if (!file) {
@@ -1754,7 +1998,7 @@ function registerLibraryRoutes(app, requireToken, metadataPath, allGames, update
   });
 
   // Endpoint: delete cover image for a game
-  app.delete("/games/:gameId/delete-cover", requireToken, (req, res) => {
+  app.delete("/games/:gameId/delete-cover", requireToken, canEditLibrary, (req, res) => {
     const gameId = Number(req.params.gameId);
     
     // Validate gameId is a valid number
@@ -1804,7 +2048,7 @@ function registerLibraryRoutes(app, requireToken, metadataPath, allGames, update
   });
 
   // Endpoint: delete background image for a game
-  app.delete("/games/:gameId/delete-background", requireToken, (req, res) => {
+  app.delete("/games/:gameId/delete-background", requireToken, canEditLibrary, (req, res) => {
     const gameId = Number(req.params.gameId);
     
     // Validate gameId is a valid number
@@ -1854,7 +2098,7 @@ function registerLibraryRoutes(app, requireToken, metadataPath, allGames, update
   });
 
   // Endpoint: upload executable file for a game
-  app.post("/games/:gameId/upload-executable", requireToken, upload.single('file'), (req, res) => {
+  app.post("/games/:gameId/upload-executable", requireToken, canManageScripts, upload.single('file'), (req, res) => {
     const gameId = Number(req.params.gameId);
     const file = req.file;
 
@@ -1913,19 +2157,7 @@ function registerLibraryRoutes(app, requireToken, metadataPath, allGames, update
         }
       } else {
         const labelPart = (label || platform || 'script').trim();
-        const sanitizedLabel = labelPart.replace(/[^a-zA-Z0-9_-]/g, '_');
-        let nextNum = 1;
-        if (fs.existsSync(scriptsDir)) {
-          const files = fs.readdirSync(scriptsDir);
-          for (const file of files) {
-            const baseNoExt = path.basename(file, path.extname(file));
-            const parsed = parseNumberPrefix(baseNoExt);
-            if (parsed.num !== Number.MAX_SAFE_INTEGER && parsed.num >= nextNum) nextNum = parsed.num + 1;
-          }
-        }
-        const pad = n => String(n).padStart(2, '0');
-        const scriptBasenameNoExt = pad(nextNum) + '-' + sanitizedLabel + (platformId ? '-' + platformId : '');
-        scriptName = scriptBasenameNoExt + fileExtension;
+        scriptName = nextExecutableBasename(scriptsDir, labelPart, platformId) + fileExtension;
         executablePath = path.join(scriptsDir, scriptName);
       }
 
@@ -1951,7 +2183,136 @@ function registerLibraryRoutes(app, requireToken, metadataPath, allGames, update
     }
   });
 
+  // Endpoint: launch profiles of a game in launch order (JSON profiles and raw .sh/.bat scripts)
+  app.get("/games/:gameId/launch-profiles", requireToken, canManageScripts, (req, res) => {
+    const gameId = Number(req.params.gameId);
+    if (!allGames[gameId]) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+    res.json({ gameId, profiles: listGameLaunchProfiles(metadataPath, gameId) });
+  });
+
+  // Endpoint: add a JSON launch profile ({ label, platformId?, command, args?, cwd?, env?, rom? })
+  app.post("/games/:gameId/launch-profiles", requireToken, canManageScripts, (req, res) => {
+    const gameId = Number(req.params.gameId);
+    if (!allGames[gameId]) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+    const body = req.body || {};
+    const label = typeof body.label === 'string' ? body.label.trim() : '';
+    if (!label) {
+      return res.status(400).json({ error: "Missing label" });
+    }
+    const platformId = body.platformId != null && body.platformId !== '' ? String(body.platformId).trim() : '';
+    if (platformId && !/^\d+$/.test(platformId)) {
+      return res.status(400).json({ error: "platformId must be numeric" });
+    }
+    const validated = validateLaunchProfile(body);
+    if (!validated.ok) {
+      return res.status(400).json({ error: validated.error });
+    }
+
+    try {
+      const scriptsDir = getGameScriptsDir(metadataPath, gameId);
+      ensureDirectoryExists(scriptsDir);
+      const fileName = nextExecutableBasename(scriptsDir, label, platformId) + PROFILE_EXTENSION;
+      writeJsonFile(path.join(scriptsDir, fileName), validated.value);
+      allGames[gameId].executables = getExecutablesWithOrder(metadataPath, gameId);
+      invalidateLibraryGamesResponseCache();
+      res.status(201).json({
+        profile: listGameLaunchProfiles(metadataPath, gameId).find(p => p.fileName === fileName),
+        game: localizedGameResponse(req, allGames[gameId], null, null, allGames),
+      });
+    } catch (error) {
+      console.error(`Failed to save launch profile for game ${gameId}:`, error);
+      res.status(500).json({ error: "Failed to save launch profile" });
+    }
+  });
+
+  // Endpoint: replace the content of a JSON launch profile (label and order change through PUT /games/:gameId)
+  app.put("/games/:gameId/launch-profiles/:fileName", requireToken, canManageScripts, (req, res) => {
+    const gameId = Number(req.params.gameId);
+    if (!allGames[gameId]) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+    const filePath = resolveLaunchFilePath(metadataPath, gameId, req.params.fileName);
+    if (!filePath || !fs.existsSync(filePath)) {
+      return res.status(404).json({ error: "Launch profile not found" });
+    }
+    if (!isLaunchProfilePath(filePath)) {
+      return res.status(400).json({ error: "Script profiles are replaced through POST /games/:gameId/upload-executable" });
+    }
+    const validated = validateLaunchProfile(req.body);
+    if (!validated.ok) {
+      return res.status(400).json({ error: validated.error });
+    }
+    try {
+      writeJsonFile(filePath, validated.value);
+      res.json({
+        profile: listGameLaunchProfiles(metadataPath, gameId).find(p => p.fileName === req.params.fileName),
+      });
+    } catch (error) {
+      console.error(`Failed to save launch profile for game ${gameId}:`, error);
+      res.status(500).json({ error: "Failed to save launch profile" });
+    }
+  });
+
+  // Endpoint: remove a launch profile or raw script
+  app.delete("/games/:gameId/launch-profiles/:fileName", requireToken, canManageScripts, (req, res) => {
+    const gameId = Number(req.params.gameId);
+    if (!allGames[gameId]) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+    const filePath = resolveLaunchFilePath(metadataPath, gameId, req.params.fileName);
+    if (!filePath || !fs.existsSync(filePath)) {
+      return res.status(404).json({ error: "Launch profile not found" });
+    }
+    try {
+      fs.unlinkSync(filePath);
+      removeDirectoryIfEmpty(getGameScriptsDir(metadataPath, gameId));
+      const executables = getExecutablesWithOrder(metadataPath, gameId);
+      if (executables.length > 0) {
+        allGames[gameId].executables = executables;
+      } else {
+        delete allGames[gameId].executables;
+      }
+      invalidateLibraryGamesResponseCache();
+      res.json({
+        status: "success",
+        game: localizedGameResponse(req, allGames[gameId], null, null, allGames),
+      });
+    } catch (error) {
+      console.error(`Failed to delete launch profile for game ${gameId}:`, error);
+      res.status(500).json({ error: "Failed to delete launch profile" });
+    }
+  });
+
+  // Endpoint: add a catalog game to the library. Body is the catalog game payload, or
+  // { provider, providerGameId, sources? } to fetch it server-side.
   const handleImportCatalogGame = async (req, res) => {
+    let body = req.body || {};
+    let fieldSources = null;
+    let metadataSource = null;
+    if (body.provider != null) {
+      const fetched = await fetchProviderCatalogPayload(req, res, metadataPath);
+      if (!fetched) return;
+      fieldSources = fetched.fieldSources;
+      if (fetched.provider === DEFAULT_PROVIDER) {
+        body = { ...fetched.game, gameId: fetched.game.id };
+      } else {
+        // Other catalogs have their own id space: the game gets a local id and remembers its source
+        // (its companies, franchises and series were mapped to library ids by fetchProviderGame)
+        metadataSource = { provider: fetched.provider, id: String(fetched.game.id) };
+        const existing = Object.values(allGames).find((g) =>
+          g.metadataSource
+          && g.metadataSource.provider === metadataSource.provider
+          && g.metadataSource.id === metadataSource.id);
+        if (existing) {
+          return res.status(409).json({ error: "Game already exists", gameId: existing.id });
+        }
+        body = { ...fetched.game, gameId: nextGameId(metadataPath, new Set()) };
+      }
+    }
     const {
       gameId: catalogGameId,
       name,
@@ -1982,7 +2343,7 @@ function registerLibraryRoutes(app, requireToken, metadataPath, allGames, update
       alternativeNames,
       similarGames,
       type: gameTypeFromClient,
-    } = req.body;
+    } = body;
 
     if (!catalogGameId || !name) {
       return res.status(400).json({ error: "Missing required fields: gameId and name" });
@@ -2133,7 +2494,8 @@ function registerLibraryRoutes(app, requireToken, metadataPath, allGames, update
       let canonicalKeywords = validKeywords;
       try {
         const creds = resolveTwitchAppCredentialsForServerIgdb(req);
-        if (creds.clientId && creds.clientSecret) {
+        // Provider payloads are already canonical (and may take the summary from another source)
+        if (!fieldSources && creds.clientId && creds.clientSecret) {
           const accessToken = await getIGDBAccessToken(creds.clientId, creds.clientSecret);
           const canonical = await fetchIGDBGameSummaryAndKeywords(gameId, accessToken, creds.clientId);
           if (canonical.summary) englishSummary = canonical.summary;
@@ -2202,6 +2564,7 @@ function registerLibraryRoutes(app, requireToken, metadataPath, allGames, update
         externalBackgroundUrl: background && typeof background === "string" && background.trim() ? background.trim() : null,
         showTitle: true,
         ...(storedGameTypeId != null ? { type: storedGameTypeId } : {}),
+        ...(metadataSource ? { metadataSource } : {}),
       };
 
       if (rawDevelopers && rawDevelopers.length > 0) {
@@ -2227,21 +2590,27 @@ function registerLibraryRoutes(app, requireToken, metadataPath, allGames, update
       // Add to allGames cache
       allGames[gameId] = newGame;
       invalidateLibraryGamesResponseCache();
+      syncGameInSearchIndex(metadataPath, allGames, gameId);
 
       scheduleRecommendedSectionsUpdate(updateRecommendedSections, metadataPath, allGames);
 
       const devs = getDevelopersCache ? getDevelopersCache() : null;
       const pubs = getPublishersCache ? getPublishersCache() : null;
-      res.json({ status: "success", game: localizedGameResponse(req, newGame, devs, pubs, allGames), gameId: newGame.id });
+      res.json({
+        status: "success",
+        game: localizedGameResponse(req, newGame, devs, pubs, allGames),
+        gameId: newGame.id,
+        ...(fieldSources ? { fieldSources } : {}),
+      });
     } catch (error) {
       console.error(`Failed to add game from catalog:`, error);
       res.status(500).json({ error: "Failed to add game to library", detail: error.message });
     }
   };
-  app.post("/catalog/import-game", requireToken, handleImportCatalogGame);
+  app.post("/catalog/import-game", requireToken, canEditLibrary, handleImportCatalogGame);
 
   // Endpoint: create a new game from scratch (no catalog lookup). ID = creation timestamp.
-  app.post("/games/create", requireToken, async (req, res) => {
+  app.post("/games/create", requireToken, canEditLibrary, async (req, res) => {
     const { title } = req.body;
     const name = typeof title === "string" ? title.trim() : "";
     if (!name) {
@@ -2290,6 +2659,7 @@ function registerLibraryRoutes(app, requireToken, metadataPath, allGames, update
       saveGame(metadataPath, newGame);
       allGames[gameId] = newGame;
       invalidateLibraryGamesResponseCache();
+      syncGameInSearchIndex(metadataPath, allGames, gameId);
 
       scheduleRecommendedSectionsUpdate(updateRecommendedSections, metadataPath, allGames);
 
@@ -2303,7 +2673,7 @@ function registerLibraryRoutes(app, requireToken, metadataPath, allGames, update
   });
 
   // Endpoint: delete game
-  app.delete("/games/:gameId", requireToken, (req, res) => {
+  app.delete("/games/:gameId", requireToken, canDeleteGames, (req, res) => {
     const gameId = Number(req.params.gameId);
     
     // Validate game exists
@@ -2382,6 +2752,7 @@ function registerLibraryRoutes(app, requireToken, metadataPath, allGames, update
       deleteGame(metadataPath, gameId);
       delete allGames[gameId];
       invalidateLibraryGamesResponseCache();
+      syncGameInSearchIndex(metadataPath, allGames, gameId);
 
       res.json({ status: "success" });
 
@@ -2432,6 +2803,11 @@ function registerLibraryRoutes(app, requireToken, metadataPath, allGames, update
       res.status(500).json({ error: "Failed to delete game" });
     }
   });
+
+  return {
+    invalidateCache: invalidateLibraryGamesResponseCache,
+    mergeCatalogMetadata,
+  };
 }
 
 module.exports = {
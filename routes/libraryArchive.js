@@ -0,0 +1,86 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const multer = require("multer");
+const { PERMISSIONS, requirePermission } = require("../utils/permissions");
+const {
+  IMPORT_MODES,
+  CONFLICT_POLICIES,
+  writeLibraryArchive,
+  readLibraryArchive,
+  importLibraryArchive,
+} = require("../utils/libraryArchive");
+
+function readOption(req, name) {
+  const fromBody = req.body && req.body[name];
+  const value = fromBody != null && fromBody !== "" ? fromBody : req.query[name];
+  return value == null ? "" : String(value).trim().toLowerCase();
+}
+
+/**
+ * @param {import('express').Express} app
+ * @param {{ metadataPath: string, requireAdmin: import('express').RequestHandler, getServerVersion: () => string | null, reloadAll: () => object }} deps
+ */
+function registerLibraryArchiveRoutes(app, deps) {
+  const { metadataPath, requireAdmin, getServerVersion, reloadAll } = deps;
+  const canManageSettings = requirePermission(PERMISSIONS.MANAGE_SETTINGS);
+  // Uploads go to a temporary file and are read from there entry by entry, so (like the export)
+  // their size is bounded by disk space only
+  const upload = multer({ storage: multer.diskStorage({ destination: os.tmpdir() }) });
+
+  // Endpoint: download the whole library (content tree + manifest) as a zip, streamed file by file
+  app.get("/library/export", requireAdmin, canManageSettings, async (req, res) => {
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Disposition", `attachment; filename="myhomegames-library-${date}.zip"`);
+    res.type("application/zip");
+    try {
+      await writeLibraryArchive(metadataPath, res, { serverVersion: getServerVersion() });
+    } catch (e) {
+      console.error("Library export failed:", e.message);
+      if (!res.headersSent) {
+        res.removeHeader("Content-Disposition");
+        res.status(500).json({ error: "Library export failed", detail: e.message });
+      } else {
+        // Part of the zip is already out: cut the download short so it is not mistaken for a complete one
+        res.destroy(e);
+      }
+    }
+  });
+
+  // Endpoint: import an exported library (multipart "archive"); mode=merge|replace, onConflict=skip|overwrite, dryRun=true
+  app.post("/library/import", requireAdmin, canManageSettings, upload.single("archive"), async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ error: "Missing archive" });
+    }
+    try {
+      const mode = readOption(req, "mode") || "merge";
+      if (!IMPORT_MODES.includes(mode)) {
+        return res.status(400).json({ error: `mode must be one of ${IMPORT_MODES.join(", ")}` });
+      }
+      const onConflict = readOption(req, "onConflict") || "skip";
+      if (!CONFLICT_POLICIES.includes(onConflict)) {
+        return res.status(400).json({ error: `onConflict must be one of ${CONFLICT_POLICIES.join(", ")}` });
+      }
+      const dryRun = readOption(req, "dryRun") === "true";
+
+      const archive = await readLibraryArchive(req.file.path);
+      if (!archive.ok) {
+        return res.status(400).json({ error: "Invalid archive", detail: archive.error });
+      }
+
+      const report = await importLibraryArchive(metadataPath, archive.value, { mode, onConflict, dryRun });
+      if (!dryRun) report.reloaded = reloadAll();
+      res.json(report);
+    } catch (e) {
+      console.error("Library import failed:", e.message);
+      res.status(500).json({ error: "Library import failed", detail: e.message });
+    } finally {
+      fs.rmSync(req.file.path, { force: true });
+    }
+  });
+}
+
+module.exports = {
+  registerLibraryArchiveRoutes,
+};
@@ -0,0 +1,43 @@
+"use strict";
+
+const { PERMISSIONS, requirePermission } = require("../utils/permissions");
+const { diagnoseLibrary, fixLibraryIssues } = require("../utils/libraryDoctor");
+
+/**
+ * @param {import('express').Express} app
+ * @param {{ metadataPath: string, requireAdmin: import('express').RequestHandler, reloadAll: () => object }} deps
+ */
+function registerMaintenanceRoutes(app, deps) {
+  const { metadataPath, requireAdmin, reloadAll } = deps;
+  const canManageSettings = requirePermission(PERMISSIONS.MANAGE_SETTINGS);
+
+  // Endpoint: scan METADATA_PATH and report drift (findings with category and severity)
+  app.get("/maintenance/doctor", requireAdmin, canManageSettings, (req, res) => {
+    try {
+      res.json(diagnoseLibrary(metadataPath));
+    } catch (e) {
+      console.error("Library health check failed:", e.message);
+      res.status(500).json({ error: "Health check failed", detail: e.message });
+    }
+  });
+
+  // Endpoint: apply the safe automatic repairs ({ codes? } limits them), then reload every cache
+  app.post("/maintenance/doctor/fix", requireAdmin, canManageSettings, (req, res) => {
+    const codes = req.body?.codes;
+    if (codes != null && (!Array.isArray(codes) || codes.some((code) => typeof code !== "string"))) {
+      return res.status(400).json({ error: "codes must be an array of finding codes" });
+    }
+    try {
+      const result = fixLibraryIssues(metadataPath, { codes: codes || null });
+      const reloaded = result.fixed.length > 0 ? reloadAll() : null;
+      res.json({ status: "fixed", ...result, reloaded });
+    } catch (e) {
+      console.error("Library repair failed:", e.message);
+      res.status(500).json({ error: "Repair failed", detail: e.message });
+    }
+  });
+}
+
+module.exports = {
+  registerMaintenanceRoutes,
+};
@@ -0,0 +1,107 @@
+"use strict";
+
+const { PERMISSIONS, requirePermission } = require("../utils/permissions");
+const {
+  validateProviderConfig,
+  loadProviderConfig,
+  saveProviderConfig,
+  listMetadataProviders,
+  describeMetadataProvider,
+  callMetadataProvider,
+} = require("../utils/metadataProviders");
+
+/**
+ * @param {import('express').Express} app
+ * @param {{ metadataPath: string, requireToken: import('express').RequestHandler, requireAdmin: import('express').RequestHandler }} deps
+ */
+function registerMetadataProviderRoutes(app, deps) {
+  const { metadataPath, requireToken, requireAdmin } = deps;
+  const canManageSettings = requirePermission(PERMISSIONS.MANAGE_SETTINGS);
+
+  function sendProviderError(res, providerId, e) {
+    if (e.status) {
+      return res.status(e.status).json({ error: e.message, provider: providerId });
+    }
+    console.error(`Metadata provider ${providerId} lookup failed:`, e.message);
+    res.status(502).json({ error: "Metadata provider lookup failed", provider: providerId, detail: e.message });
+  }
+
+  // Serve one provider method; null results are 404 (notFound message)
+  function providerLookup(method, getArg, notFound) {
+    return async (req, res) => {
+      const { providerId } = req.params;
+      const arg = getArg(req);
+      if (arg == null || String(arg).trim() === "") {
+        return res.status(400).json({ error: "Missing search query" });
+      }
+      try {
+        const result = await callMetadataProvider(metadataPath, providerId, method, arg, { req });
+        if (result == null) {
+          return res.status(404).json({ error: notFound, provider: providerId });
+        }
+        res.json(result);
+      } catch (e) {
+        sendProviderError(res, providerId, e);
+      }
+    };
+  }
+
+  // Endpoint: available providers (with the methods they support) and the per-field priority
+  app.get("/metadata-providers", requireToken, (req, res) => {
+    res.json({
+      providers: listMetadataProviders(metadataPath).map(describeMetadataProvider),
+      fieldPriority: loadProviderConfig(metadataPath).fieldPriority,
+    });
+  });
+
+  // Endpoint: JSON catalogs and per-field source priority
+  app.get("/metadata-providers/config", requireAdmin, canManageSettings, (req, res) => {
+    res.json(loadProviderConfig(metadataPath));
+  });
+
+  // Endpoint: replace the provider config ({ catalogs, fieldPriority })
+  app.put("/metadata-providers/config", requireAdmin, canManageSettings, (req, res) => {
+    const validated = validateProviderConfig(req.body);
+    if (!validated.ok) {
+      return res.status(400).json({ error: validated.error });
+    }
+    try {
+      res.json(saveProviderConfig(metadataPath, validated.value));
+    } catch (e) {
+      console.error("Failed to save metadata provider config:", e.message);
+      res.status(500).json({ error: "Failed to save metadata provider config", detail: e.message });
+    }
+  });
+
+  // Endpoint: search one provider (?q=)
+  app.get(
+    "/metadata-providers/:providerId/search",
+    requireToken,
+    providerLookup("search", (req) => (typeof req.query.q === "string" ? req.query.q.trim() : null), null),
+  );
+
+  // Endpoint: one game as a catalog payload (what /catalog/import-game accepts)
+  app.get(
+    "/metadata-providers/:providerId/games/:gameId",
+    requireToken,
+    providerLookup("getGame", (req) => req.params.gameId, "Catalog game not found"),
+  );
+
+  // Endpoint: games the provider relates to one game (similar games)
+  app.get(
+    "/metadata-providers/:providerId/games/:gameId/related",
+    requireToken,
+    providerLookup("getRelatedGames", (req) => req.params.gameId, "Catalog game not found"),
+  );
+
+  // Endpoint: one company profile
+  app.get(
+    "/metadata-providers/:providerId/companies/:companyId",
+    requireToken,
+    providerLookup("getCompany", (req) => req.params.companyId, "Catalog company not found"),
+  );
+}
+
+module.exports = {
+  registerMetadataProviderRoutes,
+};
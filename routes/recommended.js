@@ -2,6 +2,7 @@ const fs = require("fs");
 const path = require("path");
 const { getCoverUrl, getBackgroundUrl } = require("../utils/gameMediaUtils");
 const { readJsonFile, ensureDirectoryExists, writeJsonFile, removeDirectoryIfEmpty } = require("../utils/fileUtils");
+const { isGameAllowedByContentFilter } = require("../utils/permissions");
 const {
   resolveRequestLocale,
   resolveSummary,
@@ -392,6 +393,7 @@ function registerRecommendedRoutes(app, requireToken, metadataPath, allGames) {
       const games = section.games
         .map((id) => allGames[id])
         .filter((game) => game != null) // Filter out any missing games
+        .filter((game) => isGameAllowedByContentFilter(game, req.contentFilter))
         .map((g) => {
           const gameData = {
             id: g.id,
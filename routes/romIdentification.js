@@ -0,0 +1,151 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const multer = require("multer");
+const { PERMISSIONS, requirePermission } = require("../utils/permissions");
+const {
+  isValidDatId,
+  importDat,
+  listDats,
+  deleteDat,
+  identifyRoms,
+  listIdentifiedFiles,
+  getCompletenessReport,
+} = require("../utils/romIdentification");
+
+// Uploads go to a temporary file; the largest No-Intro / Redump DATs are a few tens of MB
+const MAX_DAT_BYTES = 64 * 1024 * 1024;
+
+function parsePlatformId(value) {
+  if (value == null || value === "") return { ok: true, value: null };
+  const platformId = Number(value);
+  if (!Number.isInteger(platformId) || platformId <= 0) {
+    return { ok: false, error: "platformId must be a positive integer" };
+  }
+  return { ok: true, value: platformId };
+}
+
+/**
+ * @param {import('express').Express} app
+ * @param {{ metadataPath: string, requireAdmin: import('express').RequestHandler }} deps
+ */
+function registerRomIdentificationRoutes(app, deps) {
+  const { metadataPath, requireAdmin } = deps;
+  const canManageScripts = requirePermission(PERMISSIONS.MANAGE_SCRIPTS);
+  const upload = multer({
+    storage: multer.diskStorage({ destination: os.tmpdir() }),
+    limits: { fileSize: MAX_DAT_BYTES },
+  });
+  // Latest identification run: idle | running | completed | failed
+  let scan = { status: "idle" };
+
+  function uploadDat(req, res, next) {
+    upload.single("file")(req, res, (err) => {
+      if (err && err.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).json({ error: `DAT file is larger than ${MAX_DAT_BYTES / (1024 * 1024)} MB` });
+      }
+      next(err);
+    });
+  }
+
+  // Endpoint: imported DAT files (without their game lists)
+  app.get("/dats", requireAdmin, canManageScripts, (req, res) => {
+    res.json({ dats: listDats(metadataPath) });
+  });
+
+  // Endpoint: import a Logiqx XML / ClrMamePro DAT (multipart "file", optionally zipped); fields platformId, id
+  app.post("/dats", requireAdmin, canManageScripts, uploadDat, (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ error: "Missing DAT file" });
+    }
+    try {
+      if (req.file.size === 0) {
+        return res.status(400).json({ error: "Missing DAT file" });
+      }
+      const platformId = parsePlatformId(req.body && req.body.platformId);
+      if (!platformId.ok) {
+        return res.status(400).json({ error: platformId.error });
+      }
+      const id = req.body && req.body.id ? String(req.body.id).trim() : null;
+      const imported = importDat(metadataPath, req.file.path, { id, platformId: platformId.value });
+      if (!imported.ok) {
+        return res.status(400).json({ error: "Invalid DAT file", detail: imported.error });
+      }
+      res.json({ dat: imported.value });
+    } catch (e) {
+      console.error("DAT import failed:", e.message);
+      res.status(500).json({ error: "DAT import failed", detail: e.message });
+    } finally {
+      fs.rmSync(req.file.path, { force: true });
+    }
+  });
+
+  app.delete("/dats/:datId", requireAdmin, canManageScripts, (req, res) => {
+    const { datId } = req.params;
+    if (!isValidDatId(datId) || !deleteDat(metadataPath, datId)) {
+      return res.status(404).json({ error: "DAT not found" });
+    }
+    res.json({ status: "deleted", id: datId });
+  });
+
+  // Endpoint: start hashing the library's ROM files and matching them against the DATs in the
+  // background ({ force: true } re-hashes everything); poll GET /rom-identification/scan
+  app.post("/rom-identification/scan", requireAdmin, canManageScripts, (req, res) => {
+    if (scan.status === "running") {
+      return res.status(409).json({ error: "ROM identification is already running" });
+    }
+    const current = {
+      status: "running",
+      force: Boolean(req.body && req.body.force),
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      processed: 0,
+      total: null,
+    };
+    scan = current;
+    identifyRoms(metadataPath, {
+      force: current.force,
+      onProgress: ({ processed, total }) => {
+        current.processed = processed;
+        current.total = total;
+      },
+    })
+      .then((summary) => {
+        current.status = "completed";
+        current.summary = summary;
+      })
+      .catch((e) => {
+        console.error("ROM identification failed:", e.message);
+        current.status = "failed";
+        current.error = e.message;
+      })
+      .finally(() => {
+        current.finishedAt = new Date().toISOString();
+      });
+    res.json(current);
+  });
+
+  // Endpoint: state of the latest identification run (summary once completed, error once failed)
+  app.get("/rom-identification/scan", requireAdmin, canManageScripts, (req, res) => {
+    res.json(scan);
+  });
+
+  // Endpoint: every hashed ROM file with its hashes, games and DAT match
+  app.get("/rom-identification/files", requireAdmin, canManageScripts, (req, res) => {
+    res.json({ files: listIdentifiedFiles(metadataPath) });
+  });
+
+  // Endpoint: per-DAT completeness (?platformId= limits to one platform)
+  app.get("/rom-identification/completeness", requireAdmin, canManageScripts, (req, res) => {
+    const platformId = parsePlatformId(req.query.platformId);
+    if (!platformId.ok) {
+      return res.status(400).json({ error: platformId.error });
+    }
+    res.json({ dats: getCompletenessReport(metadataPath, { platformId: platformId.value }) });
+  });
+}
+
+module.exports = {
+  registerRomIdentificationRoutes,
+};
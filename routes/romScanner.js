@@ -0,0 +1,129 @@
+"use strict";
+
+const { PERMISSIONS, requirePermission } = require("../utils/permissions");
+const {
+  catalogApiCredentialsError,
+  resolveTwitchAppCredentialsForServerIgdb,
+} = require("../utils/twitchAppCredentials");
+const {
+  validateScanRoots,
+  loadScanRoots,
+  saveScanRoots,
+  listTrackedFiles,
+  getLastScan,
+  scanRomRoots,
+  queueIgdbMatches,
+} = require("../utils/romScanner");
+const { getIGDBAccessToken, runIGDBSearch } = require("./igdb");
+
+/**
+ * @param {import('express').Express} app
+ * @param {{ metadataPath: string, requireAdmin: import('express').RequestHandler, reloadAll: () => object }} deps
+ */
+function registerRomScannerRoutes(app, deps) {
+  const { metadataPath, requireAdmin, reloadAll } = deps;
+  const canManageScripts = requirePermission(PERMISSIONS.MANAGE_SCRIPTS);
+  // Latest scan run: idle | running | completed | failed
+  let scan = { status: "idle" };
+
+  // Endpoint: scan roots (folder -> platform / emulator)
+  app.get("/rom-scanner/roots", requireAdmin, canManageScripts, (req, res) => {
+    res.json({ roots: loadScanRoots(metadataPath) });
+  });
+
+  // Endpoint: replace the scan roots ({ roots: [{ id?, path, platformId?, emulator?, extensions?, recursive? }] })
+  app.put("/rom-scanner/roots", requireAdmin, canManageScripts, (req, res) => {
+    const validated = validateScanRoots(req.body);
+    if (!validated.ok) {
+      return res.status(400).json({ error: validated.error });
+    }
+    try {
+      res.json({ roots: saveScanRoots(metadataPath, validated.value.roots) });
+    } catch (e) {
+      console.error("Failed to save scan roots:", e.message);
+      res.status(500).json({ error: "Failed to save scan roots", detail: e.message });
+    }
+  });
+
+  // Endpoint: files the scanner created games for (with missing / ignored flags and IGDB match state)
+  app.get("/rom-scanner/files", requireAdmin, canManageScripts, (req, res) => {
+    res.json({ files: listTrackedFiles(metadataPath) });
+  });
+
+  app.get("/rom-scanner/last-scan", requireAdmin, canManageScripts, (req, res) => {
+    const scan = getLastScan(metadataPath);
+    if (!scan) {
+      return res.status(404).json({ error: "No scan has run yet" });
+    }
+    res.json(scan);
+  });
+
+  // Endpoint: start scanning every root (or { rootId }) in the background; poll GET /rom-scanner/scan.
+  // { matchIgdb: true } queues IGDB lookups for the added games once the scan is done
+  app.post("/rom-scanner/scan", requireAdmin, canManageScripts, (req, res) => {
+    if (scan.status === "running") {
+      return res.status(409).json({ error: "A ROM scan is already running" });
+    }
+    const { rootId = null, matchIgdb = false } = req.body || {};
+    if (rootId != null && !loadScanRoots(metadataPath).some((root) => root.id === rootId)) {
+      return res.status(404).json({ error: "Scan root not found" });
+    }
+    let creds = null;
+    if (matchIgdb) {
+      creds = resolveTwitchAppCredentialsForServerIgdb(req);
+      if (!creds.clientId || !creds.clientSecret) {
+        return res.status(400).json({ error: catalogApiCredentialsError() });
+      }
+    }
+    const current = {
+      status: "running",
+      rootId,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      processed: 0,
+      total: null,
+    };
+    scan = current;
+    scanRomRoots(metadataPath, {
+      rootId,
+      onProgress: ({ processed, total }) => {
+        current.processed = processed;
+        current.total = total;
+      },
+    })
+      .then((report) => {
+        const changed = report.added.length > 0 || report.moved.length > 0;
+        const reloaded = changed ? reloadAll() : null;
+        let matchQueued = 0;
+        if (creds && report.added.length > 0) {
+          const search = async (title) => {
+            const accessToken = await getIGDBAccessToken(creds.clientId, creds.clientSecret);
+            return runIGDBSearch(title.replace(/"/g, ""), accessToken, creds.clientId, null);
+          };
+          queueIgdbMatches(metadataPath, report.added.map((file) => file.path), search)
+            .catch((error) => console.warn("IGDB matching for scanned ROMs failed:", error.message));
+          matchQueued = report.added.length;
+        }
+        current.status = "completed";
+        current.report = { ...report, matchQueued, reloaded };
+      })
+      .catch((e) => {
+        console.error("ROM scan failed:", e.message);
+        current.status = "failed";
+        current.error = e.message;
+      })
+      .finally(() => {
+        current.finishedAt = new Date().toISOString();
+      });
+    res.json(current);
+  });
+
+  // Endpoint: state of the latest scan run (report once completed, error once failed)
+  app.get("/rom-scanner/scan", requireAdmin, canManageScripts, (req, res) => {
+    res.json(scan);
+  });
+}
+
+module.exports = {
+  registerRomScannerRoutes,
+};
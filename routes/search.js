@@ -0,0 +1,243 @@
+const { SUPPORTED_LANGUAGES } = require("../utils/supportedLanguages");
+const { createSearchIndex, buildHighlight, normalizeTerm } = require("../utils/searchIndex");
+const { loadRoleItems } = require("../utils/companyStorage");
+const { getCoverUrl } = require("../utils/gameMediaUtils");
+const { isGameAllowedByContentFilter } = require("../utils/permissions");
+const {
+  resolveRequestLocale,
+  resolveSummary,
+  resolveKeyword,
+} = require("../utils/metadataLocale");
+const { loadCategories } = require("./categories");
+const { loadThemes } = require("./themes");
+const { loadPlatforms } = require("./platforms");
+const { loadGameEngines } = require("./gameengines");
+const { loadGameModes } = require("./gamemodes");
+const { loadPlayerPerspectives } = require("./playerperspectives");
+
+/**
+ * Search routes module
+ * Full-text search over the library, backed by an in-memory inverted index that is rebuilt
+ * when library games are loaded and updated when a single game changes.
+ */
+
+const FIELD_WEIGHTS = {
+  title: 10,
+  alternativeNames: 6,
+  keywords: 4,
+  developers: 3,
+  publishers: 3,
+  tags: 3,
+  summary: 1,
+};
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+const SUMMARY_SNIPPET_LENGTH = 160;
+
+// Game field (tag ids) -> loader returning [{ id, title }]
+const TAG_FIELDS = {
+  genre: loadCategories,
+  themes: loadThemes,
+  platforms: loadPlatforms,
+  gameEngines: loadGameEngines,
+  gameModes: loadGameModes,
+  playerPerspectives: loadPlayerPerspectives,
+};
+
+const searchIndex = createSearchIndex({ fieldWeights: FIELD_WEIGHTS });
+
+// Id -> title lookups for companies and tags, loaded on rebuild. A single-game update may
+// reference a company or tag created since, so the first unknown id it meets reloads them (once)
+let nameLookups = null;
+let nameLookupsMayBeStale = false;
+
+function buildTitleMap(items) {
+  const map = new Map();
+  for (const item of items || []) {
+    if (item && item.id != null && item.title) map.set(String(item.id), String(item.title));
+  }
+  return map;
+}
+
+function loadNameLookups(metadataPath) {
+  const lookups = {
+    developers: buildTitleMap(loadRoleItems(metadataPath, "developers")),
+    publishers: buildTitleMap(loadRoleItems(metadataPath, "publishers")),
+  };
+  for (const [field, loadTags] of Object.entries(TAG_FIELDS)) {
+    lookups[field] = buildTitleMap(loadTags(metadataPath));
+  }
+  return lookups;
+}
+
+function resolveNames(metadataPath, field, values) {
+  if (!Array.isArray(values)) return [];
+  if (!nameLookups) nameLookups = loadNameLookups(metadataPath);
+  const hasUnknownId = values.some(
+    (v) => (typeof v === "number" || /^\d+$/.test(String(v))) && !nameLookups[field].has(String(v)),
+  );
+  if (hasUnknownId && nameLookupsMayBeStale) {
+    nameLookups = loadNameLookups(metadataPath);
+    nameLookupsMayBeStale = false;
+  }
+  return values
+    .map((v) => (typeof v === "string" && !/^\d+$/.test(v) ? v : nameLookups[field].get(String(v))))
+    .filter(Boolean);
+}
+
+function uniqueStrings(values) {
+  return [...new Set(values.map((v) => String(v || "").trim()).filter(Boolean))];
+}
+
+/** Summary in every stored locale (plain string summaries are indexed as-is). */
+function summaryVariants(summary) {
+  return uniqueStrings(SUPPORTED_LANGUAGES.map((lang) => resolveSummary(summary, lang)));
+}
+
+/** Canonical keywords plus their stored translations. */
+function keywordVariants(keywords, metadataPath) {
+  if (!Array.isArray(keywords)) return [];
+  const out = [];
+  for (const keyword of keywords) {
+    if (typeof keyword !== "string") continue;
+    out.push(keyword);
+    for (const lang of SUPPORTED_LANGUAGES) {
+      out.push(resolveKeyword(keyword, lang, metadataPath));
+    }
+  }
+  return uniqueStrings(out);
+}
+
+function buildSearchDocument(metadataPath, game) {
+  const tags = [];
+  for (const field of Object.keys(TAG_FIELDS)) {
+    tags.push(...resolveNames(metadataPath, field, game[field]));
+  }
+  return {
+    title: uniqueStrings([game.title]),
+    alternativeNames: uniqueStrings(Array.isArray(game.alternativeNames) ? game.alternativeNames : []),
+    keywords: keywordVariants(game.keywords, metadataPath),
+    developers: uniqueStrings(resolveNames(metadataPath, "developers", game.developers)),
+    publishers: uniqueStrings(resolveNames(metadataPath, "publishers", game.publishers)),
+    tags: uniqueStrings(tags),
+    summary: summaryVariants(game.summary),
+  };
+}
+
+function rebuildSearchIndex(metadataPath, allGames) {
+  nameLookups = loadNameLookups(metadataPath);
+  nameLookupsMayBeStale = false;
+  searchIndex.clear();
+  for (const game of Object.values(allGames || {})) {
+    if (game && game.id != null) {
+      searchIndex.setDocument(game.id, buildSearchDocument(metadataPath, game));
+    }
+  }
+}
+
+function updateGameInSearchIndex(metadataPath, game) {
+  if (!game || game.id == null) return;
+  nameLookupsMayBeStale = true;
+  searchIndex.setDocument(game.id, buildSearchDocument(metadataPath, game));
+}
+
+function removeGameFromSearchIndex(gameId) {
+  searchIndex.removeDocument(gameId);
+}
+
+/** Update the entry of one game from the in-memory cache, or drop it when the game is gone. */
+function syncGameInSearchIndex(metadataPath, allGames, gameId) {
+  const game = allGames[gameId];
+  if (game) {
+    updateGameInSearchIndex(metadataPath, game);
+  } else {
+    removeGameFromSearchIndex(gameId);
+  }
+}
+
+/** Per-field highlights in the request locale. */
+function buildGameHighlights(metadataPath, game, matchedTerms, locale) {
+  const terms = new Set(matchedTerms);
+  const highlights = [];
+  const add = (field, text, options) => {
+    const highlight = buildHighlight(text, terms, options);
+    if (highlight) highlights.push({ field, ...highlight });
+  };
+
+  add("title", game.title);
+  for (const name of Array.isArray(game.alternativeNames) ? game.alternativeNames : []) {
+    add("alternativeNames", name);
+  }
+  for (const keyword of Array.isArray(game.keywords) ? game.keywords : []) {
+    if (typeof keyword === "string") add("keywords", resolveKeyword(keyword, locale, metadataPath));
+  }
+  for (const name of resolveNames(metadataPath, "developers", game.developers)) add("developers", name);
+  for (const name of resolveNames(metadataPath, "publishers", game.publishers)) add("publishers", name);
+  for (const field of Object.keys(TAG_FIELDS)) {
+    for (const name of resolveNames(metadataPath, field, game[field])) add("tags", name);
+  }
+  add("summary", resolveSummary(game.summary, locale), { maxLength: SUMMARY_SNIPPET_LENGTH });
+  return highlights;
+}
+
+function parseSearchLimit(value) {
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n) || n <= 0) return DEFAULT_SEARCH_LIMIT;
+  return Math.min(n, MAX_SEARCH_LIMIT);
+}
+
+/**
+ * @param {() => object} getAllGames returns the in-memory game map (reloadAll empties and refills it in place)
+ */
+function registerSearchRoutes(app, requireToken, metadataPath, getAllGames) {
+  // Endpoint: full-text search across titles, alternative names, summaries, keywords, companies and tags
+  app.get("/search", requireToken, (req, res) => {
+    const query = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    if (!query) {
+      return res.status(400).json({ error: "Missing search query (q)" });
+    }
+
+    const allGames = getAllGames();
+    if (searchIndex.size === 0 && Object.keys(allGames).length > 0) {
+      rebuildSearchIndex(metadataPath, allGames);
+    }
+
+    const limit = parseSearchLimit(req.query.limit);
+    const locale = resolveRequestLocale(req, metadataPath);
+    const contentFilter = req.contentFilter || null;
+    const normalizedQuery = normalizeTerm(query);
+
+    const hits = [];
+    for (const hit of searchIndex.search(query)) {
+      const game = allGames[hit.id];
+      if (!game || !isGameAllowedByContentFilter(game, contentFilter)) continue;
+      // Titles starting with the whole query rank above scattered matches
+      const title = normalizeTerm(game.title);
+      const bonus = title === normalizedQuery ? 20 : title.startsWith(normalizedQuery) ? 10 : 0;
+      hits.push({ game, score: hit.score + bonus, matchedTerms: hit.matchedTerms });
+    }
+    hits.sort((a, b) => b.score - a.score || String(a.game.title).localeCompare(String(b.game.title)));
+
+    res.json({
+      query,
+      total: hits.length,
+      results: hits.slice(0, limit).map(({ game, score, matchedTerms }) => ({
+        id: game.id,
+        title: game.title,
+        cover: getCoverUrl(game, metadataPath),
+        year: game.year ?? null,
+        score: Math.round(score * 100) / 100,
+        highlights: buildGameHighlights(metadataPath, game, matchedTerms, locale),
+      })),
+    });
+  });
+}
+
+module.exports = {
+  registerSearchRoutes,
+  rebuildSearchIndex,
+  updateGameInSearchIndex,
+  removeGameFromSearchIndex,
+  syncGameInSearchIndex,
+};
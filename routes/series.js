@@ -5,6 +5,7 @@
 const path = require("path");
 const fs = require("fs");
 const multer = require("multer");
+const { PERMISSIONS, requirePermission } = require("../utils/permissions");
 const {
   getItemDir,
   getMetadataPath,
@@ -64,6 +65,7 @@ function deleteSeriesIfUnused(metadataPath, seriesId, allGames) {
 }
 
 function registerSeriesRoutes(app, requireToken, allGames, metadataPath) {
+  const canEditLibrary = requirePermission(PERMISSIONS.EDIT_LIBRARY);
   const upload = multer({ storage: multer.memoryStorage() });
 
   // GET /series – list from games + stored metadata/cover
@@ -74,7 +76,7 @@ function registerSeriesRoutes(app, requireToken, allGames, metadataPath) {
   });
 
   // PUT /series/:id
-  app.put(`${ROUTE_BASE}/:id`, requireToken, (req, res) => {
+  app.put(`${ROUTE_BASE}/:id`, requireToken, canEditLibrary, (req, res) => {
     const id = Number(req.params.id);
     if (Number.isNaN(id)) return res.status(400).json({ error: "Invalid id" });
     const baseList = aggregateFromGames(allGames, FIELD);
@@ -95,7 +97,7 @@ function registerSeriesRoutes(app, requireToken, allGames, metadataPath) {
   });
 
   // POST /series/:id/upload-cover
-  app.post(`${ROUTE_BASE}/:id/upload-cover`, requireToken, upload.single("file"), (req, res) => {
+  app.post(`${ROUTE_BASE}/:id/upload-cover`, requireToken, canEditLibrary, upload.single("file"), (req, res) => {
     const id = Number(req.params.id);
     if (Number.isNaN(id)) return res.status(400).json({ error: "Invalid id" });
     const baseList = aggregateFromGames(allGames, FIELD);
@@ -120,7 +122,7 @@ function registerSeriesRoutes(app, requireToken, allGames, metadataPath) {
   });
 
   // DELETE /series/:id/delete-cover
-  app.delete(`${ROUTE_BASE}/:id/delete-cover`, requireToken, (req, res) => {
+  app.delete(`${ROUTE_BASE}/:id/delete-cover`, requireToken, canEditLibrary, (req, res) => {
     const id = Number(req.params.id);
     if (Number.isNaN(id)) return res.status(400).json({ error: "Invalid id" });
     const baseList = aggregateFromGames(allGames, FIELD);
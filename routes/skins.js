@@ -4,6 +4,8 @@ const crypto = require("crypto");
 const multer = require("multer");
 const AdmZip = require("adm-zip");
 const { ensureDirectoryExists, readJsonFile } = require("../utils/fileUtils");
+const { PERMISSIONS, requirePermission } = require("../utils/permissions");
+const { resolveZipEntryPath } = require("../utils/zipPaths");
 
 const MAX_SKINS = 24;
 const MAX_ZIP_BYTES = 30 * 1024 * 1024;
@@ -39,17 +41,6 @@ function resolveSkinSnapshotPath(skinDir, meta) {
   return null;
 }
 
-/**
- * Reject zip slip and absolute paths. Returns normalized posix-style relative path or null.
- */
-function safeEntryName(entryName) {
-  const norm = String(entryName).replace(/\\/g, "/").replace(/^\/+/, "");
-  if (!norm || norm.includes("..")) return null;
-  const segments = norm.split("/");
-  if (segments.some((s) => s === "..")) return null;
-  return norm;
-}
-
 function findSkinContentRoot(extractRoot) {
   const atRoot = path.join(extractRoot, "skin.json");
   if (fs.existsSync(atRoot)) return extractRoot;
@@ -184,14 +175,8 @@ function extractZipToDir(buffer, destDir) {
   const entries = zip.getEntries();
   for (const entry of entries) {
     if (entry.isDirectory) continue;
-    const rel = safeEntryName(entry.entryName);
-    if (!rel) {
-      throw new Error("invalid_zip_path");
-    }
-    const outPath = path.join(destDir, rel);
-    const resolved = path.resolve(outPath);
-    const resolvedBase = path.resolve(destDir);
-    if (!resolved.startsWith(resolvedBase + path.sep) && resolved !== resolvedBase) {
+    const outPath = resolveZipEntryPath(destDir, entry.entryName);
+    if (!outPath) {
       throw new Error("invalid_zip_path");
     }
     ensureDirectoryExists(path.dirname(outPath));
@@ -284,7 +269,7 @@ function registerSkinsRoutes(app, requireToken, optionalToken, metadataPath) {
     }
   });
 
-  app.post("/skins", optionalToken, upload.single("archive"), (req, res) => {
+  app.post("/skins", optionalToken, requirePermission(PERMISSIONS.MANAGE_SKINS), upload.single("archive"), (req, res) => {
     if (!req.file || !req.file.buffer) {
       return res.status(400).json({ error: "missing_archive" });
     }
@@ -367,7 +352,7 @@ function registerSkinsRoutes(app, requireToken, optionalToken, metadataPath) {
     }
   });
 
-  app.delete("/skins/:skinId", optionalToken, (req, res) => {
+  app.delete("/skins/:skinId", optionalToken, requirePermission(PERMISSIONS.MANAGE_SKINS), (req, res) => {
     const skinId = req.params.skinId;
     if (!isUuidSkinId(skinId)) {
       return res.status(400).json({ error: "invalid_skin_id" });
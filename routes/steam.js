@@ -0,0 +1,111 @@
+"use strict";
+
+const { PERMISSIONS, requirePermission } = require("../utils/permissions");
+const {
+  catalogApiCredentialsError,
+  resolveTwitchAppCredentialsForServerIgdb,
+} = require("../utils/twitchAppCredentials");
+const {
+  UNINSTALLED_ACTIONS,
+  validateSteamConfig,
+  loadSteamConfig,
+  saveSteamConfig,
+  resolveSteamPath,
+  listImportedApps,
+  importSteamLibrary,
+  resolveUninstalledApps,
+  queueSteamIgdbMatches,
+} = require("../utils/steamLibrary");
+const { getIGDBAccessToken, runIGDBSearch } = require("./igdb");
+
+/**
+ * @param {import('express').Express} app
+ * @param {{ metadataPath: string, requireAdmin: import('express').RequestHandler, reloadAll: () => object }} deps
+ */
+function registerSteamRoutes(app, deps) {
+  const { metadataPath, requireAdmin, reloadAll } = deps;
+  const canManageScripts = requirePermission(PERMISSIONS.MANAGE_SCRIPTS);
+
+  // Endpoint: configured Steam directory and the one an import would use
+  app.get("/steam/config", requireAdmin, canManageScripts, (req, res) => {
+    res.json({ ...loadSteamConfig(metadataPath), resolvedSteamPath: resolveSteamPath(metadataPath) });
+  });
+
+  // Endpoint: set the Steam directory ({ steamPath }; null uses the default install locations)
+  app.put("/steam/config", requireAdmin, canManageScripts, (req, res) => {
+    const validated = validateSteamConfig(req.body);
+    if (!validated.ok) {
+      return res.status(400).json({ error: validated.error });
+    }
+    try {
+      saveSteamConfig(metadataPath, validated.value);
+      res.json({ ...validated.value, resolvedSteamPath: resolveSteamPath(metadataPath) });
+    } catch (e) {
+      console.error("Failed to save Steam config:", e.message);
+      res.status(500).json({ error: "Failed to save Steam config", detail: e.message });
+    }
+  });
+
+  // Endpoint: apps imported so far (with installed / ignored flags and IGDB match state)
+  app.get("/steam/apps", requireAdmin, canManageScripts, (req, res) => {
+    res.json({ apps: listImportedApps(metadataPath) });
+  });
+
+  // Endpoint: import installed apps; { matchIgdb: true } queues IGDB lookups for added games
+  app.post("/steam/import", requireAdmin, canManageScripts, (req, res) => {
+    const { matchIgdb = false } = req.body || {};
+    const steamPath = resolveSteamPath(metadataPath);
+    if (!steamPath) {
+      return res.status(400).json({ error: "Steam directory not found" });
+    }
+    let creds = null;
+    if (matchIgdb) {
+      creds = resolveTwitchAppCredentialsForServerIgdb(req);
+      if (!creds.clientId || !creds.clientSecret) {
+        return res.status(400).json({ error: catalogApiCredentialsError() });
+      }
+    }
+    try {
+      const report = importSteamLibrary(metadataPath, { steamPath });
+      const changed = report.added.length > 0 || report.reinstalled.length > 0;
+      const reloaded = changed ? reloadAll() : null;
+      let matchQueued = 0;
+      if (creds && report.added.length > 0) {
+        const search = async (title) => {
+          const accessToken = await getIGDBAccessToken(creds.clientId, creds.clientSecret);
+          return runIGDBSearch(title.replace(/"/g, ""), accessToken, creds.clientId, null);
+        };
+        queueSteamIgdbMatches(metadataPath, report.added.map((entry) => entry.appId), search)
+          .catch((error) => console.warn("IGDB matching for Steam apps failed:", error.message));
+        matchQueued = report.added.length;
+      }
+      res.json({ ...report, matchQueued, reloaded });
+    } catch (e) {
+      console.error("Steam import failed:", e.message);
+      res.status(500).json({ error: "Steam import failed", detail: e.message });
+    }
+  });
+
+  // Endpoint: flag or remove the games of uninstalled apps ({ action: "flag" | "remove", appIds? })
+  app.post("/steam/uninstalled", requireAdmin, canManageScripts, (req, res) => {
+    const { action, appIds = null } = req.body || {};
+    if (!UNINSTALLED_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `action must be one of ${UNINSTALLED_ACTIONS.join(", ")}` });
+    }
+    if (appIds !== null && (!Array.isArray(appIds) || !appIds.every((id) => /^\d+$/.test(String(id))))) {
+      return res.status(400).json({ error: "appIds must be an array of Steam app ids" });
+    }
+    try {
+      const result = resolveUninstalledApps(metadataPath, { action, appIds });
+      const reloaded = result.apps.length > 0 ? reloadAll() : null;
+      res.json({ ...result, reloaded });
+    } catch (e) {
+      console.error("Failed to update uninstalled Steam apps:", e.message);
+      res.status(500).json({ error: "Failed to update uninstalled Steam apps", detail: e.message });
+    }
+  });
+}
+
+module.exports = {
+  registerSteamRoutes,
+};
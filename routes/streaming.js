@@ -1,4 +1,9 @@
 const { launchGame } = require("../utils/gameLauncher");
+const {
+  PERMISSIONS,
+  requirePermission,
+  isGameAllowedByContentFilter,
+} = require("../utils/permissions");
 const {
   readStreamingSettings,
   probeSunshineReachable,
@@ -63,8 +68,9 @@ function resolvePublicApiBaseForStop(req, moonlightWebUrl) {
  * @param {() => object} readSettings
  * @param {string} metadataPath
  * @param {() => Record<number, object>} getAllGames
+ * @param {(req: any, res: any, next: any) => void} [launchToken] auth for routes that start/stop games
  */
-function registerStreamingRoutes(app, optionalToken, readSettings, metadataPath, getAllGames) {
+function registerStreamingRoutes(app, optionalToken, readSettings, metadataPath, getAllGames, launchToken = optionalToken) {
   app.get("/streaming/status", optionalToken, async (req, res) => {
     try {
       const settings = readSettings();
@@ -103,7 +109,7 @@ function registerStreamingRoutes(app, optionalToken, readSettings, metadataPath,
     }
   });
 
-  app.post("/streaming/launch", optionalToken, async (req, res) => {
+  app.post("/streaming/launch", launchToken, requirePermission(PERMISSIONS.LAUNCH_GAMES), async (req, res) => {
     try {
       const settings = readSettings();
       const streaming = readStreamingSettings(settings);
@@ -119,6 +125,10 @@ function registerStreamingRoutes(app, optionalToken, readSettings, metadataPath,
       if (!gameId) {
         return res.status(400).json({ error: "Missing gameId" });
       }
+      const game = getAllGames()[Number(gameId)];
+      if (game && !isGameAllowedByContentFilter(game, req.contentFilter)) {
+        return res.status(403).json({ error: "Forbidden", detail: "Game is not allowed for this profile" });
+      }
 
       const executableName =
         typeof body.executableName === "string"
@@ -127,7 +137,10 @@ function registerStreamingRoutes(app, optionalToken, readSettings, metadataPath,
             ? req.query.executableName
             : undefined;
 
-      const launched = await launchGame(getAllGames(), metadataPath, gameId, executableName);
+      const launched = await launchGame(getAllGames(), metadataPath, gameId, executableName, {
+        source: "streaming",
+        userId: req.user ? req.user.userId : null,
+      });
       rememberStreamingLaunch({
         pid: launched.pid,
         gameId,
@@ -256,9 +269,9 @@ function registerStreamingRoutes(app, optionalToken, readSettings, metadataPath,
     }
   }
 
-  app.post("/streaming/stop", optionalToken, handleStreamingStop);
+  app.post("/streaming/stop", launchToken, handleStreamingStop);
   // GET for Moonlight Exit fallback (img/beacon / simple fetch without preflight).
-  app.get("/streaming/stop", optionalToken, handleStreamingStop);
+  app.get("/streaming/stop", launchToken, handleStreamingStop);
 
   /**
    * Short-lived Cloudflare Realtime TURN ICE servers for Moonlight Web (ice_server_script).
@@ -1,6 +1,7 @@
 const fs = require("fs");
 const path = require("path");
 const multer = require("multer");
+const { PERMISSIONS, requirePermission } = require("../utils/permissions");
 const { readJsonFile, ensureDirectoryExists, writeJsonFile, removeDirectoryIfEmpty } = require("../utils/fileUtils");
 const { deleteMediaFile } = require("../utils/gameMediaUtils");
 const { getTitleForSort } = require("../utils/sortUtils");
@@ -356,6 +357,7 @@ function createTagRoutes(config) {
   }
 
   function registerTagRoutes(app, requireToken, metadataPath, metadataGamesDir, allGames) {
+    const canEditLibrary = requirePermission(PERMISSIONS.EDIT_LIBRARY);
     const upload = multer({ storage: multer.memoryStorage() });
 
     app.get(`/${coverPrefix}/:tagTitle`, (req, res) => {
@@ -427,7 +429,7 @@ function createTagRoutes(config) {
       });
     });
 
-    app.post(normalizedRouteBase, requireToken, (req, res) => {
+    app.post(normalizedRouteBase, requireToken, canEditLibrary, (req, res) => {
       const { title } = req.body;
 
       if (!title || typeof title !== "string" || !title.trim()) {
@@ -458,7 +460,7 @@ function createTagRoutes(config) {
       });
     });
 
-    app.put(`${normalizedRouteBase}/:id`, requireToken, (req, res) => {
+    app.put(`${normalizedRouteBase}/:id`, requireToken, canEditLibrary, (req, res) => {
       const tag = findTagById(metadataPath, req.params.id);
 
       if (!tag) {
@@ -504,7 +506,7 @@ function createTagRoutes(config) {
       }
     });
 
-    app.delete(`${normalizedRouteBase}/:id`, requireToken, (req, res) => {
+    app.delete(`${normalizedRouteBase}/:id`, requireToken, canEditLibrary, (req, res) => {
       const tag = findTagById(metadataPath, req.params.id);
       if (!tag) {
         return res.status(404).json({ error: `${humanName} not found` });
@@ -539,7 +541,7 @@ function createTagRoutes(config) {
       }
     });
 
-    app.post(`${normalizedRouteBase}/:id/upload-cover`, requireToken, upload.single("file"), (req, res) => {
+    app.post(`${normalizedRouteBase}/:id/upload-cover`, requireToken, canEditLibrary, upload.single("file"), (req, res) => {
       const tag = findTagById(metadataPath, req.params.id);
 
       if (!tag) {
@@ -577,7 +579,7 @@ function createTagRoutes(config) {
       }
     });
 
-    app.delete(`${normalizedRouteBase}/:id/delete-cover`, requireToken, (req, res) => {
+    app.delete(`${normalizedRouteBase}/:id/delete-cover`, requireToken, canEditLibrary, (req, res) => {
       const tag = findTagById(metadataPath, req.params.id);
       if (!tag) {
         return res.status(404).json({ error: `${humanName} not found` });
@@ -112,6 +112,7 @@ const http = require("http");
 const crypto = require("crypto");
 const AdmZip = require("adm-zip");
 const { readJsonFile, ensureDirectoryExists, writeJsonFile } = require("./utils/fileUtils");
+const { resolveZipEntryPath } = require("./utils/zipPaths");
 
 // Import route modules
 const libraryRoutes = require("./routes/library");
@@ -129,14 +130,36 @@ const collectionsRoutes = require("./routes/collections");
 const developersRoutes = require("./routes/developers");
 const publishersRoutes = require("./routes/publishers");
 const authRoutes = require("./routes/auth");
+const searchRoutes = require("./routes/search");
 const igdbRoutes = require("./routes/igdb");
 const { registerTunnelRoutes } = require("./routes/tunnel");
 const { registerStreamingRoutes } = require("./routes/streaming");
-const { launchGame } = require("./utils/gameLauncher");
+const { registerLibraryArchiveRoutes } = require("./routes/libraryArchive");
+const { registerBackupRoutes } = require("./routes/backups");
+const { registerEmulatorRoutes } = require("./routes/emulators");
+const { registerLaunchHookRoutes } = require("./routes/launchHooks");
+const { registerMaintenanceRoutes } = require("./routes/maintenance");
+const { registerRomScannerRoutes } = require("./routes/romScanner");
+const { registerRomIdentificationRoutes } = require("./routes/romIdentification");
+const { registerSteamRoutes } = require("./routes/steam");
+const { registerEmulationStationRoutes } = require("./routes/emulationStation");
+const { registerFrontendImportRoutes } = require("./routes/frontendImport");
+const { registerMetadataProviderRoutes } = require("./routes/metadataProviders");
+const { registerIgdbCacheRoutes } = require("./routes/igdbCache");
+const { registerJobRoutes } = require("./routes/jobs");
+const { launchGame, resumePlaySessions, stopRunningGame } = require("./utils/gameLauncher");
+const { listRunningGames, toRunningGameResponse } = require("./utils/runningGames");
+const { resolveBackupConfig, startBackupScheduler } = require("./utils/backups");
+const { clearPersonalStateCache } = require("./utils/personalGameState");
+const { clearUserAccountsCache } = require("./utils/userAccountsStore");
+const { clearRomIdentificationCache } = require("./utils/romIdentification");
+const { clearPlaySessionSummaryCache } = require("./utils/playSessions");
+const { createMetadataRefreshJobs } = require("./utils/metadataRefreshJobs");
 const { validateStreamingSettingsPatch } = require("./utils/streaming");
 const { loadStoredTunnelCredentials } = require("./utils/cloudflareTunnelStore");
 const { isCloudflareTunnelEnabled } = require("./utils/cloudflareTunnel");
 const { setTwitchCredentialsMetadataPath } = require("./utils/twitchAppCredentials");
+const { setIgdbCacheMetadataPath } = require("./utils/igdbCache");
 const {
   loadStoredTwitchAppCredentials,
   saveStoredTwitchAppCredentials,
@@ -179,6 +202,14 @@ let cloudflareTunnel = null;
 // Settings file path - stored in metadata path root
 const SETTINGS_FILE = path.join(METADATA_PATH, "settings.json");
 const { tokensDirectory } = require("./utils/metadataTokenPaths");
+const { createAuthPolicy } = require("./utils/authPolicy");
+const {
+  PERMISSIONS,
+  requirePermission,
+  resolveContentFilter,
+  isGameAllowedByContentFilter,
+  validateParentalSettingsPatch,
+} = require("./utils/permissions");
 
 // Ensure metadata directory structure exists
 function ensureMetadataDirectories() {
@@ -290,14 +321,8 @@ function installSkinZipBuffer(buffer, metadataPath, fallbackName = "Plex") {
     const zip = new AdmZip(buffer);
     for (const entry of zip.getEntries()) {
       if (entry.isDirectory) continue;
-      const rel = String(entry.entryName).replace(/\\/g, "/").replace(/^\/+/, "");
-      if (!rel || rel.includes("..")) throw new Error("invalid_zip_path");
-      const out = path.join(tempDir, rel);
-      const resolved = path.resolve(out);
-      const resolvedBase = path.resolve(tempDir);
-      if (!resolved.startsWith(resolvedBase + path.sep) && resolved !== resolvedBase) {
-        throw new Error("invalid_zip_path");
-      }
+      const out = resolveZipEntryPath(tempDir, entry.entryName);
+      if (!out) throw new Error("invalid_zip_path");
       ensureDirectoryExists(path.dirname(out));
       fs.writeFileSync(out, entry.getData());
     }
@@ -463,44 +488,45 @@ if (!fs.existsSync(SETTINGS_FILE)) {
   }
 }
 
-// Token auth middleware - supports both development token and Twitch tokens
+// Token auth middleware - supports both development token and user session tokens (sets req.user)
 function requireToken(req, res, next) {
   const token = getRequestToken(req);
   if (!token) {
     return res.status(401).json({ error: "Unauthorized" });
   }
-  if (isAuthorizedToken(token)) {
+  const user = authRoutes.resolveTokenUser(token);
+  if (user) {
+    req.user = user;
     return next();
   }
 
   return res.status(401).json({ error: "Unauthorized" });
 }
 
-function optionalLauncherToken(req, res, next) {
-  return next();
-}
 
 function getRequestToken(req) {
-  return (
-    req.header("X-Auth-Token") ||
-    req.query.token ||
-    req.header("Authorization")
-  );
-}
-
-function isAuthorizedToken(token) {
-  if (!token) return false;
-  if (API_TOKEN && token === API_TOKEN) return true;
-  return authRoutes.isValidToken(token);
+  return authRoutes.getRequestToken(req);
 }
 
-function optionalToken(req, res, next) {
-  return next();
+// Route-class auth (AUTH_MODE=open|lan|token); every variant also sets req.user when a valid token is sent
+// and req.contentFilter (age-rating limit) for kid profiles
+const { authorize } = createAuthPolicy({ resolveUser: authRoutes.resolveRequestUser });
+function withContentFilter(authMiddleware) {
+  return (req, res, next) =>
+    authMiddleware(req, res, () => {
+      req.contentFilter = resolveContentFilter(req.user, readSettings);
+      next();
+    });
 }
+// read for GET, write for other methods
+const optionalToken = withContentFilter(authorize());
+const optionalLauncherToken = withContentFilter(authorize("launch"));
+const requireAdminAccess = authorize("admin");
+const BACKUP_CONFIG = resolveBackupConfig(METADATA_PATH);
 
 // Load games whitelist from JSON files
 // Games JSON files are now stored in METADATA_PATH/content/games/, content/collections/, content/categories/, content/recommended/
-let allGames = {}; // Store all games by ID for launcher
+const allGames = {}; // Store all games by ID for launcher (cleared in place by reloadAll)
 
 // Load all games on startup (completely async, after server is listening)
 // This allows the server to start faster and signal macOS that it's ready
@@ -513,6 +539,22 @@ setTimeout(() => {
   // Load games in background
   libraryRoutes.loadLibraryGames(METADATA_PATH, allGames);
   // Recommended sections are created/updated only when games are created
+
+  // Pick up metadata refresh jobs a restart interrupted
+  const resumedJobs = metadataRefreshJobs.resumeJobs();
+  if (resumedJobs > 0) console.log(`Resuming ${resumedJobs} metadata refresh job(s)`);
+
+  // Close play sessions interrupted by a restart (or keep watching games still running)
+  resumePlaySessions(METADATA_PATH).catch((error) => {
+    console.warn("Failed to resume play sessions:", error.message);
+  });
+
+  // Periodic snapshots (BACKUP_INTERVAL_HOURS=0 turns them off)
+  if (process.env.NODE_ENV !== "test") {
+    startBackupScheduler(METADATA_PATH, BACKUP_CONFIG, {
+      onBackup: (backup) => console.log(`Backup ${backup.id} written to ${BACKUP_CONFIG.dir}`),
+    });
+  }
 }, 100); // Small delay to ensure server starts listening first
 
 // Register routes
@@ -561,7 +603,7 @@ registerTunnelRoutes(app, {
   applyPublicUrl: applyTunnelPublicUrl,
   onTunnelConnected: () => signalServerReady("tunnel-connect"),
 });
-registerStreamingRoutes(app, optionalToken, readSettings, METADATA_PATH, () => allGames);
+registerStreamingRoutes(app, optionalToken, readSettings, METADATA_PATH, () => allGames, optionalLauncherToken);
 recommendedRoutes.registerRecommendedRoutes(app, optionalToken, METADATA_PATH, allGames);
 categoriesRoutes.registerCategoriesRoutes(app, optionalToken, METADATA_PATH, METADATA_PATH, allGames);
 igdbRoutes.registerIGDBRoutes(app, optionalToken, METADATA_PATH);
@@ -587,7 +629,7 @@ const publishersHandler = publishersRoutes.registerPublishersRoutes(
   allGames
 );
 const updateCollectionsCache = collectionsRoutes.createCacheUpdater(collectionsHandler.getCache());
-libraryRoutes.registerLibraryRoutes(
+const libraryHandler = libraryRoutes.registerLibraryRoutes(
   app,
   optionalToken,
   METADATA_PATH,
@@ -598,6 +640,13 @@ libraryRoutes.registerLibraryRoutes(
   developersHandler.getCache,
   publishersHandler.getCache
 );
+const metadataRefreshJobs = createMetadataRefreshJobs({
+  metadataPath: METADATA_PATH,
+  allGames,
+  mergeCatalogMetadata: libraryHandler.mergeCatalogMetadata,
+});
+registerJobRoutes(app, { metadataPath: METADATA_PATH, requireToken: optionalToken, metadataRefreshJobs });
+searchRoutes.registerSearchRoutes(app, optionalToken, METADATA_PATH, () => allGames);
 themesRoutes.registerThemesRoutes(app, optionalToken, METADATA_PATH, METADATA_PATH, allGames);
 platformsRoutes.registerPlatformsRoutes(app, optionalToken, METADATA_PATH, METADATA_PATH, allGames);
 gameEnginesRoutes.registerGameEnginesRoutes(app, optionalToken, METADATA_PATH, METADATA_PATH, allGames);
@@ -671,15 +720,20 @@ app.get("/collection-backgrounds/:collectionId", (req, res) => {
 });
 
 // Endpoint: launcher — launches an executable for a game (no strict auth when Twitch is off or no token is sent)
-app.get("/launcher", optionalLauncherToken, async (req, res) => {
+app.get("/launcher", optionalLauncherToken, requirePermission(PERMISSIONS.LAUNCH_GAMES), async (req, res) => {
   const gameId = req.query.gameId;
   if (!gameId) return res.status(400).json({ error: "Missing gameId" });
+  if (allGames[Number(gameId)] && !isGameAllowedByContentFilter(allGames[Number(gameId)], req.contentFilter)) {
+    return res.status(403).json({ error: "Forbidden", detail: "Game is not allowed for this profile" });
+  }
 
   const requestedExecutableName =
     typeof req.query.executableName === "string" ? req.query.executableName : undefined;
 
   try {
-    const result = await launchGame(allGames, METADATA_PATH, gameId, requestedExecutableName);
+    const result = await launchGame(allGames, METADATA_PATH, gameId, requestedExecutableName, {
+      userId: req.user ? req.user.userId : null,
+    });
     return res.json(result);
   } catch (err) {
     if (err?.payload && err?.status) {
@@ -692,10 +746,57 @@ app.get("/launcher", optionalLauncherToken, async (req, res) => {
   }
 });
 
-// Reload games list (admin endpoint) — protected by token
-app.post("/reload-games", optionalToken, async (req, res) => {
-  allGames = {};
+// Endpoint: games launched by this server that are still running (?includeFinished=true adds recent exits)
+app.get("/launcher/running", optionalLauncherToken, requirePermission(PERMISSIONS.LAUNCH_GAMES), (req, res) => {
+  const gameId = req.query.gameId != null && req.query.gameId !== "" ? Number(req.query.gameId) : undefined;
+  const includeFinished = String(req.query.includeFinished || "").toLowerCase() === "true";
+  const games = listRunningGames({ gameId, includeFinished })
+    .filter((entry) => !allGames[entry.gameId] || isGameAllowedByContentFilter(allGames[entry.gameId], req.contentFilter))
+    .map(toRunningGameResponse);
+  res.json({ games });
+});
+
+// Endpoint: stop a launched game by launchId, or every running launch of a gameId
+app.post("/launcher/stop", optionalLauncherToken, requirePermission(PERMISSIONS.LAUNCH_GAMES), async (req, res) => {
+  const body = req.body && typeof req.body === "object" ? req.body : {};
+  const launchId = body.launchId ?? req.query.launchId;
+  const gameId = body.gameId ?? req.query.gameId;
+  if (!launchId && !gameId) return res.status(400).json({ error: "Missing launchId or gameId" });
+
+  const targets = launchId
+    ? listRunningGames({ includeFinished: true }).filter((entry) => entry.launchId === String(launchId))
+    : listRunningGames({ gameId });
+  const allowed = targets.filter(
+    (entry) => !allGames[entry.gameId] || isGameAllowedByContentFilter(allGames[entry.gameId], req.contentFilter),
+  );
+  if (allowed.length === 0) return res.status(404).json({ error: "No running launch found" });
+
+  const stopped = await Promise.all(
+    allowed.map(async (entry) => {
+      const result = await stopRunningGame(entry.launchId);
+      return { launchId: entry.launchId, gameId: entry.gameId, ok: result.ok, state: result.state };
+    }),
+  );
+  const ok = stopped.every((entry) => entry.ok);
+  res.status(ok ? 200 : 500).json({
+    status: ok ? "stopped" : "failed",
+    launches: stopped,
+    ...(ok ? {} : { error: "Stop failed", detail: "Some processes are still running" }),
+  });
+});
+
+/**
+ * Reload every in-memory cache from METADATA_PATH (used by /reload-games, library import and backup restore).
+ * allGames is cleared in place: route modules hold a reference to the same object.
+ */
+function reloadAll() {
+  for (const id of Object.keys(allGames)) delete allGames[id];
+  clearPersonalStateCache();
+  clearUserAccountsCache();
+  clearRomIdentificationCache();
+  clearPlaySessionSummaryCache();
   libraryRoutes.loadLibraryGames(METADATA_PATH, allGames);
+  libraryHandler.invalidateCache();
   // Recommended games are now just IDs pointing to games already in allGames
   const collectionsCache = collectionsHandler.reload();
   developersHandler.reload();
@@ -707,10 +808,8 @@ app.post("/reload-games", optionalToken, async (req, res) => {
   const gameEngines = gameEnginesRoutes.loadGameEngines(METADATA_PATH);
   const gameModes = gameModesRoutes.loadGameModes(METADATA_PATH);
   const playerPerspectives = playerPerspectivesRoutes.loadPlayerPerspectives(METADATA_PATH);
-  const totalCount = Object.keys(allGames).length;
-  res.json({ 
-    status: "reloaded", 
-    count: totalCount, 
+  return {
+    count: Object.keys(allGames).length,
     collections: collectionsCache.length,
     developers: developersHandler.getCache().length,
     publishers: publishersHandler.getCache().length,
@@ -720,10 +819,62 @@ app.post("/reload-games", optionalToken, async (req, res) => {
     platforms: platforms.length,
     gameEngines: gameEngines.length,
     gameModes: gameModes.length,
-    playerPerspectives: playerPerspectives.length
-  });
+    playerPerspectives: playerPerspectives.length,
+  };
+}
+
+// Reload games list (admin endpoint) — protected by token
+app.post("/reload-games", requireAdminAccess, requirePermission(PERMISSIONS.MANAGE_SETTINGS), async (req, res) => {
+  res.json({ status: "reloaded", ...reloadAll() });
 });
 
+registerLibraryArchiveRoutes(app, {
+  metadataPath: METADATA_PATH,
+  requireAdmin: requireAdminAccess,
+  getServerVersion: () => getServerVersionInfo()?.version || null,
+  reloadAll,
+});
+registerBackupRoutes(app, {
+  metadataPath: METADATA_PATH,
+  config: BACKUP_CONFIG,
+  requireAdmin: requireAdminAccess,
+  reloadAll,
+});
+registerMaintenanceRoutes(app, {
+  metadataPath: METADATA_PATH,
+  requireAdmin: requireAdminAccess,
+  reloadAll,
+});
+registerRomScannerRoutes(app, {
+  metadataPath: METADATA_PATH,
+  requireAdmin: requireAdminAccess,
+  reloadAll,
+});
+registerRomIdentificationRoutes(app, { metadataPath: METADATA_PATH, requireAdmin: requireAdminAccess });
+registerSteamRoutes(app, {
+  metadataPath: METADATA_PATH,
+  requireAdmin: requireAdminAccess,
+  reloadAll,
+});
+registerEmulationStationRoutes(app, {
+  metadataPath: METADATA_PATH,
+  requireAdmin: requireAdminAccess,
+  reloadAll,
+});
+registerFrontendImportRoutes(app, {
+  metadataPath: METADATA_PATH,
+  requireAdmin: requireAdminAccess,
+  reloadAll,
+});
+registerMetadataProviderRoutes(app, {
+  metadataPath: METADATA_PATH,
+  requireToken: optionalToken,
+  requireAdmin: requireAdminAccess,
+});
+registerIgdbCacheRoutes(app, { requireAdmin: requireAdminAccess });
+registerEmulatorRoutes(app, { metadataPath: METADATA_PATH, requireAdmin: requireAdminAccess });
+registerLaunchHookRoutes(app, { metadataPath: METADATA_PATH, allGames, requireAdmin: requireAdminAccess });
+
 /*
  * Sanitize an arbitrary value so it becomes a full skin web manifest: every known flag is
  * present and strictly boolean. Unknown keys are dropped. `sidebarSearchPopup` inherits
@@ -847,6 +998,7 @@ function writeSettings(settings) {
 }
 
 setTwitchCredentialsMetadataPath(METADATA_PATH);
+setIgdbCacheMetadataPath(METADATA_PATH);
 
 // Endpoint: get settings (public)
 app.get("/settings", (req, res) => {
@@ -907,7 +1059,7 @@ app.post("/translate", optionalToken, async (req, res) => {
 });
 
 // Endpoint: update settings
-app.put("/settings", (req, res) => {
+app.put("/settings", requireAdminAccess, requirePermission(PERMISSIONS.MANAGE_SETTINGS), (req, res) => {
   const currentSettings = readSettings();
 
   const body = req.body && typeof req.body === "object" && !Array.isArray(req.body)
@@ -958,6 +1110,12 @@ app.put("/settings", (req, res) => {
   }
   Object.assign(body, streamingPatch.value);
 
+  const parentalPatch = validateParentalSettingsPatch(body);
+  if (!parentalPatch.ok) {
+    return res.status(400).json({ error: parentalPatch.error });
+  }
+  Object.assign(body, parentalPatch.value);
+
   const updatedSettings = {
     ...currentSettings,
     ...body,
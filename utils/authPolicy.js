@@ -0,0 +1,143 @@
+"use strict";
+
+const net = require("net");
+
+/**
+ * Configurable auth policy for API routes.
+ *
+ * Modes:
+ *   - open:  anyone may call (historical behaviour)
+ *   - lan:   anonymous callers are accepted only from the local network; others need a token
+ *   - token: a valid token (API_TOKEN or login session) is always required
+ *
+ * AUTH_MODE sets the mode for every route class; AUTH_MODE_READ / AUTH_MODE_WRITE /
+ * AUTH_MODE_LAUNCH / AUTH_MODE_ADMIN override it per class.
+ */
+
+const AUTH_MODES = ["open", "lan", "token"];
+const ROUTE_CLASSES = ["read", "write", "launch", "admin"];
+const DEFAULT_AUTH_MODE = "open";
+
+function normalizeAuthMode(value) {
+  const mode = String(value || "").trim().toLowerCase();
+  return AUTH_MODES.includes(mode) ? mode : null;
+}
+
+/**
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {{ read: string, write: string, launch: string, admin: string }}
+ */
+function resolveAuthPolicy(env = process.env) {
+  const base = normalizeAuthMode(env.AUTH_MODE) || DEFAULT_AUTH_MODE;
+  if (env.AUTH_MODE && !normalizeAuthMode(env.AUTH_MODE)) {
+    console.warn(`Unknown AUTH_MODE "${env.AUTH_MODE}", using "${base}".`);
+  }
+  const policy = {};
+  for (const routeClass of ROUTE_CLASSES) {
+    policy[routeClass] = normalizeAuthMode(env[`AUTH_MODE_${routeClass.toUpperCase()}`]) || base;
+  }
+  return policy;
+}
+
+// POST routes that only compute a result from their body (nothing is saved): read, like a GET
+const READ_ONLY_POST_PATHS = new Set(["/collections/preview"]);
+
+/** Safe methods read; everything else writes. Launch and admin are always declared explicitly. */
+function classifyRequest(req) {
+  const method = String(req.method || "GET").toUpperCase();
+  if (method === "POST" && READ_ONLY_POST_PATHS.has(req.path)) return "read";
+  return method === "GET" || method === "HEAD" || method === "OPTIONS" ? "read" : "write";
+}
+
+function normalizeIp(ip) {
+  let value = String(ip || "").trim();
+  if (value.startsWith("[") && value.includes("]")) value = value.slice(1, value.indexOf("]"));
+  if (value.toLowerCase().startsWith("::ffff:") && net.isIPv4(value.slice(7))) value = value.slice(7);
+  return value;
+}
+
+/** Loopback, RFC 1918, link-local and IPv6 unique-local addresses. */
+function isLanAddress(ip) {
+  const value = normalizeIp(ip);
+  if (net.isIPv4(value)) {
+    const [a, b] = value.split(".").map(Number);
+    return (
+      a === 127 ||
+      a === 10 ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 169 && b === 254)
+    );
+  }
+  if (net.isIPv6(value)) {
+    const lower = value.toLowerCase();
+    return lower === "::1" || /^f[cd][0-9a-f]{2}:/.test(lower) || /^fe[89ab][0-9a-f]:/.test(lower);
+  }
+  return false;
+}
+
+/**
+ * Every address a request claims to come from: the socket peer plus forwarded client
+ * addresses (Cloudflare tunnel / reverse proxy). Tunnelled requests reach us from
+ * cloudflared on loopback, so forwarded headers must be considered too.
+ */
+function requestClientAddresses(req) {
+  const addresses = [req.socket?.remoteAddress || req.connection?.remoteAddress || ""];
+  const cfIp = req.headers?.["cf-connecting-ip"];
+  if (cfIp) addresses.push(String(cfIp));
+  const forwarded = req.headers?.["x-forwarded-for"];
+  if (forwarded) {
+    addresses.push(...String(forwarded).split(",").map((s) => s.trim()).filter(Boolean));
+  }
+  const realIp = req.headers?.["x-real-ip"];
+  if (realIp) addresses.push(String(realIp));
+  return addresses.map(normalizeIp);
+}
+
+/** LAN only when every hop (socket and forwarded clients) is a LAN address. */
+function isLanRequest(req) {
+  const addresses = requestClientAddresses(req);
+  return addresses.length > 0 && addresses.every(isLanAddress);
+}
+
+/**
+ * @returns {boolean} whether an anonymous or identified caller may access a route class
+ */
+function isRequestAllowed(policy, routeClass, req, user) {
+  const mode = policy[routeClass] || DEFAULT_AUTH_MODE;
+  if (mode === "open") return true;
+  if (user) return true;
+  return mode === "lan" && isLanRequest(req);
+}
+
+/**
+ * Middleware factory. `authorize(routeClass?)` returns a middleware that resolves the
+ * caller into req.user and enforces the policy (401 when the caller is not allowed).
+ * Without a route class it is inferred from the HTTP method.
+ *
+ * @param {{ resolveUser: (req: any) => object|null, policy?: object }} options
+ */
+function createAuthPolicy({ resolveUser, policy = resolveAuthPolicy() }) {
+  function authorize(routeClass = null) {
+    return function authPolicyMiddleware(req, res, next) {
+      req.user = resolveUser(req);
+      const effectiveClass = routeClass || classifyRequest(req);
+      if (isRequestAllowed(policy, effectiveClass, req, req.user)) {
+        return next();
+      }
+      return res.status(401).json({ error: "Unauthorized" });
+    };
+  }
+  return { policy, authorize };
+}
+
+module.exports = {
+  AUTH_MODES,
+  ROUTE_CLASSES,
+  resolveAuthPolicy,
+  classifyRequest,
+  isLanAddress,
+  isLanRequest,
+  isRequestAllowed,
+  createAuthPolicy,
+};
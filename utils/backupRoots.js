@@ -0,0 +1,41 @@
+"use strict";
+
+const { TOKENS_DIR } = require("./metadataTokenPaths");
+
+/**
+ * Folders and files under METADATA_PATH that backups snapshot. The core store is listed here;
+ * feature modules register their own root next to the constant that names it, so adding a
+ * store does not mean editing utils/backups.js.
+ */
+
+/** @type {Map<string, { file: boolean }>} root -> whether it is a single file */
+const roots = new Map([
+  ["settings.json", { file: true }],
+  ["content", { file: false }],
+  ["skins", { file: false }],
+  ["personal", { file: false }],
+  [TOKENS_DIR, { file: false }],
+]);
+
+/**
+ * @param {string} name folder or file name relative to METADATA_PATH
+ * @param {{ file?: boolean }} [options] file: a single file rather than a folder
+ */
+function registerBackupRoot(name, { file = false } = {}) {
+  roots.set(name, { file });
+}
+
+/** Registered roots, in registration order. */
+function listBackupRoots() {
+  return [...roots.keys()];
+}
+
+function isFileBackupRoot(name) {
+  return Boolean(roots.get(name)?.file);
+}
+
+module.exports = {
+  registerBackupRoot,
+  listBackupRoots,
+  isFileBackupRoot,
+};
@@ -0,0 +1,300 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { ensureDirectoryExists, readJsonFile, writeJsonFile } = require("./fileUtils");
+const { resolveZipEntryPath } = require("./zipPaths");
+const { createZipWriter } = require("./zipWriter");
+const { listZipEntries, extractZipEntry } = require("./zipReader");
+const { listBackupRoots, isFileBackupRoot } = require("./backupRoots");
+
+/**
+ * Snapshots of the on-disk store: settings.json, content/, skins/, personal/, the credential stores
+ * in tokens/ and every root a feature module registers (see backupRoots.js).
+ * Each snapshot is <id>.zip plus an <id>.json manifest in the backup directory (BACKUP_DIR,
+ * default METADATA_PATH/backups). The zip is written and restored one file at a time, so memory
+ * use does not grow with the library; disk use does: every snapshot is a full copy, media
+ * included. Scheduled snapshots are taken every 24 hours unless BACKUP_INTERVAL_HOURS says
+ * otherwise (0 turns them off).
+ *
+ * Retention (BACKUP_KEEP_DAILY / BACKUP_KEEP_WEEKLY) keeps the newest scheduled snapshot of each
+ * of the last N days and M weeks; manual and pre-restore snapshots are only removed by hand.
+ */
+
+const BACKUP_FORMAT = "myhomegames-backup";
+const BACKUP_VERSION = 1;
+const BACKUP_ID_RE = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z(-\d+)?$/;
+const DEFAULT_INTERVAL_HOURS = 24;
+const DEFAULT_KEEP_DAILY = 3;
+const DEFAULT_KEEP_WEEKLY = 2;
+const SCHEDULER_TICK_MS = 60 * 60 * 1000;
+
+function parseNonNegativeInt(value, fallback) {
+  if (value == null || String(value).trim() === "") return fallback;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : fallback;
+}
+
+/**
+ * @param {string} metadataPath
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {{ dir: string, intervalHours: number, keepDaily: number, keepWeekly: number }}
+ */
+function resolveBackupConfig(metadataPath, env = process.env) {
+  const dir = String(env.BACKUP_DIR || "").trim();
+  return {
+    dir: dir ? path.resolve(dir) : path.join(metadataPath, "backups"),
+    intervalHours: parseNonNegativeInt(env.BACKUP_INTERVAL_HOURS, DEFAULT_INTERVAL_HOURS),
+    keepDaily: parseNonNegativeInt(env.BACKUP_KEEP_DAILY, DEFAULT_KEEP_DAILY),
+    keepWeekly: parseNonNegativeInt(env.BACKUP_KEEP_WEEKLY, DEFAULT_KEEP_WEEKLY),
+  };
+}
+
+function isValidBackupId(id) {
+  return typeof id === "string" && BACKUP_ID_RE.test(id);
+}
+
+function backupZipPath(config, id) {
+  return path.join(config.dir, `${id}.zip`);
+}
+
+function backupManifestPath(config, id) {
+  return path.join(config.dir, `${id}.json`);
+}
+
+/**
+ * Pick an unused id and create its (empty) zip, so two snapshots started in the same
+ * millisecond never share a file.
+ * @returns {{ id: string, fd: number }}
+ */
+function reserveBackupId(config, date) {
+  const base = date.toISOString().replace(/[:.]/g, "-");
+  for (let n = 0; ; n++) {
+    const id = n === 0 ? base : `${base}-${n}`;
+    if (fs.existsSync(backupManifestPath(config, id))) continue;
+    try {
+      return { id, fd: fs.openSync(backupZipPath(config, id), "wx") };
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+    }
+  }
+}
+
+function collectTreeFiles(abs, rel, out) {
+  const stat = fs.statSync(abs);
+  if (stat.isFile()) {
+    out.push({ abs, rel });
+  } else if (stat.isDirectory()) {
+    for (const ent of fs.readdirSync(abs, { withFileTypes: true })) {
+      if (ent.name.startsWith(".")) continue;
+      collectTreeFiles(path.join(abs, ent.name), `${rel}/${ent.name}`, out);
+    }
+  }
+  return out;
+}
+
+/** Backups, newest first. */
+function listBackups(config) {
+  if (!fs.existsSync(config.dir)) return [];
+  return fs.readdirSync(config.dir)
+    .filter((name) => name.endsWith(".json") && isValidBackupId(path.basename(name, ".json")))
+    .map((name) => readJsonFile(path.join(config.dir, name), null))
+    .filter((manifest) => manifest && manifest.format === BACKUP_FORMAT && isValidBackupId(manifest.id))
+    .filter((manifest) => fs.existsSync(backupZipPath(config, manifest.id)))
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)) || b.id.localeCompare(a.id));
+}
+
+function getBackup(config, id) {
+  if (!isValidBackupId(id)) return null;
+  return listBackups(config).find((backup) => backup.id === id) || null;
+}
+
+/**
+ * Write a snapshot of every backup root that exists, streaming the zip to disk.
+ * @param {"scheduled"|"manual"|"pre-restore"} reason
+ * @returns {Promise<object>} manifest
+ */
+async function createBackup(metadataPath, config, { reason = "manual", now = new Date() } = {}) {
+  ensureDirectoryExists(config.dir);
+  const roots = [];
+  const files = [];
+  for (const root of listBackupRoots()) {
+    const abs = path.join(metadataPath, root);
+    if (!fs.existsSync(abs)) continue;
+    collectTreeFiles(abs, root, files);
+    roots.push(root);
+  }
+  const { id, fd } = reserveBackupId(config, now);
+  const zipPath = backupZipPath(config, id);
+  const manifest = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    id,
+    createdAt: now.toISOString(),
+    reason,
+    roots,
+    files: files.length,
+    size: 0,
+  };
+  try {
+    const writer = createZipWriter(fs.createWriteStream(zipPath, { fd }));
+    for (const file of files) await writer.addFile(file.rel, file.abs);
+    await writer.addBuffer("backup.json", Buffer.from(JSON.stringify(manifest, null, 2), "utf8"));
+    manifest.size = await writer.finalize();
+  } catch (error) {
+    fs.rmSync(zipPath, { force: true });
+    throw error;
+  }
+  writeJsonFile(backupManifestPath(config, id), manifest);
+  return manifest;
+}
+
+function deleteBackup(config, id) {
+  if (!isValidBackupId(id)) return false;
+  const zipPath = backupZipPath(config, id);
+  const manifestPath = backupManifestPath(config, id);
+  const existed = fs.existsSync(manifestPath) || fs.existsSync(zipPath);
+  fs.rmSync(zipPath, { force: true });
+  fs.rmSync(manifestPath, { force: true });
+  return existed;
+}
+
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/** Monday of the UTC week, as YYYY-MM-DD. */
+function weekKey(date) {
+  const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return dayKey(monday);
+}
+
+/**
+ * Ids of scheduled snapshots to delete: keeps the newest snapshot of each of the last keepDaily
+ * days and of each of the last keepWeekly weeks that have snapshots.
+ */
+function selectExpiredBackups(backups, { keepDaily, keepWeekly }) {
+  const scheduled = backups
+    .filter((backup) => backup.reason === "scheduled")
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  const keep = new Set();
+  for (const [limit, keyOf] of [[keepDaily, dayKey], [keepWeekly, weekKey]]) {
+    const seen = new Set();
+    for (const backup of scheduled) {
+      const key = keyOf(new Date(backup.createdAt));
+      if (seen.has(key)) continue;
+      if (seen.size >= limit) break;
+      seen.add(key);
+      keep.add(backup.id);
+    }
+  }
+  return scheduled.filter((backup) => !keep.has(backup.id)).map((backup) => backup.id);
+}
+
+function applyRetention(config) {
+  const expired = selectExpiredBackups(listBackups(config), config);
+  for (const id of expired) deleteBackup(config, id);
+  return expired;
+}
+
+/**
+ * Restore a snapshot over METADATA_PATH. A pre-restore snapshot is taken first so the restore
+ * itself can be undone; each root saved in the backup is extracted to a staging folder and then
+ * swapped in place of the current one. Entries are streamed from the zip one at a time.
+ *
+ * @returns {Promise<{ restored: object, preRestore: object } | null>} null when the backup does not exist
+ */
+async function restoreBackup(metadataPath, config, id) {
+  const backup = getBackup(config, id);
+  if (!backup) return null;
+  const preRestore = await createBackup(metadataPath, config, { reason: "pre-restore" });
+
+  const stagingDir = path.join(metadataPath, `.backup-restore-${crypto.randomUUID()}`);
+  ensureDirectoryExists(stagingDir);
+  try {
+    const zipPath = backupZipPath(config, id);
+    for (const entry of await listZipEntries(zipPath)) {
+      if (entry.name === "backup.json") continue;
+      const outPath = resolveZipEntryPath(stagingDir, entry.name);
+      const root = entry.name.split("/")[0];
+      if (!outPath || !backup.roots.includes(root)) throw new Error("invalid_zip_path");
+      ensureDirectoryExists(path.dirname(outPath));
+      await extractZipEntry(zipPath, entry, outPath);
+    }
+
+    const previousDir = path.join(stagingDir, ".previous");
+    ensureDirectoryExists(previousDir);
+    const swapped = [];
+    try {
+      for (const root of backup.roots) {
+        const staged = path.join(stagingDir, root);
+        const target = path.join(metadataPath, root);
+        // Empty folders are not stored in the zip
+        if (!fs.existsSync(staged) && !isFileBackupRoot(root)) ensureDirectoryExists(staged);
+        if (!fs.existsSync(staged)) continue;
+        const hadTarget = fs.existsSync(target);
+        if (hadTarget) fs.renameSync(target, path.join(previousDir, root));
+        swapped.push({ root, hadTarget });
+        fs.renameSync(staged, target);
+      }
+    } catch (error) {
+      // Put back whatever was already moved aside
+      for (const { root, hadTarget } of swapped.reverse()) {
+        const target = path.join(metadataPath, root);
+        fs.rmSync(target, { recursive: true, force: true });
+        if (hadTarget) fs.renameSync(path.join(previousDir, root), target);
+      }
+      throw error;
+    }
+  } finally {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+  }
+  return { restored: backup, preRestore };
+}
+
+/**
+ * Take a scheduled snapshot whenever the newest one is older than config.intervalHours
+ * (checked at start and hourly; a tick is skipped while the previous snapshot is still being
+ * written). intervalHours = 0 disables scheduling.
+ *
+ * @returns {{ stop: () => void } | null}
+ */
+function startBackupScheduler(metadataPath, config, { onBackup } = {}) {
+  if (!config.intervalHours) return null;
+  const intervalMs = config.intervalHours * 60 * 60 * 1000;
+  let running = false;
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      const last = listBackups(config).find((backup) => backup.reason === "scheduled");
+      if (last && Date.now() - Date.parse(last.createdAt) < intervalMs) return;
+      const manifest = await createBackup(metadataPath, config, { reason: "scheduled" });
+      applyRetention(config);
+      if (onBackup) onBackup(manifest);
+    } catch (error) {
+      console.error("Scheduled backup failed:", error.message);
+    } finally {
+      running = false;
+    }
+  }
+  void tick();
+  const timer = setInterval(tick, Math.min(intervalMs, SCHEDULER_TICK_MS));
+  timer.unref?.();
+  return { stop: () => clearInterval(timer) };
+}
+
+module.exports = {
+  resolveBackupConfig,
+  isValidBackupId,
+  listBackups,
+  getBackup,
+  createBackup,
+  deleteBackup,
+  selectExpiredBackups,
+  applyRetention,
+  restoreBackup,
+  startBackupScheduler,
+};
@@ -1,6 +1,6 @@
-const https = require("https");
 const { formatIGDBDateWithFormat } = require("./dateUtils");
 const { resolveTwitchAppCredentials } = require("./twitchAppCredentials");
+const { queryIgdb } = require("./igdbClient");
 const {
   pickCompanyProfileFields,
   COMPANY_PROFILE_FIELD_KEYS,
@@ -440,83 +440,26 @@ function mapCatalogCompanyToInfo(company) {
   return Object.keys(info).length > 0 ? info : null;
 }
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
-function runIgdbApiQueryOnce(path, postData, accessToken, clientId, context) {
-  const options = {
-    hostname: "api.igdb.com",
-    path,
-    method: "POST",
-    headers: {
-      "Client-ID": clientId,
-      Authorization: `Bearer ${accessToken}`,
-      "Content-Type": "text/plain",
-      "Content-Length": Buffer.byteLength(postData),
-    },
-  };
-
-  return new Promise((resolve, reject) => {
-    const igdbReq = https.request(options, (igdbRes) => {
-      let data = "";
-      igdbRes.on("data", (chunk) => {
-        data += chunk;
-      });
-      igdbRes.on("end", () => {
-        try {
-          if (igdbRes.statusCode !== 200) {
-            logWarn(`IGDB response error (${context})`, {
-              statusCode: igdbRes.statusCode,
-              body: data.slice(0, 500),
-            });
-            reject(new Error(`IGDB API error ${igdbRes.statusCode}: ${data}`));
-            return;
-          }
-          const parsed = JSON.parse(data);
-          const rows = Array.isArray(parsed) ? parsed : [];
-          resolve(rows);
-        } catch (e) {
-          logWarn(`IGDB parse error (${context})`, e.message);
-          reject(e);
-        }
-      });
-    });
-    igdbReq.on("error", (err) => {
+// Rate limiting and 429/5xx retries happen in the shared IGDB client
+function runIgdbApiQuery(endpoint, postData, accessToken, clientId, context) {
+  return queryIgdb(endpoint, postData, accessToken, clientId).catch((err) => {
+    if (err.status) {
+      logWarn(`IGDB response error (${context})`, { statusCode: err.status, body: String(err.detail || err.message).slice(0, 500) });
+    } else {
       logWarn(`IGDB network error (${context})`, err.message);
-      reject(err);
-    });
-    igdbReq.write(postData);
-    igdbReq.end();
-  });
-}
-
-async function runIgdbApiQuery(path, postData, accessToken, clientId, context) {
-  const maxAttempts = 4;
-  for (let attempt = 0; attempt < maxAttempts; attempt += 1) {
-    try {
-      return await runIgdbApiQueryOnce(path, postData, accessToken, clientId, context);
-    } catch (err) {
-      const is429 = err instanceof Error && err.message.includes("429");
-      if (!is429 || attempt >= maxAttempts - 1) {
-        throw err;
-      }
-      const waitMs = 1000 * (attempt + 1);
-      logWarn(`IGDB rate limit (${context}), retry in ${waitMs}ms`);
-      await sleep(waitMs);
     }
-  }
-  return [];
+    throw err;
+  });
 }
 
 function runCatalogCompaniesQuery(postData, accessToken, clientId, context) {
-  return runIgdbApiQuery("/v4/companies", postData, accessToken, clientId, context);
+  return runIgdbApiQuery("companies", postData, accessToken, clientId, context);
 }
 
 function fetchCompanyTypeHistoriesForCompany(companyId, accessToken, clientId) {
   const postData = `fields ${CATALOG_COMPANY_TYPE_HISTORY_FIELDS}; where company = ${companyId}; limit 50;`;
   return runIgdbApiQuery(
-    "/v4/company_type_histories",
+    "company_type_histories",
     postData,
     accessToken,
     clientId,
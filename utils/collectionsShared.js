@@ -209,6 +209,8 @@ function pruneOrphanCollectionLikeItems(metadataPath, contentFolder, items, upda
     removedSomething = false;
     for (let i = items.length - 1; i >= 0; i--) {
       const item = items[i];
+      // Smart collections have no stored games; their membership comes from rules
+      if (item.smart) continue;
       const games = Array.isArray(item.games) ? item.games : [];
       if (games.length > 0) continue;
       const childs = Array.isArray(item.childs) ? item.childs : [];
@@ -259,7 +261,7 @@ function removeGameFromAll(metadataPath, contentFolder, gameId, updateCacheCallb
 function addGameToItem(metadataPath, contentFolder, itemId, gameId) {
   const items = loadItems(metadataPath, contentFolder);
   const entry = findById(items, itemId);
-  if (!entry) return false;
+  if (!entry || entry.smart) return false;
   const games = entry.games || [];
   if (games.some((g) => Number(g) === Number(gameId))) return false;
   entry.games = [...games, gameId];
@@ -0,0 +1,158 @@
+"use strict";
+
+const { decodeXml, parseXmlAttributes } = require("./xmlText");
+
+/**
+ * Parser for ROM set DAT files (No-Intro, Redump, TOSEC): Logiqx XML and the ClrMamePro text
+ * format. Both come out as
+ *
+ *   { header: { name, description, version },
+ *     games: [{ name, description, region, roms: [{ name, size, crc, md5, sha1, status }] }] }
+ *
+ * with hashes lowercased and status one of "good", "verified", "bad-dump" or "no-dump".
+ */
+
+const REGIONS = [
+  "World", "USA", "Europe", "Japan", "Asia", "Australia", "Brazil", "Canada", "China", "France",
+  "Germany", "Hong Kong", "Italy", "Korea", "Netherlands", "Russia", "Spain", "Sweden", "Taiwan",
+  "United Kingdom", "Scandinavia", "Latin America",
+];
+
+function xmlElementText(body, tag) {
+  const match = body.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXml(match[1].trim()) : null;
+}
+
+/** Region from the "(Japan, USA)" tag of a No-Intro / Redump name, or null. */
+function regionFromName(name) {
+  const tags = String(name || "").match(/\(([^)]*)\)/g) || [];
+  for (const tag of tags) {
+    const parts = tag.slice(1, -1).split(",").map((part) => part.trim());
+    if (parts.length > 0 && parts.every((part) => REGIONS.includes(part))) return parts.join(", ");
+  }
+  return null;
+}
+
+function normalizeStatus(raw) {
+  const status = String(raw || "").toLowerCase();
+  if (status === "baddump") return "bad-dump";
+  if (status === "nodump") return "no-dump";
+  if (status === "verified") return "verified";
+  return "good";
+}
+
+function normalizeHash(value, length) {
+  const hash = String(value || "").trim().toLowerCase();
+  return new RegExp(`^[0-9a-f]{${length}}$`).test(hash) ? hash : null;
+}
+
+function toRom(attributes) {
+  const size = Number(attributes.size);
+  return {
+    name: attributes.name || "",
+    size: Number.isFinite(size) ? size : null,
+    crc: normalizeHash(attributes.crc, 8),
+    md5: normalizeHash(attributes.md5, 32),
+    sha1: normalizeHash(attributes.sha1, 40),
+    status: normalizeStatus(attributes.status || attributes.flags),
+  };
+}
+
+function toGame(name, description, roms) {
+  return { name, description: description || name, region: regionFromName(name), roms };
+}
+
+function parseLogiqxXml(text) {
+  const headerBody = (text.match(/<header\b[^>]*>([\s\S]*?)<\/header>/) || [])[1] || "";
+  const header = {
+    name: xmlElementText(headerBody, "name"),
+    description: xmlElementText(headerBody, "description"),
+    version: xmlElementText(headerBody, "version"),
+  };
+  const games = [];
+  const gameRe = /<(game|machine)\b([^>]*)>([\s\S]*?)<\/\1>/g;
+  let match;
+  while ((match = gameRe.exec(text)) !== null) {
+    const attributes = parseXmlAttributes(match[2]);
+    const body = match[3];
+    const roms = [];
+    const romRe = /<rom\b([^>]*?)\/?>/g;
+    let rom;
+    while ((rom = romRe.exec(body)) !== null) roms.push(toRom(parseXmlAttributes(rom[1])));
+    games.push(toGame(attributes.name || "", xmlElementText(body, "description"), roms));
+  }
+  return { header, games };
+}
+
+function tokenizeClrMamePro(text) {
+  const tokens = [];
+  const re = /\s*(?:(\()|(\))|"((?:[^"\\]|\\.)*)"|([^\s()"]+))/gy;
+  let match;
+  while (re.lastIndex < text.length && (match = re.exec(text)) !== null) {
+    if (match[1]) tokens.push({ open: true });
+    else if (match[2]) tokens.push({ close: true });
+    else if (match[3] !== undefined) tokens.push({ value: match[3].replace(/\\(.)/g, "$1") });
+    else if (match[4] !== undefined) tokens.push({ value: match[4] });
+  }
+  return tokens;
+}
+
+/** key value pairs and key ( ... ) blocks as [key, value | entries[]] entries. */
+function parseClrMameProEntries(tokens, start) {
+  const entries = [];
+  let i = start;
+  while (i < tokens.length && !tokens[i].close) {
+    const key = tokens[i].value;
+    const next = tokens[i + 1];
+    if (key === undefined || !next) break;
+    if (next.open) {
+      const block = parseClrMameProEntries(tokens, i + 2);
+      entries.push([key, block.entries]);
+      i = block.end + 1;
+    } else {
+      entries.push([key, next.value]);
+      i += 2;
+    }
+  }
+  return { entries, end: i };
+}
+
+function entriesToObject(entries) {
+  const object = {};
+  for (const [key, value] of entries) {
+    if (typeof value === "string" && !(key in object)) object[key] = value;
+  }
+  return object;
+}
+
+function parseClrMamePro(text) {
+  const { entries } = parseClrMameProEntries(tokenizeClrMamePro(text), 0);
+  let header = { name: null, description: null, version: null };
+  const games = [];
+  for (const [key, value] of entries) {
+    if (!Array.isArray(value)) continue;
+    const fields = entriesToObject(value);
+    if (key === "clrmamepro") {
+      header = { name: fields.name || null, description: fields.description || null, version: fields.version || null };
+    } else if (key === "game" || key === "machine") {
+      const roms = value.filter(([k, v]) => k === "rom" && Array.isArray(v)).map(([, v]) => toRom(entriesToObject(v)));
+      games.push(toGame(fields.name || "", fields.description, roms));
+    }
+  }
+  return { header, games };
+}
+
+/**
+ * @param {string} text DAT file content
+ * @returns {{ header: { name: string|null, description: string|null, version: string|null }, games: object[] }}
+ */
+function parseDat(text) {
+  const content = String(text || "").replace(/^\uFEFF/, "");
+  if (content.trimStart().startsWith("<")) return parseLogiqxXml(content);
+  return parseClrMamePro(content);
+}
+
+module.exports = {
+  regionFromName,
+  parseDat,
+};
@@ -0,0 +1,596 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ensureDirectoryExists, readJsonFile, writeJsonFile } = require("./fileUtils");
+const { isNonEmptyString } = require("./launchCommand");
+const { PROFILE_EXTENSION, isLaunchProfilePath, readLaunchProfile } = require("./launchProfiles");
+const { isValidEmulatorId } = require("./emulators");
+const { CANONICAL_LANG, isSummaryLocaleMap, resolveSummary } = require("./metadataLocale");
+const { loadRoleItems, saveRoleItem } = require("./companyStorage");
+const { normalizeRomTitle } = require("./romScanner");
+const { gameDir, gameExists, nextGameId, createImportedGame } = require("./importedGames");
+const { registerBackupRoot } = require("./backupRoots");
+const {
+  parseGamelist,
+  serializeGamelist,
+  getGamelistField,
+  setGamelistField,
+  toGamelistDate,
+  fromGamelistDate,
+  normalizeGamelistRating,
+} = require("./gamelistXml");
+
+/**
+ * Two-way sync with EmulationStation gamelist.xml files. Systems map a ROM folder to its
+ * gamelist (and to the platform / emulator used for games the import creates):
+ *
+ *   METADATA_PATH/emulationstation/systems.json
+ *     { "systems": [{ "id": "snes", "romsPath": "/roms/snes", "gamelistPath": "/roms/snes/gamelist.xml",
+ *                     "platformId": 19, "emulator": null }] }
+ *
+ * Games are paired with gamelist entries by ROM path (the "rom" of their launch profiles). Every
+ * sync stores the values both sides agreed on in emulationstation/sync.json, keyed by ROM path:
+ *
+ *   { "entries": { "/roms/snes/Chrono Trigger (USA).sfc": { systemId, gameId, base: { name, desc,
+ *     releasedate, developer, publisher, genre, rating }, syncedAt } } }
+ *
+ * and the next sync merges each field three ways: a side that still has the stored value takes
+ * the other side's edit, so edits made on either side since the last sync are never overwritten.
+ * A field edited on both sides is a conflict, settled by onConflict ("library" keeps the
+ * library value, "gamelist" the gamelist one, "skip" leaves both alone). Developers, publishers
+ * and genres are linked to existing companies / categories by name; names the library does not
+ * know are reported and kept in the stored values instead of creating items. Media goes one way:
+ * the import copies gamelist images the game does not have yet, the export points <image> and
+ * <fanart> at the library's cover and background.
+ */
+
+const ES_DIR = "emulationstation";
+const SYSTEM_ID_RE = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const PROFILE_LABEL = "play";
+const SYNC_FIELDS = ["name", "desc", "releasedate", "developer", "publisher", "genre", "rating"];
+const CONFLICT_POLICIES = ["library", "gamelist", "skip"];
+const LIST_SEPARATORS = {
+  developer: { split: /\s+\/\s+/, join: " / " },
+  publisher: { split: /\s+\/\s+/, join: " / " },
+  genre: { split: /\s*[,/]\s*/, join: ", " },
+};
+const SCREENSHOT_TAGS = ["screenshot", "titleshot"];
+const IMAGE_EXTENSIONS = [".webp", ".jpg", ".jpeg", ".png", ".gif"];
+
+registerBackupRoot(ES_DIR);
+
+function esDir(metadataPath) {
+  return path.join(metadataPath, ES_DIR);
+}
+
+function systemsPath(metadataPath) {
+  return path.join(esDir(metadataPath), "systems.json");
+}
+
+function syncPath(metadataPath) {
+  return path.join(esDir(metadataPath), "sync.json");
+}
+
+function validateSystem(body, label) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { ok: false, error: `${label} must be an object` };
+  }
+  if (!isNonEmptyString(body.romsPath) || !path.isAbsolute(body.romsPath.trim())) {
+    return { ok: false, error: `${label}: romsPath must be an absolute folder path` };
+  }
+  const romsPath = path.resolve(body.romsPath.trim());
+  const id = body.id != null && body.id !== ""
+    ? String(body.id)
+    : path.basename(romsPath).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 64);
+  if (!SYSTEM_ID_RE.test(id)) {
+    return { ok: false, error: `${label}: id must be lowercase letters, digits and hyphens` };
+  }
+  let gamelistPath = path.join(romsPath, "gamelist.xml");
+  if (body.gamelistPath != null && body.gamelistPath !== "") {
+    if (!isNonEmptyString(body.gamelistPath) || !path.isAbsolute(body.gamelistPath.trim())) {
+      return { ok: false, error: `${label}: gamelistPath must be an absolute file path` };
+    }
+    gamelistPath = path.resolve(body.gamelistPath.trim());
+  }
+  const platformId = body.platformId == null || body.platformId === "" ? null : Number(body.platformId);
+  if (platformId !== null && (!Number.isInteger(platformId) || platformId <= 0)) {
+    return { ok: false, error: `${label}: platformId must be a platform id` };
+  }
+  const emulator = body.emulator == null || body.emulator === "" ? null : body.emulator;
+  if (emulator !== null && !isValidEmulatorId(emulator)) {
+    return { ok: false, error: `${label}: emulator must be an emulator id` };
+  }
+  if (platformId === null && emulator === null) {
+    return { ok: false, error: `${label}: a system needs a platformId or an emulator` };
+  }
+  return { ok: true, value: { id, romsPath, gamelistPath, platformId, emulator } };
+}
+
+/**
+ * Validate a { systems } document (PUT payload).
+ *
+ * @returns {{ ok: true, value: { systems: object[] } } | { ok: false, error: string }}
+ */
+function validateSystems(body) {
+  if (!body || typeof body !== "object" || !Array.isArray(body.systems)) {
+    return { ok: false, error: "systems must be an array" };
+  }
+  const systems = [];
+  for (let i = 0; i < body.systems.length; i++) {
+    const system = validateSystem(body.systems[i], `systems[${i}]`);
+    if (!system.ok) return system;
+    if (systems.some((s) => s.id === system.value.id)) {
+      return { ok: false, error: `Duplicate system id: ${system.value.id}` };
+    }
+    systems.push(system.value);
+  }
+  return { ok: true, value: { systems } };
+}
+
+function loadSystems(metadataPath) {
+  const body = readJsonFile(systemsPath(metadataPath), null);
+  return body && Array.isArray(body.systems) ? body.systems : [];
+}
+
+function saveSystems(metadataPath, systems) {
+  ensureDirectoryExists(esDir(metadataPath));
+  writeJsonFile(systemsPath(metadataPath), { systems });
+  return systems;
+}
+
+function loadSyncState(metadataPath) {
+  const body = readJsonFile(syncPath(metadataPath), null);
+  return body && body.entries && typeof body.entries === "object" ? body : { entries: {} };
+}
+
+function saveSyncState(metadataPath, state) {
+  ensureDirectoryExists(esDir(metadataPath));
+  writeJsonFile(syncPath(metadataPath), state);
+}
+
+function isInside(filePath, dir) {
+  const relative = path.relative(dir, filePath);
+  return relative !== "" && !relative.startsWith("..") && !path.isAbsolute(relative);
+}
+
+/** Absolute path of a gamelist path ("./x.sfc", "~/roms/x.sfc" or absolute). */
+function resolveGamelistPath(romsPath, value) {
+  if (value.startsWith("~/")) return path.join(os.homedir(), value.slice(2));
+  return path.resolve(romsPath, value);
+}
+
+function splitNames(field, value) {
+  const names = String(value || "").split(LIST_SEPARATORS[field].split).map((name) => name.trim()).filter(Boolean);
+  const seen = new Set();
+  return names.filter((name) => {
+    const key = name.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/** List fields compare as sorted, de-duplicated names so order and separators do not matter. */
+function joinNames(field, names) {
+  return [...names].sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase())).join(LIST_SEPARATORS[field].join);
+}
+
+/** Sync fields of a gamelist <game>, normalized for comparison. */
+function readGamelistFields(game) {
+  const fields = {
+    name: getGamelistField(game, "name").trim(),
+    desc: getGamelistField(game, "desc").trim(),
+    releasedate: toGamelistDate(fromGamelistDate(getGamelistField(game, "releasedate")) || {}),
+    rating: normalizeGamelistRating(getGamelistField(game, "rating")),
+  };
+  for (const field of Object.keys(LIST_SEPARATORS)) {
+    fields[field] = joinNames(field, splitNames(field, getGamelistField(game, field)));
+  }
+  return fields;
+}
+
+/**
+ * Companies and categories by name, plus every launch profile ROM path, read once per sync.
+ * Items are { id, title, gameIds, save } where save() persists a changed gameIds.
+ */
+function loadLibraryLookups(metadataPath) {
+  const roleItems = (roleFolder) => loadRoleItems(metadataPath, roleFolder).map((entry) => ({
+    id: entry.id,
+    title: String(entry.title || ""),
+    gameIds: Array.isArray(entry.games) ? [...entry.games] : [],
+    save() {
+      saveRoleItem(metadataPath, roleFolder, { ...entry, games: this.gameIds });
+    },
+  }));
+
+  const categories = [];
+  const categoriesDir = path.join(metadataPath, "content", "categories");
+  if (fs.existsSync(categoriesDir)) {
+    for (const dirent of fs.readdirSync(categoriesDir, { withFileTypes: true })) {
+      if (!dirent.isDirectory()) continue;
+      const metaPath = path.join(categoriesDir, dirent.name, "metadata.json");
+      const meta = readJsonFile(metaPath, null);
+      if (!meta || !isNonEmptyString(meta.title)) continue;
+      categories.push({
+        id: dirent.name,
+        title: meta.title.trim(),
+        gameIds: Array.isArray(meta.gameIds) ? [...meta.gameIds] : [],
+        save() {
+          writeJsonFile(metaPath, { ...readJsonFile(metaPath, {}), gameIds: this.gameIds });
+        },
+      });
+    }
+  }
+
+  const romGames = new Map();
+  const gamesDir = path.join(metadataPath, "content", "games");
+  if (fs.existsSync(gamesDir)) {
+    for (const dirent of fs.readdirSync(gamesDir, { withFileTypes: true })) {
+      if (!dirent.isDirectory() || !/^\d+$/.test(dirent.name)) continue;
+      const scriptsDir = path.join(gamesDir, dirent.name, "scripts");
+      if (!fs.existsSync(scriptsDir)) continue;
+      for (const fileName of fs.readdirSync(scriptsDir).sort()) {
+        if (!isLaunchProfilePath(fileName)) continue;
+        const profile = readLaunchProfile(path.join(scriptsDir, fileName));
+        const rom = profile.ok ? profile.value.rom : null;
+        if (isNonEmptyString(rom) && !romGames.has(path.resolve(rom))) romGames.set(path.resolve(rom), Number(dirent.name));
+      }
+    }
+  }
+
+  return {
+    developer: roleItems("developers"),
+    publisher: roleItems("publishers"),
+    genre: categories,
+    romGames,
+  };
+}
+
+function sameId(a, b) {
+  return String(a) === String(b);
+}
+
+/**
+ * Sync fields of a library game. List fields are the linked item titles plus the names of the
+ * stored values the library has no item for (so an unlinked name is not mistaken for an edit).
+ */
+function readLibraryFields(metadataPath, gameId, lookups, base) {
+  const meta = readJsonFile(path.join(gameDir(metadataPath, gameId), "metadata.json"), {});
+  const fields = {
+    name: String(meta.title || "").trim(),
+    desc: String(resolveSummary(meta.summary, CANONICAL_LANG) || "").trim(),
+    releasedate: toGamelistDate(meta),
+    rating: Number(meta.stars) > 0 ? normalizeGamelistRating(Number(meta.stars) / 5) : "",
+  };
+  for (const field of Object.keys(LIST_SEPARATORS)) {
+    const items = lookups[field];
+    const known = new Set(items.map((item) => item.title.toLowerCase()));
+    const linked = items.filter((item) => item.gameIds.some((id) => sameId(id, gameId))).map((item) => item.title);
+    const unlinked = splitNames(field, base[field]).filter((name) => !known.has(name.toLowerCase()));
+    fields[field] = joinNames(field, splitNames(field, [...linked, ...unlinked].join(LIST_SEPARATORS[field].join)));
+  }
+  return fields;
+}
+
+/**
+ * Three-way merge of library and gamelist values against the values of the last sync.
+ * @returns {{ merged: object, conflicts: Array<{ field: string, library: string, gamelist: string }> }}
+ *   merged[field] is undefined for conflicts left alone (onConflict "skip")
+ */
+function mergeFields(base, local, remote, onConflict) {
+  const merged = {};
+  const conflicts = [];
+  for (const field of SYNC_FIELDS) {
+    const l = local[field];
+    const r = remote[field];
+    const b = base[field];
+    if (l === r) merged[field] = l;
+    else if (b !== undefined && l === b) merged[field] = r;
+    else if (b !== undefined && r === b) merged[field] = l;
+    else if (b === undefined && !l) merged[field] = r;
+    else if (b === undefined && !r) merged[field] = l;
+    else {
+      conflicts.push({ field, library: l, gamelist: r });
+      merged[field] = onConflict === "library" ? l : onConflict === "gamelist" ? r : undefined;
+    }
+  }
+  return { merged, conflicts };
+}
+
+/**
+ * Base for the next sync. A sync writes one side only, so a field's base advances to the merged
+ * value only where the written side now equals the other side; elsewhere (skipped conflicts,
+ * conflicts settled for the written side) it keeps the previous value, so the next sync still
+ * sees the unwritten side's edit.
+ *
+ * @param {object} written values of the side this sync writes, before the write
+ * @param {object} other values of the side it leaves alone
+ */
+function nextBase(base, merged, written, other) {
+  const result = {};
+  for (const field of SYNC_FIELDS) {
+    const after = merged[field] !== undefined ? merged[field] : written[field];
+    const value = after === other[field] ? after : base[field];
+    if (value !== undefined) result[field] = value;
+  }
+  return result;
+}
+
+/** Link / unlink the game to the items named in value; returns the names no item has. */
+function applyLinks(field, items, gameId, value) {
+  const names = splitNames(field, value);
+  const wanted = new Set(names.map((name) => name.toLowerCase()));
+  for (const item of items) {
+    const linked = item.gameIds.some((id) => sameId(id, gameId));
+    const want = wanted.has(item.title.toLowerCase());
+    if (linked === want) continue;
+    item.gameIds = want ? [...item.gameIds, gameId] : item.gameIds.filter((id) => !sameId(id, gameId));
+    item.save();
+  }
+  const known = new Set(items.map((item) => item.title.toLowerCase()));
+  return names.filter((name) => !known.has(name.toLowerCase()));
+}
+
+/** Write changed sync fields to the library; returns the unlinked names per list field. */
+function applyLibraryFields(metadataPath, gameId, changes, lookups) {
+  const metaPath = path.join(gameDir(metadataPath, gameId), "metadata.json");
+  const meta = readJsonFile(metaPath, {});
+  if (changes.name) meta.title = changes.name;
+  if (changes.desc !== undefined) {
+    meta.summary = isSummaryLocaleMap(meta.summary) ? { ...meta.summary, [CANONICAL_LANG]: changes.desc } : changes.desc;
+  }
+  if (changes.releasedate !== undefined) {
+    const date = fromGamelistDate(changes.releasedate);
+    for (const key of ["year", "month", "day"]) {
+      if (date && date[key] != null) meta[key] = date[key];
+      else delete meta[key];
+    }
+  }
+  if (changes.rating !== undefined) {
+    if (changes.rating) meta.stars = Math.round(Number(changes.rating) * 50) / 10;
+    else delete meta.stars;
+  }
+  writeJsonFile(metaPath, meta);
+
+  const unlinked = {};
+  for (const field of Object.keys(LIST_SEPARATORS)) {
+    if (changes[field] === undefined) continue;
+    const names = applyLinks(field, lookups[field], gameId, changes[field]);
+    if (names.length > 0) unlinked[field] = names;
+  }
+  return unlinked;
+}
+
+function copyMedia(sourcePath, targetPath) {
+  if (!sourcePath || !fs.existsSync(sourcePath) || !fs.statSync(sourcePath).isFile()) return false;
+  ensureDirectoryExists(path.dirname(targetPath));
+  fs.copyFileSync(sourcePath, targetPath);
+  return true;
+}
+
+/** Copy gamelist media the game has none of yet; returns the number of files copied. */
+function importMedia(metadataPath, gameId, system, game) {
+  const dir = gameDir(metadataPath, gameId);
+  const mediaPath = (tag) => {
+    const value = getGamelistField(game, tag).trim();
+    return value ? resolveGamelistPath(system.romsPath, value) : null;
+  };
+  let copied = 0;
+  if (!fs.existsSync(path.join(dir, "cover.webp"))) {
+    const source = [mediaPath("image"), mediaPath("thumbnail")].find((p) => p && fs.existsSync(p));
+    if (copyMedia(source, path.join(dir, "cover.webp"))) copied++;
+  }
+  if (!fs.existsSync(path.join(dir, "background.webp")) && copyMedia(mediaPath("fanart"), path.join(dir, "background.webp"))) {
+    copied++;
+  }
+
+  const metaPath = path.join(dir, "metadata.json");
+  const meta = readJsonFile(metaPath, {});
+  if (Array.isArray(meta.screenshots) && meta.screenshots.length > 0) return copied;
+  const screenshots = [];
+  for (const tag of SCREENSHOT_TAGS) {
+    const source = mediaPath(tag);
+    const ext = source ? path.extname(source).toLowerCase() : "";
+    if (!IMAGE_EXTENSIONS.includes(ext)) continue;
+    const fileName = `es-${tag}${ext}`;
+    if (copyMedia(source, path.join(dir, "screenshots", fileName))) {
+      screenshots.push(`/games/${gameId}/screenshots/${fileName}`);
+      copied++;
+    }
+  }
+  if (screenshots.length > 0) writeJsonFile(metaPath, { ...meta, screenshots });
+  return copied;
+}
+
+function selectSystems(metadataPath, systemId) {
+  const systems = loadSystems(metadataPath);
+  return systemId == null ? systems : systems.filter((system) => system.id === systemId);
+}
+
+function readGamelistFile(filePath) {
+  return fs.existsSync(filePath) ? parseGamelist(fs.readFileSync(filePath, "utf8")) : null;
+}
+
+function changedFields(merged, current) {
+  return SYNC_FIELDS.filter((field) => merged[field] !== undefined && merged[field] !== current[field]);
+}
+
+/**
+ * Import every (or one) system's gamelist.xml: pair entries with games by ROM path, create
+ * games for unknown ROMs and merge the metadata into the library.
+ *
+ * @param {string} metadataPath
+ * @param {{ systemId?: string|null, onConflict?: string }} [options]
+ * @returns {object} report { syncedAt, systems, added, updated, unchanged, conflicts, unlinked, media, errors }
+ */
+function importGamelists(metadataPath, { systemId = null, onConflict = "library" } = {}) {
+  const state = loadSyncState(metadataPath);
+  const lookups = loadLibraryLookups(metadataPath);
+  const taken = new Set();
+  const syncedAt = new Date().toISOString();
+  const systems = selectSystems(metadataPath, systemId);
+  const report = {
+    syncedAt,
+    systems: systems.map((system) => system.id),
+    added: [],
+    updated: [],
+    unchanged: 0,
+    conflicts: [],
+    unlinked: [],
+    media: 0,
+    errors: [],
+  };
+
+  for (const system of systems) {
+    let gamelist;
+    try {
+      gamelist = readGamelistFile(system.gamelistPath);
+    } catch (error) {
+      report.errors.push({ systemId: system.id, error: error.message });
+      continue;
+    }
+    if (!gamelist) {
+      report.errors.push({ systemId: system.id, error: "gamelist.xml not found" });
+      continue;
+    }
+
+    for (const game of gamelist.entries) {
+      if (game.kind !== "game") continue;
+      const relPath = getGamelistField(game, "path").trim();
+      if (!relPath) continue;
+      const romPath = resolveGamelistPath(system.romsPath, relPath);
+      const entry = state.entries[romPath];
+      const remote = readGamelistFields(game);
+
+      let gameId = entry && gameExists(metadataPath, entry.gameId) ? entry.gameId : lookups.romGames.get(romPath);
+      const base = entry && entry.gameId === gameId ? entry.base : {};
+      let added = false;
+      if (gameId == null || !gameExists(metadataPath, gameId)) {
+        gameId = nextGameId(metadataPath, taken);
+        const title = remote.name || normalizeRomTitle(romPath);
+        const profile = `01-${PROFILE_LABEL}${system.platformId ? `-${system.platformId}` : ""}${PROFILE_EXTENSION}`;
+        createImportedGame(metadataPath, gameId, title, profile, {
+          type: "emulator",
+          emulator: system.emulator,
+          platformId: system.platformId,
+          rom: romPath,
+          config: null,
+        });
+        lookups.romGames.set(romPath, gameId);
+        report.added.push({ systemId: system.id, path: romPath, gameId, title });
+        added = true;
+      }
+
+      const local = readLibraryFields(metadataPath, gameId, lookups, base);
+      const { merged, conflicts } = mergeFields(base, local, remote, onConflict);
+      const fields = changedFields(merged, local);
+      if (fields.length > 0) {
+        const changes = Object.fromEntries(fields.map((field) => [field, merged[field]]));
+        const unlinked = applyLibraryFields(metadataPath, gameId, changes, lookups);
+        if (Object.keys(unlinked).length > 0) report.unlinked.push({ gameId, path: romPath, ...unlinked });
+        if (!added) report.updated.push({ gameId, path: romPath, fields });
+      } else if (!added) {
+        report.unchanged++;
+      }
+      for (const conflict of conflicts) report.conflicts.push({ gameId, path: romPath, ...conflict, resolution: onConflict });
+      report.media += importMedia(metadataPath, gameId, system, game);
+
+      state.entries[romPath] = { systemId: system.id, gameId, base: nextBase(base, merged, local, remote), syncedAt };
+    }
+  }
+
+  saveSyncState(metadataPath, state);
+  return report;
+}
+
+/**
+ * Export library metadata to every (or one) system's gamelist.xml. Games whose launch profile
+ * ROM is under the system's romsPath are written; entries and tags the library does not manage
+ * are kept, and the previous file is saved as gamelist.xml.bak.
+ *
+ * @param {string} metadataPath
+ * @param {{ systemId?: string|null, onConflict?: string }} [options]
+ * @returns {object} report { syncedAt, systems, files, updated, conflicts, errors }
+ */
+function exportGamelists(metadataPath, { systemId = null, onConflict = "library" } = {}) {
+  const state = loadSyncState(metadataPath);
+  const lookups = loadLibraryLookups(metadataPath);
+  const syncedAt = new Date().toISOString();
+  const systems = selectSystems(metadataPath, systemId);
+  const report = { syncedAt, systems: systems.map((system) => system.id), files: [], updated: [], conflicts: [], errors: [] };
+
+  for (const system of systems) {
+    let gamelist;
+    try {
+      gamelist = readGamelistFile(system.gamelistPath) || { entries: [] };
+    } catch (error) {
+      report.errors.push({ systemId: system.id, error: error.message });
+      continue;
+    }
+    const byPath = new Map();
+    for (const game of gamelist.entries) {
+      const relPath = game.kind === "game" ? getGamelistField(game, "path").trim() : "";
+      if (relPath) byPath.set(resolveGamelistPath(system.romsPath, relPath), game);
+    }
+
+    const roms = [...lookups.romGames.entries()]
+      .filter(([romPath]) => isInside(romPath, system.romsPath))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const entries = {};
+    for (const [romPath, gameId] of roms) {
+      let game = byPath.get(romPath);
+      const created = !game;
+      if (created) {
+        game = { kind: "game", attributes: "", fields: [["path", `./${path.relative(system.romsPath, romPath).split(path.sep).join("/")}`]] };
+        gamelist.entries.push(game);
+      }
+      const entry = state.entries[romPath];
+      const base = entry && entry.gameId === gameId ? entry.base : {};
+      const remote = readGamelistFields(game);
+      const local = readLibraryFields(metadataPath, gameId, lookups, base);
+      const { merged, conflicts } = mergeFields(base, local, remote, onConflict);
+      const fields = changedFields(merged, remote);
+      for (const field of fields) setGamelistField(game, field, merged[field]);
+
+      const dir = gameDir(metadataPath, gameId);
+      for (const [tag, fileName] of [["image", "cover.webp"], ["fanart", "background.webp"]]) {
+        const mediaPath = path.join(dir, fileName);
+        if (fs.existsSync(mediaPath) && getGamelistField(game, tag) !== mediaPath) {
+          setGamelistField(game, tag, mediaPath);
+          fields.push(tag);
+        }
+      }
+
+      if (created || fields.length > 0) report.updated.push({ gameId, path: romPath, created, fields });
+      for (const conflict of conflicts) report.conflicts.push({ gameId, path: romPath, ...conflict, resolution: onConflict });
+      entries[romPath] = { systemId: system.id, gameId, base: nextBase(base, merged, remote, local), syncedAt };
+    }
+
+    try {
+      ensureDirectoryExists(path.dirname(system.gamelistPath));
+      if (fs.existsSync(system.gamelistPath)) fs.copyFileSync(system.gamelistPath, `${system.gamelistPath}.bak`);
+      fs.writeFileSync(system.gamelistPath, serializeGamelist(gamelist), "utf8");
+      Object.assign(state.entries, entries);
+      report.files.push({ systemId: system.id, path: system.gamelistPath, games: roms.length });
+    } catch (error) {
+      report.errors.push({ systemId: system.id, error: error.message });
+    }
+  }
+
+  saveSyncState(metadataPath, state);
+  return report;
+}
+
+module.exports = {
+  ES_DIR,
+  SYNC_FIELDS,
+  CONFLICT_POLICIES,
+  validateSystems,
+  loadSystems,
+  saveSystems,
+  mergeFields,
+  importGamelists,
+  exportGamelists,
+};
@@ -0,0 +1,170 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { ensureDirectoryExists, readJsonFile, writeJsonFile } = require("./fileUtils");
+const { registerBackupRoot } = require("./backupRoots");
+const {
+  ROM_PLACEHOLDER,
+  CONFIG_PLACEHOLDER,
+  isNonEmptyString,
+  validateLaunchCommand,
+  validateOptionalString,
+} = require("./launchCommand");
+
+/**
+ * Emulator registry: one METADATA_PATH/emulators/<id>.json per emulator.
+ *
+ *   { "id": "retroarch-snes", "name": "RetroArch (SNES)", "command": "/usr/bin/retroarch",
+ *     "args": ["-L", "/cores/snes9x_libretro.so", "--config", "{config}", "{rom}"],
+ *     "config": "/home/me/.config/retroarch/retroarch.cfg", "cwd": null, "env": {},
+ *     "platformIds": [19, 58] }
+ *
+ * platformIds are the IGDB platform ids used by the platforms tag blocks. Games reference an
+ * emulator from an "emulator" launch profile (see launchProfiles.js), by id, by platform or
+ * through the platforms they are tagged with, so the command line is rendered at launch time from the current definition.
+ */
+
+const EMULATORS_DIR = "emulators";
+const EMULATOR_ID_RE = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+registerBackupRoot(EMULATORS_DIR);
+
+function emulatorsDir(metadataPath) {
+  return path.join(metadataPath, EMULATORS_DIR);
+}
+
+function isValidEmulatorId(id) {
+  return typeof id === "string" && EMULATOR_ID_RE.test(id);
+}
+
+function emulatorIdFromName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 64);
+}
+
+/**
+ * Validate an emulator definition (POST/PUT payload). The id comes from the URL on update and
+ * from body.id or the name on create.
+ *
+ * @returns {{ ok: true, value: object } | { ok: false, error: string }}
+ */
+function validateEmulator(body, { id = null } = {}) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { ok: false, error: "Emulator must be an object" };
+  }
+  if (!isNonEmptyString(body.name)) {
+    return { ok: false, error: "name must be a non-empty string" };
+  }
+  const emulatorId = id || (body.id != null && body.id !== "" ? String(body.id) : emulatorIdFromName(body.name));
+  if (!isValidEmulatorId(emulatorId)) {
+    return { ok: false, error: "id must be lowercase letters, digits and hyphens" };
+  }
+  const command = validateLaunchCommand(body, { defaultArgs: [ROM_PLACEHOLDER] });
+  if (!command.ok) return command;
+  const config = validateOptionalString(body.config, "config");
+  if (!config.ok) return config;
+
+  const platformIds = body.platformIds == null ? [] : body.platformIds;
+  if (!Array.isArray(platformIds) || platformIds.some((p) => !Number.isInteger(Number(p)) || Number(p) <= 0)) {
+    return { ok: false, error: "platformIds must be an array of platform ids" };
+  }
+
+  return {
+    ok: true,
+    value: {
+      id: emulatorId,
+      name: body.name.trim(),
+      ...command.value,
+      config: config.value,
+      platformIds: [...new Set(platformIds.map(Number))],
+    },
+  };
+}
+
+/** Emulators sorted by name. */
+function listEmulators(metadataPath) {
+  const dir = emulatorsDir(metadataPath);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((name) => name.endsWith(".json") && isValidEmulatorId(path.basename(name, ".json")))
+    .map((name) => readJsonFile(path.join(dir, name), null))
+    .filter((emulator) => emulator && isValidEmulatorId(emulator.id))
+    .sort((a, b) => String(a.name).localeCompare(String(b.name)) || a.id.localeCompare(b.id));
+}
+
+function getEmulator(metadataPath, id) {
+  if (!isValidEmulatorId(id)) return null;
+  return readJsonFile(path.join(emulatorsDir(metadataPath), `${id}.json`), null);
+}
+
+function saveEmulator(metadataPath, emulator) {
+  ensureDirectoryExists(emulatorsDir(metadataPath));
+  writeJsonFile(path.join(emulatorsDir(metadataPath), `${emulator.id}.json`), emulator);
+  return emulator;
+}
+
+function deleteEmulator(metadataPath, id) {
+  if (!isValidEmulatorId(id)) return false;
+  const filePath = path.join(emulatorsDir(metadataPath), `${id}.json`);
+  if (!fs.existsSync(filePath)) return false;
+  fs.unlinkSync(filePath);
+  return true;
+}
+
+/** First emulator (by name) that handles an IGDB platform id. */
+function findEmulatorForPlatform(metadataPath, platformId) {
+  const id = Number(platformId);
+  return listEmulators(metadataPath).find((emulator) => emulator.platformIds.includes(id)) || null;
+}
+
+/**
+ * First emulator (by name) that handles one of a game's platforms, read from the platforms tag
+ * blocks (content/platforms/<id>/metadata.json lists the platform's gameIds).
+ */
+function findEmulatorForGame(metadataPath, gameId) {
+  const id = Number(gameId);
+  const gamePlatforms = new Map();
+  const hasGame = (platformId) => {
+    if (!gamePlatforms.has(platformId)) {
+      const block = readJsonFile(path.join(metadataPath, "content", "platforms", String(platformId), "metadata.json"), null);
+      gamePlatforms.set(platformId, Boolean(block && Array.isArray(block.gameIds) && block.gameIds.map(Number).includes(id)));
+    }
+    return gamePlatforms.get(platformId);
+  };
+  return listEmulators(metadataPath).find((emulator) => emulator.platformIds.some(hasGame)) || null;
+}
+
+/**
+ * Argv for running a ROM with an emulator. {rom} and {config} in the argument template are
+ * replaced; a template without {rom} gets the ROM as last argument. config overrides the
+ * emulator's own config path.
+ *
+ * @returns {{ ok: true, value: { command: string, args: string[], cwd: string|null, env: object } } | { ok: false, error: string }}
+ */
+function renderEmulatorCommand(emulator, { rom, config = null }) {
+  const configPath = config || emulator.config;
+  if (!configPath && emulator.args.some((arg) => arg.includes(CONFIG_PLACEHOLDER))) {
+    return { ok: false, error: `Emulator ${emulator.id} uses ${CONFIG_PLACEHOLDER} but no config is set` };
+  }
+  const fill = (arg) => arg.split(ROM_PLACEHOLDER).join(rom).split(CONFIG_PLACEHOLDER).join(configPath);
+  const args = emulator.args.map(fill);
+  if (!emulator.args.some((arg) => arg.includes(ROM_PLACEHOLDER))) args.push(rom);
+  return { ok: true, value: { command: emulator.command, args, cwd: emulator.cwd, env: { ...emulator.env } } };
+}
+
+module.exports = {
+  EMULATORS_DIR,
+  isValidEmulatorId,
+  validateEmulator,
+  listEmulators,
+  getEmulator,
+  saveEmulator,
+  deleteEmulator,
+  findEmulatorForPlatform,
+  findEmulatorForGame,
+  renderEmulatorCommand,
+};
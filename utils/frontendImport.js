@@ -0,0 +1,520 @@
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { ensureDirectoryExists, readJsonFile, writeJsonFile } = require("./fileUtils");
+const { isNonEmptyString } = require("./launchCommand");
+const { decodeXml } = require("./xmlText");
+const { comparableTitle } = require("./igdbMatching");
+const { loadRoleItems } = require("./companyStorage");
+const { updatePersonalGameState } = require("./personalGameState");
+const { addImportedPlaySession } = require("./playSessions");
+const { gameDir, gameExists, nextGameId, createImportedGame } = require("./importedGames");
+const { registerBackupRoot } = require("./backupRoots");
+
+/**
+ * Importer for libraries curated in other frontends:
+ *
+ *   - Playnite: a JSON export of the library (array of Playnite game objects, as written by the
+ *     library exporter add-ons), with media paths relative to Playnite's library/files folder.
+ *   - LaunchBox: the LaunchBox folder itself (Data/Platforms/*.xml and Images/<platform>/...).
+ *
+ * Both are read into the same record shape (title, summary, release date, platforms, genres,
+ * developers, publishers, series, favorite, playtime, media paths) and imported as games.
+ * Titles already in the library (ignoring case and punctuation) are reported as duplicates and
+ * not imported. Progress is saved after every game in METADATA_PATH/frontend-import/, one file
+ * per source file or folder:
+ *
+ *   { source, path, startedAt, updatedAt, finishedAt,
+ *     games: { "<source id>": { status: "pending" | "created" | "duplicate", title, gameId } } }
+ *
+ * so an interrupted import continues where it stopped (pending games are completed) and a
+ * repeated one only picks up games added to the other frontend since.
+ */
+
+const IMPORT_DIR = "frontend-import";
+const SOURCES = ["playnite", "launchbox"];
+const LINK_FIELDS = ["platforms", "genres", "developers", "publishers", "series"];
+const LAUNCHBOX_IMAGES = {
+  cover: ["Box - Front", "Box - Front - Reconstructed", "Fanart - Box - Front"],
+  background: ["Fanart - Background"],
+  screenshots: ["Screenshot - Gameplay", "Screenshot - Game Title"],
+};
+const IMAGE_EXTENSIONS = [".webp", ".jpg", ".jpeg", ".png", ".gif"];
+const MAX_SCREENSHOTS = 5;
+
+registerBackupRoot(IMPORT_DIR);
+
+function importDir(metadataPath) {
+  return path.join(metadataPath, IMPORT_DIR);
+}
+
+function progressPath(metadataPath, source, sourcePath) {
+  const key = crypto.createHash("sha1").update(path.resolve(sourcePath)).digest("hex").slice(0, 12);
+  return path.join(importDir(metadataPath), `${source}-${key}.json`);
+}
+
+/**
+ * Validate an import request ({ source, path, mediaPath?, dryRun?, restart? }).
+ *
+ * @returns {{ ok: true, value: object } | { ok: false, error: string }}
+ */
+function validateFrontendImport(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { ok: false, error: "Body must be an object" };
+  }
+  if (!SOURCES.includes(body.source)) {
+    return { ok: false, error: `source must be one of ${SOURCES.join(", ")}` };
+  }
+  if (!isNonEmptyString(body.path) || !path.isAbsolute(body.path.trim())) {
+    return { ok: false, error: "path must be an absolute path" };
+  }
+  let mediaPath = null;
+  if (body.mediaPath != null && body.mediaPath !== "") {
+    if (!isNonEmptyString(body.mediaPath) || !path.isAbsolute(body.mediaPath.trim())) {
+      return { ok: false, error: "mediaPath must be an absolute folder path" };
+    }
+    mediaPath = path.resolve(body.mediaPath.trim());
+  }
+  return {
+    ok: true,
+    value: {
+      source: body.source,
+      path: path.resolve(body.path.trim()),
+      mediaPath,
+      dryRun: body.dryRun === true,
+      restart: body.restart === true,
+    },
+  };
+}
+
+function uniqueNames(names) {
+  const seen = new Set();
+  return names
+    .map((name) => String(name == null ? "" : name).trim())
+    .filter((name) => {
+      if (!name || seen.has(name.toLowerCase())) return false;
+      seen.add(name.toLowerCase());
+      return true;
+    });
+}
+
+/** { year, month, day } from "1995-03-11", "1995-03-11T00:00:00-08:00" or "1995"; null otherwise. */
+function parseReleaseDate(value) {
+  const match = String(value || "").match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?/);
+  if (!match || Number(match[1]) <= 1) return null;
+  return { year: Number(match[1]), month: match[2] ? Number(match[2]) : null, day: match[3] ? Number(match[3]) : null };
+}
+
+function toIsoDate(value) {
+  const time = Date.parse(value);
+  return Number.isFinite(time) && time > 0 ? new Date(time).toISOString() : null;
+}
+
+/** Playnite descriptions are HTML; keep the text with line breaks. */
+function htmlToText(html) {
+  return decodeXml(
+    String(html || "")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/(p|div|li|h\d)>/gi, "\n")
+      .replace(/<[^>]+>/g, ""),
+  )
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function existingImage(filePath) {
+  return filePath && IMAGE_EXTENSIONS.includes(path.extname(filePath).toLowerCase()) && fs.existsSync(filePath)
+    ? filePath
+    : null;
+}
+
+function playniteNames(value) {
+  const list = Array.isArray(value) ? value : value ? [value] : [];
+  return uniqueNames(list.map((item) => (item && typeof item === "object" ? item.Name : item)));
+}
+
+/** Playnite writes ReleaseDate as a date string or as { ReleaseDate } / { Year, Month, Day }. */
+function playniteReleaseDate(value) {
+  if (!value || typeof value !== "object") return parseReleaseDate(value);
+  if (value.ReleaseDate) return parseReleaseDate(value.ReleaseDate);
+  const year = Number(value.Year);
+  if (!Number.isInteger(year) || year <= 1) return null;
+  return { year, month: Number(value.Month) || null, day: Number(value.Day) || null };
+}
+
+function playniteMediaPath(mediaPath, value) {
+  if (!isNonEmptyString(value) || /^https?:\/\//i.test(value)) return null;
+  const normalized = value.replace(/\\/g, "/");
+  if (path.isAbsolute(normalized) || /^[A-Za-z]:\//.test(normalized)) return existingImage(normalized);
+  return mediaPath ? existingImage(path.join(mediaPath, ...normalized.split("/"))) : null;
+}
+
+/**
+ * Records of a Playnite JSON export.
+ * @param {string} filePath export file
+ * @param {string|null} [mediaPath] Playnite's library/files folder (default: files/ next to the export)
+ */
+function readPlayniteLibrary(filePath, mediaPath = null) {
+  const body = JSON.parse(fs.readFileSync(filePath, "utf8").replace(/^\uFEFF/, ""));
+  const games = Array.isArray(body) ? body : body && Array.isArray(body.Games) ? body.Games : null;
+  if (!games) throw new Error("Playnite export must be an array of games");
+  const files = mediaPath || path.join(path.dirname(filePath), "files");
+
+  return games
+    .filter((game) => game && isNonEmptyString(game.Name))
+    .map((game) => ({
+      sourceId: String(game.Id || game.GameId || game.Name),
+      title: game.Name.trim(),
+      summary: htmlToText(game.Description),
+      releaseDate: playniteReleaseDate(game.ReleaseDate),
+      platforms: playniteNames(game.Platforms || game.Platform),
+      genres: playniteNames(game.Genres),
+      developers: playniteNames(game.Developers),
+      publishers: playniteNames(game.Publishers),
+      series: playniteNames(game.Series),
+      favorite: game.Favorite === true,
+      playtime: Number.isFinite(Number(game.Playtime)) && Number(game.Playtime) > 0 ? Math.round(Number(game.Playtime)) : 0,
+      lastPlayed: toIsoDate(game.LastActivity),
+      media: {
+        cover: playniteMediaPath(files, game.CoverImage),
+        background: playniteMediaPath(files, game.BackgroundImage),
+        screenshots: [],
+      },
+    }));
+}
+
+/** Child elements of every <Game> of a LaunchBox platform XML, as { tag: text }. */
+function parseLaunchBoxGames(text) {
+  const games = [];
+  const re = /<Game>([\s\S]*?)<\/Game>/g;
+  let match;
+  while ((match = re.exec(text)) !== null) {
+    const fields = {};
+    const fieldRe = /<([A-Za-z]\w*)\s*(?:\/>|>([\s\S]*?)<\/\1>)/g;
+    let field;
+    while ((field = fieldRe.exec(match[1])) !== null) fields[field[1]] = decodeXml((field[2] || "").trim());
+    games.push(fields);
+  }
+  return games;
+}
+
+/** File name stem LaunchBox uses for a title's images ("Zelda: Link's Awakening" -> "Zelda_ Link_s Awakening"). */
+function launchBoxImageStem(title) {
+  return String(title).replace(/[<>:"/\\|?*']/g, "_");
+}
+
+/**
+ * Map(lowercased stem -> image paths) of one Images/<platform>/<category> folder (region
+ * subfolders included); "Title-01.jpg" and "Title-02.jpg" share the stem "title".
+ */
+function indexLaunchBoxImages(dir) {
+  const index = new Map();
+  const walk = (current) => {
+    let dirents;
+    try {
+      dirents = fs.readdirSync(current, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const dirent of dirents) {
+      const filePath = path.join(current, dirent.name);
+      if (dirent.isDirectory()) {
+        walk(filePath);
+        continue;
+      }
+      const ext = path.extname(dirent.name).toLowerCase();
+      if (!IMAGE_EXTENSIONS.includes(ext)) continue;
+      const stem = path.basename(dirent.name, path.extname(dirent.name)).replace(/-\d+$/, "").toLowerCase();
+      if (!index.has(stem)) index.set(stem, []);
+      index.get(stem).push(filePath);
+    }
+  };
+  walk(dir);
+  for (const paths of index.values()) paths.sort();
+  return index;
+}
+
+/**
+ * Records of a LaunchBox folder.
+ * @param {string} launchBoxPath folder containing Data/ and Images/
+ */
+function readLaunchBoxLibrary(launchBoxPath) {
+  const platformsDir = path.join(launchBoxPath, "Data", "Platforms");
+  if (!fs.existsSync(platformsDir)) throw new Error("Data/Platforms not found in the LaunchBox folder");
+  const imageIndexes = new Map();
+  const findImages = (platform, categories, title) => {
+    const stem = launchBoxImageStem(title).toLowerCase();
+    const found = [];
+    for (const category of categories) {
+      const dir = path.join(launchBoxPath, "Images", platform, category);
+      if (!imageIndexes.has(dir)) imageIndexes.set(dir, indexLaunchBoxImages(dir));
+      found.push(...(imageIndexes.get(dir).get(stem) || []));
+    }
+    return found;
+  };
+  const split = (value) => uniqueNames(String(value || "").split(";"));
+
+  const records = [];
+  const fileNames = fs.readdirSync(platformsDir).filter((name) => name.toLowerCase().endsWith(".xml")).sort();
+  for (const fileName of fileNames) {
+    const text = fs.readFileSync(path.join(platformsDir, fileName), "utf8").replace(/^\uFEFF/, "");
+    for (const game of parseLaunchBoxGames(text)) {
+      if (!isNonEmptyString(game.Title)) continue;
+      const platform = game.Platform || path.basename(fileName, path.extname(fileName));
+      const title = game.Title.trim();
+      records.push({
+        sourceId: game.ID || `${platform}/${title}`,
+        title,
+        summary: String(game.Notes || "").trim(),
+        releaseDate: parseReleaseDate(game.ReleaseDate),
+        platforms: uniqueNames([platform]),
+        genres: split(game.Genre),
+        developers: split(game.Developer),
+        publishers: split(game.Publisher),
+        series: split(game.Series),
+        favorite: game.Favorite === "true",
+        playtime: Number.isFinite(Number(game.PlayTime)) && Number(game.PlayTime) > 0 ? Math.round(Number(game.PlayTime)) : 0,
+        lastPlayed: toIsoDate(game.LastPlayedDate),
+        media: {
+          cover: findImages(platform, LAUNCHBOX_IMAGES.cover, title)[0] || null,
+          background: findImages(platform, LAUNCHBOX_IMAGES.background, title)[0] || null,
+          screenshots: findImages(platform, LAUNCHBOX_IMAGES.screenshots, title).slice(0, MAX_SCREENSHOTS),
+        },
+      });
+    }
+  }
+  return records;
+}
+
+/** Records of the import source; unreadable sources throw an error with status 400. */
+function readSourceRecords({ source, path: sourcePath, mediaPath }) {
+  const label = source === "playnite" ? "Playnite export" : "LaunchBox folder";
+  const fail = (message) => Object.assign(new Error(message), { status: 400 });
+  if (!fs.existsSync(sourcePath)) throw fail(`${label} not found`);
+  try {
+    return source === "playnite" ? readPlayniteLibrary(sourcePath, mediaPath) : readLaunchBoxLibrary(sourcePath);
+  } catch (error) {
+    throw fail(error instanceof SyntaxError ? `${label} is not valid JSON` : error.message);
+  }
+}
+
+/** Lowercased titles of the items in content/<folder>/. */
+function listItemTitles(metadataPath, folder) {
+  const dir = path.join(metadataPath, "content", folder);
+  const titles = new Set();
+  if (!fs.existsSync(dir)) return titles;
+  for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (!dirent.isDirectory()) continue;
+    const meta = readJsonFile(path.join(dir, dirent.name, "metadata.json"), null);
+    if (meta && isNonEmptyString(meta.title)) titles.add(meta.title.trim().toLowerCase());
+  }
+  return titles;
+}
+
+/** Map(comparable title -> gameId) of the library. */
+function loadLibraryTitles(metadataPath) {
+  const titles = new Map();
+  const gamesDir = path.join(metadataPath, "content", "games");
+  if (!fs.existsSync(gamesDir)) return titles;
+  for (const dirent of fs.readdirSync(gamesDir, { withFileTypes: true })) {
+    if (!dirent.isDirectory() || !/^\d+$/.test(dirent.name)) continue;
+    const meta = readJsonFile(path.join(gamesDir, dirent.name, "metadata.json"), null);
+    const key = meta ? comparableTitle(meta.title) : "";
+    if (key && !titles.has(key)) titles.set(key, Number(dirent.name));
+  }
+  return titles;
+}
+
+/** Names the import would add as new platforms, categories, companies and series. */
+function collectNewItems(metadataPath, records) {
+  const companies = new Set(
+    [...loadRoleItems(metadataPath, "developers"), ...loadRoleItems(metadataPath, "publishers")]
+      .map((item) => String(item.title || "").trim().toLowerCase()),
+  );
+  const known = {
+    platforms: listItemTitles(metadataPath, "platforms"),
+    genres: listItemTitles(metadataPath, "categories"),
+    developers: companies,
+    publishers: companies,
+    series: listItemTitles(metadataPath, "series"),
+  };
+  const result = {};
+  for (const field of LINK_FIELDS) {
+    result[field] = uniqueNames(records.flatMap((record) => record[field]))
+      .filter((name) => !known[field].has(name.toLowerCase()))
+      .sort((a, b) => a.localeCompare(b));
+  }
+  return result;
+}
+
+function loadProgress(metadataPath, source, sourcePath) {
+  const body = readJsonFile(progressPath(metadataPath, source, sourcePath), null);
+  return body && body.games && typeof body.games === "object" ? body : null;
+}
+
+function saveProgress(metadataPath, progress) {
+  ensureDirectoryExists(importDir(metadataPath));
+  progress.updatedAt = new Date().toISOString();
+  writeJsonFile(progressPath(metadataPath, progress.source, progress.path), progress);
+}
+
+/** Saved progress of every import, newest first. */
+function listImportProgress(metadataPath) {
+  const dir = importDir(metadataPath);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((name) => name.endsWith(".json"))
+    .map((name) => readJsonFile(path.join(dir, name), null))
+    .filter((progress) => progress && progress.games)
+    .map((progress) => {
+      const statuses = Object.values(progress.games).map((game) => game.status);
+      return {
+        source: progress.source,
+        path: progress.path,
+        startedAt: progress.startedAt,
+        updatedAt: progress.updatedAt,
+        finishedAt: progress.finishedAt,
+        created: statuses.filter((status) => status === "created").length,
+        duplicates: statuses.filter((status) => status === "duplicate").length,
+        pending: statuses.filter((status) => status === "pending").length,
+      };
+    })
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+function copyMedia(sourcePath, targetPath) {
+  if (!sourcePath || fs.existsSync(targetPath)) return false;
+  ensureDirectoryExists(path.dirname(targetPath));
+  fs.copyFileSync(sourcePath, targetPath);
+  return true;
+}
+
+/** Metadata, media, favorite and playtime of a record; everything is skipped when already there. */
+function writeRecord(metadataPath, gameId, record, source, userKey) {
+  const dir = gameDir(metadataPath, gameId);
+  const metaPath = path.join(dir, "metadata.json");
+  const meta = readJsonFile(metaPath, {});
+  if (!meta.summary && record.summary) meta.summary = record.summary;
+  if (record.releaseDate && meta.year == null) Object.assign(meta, record.releaseDate);
+
+  copyMedia(record.media.cover, path.join(dir, "cover.webp"));
+  copyMedia(record.media.background, path.join(dir, "background.webp"));
+  if (!Array.isArray(meta.screenshots) || meta.screenshots.length === 0) {
+    const screenshots = record.media.screenshots.map((filePath, i) => {
+      const fileName = `${source}-${i + 1}${path.extname(filePath).toLowerCase()}`;
+      copyMedia(filePath, path.join(dir, "screenshots", fileName));
+      return `/games/${gameId}/screenshots/${fileName}`;
+    });
+    if (screenshots.length > 0) meta.screenshots = screenshots;
+  }
+  writeJsonFile(metaPath, meta);
+
+  if (record.favorite) updatePersonalGameState(metadataPath, userKey, gameId, { favorite: true });
+  if (record.playtime > 0 || record.lastPlayed) {
+    addImportedPlaySession(metadataPath, gameId, {
+      sessionId: `${source}-import`,
+      endedAt: record.lastPlayed || new Date().toISOString(),
+      duration: record.playtime,
+      source,
+    });
+  }
+}
+
+/**
+ * Import (or with dryRun only plan) a Playnite / LaunchBox library.
+ *
+ * @param {string} metadataPath
+ * @param {{ source: string, path: string, mediaPath?: string|null, dryRun?: boolean, restart?: boolean, userKey: string }} options
+ *   userKey receives the favorites (see personalGameState.js)
+ * @param {(gameId: number, record: object) => Promise<void>} linkGame links a created game to its
+ *   platforms, genres, companies and series (creating the missing ones)
+ * @returns {Promise<object>} report { source, path, dryRun, resumed, total, created, duplicates, skipped, newItems, errors }
+ */
+async function importFrontendLibrary(metadataPath, options, linkGame) {
+  const { source, path: sourcePath, dryRun = false, restart = false, userKey } = options;
+  const records = readSourceRecords(options);
+  let progress = restart || dryRun ? null : loadProgress(metadataPath, source, sourcePath);
+  const resumed = Boolean(progress && !progress.finishedAt);
+  if (!progress) {
+    progress = dryRun
+      ? { games: {} }
+      : { source, path: sourcePath, startedAt: new Date().toISOString(), updatedAt: null, finishedAt: null, games: {} };
+  }
+  progress.finishedAt = null;
+
+  const libraryTitles = loadLibraryTitles(metadataPath);
+  const importTitles = new Map();
+  const taken = new Set();
+  const report = { source, path: sourcePath, dryRun, resumed, total: records.length, created: [], duplicates: [], skipped: 0, errors: [] };
+  const toCreate = [];
+
+  for (const record of records) {
+    const key = comparableTitle(record.title);
+    const done = progress.games[record.sourceId];
+    if (done && done.status !== "pending") {
+      report.skipped++;
+      if (done.status === "created") importTitles.set(key, { gameId: done.gameId });
+      continue;
+    }
+    if (!done) {
+      const duplicateOf = libraryTitles.has(key)
+        ? { gameId: libraryTitles.get(key) }
+        : importTitles.get(key) || null;
+      if (duplicateOf) {
+        report.duplicates.push({ sourceId: record.sourceId, title: record.title, duplicateOf });
+        if (!dryRun) progress.games[record.sourceId] = { status: "duplicate", title: record.title, gameId: duplicateOf.gameId || null };
+        continue;
+      }
+    }
+    importTitles.set(key, { sourceId: record.sourceId });
+    toCreate.push(record);
+  }
+  report.newItems = collectNewItems(metadataPath, toCreate);
+
+  if (dryRun) {
+    report.created = toCreate.map((record) => ({ sourceId: record.sourceId, title: record.title, gameId: null }));
+    return report;
+  }
+
+  for (const record of toCreate) {
+    try {
+      const pending = progress.games[record.sourceId];
+      const gameId = pending && gameExists(metadataPath, pending.gameId) ? pending.gameId : nextGameId(metadataPath, taken);
+      if (!gameExists(metadataPath, gameId)) {
+        progress.games[record.sourceId] = { status: "pending", title: record.title, gameId };
+        saveProgress(metadataPath, progress);
+        createImportedGame(metadataPath, gameId, record.title, null, null);
+      }
+      writeRecord(metadataPath, gameId, record, source, userKey);
+      await linkGame(gameId, record);
+      progress.games[record.sourceId] = { status: "created", title: record.title, gameId };
+      saveProgress(metadataPath, progress);
+      importTitles.set(comparableTitle(record.title), { gameId });
+      report.created.push({ sourceId: record.sourceId, title: record.title, gameId });
+    } catch (error) {
+      report.errors.push({ sourceId: record.sourceId, title: record.title, error: error.message });
+    }
+  }
+  // Duplicates within the export point at the game created for the first of them
+  for (const duplicate of report.duplicates) {
+    if (duplicate.duplicateOf.gameId) continue;
+    duplicate.duplicateOf = importTitles.get(comparableTitle(duplicate.title));
+    progress.games[duplicate.sourceId].gameId = duplicate.duplicateOf.gameId || null;
+  }
+
+  if (report.errors.length === 0) progress.finishedAt = new Date().toISOString();
+  saveProgress(metadataPath, progress);
+  return report;
+}
+
+module.exports = {
+  IMPORT_DIR,
+  SOURCES,
+  validateFrontendImport,
+  readPlayniteLibrary,
+  readLaunchBoxLibrary,
+  listImportProgress,
+  importFrontendLibrary,
+};
@@ -1,7 +1,33 @@
+const crypto = require("crypto");
 const fs = require("fs");
 const os = require("os");
 const path = require("path");
-const { spawn, execFileSync } = require("child_process");
+const { promisify } = require("util");
+const { spawn, execFile, execFileSync } = require("child_process");
+const {
+  startPlaySession,
+  touchPlaySession,
+  endPlaySession,
+  listOpenPlaySessions,
+} = require("./playSessions");
+const {
+  registerRunningGame,
+  markRunningGameEnded,
+  getRunningGame,
+} = require("./runningGames");
+const { openLaunchLog, finishLaunchLog, updateLaunchLog, capLaunchLogOutput } = require("./launchLogs");
+const { runLaunchHooks } = require("./launchHooks");
+const {
+  LAUNCHER_EXTENSIONS,
+  isLaunchProfilePath,
+  resolveLaunchProfileCommand,
+} = require("./launchProfiles");
+
+const PLAY_SESSION_POLL_MS = 5000;
+const PLAY_SESSION_HEARTBEAT_MS = 60_000;
+const LAUNCH_LOG_CAP_INTERVAL_MS = 30_000;
+
+const execFileAsync = promisify(execFile);
 
 function sanitizeExecutableName(name) {
   if (!name || typeof name !== "string") return "";
@@ -20,14 +46,15 @@ function resolveExecutableScriptPath(metadataPath, gameId, executableName) {
   const sanitizedExecutableName = sanitizeExecutableName(executableName);
   const scriptsDir = path.join(metadataPath, "content", "games", String(gameId), "scripts");
   let fullCommandPath = path.join(scriptsDir, `${sanitizedExecutableName}.sh`);
-  if (!fs.existsSync(fullCommandPath)) {
-    fullCommandPath = path.join(scriptsDir, `${sanitizedExecutableName}.bat`);
+  for (const ext of LAUNCHER_EXTENSIONS.slice(1)) {
+    if (fs.existsSync(fullCommandPath)) break;
+    fullCommandPath = path.join(scriptsDir, `${sanitizedExecutableName}${ext}`);
   }
   if (!fs.existsSync(fullCommandPath) && fs.existsSync(scriptsDir)) {
     const files = fs.readdirSync(scriptsDir);
     const match = files.find((f) => {
       const ext = path.extname(f).toLowerCase();
-      if (ext !== ".sh" && ext !== ".bat") return false;
+      if (!LAUNCHER_EXTENSIONS.includes(ext)) return false;
       const base = path.basename(f, ext);
       return matchScriptLabel(base, sanitizedExecutableName);
     });
@@ -92,32 +119,77 @@ function resolveGameLaunch(allGames, metadataPath, gameId, requestedExecutableNa
     };
   }
 
+  if (isLaunchProfilePath(fullCommandPath)) {
+    const command = resolveLaunchProfileCommand(fullCommandPath, metadataPath);
+    if (!command.ok) {
+      return { ok: false, status: 400, error: "Launch failed", detail: command.error };
+    }
+    return { ok: true, executableName, fullCommandPath, command: command.value };
+  }
+
   return { ok: true, executableName, fullCommandPath };
 }
 
 /**
- * Spawn the resolved game script detached on the host.
+ * Spawn the resolved game script detached on the host. A launch profile (command from
+ * resolveGameLaunch) is spawned as command + args without a shell; .sh/.bat scripts go through
+ * the shell as before. With logFd, stdout and stderr go to that file (closed here once the child
+ * has it); onExit receives the script's exit code and signal.
  *
+ * @param {string} fullCommandPath
+ * @param {{ command?: { command: string, args: string[], cwd: string|null, env: object }, logFd?: number, onExit?: (code: number|null, signal: string|null) => void }} [options]
  * @returns {Promise<{ status: "launched", pid: number }>}
  */
-function spawnGameLaunch(fullCommandPath) {
+function spawnGameLaunch(fullCommandPath, { command = null, logFd = null, onExit = null } = {}) {
   return new Promise((resolve, reject) => {
-    const quotedPath = fullCommandPath.includes(" ") ? `"${fullCommandPath}"` : fullCommandPath;
-    const child = spawn(quotedPath, {
-      shell: true,
-      detached: true,
-      stdio: "ignore",
-    });
+    const closeLog = () => {
+      if (logFd == null) return;
+      try {
+        fs.closeSync(logFd);
+      } catch {
+        // already closed
+      }
+      logFd = null;
+    };
+    const stdio = logFd != null ? ["ignore", logFd, logFd] : "ignore";
+    let child;
+    const executable = command ? command.command : fullCommandPath;
+    try {
+      if (command) {
+        child = spawn(command.command, command.args, {
+          cwd: command.cwd || undefined,
+          env: { ...process.env, ...command.env },
+          detached: true,
+          stdio,
+        });
+      } else {
+        const quotedPath = fullCommandPath.includes(" ") ? `"${fullCommandPath}"` : fullCommandPath;
+        child = spawn(quotedPath, {
+          shell: true,
+          detached: true,
+          stdio,
+        });
+      }
+    } catch (err) {
+      // Invalid arguments (e.g. a profile command with a null byte) throw before any "error" event
+      closeLog();
+      reject(err);
+      return;
+    }
 
     child.on("error", (err) => {
+      closeLog();
       const errorMessage =
         err.code === "ENOENT"
-          ? `Executable not found: ${fullCommandPath}. Please check if the executable exists.`
+          ? `Executable not found: ${executable}. Please check if the executable exists.`
           : err.message;
       reject(new Error(errorMessage));
     });
 
+    if (onExit) child.once("exit", (code, signal) => onExit(code, signal));
+
     child.once("spawn", () => {
+      closeLog();
       child.unref();
       resolve({ status: "launched", pid: child.pid });
     });
@@ -237,30 +309,51 @@ function scoreLaunchMatcher(p) {
 }
 
 /**
- * Kill processes that still match the launch script command line.
- * Needed because detached shell PIDs often exit (or leave the process group)
- * while the real emulator/game keeps running.
+ * Command line of a launch script or profile, with the absolute paths it references
+ * (longest first).
  *
- * Uses pgrep + SIGKILL (not only pkill -TERM): GUI emulators on macOS often
- * ignore a soft TERM, and pkill can report success after matching unrelated
- * shells that merely echo the same path in their argv.
+ * @returns {{ commandLine: string, paths: string[] } | null} null when a profile cannot be resolved
  */
-function killProcessesMatchingLaunchScript(scriptPath) {
+function readLaunchCommand(scriptPath) {
+  if (!isLaunchProfilePath(scriptPath)) {
+    const commandLine = readLaunchScriptCommandLine(scriptPath);
+    return { commandLine, paths: extractLaunchCommandPaths(commandLine) };
+  }
+  const resolved = resolveLaunchProfileCommand(scriptPath);
+  if (!resolved.ok) return null;
+  const tokens = [resolved.value.command, ...resolved.value.args];
+  const paths = tokens.filter((token) => token.startsWith("/") || /^[A-Za-z]:[\\/]/.test(token));
+  return {
+    commandLine: tokens.join(" "),
+    paths: [...new Set(paths)].sort((a, b) => b.length - a.length),
+  };
+}
+
+/**
+ * Process matchers (absolute paths or a compact command line) derived from a launch script.
+ *
+ * @returns {{ ok: true, matchers: string[] } | { ok: false, reason: string }}
+ */
+function buildLaunchScriptMatchers(scriptPath) {
   if (!scriptPath || !fs.existsSync(scriptPath)) {
     return { ok: false, reason: "missing-script" };
   }
 
-  const commandLine = readLaunchScriptCommandLine(scriptPath);
+  const command = readLaunchCommand(scriptPath);
+  if (!command) {
+    return { ok: false, reason: "invalid-profile" };
+  }
+  const { commandLine, paths } = command;
   if (!commandLine) {
     return { ok: false, reason: "empty-script" };
   }
 
-  const matchers = extractLaunchCommandPaths(commandLine)
+  const matchers = paths
     .filter((p) => p.length >= 12)
     .filter((p) => !isGenericLaunchBinaryPath(p))
     .sort((a, b) => scoreLaunchMatcher(b) - scoreLaunchMatcher(a));
   if (matchers.length === 0) {
-    const fallback = extractLaunchCommandPaths(commandLine)
+    const fallback = paths
       .filter((p) => p.length >= 16)
       .filter((p) => !isGenericLaunchBinaryPath(p))
       .sort((a, b) => scoreLaunchMatcher(b) - scoreLaunchMatcher(a));
@@ -278,6 +371,149 @@ function killProcessesMatchingLaunchScript(scriptPath) {
     matchers.length > 1 && scoreLaunchMatcher(matchers[0]) >= 1000
       ? matchers.slice(0, 1)
       : matchers.slice(0, 2);
+  return { ok: true, matchers: tryMatchers };
+}
+
+function parsePidList(out) {
+  return String(out || "")
+    .split(/\s+/)
+    .map((p) => Number(p))
+    .filter((p) => Number.isFinite(p) && p > 0);
+}
+
+function isLaunchMatcherCandidate(pid) {
+  return pid !== process.pid && pid !== (typeof process.ppid === "number" ? process.ppid : null);
+}
+
+// Avoid killing login shells / Cursor wrappers that only mention the path in a huge -c script.
+function isLaunchMatcherCommand(cmd, matcher) {
+  if (!cmd.includes(matcher)) return false;
+  // Prefer real game/emulator processes over interactive shells embedding the path.
+  return !(/\b(zsh|bash|sh|fish|nu)\b/i.test(cmd) && /\s-c\s/.test(cmd) && cmd.length > 500);
+}
+
+function windowsLaunchMatcherQuery(matcher) {
+  return `Get-CimInstance Win32_Process | Where-Object { $_.CommandLine -and $_.CommandLine.Contains(${JSON.stringify(matcher)}) -and $_.ProcessId -ne ${process.pid} } | ForEach-Object { $_.ProcessId }`;
+}
+
+/**
+ * Unix PIDs whose command line contains `matcher` (excluding this server and
+ * interactive shells that merely embed the path in a huge -c script).
+ */
+function findPidsMatchingLaunchMatcher(matcher, errors = []) {
+  let pids = [];
+  try {
+    pids = parsePidList(execFileSync("pgrep", ["-f", escapeRegexLiteral(matcher)], { encoding: "utf8" }));
+  } catch (error) {
+    if (error?.status !== 1) {
+      errors.push(error?.message || String(error));
+    }
+    return [];
+  }
+
+  const found = [];
+  for (const pid of pids.filter(isLaunchMatcherCandidate)) {
+    let cmd = "";
+    try {
+      cmd = execFileSync("ps", ["-p", String(pid), "-o", "command="], {
+        encoding: "utf8",
+      }).trim();
+    } catch {
+      continue;
+    }
+    if (isLaunchMatcherCommand(cmd, matcher)) found.push(pid);
+  }
+  return found;
+}
+
+/** Non-blocking findPidsMatchingLaunchMatcher, for the play session poll loop. */
+async function findPidsMatchingLaunchMatcherAsync(matcher, errors = []) {
+  let pids = [];
+  try {
+    const { stdout } = await execFileAsync("pgrep", ["-f", escapeRegexLiteral(matcher)], { encoding: "utf8" });
+    pids = parsePidList(stdout);
+  } catch (error) {
+    // pgrep exits with 1 when nothing matches
+    if (error?.code !== 1) {
+      errors.push(error?.message || String(error));
+    }
+    return [];
+  }
+
+  const found = [];
+  for (const pid of pids.filter(isLaunchMatcherCandidate)) {
+    let cmd = "";
+    try {
+      const { stdout } = await execFileAsync("ps", ["-p", String(pid), "-o", "command="], { encoding: "utf8" });
+      cmd = stdout.trim();
+    } catch {
+      continue;
+    }
+    if (isLaunchMatcherCommand(cmd, matcher)) found.push(pid);
+  }
+  return found;
+}
+
+/**
+ * Processes still running the launch script command line (read-only counterpart
+ * of killProcessesMatchingLaunchScript, used to detect when a game has exited).
+ * Runs pgrep/ps (PowerShell on Windows) asynchronously so polling never blocks requests.
+ *
+ * @returns {Promise<{ ok: boolean, pids: number[], matched?: string[], reason?: string, detail?: string }>}
+ */
+async function findProcessesMatchingLaunchScript(scriptPath) {
+  const built = buildLaunchScriptMatchers(scriptPath);
+  if (!built.ok) {
+    return { ok: false, pids: [], reason: built.reason };
+  }
+
+  const pids = new Set();
+  const matched = [];
+  const errors = [];
+
+  for (const matcher of built.matchers) {
+    let found = [];
+    if (process.platform === "win32") {
+      try {
+        const { stdout } = await execFileAsync(
+          "powershell.exe",
+          ["-NoProfile", "-Command", windowsLaunchMatcherQuery(matcher)],
+          { encoding: "utf8", timeout: 15_000 },
+        );
+        found = parsePidList(stdout);
+      } catch (error) {
+        errors.push(error?.message || String(error));
+      }
+    } else {
+      found = await findPidsMatchingLaunchMatcherAsync(matcher, errors);
+    }
+    if (found.length > 0) matched.push(matcher);
+    found.forEach((p) => pids.add(p));
+  }
+
+  return {
+    ok: pids.size > 0,
+    pids: [...pids],
+    matched,
+    ...(errors.length ? { detail: errors.join("; ") } : {}),
+  };
+}
+
+/**
+ * Kill processes that still match the launch script command line.
+ * Needed because detached shell PIDs often exit (or leave the process group)
+ * while the real emulator/game keeps running.
+ *
+ * Uses pgrep + SIGKILL (not only pkill -TERM): GUI emulators on macOS often
+ * ignore a soft TERM, and pkill can report success after matching unrelated
+ * shells that merely echo the same path in their argv.
+ */
+function killProcessesMatchingLaunchScript(scriptPath) {
+  const built = buildLaunchScriptMatchers(scriptPath);
+  if (!built.ok) {
+    return { ok: false, reason: built.reason };
+  }
+  const tryMatchers = built.matchers;
 
   if (process.platform === "win32") {
     const matched = [];
@@ -305,45 +541,13 @@ function killProcessesMatchingLaunchScript(scriptPath) {
     };
   }
 
-  const selfPid = process.pid;
-  const selfPpid = typeof process.ppid === "number" ? process.ppid : null;
   const killedPids = new Set();
   const matched = [];
   const errors = [];
 
   for (const matcher of tryMatchers) {
-    const pattern = escapeRegexLiteral(matcher);
-    let pids = [];
-    try {
-      const out = execFileSync("pgrep", ["-f", pattern], { encoding: "utf8" }).trim();
-      pids = out
-        .split(/\s+/)
-        .map((p) => Number(p))
-        .filter((p) => Number.isFinite(p) && p > 0);
-    } catch (error) {
-      if (error?.status !== 1) {
-        errors.push(error?.message || String(error));
-      }
-      continue;
-    }
-
     let killedForMatcher = false;
-    for (const pid of pids) {
-      if (pid === selfPid || pid === selfPpid) continue;
-      // Avoid killing login shells / Cursor wrappers that only mention the path in a huge -c script.
-      let cmd = "";
-      try {
-        cmd = execFileSync("ps", ["-p", String(pid), "-o", "command="], {
-          encoding: "utf8",
-        }).trim();
-      } catch {
-        continue;
-      }
-      if (!cmd.includes(matcher)) continue;
-      // Prefer real game/emulator processes over interactive shells embedding the path.
-      if (/\b(zsh|bash|sh|fish|nu)\b/i.test(cmd) && /\s-c\s/.test(cmd) && cmd.length > 500) {
-        continue;
-      }
+    for (const pid of findPidsMatchingLaunchMatcher(matcher, errors)) {
       try {
         process.kill(pid, "SIGKILL");
         killedPids.add(pid);
@@ -381,12 +585,234 @@ function killLaunchedGame({ pid, fullCommandPath } = {}) {
 }
 
 /**
+ * Whether a PID (or its process group, for detached launches) is still alive.
+ */
+async function isProcessTreeAlive(pid) {
+  const n = Number(pid);
+  if (!Number.isFinite(n) || n <= 0) return false;
+  if (process.platform === "win32") {
+    try {
+      const { stdout } = await execFileAsync("tasklist", ["/FI", `PID eq ${n}`, "/NH"], {
+        encoding: "utf8",
+        timeout: 15_000,
+      });
+      return new RegExp(`\\b${n}\\b`).test(stdout);
+    } catch {
+      return false;
+    }
+  }
+  for (const target of [-n, n]) {
+    try {
+      process.kill(target, 0);
+      return true;
+    } catch (error) {
+      if (error?.code === "EPERM") return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * A launched game counts as running while its process group is alive or any process
+ * still matches the launch script (same detection killLaunchedGame relies on).
+ *
+ * @returns {Promise<boolean>}
+ */
+async function isLaunchedGameRunning({ pid, fullCommandPath } = {}) {
+  if (pid && (await isProcessTreeAlive(pid))) return true;
+  if (fullCommandPath) return (await findProcessesMatchingLaunchScript(fullCommandPath)).ok;
+  return false;
+}
+
+/**
+ * Launches being watched. One timer polls all of them every PLAY_SESSION_POLL_MS, one launch
+ * after the other; the next round is scheduled only once the previous one has finished, so
+ * slow process lookups never pile up.
+ */
+const watchedLaunches = new Set();
+let watchTimer = null;
+
+function scheduleWatchedLaunchesPoll() {
+  if (watchTimer || watchedLaunches.size === 0) return;
+  watchTimer = setTimeout(pollWatchedLaunches, PLAY_SESSION_POLL_MS);
+  watchTimer.unref?.();
+}
+
+async function pollWatchedLaunches() {
+  try {
+    for (const watcher of [...watchedLaunches]) {
+      let running = false;
+      try {
+        running = await isLaunchedGameRunning(watcher.launch);
+      } catch (error) {
+        console.warn("Failed to check launched game process:", error?.message || error);
+        continue;
+      }
+      // Stopped while the check was running
+      if (!watchedLaunches.has(watcher)) continue;
+      try {
+        if (running) {
+          if (watcher.onTick) watcher.onTick();
+        } else {
+          watchedLaunches.delete(watcher);
+          if (watcher.onExit) watcher.onExit();
+        }
+      } catch (error) {
+        console.warn("Launched game watcher failed:", error?.message || error);
+      }
+    }
+  } finally {
+    watchTimer = null;
+    scheduleWatchedLaunchesPoll();
+  }
+}
+
+/**
+ * Poll a launched game until it exits (shared poll loop, see watchedLaunches).
+ *
+ * @param {{ pid?: number, fullCommandPath?: string }} launch
+ * @param {{ onTick?: () => void, onExit: () => void }} handlers
+ * @returns {{ stop: () => void }}
+ */
+function watchLaunchedGame(launch, { onTick, onExit } = {}) {
+  const watcher = { launch, onTick, onExit };
+  watchedLaunches.add(watcher);
+  scheduleWatchedLaunchesPoll();
+  return {
+    stop: () => {
+      watchedLaunches.delete(watcher);
+    },
+  };
+}
+
+function watchPlaySession(metadataPath, gameId, session, onExit = null) {
+  let lastHeartbeat = Date.now();
+  return watchLaunchedGame(
+    { pid: session.pid, fullCommandPath: session.fullCommandPath },
+    {
+      onTick: () => {
+        if (Date.now() - lastHeartbeat < PLAY_SESSION_HEARTBEAT_MS) return;
+        lastHeartbeat = Date.now();
+        try {
+          touchPlaySession(metadataPath, gameId, session.id);
+        } catch (error) {
+          console.warn(`Failed to update play session for game ${gameId}:`, error.message);
+        }
+      },
+      onExit: () => {
+        try {
+          endPlaySession(metadataPath, gameId, session.id);
+        } catch (error) {
+          console.warn(`Failed to close play session for game ${gameId}:`, error.message);
+        }
+        if (onExit) onExit();
+      },
+    },
+  );
+}
+
+/**
+ * Record a play session for a launch and close it when the process tree exits.
+ * Best-effort: tracking failures never fail the launch itself.
+ */
+function trackPlaySession(metadataPath, launch, { launchId, source, userId, onExit } = {}) {
+  try {
+    const session = startPlaySession(metadataPath, launch.gameId, {
+      launchId,
+      executableName: launch.executableName,
+      pid: launch.pid,
+      fullCommandPath: launch.fullCommandPath,
+      source,
+      userId,
+    });
+    watchPlaySession(metadataPath, launch.gameId, session, onExit);
+    return session;
+  } catch (error) {
+    console.warn(`Failed to record play session for game ${launch.gameId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Run a launch's post-exit hooks and store their results in its launch log (when it has one).
+ * @returns {Promise<object[]>} hook results
+ */
+async function runPostLaunchHooks(metadataPath, gameId, hookContext) {
+  try {
+    const post = await runLaunchHooks(metadataPath, gameId, "post", hookContext);
+    if (post.results.length > 0) {
+      updateLaunchLog(metadataPath, gameId, hookContext.launchId, { postHooks: post.results });
+    }
+    return post.results;
+  } catch (error) {
+    console.warn(`Post-exit hooks failed for game ${gameId}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Keep a running launch's log under its size cap (a game left running can write without end).
+ * @returns {() => void} stop, called once the launch has ended
+ */
+function capLaunchLogWhileRunning(metadataPath, gameId, launchId) {
+  const timer = setInterval(() => {
+    try {
+      capLaunchLogOutput(metadataPath, gameId, launchId);
+    } catch (error) {
+      console.warn(`Failed to cap launch log for game ${gameId}:`, error.message);
+    }
+  }, LAUNCH_LOG_CAP_INTERVAL_MS);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
+
+/**
+ * Called at startup: keep watching sessions whose game is still running (server restarted
+ * mid-game), running the post-exit hooks once it ends, and close the others at their last
+ * heartbeat.
+ */
+async function resumePlaySessions(metadataPath) {
+  let resumed = 0;
+  let closed = 0;
+  for (const { gameId, session } of listOpenPlaySessions(metadataPath)) {
+    if (await isLaunchedGameRunning({ pid: session.pid, fullCommandPath: session.fullCommandPath })) {
+      const running = registerRunningGame({
+        ...session,
+        launchId: session.launchId || undefined,
+        gameId,
+        sessionId: session.id,
+      });
+      const hookContext = {
+        launchId: running.launchId,
+        executableName: running.executableName,
+        source: running.source,
+      };
+      const stopLogCap = session.launchId ? capLaunchLogWhileRunning(metadataPath, gameId, session.launchId) : () => {};
+      watchPlaySession(metadataPath, gameId, session, () => {
+        stopLogCap();
+        markRunningGameEnded(running.launchId);
+        void runPostLaunchHooks(metadataPath, gameId, hookContext);
+      });
+      resumed += 1;
+    } else {
+      endPlaySession(metadataPath, gameId, session.id, session.lastSeenAt || session.startedAt);
+      closed += 1;
+    }
+  }
+  return { resumed, closed };
+}
+
+/**
+ * Run pre-launch hooks, spawn the game and track it; post-exit hooks run once the watcher sees
+ * the process tree end. Hook results are stored in the launch log.
+ *
  * @param {Record<number, object>} allGames
  * @param {string} metadataPath
  * @param {string|number} gameId
  * @param {string} [requestedExecutableName]
+ * @param {{ source?: string, userId?: string|null }} [options] stored with the play session (source e.g. "launcher", "streaming")
  */
-async function launchGame(allGames, metadataPath, gameId, requestedExecutableName) {
+async function launchGame(allGames, metadataPath, gameId, requestedExecutableName, options = {}) {
   const resolved = resolveGameLaunch(allGames, metadataPath, gameId, requestedExecutableName);
   if (!resolved.ok) {
     const err = new Error(resolved.detail || resolved.error);
@@ -394,23 +820,149 @@ async function launchGame(allGames, metadataPath, gameId, requestedExecutableNam
     err.payload = { error: resolved.error, detail: resolved.detail };
     throw err;
   }
-  const result = await spawnGameLaunch(resolved.fullCommandPath);
-  return {
+  const source = options.source || "launcher";
+  const userId = options.userId || null;
+  const launchId = crypto.randomUUID();
+  const startedAt = new Date().toISOString();
+
+  // Script output is best-effort: a log failure must not prevent the launch
+  let logFd = null;
+  try {
+    logFd = openLaunchLog(metadataPath, gameId, {
+      launchId,
+      executableName: resolved.executableName,
+      source,
+      startedAt,
+    });
+  } catch (error) {
+    console.warn(`Failed to open launch log for game ${gameId}:`, error.message);
+  }
+  const logOpened = logFd != null;
+  const recordLaunch = (patch) => {
+    if (!logOpened) return;
+    try {
+      updateLaunchLog(metadataPath, gameId, launchId, patch);
+    } catch (error) {
+      console.warn(`Failed to update launch log for game ${gameId}:`, error.message);
+    }
+  };
+
+  const finishLog = (exitCode, signal) => {
+    if (!logOpened) return;
+    try {
+      finishLaunchLog(metadataPath, gameId, launchId, { exitCode, signal });
+    } catch (error) {
+      console.warn(`Failed to finish launch log for game ${gameId}:`, error.message);
+    }
+  };
+
+  const hookContext = { launchId, executableName: resolved.executableName, source };
+  const pre = await runLaunchHooks(metadataPath, gameId, "pre", hookContext);
+  if (pre.results.length > 0) recordLaunch({ preHooks: pre.results });
+  if (!pre.ok) {
+    // Log bookkeeping is best-effort here too: the hook error is what the caller must see
+    if (logOpened) {
+      try {
+        fs.closeSync(logFd);
+      } catch {
+        // already closed
+      }
+    }
+    finishLog(null, null);
+    recordLaunch({ aborted: true });
+    const failed = pre.results[pre.results.length - 1];
+    const reason = failed.error || `exit code ${failed.exitCode}`;
+    const err = new Error(`Pre-launch hook "${pre.abortedBy}" failed: ${reason}`);
+    err.status = 500;
+    err.payload = { error: "Launch failed", detail: err.message, launchId, preHooks: pre.results };
+    throw err;
+  }
+
+  let result;
+  try {
+    result = await spawnGameLaunch(resolved.fullCommandPath, {
+      command: resolved.command,
+      logFd,
+      onExit: finishLog,
+    });
+  } catch (spawnError) {
+    // spawnGameLaunch closed the log file; the pre hooks ran, so the post hooks must too
+    finishLog(null, null);
+    recordLaunch({ error: spawnError.message });
+    const postHooks = await runPostLaunchHooks(metadataPath, gameId, hookContext);
+    const err = new Error(spawnError.message);
+    err.status = 500;
+    err.payload = { error: "Launch failed", detail: spawnError.message, launchId, preHooks: pre.results, postHooks };
+    throw err;
+  }
+  const launch = {
     ...result,
     executableName: resolved.executableName,
     gameId: Number(gameId),
     fullCommandPath: resolved.fullCommandPath,
   };
+  launch.launchId = launchId;
+  launch.preHooks = pre.results;
+
+  // A URL handler (xdg-open, open, explorer.exe) exits as soon as it has passed the URL on, so
+  // its process says nothing about the game: no play session, no running-games entry, and the
+  // post hooks run right away
+  if (resolved.command && resolved.command.handoff) {
+    launch.tracked = false;
+    void runPostLaunchHooks(metadataPath, gameId, hookContext);
+    return launch;
+  }
+
+  const running = registerRunningGame({ ...launch, startedAt, source, userId });
+  const stopLogCap = logOpened ? capLaunchLogWhileRunning(metadataPath, gameId, launchId) : () => {};
+  const onExit = () => {
+    stopLogCap();
+    markRunningGameEnded(running.launchId);
+    void runPostLaunchHooks(metadataPath, gameId, hookContext);
+  };
+  const session = trackPlaySession(metadataPath, launch, { launchId, source, userId, onExit });
+  launch.tracked = session != null;
+  if (session) {
+    launch.sessionId = session.id;
+    running.sessionId = session.id;
+  } else {
+    watchLaunchedGame(launch, { onExit });
+  }
+  return launch;
+}
+
+/**
+ * Stop a launch from the running-games registry (process tree + launch script match).
+ *
+ * @returns {Promise<{ ok: boolean, launchId: string, state: string, byPid?: object, byScript?: object } | null>} null when unknown
+ */
+async function stopRunningGame(launchId) {
+  const entry = getRunningGame(launchId);
+  if (!entry) return null;
+  if (entry.state !== "running") return { ok: true, launchId: entry.launchId, state: entry.state };
+  const result = killLaunchedGame({ pid: entry.pid, fullCommandPath: entry.fullCommandPath });
+  if (result.ok) {
+    markRunningGameEnded(entry.launchId, "stopped");
+  } else if (!(await isLaunchedGameRunning(entry))) {
+    markRunningGameEnded(entry.launchId, "exited");
+  }
+  return { ...result, ok: entry.state !== "running", launchId: entry.launchId, state: entry.state };
 }
 
 module.exports = {
   launchGame,
+  stopRunningGame,
   resolveGameLaunch,
   resolveExecutableScriptPath,
   sanitizeExecutableName,
   killProcessTree,
   killProcessesMatchingLaunchScript,
+  findProcessesMatchingLaunchScript,
   killLaunchedGame,
+  isLaunchedGameRunning,
+  watchLaunchedGame,
+  resumePlaySessions,
   readLaunchScriptCommandLine,
+  readLaunchCommand,
   extractLaunchCommandPaths,
 };
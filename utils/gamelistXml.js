@@ -0,0 +1,117 @@
+"use strict";
+
+const { decodeXml, encodeXml } = require("./xmlText");
+
+/**
+ * Reader / writer for EmulationStation (and ES-DE, Batocera, RetroBat) gamelist.xml files:
+ *
+ *   <gameList>
+ *     <game id="1234" source="ScreenScraper.fr">
+ *       <path>./Chrono Trigger (USA).sfc</path>
+ *       <name>Chrono Trigger</name>
+ *       <desc>...</desc>
+ *       <releasedate>19950311T000000</releasedate>
+ *       <rating>0.9</rating>
+ *       ...
+ *     </game>
+ *     <folder>...</folder>
+ *   </gameList>
+ *
+ * Games are parsed to { attributes, fields: [[tag, text], ...] } in file order so tags the server
+ * does not know (players, playcount, lastplayed, kidgame, ...) survive a round trip; every other
+ * top-level element is kept verbatim.
+ */
+
+function elementText(raw) {
+  const cdata = raw.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  return cdata ? cdata[1] : decodeXml(raw.trim());
+}
+
+function parseGame(attributes, body) {
+  const fields = [];
+  const re = /<([A-Za-z][\w-]*)\b[^>]*?(?:\/>|>([\s\S]*?)<\/\1>)/g;
+  let match;
+  while ((match = re.exec(body)) !== null) fields.push([match[1], elementText(match[2] || "")]);
+  return { kind: "game", attributes: attributes.trim(), fields };
+}
+
+/**
+ * @param {string} text gamelist.xml content
+ * @returns {{ entries: Array<{ kind: "game", attributes: string, fields: Array<[string, string]> } | { kind: "raw", xml: string }> }}
+ */
+function parseGamelist(text) {
+  const content = String(text || "").replace(/^\uFEFF/, "");
+  const body = (content.match(/<gameList\b[^>]*>([\s\S]*)<\/gameList>/) || [])[1] || "";
+  const entries = [];
+  const re = /<([A-Za-z][\w-]*)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g;
+  let match;
+  while ((match = re.exec(body)) !== null) {
+    if (match[1] === "game") entries.push(parseGame(match[2], match[3] || ""));
+    else entries.push({ kind: "raw", xml: match[0] });
+  }
+  return { entries };
+}
+
+/** @returns {string} gamelist.xml content (tab-indented like EmulationStation writes it) */
+function serializeGamelist(gamelist) {
+  const lines = ['<?xml version="1.0"?>', "<gameList>"];
+  for (const entry of gamelist.entries) {
+    if (entry.kind === "raw") {
+      lines.push(`\t${entry.xml}`);
+      continue;
+    }
+    lines.push(entry.attributes ? `\t<game ${entry.attributes}>` : "\t<game>");
+    for (const [tag, value] of entry.fields) lines.push(`\t\t<${tag}>${encodeXml(value)}</${tag}>`);
+    lines.push("\t</game>");
+  }
+  lines.push("</gameList>", "");
+  return lines.join("\n");
+}
+
+function getGamelistField(game, tag) {
+  const field = game.fields.find(([name]) => name === tag);
+  return field ? field[1] : "";
+}
+
+/** Set a tag in place (or append it); an empty value removes the tag. */
+function setGamelistField(game, tag, value) {
+  const index = game.fields.findIndex(([name]) => name === tag);
+  if (value == null || value === "") {
+    if (index !== -1) game.fields.splice(index, 1);
+    return;
+  }
+  if (index === -1) game.fields.push([tag, String(value)]);
+  else game.fields[index] = [tag, String(value)];
+}
+
+/** "19950311T000000" from year / month / day; "" without a year. */
+function toGamelistDate({ year, month, day }) {
+  const y = Number(year);
+  if (!Number.isInteger(y) || y <= 0) return "";
+  const pad = (n) => String(Number.isInteger(Number(n)) && Number(n) > 0 ? Number(n) : 1).padStart(2, "0");
+  return `${String(y).padStart(4, "0")}${pad(month)}${pad(day)}T000000`;
+}
+
+/** { year, month, day } from a gamelist releasedate, or null. */
+function fromGamelistDate(value) {
+  const match = String(value || "").match(/^(\d{4})(\d{2})(\d{2})(?:T\d{6})?$/);
+  if (!match || Number(match[1]) === 0) return null;
+  return { year: Number(match[1]), month: Number(match[2]) || null, day: Number(match[3]) || null };
+}
+
+/** gamelist rating (0..1) normalized to at most two decimals, "" when missing or invalid. */
+function normalizeGamelistRating(value) {
+  const rating = Number.parseFloat(value);
+  if (!Number.isFinite(rating) || rating <= 0) return "";
+  return String(Number(Math.min(rating, 1).toFixed(2)));
+}
+
+module.exports = {
+  parseGamelist,
+  serializeGamelist,
+  getGamelistField,
+  setGamelistField,
+  toGamelistDate,
+  fromGamelistDate,
+  normalizeGamelistRating,
+};
@@ -0,0 +1,341 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { ensureDirectoryExists, readJsonFile, writeJsonFile } = require("./fileUtils");
+
+/**
+ * On-disk cache of IGDB API answers under METADATA_PATH/igdb-cache/: one
+ * <endpoint>/<sha1 of the query body>.json file ({ endpoint, body, storedAt, rows }) per query,
+ * plus config.json:
+ *
+ *   { "offline": false, "maxSizeMb": 200, "staleHours": 168, "ttlHours": { "games": 168, ... } }
+ *
+ * An answer younger than its endpoint's TTL is served from disk; within staleHours after that it
+ * is still served while a background request refreshes it (stale-while-revalidate). When IGDB
+ * cannot be reached (network error, 429 or 5xx, or no access token) any cached answer is served
+ * whatever its age, and in offline mode IGDB is never contacted. Text searches use the "search"
+ * TTL. The oldest answers are evicted once the cache exceeds maxSizeMb.
+ */
+
+const IGDB_CACHE_DIR = "igdb-cache";
+const CONFIG_FILE = "config.json";
+/** Access token handed out when IGDB is offline; queries made with it are answered from the cache only. */
+const OFFLINE_ACCESS_TOKEN = "offline";
+const DEFAULT_TTL_HOURS = {
+  default: 168,
+  search: 24,
+  games: 168,
+  involved_companies: 168,
+  companies: 720,
+  company_type_histories: 720,
+  age_ratings: 720,
+  keywords: 720,
+  themes: 720,
+  genres: 720,
+  platforms: 720,
+  game_modes: 720,
+  player_perspectives: 720,
+  game_engines: 720,
+};
+const DEFAULT_CONFIG = { offline: false, maxSizeMb: 200, staleHours: 168, ttlHours: {} };
+const ENDPOINT_RE = /^[a-z_]+$/;
+const HOUR_MS = 60 * 60 * 1000;
+
+let metadataPath = null;
+let index = null;
+// config.json as last read; every query consults it
+let cachedConfig = null;
+const revalidating = new Map();
+const counters = { hits: 0, misses: 0, staleServed: 0, offlineServed: 0, revalidations: 0 };
+
+function setIgdbCacheMetadataPath(nextPath) {
+  metadataPath = typeof nextPath === "string" && nextPath.trim() ? nextPath.trim() : null;
+  index = null;
+  cachedConfig = null;
+  revalidating.clear();
+  Object.keys(counters).forEach((key) => {
+    counters[key] = 0;
+  });
+}
+
+function cacheDir() {
+  return path.join(metadataPath, IGDB_CACHE_DIR);
+}
+
+function cacheKey(endpoint, body) {
+  return crypto.createHash("sha1").update(`${endpoint}\n${String(body).trim()}`).digest("hex");
+}
+
+function entryPath(endpoint, key) {
+  return path.join(cacheDir(), endpoint, `${key}.json`);
+}
+
+function isTextSearch(body) {
+  return /(^|;)\s*search\s+"/.test(String(body));
+}
+
+/** @returns {{ ok: true, value: object } | { ok: false, error: string }} */
+function validateIgdbCacheConfig(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { ok: false, error: "Cache config must be an object" };
+  }
+  const value = { ...DEFAULT_CONFIG, ttlHours: {} };
+  if (body.offline != null) {
+    if (typeof body.offline !== "boolean") return { ok: false, error: "offline must be a boolean" };
+    value.offline = body.offline;
+  }
+  for (const field of ["maxSizeMb", "staleHours"]) {
+    if (body[field] == null) continue;
+    const n = Number(body[field]);
+    if (!Number.isFinite(n) || n < 0) return { ok: false, error: `${field} must be a non-negative number` };
+    value[field] = n;
+  }
+  const ttlHours = body.ttlHours == null ? {} : body.ttlHours;
+  if (typeof ttlHours !== "object" || Array.isArray(ttlHours)) {
+    return { ok: false, error: "ttlHours must map endpoints to hours" };
+  }
+  for (const [endpoint, hours] of Object.entries(ttlHours)) {
+    const n = Number(hours);
+    if (!ENDPOINT_RE.test(endpoint) || !Number.isFinite(n) || n < 0) {
+      return { ok: false, error: "ttlHours must map endpoints to hours" };
+    }
+    value.ttlHours[endpoint] = n;
+  }
+  return { ok: true, value };
+}
+
+function loadIgdbCacheConfig() {
+  if (!metadataPath) return { ...DEFAULT_CONFIG };
+  if (!cachedConfig) {
+    const validated = validateIgdbCacheConfig(readJsonFile(path.join(cacheDir(), CONFIG_FILE), null) || {});
+    cachedConfig = validated.ok ? validated.value : { ...DEFAULT_CONFIG };
+  }
+  return { ...cachedConfig, ttlHours: { ...cachedConfig.ttlHours } };
+}
+
+function saveIgdbCacheConfig(config) {
+  ensureDirectoryExists(cacheDir());
+  writeJsonFile(path.join(cacheDir(), CONFIG_FILE), config);
+  cachedConfig = null;
+  enforceSizeLimit(config);
+  return config;
+}
+
+function isIgdbOfflineMode() {
+  return metadataPath != null && loadIgdbCacheConfig().offline;
+}
+
+function ttlHoursFor(config, endpoint, body) {
+  const ttlKey = isTextSearch(body) ? "search" : endpoint;
+  const ttl = { ...DEFAULT_TTL_HOURS, ...config.ttlHours };
+  return ttl[ttlKey] ?? ttl.default;
+}
+
+/** Entry sizes and times, read from the directory once per metadata path. */
+function loadIndex() {
+  if (index) return index;
+  index = new Map();
+  const root = cacheDir();
+  if (!fs.existsSync(root)) return index;
+  for (const dirent of fs.readdirSync(root, { withFileTypes: true })) {
+    if (!dirent.isDirectory() || !ENDPOINT_RE.test(dirent.name)) continue;
+    for (const file of fs.readdirSync(path.join(root, dirent.name))) {
+      if (!file.endsWith(".json")) continue;
+      const stat = fs.statSync(path.join(root, dirent.name, file));
+      index.set(file.slice(0, -5), { endpoint: dirent.name, size: stat.size, storedAt: stat.mtimeMs });
+    }
+  }
+  return index;
+}
+
+function removeEntry(key) {
+  const meta = loadIndex().get(key);
+  if (!meta) return 0;
+  fs.rmSync(entryPath(meta.endpoint, key), { force: true });
+  index.delete(key);
+  return meta.size;
+}
+
+function enforceSizeLimit(config) {
+  const maxBytes = config.maxSizeMb * 1024 * 1024;
+  const entries = [...loadIndex().entries()];
+  let total = entries.reduce((sum, [, meta]) => sum + meta.size, 0);
+  if (total <= maxBytes) return;
+  entries.sort((a, b) => a[1].storedAt - b[1].storedAt);
+  for (const [key] of entries) {
+    if (total <= maxBytes) break;
+    total -= removeEntry(key);
+  }
+}
+
+function readEntry(endpoint, key) {
+  const entry = readJsonFile(entryPath(endpoint, key), null);
+  return entry && Array.isArray(entry.rows) && typeof entry.storedAt === "number" ? entry : null;
+}
+
+function writeEntry(config, endpoint, body, key, rows) {
+  const filePath = entryPath(endpoint, key);
+  ensureDirectoryExists(path.dirname(filePath));
+  const storedAt = Date.now();
+  writeJsonFile(filePath, { endpoint, body: String(body).trim(), storedAt, rows }, 0);
+  loadIndex().set(key, { endpoint, size: fs.statSync(filePath).size, storedAt });
+  enforceSizeLimit(config);
+}
+
+function offlineError() {
+  const err = new Error("IGDB is unreachable and this query is not cached");
+  err.status = 503;
+  return err;
+}
+
+/** Network errors, rate limiting and IGDB outages; other API errors are real answers. */
+function isUnreachableError(err) {
+  return !err.status || err.status === 429 || err.status >= 500;
+}
+
+function revalidate(config, endpoint, body, key, fetchFresh) {
+  if (revalidating.has(key)) return;
+  counters.revalidations += 1;
+  const pending = fetchFresh()
+    .then((rows) => {
+      if (metadataPath) writeEntry(config, endpoint, body, key, rows);
+    })
+    .catch((err) => console.warn(`IGDB cache refresh for ${endpoint} failed:`, err.message))
+    .finally(() => revalidating.delete(key));
+  revalidating.set(key, pending);
+}
+
+/**
+ * Answer one IGDB query from the cache or through fetchFresh (see the module comment).
+ *
+ * @param {string} endpoint IGDB endpoint without /v4/ ("games", "companies", ...)
+ * @param {string} body Apicalypse query body
+ * @param {() => Promise<Array>} fetchFresh performs the request
+ * @param {{ offline?: boolean }} [options] offline: there is no way to reach IGDB (no access token)
+ * @returns {Promise<Array>}
+ */
+async function cachedIgdbQuery(endpoint, body, fetchFresh, options = {}) {
+  if (!metadataPath || !ENDPOINT_RE.test(endpoint)) {
+    if (options.offline) throw offlineError();
+    return fetchFresh();
+  }
+  const config = loadIgdbCacheConfig();
+  const key = cacheKey(endpoint, body);
+  const entry = readEntry(endpoint, key);
+
+  if (options.offline || config.offline) {
+    if (!entry) {
+      counters.misses += 1;
+      throw offlineError();
+    }
+    counters.offlineServed += 1;
+    return entry.rows;
+  }
+
+  const ageMs = entry ? Date.now() - entry.storedAt : Infinity;
+  const ttlMs = ttlHoursFor(config, endpoint, body) * HOUR_MS;
+  if (ageMs < ttlMs) {
+    counters.hits += 1;
+    return entry.rows;
+  }
+  if (ageMs < ttlMs + config.staleHours * HOUR_MS) {
+    counters.staleServed += 1;
+    revalidate(config, endpoint, body, key, fetchFresh);
+    return entry.rows;
+  }
+
+  counters.misses += 1;
+  try {
+    const rows = await fetchFresh();
+    writeEntry(config, endpoint, body, key, rows);
+    return rows;
+  } catch (err) {
+    if (!entry || !isUnreachableError(err)) throw err;
+    counters.offlineServed += 1;
+    console.warn(`IGDB unreachable (${err.message}); serving cached ${endpoint} answer`);
+    return entry.rows;
+  }
+}
+
+/** Totals per endpoint, request counters since start and the effective config. */
+function getIgdbCacheStats() {
+  const config = loadIgdbCacheConfig();
+  const endpoints = {};
+  let sizeBytes = 0;
+  if (metadataPath) {
+    for (const meta of loadIndex().values()) {
+      const bucket = endpoints[meta.endpoint] || (endpoints[meta.endpoint] = { entries: 0, sizeBytes: 0 });
+      bucket.entries += 1;
+      bucket.sizeBytes += meta.size;
+      sizeBytes += meta.size;
+    }
+  }
+  return {
+    enabled: metadataPath != null,
+    entries: index ? index.size : 0,
+    sizeBytes,
+    maxSizeBytes: config.maxSizeMb * 1024 * 1024,
+    endpoints,
+    counters: { ...counters },
+    config: { ...config, ttlHours: { ...DEFAULT_TTL_HOURS, ...config.ttlHours } },
+  };
+}
+
+/**
+ * Newest entries first, without their rows.
+ * @param {{ endpoint?: string, limit?: number }} [filter]
+ */
+function listIgdbCacheEntries({ endpoint = null, limit = 100 } = {}) {
+  if (!metadataPath) return [];
+  const config = loadIgdbCacheConfig();
+  return [...loadIndex().entries()]
+    .filter(([, meta]) => !endpoint || meta.endpoint === endpoint)
+    .sort((a, b) => b[1].storedAt - a[1].storedAt)
+    .slice(0, limit)
+    .map(([key, meta]) => {
+      const entry = readEntry(meta.endpoint, key);
+      const body = entry ? entry.body : null;
+      return {
+        key,
+        endpoint: meta.endpoint,
+        body,
+        storedAt: new Date(meta.storedAt).toISOString(),
+        expiresAt: new Date(meta.storedAt + ttlHoursFor(config, meta.endpoint, body || "") * HOUR_MS).toISOString(),
+        sizeBytes: meta.size,
+      };
+    });
+}
+
+/**
+ * Remove entries (all, one endpoint's, or those older than olderThanHours).
+ * @returns {{ removed: number, freedBytes: number }}
+ */
+function purgeIgdbCache({ endpoint = null, olderThanHours = null } = {}) {
+  if (!metadataPath) return { removed: 0, freedBytes: 0 };
+  const cutoff = olderThanHours == null ? Infinity : Date.now() - olderThanHours * HOUR_MS;
+  let removed = 0;
+  let freedBytes = 0;
+  for (const [key, meta] of [...loadIndex().entries()]) {
+    if ((endpoint && meta.endpoint !== endpoint) || meta.storedAt >= cutoff) continue;
+    freedBytes += removeEntry(key);
+    removed += 1;
+  }
+  return { removed, freedBytes };
+}
+
+module.exports = {
+  IGDB_CACHE_DIR,
+  OFFLINE_ACCESS_TOKEN,
+  DEFAULT_TTL_HOURS,
+  setIgdbCacheMetadataPath,
+  validateIgdbCacheConfig,
+  loadIgdbCacheConfig,
+  saveIgdbCacheConfig,
+  isIgdbOfflineMode,
+  cachedIgdbQuery,
+  getIgdbCacheStats,
+  listIgdbCacheEntries,
+  purgeIgdbCache,
+};
@@ -0,0 +1,253 @@
+"use strict";
+
+const https = require("https");
+const { OFFLINE_ACCESS_TOKEN, cachedIgdbQuery } = require("./igdbCache");
+
+/**
+ * IGDB v4 queries: an endpoint ("games", "companies", ...) and an Apicalypse body in, the parsed
+ * rows out, answered through the on-disk cache (igdbCache.js). Requests that do reach IGDB share
+ * one queue: a token bucket (IGDB allows about 4 requests/second), a cap on open requests,
+ * retries with backoff on 429 and 5xx answers, and identical in-flight queries coalesced into
+ * one request. Errors carry err.status: the IGDB status code, 502 for an unreadable answer, 503
+ * when IGDB is offline and the query is not cached, 504 when a request stalls (retried like a
+ * 5xx answer); network errors have none.
+ */
+
+const DEFAULT_REQUESTS_PER_SECOND = 4;
+const DEFAULT_MAX_CONCURRENT = 8;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+const REQUEST_TIMEOUT_MS = 30000;
+
+function parsePositiveNumber(value, fallback) {
+  const n = Number(value);
+  return value != null && String(value).trim() !== "" && Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/**
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {{ requestsPerSecond: number, maxConcurrent: number }}
+ */
+function resolveIgdbClientLimits(env = process.env) {
+  return {
+    requestsPerSecond: parsePositiveNumber(env.IGDB_REQUESTS_PER_SECOND, DEFAULT_REQUESTS_PER_SECOND),
+    maxConcurrent: Math.floor(parsePositiveNumber(env.IGDB_MAX_CONCURRENT_REQUESTS, DEFAULT_MAX_CONCURRENT)) || 1,
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function isRetryableError(err) {
+  return err.status === 429 || err.status >= 500;
+}
+
+/**
+ * Rate-limited request queue. schedule(key, task) runs task() once a token and a slot are free,
+ * retries 429/5xx failures (err.retryAfterMs, else retryDelayMs doubled per attempt) and hands
+ * callers with the same key the request already in flight.
+ *
+ * @param {{ requestsPerSecond?: number, maxConcurrent?: number, maxRetries?: number, retryDelayMs?: number }} [options]
+ */
+function createIgdbRequestQueue(options = {}) {
+  const requestsPerSecond = options.requestsPerSecond ?? DEFAULT_REQUESTS_PER_SECOND;
+  const maxConcurrent = options.maxConcurrent ?? DEFAULT_MAX_CONCURRENT;
+  const maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+  const retryDelayMs = options.retryDelayMs ?? DEFAULT_RETRY_DELAY_MS;
+  const burst = Math.max(1, requestsPerSecond);
+
+  let tokens = burst;
+  let refilledAt = Date.now();
+  let inFlight = 0;
+  let backingOff = 0;
+  let wakeTimer = null;
+  const waiting = [];
+  const pendingByKey = new Map();
+  const metrics = { requests: 0, coalesced: 0, completed: 0, failures: 0, retries: 0, rateLimited: 0 };
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - refilledAt) * requestsPerSecond) / 1000);
+    refilledAt = now;
+  }
+
+  function pump() {
+    while (waiting.length > 0 && inFlight < maxConcurrent) {
+      refill();
+      if (tokens < 1) {
+        if (!wakeTimer) {
+          wakeTimer = setTimeout(() => {
+            wakeTimer = null;
+            pump();
+          }, Math.ceil(((1 - tokens) * 1000) / requestsPerSecond));
+        }
+        return;
+      }
+      tokens -= 1;
+      inFlight += 1;
+      const job = waiting.shift();
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          inFlight -= 1;
+          pump();
+        });
+    }
+  }
+
+  function runWhenAllowed(task) {
+    return new Promise((resolve, reject) => {
+      waiting.push({ task, resolve, reject });
+      pump();
+    });
+  }
+
+  async function runWithRetries(task) {
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        return await runWhenAllowed(task);
+      } catch (err) {
+        if (err.status === 429) metrics.rateLimited += 1;
+        if (!isRetryableError(err) || attempt >= maxRetries) throw err;
+        metrics.retries += 1;
+        backingOff += 1;
+        try {
+          await sleep(err.retryAfterMs ?? retryDelayMs * 2 ** attempt);
+        } finally {
+          backingOff -= 1;
+        }
+      }
+    }
+  }
+
+  function schedule(key, task) {
+    const pending = pendingByKey.get(key);
+    if (pending) {
+      metrics.coalesced += 1;
+      return pending;
+    }
+    metrics.requests += 1;
+    const next = runWithRetries(task)
+      .then(
+        (result) => {
+          metrics.completed += 1;
+          return result;
+        },
+        (err) => {
+          metrics.failures += 1;
+          throw err;
+        },
+      )
+      .finally(() => pendingByKey.delete(key));
+    pendingByKey.set(key, next);
+    return next;
+  }
+
+  /** Queue depth, open requests and counters since start. */
+  function stats() {
+    return {
+      queued: waiting.length,
+      inFlight,
+      backingOff,
+      ...metrics,
+      limits: { requestsPerSecond, maxConcurrent, maxRetries },
+    };
+  }
+
+  return { schedule, stats };
+}
+
+const requestQueue = createIgdbRequestQueue(resolveIgdbClientLimits());
+
+function requestIgdb(endpoint, postData, accessToken, clientId, timeoutMs = REQUEST_TIMEOUT_MS) {
+  const options = {
+    hostname: "api.igdb.com",
+    path: `/v4/${endpoint}`,
+    method: "POST",
+    headers: {
+      "Client-ID": clientId,
+      Authorization: `Bearer ${accessToken}`,
+      "Content-Type": "text/plain",
+      "Content-Length": Buffer.byteLength(postData),
+    },
+  };
+
+  return new Promise((resolve, reject) => {
+    const req = https.request(options, (res) => {
+      let data = "";
+      res.on("error", reject);
+      res.on("data", (chunk) => {
+        data += chunk;
+      });
+      res.on("end", () => {
+        if (res.statusCode !== 200) {
+          const err = new Error(`IGDB API error ${res.statusCode}: ${data}`);
+          err.status = res.statusCode;
+          err.detail = data;
+          const retryAfterSeconds = Number(res.headers["retry-after"]);
+          if (Number.isFinite(retryAfterSeconds) && retryAfterSeconds >= 0) {
+            err.retryAfterMs = retryAfterSeconds * 1000;
+          }
+          reject(err);
+          return;
+        }
+        try {
+          const parsed = JSON.parse(data);
+          resolve(Array.isArray(parsed) ? parsed : []);
+        } catch (e) {
+          const err = new Error(`Invalid IGDB response: ${e.message}`);
+          err.status = 502;
+          reject(err);
+        }
+      });
+    });
+    // A stalled socket would otherwise hold a queue slot forever
+    req.setTimeout(timeoutMs, () => {
+      const err = new Error(`IGDB request timed out after ${timeoutMs} ms`);
+      err.status = 504;
+      req.destroy(err);
+    });
+    req.on("error", reject);
+    req.write(postData);
+    req.end();
+  });
+}
+
+/**
+ * @param {string} endpoint IGDB endpoint without /v4/
+ * @param {string} postData Apicalypse query body
+ * @param {string} accessToken IGDB access token (OFFLINE_ACCESS_TOKEN answers from the cache only)
+ * @param {string} clientId Twitch Client ID
+ * @returns {Promise<Array>} rows
+ */
+function queryIgdb(endpoint, postData, accessToken, clientId) {
+  const key = `${clientId}\n${endpoint}\n${String(postData).trim()}`;
+  return cachedIgdbQuery(
+    endpoint,
+    postData,
+    () => requestQueue.schedule(key, () => requestIgdb(endpoint, postData, accessToken, clientId)),
+    { offline: accessToken === OFFLINE_ACCESS_TOKEN },
+  );
+}
+
+/** For lookups that treat an IGDB error answer as "nothing found": [] for API errors, rethrows network errors. */
+function emptyOnIgdbApiError(err) {
+  if (err.status) return [];
+  throw err;
+}
+
+/** Request queue metrics: queued, inFlight, backingOff, counters and the limits in use. */
+function getIgdbClientStats() {
+  return requestQueue.stats();
+}
+
+module.exports = {
+  resolveIgdbClientLimits,
+  createIgdbRequestQueue,
+  requestIgdb,
+  queryIgdb,
+  emptyOnIgdbApiError,
+  getIgdbClientStats,
+};
@@ -0,0 +1,52 @@
+"use strict";
+
+/**
+ * IGDB lookups for games created by importers (ROM scanner, Steam). Lookups run one at a time
+ * on a single background queue shared by every importer, and their results are classified as
+ *
+ *   { status: "matched" | "ambiguous" | "none", candidates: [{ id, name, year }] }
+ *
+ * where "matched" means exactly one candidate has the imported title (ignoring case and
+ * punctuation) and candidates is then just that one.
+ */
+
+const MAX_IGDB_CANDIDATES = 5;
+
+let igdbQueue = Promise.resolve();
+
+/** Title reduced to lowercase letters and digits, for matching titles across sources. */
+function comparableTitle(title) {
+  return String(title || "").toLowerCase().replace(/[^a-z0-9]+/g, "");
+}
+
+/**
+ * @param {string} title imported title
+ * @param {Array<{ id: number, name: string, first_release_date?: number }>} results IGDB search results
+ * @returns {{ status: string, candidates: Array<{ id: number, name: string, year: number|null }> }}
+ */
+function matchIgdbCandidates(title, results) {
+  const candidates = results.slice(0, MAX_IGDB_CANDIDATES).map((game) => ({
+    id: game.id,
+    name: game.name,
+    year: game.first_release_date ? new Date(game.first_release_date * 1000).getUTCFullYear() : null,
+  }));
+  const exact = candidates.filter((c) => comparableTitle(c.name) === comparableTitle(title));
+  const status = candidates.length === 0 ? "none" : exact.length === 1 ? "matched" : "ambiguous";
+  return { status, candidates: status === "matched" ? exact : candidates };
+}
+
+/**
+ * Run task after every lookup queued before it.
+ * @param {() => Promise<void>} task must not reject
+ * @returns {Promise<void>} settles once the queue up to this task has run
+ */
+function queueIgdbLookup(task) {
+  igdbQueue = igdbQueue.then(task);
+  return igdbQueue;
+}
+
+module.exports = {
+  comparableTitle,
+  matchIgdbCandidates,
+  queueIgdbLookup,
+};
@@ -0,0 +1,53 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { ensureDirectoryExists, writeJsonFile } = require("./fileUtils");
+
+/**
+ * Game folders created by importers (ROM scanner, Steam, gamelist.xml, Playnite / LaunchBox):
+ * metadata.json with the title and, when the importer knows how to launch the game, one launch
+ * profile as the first launch entry. Importers write to disk and let the
+ * caller reload the library afterwards.
+ */
+
+function gameDir(metadataPath, gameId) {
+  return path.join(metadataPath, "content", "games", String(gameId));
+}
+
+function gameExists(metadataPath, gameId) {
+  return fs.existsSync(path.join(gameDir(metadataPath, gameId), "metadata.json"));
+}
+
+/** A free game id (timestamp based like /games/create); taken collects the ids of one run. */
+function nextGameId(metadataPath, taken) {
+  let gameId = Date.now();
+  while (taken.has(gameId) || fs.existsSync(gameDir(metadataPath, gameId))) gameId += 1;
+  taken.add(gameId);
+  return gameId;
+}
+
+/**
+ * Create the game folder with its metadata and launch profile.
+ *
+ * @param {string} metadataPath
+ * @param {number} gameId
+ * @param {string} title
+ * @param {string|null} profileName scripts file name, "01-label[-platformId].json" like upload-executable names it
+ * @param {object|null} profile launch profile content (see launchProfiles.js); null creates a game without one
+ */
+function createImportedGame(metadataPath, gameId, title, profileName, profile) {
+  ensureDirectoryExists(gameDir(metadataPath, gameId));
+  writeJsonFile(path.join(gameDir(metadataPath, gameId), "metadata.json"), { title, summary: "", showTitle: true });
+  if (!profile) return;
+  const scriptsDir = path.join(gameDir(metadataPath, gameId), "scripts");
+  ensureDirectoryExists(scriptsDir);
+  writeJsonFile(path.join(scriptsDir, profileName), profile);
+}
+
+module.exports = {
+  gameDir,
+  gameExists,
+  nextGameId,
+  createImportedGame,
+};
@@ -0,0 +1,69 @@
+"use strict";
+
+const path = require("path");
+
+/**
+ * Fields shared by launch profiles and emulator definitions: a command spawned without a shell,
+ * its argument list, working directory and extra environment variables.
+ */
+
+const ROM_PLACEHOLDER = "{rom}";
+const CONFIG_PLACEHOLDER = "{config}";
+const ENV_NAME_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MAX_ARGS = 100;
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim() !== "" && !value.includes("\0");
+}
+
+/**
+ * @param {object} body
+ * @param {{ defaultArgs?: string[] }} [options]
+ * @returns {{ ok: true, value: { command: string, args: string[], cwd: string|null, env: object } } | { ok: false, error: string }}
+ */
+function validateLaunchCommand(body, { defaultArgs = [] } = {}) {
+  if (!isNonEmptyString(body.command)) {
+    return { ok: false, error: "command must be a non-empty string" };
+  }
+
+  const args = body.args == null ? defaultArgs : body.args;
+  if (!Array.isArray(args) || args.some((arg) => typeof arg !== "string" || arg.includes("\0"))) {
+    return { ok: false, error: "args must be an array of strings" };
+  }
+  if (args.length > MAX_ARGS) {
+    return { ok: false, error: `args cannot have more than ${MAX_ARGS} entries` };
+  }
+
+  const cwd = body.cwd == null || body.cwd === "" ? null : body.cwd;
+  if (cwd !== null && (!isNonEmptyString(cwd) || !path.isAbsolute(cwd))) {
+    return { ok: false, error: "cwd must be an absolute path" };
+  }
+
+  const env = body.env == null ? {} : body.env;
+  if (typeof env !== "object" || Array.isArray(env)) {
+    return { ok: false, error: "env must be an object of strings" };
+  }
+  for (const [name, value] of Object.entries(env)) {
+    if (!ENV_NAME_RE.test(name)) return { ok: false, error: `Invalid environment variable name: ${name}` };
+    if (typeof value !== "string" || value.includes("\0")) {
+      return { ok: false, error: `Environment variable ${name} must be a string` };
+    }
+  }
+
+  return { ok: true, value: { command: body.command.trim(), args: [...args], cwd, env: { ...env } } };
+}
+
+/** Optional path-like string field: null when empty, otherwise a non-empty string. */
+function validateOptionalString(value, name) {
+  if (value == null || value === "") return { ok: true, value: null };
+  if (!isNonEmptyString(value)) return { ok: false, error: `${name} must be a string` };
+  return { ok: true, value };
+}
+
+module.exports = {
+  ROM_PLACEHOLDER,
+  CONFIG_PLACEHOLDER,
+  isNonEmptyString,
+  validateLaunchCommand,
+  validateOptionalString,
+};
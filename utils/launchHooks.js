@@ -0,0 +1,253 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const { ensureDirectoryExists, readJsonFile, writeJsonFile } = require("./fileUtils");
+const { isNonEmptyString, validateLaunchCommand } = require("./launchCommand");
+const { registerBackupRoot } = require("./backupRoots");
+
+/**
+ * Commands run around a game launch (mount an image, switch resolution, start a controller
+ * mapper, sync saves, ...). Global hooks live in METADATA_PATH/hooks.json, per-game hooks in
+ * content/games/<id>/hooks.json, both as:
+ *
+ *   { "pre": [hook, ...], "post": [hook, ...] }
+ *   hook = { "name", "command", "args", "cwd", "env", "timeoutSeconds", "onFailure": "abort" | "continue" }
+ *
+ * Pre hooks run before the game is spawned (global first, then the game's); post hooks run once
+ * the launched process tree has exited (the game's first, then global). A failing pre hook
+ * (non-zero exit, timeout or spawn error) with onFailure "abort" cancels the launch; post hook
+ * failures are only recorded. Hooks are spawned without a shell and receive MHG_GAME_ID,
+ * MHG_LAUNCH_ID, MHG_EXECUTABLE, MHG_LAUNCH_SOURCE and MHG_HOOK_PHASE in their environment.
+ */
+
+const HOOKS_FILE = "hooks.json";
+const HOOK_PHASES = ["pre", "post"];
+const FAILURE_POLICIES = ["abort", "continue"];
+const DEFAULT_TIMEOUT_SECONDS = 30;
+const MAX_TIMEOUT_SECONDS = 600;
+const MAX_HOOKS_PER_PHASE = 20;
+const MAX_OUTPUT_BYTES = 8 * 1024;
+const OUTPUT_DRAIN_MS = 200;
+
+registerBackupRoot(HOOKS_FILE, { file: true });
+
+function globalHooksPath(metadataPath) {
+  return path.join(metadataPath, HOOKS_FILE);
+}
+
+function gameHooksPath(metadataPath, gameId) {
+  return path.join(metadataPath, "content", "games", String(gameId), HOOKS_FILE);
+}
+
+function validateHook(body, label) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { ok: false, error: `${label} must be an object` };
+  }
+  const command = validateLaunchCommand(body);
+  if (!command.ok) return { ok: false, error: `${label}: ${command.error}` };
+  if (body.name != null && !isNonEmptyString(body.name)) {
+    return { ok: false, error: `${label}: name must be a string` };
+  }
+  const timeoutSeconds = body.timeoutSeconds == null ? DEFAULT_TIMEOUT_SECONDS : Number(body.timeoutSeconds);
+  if (!Number.isInteger(timeoutSeconds) || timeoutSeconds < 1 || timeoutSeconds > MAX_TIMEOUT_SECONDS) {
+    return { ok: false, error: `${label}: timeoutSeconds must be between 1 and ${MAX_TIMEOUT_SECONDS}` };
+  }
+  const onFailure = body.onFailure == null ? "abort" : body.onFailure;
+  if (!FAILURE_POLICIES.includes(onFailure)) {
+    return { ok: false, error: `${label}: onFailure must be one of ${FAILURE_POLICIES.join(", ")}` };
+  }
+  return {
+    ok: true,
+    value: {
+      name: body.name != null ? body.name.trim() : path.basename(command.value.command),
+      ...command.value,
+      timeoutSeconds,
+      onFailure,
+    },
+  };
+}
+
+/**
+ * Validate a { pre, post } hooks document (PUT payload or file content).
+ *
+ * @returns {{ ok: true, value: { pre: object[], post: object[] } } | { ok: false, error: string }}
+ */
+function validateHooks(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { ok: false, error: "Hooks must be an object with pre and post lists" };
+  }
+  const value = {};
+  for (const phase of HOOK_PHASES) {
+    const list = body[phase] == null ? [] : body[phase];
+    if (!Array.isArray(list)) return { ok: false, error: `${phase} must be an array` };
+    if (list.length > MAX_HOOKS_PER_PHASE) {
+      return { ok: false, error: `${phase} cannot have more than ${MAX_HOOKS_PER_PHASE} hooks` };
+    }
+    value[phase] = [];
+    for (let i = 0; i < list.length; i++) {
+      const hook = validateHook(list[i], `${phase}[${i}]`);
+      if (!hook.ok) return hook;
+      value[phase].push(hook.value);
+    }
+  }
+  return { ok: true, value };
+}
+
+function loadHooksFile(filePath) {
+  const body = readJsonFile(filePath, null);
+  if (!body) return { pre: [], post: [] };
+  const validated = validateHooks(body);
+  if (!validated.ok) {
+    console.warn(`Ignoring invalid hooks in ${filePath}: ${validated.error}`);
+    return { pre: [], post: [] };
+  }
+  return validated.value;
+}
+
+function loadGlobalHooks(metadataPath) {
+  return loadHooksFile(globalHooksPath(metadataPath));
+}
+
+function loadGameHooks(metadataPath, gameId) {
+  return loadHooksFile(gameHooksPath(metadataPath, gameId));
+}
+
+/** Write a validated hooks document; an empty one removes the file. */
+function saveHooksFile(filePath, hooks) {
+  if (hooks.pre.length === 0 && hooks.post.length === 0) {
+    fs.rmSync(filePath, { force: true });
+    return hooks;
+  }
+  ensureDirectoryExists(path.dirname(filePath));
+  writeJsonFile(filePath, hooks);
+  return hooks;
+}
+
+function saveGlobalHooks(metadataPath, hooks) {
+  return saveHooksFile(globalHooksPath(metadataPath), hooks);
+}
+
+function saveGameHooks(metadataPath, gameId, hooks) {
+  return saveHooksFile(gameHooksPath(metadataPath, gameId), hooks);
+}
+
+/**
+ * Run one hook to completion (or until its timeout). The hook is done when its own process exits:
+ * helpers it starts in the background (a VPN, a controller mapper) keep running, and the output
+ * pipes they inherited are no longer read once the output written so far has been collected.
+ *
+ * @returns {Promise<{ name: string, ok: boolean, exitCode: number|null, signal: string|null, timedOut: boolean, durationMs: number, output: string, error?: string }>}
+ */
+function runHook(hook, env) {
+  return new Promise((resolve) => {
+    const started = Date.now();
+    let output = "";
+    let timedOut = false;
+    let settled = false;
+    let timer = null;
+    let child = null;
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (child) {
+        child.stdout.destroy();
+        child.stderr.destroy();
+      }
+      resolve({
+        name: hook.name,
+        ok: false,
+        exitCode: null,
+        signal: null,
+        timedOut,
+        durationMs: Date.now() - started,
+        output: output.length > MAX_OUTPUT_BYTES ? output.slice(-MAX_OUTPUT_BYTES) : output,
+        ...result,
+      });
+    };
+    const collect = (chunk) => {
+      output += chunk.toString("utf8");
+      if (output.length > MAX_OUTPUT_BYTES * 2) output = output.slice(-MAX_OUTPUT_BYTES);
+    };
+
+    try {
+      child = spawn(hook.command, hook.args, {
+        cwd: hook.cwd || undefined,
+        env: { ...process.env, ...hook.env, ...env },
+        stdio: ["ignore", "pipe", "pipe"],
+        // own process group, so a timeout also kills whatever the hook started
+        detached: process.platform !== "win32",
+      });
+    } catch (error) {
+      child = null;
+      finish({ error: error.message });
+      return;
+    }
+    timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        if (process.platform === "win32") child.kill("SIGKILL");
+        else process.kill(-child.pid, "SIGKILL");
+      } catch {
+        // already gone
+      }
+      finish({ signal: "SIGKILL", error: `Timed out after ${hook.timeoutSeconds}s` });
+    }, hook.timeoutSeconds * 1000);
+    child.stdout.on("data", collect);
+    child.stderr.on("data", collect);
+    child.on("error", (error) => finish({ error: error.message }));
+    child.on("exit", (exitCode, signal) => {
+      const result = { ok: exitCode === 0, exitCode, signal: signal || null };
+      // "close" follows once the pipes are drained, unless a background helper still holds them
+      child.once("close", () => finish(result));
+      clearTimeout(timer);
+      timer = setTimeout(() => finish(result), OUTPUT_DRAIN_MS);
+    });
+  });
+}
+
+/**
+ * Run the global and per-game hooks of a phase in order.
+ *
+ * @param {"pre"|"post"} phase
+ * @param {{ launchId: string, executableName?: string, source?: string }} context
+ * @returns {Promise<{ ok: boolean, abortedBy: string|null, results: object[] }>}
+ */
+async function runLaunchHooks(metadataPath, gameId, phase, context) {
+  const globalHooks = loadGlobalHooks(metadataPath)[phase];
+  const gameHooks = loadGameHooks(metadataPath, gameId)[phase];
+  const hooks = phase === "pre"
+    ? [...globalHooks.map((hook) => ({ hook, scope: "global" })), ...gameHooks.map((hook) => ({ hook, scope: "game" }))]
+    : [...gameHooks.map((hook) => ({ hook, scope: "game" })), ...globalHooks.map((hook) => ({ hook, scope: "global" }))];
+  const env = {
+    MHG_GAME_ID: String(gameId),
+    MHG_LAUNCH_ID: context.launchId || "",
+    MHG_EXECUTABLE: context.executableName || "",
+    MHG_LAUNCH_SOURCE: context.source || "",
+    MHG_HOOK_PHASE: phase,
+  };
+
+  const results = [];
+  for (const { hook, scope } of hooks) {
+    const result = { scope, ...(await runHook(hook, env)) };
+    results.push(result);
+    if (!result.ok && phase === "pre" && hook.onFailure === "abort") {
+      return { ok: false, abortedBy: hook.name, results };
+    }
+  }
+  return { ok: true, abortedBy: null, results };
+}
+
+module.exports = {
+  HOOK_PHASES,
+  FAILURE_POLICIES,
+  HOOKS_FILE,
+  validateHooks,
+  loadGlobalHooks,
+  loadGameHooks,
+  saveGlobalHooks,
+  saveGameHooks,
+  runLaunchHooks,
+};
@@ -0,0 +1,172 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { ensureDirectoryExists, readJsonFile, writeJsonFile } = require("./fileUtils");
+
+/**
+ * Output of launch scripts, stored per game in content/games/<id>/launch-logs/:
+ *   <launchId>.log   stdout + stderr of the spawned script
+ *   <launchId>.json  { launchId, gameId, executableName, source, startedAt, endedAt, exitCode, signal, durationMs, preHooks?, postHooks?, aborted? }
+ * Only the newest MAX_LAUNCH_LOGS launches of a game are kept, and each log is cut back to its
+ * newest output once it grows past MAX_LOG_BYTES (see capLaunchLogOutput).
+ */
+
+const LAUNCH_LOGS_DIR = "launch-logs";
+const MAX_LAUNCH_LOGS = 20;
+const MAX_LOG_BYTES = 4 * 1024 * 1024;
+const DEFAULT_MAX_OUTPUT_BYTES = 256 * 1024;
+const LAUNCH_ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function launchLogsDir(metadataPath, gameId) {
+  return path.join(metadataPath, "content", "games", String(gameId), LAUNCH_LOGS_DIR);
+}
+
+function isValidLaunchId(launchId) {
+  return typeof launchId === "string" && LAUNCH_ID_RE.test(launchId);
+}
+
+function launchLogPaths(metadataPath, gameId, launchId) {
+  const dir = launchLogsDir(metadataPath, gameId);
+  return { log: path.join(dir, `${launchId}.log`), meta: path.join(dir, `${launchId}.json`) };
+}
+
+/** Launch records of a game, newest first. */
+function listLaunchLogs(metadataPath, gameId) {
+  const dir = launchLogsDir(metadataPath, gameId);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((name) => name.endsWith(".json") && isValidLaunchId(path.basename(name, ".json")))
+    .map((name) => readJsonFile(path.join(dir, name), null))
+    .filter((meta) => meta && isValidLaunchId(meta.launchId) && meta.startedAt)
+    .sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+}
+
+function pruneLaunchLogs(metadataPath, gameId, keep = MAX_LAUNCH_LOGS) {
+  for (const meta of listLaunchLogs(metadataPath, gameId).slice(keep)) {
+    const paths = launchLogPaths(metadataPath, gameId, meta.launchId);
+    fs.rmSync(paths.log, { force: true });
+    fs.rmSync(paths.meta, { force: true });
+  }
+}
+
+/**
+ * Create the log files for a new launch and rotate old ones.
+ * @returns {number} file descriptor for the child's stdout/stderr (caller closes it after spawn)
+ */
+function openLaunchLog(metadataPath, gameId, { launchId, executableName = "", source = "launcher", startedAt }) {
+  const dir = launchLogsDir(metadataPath, gameId);
+  ensureDirectoryExists(dir);
+  const paths = launchLogPaths(metadataPath, gameId, launchId);
+  writeJsonFile(paths.meta, {
+    launchId,
+    gameId: Number(gameId),
+    executableName,
+    source,
+    startedAt: startedAt || new Date().toISOString(),
+    endedAt: null,
+    exitCode: null,
+    signal: null,
+    durationMs: null,
+  });
+  pruneLaunchLogs(metadataPath, gameId);
+  return fs.openSync(paths.log, "a");
+}
+
+/**
+ * Keep a launch's output under maxBytes by dropping its older half once it grows past the cap.
+ * The game writes straight to the file (opened for appending, so the output outlives a server
+ * restart), which is why the size is checked from outside: periodically while the launch runs
+ * and once more when it ends.
+ *
+ * @returns {boolean} whether output was dropped
+ */
+function capLaunchLogOutput(metadataPath, gameId, launchId, maxBytes = MAX_LOG_BYTES) {
+  const { log } = launchLogPaths(metadataPath, gameId, launchId);
+  let size;
+  try {
+    size = fs.statSync(log).size;
+  } catch {
+    return false;
+  }
+  if (size <= maxBytes) return false;
+  const keep = Math.floor(maxBytes / 2);
+  const tail = Buffer.alloc(keep);
+  const fd = fs.openSync(log, "r");
+  try {
+    fs.readSync(fd, tail, 0, keep, size - keep);
+  } finally {
+    fs.closeSync(fd);
+  }
+  // Output the game appends between the read and the truncate is lost; the log stays bounded
+  fs.truncateSync(log, 0);
+  fs.appendFileSync(log, Buffer.concat([Buffer.from(`[... ${size - keep} bytes of earlier output dropped ...]\n`), tail]));
+  return true;
+}
+
+/** Record how the launch script ended (exit code or signal). */
+function finishLaunchLog(metadataPath, gameId, launchId, { exitCode = null, signal = null } = {}) {
+  const paths = launchLogPaths(metadataPath, gameId, launchId);
+  capLaunchLogOutput(metadataPath, gameId, launchId);
+  const meta = readJsonFile(paths.meta, null);
+  if (!meta) return null;
+  const endedAt = new Date().toISOString();
+  const start = Date.parse(meta.startedAt);
+  const next = {
+    ...meta,
+    endedAt,
+    exitCode: Number.isInteger(exitCode) ? exitCode : null,
+    signal: signal || null,
+    durationMs: Number.isFinite(start) ? Math.max(0, Date.parse(endedAt) - start) : null,
+  };
+  writeJsonFile(paths.meta, next);
+  return next;
+}
+
+/** Merge fields into a launch record (e.g. hook results); returns the updated record or null. */
+function updateLaunchLog(metadataPath, gameId, launchId, patch) {
+  const paths = launchLogPaths(metadataPath, gameId, launchId);
+  const meta = readJsonFile(paths.meta, null);
+  if (!meta) return null;
+  const next = { ...meta, ...patch };
+  writeJsonFile(paths.meta, next);
+  return next;
+}
+
+/**
+ * A launch record with its output; only the last maxBytes of the output are returned.
+ * @returns {object|null}
+ */
+function readLaunchLog(metadataPath, gameId, launchId, { maxBytes = DEFAULT_MAX_OUTPUT_BYTES } = {}) {
+  if (!isValidLaunchId(launchId)) return null;
+  const paths = launchLogPaths(metadataPath, gameId, launchId);
+  const meta = readJsonFile(paths.meta, null);
+  if (!meta) return null;
+  let output = "";
+  let size = 0;
+  if (fs.existsSync(paths.log)) {
+    size = fs.statSync(paths.log).size;
+    const length = Math.min(size, maxBytes);
+    const buffer = Buffer.alloc(length);
+    const fd = fs.openSync(paths.log, "r");
+    try {
+      fs.readSync(fd, buffer, 0, length, size - length);
+    } finally {
+      fs.closeSync(fd);
+    }
+    output = buffer.toString("utf8");
+  }
+  return { ...meta, size, truncated: size > maxBytes, output };
+}
+
+module.exports = {
+  MAX_LAUNCH_LOGS,
+  MAX_LOG_BYTES,
+  isValidLaunchId,
+  listLaunchLogs,
+  openLaunchLog,
+  finishLaunchLog,
+  updateLaunchLog,
+  capLaunchLogOutput,
+  readLaunchLog,
+};
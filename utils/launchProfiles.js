@@ -0,0 +1,180 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { readJsonFile } = require("./fileUtils");
+const { ROM_PLACEHOLDER, isNonEmptyString, validateLaunchCommand, validateOptionalString } = require("./launchCommand");
+const {
+  isValidEmulatorId,
+  getEmulator,
+  findEmulatorForPlatform,
+  findEmulatorForGame,
+  renderEmulatorCommand,
+} = require("./emulators");
+
+/**
+ * Launch profiles: declarative alternatives to launch scripts, stored next to them in
+ * content/games/<id>/scripts/ under the same "NN-label[-platformId]" naming (extension .json).
+ *
+ *   { "type": "command", "command": "/usr/bin/retroarch", "args": ["-L", "/cores/snes.so", "{rom}"],
+ *     "cwd": null, "env": { "SDL_VIDEODRIVER": "x11" }, "rom": "/roms/game.sfc" }
+ *
+ *   { "type": "emulator", "emulator": null, "platformId": 19, "rom": "/roms/game.sfc", "config": null }
+ *
+ *   { "type": "url", "url": "steam://rungameid/440" }
+ *
+ * The launcher spawns command + args directly (no shell), so paths and arguments never need
+ * quoting. "{rom}" in an argument is replaced by rom; when no argument references it, rom is
+ * passed as the last argument. An "emulator" profile takes its command line from the emulator
+ * registry (emulators.js) at launch time: the named emulator, the first one handling platformId
+ * or, with neither set, the first one handling one of the game's platforms. A "url" profile hands a launcher URL (steam://, com.epicgames.launcher://, ...) to
+ * the desktop's URL opener. .sh/.bat files keep working as "script" profiles.
+ */
+
+const PROFILE_EXTENSION = ".json";
+const SCRIPT_EXTENSIONS = [".sh", ".bat"];
+const LAUNCHER_EXTENSIONS = [...SCRIPT_EXTENSIONS, PROFILE_EXTENSION];
+const PROFILE_TYPES = ["command", "emulator", "url"];
+const URL_RE = /^[a-z][a-z0-9+.-]*:\S+$/i;
+
+/** Whether a scripts-dir file name is something the launcher can run (.sh, .bat or a .json profile). */
+function isLauncherFileName(fileName) {
+  return LAUNCHER_EXTENSIONS.includes(path.extname(String(fileName)).toLowerCase());
+}
+
+function isLaunchProfilePath(filePath) {
+  return path.extname(String(filePath || "")).toLowerCase() === PROFILE_EXTENSION;
+}
+
+function validateEmulatorProfile(body) {
+  if (!isNonEmptyString(body.rom)) {
+    return { ok: false, error: "rom must be a non-empty string" };
+  }
+  const emulator = body.emulator == null || body.emulator === "" ? null : body.emulator;
+  if (emulator !== null && !isValidEmulatorId(emulator)) {
+    return { ok: false, error: "emulator must be an emulator id" };
+  }
+  const platformId = body.platformId == null || body.platformId === "" ? null : Number(body.platformId);
+  if (platformId !== null && (!Number.isInteger(platformId) || platformId <= 0)) {
+    return { ok: false, error: "platformId must be a platform id" };
+  }
+  const config = validateOptionalString(body.config, "config");
+  if (!config.ok) return config;
+  return { ok: true, value: { type: "emulator", emulator, platformId, rom: body.rom, config: config.value } };
+}
+
+function validateUrlProfile(body) {
+  if (!isNonEmptyString(body.url) || !URL_RE.test(body.url.trim())) {
+    return { ok: false, error: "url must be an absolute URL such as steam://rungameid/440" };
+  }
+  return { ok: true, value: { type: "url", url: body.url.trim() } };
+}
+
+/**
+ * Validate a profile body (PUT/POST payload or file content).
+ *
+ * @returns {{ ok: true, value: object } | { ok: false, error: string }}
+ */
+function validateLaunchProfile(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { ok: false, error: "Launch profile must be an object" };
+  }
+  const type = body.type == null ? "command" : body.type;
+  if (!PROFILE_TYPES.includes(type)) {
+    return { ok: false, error: `type must be one of ${PROFILE_TYPES.join(", ")}` };
+  }
+  if (type === "emulator") return validateEmulatorProfile(body);
+  if (type === "url") return validateUrlProfile(body);
+
+  const command = validateLaunchCommand(body);
+  if (!command.ok) return command;
+  const rom = validateOptionalString(body.rom, "rom");
+  if (!rom.ok) return rom;
+  if (rom.value === null && command.value.args.some((arg) => arg.includes(ROM_PLACEHOLDER))) {
+    return { ok: false, error: `args use ${ROM_PLACEHOLDER} but no rom is set` };
+  }
+  return { ok: true, value: { type: "command", ...command.value, rom: rom.value } };
+}
+
+/**
+ * Argv and spawn options for a validated "command" profile.
+ * @returns {{ command: string, args: string[], cwd: string|null, env: object }}
+ */
+function renderLaunchProfile(profile) {
+  const { rom } = profile;
+  let args = profile.args;
+  if (rom !== null) {
+    const referenced = args.some((arg) => arg.includes(ROM_PLACEHOLDER));
+    args = referenced ? args.map((arg) => arg.split(ROM_PLACEHOLDER).join(rom)) : [...args, rom];
+  }
+  return { command: profile.command, args, cwd: profile.cwd, env: { ...profile.env } };
+}
+
+/** Argv opening a "url" profile with the platform's default URL handler. */
+function renderUrlProfile(profile, platform = process.platform) {
+  const command = platform === "win32" ? "explorer.exe" : platform === "darwin" ? "open" : "xdg-open";
+  return { command, args: [profile.url], cwd: null, env: {} };
+}
+
+/** @returns {{ ok: true, value: object } | { ok: false, error: string }} */
+function readLaunchProfile(filePath) {
+  if (!fs.existsSync(filePath)) return { ok: false, error: "Launch profile not found" };
+  const body = readJsonFile(filePath, null);
+  if (!body) return { ok: false, error: "Launch profile is not valid JSON" };
+  return validateLaunchProfile(body);
+}
+
+/** METADATA_PATH of a file in content/games/<id>/scripts/. */
+function metadataPathOfLaunchFile(filePath) {
+  return path.resolve(path.dirname(filePath), "..", "..", "..", "..");
+}
+
+/** Game id of a file in content/games/<id>/scripts/. */
+function gameIdOfLaunchFile(filePath) {
+  return Number(path.basename(path.resolve(path.dirname(filePath), "..")));
+}
+
+/**
+ * Argv for a profile file, resolving emulator profiles against the current emulator registry.
+ *
+ * @param {string} filePath
+ * @param {string} [metadataPath] defaults to the METADATA_PATH the file lives in
+ * @returns {{ ok: true, value: { command: string, args: string[], cwd: string|null, env: object, handoff?: boolean } } | { ok: false, error: string }}
+ */
+function resolveLaunchProfileCommand(filePath, metadataPath = metadataPathOfLaunchFile(filePath)) {
+  const profile = readLaunchProfile(filePath);
+  if (!profile.ok) return profile;
+  if (profile.value.type === "command") return { ok: true, value: renderLaunchProfile(profile.value) };
+  // handoff: the URL handler passes the launch on to another application (e.g. Steam) and exits
+  if (profile.value.type === "url") return { ok: true, value: { ...renderUrlProfile(profile.value), handoff: true } };
+
+  const { emulator: emulatorId, platformId, rom, config } = profile.value;
+  let emulator;
+  let missing;
+  if (emulatorId) {
+    emulator = getEmulator(metadataPath, emulatorId);
+    missing = `Emulator not found: ${emulatorId}`;
+  } else if (platformId !== null) {
+    emulator = findEmulatorForPlatform(metadataPath, platformId);
+    missing = `No emulator configured for platform ${platformId}`;
+  } else {
+    emulator = findEmulatorForGame(metadataPath, gameIdOfLaunchFile(filePath));
+    missing = "No emulator configured for the game's platforms";
+  }
+  if (!emulator) return { ok: false, error: missing };
+  return renderEmulatorCommand(emulator, { rom, config });
+}
+
+module.exports = {
+  PROFILE_EXTENSION,
+  SCRIPT_EXTENSIONS,
+  LAUNCHER_EXTENSIONS,
+  PROFILE_TYPES,
+  isLauncherFileName,
+  isLaunchProfilePath,
+  validateLaunchProfile,
+  renderLaunchProfile,
+  renderUrlProfile,
+  readLaunchProfile,
+  resolveLaunchProfileCommand,
+};
@@ -0,0 +1,287 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { ensureDirectoryExists, readJsonFile, writeJsonFile } = require("./fileUtils");
+const { safeZipEntryName, resolveZipEntryPath } = require("./zipPaths");
+const { createZipWriter } = require("./zipWriter");
+const { listZipEntries, extractZipEntry, readZipEntry } = require("./zipReader");
+
+/**
+ * Portable library archive: a zip of METADATA_PATH/content plus manifest.json.
+ *
+ *   manifest.json
+ *   content/<section>/<itemId>[/...]   (games, collections, categories, developers, ...)
+ *
+ * An item (content/<section>/<itemId>) is the unit of conflict detection on import: in merge
+ * mode existing items are kept (onConflict "skip") or replaced whole ("overwrite"), except that
+ * the member lists of shared blocks (a collection's games, a genre's gameIds, ...) are joined so
+ * neither side's games lose them; in replace mode the current content tree is swapped for the
+ * archive's.
+ */
+
+const ARCHIVE_FORMAT = "myhomegames-library";
+const ARCHIVE_VERSION = 1;
+const MANIFEST_NAME = "manifest.json";
+const MAX_MANIFEST_BYTES = 1024 * 1024;
+const CONTENT_PREFIX = "content/";
+const IMPORT_MODES = ["merge", "replace"];
+const CONFLICT_POLICIES = ["skip", "overwrite"];
+// metadata.json fields listing the games of a collection, company or tag block
+const MEMBERSHIP_FIELDS = ["games", "gameIds"];
+
+function contentRoot(metadataPath) {
+  return path.join(metadataPath, "content");
+}
+
+function listEntryNames(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter((ent) => !ent.name.startsWith("."))
+    .map((ent) => ent.name)
+    .sort();
+}
+
+/** section -> item ids currently in METADATA_PATH/content */
+function listContentItems(metadataPath) {
+  const root = contentRoot(metadataPath);
+  const items = {};
+  for (const section of listEntryNames(root)) {
+    if (!fs.statSync(path.join(root, section)).isDirectory()) continue;
+    items[section] = listEntryNames(path.join(root, section));
+  }
+  return items;
+}
+
+function collectFiles(dir, base, out) {
+  for (const ent of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (ent.name.startsWith(".")) continue;
+    const abs = path.join(dir, ent.name);
+    const rel = `${base}/${ent.name}`;
+    if (ent.isDirectory()) collectFiles(abs, rel, out);
+    else if (ent.isFile()) out.push({ abs, rel });
+  }
+  return out;
+}
+
+/**
+ * Stream a zip of the content tree with a manifest into output (a file or an HTTP response),
+ * one file at a time; output is ended once the archive is complete.
+ * @param {import('stream').Writable} output
+ * @returns {Promise<object>} manifest
+ */
+async function writeLibraryArchive(metadataPath, output, { serverVersion = null } = {}) {
+  const root = contentRoot(metadataPath);
+  const items = listContentItems(metadataPath);
+  const files = fs.existsSync(root) ? collectFiles(root, "content", []) : [];
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    serverVersion,
+    sections: Object.fromEntries(Object.entries(items).map(([section, ids]) => [section, ids.length])),
+    files: files.length,
+  };
+  const writer = createZipWriter(output);
+  await writer.addBuffer(MANIFEST_NAME, Buffer.from(JSON.stringify(manifest, null, 2), "utf8"));
+  for (const file of files) {
+    await writer.addFile(file.rel, file.abs);
+  }
+  await writer.finalize();
+  return manifest;
+}
+
+/**
+ * Open an uploaded archive and check its manifest and entry paths. Only the zip's central
+ * directory and manifest are read; file data is streamed from disk on import.
+ *
+ * @param {string} archivePath path of the uploaded file
+ * @returns {Promise<{ ok: true, value: { manifest: object, archivePath: string, entries: object[], items: object } } | { ok: false, error: string }>}
+ */
+async function readLibraryArchive(archivePath) {
+  let entries;
+  try {
+    entries = await listZipEntries(archivePath);
+  } catch (_) {
+    return { ok: false, error: "Archive is not a valid zip file" };
+  }
+  let manifest = null;
+  const items = {};
+  for (const entry of entries) {
+    const rel = safeZipEntryName(entry.name);
+    if (!rel) return { ok: false, error: `Invalid path in archive: ${entry.name}` };
+    if (rel === MANIFEST_NAME) {
+      if (entry.size > MAX_MANIFEST_BYTES) return { ok: false, error: "manifest.json is too large" };
+      try {
+        manifest = JSON.parse((await readZipEntry(archivePath, entry)).toString("utf8"));
+      } catch (_) {
+        return { ok: false, error: "manifest.json is not valid JSON" };
+      }
+      continue;
+    }
+    const segments = rel.split("/");
+    if (!rel.startsWith(CONTENT_PREFIX) || segments.length < 3 || segments[1].startsWith(".")) {
+      return { ok: false, error: `Unexpected file in archive: ${rel}` };
+    }
+    const [, section, itemId] = segments;
+    if (!items[section]) items[section] = new Set();
+    items[section].add(itemId);
+  }
+  if (!manifest || typeof manifest !== "object") return { ok: false, error: "Missing manifest.json" };
+  if (manifest.format !== ARCHIVE_FORMAT) return { ok: false, error: "Not a MyHomeGames library archive" };
+  if (!Number.isInteger(manifest.version) || manifest.version < 1 || manifest.version > ARCHIVE_VERSION) {
+    return { ok: false, error: `Unsupported archive version: ${manifest.version}` };
+  }
+  const sortedItems = Object.fromEntries(
+    Object.keys(items).sort().map((section) => [section, [...items[section]].sort()]),
+  );
+  return { ok: true, value: { manifest, archivePath, entries, items: sortedItems } };
+}
+
+/**
+ * What an import would do, without touching disk.
+ *
+ * @returns {{ sections: object, conflicts: Array<{ section: string, id: string, resolution: string }> }}
+ */
+function planLibraryImport(metadataPath, archiveItems, { mode = "merge", onConflict = "skip" } = {}) {
+  const existing = listContentItems(metadataPath);
+  const sectionNames = [...new Set([...Object.keys(existing), ...Object.keys(archiveItems)])].sort();
+  const sections = {};
+  const conflicts = [];
+  const writes = [];
+  for (const section of sectionNames) {
+    const current = new Set(existing[section] || []);
+    const incoming = archiveItems[section] || [];
+    const stats = { added: 0, overwritten: 0, skipped: 0, removed: 0 };
+    for (const id of incoming) {
+      if (!current.has(id)) {
+        stats.added++;
+        writes.push({ section, id });
+        continue;
+      }
+      const resolution = mode === "replace" ? "replaced" : onConflict === "overwrite" ? "overwritten" : "skipped";
+      conflicts.push({ section, id, resolution });
+      if (resolution === "skipped") {
+        stats.skipped++;
+      } else {
+        stats.overwritten++;
+        writes.push({ section, id });
+      }
+    }
+    if (mode === "replace") {
+      const incomingSet = new Set(incoming);
+      stats.removed = [...current].filter((id) => !incomingSet.has(id)).length;
+    }
+    sections[section] = stats;
+  }
+  return { sections, conflicts, writes };
+}
+
+async function extractContent(archive, stagingDir) {
+  for (const entry of archive.entries) {
+    const rel = safeZipEntryName(entry.name);
+    if (!rel || !rel.startsWith(CONTENT_PREFIX)) continue;
+    const outPath = resolveZipEntryPath(stagingDir, rel);
+    if (!outPath) throw new Error("invalid_zip_path");
+    ensureDirectoryExists(path.dirname(outPath));
+    await extractZipEntry(archive.archivePath, entry, outPath);
+  }
+}
+
+/**
+ * The kept side of a conflicting block with the other side's members appended, or null when
+ * nothing needs to change.
+ */
+function mergeMembership(kept, other) {
+  if (!kept || !other) return null;
+  let changed = false;
+  const merged = { ...kept };
+  for (const field of MEMBERSHIP_FIELDS) {
+    if (!Array.isArray(other[field])) continue;
+    const members = Array.isArray(kept[field]) ? [...kept[field]] : [];
+    const seen = new Set(members.map(String));
+    for (const id of other[field]) {
+      if (seen.has(String(id))) continue;
+      seen.add(String(id));
+      members.push(id);
+      changed = true;
+    }
+    merged[field] = members;
+  }
+  return changed ? merged : null;
+}
+
+/**
+ * Import a validated archive (see readLibraryArchive). Files are streamed to a staging folder
+ * next to content/ first, so a failed extraction leaves the library untouched.
+ *
+ * @returns {Promise<{ mode: string, dryRun: boolean, manifest: object, sections: object, conflicts: object[] }>}
+ */
+async function importLibraryArchive(metadataPath, archive, { mode = "merge", onConflict = "skip", dryRun = false } = {}) {
+  const plan = planLibraryImport(metadataPath, archive.items, { mode, onConflict });
+  const report = {
+    mode,
+    dryRun,
+    manifest: archive.manifest,
+    sections: plan.sections,
+    conflicts: plan.conflicts,
+  };
+  if (dryRun) return report;
+
+  const root = contentRoot(metadataPath);
+  const stagingDir = path.join(metadataPath, `.library-import-${crypto.randomUUID()}`);
+  ensureDirectoryExists(stagingDir);
+  try {
+    await extractContent(archive, stagingDir);
+    const stagedContent = path.join(stagingDir, "content");
+    ensureDirectoryExists(stagedContent);
+
+    if (mode === "replace") {
+      // Keep every section folder the server expects, even when the archive has none of its items
+      for (const section of Object.keys(listContentItems(metadataPath))) {
+        ensureDirectoryExists(path.join(stagedContent, section));
+      }
+      const previous = path.join(stagingDir, "previous-content");
+      if (fs.existsSync(root)) fs.renameSync(root, previous);
+      try {
+        fs.renameSync(stagedContent, root);
+      } catch (error) {
+        if (fs.existsSync(previous)) fs.renameSync(previous, root);
+        throw error;
+      }
+    } else {
+      // Both sides of every conflict, read before the writes replace either
+      const shared = plan.conflicts.map(({ section, id }) => ({
+        section,
+        id,
+        local: readJsonFile(path.join(root, section, id, "metadata.json"), null),
+        incoming: readJsonFile(path.join(stagedContent, section, id, "metadata.json"), null),
+      }));
+      for (const { section, id } of plan.writes) {
+        const target = path.join(root, section, id);
+        ensureDirectoryExists(path.dirname(target));
+        fs.rmSync(target, { recursive: true, force: true });
+        fs.renameSync(path.join(stagedContent, section, id), target);
+      }
+      for (const { section, id, local, incoming } of shared) {
+        const merged = onConflict === "overwrite" ? mergeMembership(incoming, local) : mergeMembership(local, incoming);
+        if (merged) writeJsonFile(path.join(root, section, id, "metadata.json"), merged);
+      }
+    }
+  } finally {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+  }
+  return report;
+}
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  IMPORT_MODES,
+  CONFLICT_POLICIES,
+  writeLibraryArchive,
+  readLibraryArchive,
+  planLibraryImport,
+  importLibraryArchive,
+};
@@ -0,0 +1,320 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { readJsonFile, writeJsonFile } = require("./fileUtils");
+const { isLauncherFileName } = require("./launchProfiles");
+const { readLaunchCommand } = require("./gameLauncher");
+
+/**
+ * Library health check: scans METADATA_PATH/content for drift between the files the server
+ * keeps in sync at runtime. Each finding is
+ *
+ *   { code, category, severity: "error" | "warning", path, message, fixable, ...details }
+ *
+ * with path relative to METADATA_PATH. fixLibraryIssues only applies repairs that cannot lose
+ * data: dropping ids of deleted games or collections from reference arrays, removing empty
+ * game folders and zero-byte images. Everything else is reported for a human to look at.
+ */
+
+const SEVERITIES = ["error", "warning"];
+const CATEGORIES = ["games", "references", "hierarchy", "scripts", "media"];
+const MEDIA_FILES = ["cover.webp", "background.webp"];
+
+/** Block folders and the metadata field listing their game ids. */
+const GAME_REFERENCE_FOLDERS = [
+  { folder: "collections", field: "games" },
+  { folder: "developers", field: "games" },
+  { folder: "publishers", field: "games" },
+  { folder: "recommended", field: "games" },
+  { folder: "categories", field: "gameIds" },
+  { folder: "themes", field: "gameIds" },
+  { folder: "platforms", field: "gameIds" },
+  { folder: "game-modes", field: "gameIds" },
+  { folder: "player-perspectives", field: "gameIds" },
+  { folder: "game-engines", field: "gameIds" },
+  { folder: "series", field: "gameIds" },
+  { folder: "franchises", field: "gameIds" },
+];
+
+/** Folders whose items link to other items of the same folder through childs. */
+const CHILD_LINK_FOLDERS = ["collections", "companies"];
+
+function contentDir(metadataPath, ...parts) {
+  return path.join(metadataPath, "content", ...parts);
+}
+
+function relative(metadataPath, filePath) {
+  return path.relative(metadataPath, filePath).split(path.sep).join("/");
+}
+
+function listItemFolders(metadataPath, folder) {
+  const dir = contentDir(metadataPath, folder);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter((dirent) => dirent.isDirectory())
+    .map((dirent) => dirent.name)
+    .sort();
+}
+
+/** { readable, meta } for content/<folder>/<id>/metadata.json. */
+function readItemMetadata(metadataPath, folder, id) {
+  const metaPath = contentDir(metadataPath, folder, id, "metadata.json");
+  if (!fs.existsSync(metaPath)) return { exists: false, meta: null, metaPath };
+  const meta = readJsonFile(metaPath, null);
+  return { exists: true, meta: meta && typeof meta === "object" && !Array.isArray(meta) ? meta : null, metaPath };
+}
+
+/** A real WebP starts with "RIFF" <size> "WEBP". */
+function isWebpFile(filePath) {
+  let fd;
+  try {
+    fd = fs.openSync(filePath, "r");
+    const header = Buffer.alloc(12);
+    const read = fs.readSync(fd, header, 0, 12, 0);
+    return read === 12 && header.toString("ascii", 0, 4) === "RIFF" && header.toString("ascii", 8, 12) === "WEBP";
+  } catch {
+    return false;
+  } finally {
+    if (fd != null) fs.closeSync(fd);
+  }
+}
+
+/** Absolute paths of another OS (C:\ on unix) cannot be checked here. */
+function isCheckablePath(p) {
+  const windowsPath = /^[A-Za-z]:[\\/]/.test(p);
+  return process.platform === "win32" ? windowsPath || p.startsWith("/") : !windowsPath;
+}
+
+function scanGames(metadataPath, findings) {
+  const gameIds = new Set();
+  for (const id of listItemFolders(metadataPath, "games")) {
+    const gameDir = contentDir(metadataPath, "games", id);
+    const { exists, meta, metaPath } = readItemMetadata(metadataPath, "games", id);
+    if (meta) {
+      if (/^\d+$/.test(id)) gameIds.add(Number(id));
+      continue;
+    }
+    if (exists) {
+      findings.push({
+        code: "game-invalid-metadata",
+        category: "games",
+        severity: "error",
+        path: relative(metadataPath, metaPath),
+        message: `Game ${id} has a metadata.json that is not a valid JSON object`,
+        fixable: false,
+        gameId: id,
+      });
+      continue;
+    }
+    const empty = fs.readdirSync(gameDir).length === 0;
+    findings.push({
+      code: "game-missing-metadata",
+      category: "games",
+      severity: empty ? "warning" : "error",
+      path: relative(metadataPath, gameDir),
+      message: empty
+        ? `Game folder ${id} is empty`
+        : `Game folder ${id} has no metadata.json; the game is not loaded`,
+      fixable: empty,
+      gameId: id,
+    });
+  }
+  return gameIds;
+}
+
+function scanGameReferences(metadataPath, gameIds, findings) {
+  for (const { folder, field } of GAME_REFERENCE_FOLDERS) {
+    for (const id of listItemFolders(metadataPath, folder)) {
+      const { meta, metaPath } = readItemMetadata(metadataPath, folder, id);
+      if (!meta || !Array.isArray(meta[field])) continue;
+      const missing = meta[field].filter((gameId) => !gameIds.has(Number(gameId)));
+      if (missing.length === 0) continue;
+      findings.push({
+        code: "dangling-game-reference",
+        category: "references",
+        severity: "warning",
+        path: relative(metadataPath, metaPath),
+        message: `${folder}/${id} references ${missing.length} deleted game(s)`,
+        fixable: true,
+        folder,
+        field,
+        itemId: id,
+        missingGameIds: missing,
+      });
+    }
+  }
+}
+
+function scanChildLinks(metadataPath, findings) {
+  for (const folder of CHILD_LINK_FOLDERS) {
+    const ids = listItemFolders(metadataPath, folder);
+    const known = new Set(ids.filter((id) => readItemMetadata(metadataPath, folder, id).meta));
+    for (const id of ids) {
+      const { meta, metaPath } = readItemMetadata(metadataPath, folder, id);
+      if (!meta || !Array.isArray(meta.childs)) continue;
+      const missing = meta.childs.filter((childId) => !known.has(String(childId)) || String(childId) === id);
+      if (missing.length === 0) continue;
+      findings.push({
+        code: "dangling-child-link",
+        category: "hierarchy",
+        severity: "warning",
+        path: relative(metadataPath, metaPath),
+        message: `${folder}/${id} links to ${missing.length} missing child item(s)`,
+        fixable: true,
+        folder,
+        itemId: id,
+        missingChildIds: missing,
+      });
+    }
+  }
+}
+
+function scanScripts(metadataPath, findings) {
+  for (const id of listItemFolders(metadataPath, "games")) {
+    const scriptsDir = contentDir(metadataPath, "games", id, "scripts");
+    if (!fs.existsSync(scriptsDir)) continue;
+    for (const fileName of fs.readdirSync(scriptsDir).filter(isLauncherFileName).sort()) {
+      const scriptPath = path.join(scriptsDir, fileName);
+      let command;
+      try {
+        command = readLaunchCommand(scriptPath);
+      } catch (error) {
+        command = null;
+      }
+      if (!command) {
+        findings.push({
+          code: "invalid-launch-file",
+          category: "scripts",
+          severity: "error",
+          path: relative(metadataPath, scriptPath),
+          message: `Launch file ${fileName} of game ${id} cannot be resolved`,
+          fixable: false,
+          gameId: id,
+        });
+        continue;
+      }
+      const missing = command.paths.filter((p) => isCheckablePath(p) && !fs.existsSync(p));
+      if (missing.length === 0) continue;
+      findings.push({
+        code: "missing-launch-path",
+        category: "scripts",
+        severity: "warning",
+        path: relative(metadataPath, scriptPath),
+        message: `Launch file ${fileName} of game ${id} references ${missing.length} missing path(s)`,
+        fixable: false,
+        gameId: id,
+        missingPaths: missing,
+      });
+    }
+  }
+}
+
+function scanMedia(metadataPath, findings) {
+  const contentRoot = contentDir(metadataPath);
+  if (!fs.existsSync(contentRoot)) return;
+  const folders = fs.readdirSync(contentRoot, { withFileTypes: true }).filter((d) => d.isDirectory()).map((d) => d.name).sort();
+  for (const folder of folders) {
+    for (const id of listItemFolders(metadataPath, folder)) {
+      for (const fileName of MEDIA_FILES) {
+        const filePath = contentDir(metadataPath, folder, id, fileName);
+        if (!fs.existsSync(filePath) || isWebpFile(filePath)) continue;
+        const empty = fs.statSync(filePath).size === 0;
+        findings.push({
+          code: "invalid-image",
+          category: "media",
+          severity: "warning",
+          path: relative(metadataPath, filePath),
+          message: empty ? `${fileName} of ${folder}/${id} is empty` : `${fileName} of ${folder}/${id} is not a WebP image`,
+          fixable: empty,
+          folder,
+          itemId: id,
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Scan the library and return every finding with per-severity and per-category counts.
+ *
+ * @param {string} metadataPath
+ * @returns {{ scannedAt: string, summary: object, findings: object[] }}
+ */
+function diagnoseLibrary(metadataPath) {
+  const findings = [];
+  const gameIds = scanGames(metadataPath, findings);
+  scanGameReferences(metadataPath, gameIds, findings);
+  scanChildLinks(metadataPath, findings);
+  scanScripts(metadataPath, findings);
+  scanMedia(metadataPath, findings);
+
+  const summary = { total: findings.length, fixable: 0, bySeverity: {}, byCategory: {} };
+  for (const severity of SEVERITIES) summary.bySeverity[severity] = 0;
+  for (const category of CATEGORIES) summary.byCategory[category] = 0;
+  for (const finding of findings) {
+    summary.bySeverity[finding.severity] += 1;
+    summary.byCategory[finding.category] += 1;
+    if (finding.fixable) summary.fixable += 1;
+  }
+  return { scannedAt: new Date().toISOString(), summary, findings };
+}
+
+function applyFix(metadataPath, finding) {
+  const absolute = path.join(metadataPath, finding.path);
+  switch (finding.code) {
+    case "game-missing-metadata":
+      fs.rmdirSync(absolute);
+      return;
+    case "dangling-game-reference": {
+      const meta = readJsonFile(absolute, null);
+      const missing = new Set(finding.missingGameIds.map(String));
+      meta[finding.field] = meta[finding.field].filter((gameId) => !missing.has(String(gameId)));
+      writeJsonFile(absolute, meta);
+      return;
+    }
+    case "dangling-child-link": {
+      const meta = readJsonFile(absolute, null);
+      const missing = new Set(finding.missingChildIds.map(String));
+      meta.childs = meta.childs.filter((childId) => !missing.has(String(childId)));
+      writeJsonFile(absolute, meta);
+      return;
+    }
+    case "invalid-image":
+      fs.unlinkSync(absolute);
+      return;
+    default:
+      throw new Error(`No automatic fix for ${finding.code}`);
+  }
+}
+
+/**
+ * Apply the safe repairs for the current fixable findings, optionally limited to some codes.
+ *
+ * @param {string} metadataPath
+ * @param {{ codes?: string[] }} [options]
+ * @returns {{ fixed: object[], failed: object[], remaining: object }} remaining is a fresh diagnoseLibrary report
+ */
+function fixLibraryIssues(metadataPath, { codes = null } = {}) {
+  const fixed = [];
+  const failed = [];
+  for (const finding of diagnoseLibrary(metadataPath).findings) {
+    if (!finding.fixable) continue;
+    if (codes && !codes.includes(finding.code)) continue;
+    try {
+      applyFix(metadataPath, finding);
+      fixed.push(finding);
+    } catch (error) {
+      failed.push({ ...finding, error: error.message });
+    }
+  }
+  return { fixed, failed, remaining: diagnoseLibrary(metadataPath) };
+}
+
+module.exports = {
+  SEVERITIES,
+  CATEGORIES,
+  isWebpFile,
+  diagnoseLibrary,
+  fixLibraryIssues,
+};
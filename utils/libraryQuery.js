@@ -0,0 +1,311 @@
+"use strict";
+
+const { getTitleForSort } = require("./sortUtils");
+const { BACKLOG_STATUSES } = require("./personalGameState");
+
+/**
+ * Query options for GET /libraries/library/games: combinable filters, facet counts,
+ * sort direction and keyset (cursor) pagination.
+ *
+ * Tag filters accept comma-separated ids (or repeated params); a game matches a tag filter
+ * when it has any of the ids, and must match every filter given. Personal filters (favorite,
+ * status, personalRatingMin/Max) read the caller's state through context.getPersonalState.
+ */
+
+const SORT_FIELDS = ["title", "year", "releaseDate", "stars", "criticRating", "userRating"];
+const DEFAULT_SORT = "title";
+const MAX_PAGE_LIMIT = 500;
+
+// Query parameter -> game field holding ids
+const FACET_FIELDS = {
+  genre: "genre",
+  themes: "themes",
+  platforms: "platforms",
+  gameModes: "gameModes",
+  playerPerspectives: "playerPerspectives",
+  gameEngines: "gameEngines",
+  developers: "developers",
+  publishers: "publishers",
+  franchise: "franchise",
+  series: "collection",
+};
+
+const RANGE_FILTERS = {
+  yearMin: "year",
+  yearMax: "year",
+  ratingMin: "stars",
+  ratingMax: "stars",
+};
+
+const PERSONAL_RANGE_FILTERS = ["personalRatingMin", "personalRatingMax"];
+
+function parseBooleanParam(query, param) {
+  if (query[param] == null || query[param] === "") return { ok: true, value: null };
+  const flag = String(query[param]).toLowerCase();
+  if (flag !== "true" && flag !== "false") {
+    return { ok: false, error: `${param} must be true or false` };
+  }
+  return { ok: true, value: flag === "true" };
+}
+
+function toList(value) {
+  const raw = Array.isArray(value) ? value : value == null ? [] : [value];
+  return raw
+    .flatMap((v) => String(v).split(","))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+function normalizeSort(value) {
+  const requested = String(value || "").trim().toLowerCase();
+  return SORT_FIELDS.find((field) => field.toLowerCase() === requested) || DEFAULT_SORT;
+}
+
+/**
+ * Parse and validate request query parameters.
+ *
+ * @returns {{ ok: true, value: object } | { ok: false, error: string }}
+ */
+function parseLibraryQuery(query = {}) {
+  const value = {
+    sort: normalizeSort(query.sort),
+    direction: "asc",
+    limit: null,
+    cursor: null,
+    filters: {},
+    ranges: {},
+    hasExecutables: null,
+    favorite: null,
+    statuses: [],
+    personalRanges: {},
+  };
+
+  if (query.direction != null && query.direction !== "") {
+    const direction = String(query.direction).toLowerCase();
+    if (direction !== "asc" && direction !== "desc") {
+      return { ok: false, error: "direction must be asc or desc" };
+    }
+    value.direction = direction;
+  }
+
+  if (query.limit != null && query.limit !== "") {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_LIMIT) {
+      return { ok: false, error: `limit must be an integer between 1 and ${MAX_PAGE_LIMIT}` };
+    }
+    value.limit = limit;
+  }
+
+  if (query.cursor != null && query.cursor !== "") {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) return { ok: false, error: "Invalid cursor" };
+    value.cursor = cursor;
+  }
+
+  for (const param of Object.keys(FACET_FIELDS)) {
+    const ids = toList(query[param]);
+    if (ids.length > 0) value.filters[param] = [...new Set(ids)].sort();
+  }
+
+  for (const param of Object.keys(RANGE_FILTERS)) {
+    if (query[param] == null || query[param] === "") continue;
+    const n = Number(query[param]);
+    if (!Number.isFinite(n)) return { ok: false, error: `${param} must be a number` };
+    value.ranges[param] = n;
+  }
+
+  for (const param of ["hasExecutables", "favorite"]) {
+    const flag = parseBooleanParam(query, param);
+    if (!flag.ok) return flag;
+    value[param] = flag.value;
+  }
+
+  const statuses = toList(query.status);
+  const unknownStatus = statuses.find((s) => !BACKLOG_STATUSES.includes(s));
+  if (unknownStatus) {
+    return { ok: false, error: `status must be one of ${BACKLOG_STATUSES.join(", ")}` };
+  }
+  value.statuses = [...new Set(statuses)].sort();
+
+  for (const param of PERSONAL_RANGE_FILTERS) {
+    if (query[param] == null || query[param] === "") continue;
+    const n = Number(query[param]);
+    if (!Number.isFinite(n)) return { ok: false, error: `${param} must be a number` };
+    value.personalRanges[param] = n;
+  }
+
+  return { ok: true, value };
+}
+
+/** Stable string for response caching (same query, same key regardless of param order). */
+function libraryQueryCacheKey(parsed) {
+  return JSON.stringify([
+    parsed.sort,
+    parsed.direction,
+    parsed.limit,
+    parsed.cursor,
+    Object.keys(parsed.filters).sort().map((k) => [k, parsed.filters[k]]),
+    Object.keys(parsed.ranges).sort().map((k) => [k, parsed.ranges[k]]),
+    parsed.hasExecutables,
+    parsed.favorite,
+    parsed.statuses,
+    Object.keys(parsed.personalRanges).sort().map((k) => [k, parsed.personalRanges[k]]),
+  ]);
+}
+
+function gameIdsFor(game, field) {
+  const raw = game[field];
+  const list = Array.isArray(raw) ? raw : raw == null ? [] : [raw];
+  return list.map((v) => String(v && typeof v === "object" ? v.id : v));
+}
+
+function matchesFacet(game, param, ids) {
+  const gameIds = gameIdsFor(game, FACET_FIELDS[param]);
+  return ids.some((id) => gameIds.includes(id));
+}
+
+function usesPersonalFilters(parsed) {
+  return parsed.favorite !== null || parsed.statuses.length > 0 || Object.keys(parsed.personalRanges).length > 0;
+}
+
+function matchesPersonalFilters(game, parsed, context) {
+  if (!usesPersonalFilters(parsed)) return true;
+  const state = context.getPersonalState ? context.getPersonalState(game.id) : null;
+  if (!state) return false;
+  if (parsed.favorite !== null && state.favorite !== parsed.favorite) return false;
+  if (parsed.statuses.length > 0 && !parsed.statuses.includes(state.status)) return false;
+  for (const [param, bound] of Object.entries(parsed.personalRanges)) {
+    if (typeof state.rating !== "number") return false;
+    if (param.endsWith("Min") ? state.rating < bound : state.rating > bound) return false;
+  }
+  return true;
+}
+
+function matchesNonFacetFilters(game, parsed, context) {
+  for (const [param, bound] of Object.entries(parsed.ranges)) {
+    const n = game[RANGE_FILTERS[param]];
+    if (typeof n !== "number") return false;
+    if (param.endsWith("Min") ? n < bound : n > bound) return false;
+  }
+  if (parsed.hasExecutables !== null) {
+    const has = Array.isArray(game.executables) && game.executables.length > 0;
+    if (has !== parsed.hasExecutables) return false;
+  }
+  return matchesPersonalFilters(game, parsed, context);
+}
+
+function matchesFacets(game, parsed, skipParam = null) {
+  for (const [param, ids] of Object.entries(parsed.filters)) {
+    if (param !== skipParam && !matchesFacet(game, param, ids)) return false;
+  }
+  return true;
+}
+
+/**
+ * Facet counts per tag: for each facet, games matching every other filter, counted per id
+ * (so the count is what selecting that id would leave).
+ */
+function computeFacets(games, parsed, context) {
+  const base = games.filter((g) => matchesNonFacetFilters(g, parsed, context));
+  const facets = {};
+  for (const [param, field] of Object.entries(FACET_FIELDS)) {
+    const counts = new Map();
+    for (const game of base) {
+      if (!matchesFacets(game, parsed, param)) continue;
+      for (const id of new Set(gameIdsFor(game, field))) {
+        counts.set(id, (counts.get(id) || 0) + 1);
+      }
+    }
+    facets[param] = [...counts.entries()]
+      .map(([id, count]) => ({ id: /^\d+$/.test(id) ? Number(id) : id, count }))
+      .sort((a, b) => b.count - a.count || String(a.id).localeCompare(String(b.id)));
+  }
+  return facets;
+}
+
+function sortKeyFor(game, sort) {
+  switch (sort) {
+    case "year":
+      return [game.year ?? 0];
+    case "releaseDate":
+      return [game.year ?? 0, game.month ?? 0, game.day ?? 0];
+    case "stars":
+      return [game.stars ?? 0];
+    case "criticRating":
+      return [game.criticratings ?? 0];
+    case "userRating":
+      return [game.userratings ?? 0];
+    case "title":
+    default:
+      return [getTitleForSort(game.title)];
+  }
+}
+
+function compareKeys(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const x = a[i];
+    const y = b[i];
+    const diff = typeof x === "string" || typeof y === "string"
+      ? String(x ?? "").localeCompare(String(y ?? ""), undefined, { sensitivity: "base" })
+      : (x ?? 0) - (y ?? 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/** Compare two { key, id } positions; the id keeps ties in a stable order across pages. */
+function comparePositions(a, b, direction) {
+  const diff = compareKeys(a.key, b.key) || String(a.id).localeCompare(String(b.id), undefined, { numeric: true });
+  return direction === "desc" ? -diff : diff;
+}
+
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify({ k: position.key, id: position.id })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!data || !Array.isArray(data.k) || data.id == null) return null;
+    return { key: data.k, id: data.id };
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Filter, facet, sort and paginate games.
+ *
+ * @param {{ getPersonalState?: (gameId) => object }} [context]
+ * @returns {{ games: object[], total: number, nextCursor: string|null, facets: object }}
+ */
+function applyLibraryQuery(games, parsed, context = {}) {
+  const facets = computeFacets(games, parsed, context);
+  const positioned = games
+    .filter((g) => matchesNonFacetFilters(g, parsed, context) && matchesFacets(g, parsed))
+    .map((game) => ({ game, key: sortKeyFor(game, parsed.sort), id: game.id }))
+    .sort((a, b) => comparePositions(a, b, parsed.direction));
+
+  const start = parsed.cursor
+    ? positioned.findIndex((p) => comparePositions(p, parsed.cursor, parsed.direction) > 0)
+    : 0;
+  const remaining = start < 0 ? [] : positioned.slice(start);
+  const page = parsed.limit ? remaining.slice(0, parsed.limit) : remaining;
+  const hasMore = page.length < remaining.length;
+
+  return {
+    games: page.map((p) => p.game),
+    total: positioned.length,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+    facets,
+  };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  FACET_FIELDS,
+  MAX_PAGE_LIMIT,
+  parseLibraryQuery,
+  libraryQueryCacheKey,
+  applyLibraryQuery,
+};
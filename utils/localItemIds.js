@@ -0,0 +1,95 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { readJsonFile } = require("./fileUtils");
+const { getCompanyDir, loadRoleItems } = require("./companyStorage");
+
+/**
+ * Library ids for companies, franchises and series known only by name (frontend imports, catalogs
+ * other than IGDB). Item folders are keyed by IGDB id, so an outside id must never be used as
+ * is: a name the library already has maps to that item, a new one gets a timestamp id like games
+ * created from scratch.
+ */
+
+/** Map(lowercased title -> id) of the items in content/<folder>/. */
+function loadTitleIds(metadataPath, folder) {
+  const dir = path.join(metadataPath, "content", folder);
+  const ids = new Map();
+  if (!fs.existsSync(dir)) return ids;
+  for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (!dirent.isDirectory() || !/^\d+$/.test(dirent.name)) continue;
+    const meta = readJsonFile(path.join(dir, dirent.name, "metadata.json"), null);
+    if (meta && typeof meta.title === "string" && meta.title.trim()) ids.set(meta.title.trim().toLowerCase(), Number(dirent.name));
+  }
+  return ids;
+}
+
+/**
+ * Name -> id resolvers sharing one set of fresh ids; the library is read once, so create one per
+ * import or fetch.
+ *
+ * @returns {{ company: (name: string) => number, franchise: (name: string) => number, series: (name: string) => number }}
+ */
+function createLocalItemIds(metadataPath) {
+  const companyIds = new Map();
+  for (const roleFolder of ["developers", "publishers"]) {
+    for (const item of loadRoleItems(metadataPath, roleFolder)) {
+      const key = String(item.title || "").trim().toLowerCase();
+      if (key && !companyIds.has(key)) companyIds.set(key, Number(item.id));
+    }
+  }
+  const folderIds = { franchises: loadTitleIds(metadataPath, "franchises"), series: loadTitleIds(metadataPath, "series") };
+  const taken = new Set();
+  const freshId = (exists) => {
+    let id = Date.now();
+    while (taken.has(id) || exists(id)) id += 1;
+    taken.add(id);
+    return id;
+  };
+  const resolver = (ids, exists) => (name) => {
+    const key = String(name).trim().toLowerCase();
+    if (!ids.has(key)) ids.set(key, freshId(exists));
+    return ids.get(key);
+  };
+  const folderResolver = (folder) =>
+    resolver(folderIds[folder], (id) => fs.existsSync(path.join(metadataPath, "content", folder, String(id))));
+
+  return {
+    company: resolver(companyIds, (id) => fs.existsSync(getCompanyDir(metadataPath, id))),
+    franchise: folderResolver("franchises"),
+    series: folderResolver("series"),
+  };
+}
+
+function hasName(item) {
+  return item && typeof item === "object" && typeof item.name === "string" && item.name.trim() !== "";
+}
+
+/** { id, name } items (one or an array) with their ids resolved by name; nameless items are dropped. */
+function localizeNamedItems(value, resolve) {
+  if (value == null) return value;
+  if (!Array.isArray(value)) return hasName(value) ? { ...value, id: resolve(value.name) } : null;
+  return value.filter(hasName).map((item) => ({ ...item, id: resolve(item.name) }));
+}
+
+/**
+ * A catalog game payload from a provider other than IGDB with its company, franchise and series
+ * ids replaced by library ids. similarGames is dropped: its ids are games of that catalog.
+ */
+function localizeCatalogGameIds(localIds, game) {
+  return {
+    ...game,
+    developers: localizeNamedItems(game.developers, localIds.company),
+    publishers: localizeNamedItems(game.publishers, localIds.company),
+    franchise: localizeNamedItems(game.franchise, localIds.franchise),
+    collection: localizeNamedItems(game.collection, localIds.series),
+    series: localizeNamedItems(game.series, localIds.series),
+    similarGames: undefined,
+  };
+}
+
+module.exports = {
+  createLocalItemIds,
+  localizeCatalogGameIds,
+};
@@ -0,0 +1,360 @@
+"use strict";
+
+const path = require("path");
+const { readJsonFile, writeJsonFile } = require("./fileUtils");
+const { comparableTitle } = require("./igdbMatching");
+const { registerBackupRoot } = require("./backupRoots");
+const { createLocalItemIds, localizeCatalogGameIds } = require("./localItemIds");
+
+/**
+ * Catalog metadata sources behind one interface. A provider is
+ *
+ *   { id, label, search(query, ctx), getGame(gameId, ctx), getCompany?(companyId, ctx), getRelatedGames?(gameId, ctx) }
+ *
+ * where ctx is { req, metadataPath } and every method resolves to plain data: search to
+ * [{ id, name, summary, cover, releaseDate, genres }], getGame to the catalog game payload that
+ * /catalog/import-game and merge-catalog-metadata accept (the /igdb/game/:igdbId shape) or null,
+ * getCompany to a company profile or null, getRelatedGames to search-shaped games.
+ *
+ * Code providers (IGDB, registered by routes/igdb.js) go through registerMetadataProvider; JSON
+ * catalogs are configured in METADATA_PATH/metadata-providers.json:
+ *
+ *   {
+ *     "catalogs": [{ "id": "my-catalog", "label": "My catalog", "path": "catalogs/games.json" }],
+ *     "fieldPriority": { "default": ["igdb"], "summary": ["my-catalog", "igdb"] }
+ *   }
+ *
+ * A catalog file is { "games": [payload, ...], "companies": [profile, ...] }; a relative path is
+ * resolved against METADATA_PATH. fieldPriority lists provider ids per payload field (default for
+ * fields without a list); when a game is fetched from several providers each field comes from the
+ * first listed provider that has a value, then from the remaining ones in request order.
+ */
+
+const METADATA_PROVIDERS_FILE = "metadata-providers.json";
+const DEFAULT_PROVIDER = "igdb";
+const PROVIDER_ID_RE = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const PROVIDER_FIELDS = [
+  "name",
+  "summary",
+  "cover",
+  "background",
+  "releaseDate",
+  "genres",
+  "themes",
+  "platforms",
+  "gameModes",
+  "playerPerspectives",
+  "websites",
+  "ageRatings",
+  "developers",
+  "publishers",
+  "franchise",
+  "collection",
+  "screenshots",
+  "videos",
+  "gameEngines",
+  "keywords",
+  "alternativeNames",
+  "similarGames",
+  "criticRating",
+  "userRating",
+  "type",
+];
+const MAX_SEARCH_RESULTS = 20;
+
+registerBackupRoot(METADATA_PROVIDERS_FILE, { file: true });
+
+const registeredProviders = new Map();
+
+function providerError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** Register (or replace) a code provider; see the interface above. */
+function registerMetadataProvider(provider) {
+  if (!provider || !PROVIDER_ID_RE.test(String(provider.id || ""))) {
+    throw new Error("Metadata provider id must be lowercase letters, digits and dashes");
+  }
+  if (typeof provider.search !== "function" || typeof provider.getGame !== "function") {
+    throw new Error(`Metadata provider ${provider.id} must implement search and getGame`);
+  }
+  registeredProviders.set(provider.id, provider);
+}
+
+function unregisterMetadataProvider(id) {
+  registeredProviders.delete(id);
+}
+
+function configPath(metadataPath) {
+  return path.join(metadataPath, METADATA_PROVIDERS_FILE);
+}
+
+function validateProviderIdList(value, label) {
+  if (!Array.isArray(value) || !value.every((id) => typeof id === "string" && PROVIDER_ID_RE.test(id))) {
+    return { ok: false, error: `${label} must be an array of provider ids` };
+  }
+  return { ok: true, value: [...new Set(value)] };
+}
+
+/** @returns {{ ok: true, value: { catalogs: object[], fieldPriority: Record<string, string[]> } } | { ok: false, error: string }} */
+function validateProviderConfig(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { ok: false, error: "Provider config must be an object" };
+  }
+  const catalogs = [];
+  const rawCatalogs = body.catalogs == null ? [] : body.catalogs;
+  if (!Array.isArray(rawCatalogs)) return { ok: false, error: "catalogs must be an array" };
+  for (const [index, entry] of rawCatalogs.entries()) {
+    const label = `catalogs[${index}]`;
+    if (!entry || typeof entry !== "object") return { ok: false, error: `${label} must be an object` };
+    if (typeof entry.id !== "string" || !PROVIDER_ID_RE.test(entry.id)) {
+      return { ok: false, error: `${label}: id must be lowercase letters, digits and dashes` };
+    }
+    if (registeredProviders.has(entry.id) || catalogs.some((c) => c.id === entry.id)) {
+      return { ok: false, error: `${label}: provider id ${entry.id} is already in use` };
+    }
+    if (typeof entry.path !== "string" || !entry.path.trim()) {
+      return { ok: false, error: `${label}: path is required` };
+    }
+    catalogs.push({
+      id: entry.id,
+      label: typeof entry.label === "string" && entry.label.trim() ? entry.label.trim() : entry.id,
+      path: entry.path.trim(),
+    });
+  }
+  const fieldPriority = {};
+  const rawPriority = body.fieldPriority == null ? {} : body.fieldPriority;
+  if (typeof rawPriority !== "object" || Array.isArray(rawPriority)) {
+    return { ok: false, error: "fieldPriority must be an object" };
+  }
+  for (const [field, ids] of Object.entries(rawPriority)) {
+    if (field !== "default" && !PROVIDER_FIELDS.includes(field)) {
+      return { ok: false, error: `fieldPriority: unknown field ${field}` };
+    }
+    const list = validateProviderIdList(ids, `fieldPriority.${field}`);
+    if (!list.ok) return list;
+    fieldPriority[field] = list.value;
+  }
+  return { ok: true, value: { catalogs, fieldPriority } };
+}
+
+function loadProviderConfig(metadataPath) {
+  const stored = readJsonFile(configPath(metadataPath), null);
+  const validated = validateProviderConfig(stored || {});
+  return validated.ok ? validated.value : { catalogs: [], fieldPriority: {} };
+}
+
+function saveProviderConfig(metadataPath, config) {
+  writeJsonFile(configPath(metadataPath), config);
+  return config;
+}
+
+function toSearchResult(game) {
+  return {
+    id: game.id,
+    name: game.name,
+    summary: game.summary || "",
+    cover: game.cover || null,
+    releaseDate: game.releaseDate ?? null,
+    genres: Array.isArray(game.genres) ? game.genres : [],
+  };
+}
+
+/**
+ * Provider over a JSON catalog file (see the module comment). The file is read on every call so
+ * edits apply without a restart.
+ */
+function createJsonCatalogProvider(metadataPath, { id, label, path: catalogPath }) {
+  const filePath = path.resolve(metadataPath, catalogPath);
+  const readCatalog = () => {
+    const catalog = readJsonFile(filePath, null);
+    if (!catalog || typeof catalog !== "object") {
+      throw providerError(`Catalog ${id} could not be read from ${filePath}`, 502);
+    }
+    return {
+      games: Array.isArray(catalog.games) ? catalog.games.filter((g) => g && g.id != null && g.name) : [],
+      companies: Array.isArray(catalog.companies) ? catalog.companies.filter((c) => c && c.id != null) : [],
+    };
+  };
+  const findGame = (games, gameId) => games.find((g) => String(g.id) === String(gameId)) || null;
+
+  return {
+    id,
+    label,
+    async search(query) {
+      const wanted = comparableTitle(query);
+      if (!wanted) return [];
+      return readCatalog()
+        .games.filter((g) => [g.name, ...(g.alternativeNames || [])].some((name) => comparableTitle(name).includes(wanted)))
+        .slice(0, MAX_SEARCH_RESULTS)
+        .map(toSearchResult);
+    },
+    async getGame(gameId) {
+      return findGame(readCatalog().games, gameId);
+    },
+    async getCompany(companyId) {
+      return readCatalog().companies.find((c) => String(c.id) === String(companyId)) || null;
+    },
+    async getRelatedGames(gameId) {
+      const { games } = readCatalog();
+      const game = findGame(games, gameId);
+      if (!game) return [];
+      const ids = (game.similarGames || []).map((g) => String(g && typeof g === "object" ? g.id : g));
+      return games.filter((g) => ids.includes(String(g.id))).map(toSearchResult);
+    },
+  };
+}
+
+function capabilitiesOf(provider) {
+  return ["search", "getGame", "getCompany", "getRelatedGames"].filter((name) => typeof provider[name] === "function");
+}
+
+/** Registered providers plus the configured JSON catalogs. */
+function listMetadataProviders(metadataPath) {
+  const catalogs = loadProviderConfig(metadataPath).catalogs.filter((c) => !registeredProviders.has(c.id));
+  return [
+    ...registeredProviders.values(),
+    ...catalogs.map((catalog) => createJsonCatalogProvider(metadataPath, catalog)),
+  ];
+}
+
+/** @returns {object|null} */
+function getMetadataProvider(metadataPath, id) {
+  return listMetadataProviders(metadataPath).find((provider) => provider.id === id) || null;
+}
+
+function describeMetadataProvider(provider) {
+  return { id: provider.id, label: provider.label || provider.id, capabilities: capabilitiesOf(provider) };
+}
+
+/**
+ * Call one provider method; unknown providers and unsupported methods throw with status 400/404
+ * like gameLauncher errors so routes can pass err.status through.
+ */
+async function callMetadataProvider(metadataPath, providerId, method, arg, ctx) {
+  const provider = getMetadataProvider(metadataPath, providerId);
+  if (!provider) throw providerError(`Unknown metadata provider: ${providerId}`, 404);
+  if (typeof provider[method] !== "function") {
+    throw providerError(`Metadata provider ${providerId} does not support ${method}`, 400);
+  }
+  return provider[method](arg, { metadataPath, ...ctx });
+}
+
+function hasValue(value) {
+  if (value == null) return false;
+  if (typeof value === "string") return value.trim() !== "";
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
+
+/** Provider ids to try for one field: its fieldPriority list (or default), then the rest in order. */
+function fieldSourceOrder(fieldPriority, field, providerIds) {
+  const preferred = fieldPriority[field] || fieldPriority.default || [];
+  return [...preferred.filter((id) => providerIds.includes(id)), ...providerIds.filter((id) => !preferred.includes(id))];
+}
+
+/**
+ * Combine one game as returned by several providers.
+ *
+ * @param {Record<string, string[]>} fieldPriority
+ * @param {Array<{ provider: string, game: object }>} results in request order (primary first)
+ * @returns {{ game: object, fieldSources: Record<string, string> }}
+ */
+function mergeProviderGames(fieldPriority, results) {
+  const providerIds = results.map((r) => r.provider);
+  const byProvider = new Map(results.map((r) => [r.provider, r.game]));
+  const game = { ...results[0].game };
+  const fieldSources = {};
+  for (const field of PROVIDER_FIELDS) {
+    const source = fieldSourceOrder(fieldPriority, field, providerIds).find((id) => hasValue(byProvider.get(id)[field]));
+    if (!source) continue;
+    game[field] = byProvider.get(source)[field];
+    fieldSources[field] = source;
+  }
+  if (fieldSources.summary) {
+    const summarySource = byProvider.get(fieldSources.summary);
+    game.summaryEn = hasValue(summarySource.summaryEn) ? summarySource.summaryEn : game.summary;
+  }
+  if (fieldSources.collection && !hasValue(byProvider.get(fieldSources.collection).series)) game.series = game.collection;
+  return { game, fieldSources };
+}
+
+/**
+ * Fetch one game from the primary provider and any extra sources and merge it by field priority.
+ * Payloads of providers other than IGDB get library ids for their companies, franchises and series
+ * (see localItemIds.js).
+ *
+ * @param {string} metadataPath
+ * @param {{ provider: string, gameId: string|number, sources?: Record<string, string|number> }} request
+ * @param {{ req?: import('express').Request }} ctx
+ * @returns {Promise<{ game: object, fieldSources: Record<string, string> } | null>} null when the primary provider has no such game
+ */
+async function fetchProviderGame(metadataPath, { provider, gameId, sources = {} }, ctx) {
+  const primary = await callMetadataProvider(metadataPath, provider, "getGame", gameId, ctx);
+  if (!primary) return null;
+  const results = [{ provider, game: primary }];
+  for (const [sourceId, sourceGameId] of Object.entries(sources)) {
+    if (sourceId === provider) continue;
+    const game = await callMetadataProvider(metadataPath, sourceId, "getGame", sourceGameId, ctx);
+    if (game) results.push({ provider: sourceId, game });
+  }
+  // Library folders are keyed by IGDB ids: other catalogs' companies and series are mapped by name
+  let localIds = null;
+  for (const result of results) {
+    if (result.provider === DEFAULT_PROVIDER) continue;
+    localIds = localIds || createLocalItemIds(metadataPath);
+    result.game = localizeCatalogGameIds(localIds, result.game);
+  }
+  return mergeProviderGames(loadProviderConfig(metadataPath).fieldPriority, results);
+}
+
+/**
+ * Validate the { provider, providerGameId, sources } part of an import or merge body.
+ * @returns {{ ok: true, value: { provider: string, gameId: string, sources: Record<string, string> } } | { ok: false, error: string }}
+ */
+function validateProviderGameRequest(body) {
+  const { provider, providerGameId, sources = {} } = body || {};
+  if (typeof provider !== "string" || !PROVIDER_ID_RE.test(provider)) {
+    return { ok: false, error: "provider must be a metadata provider id" };
+  }
+  if ((typeof providerGameId !== "string" && typeof providerGameId !== "number") || String(providerGameId).trim() === "") {
+    return { ok: false, error: "providerGameId is required with provider" };
+  }
+  if (!sources || typeof sources !== "object" || Array.isArray(sources)) {
+    return { ok: false, error: "sources must map provider ids to game ids" };
+  }
+  for (const [id, sourceGameId] of Object.entries(sources)) {
+    if (!PROVIDER_ID_RE.test(id) || (typeof sourceGameId !== "string" && typeof sourceGameId !== "number")) {
+      return { ok: false, error: "sources must map provider ids to game ids" };
+    }
+  }
+  return {
+    ok: true,
+    value: {
+      provider,
+      gameId: String(providerGameId).trim(),
+      sources: Object.fromEntries(Object.entries(sources).map(([id, sourceGameId]) => [id, String(sourceGameId)])),
+    },
+  };
+}
+
+module.exports = {
+  METADATA_PROVIDERS_FILE,
+  DEFAULT_PROVIDER,
+  PROVIDER_FIELDS,
+  registerMetadataProvider,
+  unregisterMetadataProvider,
+  validateProviderConfig,
+  loadProviderConfig,
+  saveProviderConfig,
+  createJsonCatalogProvider,
+  listMetadataProviders,
+  getMetadataProvider,
+  describeMetadataProvider,
+  callMetadataProvider,
+  mergeProviderGames,
+  fetchProviderGame,
+  validateProviderGameRequest,
+};
@@ -0,0 +1,343 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { ensureDirectoryExists, readJsonFile, writeJsonFile } = require("./fileUtils");
+const { loadItemById } = require("./collectionsShared");
+const { evaluateSmartCollection } = require("./smartCollections");
+const { getPlaySessionSummary } = require("./playSessions");
+const { DEFAULT_PROVIDER, fetchProviderGame } = require("./metadataProviders");
+
+/**
+ * Server-side bulk metadata refresh. A job merges catalog metadata into every game of its scope,
+ * one game at a time, the way POST /games/:gameId/merge-catalog-metadata does. Jobs are stored in
+ * METADATA_PATH/jobs/<id>.json:
+ *
+ *   { id, type: "metadata-refresh", scope, locale, credentials, status, createdAt, startedAt,
+ *     finishedAt, total, processed, counts: { merged, unchanged, skipped, failed }, gameIds,
+ *     results: { <gameId>: { status, provider?, error? } } }
+ *
+ * status is queued, running, completed, cancelled or failed; jobs run one after the other and
+ * queued or running jobs are picked up again after a restart, skipping the games they already
+ * have results for. credentials is "request" when the job runs with provider credentials sent
+ * with the request that started it (kept in memory only, so such a job fails when resumed) or
+ * "stored" when it uses the server's own. A game's catalog source is its metadataSource ({ provider, id }, set when
+ * it was imported from a provider other than IGDB) or its own id when that is an IGDB id;
+ * games created locally get a timestamp id and are skipped. Each refreshed game is recorded in
+ * jobs/metadata-refreshed.json ({ <gameId>: epoch ms }) for the "stale" scope.
+ */
+
+const JOBS_DIR = "jobs";
+const REFRESHED_FILE = "metadata-refreshed.json";
+const JOB_TYPE = "metadata-refresh";
+const REFRESH_SCOPES = ["all", "collection", "platform", "stale"];
+const DEFAULT_STALE_DAYS = 30;
+/** Ids of games created locally are Date.now() values; IGDB ids are far below. */
+const LOCAL_GAME_ID_MIN = 1e12;
+const SAVE_INTERVAL_MS = 2000;
+const JOB_ID_RE = /^[0-9a-f-]{36}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REQUEST_CREDENTIALS_LOST =
+  "Restart the refresh: the Twitch credentials sent with the request are not kept across restarts";
+
+function jobsDir(metadataPath) {
+  return path.join(metadataPath, JOBS_DIR);
+}
+
+function jobPath(metadataPath, jobId) {
+  return path.join(jobsDir(metadataPath), `${jobId}.json`);
+}
+
+function loadRefreshedAt(metadataPath) {
+  return readJsonFile(path.join(jobsDir(metadataPath), REFRESHED_FILE), {}) || {};
+}
+
+function saveRefreshedAt(metadataPath, refreshedAt) {
+  ensureDirectoryExists(jobsDir(metadataPath));
+  writeJsonFile(path.join(jobsDir(metadataPath), REFRESHED_FILE), refreshedAt, 0);
+}
+
+function positiveInteger(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/**
+ * Validate a POST /jobs/metadata-refresh body: { scope, collectionId?, platformId?, staleDays? }.
+ * @returns {{ ok: true, value: object } | { ok: false, error: string }}
+ */
+function validateMetadataRefreshScope(body) {
+  const { scope = "all", collectionId, platformId, staleDays } = body || {};
+  if (!REFRESH_SCOPES.includes(scope)) {
+    return { ok: false, error: `scope must be one of ${REFRESH_SCOPES.join(", ")}` };
+  }
+  if (scope === "collection") {
+    const id = positiveInteger(collectionId);
+    return id ? { ok: true, value: { scope, collectionId: id } } : { ok: false, error: "collectionId is required with scope collection" };
+  }
+  if (scope === "platform") {
+    const id = positiveInteger(platformId);
+    return id ? { ok: true, value: { scope, platformId: id } } : { ok: false, error: "platformId is required with scope platform" };
+  }
+  if (scope === "stale") {
+    const days = staleDays == null ? DEFAULT_STALE_DAYS : Number(staleDays);
+    if (!Number.isFinite(days) || days < 0) {
+      return { ok: false, error: "staleDays must be a non-negative number" };
+    }
+    return { ok: true, value: { scope, staleDays: days } };
+  }
+  return { ok: true, value: { scope } };
+}
+
+/**
+ * Game ids a scope covers, in ascending order. A smart collection covers the games its rules
+ * match now.
+ * @returns {number[] | null} null when the scope's collection does not exist
+ */
+function resolveRefreshGameIds(metadataPath, allGames, scope, now = Date.now()) {
+  let ids = Object.keys(allGames).map(Number);
+  if (scope.scope === "collection") {
+    const collection = loadItemById(metadataPath, "collections", scope.collectionId);
+    if (!collection) return null;
+    const games = collection.smart
+      ? evaluateSmartCollection(collection.smart, allGames, {
+        getPlaySummary: (gameId) => getPlaySessionSummary(metadataPath, gameId),
+      })
+      : collection.games || [];
+    const members = new Set(games.map(Number));
+    ids = ids.filter((id) => members.has(id));
+  } else if (scope.scope === "platform") {
+    ids = ids.filter((id) => (allGames[id].platforms || []).map(Number).includes(scope.platformId));
+  } else if (scope.scope === "stale") {
+    const refreshedAt = loadRefreshedAt(metadataPath);
+    const cutoff = now - scope.staleDays * DAY_MS;
+    ids = ids.filter((id) => !(refreshedAt[id] >= cutoff));
+  }
+  return ids.sort((a, b) => a - b);
+}
+
+/** @returns {{ provider: string, gameId: string } | null} where the game's metadata comes from */
+function resolveRefreshSource(gameId, game) {
+  const source = game && game.metadataSource;
+  if (source && typeof source.provider === "string" && source.id != null) {
+    return { provider: source.provider, gameId: String(source.id) };
+  }
+  if (Number.isInteger(gameId) && gameId > 0 && gameId < LOCAL_GAME_ID_MIN) {
+    return { provider: DEFAULT_PROVIDER, gameId: String(gameId) };
+  }
+  return null;
+}
+
+function summarizeJob(job) {
+  const { gameIds, results, ...summary } = job;
+  return { ...summary, percent: job.total > 0 ? Math.round((job.processed / job.total) * 100) : 100 };
+}
+
+/**
+ * Job store and runner for one metadata path.
+ *
+ * @param {{
+ *   metadataPath: string,
+ *   allGames: Record<string, object>,
+ *   mergeCatalogMetadata: (gameId: number, payload: object, locale: string) => Promise<{ status: string }>,
+ * }} deps mergeCatalogMetadata is the merge-catalog-metadata logic (registerLibraryRoutes returns it)
+ */
+function createMetadataRefreshJobs(deps) {
+  const { metadataPath, allGames, mergeCatalogMetadata } = deps;
+  const queue = [];
+  const contexts = new Map();
+  const cancelRequested = new Set();
+  let running = null;
+  let draining = null;
+
+  function loadJob(jobId) {
+    if (!JOB_ID_RE.test(String(jobId))) return null;
+    const job = readJsonFile(jobPath(metadataPath, jobId), null);
+    return job && job.type === JOB_TYPE ? job : null;
+  }
+
+  function saveJob(job) {
+    ensureDirectoryExists(jobsDir(metadataPath));
+    job.updatedAt = new Date().toISOString();
+    writeJsonFile(jobPath(metadataPath, job.id), job, 0);
+  }
+
+  function listJobs() {
+    if (!fs.existsSync(jobsDir(metadataPath))) return [];
+    return fs
+      .readdirSync(jobsDir(metadataPath))
+      .filter((file) => file.endsWith(".json") && file !== REFRESHED_FILE)
+      .map((file) => loadJob(file.slice(0, -5)))
+      .filter(Boolean)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  async function refreshGame(job, gameId, ctx) {
+    const game = allGames[gameId];
+    if (!game) return { status: "skipped", error: "Game not found" };
+    const source = resolveRefreshSource(gameId, game);
+    if (!source) return { status: "skipped", error: "No catalog source" };
+    try {
+      const fetched = await fetchProviderGame(metadataPath, { provider: source.provider, gameId: source.gameId }, ctx);
+      if (!fetched) return { status: "skipped", provider: source.provider, error: "Catalog game not found" };
+      const merged = await mergeCatalogMetadata(gameId, fetched.game, job.locale);
+      return { status: merged.status, provider: source.provider };
+    } catch (e) {
+      return { status: "failed", provider: source.provider, error: e.message };
+    }
+  }
+
+  async function runJob(job) {
+    const ctx = contexts.get(job.id);
+    if (!ctx && job.credentials === "request") throw new Error(REQUEST_CREDENTIALS_LOST);
+    const refreshedAt = loadRefreshedAt(metadataPath);
+    job.status = "running";
+    job.startedAt = job.startedAt || new Date().toISOString();
+    saveJob(job);
+    let savedAt = Date.now();
+
+    for (const gameId of job.gameIds) {
+      if (cancelRequested.has(job.id)) {
+        job.status = "cancelled";
+        break;
+      }
+      if (job.results[gameId]) continue;
+      const result = await refreshGame(job, gameId, ctx || { req: { header: () => "" } });
+      job.results[gameId] = result;
+      job.processed += 1;
+      job.counts[result.status] += 1;
+      if (result.status === "merged" || result.status === "unchanged") {
+        refreshedAt[gameId] = Date.now();
+      }
+      if (Date.now() - savedAt >= SAVE_INTERVAL_MS) {
+        saveJob(job);
+        saveRefreshedAt(metadataPath, refreshedAt);
+        savedAt = Date.now();
+      }
+    }
+
+    if (job.status === "running") job.status = "completed";
+    job.finishedAt = new Date().toISOString();
+    saveJob(job);
+    saveRefreshedAt(metadataPath, refreshedAt);
+  }
+
+  async function drain() {
+    while (queue.length > 0) {
+      const job = loadJob(queue.shift());
+      if (!job || (job.status !== "queued" && job.status !== "running")) continue;
+      running = job;
+      try {
+        await runJob(job);
+      } catch (e) {
+        console.error(`Metadata refresh job ${job.id} failed:`, e.message);
+        job.status = "failed";
+        job.error = e.message;
+        job.finishedAt = new Date().toISOString();
+        saveJob(job);
+      } finally {
+        contexts.delete(job.id);
+        cancelRequested.delete(job.id);
+        running = null;
+      }
+    }
+  }
+
+  function enqueue(jobId) {
+    queue.push(jobId);
+    if (!draining) {
+      draining = drain()
+        .catch((e) => console.error("Metadata refresh queue failed:", e.message))
+        .finally(() => {
+          draining = null;
+        });
+    }
+  }
+
+  /**
+   * Create and queue a job.
+   * @param {object} scope validated scope (validateMetadataRefreshScope)
+   * @param {{ locale: string, ctx?: object }} options ctx carries provider credentials sent with the
+   *   request and is kept in memory only; without it the job uses the stored credentials
+   * @returns {object | null} the job summary, null when the scope's collection does not exist
+   */
+  function startJob(scope, { locale, ctx }) {
+    const gameIds = resolveRefreshGameIds(metadataPath, allGames, scope);
+    if (!gameIds) return null;
+    const job = {
+      id: crypto.randomUUID(),
+      type: JOB_TYPE,
+      scope,
+      locale,
+      credentials: ctx ? "request" : "stored",
+      status: "queued",
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      total: gameIds.length,
+      processed: 0,
+      counts: { merged: 0, unchanged: 0, skipped: 0, failed: 0 },
+      gameIds,
+      results: {},
+    };
+    saveJob(job);
+    if (ctx) contexts.set(job.id, ctx);
+    enqueue(job.id);
+    return summarizeJob(job);
+  }
+
+  /** The stored job, with the in-memory progress of the running one. */
+  function getJob(jobId) {
+    if (running && running.id === jobId) return running;
+    return loadJob(jobId);
+  }
+
+  /** @returns {object | null} the job, null when it does not exist */
+  function cancelJob(jobId) {
+    const job = getJob(jobId);
+    if (!job) return null;
+    if (job.status === "queued" && !(running && running.id === jobId)) {
+      job.status = "cancelled";
+      job.finishedAt = new Date().toISOString();
+      saveJob(job);
+    } else if (job.status === "running") {
+      cancelRequested.add(jobId);
+    }
+    return job;
+  }
+
+  /** Queue the jobs a restart interrupted, oldest first. */
+  function resumeJobs() {
+    const pending = listJobs().filter((job) => job.status === "queued" || job.status === "running").reverse();
+    pending.forEach((job) => {
+      if (!queue.includes(job.id) && !(running && running.id === job.id)) enqueue(job.id);
+    });
+    return pending.length;
+  }
+
+  /** Resolves once every queued job has finished. */
+  function idle() {
+    return draining || Promise.resolve();
+  }
+
+  return {
+    startJob,
+    getJob,
+    listJobs: () => listJobs().map((job) => (running && running.id === job.id ? summarizeJob(running) : summarizeJob(job))),
+    cancelJob,
+    resumeJobs,
+    idle,
+  };
+}
+
+module.exports = {
+  JOBS_DIR,
+  REFRESH_SCOPES,
+  DEFAULT_STALE_DAYS,
+  validateMetadataRefreshScope,
+  resolveRefreshGameIds,
+  resolveRefreshSource,
+  summarizeJob,
+  createMetadataRefreshJobs,
+};
@@ -6,6 +6,8 @@ const TOKENS_DIR = "tokens";
 const TWITCH_OAUTH_SESSIONS_FILE = path.join(TOKENS_DIR, "twitch-oauth-sessions.json");
 const TWITCH_APP_CREDENTIALS_FILE = path.join(TOKENS_DIR, "twitch-app-credentials.json");
 const CLOUDFLARE_TUNNEL_RUN_FILE = path.join(TOKENS_DIR, "cloudflare-tunnel-run.json");
+const USER_ACCOUNTS_FILE = path.join(TOKENS_DIR, "users.json");
+const AUTH_SESSIONS_FILE = path.join(TOKENS_DIR, "auth-sessions.json");
 
 function tokensDirectory(metadataPath) {
   return path.join(metadataPath, TOKENS_DIR);
@@ -23,13 +25,25 @@ function cloudflareTunnelRunPath(metadataPath) {
   return path.join(metadataPath, CLOUDFLARE_TUNNEL_RUN_FILE);
 }
 
+function userAccountsPath(metadataPath) {
+  return path.join(metadataPath, USER_ACCOUNTS_FILE);
+}
+
+function authSessionsPath(metadataPath) {
+  return path.join(metadataPath, AUTH_SESSIONS_FILE);
+}
+
 module.exports = {
   TOKENS_DIR,
   TWITCH_OAUTH_SESSIONS_FILE,
   TWITCH_APP_CREDENTIALS_FILE,
   CLOUDFLARE_TUNNEL_RUN_FILE,
+  USER_ACCOUNTS_FILE,
+  AUTH_SESSIONS_FILE,
   tokensDirectory,
   twitchOAuthSessionsPath,
   twitchAppCredentialsPath,
   cloudflareTunnelRunPath,
+  userAccountsPath,
+  authSessionsPath,
 };
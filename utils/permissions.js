@@ -0,0 +1,163 @@
+"use strict";
+
+/**
+ * Role-based permissions for local accounts (admin / player / kid) and the
+ * age-rating content filter applied to kid profiles.
+ */
+
+const ROLES = ["admin", "player", "kid"];
+const DEFAULT_ROLE = "player";
+
+const PERMISSIONS = {
+  VIEW_LIBRARY: "library:view",
+  EDIT_LIBRARY: "library:edit",
+  DELETE_GAMES: "games:delete",
+  MANAGE_SCRIPTS: "scripts:manage",
+  LAUNCH_GAMES: "games:launch",
+  MANAGE_SKINS: "skins:manage",
+  MANAGE_SETTINGS: "settings:manage",
+  MANAGE_USERS: "users:manage",
+};
+
+const ROLE_PERMISSIONS = {
+  admin: Object.values(PERMISSIONS),
+  player: [PERMISSIONS.VIEW_LIBRARY, PERMISSIONS.EDIT_LIBRARY, PERMISSIONS.LAUNCH_GAMES],
+  kid: [PERMISSIONS.VIEW_LIBRARY, PERMISSIONS.LAUNCH_GAMES],
+};
+
+const DEFAULT_KID_MAX_AGE = 12;
+
+/**
+ * Minimum age for IGDB age_rating_categories ids, as stored in game.ageRatings[].rating
+ * (category = organization: 1=ESRB, 2=PEGI, 3=CERO, 4=USK, 5=GRAC, 6=CLASS_IND, 7=ACB).
+ * null = no usable age (rating pending / testing).
+ */
+const AGE_RATING_MIN_AGE = {
+  // ESRB: RP, EC, E, E10, T, M, AO
+  1: null, 2: 3, 3: 6, 4: 10, 5: 13, 6: 17, 7: 18,
+  // PEGI: 3, 7, 12, 16, 18
+  8: 3, 9: 7, 10: 12, 11: 16, 12: 18,
+  // CERO: A, B, C, D, Z
+  13: 0, 14: 12, 15: 15, 16: 17, 17: 18,
+  // USK: 0, 6, 12, 16, 18
+  18: 0, 19: 6, 20: 12, 21: 16, 22: 18,
+  // GRAC: All, 12, 15, 18, Testing
+  23: 0, 24: 12, 25: 15, 26: 18, 27: null,
+  // CLASS_IND: L, 10, 12, 14, 16, 18
+  28: 0, 29: 10, 30: 12, 31: 14, 32: 16, 33: 18,
+  // ACB: G, PG, M, MA15, R18, RC
+  34: 0, 35: 8, 36: 15, 37: 15, 38: 18, 39: 18,
+};
+
+function normalizeRole(role) {
+  const value = String(role || "").trim().toLowerCase();
+  return ROLES.includes(value) ? value : null;
+}
+
+/**
+ * Role of a request user. Anonymous callers (allowed by AUTH_MODE) get ANONYMOUS_ROLE,
+ * admin by default so open mode keeps its historical behaviour.
+ */
+function resolveUserRole(user, env = process.env) {
+  if (!user) return normalizeRole(env.ANONYMOUS_ROLE) || "admin";
+  if (user.isDev) return "admin";
+  return normalizeRole(user.role) || DEFAULT_ROLE;
+}
+
+function hasPermission(user, permission) {
+  const role = resolveUserRole(user);
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Middleware: 403 unless req.user (set by the auth middleware) has the permission.
+ */
+function requirePermission(permission) {
+  return function permissionMiddleware(req, res, next) {
+    if (hasPermission(req.user || null, permission)) return next();
+    return res.status(403).json({
+      error: "Forbidden",
+      detail: `Missing permission: ${permission}`,
+    });
+  };
+}
+
+/**
+ * Highest minimum age across a game's ratings (most conservative), or null when unrated.
+ */
+function getGameMinimumAge(game) {
+  const ratings = game && Array.isArray(game.ageRatings) ? game.ageRatings : [];
+  let minAge = null;
+  for (const entry of ratings) {
+    const age = entry && AGE_RATING_MIN_AGE[Number(entry.rating)];
+    if (typeof age === "number" && (minAge === null || age > minAge)) minAge = age;
+  }
+  return minAge;
+}
+
+function parseMaxAge(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 && n <= 99 ? Math.floor(n) : null;
+}
+
+/**
+ * Content filter for the request user: null (no filter) unless the user is a kid.
+ * Threshold: user.maxAge, else settings.kidMaxAge, else DEFAULT_KID_MAX_AGE.
+ *
+ * @param {object|null} user
+ * @param {() => object} getSettings read lazily, only for kid profiles
+ * @returns {{ maxAge: number, allowUnrated: boolean } | null}
+ */
+function resolveContentFilter(user, getSettings) {
+  if (resolveUserRole(user) !== "kid") return null;
+  const settings = (getSettings && getSettings()) || {};
+  const maxAge =
+    parseMaxAge(user && user.maxAge) ?? parseMaxAge(settings.kidMaxAge) ?? DEFAULT_KID_MAX_AGE;
+  return { maxAge, allowUnrated: settings.kidAllowUnrated === true };
+}
+
+function isGameAllowedByContentFilter(game, filter) {
+  if (!filter) return true;
+  if (!game) return false;
+  const minAge = getGameMinimumAge(game);
+  if (minAge === null) return filter.allowUnrated;
+  return minAge <= filter.maxAge;
+}
+
+/** Stable key for response caches that depend on the filter. */
+function contentFilterCacheKey(filter) {
+  return filter ? `age${filter.maxAge}${filter.allowUnrated ? "u" : ""}` : "all";
+}
+
+function validateParentalSettingsPatch(patch) {
+  const next = {};
+  if (Object.prototype.hasOwnProperty.call(patch, "kidMaxAge")) {
+    const maxAge = parseMaxAge(patch.kidMaxAge);
+    if (maxAge === null) {
+      return { ok: false, error: "kidMaxAge must be a number between 0 and 99" };
+    }
+    next.kidMaxAge = maxAge;
+  }
+  if (Object.prototype.hasOwnProperty.call(patch, "kidAllowUnrated")) {
+    next.kidAllowUnrated = patch.kidAllowUnrated === true;
+  }
+  return { ok: true, value: next };
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  DEFAULT_KID_MAX_AGE,
+  normalizeRole,
+  resolveUserRole,
+  hasPermission,
+  requirePermission,
+  getGameMinimumAge,
+  parseMaxAge,
+  resolveContentFilter,
+  isGameAllowedByContentFilter,
+  contentFilterCacheKey,
+  validateParentalSettingsPatch,
+};
@@ -0,0 +1,173 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { ensureDirectoryExists, readJsonFile, writeJsonFile } = require("./fileUtils");
+
+/**
+ * Personal per-user game state (favorite, rating, backlog status, notes), stored in
+ * personal/<userKey>.json, never in a game's catalog metadata.json, so catalog merges and
+ * reloads cannot overwrite it.
+ */
+
+const PERSONAL_DIR = "personal";
+const ANONYMOUS_USER_KEY = "anonymous";
+const BACKLOG_STATUSES = ["unplayed", "playing", "beaten", "completed", "abandoned"];
+const DEFAULT_STATUS = "unplayed";
+const MAX_RATING = 5;
+const MAX_NOTES_LENGTH = 10000;
+
+// filePath -> { games } so listings do not re-read the file for every game
+const stateCache = new Map();
+
+/** Forget cached files (after a restore replaced personal/ on disk). */
+function clearPersonalStateCache() {
+  stateCache.clear();
+}
+
+/** Storage key of the request user: the account id, "dev" for API_TOKEN, "anonymous" otherwise. */
+function personalUserKey(user) {
+  const id = user && user.userId != null ? String(user.userId) : "";
+  return /^[A-Za-z0-9_-]+$/.test(id) ? id : ANONYMOUS_USER_KEY;
+}
+
+function personalStateFilePath(metadataPath, userKey) {
+  return path.join(metadataPath, PERSONAL_DIR, `${userKey}.json`);
+}
+
+function loadPersonalStates(metadataPath, userKey) {
+  const filePath = personalStateFilePath(metadataPath, userKey);
+  const cached = stateCache.get(filePath);
+  if (cached) return cached;
+  const data = readJsonFile(filePath, null);
+  const games = data && data.games && typeof data.games === "object" ? data.games : {};
+  stateCache.set(filePath, games);
+  return games;
+}
+
+function savePersonalStates(metadataPath, userKey, games) {
+  const filePath = personalStateFilePath(metadataPath, userKey);
+  ensureDirectoryExists(path.dirname(filePath));
+  writeJsonFile(filePath, { games });
+  stateCache.set(filePath, games);
+}
+
+/** Public shape with defaults for unset fields. */
+function toPersonalStateResponse(state) {
+  const s = state || {};
+  return {
+    favorite: s.favorite === true,
+    rating: typeof s.rating === "number" ? s.rating : null,
+    status: BACKLOG_STATUSES.includes(s.status) ? s.status : DEFAULT_STATUS,
+    notes: typeof s.notes === "string" ? s.notes : "",
+    updatedAt: s.updatedAt || null,
+  };
+}
+
+function getPersonalGameState(metadataPath, userKey, gameId) {
+  return toPersonalStateResponse(loadPersonalStates(metadataPath, userKey)[String(gameId)]);
+}
+
+/**
+ * Validate a partial update. null resets a field to its default.
+ *
+ * @returns {{ ok: true, value: object } | { ok: false, error: string }}
+ */
+function validatePersonalStatePatch(patch) {
+  if (!patch || typeof patch !== "object" || Array.isArray(patch)) {
+    return { ok: false, error: "Body must be an object" };
+  }
+  const value = {};
+  if ("favorite" in patch) {
+    if (patch.favorite !== null && typeof patch.favorite !== "boolean") {
+      return { ok: false, error: "favorite must be true, false or null" };
+    }
+    value.favorite = patch.favorite === true;
+  }
+  if ("rating" in patch) {
+    const rating = patch.rating;
+    if (rating !== null && (typeof rating !== "number" || !Number.isFinite(rating) || rating < 0 || rating > MAX_RATING)) {
+      return { ok: false, error: `rating must be a number between 0 and ${MAX_RATING} or null` };
+    }
+    value.rating = rating === null ? null : Math.round(rating * 2) / 2;
+  }
+  if ("status" in patch) {
+    if (patch.status !== null && !BACKLOG_STATUSES.includes(patch.status)) {
+      return { ok: false, error: `status must be one of ${BACKLOG_STATUSES.join(", ")}` };
+    }
+    value.status = patch.status === null ? DEFAULT_STATUS : patch.status;
+  }
+  if ("notes" in patch) {
+    if (patch.notes !== null && typeof patch.notes !== "string") {
+      return { ok: false, error: "notes must be a string or null" };
+    }
+    if (patch.notes && patch.notes.length > MAX_NOTES_LENGTH) {
+      return { ok: false, error: `notes must be at most ${MAX_NOTES_LENGTH} characters` };
+    }
+    value.notes = patch.notes || "";
+  }
+  if (Object.keys(value).length === 0) {
+    return { ok: false, error: "No valid fields to update" };
+  }
+  return { ok: true, value };
+}
+
+function isDefaultState(state) {
+  return !state.favorite && state.rating === null && state.status === DEFAULT_STATUS && !state.notes;
+}
+
+/**
+ * Apply a validated patch; entries back at their defaults are dropped from the file.
+ * @returns {object} public state after the update
+ */
+function updatePersonalGameState(metadataPath, userKey, gameId, patch) {
+  const games = { ...loadPersonalStates(metadataPath, userKey) };
+  const key = String(gameId);
+  const next = { ...toPersonalStateResponse(games[key]), ...patch, updatedAt: new Date().toISOString() };
+  if (isDefaultState(next)) {
+    delete games[key];
+  } else {
+    games[key] = next;
+  }
+  savePersonalStates(metadataPath, userKey, games);
+  return toPersonalStateResponse(games[key] || { updatedAt: next.updatedAt });
+}
+
+/** Drop a deleted game from every user's personal state. */
+function deletePersonalGameState(metadataPath, gameId) {
+  const dir = path.join(metadataPath, PERSONAL_DIR);
+  if (!fs.existsSync(dir)) return;
+  const key = String(gameId);
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith(".json")) continue;
+    const userKey = path.basename(file, ".json");
+    const games = loadPersonalStates(metadataPath, userKey);
+    if (!(key in games)) continue;
+    const remaining = { ...games };
+    delete remaining[key];
+    savePersonalStates(metadataPath, userKey, remaining);
+  }
+}
+
+/** Remove all personal state of a deleted account. */
+function deletePersonalStatesForUser(metadataPath, userId) {
+  const userKey = personalUserKey({ userId });
+  if (userKey !== String(userId)) return;
+  const filePath = personalStateFilePath(metadataPath, userKey);
+  stateCache.delete(filePath);
+  if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+}
+
+module.exports = {
+  BACKLOG_STATUSES,
+  personalUserKey,
+  personalStateFilePath,
+  loadPersonalStates,
+  clearPersonalStateCache,
+  getPersonalGameState,
+  toPersonalStateResponse,
+  validatePersonalStatePatch,
+  updatePersonalGameState,
+  deletePersonalGameState,
+  deletePersonalStatesForUser,
+};
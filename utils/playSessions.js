@@ -0,0 +1,238 @@
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { ensureDirectoryExists, readJsonFile, writeJsonFile } = require("./fileUtils");
+
+/**
+ * Play session history, stored per game in content/games/<id>/sessions.json.
+ * A session is open (endedAt === null) while the launched process tree is running.
+ */
+
+const SESSIONS_FILE = "sessions.json";
+
+// Summary cache (gameId -> { lastPlayed, totalPlaytime }) so library listings do not re-read every file.
+const summaryCache = new Map();
+const changeListeners = new Set();
+
+function playSessionsFilePath(metadataPath, gameId) {
+  return path.join(metadataPath, "content", "games", String(gameId), SESSIONS_FILE);
+}
+
+function summaryCacheKey(metadataPath, gameId) {
+  return `${metadataPath}:${gameId}`;
+}
+
+function notifyPlaySessionsChange(metadataPath, gameId) {
+  summaryCache.delete(summaryCacheKey(metadataPath, gameId));
+  for (const listener of changeListeners) {
+    try {
+      listener(Number(gameId));
+    } catch (error) {
+      console.error("Play sessions change listener failed:", error);
+    }
+  }
+}
+
+/** Forget every cached summary (after a restore, import or reload replaced sessions.json files). */
+function clearPlaySessionSummaryCache() {
+  summaryCache.clear();
+}
+
+/**
+ * Register a callback invoked with the game id whenever its session history changes.
+ * @returns {() => void} unsubscribe
+ */
+function onPlaySessionsChange(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+/**
+ * @returns {object[]} sessions in chronological order (oldest first)
+ */
+function loadPlaySessions(metadataPath, gameId) {
+  const data = readJsonFile(playSessionsFilePath(metadataPath, gameId), null);
+  if (!data || !Array.isArray(data.sessions)) return [];
+  return data.sessions.filter((s) => s && typeof s === "object" && s.id && s.startedAt);
+}
+
+function savePlaySessions(metadataPath, gameId, sessions) {
+  const filePath = playSessionsFilePath(metadataPath, gameId);
+  writeJsonFile(filePath, { sessions });
+  notifyPlaySessionsChange(metadataPath, gameId);
+}
+
+function sessionDurationSeconds(startedAt, endedAt) {
+  const start = Date.parse(startedAt);
+  const end = Date.parse(endedAt);
+  if (!Number.isFinite(start) || !Number.isFinite(end) || end < start) return 0;
+  return Math.round((end - start) / 1000);
+}
+
+/**
+ * Record a new open session for a launch.
+ *
+ * @param {{ launchId?: string, executableName?: string, pid?: number, fullCommandPath?: string, source?: string, userId?: string }} launch
+ *   launchId links the session to its launch log (post-exit hooks of a session resumed after a restart)
+ */
+function startPlaySession(metadataPath, gameId, launch = {}) {
+  const gameDir = path.dirname(playSessionsFilePath(metadataPath, gameId));
+  ensureDirectoryExists(gameDir);
+  const now = new Date().toISOString();
+  const session = {
+    id: crypto.randomUUID(),
+    startedAt: now,
+    endedAt: null,
+    duration: null,
+    lastSeenAt: now,
+    executableName: launch.executableName || null,
+    source: launch.source || null,
+    userId: launch.userId || null,
+    pid: Number.isFinite(Number(launch.pid)) ? Number(launch.pid) : null,
+    fullCommandPath: launch.fullCommandPath || null,
+    launchId: launch.launchId || null,
+  };
+  const sessions = loadPlaySessions(metadataPath, gameId);
+  sessions.push(session);
+  savePlaySessions(metadataPath, gameId, sessions);
+  return session;
+}
+
+/** Persist a heartbeat so sessions interrupted by a server restart can be closed at a sensible time. */
+function touchPlaySession(metadataPath, gameId, sessionId) {
+  const filePath = playSessionsFilePath(metadataPath, gameId);
+  if (!fs.existsSync(filePath)) return null;
+  const sessions = loadPlaySessions(metadataPath, gameId);
+  const session = sessions.find((s) => s.id === sessionId && !s.endedAt);
+  if (!session) return null;
+  session.lastSeenAt = new Date().toISOString();
+  writeJsonFile(filePath, { sessions });
+  return session;
+}
+
+/**
+ * Close an open session and compute its duration (seconds).
+ * No-op when the game folder (or the session) no longer exists.
+ *
+ * @param {Date|string} [endedAt]
+ */
+function endPlaySession(metadataPath, gameId, sessionId, endedAt = new Date()) {
+  const filePath = playSessionsFilePath(metadataPath, gameId);
+  if (!fs.existsSync(filePath)) return null;
+  const sessions = loadPlaySessions(metadataPath, gameId);
+  const session = sessions.find((s) => s.id === sessionId && !s.endedAt);
+  if (!session) return null;
+  const endIso = new Date(endedAt).toISOString();
+  session.endedAt = endIso;
+  session.lastSeenAt = endIso;
+  session.duration = sessionDurationSeconds(session.startedAt, endIso);
+  savePlaySessions(metadataPath, gameId, sessions);
+  return session;
+}
+
+/**
+ * Add a closed session carrying playtime recorded elsewhere (another frontend's total), once per
+ * sessionId so repeated imports do not count it twice.
+ *
+ * @param {{ sessionId: string, endedAt: string, duration: number, source: string }} imported
+ * @returns {object|null} the added session, null when it was already recorded
+ */
+function addImportedPlaySession(metadataPath, gameId, { sessionId, endedAt, duration, source }) {
+  const sessions = loadPlaySessions(metadataPath, gameId);
+  if (sessions.some((s) => s.id === sessionId)) return null;
+  const end = new Date(endedAt);
+  const session = {
+    id: sessionId,
+    startedAt: new Date(end.getTime() - duration * 1000).toISOString(),
+    endedAt: end.toISOString(),
+    duration,
+    lastSeenAt: end.toISOString(),
+    executableName: null,
+    source,
+    userId: null,
+    pid: null,
+    fullCommandPath: null,
+  };
+  ensureDirectoryExists(path.dirname(playSessionsFilePath(metadataPath, gameId)));
+  sessions.push(session);
+  sessions.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  savePlaySessions(metadataPath, gameId, sessions);
+  return session;
+}
+
+/**
+ * Open sessions across all games (used at startup to resume watching or close stale ones).
+ * @returns {{ gameId: number, session: object }[]}
+ */
+function listOpenPlaySessions(metadataPath) {
+  const gamesDir = path.join(metadataPath, "content", "games");
+  if (!fs.existsSync(gamesDir)) return [];
+  const open = [];
+  for (const dirent of fs.readdirSync(gamesDir, { withFileTypes: true })) {
+    if (!dirent.isDirectory()) continue;
+    const gameId = Number(dirent.name);
+    if (Number.isNaN(gameId)) continue;
+    if (!fs.existsSync(playSessionsFilePath(metadataPath, gameId))) continue;
+    for (const session of loadPlaySessions(metadataPath, gameId)) {
+      if (!session.endedAt) open.push({ gameId, session });
+    }
+  }
+  return open;
+}
+
+/**
+ * @returns {{ lastPlayed: string|null, totalPlaytime: number }} totalPlaytime in seconds (closed sessions only)
+ */
+function getPlaySessionSummary(metadataPath, gameId) {
+  const key = summaryCacheKey(metadataPath, gameId);
+  const cached = summaryCache.get(key);
+  if (cached) return cached;
+  let lastPlayed = null;
+  let totalPlaytime = 0;
+  for (const session of loadPlaySessions(metadataPath, gameId)) {
+    if (!lastPlayed || session.startedAt > lastPlayed) lastPlayed = session.startedAt;
+    if (session.endedAt && Number.isFinite(session.duration)) totalPlaytime += session.duration;
+  }
+  const summary = { lastPlayed, totalPlaytime };
+  summaryCache.set(key, summary);
+  return summary;
+}
+
+/** Public shape of a session (internal process details are not exposed). */
+function toPlaySessionResponse(session) {
+  return {
+    id: session.id,
+    startedAt: session.startedAt,
+    endedAt: session.endedAt || null,
+    duration: session.endedAt ? session.duration ?? 0 : null,
+    active: !session.endedAt,
+    executableName: session.executableName || null,
+    source: session.source || null,
+    userId: session.userId || null,
+  };
+}
+
+function deletePlaySessions(metadataPath, gameId) {
+  const filePath = playSessionsFilePath(metadataPath, gameId);
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+  notifyPlaySessionsChange(metadataPath, gameId);
+}
+
+module.exports = {
+  playSessionsFilePath,
+  loadPlaySessions,
+  startPlaySession,
+  touchPlaySession,
+  endPlaySession,
+  addImportedPlaySession,
+  listOpenPlaySessions,
+  getPlaySessionSummary,
+  clearPlaySessionSummaryCache,
+  toPlaySessionResponse,
+  deletePlaySessions,
+  onPlaySessionsChange,
+};
@@ -0,0 +1,393 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const AdmZip = require("adm-zip");
+const { ensureDirectoryExists, readJsonFile, writeJsonFile } = require("./fileUtils");
+const { crc32 } = require("./zipWriter");
+const { listZipEntries, openZipEntryStream } = require("./zipReader");
+const { parseDat } = require("./datParser");
+const { isLaunchProfilePath, isLauncherFileName, readLaunchProfile } = require("./launchProfiles");
+const { readLaunchCommand } = require("./gameLauncher");
+const { DEFAULT_EXTENSIONS: ROM_EXTENSIONS, listTrackedFiles } = require("./romScanner");
+const { registerBackupRoot } = require("./backupRoots");
+
+/**
+ * ROM identification against No-Intro / Redump DAT files.
+ *
+ *   METADATA_PATH/dats/<datId>.json         imported DAT: { id, name, description, version, platformId, importedAt, games }
+ *   METADATA_PATH/rom-identification.json   { identifiedAt, files: { <path>: { path, size, mtimeMs, gameIds, hashes, match, hashedAt } } }
+ *
+ * ROM files are the ones the ROM scanner tracks plus the ROM paths referenced by game launch
+ * scripts and profiles. Each is hashed once (CRC32 + SHA1; every entry of a .zip, streamed from
+ * the archive with the CRC32 its header records) and re-hashed only when its size or mtime changes. A file matches a DAT rom by SHA1, or by CRC32 and size
+ * when the DAT has no SHA1; the match carries the DAT's canonical name, region and dump status
+ * ("verified", or "bad-dump" when the DAT flags the dump).
+ */
+
+const DATS_DIR = "dats";
+const IDENTIFICATION_FILE = "rom-identification.json";
+const DAT_ID_RE = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const DAT_FILE_EXTENSIONS = [".dat", ".xml"];
+
+registerBackupRoot(DATS_DIR);
+registerBackupRoot(IDENTIFICATION_FILE, { file: true });
+
+function formatCrc32(crc) {
+  return crc.toString(16).padStart(8, "0");
+}
+
+function datsDir(metadataPath) {
+  return path.join(metadataPath, DATS_DIR);
+}
+
+function identificationPath(metadataPath) {
+  return path.join(metadataPath, IDENTIFICATION_FILE);
+}
+
+function isValidDatId(id) {
+  return typeof id === "string" && DAT_ID_RE.test(id);
+}
+
+function datIdFromName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 64);
+}
+
+/** Text of an uploaded DAT; zipped DATs (as No-Intro and Redump ship them) are unpacked. */
+function readDatUpload(source) {
+  const buffer = Buffer.isBuffer(source) ? source : fs.readFileSync(source);
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+    const entry = new AdmZip(buffer).getEntries()
+      .find((e) => !e.isDirectory && DAT_FILE_EXTENSIONS.includes(path.extname(e.entryName).toLowerCase()));
+    if (!entry) return { ok: false, error: "The zip contains no .dat or .xml file" };
+    return { ok: true, value: entry.getData().toString("utf8") };
+  }
+  return { ok: true, value: buffer.toString("utf8") };
+}
+
+/**
+ * Parse and store a DAT. The id defaults to the DAT name, so importing a newer version of the
+ * same DAT replaces the old one.
+ *
+ * @param {string} metadataPath
+ * @param {Buffer|string} source uploaded file (.dat, .xml or .zip), or its path
+ * @param {{ id?: string, platformId?: number|null }} [options]
+ * @returns {{ ok: true, value: object } | { ok: false, error: string }}
+ */
+function importDat(metadataPath, source, { id = null, platformId = null } = {}) {
+  const text = readDatUpload(source);
+  if (!text.ok) return text;
+  const parsed = parseDat(text.value);
+  const games = parsed.games.filter((game) => game.name && game.roms.length > 0);
+  if (games.length === 0) return { ok: false, error: "DAT file has no games" };
+  const name = parsed.header.name || parsed.header.description || "DAT";
+  const datId = id || datIdFromName(name);
+  if (!isValidDatId(datId)) return { ok: false, error: "id must be lowercase letters, digits and hyphens" };
+
+  const dat = {
+    id: datId,
+    name,
+    description: parsed.header.description,
+    version: parsed.header.version,
+    platformId,
+    importedAt: new Date().toISOString(),
+    games,
+  };
+  ensureDirectoryExists(datsDir(metadataPath));
+  writeJsonFile(path.join(datsDir(metadataPath), `${datId}.json`), dat);
+  return { ok: true, value: toDatSummary(dat) };
+}
+
+function toDatSummary(dat) {
+  const { games, ...rest } = dat;
+  return { ...rest, games: games.length };
+}
+
+function loadDats(metadataPath) {
+  const dir = datsDir(metadataPath);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((name) => name.endsWith(".json") && isValidDatId(path.basename(name, ".json")))
+    .map((name) => readJsonFile(path.join(dir, name), null))
+    .filter((dat) => dat && Array.isArray(dat.games))
+    .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+}
+
+/** DATs without their game lists, sorted by name. */
+function listDats(metadataPath) {
+  return loadDats(metadataPath).map(toDatSummary);
+}
+
+function deleteDat(metadataPath, id) {
+  if (!isValidDatId(id)) return false;
+  const filePath = path.join(datsDir(metadataPath), `${id}.json`);
+  if (!fs.existsSync(filePath)) return false;
+  fs.unlinkSync(filePath);
+  return true;
+}
+
+/** SHA1 of a stream's data, and its CRC32 unless withCrc is false. */
+function hashStream(stream, { withCrc = true } = {}) {
+  return new Promise((resolve, reject) => {
+    let crc = 0;
+    const sha1 = crypto.createHash("sha1");
+    stream
+      .on("data", (chunk) => {
+        if (withCrc) crc = crc32(chunk, crc);
+        sha1.update(chunk);
+      })
+      .on("error", reject)
+      .on("end", () => resolve({ crc: formatCrc32(crc), sha1: sha1.digest("hex") }));
+  });
+}
+
+/**
+ * CRC32 and SHA1 of a ROM file; for a .zip, of every file inside it (entries are streamed one
+ * at a time, never loaded whole).
+ * @returns {Promise<Array<{ name: string, size: number, crc: string, sha1: string }>>}
+ */
+async function hashRomFile(filePath) {
+  if (path.extname(filePath).toLowerCase() === ".zip") {
+    const hashes = [];
+    for (const entry of await listZipEntries(filePath)) {
+      const { sha1 } = await hashStream(await openZipEntryStream(filePath, entry), { withCrc: false });
+      hashes.push({ name: entry.name, size: entry.size, crc: formatCrc32(entry.crc), sha1 });
+    }
+    return hashes;
+  }
+  const { size } = fs.statSync(filePath);
+  return [{ name: path.basename(filePath), size, ...(await hashStream(fs.createReadStream(filePath))) }];
+}
+
+function isRomPath(filePath) {
+  return ROM_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/** ROM paths of every game: scanner-tracked files and paths in launch scripts / profiles. */
+function collectRomFiles(metadataPath) {
+  const files = new Map();
+  const add = (filePath, gameId) => {
+    if (!filePath || !isRomPath(filePath)) return;
+    const ids = files.get(filePath) || new Set();
+    ids.add(Number(gameId));
+    files.set(filePath, ids);
+  };
+
+  for (const entry of listTrackedFiles(metadataPath)) {
+    if (!entry.missing && !entry.ignored) add(entry.path, entry.gameId);
+  }
+  const gamesDir = path.join(metadataPath, "content", "games");
+  if (fs.existsSync(gamesDir)) {
+    for (const gameId of fs.readdirSync(gamesDir)) {
+      const scriptsDir = path.join(gamesDir, gameId, "scripts");
+      if (!/^\d+$/.test(gameId) || !fs.existsSync(scriptsDir)) continue;
+      for (const fileName of fs.readdirSync(scriptsDir).filter(isLauncherFileName)) {
+        const filePath = path.join(scriptsDir, fileName);
+        try {
+          if (isLaunchProfilePath(filePath)) {
+            const profile = readLaunchProfile(filePath);
+            if (profile.ok) add(profile.value.rom, gameId);
+          } else {
+            for (const romPath of readLaunchCommand(filePath)?.paths || []) add(romPath, gameId);
+          }
+        } catch {
+          // unreadable launch file: reported by the library doctor
+        }
+      }
+    }
+  }
+  return files;
+}
+
+/** sha1 -> [{ dat, game, rom }] and "crc:size" -> [...] over every imported DAT. */
+function buildDatIndex(dats) {
+  const bySha1 = new Map();
+  const byCrc = new Map();
+  const push = (map, key, value) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(value);
+  };
+  for (const dat of dats) {
+    for (const game of dat.games) {
+      for (const rom of game.roms) {
+        if (rom.status === "no-dump") continue;
+        if (rom.sha1) push(bySha1, rom.sha1, { dat, game, rom });
+        else if (rom.crc) push(byCrc, `${rom.crc}:${rom.size}`, { dat, game, rom });
+      }
+    }
+  }
+  return { bySha1, byCrc };
+}
+
+function matchHashes(hashes, index) {
+  for (const hash of hashes) {
+    const hit = (index.bySha1.get(hash.sha1) || index.byCrc.get(`${hash.crc}:${hash.size}`) || [])[0];
+    if (!hit) continue;
+    return {
+      datId: hit.dat.id,
+      datName: hit.dat.name,
+      platformId: hit.dat.platformId,
+      title: hit.game.name,
+      region: hit.game.region,
+      status: hit.rom.status === "bad-dump" ? "bad-dump" : "verified",
+      romName: hit.rom.name,
+    };
+  }
+  return null;
+}
+
+// metadataPath -> Map(gameId -> entries) so game responses do not re-read the file
+const identificationCache = new Map();
+
+/** Forget cached identifications (after a restore replaced rom-identification.json on disk). */
+function clearRomIdentificationCache() {
+  identificationCache.clear();
+}
+
+function loadIdentification(metadataPath) {
+  const body = readJsonFile(identificationPath(metadataPath), null);
+  return body && body.files && typeof body.files === "object" ? body : { identifiedAt: null, files: {} };
+}
+
+/**
+ * Hash the library's ROM files (cached by size and mtime unless force) and match them against
+ * the imported DATs.
+ *
+ * @param {string} metadataPath
+ * @param {{ force?: boolean, onProgress?: (progress: { processed: number, total: number }) => void }} [options]
+ *   onProgress is called after each file
+ * @returns {Promise<{ identifiedAt: string, files: number, hashed: number, identified: number, badDumps: number, unknown: number, errors: object[] }>}
+ */
+async function identifyRoms(metadataPath, { force = false, onProgress = null } = {}) {
+  const previous = loadIdentification(metadataPath).files;
+  const index = buildDatIndex(loadDats(metadataPath));
+  const identifiedAt = new Date().toISOString();
+  const summary = { identifiedAt, files: 0, hashed: 0, identified: 0, badDumps: 0, unknown: 0, errors: [] };
+  const files = {};
+  const romFiles = collectRomFiles(metadataPath);
+  let processed = 0;
+
+  for (const [filePath, gameIds] of romFiles) {
+    if (onProgress) onProgress({ processed, total: romFiles.size });
+    processed += 1;
+    let stat;
+    try {
+      stat = fs.statSync(filePath);
+    } catch {
+      summary.errors.push({ path: filePath, error: "File not found" });
+      continue;
+    }
+    if (!stat.isFile()) continue;
+    summary.files += 1;
+
+    const cached = previous[filePath];
+    let hashes = cached && !force && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs ? cached.hashes : null;
+    let hashedAt = cached ? cached.hashedAt : null;
+    if (!hashes) {
+      try {
+        hashes = await hashRomFile(filePath);
+        hashedAt = identifiedAt;
+        summary.hashed += 1;
+      } catch (error) {
+        summary.errors.push({ path: filePath, error: error.message });
+        continue;
+      }
+    }
+
+    const match = matchHashes(hashes, index);
+    if (!match) summary.unknown += 1;
+    else if (match.status === "bad-dump") summary.badDumps += 1;
+    else summary.identified += 1;
+    files[filePath] = {
+      path: filePath,
+      size: stat.size,
+      mtimeMs: stat.mtimeMs,
+      gameIds: [...gameIds].sort((a, b) => a - b),
+      hashes,
+      match,
+      hashedAt,
+    };
+  }
+
+  if (onProgress) onProgress({ processed, total: romFiles.size });
+  writeJsonFile(identificationPath(metadataPath), { identifiedAt, files });
+  identificationCache.delete(metadataPath);
+  return summary;
+}
+
+/** Identified files sorted by path. */
+function listIdentifiedFiles(metadataPath) {
+  return Object.values(loadIdentification(metadataPath).files).sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * ROM identification of one game for the game response: one entry per ROM file with the DAT
+ * match (title, region, status) or status "unknown". Cached until the next identifyRoms run.
+ *
+ * @returns {Array<object>|null}
+ */
+function getGameRomIdentification(metadataPath, gameId) {
+  let byGame = identificationCache.get(metadataPath);
+  if (!byGame) {
+    byGame = new Map();
+    for (const file of Object.values(loadIdentification(metadataPath).files)) {
+      const entry = file.match
+        ? { path: file.path, ...file.match }
+        : { path: file.path, status: "unknown", title: null, region: null, datId: null, datName: null, platformId: null, romName: null };
+      for (const id of file.gameIds) {
+        if (!byGame.has(id)) byGame.set(id, []);
+        byGame.get(id).push(entry);
+      }
+    }
+    identificationCache.set(metadataPath, byGame);
+  }
+  return byGame.get(Number(gameId)) || null;
+}
+
+/**
+ * Per-DAT completeness: how many DAT games have an identified file in the library, and which
+ * are missing.
+ *
+ * @param {string} metadataPath
+ * @param {{ platformId?: number|null }} [options]
+ */
+function getCompletenessReport(metadataPath, { platformId = null } = {}) {
+  const owned = new Set();
+  for (const file of Object.values(loadIdentification(metadataPath).files)) {
+    if (file.match) owned.add(`${file.match.datId}\u0000${file.match.title}`);
+  }
+  return loadDats(metadataPath)
+    .filter((dat) => platformId == null || dat.platformId === platformId)
+    .map((dat) => {
+      const dumped = dat.games.filter((game) => game.roms.some((rom) => rom.status !== "no-dump"));
+      const missing = dumped.filter((game) => !owned.has(`${dat.id}\u0000${game.name}`));
+      return {
+        datId: dat.id,
+        name: dat.name,
+        platformId: dat.platformId,
+        total: dumped.length,
+        owned: dumped.length - missing.length,
+        missing: missing.map((game) => ({ name: game.name, region: game.region })),
+      };
+    });
+}
+
+module.exports = {
+  DATS_DIR,
+  IDENTIFICATION_FILE,
+  isValidDatId,
+  importDat,
+  listDats,
+  deleteDat,
+  hashRomFile,
+  identifyRoms,
+  listIdentifiedFiles,
+  getGameRomIdentification,
+  getCompletenessReport,
+  clearRomIdentificationCache,
+};
@@ -0,0 +1,412 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { ensureDirectoryExists, readJsonFile, writeJsonFile } = require("./fileUtils");
+const { isNonEmptyString } = require("./launchCommand");
+const { PROFILE_EXTENSION } = require("./launchProfiles");
+const { isValidEmulatorId } = require("./emulators");
+const { matchIgdbCandidates, queueIgdbLookup } = require("./igdbMatching");
+const { gameDir, gameExists, nextGameId, createImportedGame } = require("./importedGames");
+const { registerBackupRoot } = require("./backupRoots");
+
+/**
+ * ROM folder scanner. Scan roots map a folder to a platform (and optionally an emulator):
+ *
+ *   METADATA_PATH/rom-scanner/roots.json
+ *     { "roots": [{ "id": "snes", "path": "/roms/snes", "platformId": 19, "emulator": null,
+ *                   "extensions": [".sfc", ".smc", ".zip"], "recursive": true }] }
+ *
+ * A scan creates one game per new file, titled from the file name without region/revision tags,
+ * with an "emulator" launch profile (see launchProfiles.js) pointing at the file. The discs an
+ * .m3u playlist lists get no game of their own: the playlist stands for the whole set. Every file
+ * the scanner created a game for is tracked in rom-scanner/index.json, keyed by absolute path:
+ *
+ *   { "files": { "/roms/snes/Chrono Trigger (USA).sfc": { rootId, path, size, mtimeMs, gameId,
+ *     profile, title, addedAt, missing, ignored, igdb? } } }
+ *
+ * Rescans are idempotent: known files are left alone, files that disappeared are reported as
+ * missing (their games are kept), and a new file with the size and name (or mtime) of a missing
+ * one is treated as moved and its launch profile is repointed. Files whose game was deleted by
+ * hand are marked ignored and never re-created.
+ */
+
+const SCANNER_DIR = "rom-scanner";
+const ROOT_ID_RE = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const PROFILE_LABEL = "play";
+const SCAN_BATCH_SIZE = 50;
+
+registerBackupRoot(SCANNER_DIR);
+
+const DEFAULT_EXTENSIONS = [
+  ".zip", ".7z",
+  ".nes", ".fds", ".sfc", ".smc", ".n64", ".z64", ".v64", ".gb", ".gbc", ".gba", ".nds", ".3ds", ".cia",
+  ".md", ".gen", ".smd", ".sms", ".gg", ".32x", ".pce", ".a26", ".a78", ".lnx", ".ws", ".wsc", ".ngp", ".ngc",
+  ".iso", ".cue", ".chd", ".gdi", ".cso", ".pbp", ".m3u", ".rvz", ".gcm", ".wbfs", ".wua", ".nsp", ".xci",
+  ".adf", ".ipf", ".dsk", ".d64", ".t64", ".tap", ".tzx",
+];
+
+function scannerDir(metadataPath) {
+  return path.join(metadataPath, SCANNER_DIR);
+}
+
+function rootsPath(metadataPath) {
+  return path.join(scannerDir(metadataPath), "roots.json");
+}
+
+function indexPath(metadataPath) {
+  return path.join(scannerDir(metadataPath), "index.json");
+}
+
+function lastScanPath(metadataPath) {
+  return path.join(scannerDir(metadataPath), "last-scan.json");
+}
+
+/**
+ * Game title from a ROM file name: extension, "(USA)", "(Rev 1)", "[!]"-style tags and
+ * underscores are dropped, and "Legend of Zelda, The" becomes "The Legend of Zelda".
+ */
+function normalizeRomTitle(fileName) {
+  const base = path.basename(String(fileName), path.extname(String(fileName)));
+  let title = base
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, " ")
+    .replace(/_/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/[\s,-]+$/, "");
+  const article = title.match(/^(.*?), (The|A|An)(\s-\s.*|:.*)?$/i);
+  if (article) title = `${article[2]} ${article[1]}${article[3] || ""}`;
+  return title || base;
+}
+
+function normalizeExtensions(raw) {
+  if (raw == null) return { ok: true, value: null };
+  if (!Array.isArray(raw) || raw.length === 0 || !raw.every(isNonEmptyString)) {
+    return { ok: false, error: "extensions must be a non-empty array of strings" };
+  }
+  const value = raw.map((ext) => {
+    const lower = ext.trim().toLowerCase();
+    return lower.startsWith(".") ? lower : `.${lower}`;
+  });
+  return { ok: true, value: [...new Set(value)] };
+}
+
+function validateRoot(body, label) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { ok: false, error: `${label} must be an object` };
+  }
+  if (!isNonEmptyString(body.path) || !path.isAbsolute(body.path.trim())) {
+    return { ok: false, error: `${label}: path must be an absolute folder path` };
+  }
+  const rootPath = path.resolve(body.path.trim());
+  const id = body.id != null && body.id !== ""
+    ? String(body.id)
+    : path.basename(rootPath).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 64);
+  if (!ROOT_ID_RE.test(id)) {
+    return { ok: false, error: `${label}: id must be lowercase letters, digits and hyphens` };
+  }
+  const platformId = body.platformId == null || body.platformId === "" ? null : Number(body.platformId);
+  if (platformId !== null && (!Number.isInteger(platformId) || platformId <= 0)) {
+    return { ok: false, error: `${label}: platformId must be a platform id` };
+  }
+  const emulator = body.emulator == null || body.emulator === "" ? null : body.emulator;
+  if (emulator !== null && !isValidEmulatorId(emulator)) {
+    return { ok: false, error: `${label}: emulator must be an emulator id` };
+  }
+  if (platformId === null && emulator === null) {
+    return { ok: false, error: `${label}: a root needs a platformId or an emulator` };
+  }
+  const extensions = normalizeExtensions(body.extensions);
+  if (!extensions.ok) return { ok: false, error: `${label}: ${extensions.error}` };
+  return {
+    ok: true,
+    value: {
+      id,
+      path: rootPath,
+      platformId,
+      emulator,
+      extensions: extensions.value,
+      recursive: body.recursive !== false,
+    },
+  };
+}
+
+/**
+ * Validate a { roots } document (PUT payload).
+ *
+ * @returns {{ ok: true, value: { roots: object[] } } | { ok: false, error: string }}
+ */
+function validateScanRoots(body) {
+  if (!body || typeof body !== "object" || !Array.isArray(body.roots)) {
+    return { ok: false, error: "roots must be an array" };
+  }
+  const roots = [];
+  for (let i = 0; i < body.roots.length; i++) {
+    const root = validateRoot(body.roots[i], `roots[${i}]`);
+    if (!root.ok) return root;
+    if (roots.some((r) => r.id === root.value.id)) {
+      return { ok: false, error: `Duplicate root id: ${root.value.id}` };
+    }
+    roots.push(root.value);
+  }
+  return { ok: true, value: { roots } };
+}
+
+function loadScanRoots(metadataPath) {
+  const body = readJsonFile(rootsPath(metadataPath), null);
+  return body && Array.isArray(body.roots) ? body.roots : [];
+}
+
+function saveScanRoots(metadataPath, roots) {
+  ensureDirectoryExists(scannerDir(metadataPath));
+  writeJsonFile(rootsPath(metadataPath), { roots });
+  return roots;
+}
+
+function loadIndex(metadataPath) {
+  const body = readJsonFile(indexPath(metadataPath), null);
+  return body && body.files && typeof body.files === "object" ? body : { files: {} };
+}
+
+function saveIndex(metadataPath, index) {
+  ensureDirectoryExists(scannerDir(metadataPath));
+  writeJsonFile(indexPath(metadataPath), index);
+}
+
+/** Tracked files sorted by path. */
+function listTrackedFiles(metadataPath) {
+  return Object.values(loadIndex(metadataPath).files).sort((a, b) => a.path.localeCompare(b.path));
+}
+
+function getLastScan(metadataPath) {
+  return readJsonFile(lastScanPath(metadataPath), null);
+}
+
+/** Absolute paths of the files an .m3u playlist lists (relative entries resolve from its folder). */
+async function readPlaylistMembers(playlistPath) {
+  let text;
+  try {
+    text = await fs.promises.readFile(playlistPath, "utf8");
+  } catch {
+    return [];
+  }
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"))
+    .map((line) => path.resolve(path.dirname(playlistPath), line));
+}
+
+/**
+ * Regular files (symlinks to files included) under a root matching its extensions, without the
+ * discs .m3u playlists list. The walk is asynchronous so a large share or a slow network mount
+ * does not hold up other requests.
+ */
+async function listRootFiles(root) {
+  const extensions = root.extensions || DEFAULT_EXTENSIONS;
+  const files = [];
+  const walk = async (dir) => {
+    for (const dirent of await fs.promises.readdir(dir, { withFileTypes: true })) {
+      if (dirent.name.startsWith(".")) continue;
+      const filePath = path.join(dir, dirent.name);
+      if (dirent.isDirectory()) {
+        if (root.recursive) await walk(filePath);
+        continue;
+      }
+      if (!extensions.includes(path.extname(dirent.name).toLowerCase())) continue;
+      let stat;
+      try {
+        stat = await fs.promises.stat(filePath);
+      } catch {
+        continue;
+      }
+      if (!stat.isFile()) continue;
+      files.push({ path: filePath, root, relPath: path.relative(root.path, filePath), size: stat.size, mtimeMs: stat.mtimeMs });
+    }
+  };
+  await walk(root.path);
+  const listed = new Set();
+  for (const file of files) {
+    if (path.extname(file.path).toLowerCase() === ".m3u") {
+      for (const member of await readPlaylistMembers(file.path)) listed.add(member);
+    }
+  }
+  return files.filter((file) => !listed.has(file.path)).sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/** Create the game with an emulator launch profile pointing at the file; returns the profile file name. */
+function createGameForFile(metadataPath, gameId, title, file) {
+  const profile = `01-${PROFILE_LABEL}${file.root.platformId ? `-${file.root.platformId}` : ""}${PROFILE_EXTENSION}`;
+  createImportedGame(metadataPath, gameId, title, profile, {
+    type: "emulator",
+    emulator: file.root.emulator,
+    platformId: file.root.platformId,
+    rom: file.path,
+    config: null,
+  });
+  return profile;
+}
+
+function repointProfile(metadataPath, entry, romPath) {
+  const profilePath = path.join(gameDir(metadataPath, entry.gameId), "scripts", entry.profile || "");
+  const profile = entry.profile ? readJsonFile(profilePath, null) : null;
+  if (!profile || profile.rom !== entry.path) return false;
+  writeJsonFile(profilePath, { ...profile, rom: romPath });
+  return true;
+}
+
+/**
+ * Scan the configured roots (or one of them) and create games for new files.
+ *
+ * @param {string} metadataPath
+ * @param {{ rootId?: string, onProgress?: (progress: { processed: number, total: number }) => void }} [options]
+ * @returns {Promise<{ scannedAt: string, roots: string[], added: object[], moved: object[], missing: object[], unchanged: number, ignored: number, errors: object[] }>}
+ */
+async function scanRomRoots(metadataPath, { rootId = null, onProgress = null } = {}) {
+  const roots = loadScanRoots(metadataPath).filter((root) => !rootId || root.id === rootId);
+  const index = loadIndex(metadataPath);
+  const report = {
+    scannedAt: new Date().toISOString(),
+    roots: roots.map((root) => root.id),
+    added: [],
+    moved: [],
+    missing: [],
+    unchanged: 0,
+    ignored: 0,
+    errors: [],
+  };
+
+  const found = new Map();
+  const scannedRootIds = new Set();
+  for (const root of roots) {
+    try {
+      for (const file of await listRootFiles(root)) found.set(file.path, file);
+      scannedRootIds.add(root.id);
+    } catch (error) {
+      report.errors.push({ rootId: root.id, error: error.code === "ENOENT" ? "Root folder not found" : error.message });
+    }
+  }
+
+  // Entries of unavailable roots stay untouched so an unmounted drive does not look like deleted files
+  const gone = Object.values(index.files).filter((entry) => scannedRootIds.has(entry.rootId) && !found.has(entry.path));
+  const takenIds = new Set();
+  let processed = 0;
+  for (const file of found.values()) {
+    if (processed % SCAN_BATCH_SIZE === 0) {
+      if (onProgress) onProgress({ processed, total: found.size });
+      // Let other requests through between batches of game creation
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    processed += 1;
+    const known = index.files[file.path];
+    if (known) {
+      known.size = file.size;
+      known.mtimeMs = file.mtimeMs;
+      known.missing = false;
+      if (!known.ignored && !gameExists(metadataPath, known.gameId)) known.ignored = true;
+      if (known.ignored) report.ignored += 1;
+      else report.unchanged += 1;
+      continue;
+    }
+
+    const from = gone.find((entry) => !entry.claimed && entry.size === file.size
+      && (path.basename(entry.path) === path.basename(file.path) || entry.mtimeMs === file.mtimeMs));
+    if (from) {
+      from.claimed = true;
+      delete index.files[from.path];
+      if (!from.ignored && gameExists(metadataPath, from.gameId)) repointProfile(metadataPath, from, file.path);
+      const { claimed, ...rest } = from;
+      index.files[file.path] = {
+        ...rest,
+        rootId: file.root.id,
+        path: file.path,
+        size: file.size,
+        mtimeMs: file.mtimeMs,
+        missing: false,
+      };
+      report.moved.push({ from: from.path, to: file.path, gameId: from.gameId });
+      continue;
+    }
+
+    try {
+      const gameId = nextGameId(metadataPath, takenIds);
+      const title = normalizeRomTitle(file.path);
+      const profile = createGameForFile(metadataPath, gameId, title, file);
+      index.files[file.path] = {
+        rootId: file.root.id,
+        path: file.path,
+        size: file.size,
+        mtimeMs: file.mtimeMs,
+        gameId,
+        profile,
+        title,
+        addedAt: report.scannedAt,
+        missing: false,
+        ignored: false,
+      };
+      report.added.push({ path: file.path, gameId, title });
+    } catch (error) {
+      report.errors.push({ rootId: file.root.id, path: file.path, error: error.message });
+    }
+  }
+
+  for (const entry of gone) {
+    if (entry.claimed) continue;
+    entry.missing = true;
+    if (!entry.ignored) report.missing.push({ path: entry.path, gameId: entry.gameId });
+  }
+
+  if (onProgress) onProgress({ processed, total: found.size });
+  saveIndex(metadataPath, index);
+  ensureDirectoryExists(scannerDir(metadataPath));
+  writeJsonFile(lastScanPath(metadataPath), report);
+  return report;
+}
+
+/**
+ * Look up IGDB candidates for tracked files, one at a time in the background. Results are
+ * stored on the index entry as igdb: { status: "matched" | "ambiguous" | "none" | "failed",
+ * candidates, checkedAt } (see igdbMatching.js).
+ *
+ * @param {string} metadataPath
+ * @param {string[]} filePaths
+ * @param {(title: string) => Promise<Array<{ id: number, name: string, first_release_date?: number }>>} search
+ * @returns {Promise<void>} settles once every queued file has been looked up
+ */
+function queueIgdbMatches(metadataPath, filePaths, search) {
+  const update = (filePath, igdb) => {
+    const index = loadIndex(metadataPath);
+    if (!index.files[filePath]) return;
+    index.files[filePath].igdb = igdb;
+    saveIndex(metadataPath, index);
+  };
+  for (const filePath of filePaths) update(filePath, { status: "pending", candidates: [], checkedAt: null });
+
+  let queued = Promise.resolve();
+  for (const filePath of filePaths) {
+    queued = queueIgdbLookup(async () => {
+      const entry = loadIndex(metadataPath).files[filePath];
+      if (!entry) return;
+      try {
+        const match = matchIgdbCandidates(entry.title, await search(entry.title));
+        update(filePath, { ...match, checkedAt: new Date().toISOString() });
+      } catch (error) {
+        update(filePath, { status: "failed", candidates: [], error: error.message, checkedAt: new Date().toISOString() });
+      }
+    });
+  }
+  return queued;
+}
+
+module.exports = {
+  SCANNER_DIR,
+  DEFAULT_EXTENSIONS,
+  normalizeRomTitle,
+  validateScanRoots,
+  loadScanRoots,
+  saveScanRoots,
+  listTrackedFiles,
+  getLastScan,
+  scanRomRoots,
+  queueIgdbMatches,
+};
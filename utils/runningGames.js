@@ -0,0 +1,87 @@
+"use strict";
+
+const crypto = require("crypto");
+
+/**
+ * In-memory registry of every game process the server launched (GET /launcher, streaming
+ * launch, sessions resumed after a restart). Entries move from "running" to "exited" when
+ * the launch watcher sees the process tree end, or to "stopped" after POST /launcher/stop.
+ * The last MAX_FINISHED finished launches are kept for clients polling for the outcome.
+ */
+
+const MAX_FINISHED = 50;
+
+/** @type {Map<string, { launchId: string, gameId: number, executableName: string, pid: number|null, fullCommandPath: string, source: string, userId: string|null, sessionId: string|null, startedAt: string, state: "running"|"exited"|"stopped", endedAt: string|null }>} */
+const launches = new Map();
+
+function pruneFinished() {
+  const finished = [...launches.values()].filter((entry) => entry.state !== "running");
+  for (const entry of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED))) {
+    launches.delete(entry.launchId);
+  }
+}
+
+/**
+ * @param {{ gameId: number, launchId?: string, executableName?: string, pid?: number, fullCommandPath?: string, source?: string, userId?: string|null, sessionId?: string|null, startedAt?: string }} launch
+ */
+function registerRunningGame(launch) {
+  const pid = Number(launch.pid);
+  const entry = {
+    launchId: launch.launchId || crypto.randomUUID(),
+    gameId: Number(launch.gameId),
+    executableName: String(launch.executableName || ""),
+    pid: Number.isFinite(pid) && pid > 0 ? pid : null,
+    fullCommandPath: String(launch.fullCommandPath || ""),
+    source: launch.source || "launcher",
+    userId: launch.userId || null,
+    sessionId: launch.sessionId || null,
+    startedAt: launch.startedAt || new Date().toISOString(),
+    state: "running",
+    endedAt: null,
+  };
+  launches.set(entry.launchId, entry);
+  return entry;
+}
+
+function markRunningGameEnded(launchId, state = "exited") {
+  const entry = launches.get(launchId);
+  if (!entry || entry.state !== "running") return entry || null;
+  entry.state = state;
+  entry.endedAt = new Date().toISOString();
+  pruneFinished();
+  return entry;
+}
+
+function getRunningGame(launchId) {
+  return launches.get(String(launchId)) || null;
+}
+
+/**
+ * @param {{ gameId?: number|string, includeFinished?: boolean }} [filter]
+ */
+function listRunningGames({ gameId, includeFinished = false } = {}) {
+  return [...launches.values()]
+    .filter((entry) => includeFinished || entry.state === "running")
+    .filter((entry) => gameId == null || entry.gameId === Number(gameId))
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+/** Public shape (the script path stays server-side). */
+function toRunningGameResponse(entry) {
+  const { fullCommandPath, ...rest } = entry;
+  return rest;
+}
+
+/** Test helper: forget every launch. */
+function resetRunningGames() {
+  launches.clear();
+}
+
+module.exports = {
+  registerRunningGame,
+  markRunningGameEnded,
+  getRunningGame,
+  listRunningGames,
+  toRunningGameResponse,
+  resetRunningGames,
+};
@@ -0,0 +1,269 @@
+"use strict";
+
+/**
+ * In-memory inverted index with field weights, prefix and typo-tolerant matching,
+ * and highlight ranges. Generic: documents are { [field]: string[] } keyed by id.
+ */
+
+const WORD_RE = /[\p{L}\p{N}]+/gu;
+
+const MATCH_QUALITY = {
+  exact: 1,
+  prefix: 0.7,
+  typo1: 0.5,
+  typo2: 0.3,
+};
+
+const MIN_PREFIX_LENGTH = 2;
+
+function normalizeTerm(word) {
+  return String(word || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+function tokenize(text) {
+  const out = [];
+  for (const match of String(text || "").matchAll(WORD_RE)) {
+    const term = normalizeTerm(match[0]);
+    if (term) out.push(term);
+  }
+  return out;
+}
+
+/** Levenshtein distance, or maxDistance + 1 as soon as it is exceeded. */
+function boundedLevenshtein(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+      if (curr[j] < rowMin) rowMin = curr[j];
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+/** Allowed edits for a query term: none for short terms, 1 up to 7 chars, 2 beyond. */
+function maxTyposFor(term) {
+  if (term.length < 4) return 0;
+  return term.length < 8 ? 1 : 2;
+}
+
+/**
+ * @param {{ fieldWeights?: Record<string, number> }} [options]
+ */
+function createSearchIndex({ fieldWeights = {} } = {}) {
+  // term -> Map(docId -> Map(field -> count))
+  const postings = new Map();
+  // docId -> Map(term -> Set(field)) (needed to remove/replace a document)
+  const docTerms = new Map();
+
+  function weightOf(field) {
+    return typeof fieldWeights[field] === "number" ? fieldWeights[field] : 1;
+  }
+
+  function removeDocument(id) {
+    const key = String(id);
+    const terms = docTerms.get(key);
+    if (!terms) return false;
+    for (const term of terms.keys()) {
+      const docs = postings.get(term);
+      if (!docs) continue;
+      docs.delete(key);
+      if (docs.size === 0) postings.delete(term);
+    }
+    docTerms.delete(key);
+    return true;
+  }
+
+  /**
+   * Add or replace a document.
+   * @param {string|number} id
+   * @param {Record<string, string[]|string>} fields
+   */
+  function setDocument(id, fields) {
+    const key = String(id);
+    removeDocument(key);
+    const terms = new Map();
+    for (const [field, values] of Object.entries(fields || {})) {
+      const list = Array.isArray(values) ? values : [values];
+      for (const value of list) {
+        for (const term of tokenize(value)) {
+          let docs = postings.get(term);
+          if (!docs) {
+            docs = new Map();
+            postings.set(term, docs);
+          }
+          let fieldCounts = docs.get(key);
+          if (!fieldCounts) {
+            fieldCounts = new Map();
+            docs.set(key, fieldCounts);
+          }
+          fieldCounts.set(field, (fieldCounts.get(field) || 0) + 1);
+          if (!terms.has(term)) terms.set(term, new Set());
+          terms.get(term).add(field);
+        }
+      }
+    }
+    docTerms.set(key, terms);
+  }
+
+  function clear() {
+    postings.clear();
+    docTerms.clear();
+  }
+
+  /** Vocabulary terms matching one query term, with a match quality. */
+  function expandQueryTerm(queryTerm) {
+    const matches = new Map();
+    if (postings.has(queryTerm)) matches.set(queryTerm, MATCH_QUALITY.exact);
+    const maxTypos = maxTyposFor(queryTerm);
+    for (const term of postings.keys()) {
+      if (term === queryTerm) continue;
+      if (queryTerm.length >= MIN_PREFIX_LENGTH && term.startsWith(queryTerm)) {
+        matches.set(term, MATCH_QUALITY.prefix);
+        continue;
+      }
+      if (maxTypos > 0) {
+        // Compare against the term and against its prefix of the same length (typo while still typing).
+        const candidates = term.length > queryTerm.length + maxTypos
+          ? [term.slice(0, queryTerm.length)]
+          : [term];
+        let best = maxTypos + 1;
+        for (const candidate of candidates) {
+          best = Math.min(best, boundedLevenshtein(queryTerm, candidate, maxTypos));
+        }
+        if (best <= maxTypos) {
+          matches.set(term, best === 1 ? MATCH_QUALITY.typo1 : MATCH_QUALITY.typo2);
+        }
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Every query term must match (exactly, by prefix or with typos) in some field.
+   *
+   * @returns {{ id: string, score: number, matchedTerms: string[], matchedFields: string[] }[]} best first
+   */
+  function search(query) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return [];
+
+    let candidates = null;
+    const perDoc = new Map();
+    for (const queryTerm of queryTerms) {
+      const expanded = expandQueryTerm(queryTerm);
+      const bestForDoc = new Map();
+      for (const [term, quality] of expanded) {
+        for (const [docId, fieldCounts] of postings.get(term)) {
+          let fieldScore = 0;
+          for (const [field, count] of fieldCounts) {
+            fieldScore += weightOf(field) * (1 + Math.log(count));
+          }
+          const score = quality * fieldScore;
+          const current = bestForDoc.get(docId);
+          if (!current || score > current.score) {
+            bestForDoc.set(docId, { score, term, fields: [...fieldCounts.keys()] });
+          }
+          // Keep every matching term for highlighting, not only the best one.
+          let info = perDoc.get(docId);
+          if (!info) {
+            info = { score: 0, matchedTerms: new Set(), matchedFields: new Set() };
+            perDoc.set(docId, info);
+          }
+          info.matchedTerms.add(term);
+        }
+      }
+      const docIds = new Set(bestForDoc.keys());
+      candidates = candidates === null
+        ? docIds
+        : new Set([...candidates].filter((id) => docIds.has(id)));
+      for (const [docId, best] of bestForDoc) {
+        const info = perDoc.get(docId);
+        info.score += best.score;
+        best.fields.forEach((f) => info.matchedFields.add(f));
+      }
+      if (candidates.size === 0) return [];
+    }
+
+    return [...candidates]
+      .map((id) => {
+        const info = perDoc.get(id);
+        return {
+          id,
+          score: info.score,
+          matchedTerms: [...info.matchedTerms],
+          matchedFields: [...info.matchedFields],
+        };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  return {
+    setDocument,
+    removeDocument,
+    clear,
+    search,
+    has: (id) => docTerms.has(String(id)),
+    get size() {
+      return docTerms.size;
+    },
+  };
+}
+
+/**
+ * Character ranges [start, end) of words in `text` whose normalized form is one of `terms`.
+ */
+function findHighlightRanges(text, terms) {
+  const wanted = terms instanceof Set ? terms : new Set(terms);
+  const ranges = [];
+  for (const match of String(text || "").matchAll(WORD_RE)) {
+    if (wanted.has(normalizeTerm(match[0]))) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Highlight for one field value; long texts (summaries) are cut to a snippet around the first match.
+ *
+ * @returns {{ text: string, ranges: number[][] } | null}
+ */
+function buildHighlight(text, terms, { maxLength = 0 } = {}) {
+  const source = String(text || "");
+  const ranges = findHighlightRanges(source, terms);
+  if (ranges.length === 0) return null;
+  if (!maxLength || source.length <= maxLength) return { text: source, ranges };
+
+  let start = Math.max(0, ranges[0][0] - Math.floor(maxLength / 4));
+  const spaceBefore = source.lastIndexOf(" ", start);
+  if (start > 0 && spaceBefore > 0 && start - spaceBefore < 20) start = spaceBefore + 1;
+  const end = Math.min(source.length, start + maxLength);
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < source.length ? "…" : "";
+  const offset = prefix.length - start;
+  return {
+    text: `${prefix}${source.slice(start, end)}${suffix}`,
+    ranges: ranges
+      .filter(([s, e]) => s >= start && e <= end)
+      .map(([s, e]) => [s + offset, e + offset]),
+  };
+}
+
+module.exports = {
+  normalizeTerm,
+  tokenize,
+  boundedLevenshtein,
+  createSearchIndex,
+  findHighlightRanges,
+  buildHighlight,
+};
@@ -0,0 +1,203 @@
+"use strict";
+
+const { sortGameIdsByField } = require("./collectionsShared");
+
+/**
+ * Smart (rule-based) collections: a saved rule set evaluated against allGames instead of a
+ * hand-curated games list.
+ *
+ * Stored on the collection as:
+ *   smart: {
+ *     match: "all" | "any",
+ *     rules: [{ field, op, value }],
+ *     sort: "releaseDate" | "year" | "title" | "stars" | "criticRating" | "userRating",
+ *     ascending: true
+ *   }
+ *
+ * Example: platform = SNES AND year < 1995 AND keyword contains "metroidvania"
+ *   { match: "all", rules: [
+ *     { field: "platforms", op: "=", value: 19 },
+ *     { field: "year", op: "<", value: 1995 },
+ *     { field: "keywords", op: "contains", value: "metroidvania" } ] }
+ */
+
+// Rule field -> game field holding ids
+const TAG_RULE_FIELDS = {
+  genre: "genre",
+  themes: "themes",
+  platforms: "platforms",
+  gameModes: "gameModes",
+  playerPerspectives: "playerPerspectives",
+  gameEngines: "gameEngines",
+  developers: "developers",
+  publishers: "publishers",
+  franchise: "franchise",
+  series: "collection",
+};
+
+// Rule field -> numeric value of a game (context gives access to play history)
+const NUMBER_RULE_FIELDS = {
+  year: (game) => game.year,
+  stars: (game) => game.stars,
+  criticRating: (game) => game.criticratings,
+  userRating: (game) => game.userratings,
+  totalPlaytime: (game, context) => context.getPlaySummary(game.id).totalPlaytime,
+};
+
+const TEXT_RULE_FIELDS = {
+  title: (game) => [game.title],
+  keywords: (game) => (Array.isArray(game.keywords) ? game.keywords : []),
+  alternativeNames: (game) => (Array.isArray(game.alternativeNames) ? game.alternativeNames : []),
+};
+
+const BOOLEAN_RULE_FIELDS = {
+  played: (game, context) => Boolean(context.getPlaySummary(game.id).lastPlayed),
+  hasExecutables: (game) => Array.isArray(game.executables) && game.executables.length > 0,
+};
+
+const OPERATORS = {
+  tag: ["=", "!="],
+  number: ["=", "!=", "<", "<=", ">", ">="],
+  text: ["=", "!=", "contains", "!contains"],
+  boolean: ["=", "!="],
+};
+
+const SORT_FIELDS = ["releaseDate", "year", "title", "stars", "criticRating", "userRating"];
+const MAX_RULES = 20;
+
+function ruleKind(field) {
+  if (TAG_RULE_FIELDS[field]) return "tag";
+  if (NUMBER_RULE_FIELDS[field]) return "number";
+  if (TEXT_RULE_FIELDS[field]) return "text";
+  if (BOOLEAN_RULE_FIELDS[field]) return "boolean";
+  return null;
+}
+
+function validateRule(rule, index) {
+  if (!rule || typeof rule !== "object") return { ok: false, error: `rules[${index}] must be an object` };
+  const { field, op, value } = rule;
+  const kind = ruleKind(field);
+  if (!kind) return { ok: false, error: `rules[${index}].field is not supported: ${field}` };
+  if (!OPERATORS[kind].includes(op)) {
+    return { ok: false, error: `rules[${index}].op must be one of ${OPERATORS[kind].join(", ")} for ${field}` };
+  }
+  switch (kind) {
+    case "tag": {
+      const ids = (Array.isArray(value) ? value : [value]).map((v) => String(v ?? "").trim()).filter(Boolean);
+      if (ids.length === 0) return { ok: false, error: `rules[${index}].value must be a ${field} id or a list of ids` };
+      return { ok: true, value: { field, op, value: ids } };
+    }
+    case "number": {
+      const n = Number(value);
+      if (value === null || value === "" || !Number.isFinite(n)) {
+        return { ok: false, error: `rules[${index}].value must be a number` };
+      }
+      return { ok: true, value: { field, op, value: n } };
+    }
+    case "text": {
+      if (typeof value !== "string" || !value.trim()) {
+        return { ok: false, error: `rules[${index}].value must be a non-empty string` };
+      }
+      return { ok: true, value: { field, op, value: value.trim() } };
+    }
+    case "boolean":
+    default:
+      if (typeof value !== "boolean") return { ok: false, error: `rules[${index}].value must be true or false` };
+      return { ok: true, value: { field, op, value } };
+  }
+}
+
+/**
+ * Validate and normalize a smart rule set from a request body.
+ *
+ * @returns {{ ok: true, value: object } | { ok: false, error: string }}
+ */
+function validateSmartRules(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { ok: false, error: "smart must be an object with rules" };
+  }
+  const match = input.match == null ? "all" : input.match;
+  if (match !== "all" && match !== "any") return { ok: false, error: "smart.match must be all or any" };
+  if (!Array.isArray(input.rules) || input.rules.length === 0) {
+    return { ok: false, error: "smart.rules must be a non-empty array" };
+  }
+  if (input.rules.length > MAX_RULES) return { ok: false, error: `smart.rules accepts at most ${MAX_RULES} rules` };
+  const rules = [];
+  for (let i = 0; i < input.rules.length; i++) {
+    const result = validateRule(input.rules[i], i);
+    if (!result.ok) return result;
+    rules.push(result.value);
+  }
+  const sort = input.sort == null ? "releaseDate" : input.sort;
+  if (!SORT_FIELDS.includes(sort)) return { ok: false, error: `smart.sort must be one of ${SORT_FIELDS.join(", ")}` };
+  return { ok: true, value: { match, rules, sort, ascending: input.ascending !== false } };
+}
+
+function compareNumbers(actual, op, expected) {
+  if (typeof actual !== "number" || !Number.isFinite(actual)) return op === "!=";
+  switch (op) {
+    case "=": return actual === expected;
+    case "!=": return actual !== expected;
+    case "<": return actual < expected;
+    case "<=": return actual <= expected;
+    case ">": return actual > expected;
+    case ">=": return actual >= expected;
+    default: return false;
+  }
+}
+
+function matchesRule(game, rule, context) {
+  switch (ruleKind(rule.field)) {
+    case "tag": {
+      const raw = game[TAG_RULE_FIELDS[rule.field]];
+      const ids = (Array.isArray(raw) ? raw : raw == null ? [] : [raw]).map((v) =>
+        String(v && typeof v === "object" ? v.id : v),
+      );
+      const has = rule.value.some((id) => ids.includes(id));
+      return rule.op === "=" ? has : !has;
+    }
+    case "number":
+      return compareNumbers(NUMBER_RULE_FIELDS[rule.field](game, context), rule.op, rule.value);
+    case "text": {
+      const needle = rule.value.toLowerCase();
+      const values = TEXT_RULE_FIELDS[rule.field](game)
+        .filter((v) => typeof v === "string")
+        .map((v) => v.toLowerCase());
+      const found = rule.op === "=" || rule.op === "!="
+        ? values.some((v) => v.trim() === needle)
+        : values.some((v) => v.includes(needle));
+      return rule.op === "=" || rule.op === "contains" ? found : !found;
+    }
+    case "boolean": {
+      const actual = BOOLEAN_RULE_FIELDS[rule.field](game, context);
+      return rule.op === "=" ? actual === rule.value : actual !== rule.value;
+    }
+    default:
+      return false;
+  }
+}
+
+function matchesSmartRules(game, smart, context) {
+  const check = (rule) => matchesRule(game, rule, context);
+  return smart.match === "any" ? smart.rules.some(check) : smart.rules.every(check);
+}
+
+/**
+ * Game ids matching a (validated) rule set, sorted by smart.sort.
+ *
+ * @param {object} smart
+ * @param {object} allGames
+ * @param {{ getPlaySummary: (gameId) => { lastPlayed: string|null, totalPlaytime: number } }} context
+ */
+function evaluateSmartCollection(smart, allGames, context) {
+  const ids = Object.values(allGames)
+    .filter((game) => game && matchesSmartRules(game, smart, context))
+    .map((game) => game.id);
+  return sortGameIdsByField(ids, allGames, smart.sort || "releaseDate", smart.ascending !== false);
+}
+
+module.exports = {
+  validateSmartRules,
+  matchesSmartRules,
+  evaluateSmartCollection,
+};
@@ -0,0 +1,400 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ensureDirectoryExists, readJsonFile, writeJsonFile } = require("./fileUtils");
+const { isNonEmptyString } = require("./launchCommand");
+const { PROFILE_EXTENSION } = require("./launchProfiles");
+const { fixLibraryIssues } = require("./libraryDoctor");
+const { matchIgdbCandidates, queueIgdbLookup } = require("./igdbMatching");
+const { gameDir, gameExists, nextGameId, createImportedGame } = require("./importedGames");
+const { registerBackupRoot } = require("./backupRoots");
+
+/**
+ * Importer for games installed through a local Steam client. The Steam directory is configured
+ * in METADATA_PATH/steam-import/config.json ({ "steamPath": "/home/me/.local/share/Steam" }) or
+ * found in the default install locations. An import reads steamapps/libraryfolders.vdf for the
+ * library folders and each folder's appmanifest_<appid>.acf, and creates one game per fully
+ * installed app with a "url" launch profile (steam://rungameid/<appid>). Imported apps are
+ * tracked in steam-import/index.json:
+ *
+ *   { "apps": { "440": { appId, name, gameId, profile, libraryPath, installDir, addedAt,
+ *     installed, uninstalledAt, ignored, igdb? } } }
+ *
+ * Imports are idempotent. Apps whose manifest is gone are reported as uninstalled (their games
+ * are kept until resolveUninstalledApps flags or removes them), apps whose game was deleted by
+ * hand are ignored, and Steam tools (Proton, runtimes, redistributables) are skipped.
+ */
+
+const STEAM_DIR = "steam-import";
+const PROFILE_LABEL = "play";
+const STATE_FULLY_INSTALLED = 4;
+const UNINSTALLED_ACTIONS = ["flag", "remove"];
+const TOOL_APP_IDS = new Set(["228980"]);
+const TOOL_NAME_RE = /^(Proton\b|Steam Linux Runtime\b|Steamworks Common Redistributables$|Steamworks SDK Redist$)/;
+
+registerBackupRoot(STEAM_DIR);
+
+function steamDir(metadataPath) {
+  return path.join(metadataPath, STEAM_DIR);
+}
+
+function configPath(metadataPath) {
+  return path.join(steamDir(metadataPath), "config.json");
+}
+
+function indexPath(metadataPath) {
+  return path.join(steamDir(metadataPath), "index.json");
+}
+
+/**
+ * Parse Valve KeyValues text (.vdf / .acf) into nested objects. Keys are lowercased since
+ * Steam matches them case-insensitively; "[$WIN32]"-style conditions are ignored.
+ */
+function parseVdf(text) {
+  const tokens = [];
+  const re = /\s*(?:\/\/[^\n]*|(\{)|(\})|"((?:[^"\\]|\\.)*)"|(\[[^\]]*\])|([^\s{}"]+))/gy;
+  let match;
+  while (re.lastIndex < text.length && (match = re.exec(text)) !== null) {
+    if (match[1]) tokens.push({ open: true });
+    else if (match[2]) tokens.push({ close: true });
+    else if (match[3] !== undefined) {
+      tokens.push({ value: match[3].replace(/\\(.)/g, (m, c) => (c === "n" ? "\n" : c === "t" ? "\t" : c)) });
+    } else if (match[5] !== undefined) tokens.push({ value: match[5] });
+  }
+
+  let i = 0;
+  const parseObject = () => {
+    const object = {};
+    while (i < tokens.length && !tokens[i].close) {
+      const key = tokens[i].value;
+      const next = tokens[i + 1];
+      if (key === undefined || !next) break;
+      if (next.open) {
+        i += 2;
+        object[key.toLowerCase()] = parseObject();
+        i += 1;
+      } else {
+        if (!(key.toLowerCase() in object)) object[key.toLowerCase()] = next.value;
+        i += 2;
+      }
+    }
+    return object;
+  };
+  return parseObject();
+}
+
+function readVdfFile(filePath) {
+  return parseVdf(fs.readFileSync(filePath, "utf8").replace(/^\uFEFF/, ""));
+}
+
+/** Default Steam install locations of the current platform. */
+function defaultSteamPaths(platform = process.platform, home = os.homedir()) {
+  if (platform === "win32") {
+    return ["C:\\Program Files (x86)\\Steam", "C:\\Program Files\\Steam"];
+  }
+  if (platform === "darwin") {
+    return [path.join(home, "Library", "Application Support", "Steam")];
+  }
+  return [
+    path.join(home, ".steam", "steam"),
+    path.join(home, ".local", "share", "Steam"),
+    path.join(home, ".var", "app", "com.valvesoftware.Steam", ".local", "share", "Steam"),
+  ];
+}
+
+/**
+ * Validate a { steamPath } document (PUT payload); null means "look in the default locations".
+ *
+ * @returns {{ ok: true, value: { steamPath: string|null } } | { ok: false, error: string }}
+ */
+function validateSteamConfig(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { ok: false, error: "Steam config must be an object" };
+  }
+  if (body.steamPath == null || body.steamPath === "") return { ok: true, value: { steamPath: null } };
+  if (!isNonEmptyString(body.steamPath) || !path.isAbsolute(body.steamPath.trim())) {
+    return { ok: false, error: "steamPath must be an absolute folder path" };
+  }
+  return { ok: true, value: { steamPath: path.resolve(body.steamPath.trim()) } };
+}
+
+function loadSteamConfig(metadataPath) {
+  const body = readJsonFile(configPath(metadataPath), null);
+  return { steamPath: body && isNonEmptyString(body.steamPath) ? body.steamPath : null };
+}
+
+function saveSteamConfig(metadataPath, config) {
+  ensureDirectoryExists(steamDir(metadataPath));
+  writeJsonFile(configPath(metadataPath), config);
+  return config;
+}
+
+/** The configured Steam directory, else the first default location that exists, else null. */
+function resolveSteamPath(metadataPath) {
+  const { steamPath } = loadSteamConfig(metadataPath);
+  if (steamPath) return fs.existsSync(steamPath) ? steamPath : null;
+  return defaultSteamPaths().find((candidate) => fs.existsSync(path.join(candidate, "steamapps"))) || null;
+}
+
+/** Library folders from steamapps/libraryfolders.vdf (both the current and the pre-2021 layout), Steam's own first. */
+function listLibraryFolders(steamPath) {
+  const folders = [steamPath];
+  const vdfPath = path.join(steamPath, "steamapps", "libraryfolders.vdf");
+  if (fs.existsSync(vdfPath)) {
+    const root = readVdfFile(vdfPath);
+    const entries = root.libraryfolders || {};
+    for (const [key, value] of Object.entries(entries)) {
+      if (!/^\d+$/.test(key)) continue;
+      const folder = typeof value === "string" ? value : value && value.path;
+      if (isNonEmptyString(folder)) folders.push(folder);
+    }
+  }
+  const seen = new Set();
+  return folders.filter((folder) => {
+    const key = path.resolve(folder);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function isSteamTool(appId, name) {
+  return TOOL_APP_IDS.has(appId) || TOOL_NAME_RE.test(name);
+}
+
+/**
+ * Fully installed apps of every library folder (tools excluded).
+ * @returns {{ apps: Array<{ appId: string, name: string, libraryPath: string, installDir: string|null }>, errors: object[] }}
+ */
+function listInstalledApps(steamPath) {
+  const apps = new Map();
+  const errors = [];
+  for (const libraryPath of listLibraryFolders(steamPath)) {
+    const steamappsDir = path.join(libraryPath, "steamapps");
+    let fileNames;
+    try {
+      fileNames = fs.readdirSync(steamappsDir).filter((name) => /^appmanifest_\d+\.acf$/i.test(name));
+    } catch (error) {
+      errors.push({ libraryPath, error: error.code === "ENOENT" ? "Library folder not found" : error.message });
+      continue;
+    }
+    for (const fileName of fileNames.sort()) {
+      try {
+        const state = readVdfFile(path.join(steamappsDir, fileName)).appstate || {};
+        const appId = String(state.appid || "");
+        const name = String(state.name || "").trim();
+        if (!/^\d+$/.test(appId) || !name || apps.has(appId) || isSteamTool(appId, name)) continue;
+        if ((Number(state.stateflags) & STATE_FULLY_INSTALLED) === 0) continue;
+        apps.set(appId, { appId, name, libraryPath, installDir: state.installdir || null });
+      } catch (error) {
+        errors.push({ libraryPath, path: path.join(steamappsDir, fileName), error: error.message });
+      }
+    }
+  }
+  return { apps: [...apps.values()], errors };
+}
+
+function loadIndex(metadataPath) {
+  const body = readJsonFile(indexPath(metadataPath), null);
+  return body && body.apps && typeof body.apps === "object" ? body : { apps: {} };
+}
+
+function saveIndex(metadataPath, index) {
+  ensureDirectoryExists(steamDir(metadataPath));
+  writeJsonFile(indexPath(metadataPath), index);
+}
+
+/** Imported apps sorted by name. */
+function listImportedApps(metadataPath) {
+  return Object.values(loadIndex(metadataPath).apps).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function gameMetadataPath(metadataPath, gameId) {
+  return path.join(gameDir(metadataPath, gameId), "metadata.json");
+}
+
+/** Create the game with a Steam launch profile; returns the profile file name. */
+function createGameForApp(metadataPath, gameId, app) {
+  const profile = `01-${PROFILE_LABEL}${PROFILE_EXTENSION}`;
+  createImportedGame(metadataPath, gameId, app.name, profile, { type: "url", url: `steam://rungameid/${app.appId}` });
+  return profile;
+}
+
+/** Drop the installed: false flag a previous resolveUninstalledApps set on the game. */
+function clearUninstalledFlag(metadataPath, gameId) {
+  const metaPath = gameMetadataPath(metadataPath, gameId);
+  const meta = readJsonFile(metaPath, null);
+  if (!meta || meta.installed !== false) return;
+  delete meta.installed;
+  writeJsonFile(metaPath, meta);
+}
+
+/**
+ * Import the installed apps of the Steam directory.
+ *
+ * @param {string} metadataPath
+ * @param {{ steamPath: string }} options
+ * @returns {{ importedAt: string, steamPath: string, libraries: string[], added: object[], reinstalled: object[], uninstalled: object[], unchanged: number, ignored: number, errors: object[] }}
+ */
+function importSteamLibrary(metadataPath, { steamPath }) {
+  const index = loadIndex(metadataPath);
+  const { apps, errors } = listInstalledApps(steamPath);
+  const report = {
+    importedAt: new Date().toISOString(),
+    steamPath,
+    libraries: listLibraryFolders(steamPath),
+    added: [],
+    reinstalled: [],
+    uninstalled: [],
+    unchanged: 0,
+    ignored: 0,
+    errors,
+  };
+  // Entries of unreadable library folders stay untouched so an unmounted drive does not look like uninstalls
+  const unavailable = new Set(errors.filter((e) => !e.path).map((e) => path.resolve(e.libraryPath)));
+
+  const installed = new Set();
+  const takenIds = new Set();
+  for (const app of apps) {
+    installed.add(app.appId);
+    const known = index.apps[app.appId];
+    if (known) {
+      known.name = app.name;
+      known.libraryPath = app.libraryPath;
+      known.installDir = app.installDir;
+      if (!known.ignored && !gameExists(metadataPath, known.gameId)) known.ignored = true;
+      if (known.ignored) {
+        report.ignored += 1;
+      } else if (!known.installed) {
+        clearUninstalledFlag(metadataPath, known.gameId);
+        report.reinstalled.push({ appId: app.appId, name: app.name, gameId: known.gameId });
+      } else {
+        report.unchanged += 1;
+      }
+      known.installed = true;
+      known.uninstalledAt = null;
+      continue;
+    }
+
+    try {
+      const gameId = nextGameId(metadataPath, takenIds);
+      const profile = createGameForApp(metadataPath, gameId, app);
+      index.apps[app.appId] = {
+        appId: app.appId,
+        name: app.name,
+        gameId,
+        profile,
+        libraryPath: app.libraryPath,
+        installDir: app.installDir,
+        addedAt: report.importedAt,
+        installed: true,
+        uninstalledAt: null,
+        ignored: false,
+      };
+      report.added.push({ appId: app.appId, name: app.name, gameId });
+    } catch (error) {
+      report.errors.push({ appId: app.appId, error: error.message });
+    }
+  }
+
+  for (const entry of Object.values(index.apps)) {
+    if (installed.has(entry.appId) || unavailable.has(path.resolve(entry.libraryPath))) continue;
+    if (entry.installed) {
+      entry.installed = false;
+      entry.uninstalledAt = report.importedAt;
+    }
+    if (!entry.ignored && gameExists(metadataPath, entry.gameId)) {
+      report.uninstalled.push({ appId: entry.appId, name: entry.name, gameId: entry.gameId, uninstalledAt: entry.uninstalledAt });
+    }
+  }
+
+  saveIndex(metadataPath, index);
+  return report;
+}
+
+/**
+ * Act on the games of uninstalled apps (all of them, or appIds): "flag" sets installed: false
+ * in the game's metadata (cleared again on reinstall), "remove" deletes the game and drops it
+ * from collections and tags, and forgets the app so a reinstall imports it again.
+ *
+ * @param {string} metadataPath
+ * @param {{ action: "flag"|"remove", appIds?: string[] }} options
+ * @returns {{ action: string, apps: object[] }} the apps acted on
+ */
+function resolveUninstalledApps(metadataPath, { action, appIds = null }) {
+  const index = loadIndex(metadataPath);
+  const wanted = appIds ? new Set(appIds.map(String)) : null;
+  const targets = Object.values(index.apps).filter((entry) => !entry.installed && !entry.ignored
+    && (!wanted || wanted.has(entry.appId)) && gameExists(metadataPath, entry.gameId));
+
+  for (const entry of targets) {
+    if (action === "flag") {
+      const metaPath = gameMetadataPath(metadataPath, entry.gameId);
+      writeJsonFile(metaPath, { ...readJsonFile(metaPath, {}), installed: false });
+    } else {
+      fs.rmSync(gameDir(metadataPath, entry.gameId), { recursive: true, force: true });
+      delete index.apps[entry.appId];
+    }
+  }
+  if (action === "remove" && targets.length > 0) {
+    saveIndex(metadataPath, index);
+    fixLibraryIssues(metadataPath, { codes: ["dangling-game-reference"] });
+  }
+  return {
+    action,
+    apps: targets.map((entry) => ({ appId: entry.appId, name: entry.name, gameId: entry.gameId })),
+  };
+}
+
+/**
+ * Look up IGDB candidates for imported apps by name in the background (see igdbMatching.js);
+ * results are stored on the index entry as igdb.
+ *
+ * @param {string} metadataPath
+ * @param {string[]} appIds
+ * @param {(title: string) => Promise<Array<{ id: number, name: string, first_release_date?: number }>>} search
+ * @returns {Promise<void>} settles once every queued app has been looked up
+ */
+function queueSteamIgdbMatches(metadataPath, appIds, search) {
+  const update = (appId, igdb) => {
+    const index = loadIndex(metadataPath);
+    if (!index.apps[appId]) return;
+    index.apps[appId].igdb = igdb;
+    saveIndex(metadataPath, index);
+  };
+  for (const appId of appIds) update(appId, { status: "pending", candidates: [], checkedAt: null });
+
+  let queued = Promise.resolve();
+  for (const appId of appIds) {
+    queued = queueIgdbLookup(async () => {
+      const entry = loadIndex(metadataPath).apps[appId];
+      if (!entry) return;
+      try {
+        const match = matchIgdbCandidates(entry.name, await search(entry.name));
+        update(appId, { ...match, checkedAt: new Date().toISOString() });
+      } catch (error) {
+        update(appId, { status: "failed", candidates: [], error: error.message, checkedAt: new Date().toISOString() });
+      }
+    });
+  }
+  return queued;
+}
+
+module.exports = {
+  STEAM_DIR,
+  UNINSTALLED_ACTIONS,
+  parseVdf,
+  defaultSteamPaths,
+  validateSteamConfig,
+  loadSteamConfig,
+  saveSteamConfig,
+  resolveSteamPath,
+  listLibraryFolders,
+  listInstalledApps,
+  listImportedApps,
+  importSteamLibrary,
+  resolveUninstalledApps,
+  queueSteamIgdbMatches,
+};
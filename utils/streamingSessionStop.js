@@ -4,6 +4,7 @@ const { postJson, ensureMoonlightWebAdminCredentials } = require("./moonlightWeb
 const { listMoonlightHosts, hostLooksPaired } = require("./moonlightWebPairing");
 const { defaultManagedMoonlightWebUrl } = require("./streaming");
 const { killLaunchedGame, resolveGameLaunch } = require("./gameLauncher");
+const { listRunningGames, markRunningGameEnded } = require("./runningGames");
 
 const DEFAULT_SUNSHINE_HOST = "127.0.0.1";
 const DEFAULT_SUNSHINE_HTTPS_PORT = 47990;
@@ -101,6 +102,11 @@ function killActiveStreamingGame(fallback = {}) {
   }
 
   clearActiveStreamingLaunch();
+  if (result.ok && pid) {
+    for (const entry of listRunningGames()) {
+      if (entry.pid === pid) markRunningGameEnded(entry.launchId, "stopped");
+    }
+  }
   console.log(
     `[streaming/stop] local game kill ok=${result.ok} gameId=${gameId} scripts=${JSON.stringify(scripts)} pids=${JSON.stringify(result.byScript?.killedPids || [])}`,
   );
@@ -0,0 +1,290 @@
+"use strict";
+
+const crypto = require("crypto");
+const path = require("path");
+const { ensureDirectoryExists, readJsonFile, writeJsonFile } = require("./fileUtils");
+const { userAccountsPath, authSessionsPath } = require("./metadataTokenPaths");
+const { DEFAULT_ROLE, normalizeRole, parseMaxAge } = require("./permissions");
+
+/**
+ * Local user accounts (tokens/users.json) and login session tokens (tokens/auth-sessions.json).
+ * Passwords are stored as scrypt hashes; session tokens only as SHA-256 digests.
+ */
+
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 6;
+const MAX_USER_NAME_LENGTH = 64;
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  const hash = crypto.scryptSync(String(password), salt, 64).toString("hex");
+  return { salt, hash };
+}
+
+function verifyPasswordHash(password, salt, expectedHash) {
+  if (!salt || !expectedHash) return false;
+  const { hash } = hashPassword(password, salt);
+  const a = Buffer.from(hash, "hex");
+  const b = Buffer.from(String(expectedHash), "hex");
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function digestToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// filePath -> records, so authorizing a request does not re-read both files
+const recordCache = new Map();
+
+/** Forget cached files (after a restore or import replaced tokens/ on disk). */
+function clearUserAccountsCache() {
+  recordCache.clear();
+}
+
+/** Copy of the records array; callers edit it and hand it back to saveRecords. */
+function loadRecords(filePath, key) {
+  if (!recordCache.has(filePath)) {
+    const data = readJsonFile(filePath, null);
+    recordCache.set(filePath, data && Array.isArray(data[key]) ? data[key] : []);
+  }
+  return [...recordCache.get(filePath)];
+}
+
+function saveRecords(filePath, key, records) {
+  ensureDirectoryExists(path.dirname(filePath));
+  writeJsonFile(filePath, { [key]: records });
+  recordCache.set(filePath, records);
+}
+
+function loadUserRecords(metadataPath) {
+  return loadRecords(userAccountsPath(metadataPath), "users");
+}
+
+function saveUserRecords(metadataPath, users) {
+  saveRecords(userAccountsPath(metadataPath), "users", users);
+}
+
+function loadSessionRecords(metadataPath) {
+  return loadRecords(authSessionsPath(metadataPath), "sessions");
+}
+
+function saveSessionRecords(metadataPath, sessions) {
+  saveRecords(authSessionsPath(metadataPath), "sessions", sessions);
+}
+
+/** Public shape of a user (never includes password material). */
+function toPublicUser(record) {
+  return {
+    userId: record.id,
+    userName: record.userName,
+    userImage: record.userImage || null,
+    role: normalizeRole(record.role) || DEFAULT_ROLE,
+    maxAge: parseMaxAge(record.maxAge),
+    createdAt: record.createdAt || null,
+  };
+}
+
+function isAdminRecord(record) {
+  return normalizeRole(record.role) === "admin";
+}
+
+function listUsers(metadataPath) {
+  return loadUserRecords(metadataPath).map(toPublicUser);
+}
+
+function findUserRecord(metadataPath, userId) {
+  return loadUserRecords(metadataPath).find((u) => u.id === String(userId)) || null;
+}
+
+function findUserRecordByName(metadataPath, userName) {
+  const needle = String(userName || "").trim().toLowerCase();
+  if (!needle) return null;
+  return loadUserRecords(metadataPath).find((u) => u.userName.toLowerCase() === needle) || null;
+}
+
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Validate role / maxAge fields of a create or update payload.
+ * @returns {{ ok: true, value: object } | { ok: false, error: string }}
+ */
+function validateProfileFields(fields) {
+  const value = {};
+  if (fields.role !== undefined) {
+    const role = normalizeRole(fields.role);
+    if (!role) return { ok: false, error: "role must be one of admin, player, kid" };
+    value.role = role;
+  }
+  if (fields.maxAge !== undefined) {
+    if (fields.maxAge === null) {
+      value.maxAge = null;
+    } else {
+      const maxAge = parseMaxAge(fields.maxAge);
+      if (maxAge === null) return { ok: false, error: "maxAge must be a number between 0 and 99 or null" };
+      value.maxAge = maxAge;
+    }
+  }
+  return { ok: true, value };
+}
+
+/**
+ * The first account is always an admin; later ones default to DEFAULT_ROLE.
+ *
+ * @returns {{ ok: true, user: object } | { ok: false, status: number, error: string }}
+ */
+function createUser(metadataPath, { userName, password, role, maxAge } = {}) {
+  const name = typeof userName === "string" ? userName.trim() : "";
+  if (!name || name.length > MAX_USER_NAME_LENGTH) {
+    return { ok: false, status: 400, error: "Invalid userName" };
+  }
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    return { ok: false, status: 400, error: passwordError };
+  }
+  const profile = validateProfileFields({ role, maxAge });
+  if (!profile.ok) {
+    return { ok: false, status: 400, error: profile.error };
+  }
+  if (findUserRecordByName(metadataPath, name)) {
+    return { ok: false, status: 409, error: "User already exists" };
+  }
+  const users = loadUserRecords(metadataPath);
+  const { salt, hash } = hashPassword(password);
+  const record = {
+    id: crypto.randomUUID(),
+    userName: name,
+    passwordSalt: salt,
+    passwordHash: hash,
+    role: users.length === 0 ? "admin" : profile.value.role || DEFAULT_ROLE,
+    maxAge: profile.value.maxAge ?? null,
+    createdAt: new Date().toISOString(),
+  };
+  users.push(record);
+  saveUserRecords(metadataPath, users);
+  return { ok: true, user: toPublicUser(record) };
+}
+
+/**
+ * Update role, maxAge and/or password. The last admin cannot be demoted.
+ *
+ * @returns {{ ok: true, user: object } | { ok: false, status: number, error: string }}
+ */
+function updateUser(metadataPath, userId, { role, maxAge, password } = {}) {
+  const users = loadUserRecords(metadataPath);
+  const index = users.findIndex((u) => u.id === String(userId));
+  if (index === -1) return { ok: false, status: 404, error: "User not found" };
+  // Edit a copy so the cached record stays as stored until the write succeeds
+  const record = { ...users[index] };
+  users[index] = record;
+  const profile = validateProfileFields({ role, maxAge });
+  if (!profile.ok) return { ok: false, status: 400, error: profile.error };
+  if (password !== undefined) {
+    const passwordError = validatePassword(password);
+    if (passwordError) return { ok: false, status: 400, error: passwordError };
+  }
+  if (
+    profile.value.role &&
+    profile.value.role !== "admin" &&
+    isAdminRecord(record) &&
+    users.filter(isAdminRecord).length === 1
+  ) {
+    return { ok: false, status: 409, error: "Cannot remove the last admin" };
+  }
+  Object.assign(record, profile.value);
+  if (password !== undefined) {
+    const { salt, hash } = hashPassword(password);
+    record.passwordSalt = salt;
+    record.passwordHash = hash;
+  }
+  saveUserRecords(metadataPath, users);
+  return { ok: true, user: toPublicUser(record) };
+}
+
+/**
+ * Delete a user and revoke all of their session tokens. The last admin cannot be deleted.
+ *
+ * @returns {{ ok: true } | { ok: false, status: number, error: string }}
+ */
+function deleteUser(metadataPath, userId) {
+  const users = loadUserRecords(metadataPath);
+  const record = users.find((u) => u.id === String(userId));
+  if (!record) return { ok: false, status: 404, error: "User not found" };
+  if (isAdminRecord(record) && users.filter(isAdminRecord).length === 1 && users.length > 1) {
+    return { ok: false, status: 409, error: "Cannot remove the last admin" };
+  }
+  saveUserRecords(
+    metadataPath,
+    users.filter((u) => u !== record),
+  );
+  const sessions = loadSessionRecords(metadataPath);
+  saveSessionRecords(
+    metadataPath,
+    sessions.filter((s) => s.userId !== String(userId)),
+  );
+  return { ok: true };
+}
+
+/** @returns {object|null} public user when the credentials match */
+function authenticateUser(metadataPath, userName, password) {
+  const record = findUserRecordByName(metadataPath, userName);
+  if (!record || typeof password !== "string") return null;
+  if (!verifyPasswordHash(password, record.passwordSalt, record.passwordHash)) return null;
+  return toPublicUser(record);
+}
+
+/**
+ * Issue a new session token for a user. The plain token is returned once; only its digest is stored.
+ * @returns {{ token: string, expiresAt: string }}
+ */
+function createAuthSession(metadataPath, userId) {
+  const token = crypto.randomBytes(32).toString("hex");
+  const now = Date.now();
+  const expiresAt = new Date(now + SESSION_TTL_MS).toISOString();
+  const sessions = loadSessionRecords(metadataPath).filter((s) => Date.parse(s.expiresAt) > now);
+  sessions.push({
+    tokenHash: digestToken(token),
+    userId: String(userId),
+    createdAt: new Date(now).toISOString(),
+    expiresAt,
+  });
+  saveSessionRecords(metadataPath, sessions);
+  return { token, expiresAt };
+}
+
+/** @returns {object|null} public user owning a valid (unexpired) session token */
+function resolveAuthSessionUser(metadataPath, token) {
+  if (!token) return null;
+  const tokenHash = digestToken(token);
+  const session = loadSessionRecords(metadataPath).find((s) => s.tokenHash === tokenHash);
+  if (!session || !(Date.parse(session.expiresAt) > Date.now())) return null;
+  const record = findUserRecord(metadataPath, session.userId);
+  return record ? toPublicUser(record) : null;
+}
+
+function revokeAuthSession(metadataPath, token) {
+  if (!token) return false;
+  const tokenHash = digestToken(token);
+  const sessions = loadSessionRecords(metadataPath);
+  const remaining = sessions.filter((s) => s.tokenHash !== tokenHash);
+  if (remaining.length === sessions.length) return false;
+  saveSessionRecords(metadataPath, remaining);
+  return true;
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  clearUserAccountsCache,
+  listUsers,
+  findUserRecord,
+  createUser,
+  updateUser,
+  deleteUser,
+  authenticateUser,
+  createAuthSession,
+  resolveAuthSessionUser,
+  revokeAuthSession,
+};
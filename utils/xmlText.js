@@ -0,0 +1,40 @@
+"use strict";
+
+/** Entity decoding / escaping for the small XML formats the server reads and writes (DAT files, gamelist.xml). */
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function decodeXml(value) {
+  return String(value).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code = entity[1] === "x" || entity[1] === "X" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return XML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function encodeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function parseXmlAttributes(raw) {
+  const attributes = {};
+  const re = /([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = re.exec(raw)) !== null) {
+    attributes[match[1]] = decodeXml(match[3] ?? match[4]);
+  }
+  return attributes;
+}
+
+module.exports = {
+  decodeXml,
+  encodeXml,
+  parseXmlAttributes,
+};
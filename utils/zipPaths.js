@@ -0,0 +1,36 @@
+"use strict";
+
+const path = require("path");
+
+/**
+ * Zip slip guards shared by every archive extraction (skins, library import).
+ */
+
+/**
+ * Reject zip slip and absolute paths. Returns normalized posix-style relative path or null.
+ */
+function safeZipEntryName(entryName) {
+  const norm = String(entryName).replace(/\\/g, "/").replace(/^\/+/, "");
+  if (!norm || norm.includes("..")) return null;
+  if (/^[A-Za-z]:/.test(norm)) return null;
+  const segments = norm.split("/");
+  if (segments.some((s) => s === "..")) return null;
+  return norm;
+}
+
+/**
+ * Absolute output path for a zip entry inside destDir, or null when the entry would escape it.
+ */
+function resolveZipEntryPath(destDir, entryName) {
+  const rel = safeZipEntryName(entryName);
+  if (!rel) return null;
+  const resolved = path.resolve(destDir, rel);
+  const resolvedBase = path.resolve(destDir);
+  if (!resolved.startsWith(resolvedBase + path.sep) && resolved !== resolvedBase) return null;
+  return resolved;
+}
+
+module.exports = {
+  safeZipEntryName,
+  resolveZipEntryPath,
+};
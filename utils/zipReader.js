@@ -0,0 +1,158 @@
+"use strict";
+
+const fs = require("fs");
+const zlib = require("zlib");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+
+/**
+ * Read a zip's entries from disk without loading the archive: the central directory is read
+ * from the end of the file and each entry's data is streamed from its offset (stored or
+ * deflated, ZIP64 included). Used where archives can be large: zipped ROMs, library imports and
+ * backup restores.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const ZIP64_EXTRA_ID = 0x0001;
+const MAX_COMMENT_BYTES = 0xffff;
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+function readUInt64(buffer, offset) {
+  return Number(buffer.readBigUInt64LE(offset));
+}
+
+/** Offset and size of the central directory (end of central directory record, or its ZIP64 form). */
+async function readCentralDirectoryLocation(handle, fileSize) {
+  const tailLength = Math.min(fileSize, 22 + MAX_COMMENT_BYTES + 20);
+  const tail = await readAt(handle, fileSize - tailLength, tailLength);
+  let eocd = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("Not a zip file");
+
+  let entries = tail.readUInt16LE(eocd + 10);
+  let size = tail.readUInt32LE(eocd + 12);
+  let offset = tail.readUInt32LE(eocd + 16);
+  if (eocd >= 20 && tail.readUInt32LE(eocd - 20) === ZIP64_LOCATOR_SIGNATURE) {
+    const zip64 = await readAt(handle, readUInt64(tail, eocd - 20 + 8), 56);
+    if (zip64.length < 56 || zip64.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) throw new Error("Invalid ZIP64 record");
+    entries = readUInt64(zip64, 32);
+    size = readUInt64(zip64, 40);
+    offset = readUInt64(zip64, 48);
+  }
+  return { entries, size, offset };
+}
+
+/** Replace 0xFFFFFFFF placeholders with the values of the ZIP64 extra field. */
+function applyZip64Extra(entry, extra) {
+  for (let i = 0; i + 4 <= extra.length; ) {
+    const id = extra.readUInt16LE(i);
+    const length = extra.readUInt16LE(i + 2);
+    if (id === ZIP64_EXTRA_ID) {
+      let at = i + 4;
+      for (const field of ["size", "compressedSize", "offset"]) {
+        if (entry[field] !== 0xffffffff) continue;
+        entry[field] = readUInt64(extra, at);
+        at += 8;
+      }
+      return;
+    }
+    i += 4 + length;
+  }
+}
+
+/**
+ * File entries of a zip (directories are skipped).
+ * @returns {Promise<Array<{ name: string, method: number, crc: number, size: number, compressedSize: number, offset: number }>>}
+ */
+async function listZipEntries(filePath) {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const { size: fileSize } = await handle.stat();
+    const location = await readCentralDirectoryLocation(handle, fileSize);
+    const directory = await readAt(handle, location.offset, location.size);
+    const entries = [];
+    let at = 0;
+    for (let n = 0; n < location.entries; n++) {
+      if (at + 46 > directory.length || directory.readUInt32LE(at) !== CENTRAL_SIGNATURE) {
+        throw new Error("Invalid zip central directory");
+      }
+      const nameLength = directory.readUInt16LE(at + 28);
+      const extraLength = directory.readUInt16LE(at + 30);
+      const commentLength = directory.readUInt16LE(at + 32);
+      const entry = {
+        name: directory.toString("utf8", at + 46, at + 46 + nameLength),
+        method: directory.readUInt16LE(at + 10),
+        crc: directory.readUInt32LE(at + 16),
+        compressedSize: directory.readUInt32LE(at + 20),
+        size: directory.readUInt32LE(at + 24),
+        offset: directory.readUInt32LE(at + 42),
+      };
+      applyZip64Extra(entry, directory.subarray(at + 46 + nameLength, at + 46 + nameLength + extraLength));
+      if (!entry.name.endsWith("/")) entries.push(entry);
+      at += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Stream of an entry's uncompressed data (see listZipEntries).
+ * @returns {Promise<import('stream').Readable>}
+ */
+async function openZipEntryStream(filePath, entry) {
+  if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATE) {
+    throw new Error(`Unsupported compression method ${entry.method} for ${entry.name}`);
+  }
+  const handle = await fs.promises.open(filePath, "r");
+  let header;
+  try {
+    header = await readAt(handle, entry.offset, 30);
+  } finally {
+    await handle.close();
+  }
+  if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_SIGNATURE) throw new Error(`Invalid zip entry ${entry.name}`);
+  const start = entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+  if (entry.compressedSize === 0) return Readable.from([]);
+  const raw = fs.createReadStream(filePath, { start, end: start + entry.compressedSize - 1 });
+  if (entry.method === METHOD_STORED) return raw;
+  const inflate = zlib.createInflateRaw();
+  raw.on("error", (error) => inflate.destroy(error));
+  return raw.pipe(inflate);
+}
+
+/** Write an entry's uncompressed data to outPath. */
+async function extractZipEntry(filePath, entry, outPath) {
+  await pipeline(await openZipEntryStream(filePath, entry), fs.createWriteStream(outPath));
+}
+
+/** An entry's data as a buffer, for small entries such as manifests. */
+async function readZipEntry(filePath, entry) {
+  const chunks = [];
+  for await (const chunk of await openZipEntryStream(filePath, entry)) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  listZipEntries,
+  openZipEntryStream,
+  extractZipEntry,
+  readZipEntry,
+};
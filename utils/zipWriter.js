@@ -0,0 +1,218 @@
+"use strict";
+
+const fs = require("fs");
+const zlib = require("zlib");
+const { pipeline, finished } = require("stream/promises");
+
+/**
+ * Minimal streaming zip writer for archives too large to build in memory (backups, library
+ * export). Entries are deflated one at a time straight into a writable stream; sizes and CRCs
+ * follow each entry in a data descriptor, so nothing is buffered beyond zlib's window. Archives
+ * are read back with zipReader (restore, import).
+ *
+ * Past 65535 entries or 4 GiB the ZIP64 records take over: 64-bit sizes in the data descriptor,
+ * a ZIP64 extra field in the central directory and a ZIP64 end of central directory record.
+ */
+
+const MAX_UINT16 = 0xffff;
+const MAX_UINT32 = 0xffffffff;
+// Bit 3: sizes and CRC in a data descriptor; bit 11: UTF-8 names
+const FLAGS = 0x0808;
+const METHOD_DEFLATE = 8;
+const VERSION = 20;
+const VERSION_ZIP64 = 45;
+const ZIP64_EXTRA_ID = 0x0001;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(chunk, previous = 0) {
+  let crc = previous ^ MAX_UINT32;
+  for (let i = 0; i < chunk.length; i++) crc = CRC_TABLE[(crc ^ chunk[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ MAX_UINT32) >>> 0;
+}
+
+function dosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/** ZIP64 extra field with the values that do not fit their 32-bit central directory fields. */
+function zip64Extra(entry) {
+  const values = [entry.size, entry.compressedSize, entry.offset].filter((value) => value >= MAX_UINT32);
+  if (values.length === 0) return Buffer.alloc(0);
+  const extra = Buffer.alloc(4 + values.length * 8);
+  extra.writeUInt16LE(ZIP64_EXTRA_ID, 0);
+  extra.writeUInt16LE(values.length * 8, 2);
+  values.forEach((value, i) => extra.writeBigUInt64LE(BigInt(value), 4 + i * 8));
+  return extra;
+}
+
+function uint32OrMarker(value) {
+  return Math.min(value, MAX_UINT32);
+}
+
+/**
+ * @param {import('stream').Writable} output receives the archive; ended by finalize()
+ * @returns {{ addFile: (name: string, filePath: string) => Promise<void>, addBuffer: (name: string, data: Buffer) => Promise<void>, finalize: () => Promise<number> }}
+ *   call addFile / addBuffer one at a time; finalize resolves with the archive size in bytes
+ */
+function createZipWriter(output) {
+  const entries = [];
+  let offset = 0;
+  let failure = null;
+  // Surface write errors (disk full, client gone) on the next write instead of as an uncaught event
+  output.on("error", (error) => {
+    failure = failure || error;
+  });
+
+  // Resolves on "drain"; rejects when the output goes away first (e.g. a download is cancelled)
+  function drained() {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        output.off("drain", onDrain);
+        output.off("close", onClose);
+      };
+      const onDrain = () => {
+        cleanup();
+        resolve();
+      };
+      const onClose = () => {
+        cleanup();
+        reject(failure || new Error("Output closed before the archive was complete"));
+      };
+      output.on("drain", onDrain);
+      output.on("close", onClose);
+    });
+  }
+
+  async function write(chunk) {
+    if (failure) throw failure;
+    if (output.destroyed) throw new Error("Output closed before the archive was complete");
+    offset += chunk.length;
+    if (!output.write(chunk)) await drained();
+  }
+
+  async function addEntry(name, source) {
+    const nameBytes = Buffer.from(name, "utf8");
+    const { time, date } = dosDateTime(new Date());
+    const entry = { nameBytes, time, date, offset, crc: 0, size: 0, compressedSize: 0 };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(VERSION, 4);
+    header.writeUInt16LE(FLAGS, 6);
+    header.writeUInt16LE(METHOD_DEFLATE, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    // CRC and sizes (14-25) stay 0: they follow in the data descriptor
+    header.writeUInt16LE(nameBytes.length, 26);
+    await write(Buffer.concat([header, nameBytes]));
+
+    await pipeline(
+      source,
+      async function* measure(chunks) {
+        for await (const chunk of chunks) {
+          entry.crc = crc32(chunk, entry.crc);
+          entry.size += chunk.length;
+          yield chunk;
+        }
+      },
+      zlib.createDeflateRaw(),
+      async function copy(chunks) {
+        for await (const chunk of chunks) {
+          entry.compressedSize += chunk.length;
+          await write(chunk);
+        }
+      },
+    );
+
+    let descriptor;
+    if (entry.size >= MAX_UINT32 || entry.compressedSize >= MAX_UINT32) {
+      descriptor = Buffer.alloc(24);
+      descriptor.writeBigUInt64LE(BigInt(entry.compressedSize), 8);
+      descriptor.writeBigUInt64LE(BigInt(entry.size), 16);
+    } else {
+      descriptor = Buffer.alloc(16);
+      descriptor.writeUInt32LE(entry.compressedSize, 8);
+      descriptor.writeUInt32LE(entry.size, 12);
+    }
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    await write(descriptor);
+    entries.push(entry);
+  }
+
+  async function finalize() {
+    const centralOffset = offset;
+    for (const entry of entries) {
+      const extra = zip64Extra(entry);
+      const version = extra.length > 0 ? VERSION_ZIP64 : VERSION;
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(version, 4);
+      header.writeUInt16LE(version, 6);
+      header.writeUInt16LE(FLAGS, 8);
+      header.writeUInt16LE(METHOD_DEFLATE, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(uint32OrMarker(entry.compressedSize), 20);
+      header.writeUInt32LE(uint32OrMarker(entry.size), 24);
+      header.writeUInt16LE(entry.nameBytes.length, 28);
+      header.writeUInt16LE(extra.length, 30);
+      header.writeUInt32LE(uint32OrMarker(entry.offset), 42);
+      await write(Buffer.concat([header, entry.nameBytes, extra]));
+    }
+    const centralSize = offset - centralOffset;
+
+    if (entries.length >= MAX_UINT16 || centralSize >= MAX_UINT32 || centralOffset >= MAX_UINT32) {
+      const zip64Offset = offset;
+      const zip64End = Buffer.alloc(56);
+      zip64End.writeUInt32LE(0x06064b50, 0);
+      zip64End.writeBigUInt64LE(44n, 4);
+      zip64End.writeUInt16LE(VERSION_ZIP64, 12);
+      zip64End.writeUInt16LE(VERSION_ZIP64, 14);
+      zip64End.writeBigUInt64LE(BigInt(entries.length), 24);
+      zip64End.writeBigUInt64LE(BigInt(entries.length), 32);
+      zip64End.writeBigUInt64LE(BigInt(centralSize), 40);
+      zip64End.writeBigUInt64LE(BigInt(centralOffset), 48);
+      const locator = Buffer.alloc(20);
+      locator.writeUInt32LE(0x07064b50, 0);
+      locator.writeBigUInt64LE(BigInt(zip64Offset), 8);
+      locator.writeUInt32LE(1, 16);
+      await write(Buffer.concat([zip64End, locator]));
+    }
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Math.min(entries.length, MAX_UINT16), 8);
+    end.writeUInt16LE(Math.min(entries.length, MAX_UINT16), 10);
+    end.writeUInt32LE(uint32OrMarker(centralSize), 12);
+    end.writeUInt32LE(uint32OrMarker(centralOffset), 16);
+    await write(end);
+    output.end();
+    await finished(output);
+    return offset;
+  }
+
+  return {
+    addFile: (name, filePath) => addEntry(name, fs.createReadStream(filePath)),
+    addBuffer: (name, data) => addEntry(name, [data]),
+    finalize,
+  };
+}
+
+module.exports = {
+  crc32,
+  createZipWriter,
+};